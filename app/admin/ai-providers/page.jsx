@@ -0,0 +1,456 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Plus, Edit2, Trash2, Cpu, KeyRound } from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { useUser } from '@/app/context/user-context';
+import { AdminModal, ConfirmDialog, FormInput, FormSelect, FormCheckbox, FormField, FormActions, PrimaryButton, SecondaryButton } from '../components/AdminModal';
+import { TableSkeleton, Button } from '@/app/dashboard/components';
+import { AI_OPERATIONS } from '@/lib/ai/credits';
+import styles from '../admin.module.css';
+
+// AiProviderType enum values mirrored from prisma/schema.prisma.
+const PROVIDER_VALUES = ['OPENAI_COMPATIBLE', 'ANTHROPIC', 'VERTEX'];
+
+const OPERATION_KEYS = Object.keys(AI_OPERATIONS).filter(key => key !== 'GENERIC');
+
+const EMPTY_FORM = {
+  accountId: '',
+  name: '',
+  provider: 'OPENAI_COMPATIBLE',
+  baseUrl: '',
+  apiKey: '',
+  clearApiKey: false,
+  textModel: '',
+  embeddingModel: '',
+  operations: [],
+  isActive: true,
+  textInputRate: '',
+  textOutputRate: '',
+  embeddingRate: '',
+};
+
+export default function AiProvidersPage() {
+  const { t } = useLocale();
+  const { isSuperAdmin, isLoading: isUserLoading } = useUser();
+
+  const [configs, setConfigs] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const [editModalOpen, setEditModalOpen] = useState(false);
+  const [selectedConfig, setSelectedConfig] = useState(null);
+  const [formData, setFormData] = useState({ ...EMPTY_FORM });
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [configToDelete, setConfigToDelete] = useState(null);
+
+  const loadConfigs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const res = await fetch('/api/admin/ai-providers');
+      if (!res.ok) throw new Error('Failed to fetch AI provider configs');
+      const data = await res.json();
+      setConfigs(data.configs || []);
+      setAccounts(data.accounts || []);
+    } catch (err) {
+      console.error('Error loading AI provider configs:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isSuperAdmin) loadConfigs();
+  }, [isSuperAdmin, loadConfigs]);
+
+  const handleAdd = () => {
+    setSelectedConfig(null);
+    setFormData({ ...EMPTY_FORM, accountId: accounts[0]?.id || '' });
+    setEditModalOpen(true);
+  };
+
+  const handleEdit = (config) => {
+    setSelectedConfig(config);
+    setFormData({
+      ...EMPTY_FORM,
+      accountId: config.accountId,
+      name: config.name,
+      provider: config.provider,
+      baseUrl: config.baseUrl || '',
+      textModel: config.textModel,
+      embeddingModel: config.embeddingModel || '',
+      operations: config.operations || [],
+      isActive: config.isActive,
+      textInputRate: config.pricing?.text?.input ?? '',
+      textOutputRate: config.pricing?.text?.output ?? '',
+      embeddingRate: config.pricing?.embedding?.input ?? '',
+    });
+    setEditModalOpen(true);
+  };
+
+  const toggleOperation = (key) => {
+    setFormData(prev => ({
+      ...prev,
+      operations: prev.operations.includes(key)
+        ? prev.operations.filter(k => k !== key)
+        : [...prev.operations, key],
+    }));
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setIsSubmitting(true);
+      const hasTextRates = formData.textInputRate !== '' || formData.textOutputRate !== '';
+      const payload = {
+        accountId: formData.accountId,
+        name: formData.name,
+        provider: formData.provider,
+        baseUrl: formData.baseUrl,
+        apiKey: formData.apiKey,
+        clearApiKey: formData.clearApiKey,
+        textModel: formData.textModel,
+        embeddingModel: formData.embeddingModel,
+        operations: formData.operations,
+        isActive: formData.isActive,
+        pricing: {
+          text: hasTextRates
+            ? { input: Number(formData.textInputRate) || 0, output: Number(formData.textOutputRate) || 0 }
+            : null,
+          embedding: formData.embeddingRate !== ''
+            ? { input: Number(formData.embeddingRate) || 0, output: 0 }
+            : null,
+        },
+      };
+
+      const url = selectedConfig ? `/api/admin/ai-providers/${selectedConfig.id}` : '/api/admin/ai-providers';
+      const method = selectedConfig ? 'PUT' : 'POST';
+
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+
+      if (!res.ok) {
+        const err = await res.json();
+        alert(err.error || t('admin.common.saveFailed'));
+        return;
+      }
+
+      setEditModalOpen(false);
+      loadConfigs();
+    } catch (err) {
+      console.error('Error saving AI provider config:', err);
+      alert(t('admin.common.saveFailed'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!configToDelete) return;
+    try {
+      setIsSubmitting(true);
+      const res = await fetch(`/api/admin/ai-providers/${configToDelete.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const err = await res.json();
+        alert(err.error || t('admin.common.deleteFailed'));
+        return;
+      }
+      setDeleteDialogOpen(false);
+      setConfigToDelete(null);
+      loadConfigs();
+    } catch (err) {
+      console.error('Error deleting AI provider config:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isUserLoading && !isSuperAdmin) {
+    return null;
+  }
+
+  const showSkeletons = isUserLoading || isLoading;
+  const isAnthropic = formData.provider === 'ANTHROPIC';
+  const isVertex = formData.provider === 'VERTEX';
+
+  return (
+    <div className={styles.adminPage}>
+      <div className={styles.adminHeader}>
+        <h1 className={styles.adminTitle}>{t('admin.aiProviders.title')}</h1>
+        <p className={styles.adminSubtitle}>{t('admin.aiProviders.subtitle')}</p>
+      </div>
+
+      <div className={styles.adminToolbar}>
+        <div className={styles.toolbarLeft}>
+          <span style={{ fontSize: '0.9375rem', color: 'var(--muted-foreground)' }}>
+            {t('admin.aiProviders.configured', { count: configs.length })}
+          </span>
+        </div>
+        <div className={styles.toolbarRight}>
+          <button className={styles.refreshButton} onClick={loadConfigs} title={t('admin.common.refresh')}>
+            <RefreshCw size={16} />
+          </button>
+          <Button variant="primary" onClick={handleAdd}>
+            <Plus size={16} />
+            {t('admin.aiProviders.add')}
+          </Button>
+        </div>
+      </div>
+
+      <div className={styles.tableContainer}>
+        {showSkeletons ? (
+          <TableSkeleton columns={6} rows={4} />
+        ) : configs.length === 0 ? (
+          <div className={styles.emptyState}>
+            <Cpu size={48} className={styles.emptyIcon} />
+            <h3 className={styles.emptyTitle}>{t('admin.aiProviders.empty')}</h3>
+          </div>
+        ) : (
+          <table className={styles.table}>
+            <thead className={styles.tableHeader}>
+              <tr>
+                <th>{t('admin.aiProviders.columns.account')}</th>
+                <th>{t('admin.aiProviders.columns.provider')}</th>
+                <th>{t('admin.aiProviders.columns.models')}</th>
+                <th>{t('admin.aiProviders.columns.operations')}</th>
+                <th>{t('admin.aiProviders.columns.status')}</th>
+                <th>{t('admin.aiProviders.columns.actions')}</th>
+              </tr>
+            </thead>
+            <tbody className={styles.tableBody}>
+              {configs.map((config) => (
+                <tr key={config.id} className={!config.isActive ? styles.inactiveRow : ''}>
+                  <td>
+                    <strong>{config.account?.name || config.accountId}</strong>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--muted-foreground)', marginTop: '0.25rem' }}>
+                      {config.name}
+                    </div>
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}>
+                      {t(`admin.aiProviders.providers.${config.provider}`)}
+                      {config.hasApiKey && <KeyRound size={12} style={{ color: 'var(--muted-foreground)' }} />}
+                    </div>
+                    {config.baseUrl && (
+                      <div dir="ltr" style={{ fontSize: '0.75rem', color: 'var(--muted-foreground)', fontFamily: 'monospace' }}>
+                        {config.baseUrl}
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>
+                    <div>{config.textModel}</div>
+                    {config.embeddingModel && (
+                      <div style={{ color: 'var(--muted-foreground)' }}>{config.embeddingModel}</div>
+                    )}
+                  </td>
+                  <td>
+                    {config.operations?.length > 0 ? (
+                      <span className={styles.planBadge} title={config.operations.join(', ')}>
+                        {t('admin.aiProviders.operationsCount', { count: config.operations.length })}
+                      </span>
+                    ) : (
+                      <span style={{ color: 'var(--muted-foreground)' }}>{t('admin.aiProviders.accountDefault')}</span>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`${styles.statusBadge} ${config.isActive ? styles.active : styles.inactive}`}>
+                      {config.isActive ? t('admin.aiProviders.active') : t('admin.aiProviders.inactive')}
+                    </span>
+                  </td>
+                  <td>
+                    <div className={styles.actionButtons}>
+                      <Button variant="icon" onClick={() => handleEdit(config)} title={t('admin.common.edit')}>
+                        <Edit2 size={14} />
+                      </Button>
+                      <Button
+                        variant="icon"
+                        iconDanger
+                        onClick={() => { setConfigToDelete(config); setDeleteDialogOpen(true); }}
+                        title={t('admin.common.delete')}
+                      >
+                        <Trash2 size={14} />
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <AdminModal
+        isOpen={editModalOpen}
+        onClose={() => setEditModalOpen(false)}
+        title={selectedConfig ? t('admin.aiProviders.edit') : t('admin.aiProviders.add')}
+        size="large"
+      >
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+            <FormSelect
+              label={t('admin.aiProviders.form.account')}
+              value={formData.accountId}
+              onChange={(e) => setFormData({ ...formData, accountId: e.target.value })}
+              options={accounts.map(a => ({ value: a.id, label: a.name }))}
+              disabled={!!selectedConfig}
+            />
+            <FormInput
+              label={t('admin.aiProviders.form.name')}
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="Self-hosted Llama"
+            />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '1rem' }}>
+            <FormSelect
+              label={t('admin.aiProviders.form.provider')}
+              value={formData.provider}
+              onChange={(e) => setFormData({
+                ...formData,
+                provider: e.target.value,
+                ...(e.target.value === 'ANTHROPIC' ? { embeddingModel: '', embeddingRate: '' } : {}),
+                ...(e.target.value === 'VERTEX' ? { baseUrl: '' } : {}),
+              })}
+              options={PROVIDER_VALUES.map(value => ({ value, label: t(`admin.aiProviders.providers.${value}`) }))}
+            />
+            <FormInput
+              label={t('admin.aiProviders.form.baseUrl')}
+              value={formData.baseUrl}
+              onChange={(e) => setFormData({ ...formData, baseUrl: e.target.value })}
+              placeholder={isAnthropic ? 'https://api.anthropic.com/v1' : 'http://vllm.internal:8000/v1'}
+              disabled={isVertex}
+              dir="ltr"
+            />
+          </div>
+
+          {!isVertex && (
+            <div>
+              <FormInput
+                label={t('admin.aiProviders.form.apiKey')}
+                type="password"
+                autoComplete="off"
+                value={formData.apiKey}
+                onChange={(e) => setFormData({ ...formData, apiKey: e.target.value })}
+                placeholder={selectedConfig?.hasApiKey ? t('admin.aiProviders.form.apiKeyKeep') : ''}
+                dir="ltr"
+              />
+              {selectedConfig?.hasApiKey && !isAnthropic && (
+                <FormCheckbox
+                  label={t('admin.aiProviders.form.clearApiKey')}
+                  checked={formData.clearApiKey}
+                  onChange={(e) => setFormData({ ...formData, clearApiKey: e.target.checked })}
+                />
+              )}
+            </div>
+          )}
+
+          <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem' }}>
+            <FormInput
+              label={t('admin.aiProviders.form.textModel')}
+              value={formData.textModel}
+              onChange={(e) => setFormData({ ...formData, textModel: e.target.value })}
+              placeholder={isAnthropic ? 'claude-sonnet-4-5' : 'llama-3.3-70b-instruct'}
+              dir="ltr"
+            />
+            <FormInput
+              label={t('admin.aiProviders.form.inputRate')}
+              type="number"
+              min="0"
+              step="any"
+              value={formData.textInputRate}
+              onChange={(e) => setFormData({ ...formData, textInputRate: e.target.value })}
+            />
+            <FormInput
+              label={t('admin.aiProviders.form.outputRate')}
+              type="number"
+              min="0"
+              step="any"
+              value={formData.textOutputRate}
+              onChange={(e) => setFormData({ ...formData, textOutputRate: e.target.value })}
+            />
+          </div>
+
+          {!isAnthropic && (
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem' }}>
+              <FormInput
+                label={t('admin.aiProviders.form.embeddingModel')}
+                value={formData.embeddingModel}
+                onChange={(e) => setFormData({ ...formData, embeddingModel: e.target.value })}
+                placeholder="nomic-embed-text"
+                dir="ltr"
+              />
+              <FormInput
+                label={t('admin.aiProviders.form.inputRate')}
+                type="number"
+                min="0"
+                step="any"
+                value={formData.embeddingRate}
+                onChange={(e) => setFormData({ ...formData, embeddingRate: e.target.value })}
+                disabled={!formData.embeddingModel}
+              />
+            </div>
+          )}
+          <p style={{ margin: 0, fontSize: '0.8125rem', color: 'var(--muted-foreground)' }}>
+            {t('admin.aiProviders.form.pricingHint')}
+          </p>
+
+          <FormField label={t('admin.aiProviders.form.operations')}>
+            <p style={{ margin: '0 0 0.5rem', fontSize: '0.8125rem', color: 'var(--muted-foreground)' }}>
+              {t('admin.aiProviders.form.operationsHint')}
+            </p>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(14rem, 1fr))',
+              gap: '0.25rem 1rem',
+              maxHeight: '12rem',
+              overflowY: 'auto',
+              padding: '0.5rem',
+              border: '1px solid var(--border)',
+              borderRadius: 'var(--radius-md)',
+            }}>
+              {OPERATION_KEYS.map(key => (
+                <FormCheckbox
+                  key={key}
+                  label={AI_OPERATIONS[key].name}
+                  checked={formData.operations.includes(key)}
+                  onChange={() => toggleOperation(key)}
+                />
+              ))}
+            </div>
+          </FormField>
+
+          <FormCheckbox
+            label={t('admin.aiProviders.form.isActive')}
+            checked={formData.isActive}
+            onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+          />
+
+          <FormActions>
+            <SecondaryButton onClick={() => setEditModalOpen(false)}>
+              {t('admin.common.cancel')}
+            </SecondaryButton>
+            <PrimaryButton onClick={handleSubmit} isLoading={isSubmitting}>
+              {selectedConfig ? t('admin.common.save') : t('admin.aiProviders.add')}
+            </PrimaryButton>
+          </FormActions>
+        </div>
+      </AdminModal>
+
+      <ConfirmDialog
+        isOpen={deleteDialogOpen}
+        onClose={() => setDeleteDialogOpen(false)}
+        onConfirm={handleDeleteConfirm}
+        title={t('admin.aiProviders.delete')}
+        message={t('admin.aiProviders.deleteConfirm')}
+        confirmText={t('admin.common.delete')}
+        cancelText={t('admin.common.cancel')}
+        variant="danger"
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+}
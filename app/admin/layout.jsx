@@ -23,6 +23,8 @@ import {
   Eye,
   LogOut,
   ChevronDown,
+  Cpu,
+  Layers,
 } from 'lucide-react';
 import { DashboardHeader } from '@/app/dashboard/components/DashboardHeader';
 import { ImpersonationBanner } from '@/app/components/ImpersonationBanner';
@@ -62,6 +64,8 @@ const SECTIONS = [
     items: [
       { icon: Languages, labelKey: 'nav.admin.translations', path: '/admin/translations' },
       { icon: Link2, labelKey: 'nav.admin.backlinks', path: '/admin/backlinks' },
+      { icon: Cpu, labelKey: 'nav.admin.aiProviders', path: '/admin/ai-providers' },
+      { icon: Layers, labelKey: 'nav.admin.queue', path: '/admin/queue' },
       { icon: Globe, labelKey: 'nav.admin.website', path: '/admin/website' },
       { icon: HelpCircle, labelKey: 'nav.admin.faq', path: '/admin/faq' },
       { icon: LifeBuoy, labelKey: 'nav.admin.support', path: '/admin/support' },
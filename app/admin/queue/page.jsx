@@ -0,0 +1,296 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, RotateCcw, XCircle, Layers, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { useUser } from '@/app/context/user-context';
+import { TableSkeleton, Button } from '@/app/dashboard/components';
+import styles from '../admin.module.css';
+
+const STATUS_BADGE = {
+  PENDING: styles.pending,
+  RUNNING: styles.active,
+  COMPLETED: styles.active,
+  DEAD: styles.error,
+  CANCELLED: styles.inactive,
+};
+
+function formatAge(ms) {
+  if (ms == null) return '-';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.floor(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function payloadSummary(payload) {
+  if (!payload) return '';
+  return Object.entries(payload).map(([key, value]) => `${key}: ${value}`).join(', ');
+}
+
+export default function QueuePage() {
+  const { t, locale } = useLocale();
+  const { isSuperAdmin, isLoading: isUserLoading } = useUser();
+
+  const [stats, setStats] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [options, setOptions] = useState({ statuses: [], types: [] });
+  const [statusFilter, setStatusFilter] = useState('DEAD');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(25);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = new URLSearchParams({ page: String(page) });
+      if (statusFilter) params.set('status', statusFilter);
+      if (typeFilter) params.set('type', typeFilter);
+      const res = await fetch(`/api/admin/queue?${params}`);
+      if (!res.ok) throw new Error('Failed to fetch queue');
+      const data = await res.json();
+      setStats(data.stats);
+      setJobs(data.jobs || []);
+      setTotal(data.total || 0);
+      setLimit(data.limit || 25);
+      setOptions(data.options || { statuses: [], types: [] });
+    } catch (err) {
+      console.error('Error loading queue:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, statusFilter, typeFilter]);
+
+  useEffect(() => {
+    if (isSuperAdmin) loadQueue();
+  }, [isSuperAdmin, loadQueue]);
+
+  const handleAction = async (job, action) => {
+    try {
+      setBusyJobId(job.id);
+      const res = await fetch(`/api/admin/queue/${job.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        alert(err.error || t('admin.common.error'));
+        return;
+      }
+      loadQueue();
+    } catch (err) {
+      console.error(`Error running ${action} on job:`, err);
+      alert(t('admin.common.error'));
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  if (!isUserLoading && !isSuperAdmin) {
+    return null;
+  }
+
+  const showSkeletons = isUserLoading || isLoading;
+  const totals = stats?.totals || { pending: 0, due: 0, running: 0, dead: 0, dead24h: 0 };
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const formatDate = (value) => (value ? new Date(value).toLocaleString(locale) : '-');
+
+  return (
+    <div className={styles.adminPage}>
+      <div className={styles.adminHeader}>
+        <h1 className={styles.adminTitle}>{t('admin.queue.title')}</h1>
+        <p className={styles.adminSubtitle}>{t('admin.queue.subtitle')}</p>
+      </div>
+
+      <div className={styles.statsGrid}>
+        {['pending', 'due', 'running', 'dead24h'].map((key) => (
+          <div key={key} className={styles.statCard}>
+            <div className={styles.statLabel}>{t(`admin.queue.stats.${key}`)}</div>
+            <div className={styles.statValue}>{totals[key]}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.tableContainer} style={{ marginBottom: '1.5rem' }}>
+        {showSkeletons && !stats ? (
+          <TableSkeleton columns={6} rows={6} />
+        ) : (
+          <table className={styles.table}>
+            <thead className={styles.tableHeader}>
+              <tr>
+                <th>{t('admin.queue.columns.type')}</th>
+                <th>{t('admin.queue.stats.pending')}</th>
+                <th>{t('admin.queue.stats.due')}</th>
+                <th>{t('admin.queue.stats.running')}</th>
+                <th>{t('admin.queue.stats.dead')}</th>
+                <th>{t('admin.queue.columns.oldestDue')}</th>
+              </tr>
+            </thead>
+            <tbody className={styles.tableBody}>
+              {(stats?.types || []).map((row) => (
+                <tr key={row.type}>
+                  <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>{row.type}</td>
+                  <td>{row.pending}</td>
+                  <td>{row.due}</td>
+                  <td>{row.running}</td>
+                  <td>
+                    {row.dead > 0 ? (
+                      <button
+                        className={`${styles.statusBadge} ${styles.error}`}
+                        onClick={() => { setStatusFilter('DEAD'); setTypeFilter(row.type); setPage(1); }}
+                      >
+                        {row.dead}
+                      </button>
+                    ) : 0}
+                  </td>
+                  <td>{formatAge(row.oldestDueAgeMs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className={styles.adminToolbar}>
+        <div className={styles.toolbarLeft}>
+          <select
+            className={styles.filterSelect}
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
+          >
+            <option value="">{t('admin.common.allStatus')}</option>
+            {options.statuses.map(status => (
+              <option key={status} value={status}>{t(`admin.queue.statuses.${status}`)}</option>
+            ))}
+          </select>
+          <select
+            className={styles.filterSelect}
+            value={typeFilter}
+            onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}
+          >
+            <option value="">{t('admin.common.allTypes')}</option>
+            {options.types.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <div className={styles.toolbarRight}>
+          <button className={styles.refreshButton} onClick={loadQueue} title={t('admin.common.refresh')}>
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.tableContainer}>
+        {showSkeletons ? (
+          <TableSkeleton columns={6} rows={5} />
+        ) : jobs.length === 0 ? (
+          <div className={styles.emptyState}>
+            <Layers size={48} className={styles.emptyIcon} />
+            <h3 className={styles.emptyTitle}>{t('admin.queue.empty')}</h3>
+          </div>
+        ) : (
+          <>
+            <table className={styles.table}>
+              <thead className={styles.tableHeader}>
+                <tr>
+                  <th>{t('admin.queue.columns.job')}</th>
+                  <th>{t('admin.queue.columns.status')}</th>
+                  <th>{t('admin.queue.columns.attempts')}</th>
+                  <th>{t('admin.queue.columns.lastError')}</th>
+                  <th>{t('admin.queue.columns.updated')}</th>
+                  <th>{t('admin.queue.columns.actions')}</th>
+                </tr>
+              </thead>
+              <tbody className={styles.tableBody}>
+                {jobs.map((job) => (
+                  <tr key={job.id}>
+                    <td>
+                      <strong style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>{job.type}</strong>
+                      <div dir="ltr" style={{ fontSize: '0.75rem', color: 'var(--muted-foreground)', marginTop: '0.25rem' }}>
+                        {payloadSummary(job.payload)}
+                      </div>
+                    </td>
+                    <td>
+                      <span className={`${styles.statusBadge} ${STATUS_BADGE[job.status] || ''}`}>
+                        {t(`admin.queue.statuses.${job.status}`)}
+                      </span>
+                      {job.status === 'PENDING' && new Date(job.runAt) > new Date() && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--muted-foreground)', marginTop: '0.25rem' }}>
+                          {t('admin.queue.nextRun', { date: formatDate(job.runAt) })}
+                        </div>
+                      )}
+                    </td>
+                    <td>{job.attempts}/{job.maxAttempts}</td>
+                    <td
+                      dir="ltr"
+                      title={(job.errorLog || []).map(e => `#${e.attempt} ${e.at}: ${e.message}`).join('\n')}
+                      style={{ maxWidth: '22rem', fontSize: '0.8125rem', color: job.lastError ? 'var(--destructive)' : 'var(--muted-foreground)' }}
+                    >
+                      {job.lastError || '-'}
+                    </td>
+                    <td style={{ fontSize: '0.8125rem' }}>{formatDate(job.updatedAt)}</td>
+                    <td>
+                      <div className={styles.actionButtons}>
+                        {(job.status === 'DEAD' || job.status === 'CANCELLED') && (
+                          <Button
+                            variant="icon"
+                            onClick={() => handleAction(job, 'retry')}
+                            disabled={busyJobId === job.id}
+                            title={t('admin.queue.retry')}
+                          >
+                            <RotateCcw size={14} />
+                          </Button>
+                        )}
+                        {job.status === 'PENDING' && (
+                          <Button
+                            variant="icon"
+                            iconDanger
+                            onClick={() => handleAction(job, 'cancel')}
+                            disabled={busyJobId === job.id}
+                            title={t('admin.queue.cancel')}
+                          >
+                            <XCircle size={14} />
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {totalPages > 1 && (
+              <div className={styles.pagination}>
+                <div className={styles.paginationInfo}>
+                  {t('admin.common.pagination.showing')} {(page - 1) * limit + 1} {t('admin.common.pagination.to')}{' '}
+                  {Math.min(page * limit, total)} {t('admin.common.pagination.of')} {total}
+                </div>
+                <div className={styles.paginationButtons}>
+                  <button
+                    className={styles.paginationButton}
+                    onClick={() => setPage(p => Math.max(1, p - 1))}
+                    disabled={page === 1}
+                  >
+                    <ChevronLeft size={16} />
+                  </button>
+                  <button
+                    className={styles.paginationButton}
+                    onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+                    disabled={page === totalPages}
+                  >
+                    <ChevronRight size={16} />
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
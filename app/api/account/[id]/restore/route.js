@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   isWithinRestoreWindow,
   restoreAccount,
   purgeArchivedAccount,
 } from '@/lib/account-archive';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/account/[id]/restore
  * Restore an archived account. Owner-only. Must be within the 14-day window.
@@ -16,8 +14,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(_request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -1,14 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 // GET - Get account by ID
 export async function GET(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -70,8 +67,7 @@ export async function GET(request, { params }) {
 // PUT - Update account
 export async function PUT(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import { activityToCsv, activityWhere, recordActivity, serializeActivity } from '@/lib/activity-log/log';
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const MAX_EXPORT_ROWS = 50000;
+
+/**
+ * GET /api/account/activity/export?format=csv|json
+ * Download the activity log with the viewer's filters applied, newest first.
+ * Owner only; the export itself is logged.
+ */
+export async function GET(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can export the activity log' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }, { status: 400 });
+    }
+
+    const entries = await prisma.activityLog.findMany({
+      where: activityWhere(member.accountId, searchParams),
+      orderBy: { createdAt: 'desc' },
+      take: MAX_EXPORT_ROWS,
+    });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'activity_log.exported',
+      after: { format, entries: entries.length, filters: Object.fromEntries(searchParams) },
+    });
+
+    const body = format === 'json'
+      ? JSON.stringify(entries.map(serializeActivity), null, 2)
+      : activityToCsv(entries);
+    const filename = `activity-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    return new NextResponse(body, {
+      status: 200,
+      headers: {
+        'Content-Type': `${format === 'json' ? 'application/json' : 'text/csv'}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error exporting activity log:', error);
+    return NextResponse.json({ error: 'Failed to export activity log' }, { status: 500 });
+  }
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import { recordActivity } from '@/lib/activity-log/log';
+import { ACTIVITY_RETENTION_DAYS } from '@/lib/activity-log/actions';
+
+// PUT - How long activity log entries are kept. Owner only; a shorter period
+// takes effect at the next nightly purge.
+export async function PUT(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can change this setting' }, { status: 403 });
+    }
+
+    const { retentionDays } = await request.json();
+    if (!ACTIVITY_RETENTION_DAYS.includes(retentionDays)) {
+      return NextResponse.json(
+        { error: `retentionDays must be one of ${ACTIVITY_RETENTION_DAYS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const account = await prisma.account.findUnique({
+      where: { id: member.accountId },
+      select: { activityRetentionDays: true },
+    });
+
+    if (account.activityRetentionDays !== retentionDays) {
+      await prisma.account.update({
+        where: { id: member.accountId },
+        data: { activityRetentionDays: retentionDays },
+      });
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'activity_log.retention_changed',
+        before: { retentionDays: account.activityRetentionDays },
+        after: { retentionDays },
+      });
+    }
+
+    return NextResponse.json({ retentionDays });
+  } catch (error) {
+    console.error('Error updating activity log retention:', error);
+    return NextResponse.json({ error: 'Failed to update retention' }, { status: 500 });
+  }
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import { activityWhere, serializeActivity } from '@/lib/activity-log/log';
+import { ACTIVITY_RETENTION_DAYS } from '@/lib/activity-log/actions';
+
+const PAGE_SIZE = 25;
+
+// GET - The account's activity log, newest first. Owner only.
+// Filters: ?category=, ?action=, ?actor=, ?actorType=, ?q=, ?from=, ?to=, ?page=
+export async function GET(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can view the activity log' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+    const where = activityWhere(member.accountId, searchParams);
+
+    const [entries, total, account, members] = await Promise.all([
+      prisma.activityLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * PAGE_SIZE,
+        take: PAGE_SIZE,
+      }),
+      prisma.activityLog.count({ where }),
+      prisma.account.findUnique({
+        where: { id: member.accountId },
+        select: { activityRetentionDays: true },
+      }),
+      prisma.accountMember.findMany({
+        where: { accountId: member.accountId, userId: { not: null } },
+        select: { user: { select: { id: true, email: true, firstName: true, lastName: true } } },
+      }),
+    ]);
+
+    return NextResponse.json({
+      entries: entries.map(serializeActivity),
+      total,
+      page,
+      limit: PAGE_SIZE,
+      retentionDays: account?.activityRetentionDays,
+      retentionOptions: ACTIVITY_RETENTION_DAYS,
+      actors: members
+        .filter(m => m.user)
+        .map(m => ({
+          id: m.user.id,
+          email: m.user.email,
+          name: [m.user.firstName, m.user.lastName].filter(Boolean).join(' ') || null,
+        })),
+    });
+  } catch (error) {
+    console.error('Error fetching activity log:', error);
+    return NextResponse.json({ error: 'Failed to fetch activity log' }, { status: 500 });
+  }
+}
@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   isWithinRestoreWindow,
   purgeArchivedAccount,
 } from '@/lib/account-archive';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/account/archived-owned
  * List archived accounts the current user owns. Purges any whose restore
@@ -15,8 +13,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
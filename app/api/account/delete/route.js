@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { archiveAccount } from '@/lib/account-archive';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * DELETE /api/account/delete
  * Soft-archive the owner's account. Owner-only.
@@ -21,8 +19,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function DELETE() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -14,6 +14,7 @@ import { NextResponse } from 'next/server';
 import { getCurrentAccountMember } from '@/lib/auth-permissions';
 import prisma from '@/lib/prisma';
 import { addAiCredits } from '@/lib/account-utils';
+import { recordActivity } from '@/lib/activity-log/log';
 
 export async function POST(request) {
   try {
@@ -93,6 +94,14 @@ export async function POST(request) {
         });
       }
 
+      await recordActivity({
+        accountId: targetAccountId,
+        userId: member.userId,
+        action: 'addon.purchased',
+        target: { type: 'addon_purchase', id: purchase.id, label: addOn.name },
+        after: { addOn: addOn.name, quantity: 1, billingType: addOn.billingType },
+      });
+
       return NextResponse.json({
         success: true,
         message: `Successfully purchased ${addOn.name}`,
@@ -115,6 +124,14 @@ export async function POST(request) {
       // TODO: If Stripe is integrated, update the Stripe subscription here
       // e.g. stripe.subscriptionItems.create({ subscription: stripeSub, price: addOn.stripePriceId })
 
+      await recordActivity({
+        accountId: targetAccountId,
+        userId: member.userId,
+        action: 'addon.purchased',
+        target: { type: 'addon_purchase', id: purchase.id, label: addOn.name },
+        after: { addOn: addOn.name, quantity: 1, billingType: addOn.billingType, expiresAt: purchase.expiresAt },
+      });
+
       return NextResponse.json({
         success: true,
         message: `Successfully added ${addOn.name} to your subscription`,
@@ -1,16 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getAccountResourceLimits } from '@/lib/account-utils';
 import { getAccountUsage } from '@/lib/account-limits';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import { getTwoFactorState } from '@/lib/two-factor/policy';
+import { recordActivity } from '@/lib/activity-log/log';
+
+// Active members with neither an authenticator app nor a passkey.
+async function countMembersWithoutTwoFactor(accountId) {
+  const members = await prisma.accountMember.findMany({
+    where: { accountId, status: 'ACTIVE', userId: { not: null } },
+    select: {
+      user: {
+        select: { totpEnabledAt: true, _count: { select: { passkeys: true } } },
+      },
+    },
+  });
+  return members.filter(m => m.user && !m.user.totpEnabledAt && m.user._count.passkeys === 0).length;
+}
+
+// GET - The current account's security policy
+export async function GET() {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+
+    const account = await prisma.account.findUnique({
+      where: { id: member.accountId },
+      select: { requireTwoFactor: true },
+    });
+
+    return NextResponse.json({
+      requireTwoFactor: !!account?.requireTwoFactor,
+      membersWithoutTwoFactor: member.isOwner ? await countMembersWithoutTwoFactor(member.accountId) : null,
+      canEdit: member.isOwner,
+    });
+  } catch (error) {
+    console.error('Error fetching account security:', error);
+    return NextResponse.json({ error: 'Failed to fetch security settings' }, { status: 500 });
+  }
+}
+
+// PUT - Require (or stop requiring) 2FA for every member. Owner only; the
+// owner must have 2FA themselves before turning it on. Members without it
+// are asked to enroll the next time they sign in.
+export async function PUT(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can change this setting' }, { status: 403 });
+    }
+
+    const { requireTwoFactor } = await request.json();
+    if (typeof requireTwoFactor !== 'boolean') {
+      return NextResponse.json({ error: 'requireTwoFactor must be a boolean' }, { status: 400 });
+    }
+
+    if (requireTwoFactor) {
+      const state = await getTwoFactorState(member.userId);
+      if (!state.enabled) {
+        return NextResponse.json(
+          { error: 'Enable two-factor authentication on your own profile first', code: 'ownerTwoFactorRequired' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const account = await prisma.account.findUnique({
+      where: { id: member.accountId },
+      select: { requireTwoFactor: true },
+    });
+
+    if (account.requireTwoFactor !== requireTwoFactor) {
+      await prisma.account.update({
+        where: { id: member.accountId },
+        data: { requireTwoFactor },
+      });
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'security.updated',
+        before: { requireTwoFactor: account.requireTwoFactor },
+        after: { requireTwoFactor },
+      });
+    }
+
+    return NextResponse.json({
+      requireTwoFactor,
+      membersWithoutTwoFactor: await countMembersWithoutTwoFactor(member.accountId),
+    });
+  } catch (error) {
+    console.error('Error updating account security:', error);
+    return NextResponse.json({ error: 'Failed to update security settings' }, { status: 500 });
+  }
+}
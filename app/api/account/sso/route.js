@@ -0,0 +1,229 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { encryptCredential } from '@/lib/site-keys';
+import {
+  findClaimedDomains,
+  generateDomainVerificationToken,
+  getSsoUrls,
+  isConnectionConfigured,
+  normalizeDomains,
+  serializeConnection,
+} from '@/lib/sso/connections';
+import { normalizeCertificate } from '@/lib/sso/saml';
+import { diffFields, recordActivity } from '@/lib/activity-log/log';
+
+const PROTOCOLS = ['OIDC', 'SAML'];
+
+// Fields summarized in the activity log. Secrets and the certificate are left
+// out; a changed certificate shows up as `samlCertificateChanged`.
+const LOGGED_FIELDS = [
+  'protocol',
+  'enabled',
+  'domains',
+  'jitProvisioning',
+  'defaultRoleId',
+  'groupsAttribute',
+  'roleMappings',
+  'oidcIssuer',
+  'oidcClientId',
+  'samlEntryPoint',
+  'samlIdpEntityId',
+];
+
+function badRequest(error, code, status = 400) {
+  return NextResponse.json({ error, code }, { status });
+}
+
+// IdP endpoints must be https; plain http is allowed in development for a
+// local Keycloak.
+function readUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return { value: null };
+  try {
+    const url = new URL(raw);
+    const allowed = url.protocol === 'https:' || (url.protocol === 'http:' && process.env.NODE_ENV !== 'production');
+    return allowed ? { value: raw.replace(/\/+$/, '') } : { invalid: true };
+  } catch {
+    return { invalid: true };
+  }
+}
+
+function readText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+// GET - The account's SSO connection, plus the SP URLs and assignable roles
+export async function GET() {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'MEMBERS', 'VIEW')) {
+      return NextResponse.json({ error: 'Permission denied' }, { status: 403 });
+    }
+
+    const [connection, roles] = await Promise.all([
+      prisma.ssoConnection.findUnique({ where: { accountId: member.accountId } }),
+      prisma.role.findMany({
+        where: { accountId: member.accountId, name: { not: 'Owner' } },
+        select: { id: true, name: true },
+        orderBy: { createdAt: 'asc' },
+      }),
+    ]);
+
+    return NextResponse.json({
+      connection: connection ? serializeConnection(connection) : null,
+      urls: getSsoUrls(),
+      roles,
+      canEdit: member.isOwner,
+    });
+  } catch (error) {
+    console.error('Error fetching SSO connection:', error);
+    return NextResponse.json({ error: 'Failed to fetch SSO settings' }, { status: 500 });
+  }
+}
+
+// PUT - Save the connection. Owner only: whoever controls the IdP controls
+// who can sign in to the account. The client secret is only replaced when a
+// new one is sent.
+export async function PUT(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can change single sign-on' }, { status: 403 });
+    }
+
+    const body = await request.json();
+
+    const protocol = body.protocol || 'OIDC';
+    if (!PROTOCOLS.includes(protocol)) {
+      return badRequest('Unsupported protocol', 'invalidProtocol');
+    }
+
+    const { domains, invalid } = normalizeDomains(body.domains);
+    if (invalid.length > 0) {
+      return NextResponse.json(
+        { error: `Invalid domains: ${invalid.join(', ')}`, code: 'invalidDomains', domains: invalid },
+        { status: 400 }
+      );
+    }
+
+    const oidcIssuer = readUrl(body.oidcIssuer);
+    const samlEntryPoint = readUrl(body.samlEntryPoint);
+    if (oidcIssuer.invalid || samlEntryPoint.invalid) {
+      return badRequest('IdP URLs must be valid https URLs', 'invalidUrl');
+    }
+
+    let samlCertificate = null;
+    if (readText(body.samlCertificate)) {
+      samlCertificate = normalizeCertificate(body.samlCertificate);
+      if (!samlCertificate) {
+        return badRequest('The IdP certificate is not a valid X.509 certificate', 'invalidCertificate');
+      }
+    }
+
+    const roleMappings = (Array.isArray(body.roleMappings) ? body.roleMappings : [])
+      .map(m => ({ group: String(m?.group || '').trim(), roleId: String(m?.roleId || '') }))
+      .filter(m => m.group && m.roleId);
+    const defaultRoleId = readText(body.defaultRoleId);
+
+    const roleIds = [...new Set([defaultRoleId, ...roleMappings.map(m => m.roleId)].filter(Boolean))];
+    if (roleIds.length > 0) {
+      const validRoles = await prisma.role.count({
+        where: { id: { in: roleIds }, accountId: member.accountId, name: { not: 'Owner' } },
+      });
+      if (validRoles !== roleIds.length) {
+        return badRequest('Unknown role', 'invalidRole');
+      }
+    }
+
+    const claimed = await findClaimedDomains(member.accountId, domains);
+    if (claimed.length > 0) {
+      return NextResponse.json(
+        { error: `Already used by another account: ${claimed.join(', ')}`, code: 'domainClaimed', domains: claimed },
+        { status: 409 }
+      );
+    }
+
+    const existing = await prisma.ssoConnection.findUnique({ where: { accountId: member.accountId } });
+    const oidcClientSecret = readText(body.oidcClientSecret);
+    // A removed domain loses its verification; adding it back means
+    // verifying again.
+    const verifiedDomains = (existing?.verifiedDomains || []).filter(d => domains.includes(d));
+
+    const data = {
+      protocol,
+      enabled: body.enabled === true,
+      domains,
+      verifiedDomains,
+      domainVerificationToken: existing?.domainVerificationToken || generateDomainVerificationToken(),
+      jitProvisioning: body.jitProvisioning !== false,
+      defaultRoleId,
+      groupsAttribute: readText(body.groupsAttribute) || 'groups',
+      roleMappings,
+      oidcIssuer: oidcIssuer.value,
+      oidcClientId: readText(body.oidcClientId),
+      oidcClientSecretEnc: oidcClientSecret
+        ? encryptCredential(oidcClientSecret)
+        : existing?.oidcClientSecretEnc || null,
+      samlEntryPoint: samlEntryPoint.value,
+      samlIdpEntityId: readText(body.samlIdpEntityId),
+      samlCertificate,
+    };
+
+    if (data.enabled) {
+      if (!isConnectionConfigured(data)) {
+        return badRequest('Fill in the identity provider settings before enabling SSO', 'incomplete');
+      }
+      if (domains.length === 0) {
+        return badRequest('Add at least one email domain before enabling SSO', 'domainsRequired');
+      }
+      if (verifiedDomains.length === 0) {
+        return badRequest('Verify at least one email domain before enabling SSO', 'domainsUnverified');
+      }
+      if (data.jitProvisioning && !defaultRoleId) {
+        return badRequest('Choose a default role for members created on first sign-in', 'defaultRoleRequired');
+      }
+    }
+
+    const connection = await prisma.ssoConnection.upsert({
+      where: { accountId: member.accountId },
+      create: { accountId: member.accountId, ...data },
+      update: data,
+    });
+
+    const changes = diffFields(existing, data, LOGGED_FIELDS);
+    if ((existing?.samlCertificate || null) !== samlCertificate) changes.after.samlCertificateChanged = true;
+    if (oidcClientSecret) changes.after.oidcClientSecretChanged = true;
+    if (Object.keys(changes.after).length > 0) {
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'sso.updated',
+        target: { type: 'sso_connection', id: connection.id, label: protocol },
+        ...changes,
+      });
+    }
+
+    return NextResponse.json({ connection: serializeConnection(connection) });
+  } catch (error) {
+    console.error('Error updating SSO connection:', error);
+    return NextResponse.json({ error: 'Failed to update SSO settings' }, { status: 500 });
+  }
+}
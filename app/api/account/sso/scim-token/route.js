@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import { serializeConnection } from '@/lib/sso/connections';
+import { generateScimToken } from '@/lib/sso/scim';
+import { recordActivity } from '@/lib/activity-log/log';
+
+async function requireOwner() {
+  const result = await getCurrentAccountMember();
+  if (!result.authorized) {
+    return { error: NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const member = result.member;
+  if (!member.accountId) {
+    return { error: NextResponse.json({ error: 'No account selected' }, { status: 400 }) };
+  }
+  if (!member.isOwner) {
+    return {
+      error: NextResponse.json({ error: 'Only the account owner can manage the SCIM token' }, { status: 403 }),
+    };
+  }
+
+  return { member };
+}
+
+// POST - Issue a SCIM token, replacing any existing one. The plaintext is
+// returned only in this response.
+export async function POST() {
+  try {
+    const { error, member } = await requireOwner();
+    if (error) return error;
+
+    const { token, hash, prefix } = generateScimToken();
+    const tokenData = {
+      scimTokenHash: hash,
+      scimTokenPrefix: prefix,
+      scimTokenCreatedAt: new Date(),
+      scimLastUsedAt: null,
+    };
+
+    const connection = await prisma.ssoConnection.upsert({
+      where: { accountId: member.accountId },
+      create: { accountId: member.accountId, ...tokenData },
+      update: tokenData,
+    });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'sso.scim_token_created',
+      target: { type: 'scim_token', id: connection.id, label: prefix },
+    });
+
+    return NextResponse.json({ token, scimToken: serializeConnection(connection).scimToken });
+  } catch (error) {
+    console.error('Error creating SCIM token:', error);
+    return NextResponse.json({ error: 'Failed to create SCIM token' }, { status: 500 });
+  }
+}
+
+// DELETE - Revoke the SCIM token; the IdP stops provisioning immediately
+export async function DELETE() {
+  try {
+    const { error, member } = await requireOwner();
+    if (error) return error;
+
+    await prisma.ssoConnection.updateMany({
+      where: { accountId: member.accountId },
+      data: { scimTokenHash: null, scimTokenPrefix: null, scimTokenCreatedAt: null, scimLastUsedAt: null },
+    });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'sso.scim_token_revoked',
+      target: { type: 'scim_token' },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking SCIM token:', error);
+    return NextResponse.json({ error: 'Failed to revoke SCIM token' }, { status: 500 });
+  }
+}
@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember } from '@/lib/auth-permissions';
+import {
+  checkDomainVerification,
+  findClaimedDomains,
+  generateDomainVerificationToken,
+  serializeConnection,
+} from '@/lib/sso/connections';
+import { recordActivity } from '@/lib/activity-log/log';
+
+// POST - Check the TXT record of one listed domain and mark it verified.
+// Owner only, like the rest of the connection. Body: { domain }
+export async function POST(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+    if (!member.isOwner) {
+      return NextResponse.json({ error: 'Only the account owner can change single sign-on' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const domain = String(body.domain || '').trim().toLowerCase();
+
+    let connection = await prisma.ssoConnection.findUnique({ where: { accountId: member.accountId } });
+    if (!connection || !connection.domains.includes(domain)) {
+      return NextResponse.json({ error: 'Save the domain before verifying it' }, { status: 404 });
+    }
+    if (connection.verifiedDomains.includes(domain)) {
+      return NextResponse.json({ connection: serializeConnection(connection) });
+    }
+    // Connections saved before verification existed have no token yet; the
+    // owner gets one now and publishes it before trying again.
+    if (!connection.domainVerificationToken) {
+      connection = await prisma.ssoConnection.update({
+        where: { id: connection.id },
+        data: { domainVerificationToken: generateDomainVerificationToken() },
+      });
+    }
+
+    const claimed = await findClaimedDomains(member.accountId, [domain]);
+    if (claimed.length > 0) {
+      return NextResponse.json(
+        { error: `Already used by another account: ${domain}`, code: 'domainClaimed', domains: claimed },
+        { status: 409 }
+      );
+    }
+
+    if (!(await checkDomainVerification(connection, domain))) {
+      return NextResponse.json(
+        {
+          error: `The verification TXT record was not found for ${domain}`,
+          code: 'verificationFailed',
+          domains: [domain],
+          connection: serializeConnection(connection),
+        },
+        { status: 422 }
+      );
+    }
+
+    connection = await prisma.ssoConnection.update({
+      where: { id: connection.id },
+      data: { verifiedDomains: { push: domain } },
+    });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'sso.domain_verified',
+      target: { type: 'sso_connection', id: connection.id, label: domain },
+    });
+
+    return NextResponse.json({ connection: serializeConnection(connection) });
+  } catch (error) {
+    console.error('Error verifying SSO domain:', error);
+    return NextResponse.json({ error: 'Failed to verify the domain' }, { status: 500 });
+  }
+}
@@ -24,6 +24,8 @@ import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember } from '@/lib/auth-permissions';
 import { downgradeToFreeFallback } from '@/lib/billing-engine';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 
 export async function POST(request) {
   try {
@@ -89,6 +91,14 @@ export async function POST(request) {
           { status: 503 }
         );
       }
+      await recordActivity({
+        accountId: targetAccountId,
+        userId: member.userId,
+        action: 'subscription.canceled',
+        target: { type: 'subscription', id: subscription.id, label: subscription.plan?.name },
+        before: { status: subscription.status, plan: subscription.plan?.name },
+        after: { outcome: 'switched_to_free', planId: result.subscription.planId },
+      });
       return NextResponse.json({
         success: true,
         outcome: 'switched_to_free',
@@ -116,6 +126,15 @@ export async function POST(request) {
         currentPeriodEnd: true,
       },
     });
+    await emitSubscriptionUpdated(subscription, updated, 'cancel_scheduled');
+    await recordActivity({
+      accountId: targetAccountId,
+      userId: member.userId,
+      action: 'subscription.canceled',
+      target: { type: 'subscription', id: subscription.id, label: subscription.plan?.name },
+      before: { status: subscription.status },
+      after: { outcome: 'canceled_at_period_end', currentPeriodEnd: updated.currentPeriodEnd },
+    });
 
     return NextResponse.json({
       success: true,
@@ -1,14 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 // POST - Upload account logo
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -89,8 +86,7 @@ export async function POST(request) {
 // DELETE - Remove account logo
 export async function DELETE(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
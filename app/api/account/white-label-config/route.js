@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getPlanLimits } from '@/lib/account-utils';
 
-const SESSION_COOKIE = 'user_session';
-
 // Helper to get user's current account with plan info and owner email
 async function getUserAccount(userId) {
   const membership = await prisma.accountMember.findFirst({
@@ -44,8 +42,7 @@ async function getUserAccount(userId) {
 // GET - Get white-label configuration
 export async function GET(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -74,8 +71,7 @@ export async function GET(request) {
 // PUT - Update white-label configuration
 export async function PUT(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { encryptCredential } from '@/lib/site-keys';
+import { getAiPricing } from '@/lib/actions/ai-pricing';
+import {
+  sanitizeProviderConfig,
+  saveModelTokenPricing,
+  serializeProviderConfig,
+  invalidateProviderConfigCache,
+} from '@/lib/ai/providers';
+
+// Verify super admin access
+async function verifySuperAdmin() {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) return null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, isSuperAdmin: true },
+    });
+
+    if (!user || !user.isSuperAdmin) return null;
+    return user;
+  } catch (error) {
+    console.error('Auth error:', error);
+    return null;
+  }
+}
+
+// PUT /api/admin/ai-providers/[id] - Update a provider config.
+// `apiKey` replaces the stored key when non-empty; `clearApiKey: true` removes it.
+export async function PUT(request, { params }) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const existing = await prisma.aiProviderConfig.findUnique({ where: { id } });
+    if (!existing) {
+      return NextResponse.json({ error: 'Provider config not found' }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { data, error } = sanitizeProviderConfig({ ...existing, ...body });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const apiKey = typeof body.apiKey === 'string' ? body.apiKey.trim() : '';
+    let encryptedApiKey = existing.encryptedApiKey;
+    if (apiKey) encryptedApiKey = encryptCredential(apiKey);
+    else if (body.clearApiKey) encryptedApiKey = null;
+    if (!encryptedApiKey && data.provider === 'ANTHROPIC') {
+      return NextResponse.json({ error: 'Anthropic requires an API key' }, { status: 400 });
+    }
+
+    const config = await prisma.aiProviderConfig.update({
+      where: { id },
+      data: { ...data, encryptedApiKey },
+      include: { account: { select: { id: true, name: true } } },
+    });
+
+    if (body.pricing?.text) await saveModelTokenPricing(data.provider, data.textModel, body.pricing.text);
+    if (body.pricing?.embedding && data.embeddingModel) {
+      await saveModelTokenPricing(data.provider, data.embeddingModel, body.pricing.embedding);
+    }
+    invalidateProviderConfigCache(existing.accountId);
+
+    const pricing = await getAiPricing();
+    return NextResponse.json({ config: serializeProviderConfig(config, pricing) });
+  } catch (error) {
+    console.error('Error updating AI provider config:', error);
+    return NextResponse.json({ error: 'Failed to update AI provider config' }, { status: 500 });
+  }
+}
+
+// DELETE /api/admin/ai-providers/[id] - Remove a config; the account falls
+// back to its other configs, then to Gemini. Model pricing rows are kept -
+// other accounts may use the same model.
+export async function DELETE(request, { params }) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const existing = await prisma.aiProviderConfig.findUnique({
+      where: { id },
+      select: { id: true, accountId: true },
+    });
+    if (!existing) {
+      return NextResponse.json({ error: 'Provider config not found' }, { status: 404 });
+    }
+
+    await prisma.aiProviderConfig.delete({ where: { id } });
+    invalidateProviderConfigCache(existing.accountId);
+
+    return NextResponse.json({ message: 'Provider config deleted' });
+  } catch (error) {
+    console.error('Error deleting AI provider config:', error);
+    return NextResponse.json({ error: 'Failed to delete AI provider config' }, { status: 500 });
+  }
+}
@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { encryptCredential } from '@/lib/site-keys';
+import { getAiPricing } from '@/lib/actions/ai-pricing';
+import {
+  sanitizeProviderConfig,
+  saveModelTokenPricing,
+  serializeProviderConfig,
+  invalidateProviderConfigCache,
+} from '@/lib/ai/providers';
+
+// Verify super admin access
+async function verifySuperAdmin() {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) return null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, isSuperAdmin: true },
+    });
+
+    if (!user || !user.isSuperAdmin) return null;
+    return user;
+  } catch (error) {
+    console.error('Auth error:', error);
+    return null;
+  }
+}
+
+// GET /api/admin/ai-providers - All provider configs + accounts for the picker
+export async function GET() {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const [configs, accounts, pricing] = await Promise.all([
+      prisma.aiProviderConfig.findMany({
+        include: { account: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.account.findMany({
+        where: { archivedAt: null, isDraft: false },
+        select: { id: true, name: true },
+        orderBy: { name: 'asc' },
+      }),
+      getAiPricing(),
+    ]);
+
+    return NextResponse.json({
+      configs: configs.map(c => serializeProviderConfig(c, pricing)),
+      accounts,
+    });
+  } catch (error) {
+    console.error('Error fetching AI provider configs:', error);
+    return NextResponse.json({ error: 'Failed to fetch AI provider configs' }, { status: 500 });
+  }
+}
+
+// POST /api/admin/ai-providers - Create a provider config for an account
+export async function POST(request) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { data, error } = sanitizeProviderConfig(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const account = body.accountId
+      ? await prisma.account.findUnique({ where: { id: body.accountId }, select: { id: true } })
+      : null;
+    if (!account) {
+      return NextResponse.json({ error: 'Account not found' }, { status: 404 });
+    }
+
+    const apiKey = typeof body.apiKey === 'string' ? body.apiKey.trim() : '';
+    if (!apiKey && data.provider === 'ANTHROPIC') {
+      return NextResponse.json({ error: 'Anthropic requires an API key' }, { status: 400 });
+    }
+
+    const config = await prisma.aiProviderConfig.create({
+      data: {
+        ...data,
+        accountId: account.id,
+        encryptedApiKey: apiKey ? encryptCredential(apiKey) : null,
+        createdBy: admin.id,
+      },
+      include: { account: { select: { id: true, name: true } } },
+    });
+
+    if (body.pricing?.text) await saveModelTokenPricing(data.provider, data.textModel, body.pricing.text);
+    if (body.pricing?.embedding && data.embeddingModel) {
+      await saveModelTokenPricing(data.provider, data.embeddingModel, body.pricing.embedding);
+    }
+    invalidateProviderConfigCache(account.id);
+
+    const pricing = await getAiPricing();
+    return NextResponse.json({ config: serializeProviderConfig(config, pricing) }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating AI provider config:', error);
+    return NextResponse.json({ error: 'Failed to create AI provider config' }, { status: 500 });
+  }
+}
@@ -1,14 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { calculateTokenCost } from '@/lib/ai/pricing';
 
-const SESSION_COOKIE = 'user_session';
-
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { verifySuperAdmin } from '@/lib/superadmin-auth';
+import { promoteKey, retireKey } from '@/lib/contract/keyring';
+
+/**
+ * POST /api/admin/contract-keys/[keyId]
+ *
+ * Body:
+ *   { action: 'promote', force?: boolean }
+ *     NEXT → ACTIVE; the previous ACTIVE key retires with the grace window.
+ *     `force` skips the publish-lead check (consumers may not have the key).
+ *   { action: 'retire', immediate?: boolean }
+ *     Withdraw a NEXT key, or end a RETIRED key's grace early. `immediate`
+ *     unpublishes it now (compromised key).
+ */
+export async function POST(request, { params }) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { keyId } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    let result;
+    if (body.action === 'promote') {
+      result = await promoteKey(keyId, { force: body.force === true });
+    } else if (body.action === 'retire') {
+      result = await retireKey(keyId, { immediate: body.immediate === true });
+    } else {
+      return NextResponse.json({ error: "action must be 'promote' or 'retire'" }, { status: 400 });
+    }
+
+    if (!result.ok) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    console.log(`[admin/contract-keys] ${admin.email} ${body.action}d key ${keyId}${body.force ? ' (forced)' : ''}`);
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('[admin/contract-keys] POST action error:', error);
+    return NextResponse.json({ error: 'Failed to update contract key' }, { status: 500 });
+  }
+}
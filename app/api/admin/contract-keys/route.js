@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { verifySuperAdmin } from '@/lib/superadmin-auth';
+import { listSigningKeys, createNextKey } from '@/lib/contract/keyring';
+import { getPublicKeyInfo } from '@/lib/contract/signing';
+
+/**
+ * GET /api/admin/contract-keys
+ *
+ * Every Contract signing key in the keyring (private halves never leave the
+ * server) plus the set currently published at /api/public/contract-key.
+ * Restricted to SuperAdmins.
+ */
+export async function GET() {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const [keys, published] = await Promise.all([listSigningKeys(), getPublicKeyInfo()]);
+    return NextResponse.json({
+      keys,
+      signingKeyId: published.keyId,
+      published: published.keys.map(({ keyId, state, validFrom, validUntil }) => ({ keyId, state, validFrom, validUntil })),
+    });
+  } catch (error) {
+    console.error('[admin/contract-keys] GET error:', error);
+    return NextResponse.json({ error: 'Failed to load contract keys' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/admin/contract-keys
+ *
+ * Generate a new key in state NEXT. It is published immediately and becomes
+ * promotable after the publish lead (CONTRACT_KEY_PUBLISH_LEAD_HOURS).
+ */
+export async function POST() {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const key = await createNextKey({ createdBy: admin.id });
+    console.log(`[admin/contract-keys] ${admin.email} created NEXT key ${key.keyId}`);
+    return NextResponse.json({ key }, { status: 201 });
+  } catch (error) {
+    console.error('[admin/contract-keys] POST error:', error);
+    return NextResponse.json({ error: error.message || 'Failed to create contract key' }, { status: 500 });
+  }
+}
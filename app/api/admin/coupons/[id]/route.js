@@ -1,8 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 function normalizeSchedule(input) {
   if (!Array.isArray(input)) return [];
@@ -24,8 +22,7 @@ function normalizeSchedule(input) {
 
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     const user = await prisma.user.findUnique({
@@ -1,8 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 // Coerce admin input into the shape we store on Coupon.recurringPriceSchedule:
 // an array of { months: number|null, amount: number }. Drops malformed rows.
@@ -27,8 +25,7 @@ function normalizeSchedule(input) {
 // Verify super admin access
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     const user = await prisma.user.findUnique({
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { verifySuperAdmin } from '@/lib/superadmin-auth';
+import {
+  loadDunningPolicy,
+  normalizeDunningPolicy,
+  saveDunningPolicy,
+  DUNNING_EMAILS,
+  FINAL_ACTIONS,
+} from '@/lib/dunning';
+
+/**
+ * GET /api/admin/dunning-policy
+ *
+ * The platform dunning policy (retry offsets, grace / read-only windows,
+ * per-step billing emails, final action) plus the allowed option values.
+ * Restricted to SuperAdmins.
+ */
+export async function GET() {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const policy = await loadDunningPolicy();
+    return NextResponse.json({ policy, options: { emails: DUNNING_EMAILS, finalActions: FINAL_ACTIONS } });
+  } catch (error) {
+    console.error('[admin/dunning-policy] GET error:', error);
+    return NextResponse.json({ error: 'Failed to load dunning policy' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/admin/dunning-policy
+ *
+ * Update the policy. Omitted fields keep their current value. Applies to
+ * subscriptions that become past due from now on — ones already in dunning
+ * keep the policy snapshot they started with.
+ */
+export async function PUT(request) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => null);
+    const current = await loadDunningPolicy();
+    const result = normalizeDunningPolicy(body, current);
+    if (!result.ok) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    const policy = await saveDunningPolicy(result.data, { updatedBy: admin.id });
+    console.log(`[admin/dunning-policy] ${admin.email} updated the dunning policy`);
+    return NextResponse.json({ policy });
+  } catch (error) {
+    console.error('[admin/dunning-policy] PUT error:', error);
+    return NextResponse.json({ error: 'Failed to save dunning policy' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { verifySuperAdmin } from '@/lib/superadmin-auth';
+import { retryJob, cancelJob } from '@/lib/queue/queue';
+import { kickQueue } from '@/lib/queue/dispatcher';
+
+/**
+ * POST /api/admin/queue/[id]  { action: 'retry' | 'cancel' }
+ *
+ * retry  - re-queue a DEAD or CANCELLED job with a fresh attempt budget
+ * cancel - cancel a PENDING job (running jobs finish their attempt)
+ */
+export async function POST(request, { params }) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    if (body.action === 'retry') {
+      if (!(await retryJob(id))) {
+        return NextResponse.json({ error: 'Only dead or cancelled jobs can be retried' }, { status: 409 });
+      }
+      kickQueue();
+      console.log(`[admin/queue] ${admin.email} retried job ${id}`);
+      return NextResponse.json({ success: true });
+    }
+
+    if (body.action === 'cancel') {
+      if (!(await cancelJob(id))) {
+        return NextResponse.json({ error: 'Only pending jobs can be cancelled' }, { status: 409 });
+      }
+      console.log(`[admin/queue] ${admin.email} cancelled job ${id}`);
+      return NextResponse.json({ success: true });
+    }
+
+    return NextResponse.json({ error: 'Unknown action' }, { status: 400 });
+  } catch (error) {
+    console.error('[admin/queue] POST error:', error);
+    return NextResponse.json({ error: 'Failed to update job' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { verifySuperAdmin } from '@/lib/superadmin-auth';
+import { getQueueStats, listJobs } from '@/lib/queue/queue';
+import { JOB_TYPES } from '@/lib/queue/job-types';
+
+const STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'DEAD', 'CANCELLED'];
+
+/**
+ * GET /api/admin/queue?status=DEAD&type=GENERATE_ARTICLE&page=1
+ *
+ * Durable job queue health: per-type depth / dead counts plus a filtered,
+ * paginated job list. Restricted to SuperAdmins.
+ */
+export async function GET(request) {
+  try {
+    const admin = await verifySuperAdmin();
+    if (!admin) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const type = searchParams.get('type');
+
+    const [stats, list] = await Promise.all([
+      getQueueStats(),
+      listJobs({
+        status: STATUSES.includes(status) ? status : undefined,
+        type: JOB_TYPES[type] ? type : undefined,
+        page: searchParams.get('page'),
+        limit: searchParams.get('limit'),
+      }),
+    ]);
+
+    return NextResponse.json({
+      stats,
+      ...list,
+      options: { statuses: STATUSES, types: Object.keys(JOB_TYPES) },
+    });
+  } catch (error) {
+    console.error('[admin/queue] GET error:', error);
+    return NextResponse.json({ error: 'Failed to load queue' }, { status: 500 });
+  }
+}
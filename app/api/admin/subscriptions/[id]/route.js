@@ -1,15 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { downgradeToFreeFallback } from '@/lib/billing-engine';
-
-const SESSION_COOKIE = 'user_session';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { getDunningTimeline, loadDunningPolicy, DUNNING_EXIT_DATA } from '@/lib/dunning';
 
 // Verify super admin access
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -80,7 +79,8 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Subscription not found' }, { status: 404 });
     }
 
-    return NextResponse.json({ subscription });
+    const dunning = getDunningTimeline(subscription, await loadDunningPolicy());
+    return NextResponse.json({ subscription: { ...subscription, dunning } });
   } catch (error) {
     console.error('Error fetching subscription:', error);
     return NextResponse.json({ error: 'Failed to fetch subscription' }, { status: 500 });
@@ -142,8 +142,10 @@ export async function PATCH(request, { params }) {
             status: 'CANCELED',
             cancelAtPeriodEnd: false,
             canceledAt: new Date(),
+            ...DUNNING_EXIT_DATA,
           },
         });
+        await emitSubscriptionUpdated(subscription, { status: 'CANCELED', cancelAtPeriodEnd: false }, 'admin_cancel');
 
         return NextResponse.json({
           success: true,
@@ -172,6 +174,7 @@ export async function PATCH(request, { params }) {
           canceledAt: null,
           currentPeriodStart: now,
           currentPeriodEnd: newPeriodEnd,
+          ...DUNNING_EXIT_DATA,
         };
         break;
 
@@ -208,6 +211,8 @@ export async function PATCH(request, { params }) {
           // returns to TRIALING in the future. trialStartedAt/trialEndAt are
           // preserved as historical record.
           ...(subscription.status === 'TRIALING' && { trialReminderStage: 0 }),
+          // An admin plan change settles any dunning in progress.
+          ...DUNNING_EXIT_DATA,
         };
         break;
 
@@ -234,6 +239,7 @@ export async function PATCH(request, { params }) {
         plan: { select: { name: true, price: true, interval: true } },
       },
     });
+    if (action !== 'extend') await emitSubscriptionUpdated(subscription, updatedSubscription, `admin_${action}`);
 
     return NextResponse.json({
       success: true,
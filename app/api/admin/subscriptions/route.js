@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
+import { getDunningTimeline, loadDunningPolicy } from '@/lib/dunning';
 
 // Verify super admin access
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -66,6 +64,9 @@ export async function GET(request) {
       },
     });
 
+    const dunningPolicy = await loadDunningPolicy();
+    const now = new Date();
+
     // Format the response
     const formattedSubscriptions = subscriptions.map((sub) => {
       // Format plan translations as object keyed by language
@@ -98,6 +99,10 @@ export async function GET(request) {
         cancelAtPeriodEnd: sub.cancelAtPeriodEnd,
         canceledAt: sub.canceledAt?.toISOString() || null,
         createdAt: sub.createdAt.toISOString(),
+        renewalRetryCount: sub.renewalRetryCount,
+        renewalFailureMessage: sub.renewalFailureMessage,
+        // Position in the dunning timeline (null unless PAST_DUE).
+        dunning: getDunningTimeline(sub, dunningPolicy, now),
       };
     });
 
@@ -119,6 +124,7 @@ export async function GET(request) {
       trialing: subscriptions.filter((s) => s.status === 'TRIALING').length,
       canceled: subscriptions.filter((s) => s.status === 'CANCELED').length,
       pastDue: subscriptions.filter((s) => s.status === 'PAST_DUE').length,
+      readOnly: formattedSubscriptions.filter((s) => s.dunning?.readOnly).length,
       mrr,
       arr: mrr * 12,
     };
@@ -1,13 +1,10 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId, revokeUserSessions } from '@/lib/auth-session';
 
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) return null;
 
@@ -128,6 +125,13 @@ export async function PUT(request, { params }) {
       data: updateData,
     });
 
+    // Deactivation and super-admin changes end the user's existing sessions.
+    const deactivated = isActive === false && existingUser.isActive;
+    const adminChanged = isSuperAdmin !== undefined && !!isSuperAdmin !== !!existingUser.isSuperAdmin;
+    if (deactivated || adminChanged) {
+      await revokeUserSessions(id);
+    }
+
     // Handle account membership changes
     if (accountId !== undefined) {
       const currentAccountId = existingUser.accountMemberships[0]?.accountId || null;
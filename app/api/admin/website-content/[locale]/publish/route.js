@@ -1,16 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 
-const SESSION_COOKIE = 'user_session';
 const GP_WS_URL = process.env.GP_WS_URL || 'http://localhost:3000';
 const REVALIDATE_SECRET = process.env.REVALIDATE_SECRET;
 
 // Verify super admin access
 async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
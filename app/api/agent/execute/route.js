@@ -1,16 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { invalidateAgentInsights } from '@/lib/cache/invalidate.js';
 
 export const maxDuration = 300;
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -1,13 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateInsightPreview, applyInsightFix, regenerateItem, isFixableType, isFreeFixable, applyFreeFix, generateMergedContent, applyMergedContent } from '@/lib/agent-fix';
 import { getFixerConfig, getInsightType } from '@/lib/agent-fix/registry.js';
 import { invalidateAgentInsights } from '@/lib/cache/invalidate.js';
 import { enforceCredits } from '@/lib/account-limits';
 import { notifyThirdPartyAiFailure } from '@/lib/admin-alerts';
-
-const SESSION_COOKIE = 'user_session';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 
 // Lower-bound credit floor for AI fixes. Real charging is dynamic (token-based,
 // inside generateStructuredResponse / generateImage); the preflight uses the
@@ -55,8 +55,7 @@ function aiApologyResponse(e, { operation, accountId, siteId, userId }) {
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -74,7 +73,27 @@ async function getAuthenticatedUser() {
 
 // ─── Background fix execution ─────────────────────────────────────────
 
-async function runFixInBackground(insightId, siteId, mode, executeFn) {
+async function emitFixApplied(insight, result, { free = false, userId = null } = {}) {
+  if (!result?.success || !insight?.accountId) return;
+  await emitWebhookEvent(insight.accountId, 'fix.applied', {
+    insightId: insight.id,
+    titleKey: insight.titleKey,
+    category: insight.category,
+    free,
+    summary: result.summary || null,
+    results: (result.results || []).slice(0, 50),
+  }, { siteId: insight.siteId });
+  await recordActivity({
+    accountId: insight.accountId,
+    userId,
+    action: 'fix.applied',
+    target: { type: 'agent_insight', id: insight.id, label: insight.titleKey },
+    siteId: insight.siteId,
+    after: { free, summary: result.summary || null, items: (result.results || []).length },
+  });
+}
+
+async function runFixInBackground(insightId, siteId, mode, executeFn, userId) {
   try {
     const result = await executeFn();
 
@@ -126,6 +145,7 @@ async function runFixInBackground(insightId, siteId, mode, executeFn) {
         where: { id: insightId },
         data: updateData,
       });
+      await emitFixApplied(latest, result, { userId });
     }
 
     invalidateAgentInsights(siteId);
@@ -252,6 +272,8 @@ export async function POST(request, { params }) {
         accountId: true,
         name: true,
         url: true,
+        platform: true,
+        integrationType: true,
         siteKey: true,
         siteSecret: true,
         connectionStatus: true,
@@ -333,6 +355,7 @@ export async function POST(request, { params }) {
           },
         });
         invalidateAgentInsights(insight.siteId);
+        await emitFixApplied(insight, result, { free: true, userId: user.id });
         return NextResponse.json({
           success: result.success,
           summary: result.summary,
@@ -523,7 +546,7 @@ export async function POST(request, { params }) {
       invalidateAgentInsights(insight.siteId);
 
       // Fire and forget
-      runFixInBackground(id, insight.siteId, 'apply-generated', () => applyMergedContent(insight, site, proposal, generatedPost, options)).catch(err => {
+      runFixInBackground(id, insight.siteId, 'apply-generated', () => applyMergedContent(insight, site, proposal, generatedPost, options), user.id).catch(err => {
         console.error(`[Agent Fix] Background apply-generated error for insight ${id}:`, err);
       });
 
@@ -565,7 +588,7 @@ export async function POST(request, { params }) {
         invalidateAgentInsights(insight.siteId);
 
         // Fire and forget
-        runFixInBackground(id, insight.siteId, 'apply', () => applyInsightFix(insight, site, proposals, options)).catch(err => {
+        runFixInBackground(id, insight.siteId, 'apply', () => applyInsightFix(insight, site, proposals, options), user.id).catch(err => {
           console.error(`[Agent Fix] Background apply error for insight ${id}:`, err);
         });
 
@@ -601,6 +624,7 @@ export async function POST(request, { params }) {
       });
 
       invalidateAgentInsights(insight.siteId);
+      await emitFixApplied(insight, result, { userId: user.id });
 
       return NextResponse.json({
         success: result.success,
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   refreshAccessToken,
   listGSCSitemaps,
@@ -11,12 +11,9 @@ import { discoverSitemapUrls } from '@/lib/sitemap-delta-sync';
 import { invalidateAgentInsights } from '@/lib/cache/invalidate.js';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
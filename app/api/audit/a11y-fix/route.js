@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { deductAiCredits } from '@/lib/account-utils';
 import { enforceCredits } from '@/lib/account-limits';
 import { generateText } from 'ai';
@@ -8,13 +8,11 @@ import { googleGlobal } from '@/lib/ai/vertex-provider.js';
 import { GEMINI_MODEL } from '@/lib/ai/models.js';
 import { makePluginRequest } from '@/lib/wp-api-client';
 
-const SESSION_COOKIE = 'user_session';
 const FIX_CREDIT_COST = 2;
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
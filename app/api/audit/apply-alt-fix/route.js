@@ -1,19 +1,17 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { deductAiCredits } from '@/lib/account-utils';
 import { updateMedia, getMedia } from '@/lib/wp-api-client';
 import { recalculateAuditAfterFix } from '@/lib/audit/recalculate-after-fix';
 import { GEMINI_MODEL } from '@/lib/ai/models.js';
 import { applyIssuesTransform } from '@/lib/audit/issues-helper';
 
-const SESSION_COOKIE = 'user_session';
 const ALT_FIX_CREDIT_COST = 1; // 1 credit per image
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { deductAiCredits } from '@/lib/account-utils';
 import { updateSeoData, resolveUrl } from '@/lib/wp-api-client';
 import { recalculateAuditAfterFix } from '@/lib/audit/recalculate-after-fix';
@@ -8,13 +8,11 @@ import { GEMINI_MODEL } from '@/lib/ai/models.js';
 import { applyBulkUpdates } from '@/lib/audit/page-results-helper';
 import { applyIssuesTransform } from '@/lib/audit/issues-helper';
 
-const SESSION_COOKIE = 'user_session';
 const DESC_FIX_CREDIT_COST = 1; // 1 credit per page
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
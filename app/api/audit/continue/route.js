@@ -1,19 +1,17 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { processChunk } from '@/lib/audit/site-auditor';
-import { triggerStage } from '@/lib/audit/internal-trigger';
+import { triggerAuditStage } from '@/lib/audit/internal-trigger';
 
 export const maxDuration = 300;
 
 /**
  * POST /api/audit/continue?auditId=X
  *
- * Drains the next chunk of pendingUrls, then either re-triggers itself for
- * the next chunk or hands off to /api/audit/finalize. Self-triggered by:
- *   • the initial /api/audit POST (after discovery finishes)
- *   • each previous /api/audit/continue invocation (if hasMore)
- *   • the watchdog (GET stale detector + cron) when an audit's heartbeat
- *     has been silent for >5 min
+ * Drains the next chunk of pendingUrls, then queues the next chunk or
+ * finalization. The pipeline itself runs on AUDIT_CHUNK queue jobs
+ * (lib/queue/handlers.js); this route is kept for manually re-driving an
+ * audit.
  *
  * Auth: none. The caller is always our own server (or a watchdog cron).
  * If we ever expose this externally, gate by a shared secret + auditId
@@ -38,15 +36,12 @@ export async function POST(request) {
       return NextResponse.json({ ok: false, reason });
     }
 
-    // Self-trigger the next stage. Fire-and-forget at the route level (we
-    // return 200 immediately) but the helper handles up to 3 retries with
-    // backoff so a transient blip doesn't stall the audit for the 5min the
-    // watchdog takes to notice.
-    const origin = request.nextUrl.origin;
-    const nextPath = hasMore
-      ? `/api/audit/continue?auditId=${auditId}`
-      : `/api/audit/finalize?auditId=${auditId}`;
-    triggerStage(origin, nextPath);
+    // Queue the next stage - durable, dispatched right away.
+    const audit = await prisma.siteAudit.findUnique({
+      where: { id: auditId },
+      select: { id: true, siteId: true },
+    });
+    if (audit) await triggerAuditStage(audit, hasMore ? 'continue' : 'finalize');
 
     return NextResponse.json({ ok: true, processed, hasMore });
   } catch (error) {
@@ -7,9 +7,9 @@ export const maxDuration = 300;
  * POST /api/audit/finalize?auditId=X
  *
  * Runs cross-page analysis + AI Vision + scoring + summary, then marks the
- * audit COMPLETED. Self-triggered by /api/audit/continue when its chunk
- * empties the pendingUrls queue. The watchdog also re-fires this if an audit
- * sits in phase='finalizing' with a stale heartbeat.
+ * audit COMPLETED. The pipeline runs this as an AUDIT_FINALIZE queue job
+ * (lib/queue/handlers.js); this route is kept for manually re-driving an
+ * audit.
  *
  * Auth: same shape as /continue — internal-only, auditId-as-capability.
  */
@@ -24,8 +24,7 @@ export async function POST(request) {
     const result = await runFinalization(auditId);
     if (!result.ok) {
       console.warn(`[API/audit/finalize] Finalize incomplete for ${auditId}: ${result.reason}`);
-      // Leave phase='finalizing' so the watchdog can retry. Return 200 so
-      // the caller (continue route's fire-and-forget) doesn't double-log.
+      // Leave phase='finalizing' so the watchdog can retry.
       return NextResponse.json({ ok: false, reason: result.reason });
     }
     return NextResponse.json({ ok: true, score: result.score, pages: result.pages });
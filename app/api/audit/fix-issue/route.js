@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { deductAiCredits } from '@/lib/account-utils';
 import { enforceCredits } from '@/lib/account-limits';
 import { generateObject } from 'ai';
@@ -10,7 +10,6 @@ import { z } from 'zod';
 import { makePluginRequest } from '@/lib/wp-api-client';
 import { getPageResultByUrl } from '@/lib/audit/page-results-helper';
 
-const SESSION_COOKIE = 'user_session';
 const FIX_CREDIT_COST = 2;
 
 // Issue types that can be auto-fixed
@@ -39,8 +38,7 @@ const fixSchema = z.object({
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
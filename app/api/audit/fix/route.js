@@ -10,10 +10,15 @@
  * Actions:
  *   preview - Generate AI suggestions (or compute manual-output for non-WP).
  *             For WP+plugin: free, cached on the audit doc until next run.
+ *             For a Git-connected site the response also carries `git`: the
+ *             per-file diff the apply step would commit.
  *             For non-WP / no-plugin: full charge on success (preview = result).
  *
  *   apply   - Push the user-confirmed values via the WP plugin and update
  *             the audit issues in-place. Charges full price on success.
+ *             Git-connected static sites get one review branch with every
+ *             fix instead (the audit is left alone until the next run sees
+ *             the merged change live).
  *
  *   cancel  - User opened a preview then closed without applying. If the
  *             preview was already cached but never applied, charge the
@@ -28,8 +33,8 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getFixer } from '@/lib/audit/fix-registry';
 import { cancelCharge } from '@/lib/ai/credit-pricing';
 import { deductAiCredits } from '@/lib/account-utils';
@@ -37,14 +42,11 @@ import { enforceCredits } from '@/lib/account-limits';
 import { notifyThirdPartyAiFailure } from '@/lib/admin-alerts';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
 import { getHandler } from '@/lib/audit/fixers';
-import { resolveIntegrationType, INTEGRATION_TYPES } from '@/lib/cms';
-
-const SESSION_COOKIE = 'user_session';
+import { cms, resolveIntegrationType, loadCapabilities, INTEGRATION_TYPES } from '@/lib/cms';
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -59,17 +61,92 @@ async function getAuthenticatedUser() {
   }
 }
 
-// Whether the site can auto-apply audit fixes natively. Today the fixer apply
+// Fixer handlers whose apply step writes through cms.updateSeoData, keyed to
+// the SEO field each one needs. A connected headless CMS auto-applies them
+// when its field mapping covers that field (capabilities.seoFields).
+const HEADLESS_SEO_HANDLERS = { title: 'title', description: 'description', og: 'og_title' };
+
+// Fixer handlers a Git-connected site applies as file edits, each mapping one
+// suggestion / confirmed fix to a changeset entry (lib/cms/adapters/git/changeset).
+const GIT_FIX_CHANGES = {
+  title: (f) => f.url && f.newTitle && { kind: 'seo', url: f.url, seo: { title: f.newTitle } },
+  description: (f) => f.url && f.newDescription && { kind: 'seo', url: f.url, seo: { description: f.newDescription } },
+  og: (f) => f.url && (f.ogTitle || f.ogDescription) && {
+    kind: 'seo', url: f.url, seo: { og_title: f.ogTitle || undefined, og_description: f.ogDescription || undefined },
+  },
+  alt: (f) => f.imageUrl && f.altText && { kind: 'alt', imageUrl: f.imageUrl, alt: f.altText, pageUrl: f.pageUrl },
+  brokenLink: (f) => f.brokenUrl && (f.targetUrl || f.suggestedUrl) && {
+    kind: 'redirect', from: f.brokenUrl, to: f.targetUrl || f.suggestedUrl, status: 301,
+  },
+};
+
+function isGitTransport(site) {
+  return resolveIntegrationType(site) === INTEGRATION_TYPES.GIT_REPO && site?.connectionStatus === 'CONNECTED';
+}
+
+function pathOf(url, site) {
+  try {
+    const u = new URL(url, site.url);
+    return `${u.pathname}${u.search}`;
+  } catch {
+    return url;
+  }
+}
+
+function gitChangesFor(site, fixer, fixes) {
+  const build = GIT_FIX_CHANGES[fixer.handler];
+  return (fixes || []).map((fix) => {
+    const change = build(fix) || null;
+    // Redirect rules are written as site-relative paths.
+    if (change?.kind === 'redirect') {
+      change.from = pathOf(change.from, site);
+      change.to = pathOf(change.to, site);
+    }
+    return change;
+  });
+}
+
+// Diff preview for the fix modal. Never fails the preview itself - a repo
+// hiccup just means the modal shows no diff.
+async function gitPreview(site, fixer, suggestions) {
+  const changes = gitChangesFor(site, fixer, suggestions).filter(Boolean);
+  if (!changes.length) return { baseBranch: null, files: [], unmatched: [] };
+  try {
+    const res = await cms.previewChangeset(site, changes);
+    return {
+      baseBranch: res.baseBranch,
+      files: res.files,
+      unmatched: res.results.filter((r) => !r.applied).map((r) => ({ change: r.change, error: r.error })),
+    };
+  } catch (e) {
+    console.warn('[fix] git preview failed:', e.message);
+    return { error: e.message, files: [], unmatched: [] };
+  }
+}
+
+// Whether the site can auto-apply this fixer natively. Most fixer apply
 // handlers push through the WordPress plugin, so this is true when the site's
 // resolved transport is the WordPress plugin and it's connected. Deriving the
 // transport from the registry (instead of a hardcoded `platform === 'wordpress'`)
 // also catches legacy WordPress rows with a null `platform` but a real plugin
-// connection. Other transports fall back to the assisted/manual outputs the
-// fixers already return until their native apply path is wired.
-function canApplyFixesNatively(site) {
-  return resolveIntegrationType(site) === INTEGRATION_TYPES.WORDPRESS_PLUGIN
-    && site?.connectionStatus === 'CONNECTED'
-    && !!site?.siteKey;
+// connection. Headless CMS sites qualify for the SEO-field fixers above, Git
+// repo sites for the GIT_FIX_CHANGES fixers. Other transports fall back to the assisted/manual outputs the fixers already
+// return until their native apply path is wired.
+async function canApplyFixesNatively(site, fixer) {
+  const type = resolveIntegrationType(site);
+  if (type === INTEGRATION_TYPES.WORDPRESS_PLUGIN) {
+    return site?.connectionStatus === 'CONNECTED' && !!site?.siteKey;
+  }
+  if (type === INTEGRATION_TYPES.HEADLESS_CMS && site?.connectionStatus === 'CONNECTED') {
+    const field = HEADLESS_SEO_HANDLERS[fixer.handler];
+    if (!field) return false;
+    const caps = await loadCapabilities(site);
+    return caps.seoFields.includes(field);
+  }
+  if (type === INTEGRATION_TYPES.GIT_REPO) {
+    return isGitTransport(site) && !!GIT_FIX_CHANGES[fixer.handler];
+  }
+  return false;
 }
 
 function err(status, code, message, extra = {}) {
@@ -157,7 +234,7 @@ export async function POST(request) {
       return err(500, 'HANDLER_MISSING', `Handler not implemented: ${fixer.handler}`);
     }
 
-    const wpAuto = canApplyFixesNatively(site);
+    const wpAuto = await canApplyFixesNatively(site, fixer);
     const ctx = { user, site, fixer, issueType, payload, wpAuto, accountId: site.accountId };
 
     if (action === 'preview') return handlePreview(ctx, auditId);
@@ -187,6 +264,7 @@ async function handlePreview(ctx, auditId) {
       cached: true,
       suggestions: cached.suggestions || null,
       manualOutputs: cached.manualOutputs || null,
+      ...(wpAuto && isGitTransport(site) ? { git: await gitPreview(site, fixer, cached.suggestions) } : {}),
       previewable: !!fixer.previewable,
       kind: fixer.kind,
       fixedCredits: fixer.kind === 'ai' ? fixer.credits : 0,
@@ -273,6 +351,7 @@ async function handlePreview(ctx, auditId) {
     cached: false,
     suggestions: preview.suggestions || null,
     manualOutputs: preview.manualOutputs || null,
+    ...(wpAuto && isGitTransport(site) ? { git: await gitPreview(site, fixer, preview.suggestions) } : {}),
     previewable: !!fixer.previewable,
     kind: fixer.kind,
     fixedCredits: fixer.kind === 'ai' ? fixer.credits : 0,
@@ -317,10 +396,13 @@ async function handleApply(ctx, auditId, handler) {
     }
   }
 
-  // Run the apply handler - pushes to plugin + updates audit issues.
+  // Run the apply handler - pushes to plugin + updates audit issues. Git
+  // sites commit every confirmed fix onto one review branch instead.
   let result;
   try {
-    result = await handler.apply({ site, payload, audit: { id: auditId }, wpAuto });
+    result = isGitTransport(site)
+      ? await applyToGitBranch(site, fixer, issueType, payload)
+      : await handler.apply({ site, payload, audit: { id: auditId }, wpAuto });
   } catch (e) {
     if (isThirdPartyAiError(e)) {
       notifyThirdPartyAiFailure({
@@ -384,11 +466,46 @@ async function handleApply(ctx, auditId, handler) {
     success: true,
     results: result.results,
     auditUpdated: !!result.auditUpdated,
+    ...(result.git ? { git: result.git } : {}),
     creditsUsed: creditsCharged,
     remainingBalance: balance,
   });
 }
 
+// Apply for Git-connected sites: one changeset → one pushed branch. The
+// audit issues stay open - the fix isn't live until the owner merges and
+// the host rebuilds, and the next audit run confirms it.
+async function applyToGitBranch(site, fixer, issueType, payload) {
+  const fixes = Array.isArray(payload.fixes) ? payload.fixes : [];
+  const changes = gitChangesFor(site, fixer, fixes);
+  const valid = changes.filter(Boolean);
+  if (!valid.length) {
+    return { results: fixes.map((f) => ({ ...f, pushed: false, pushError: 'Nothing to change' })), auditUpdated: false };
+  }
+
+  const branch = await cms.openChangeBranch(site, valid, {
+    name: fixer.handler,
+    message: `SEO fix: ${issueType.replace('audit.issues.', '')}`,
+  });
+  const outcomes = new Map(branch.results.map((r) => [r.change, r]));
+  const results = fixes.map((fix, i) => {
+    const outcome = changes[i] && outcomes.get(changes[i]);
+    if (!outcome) return { ...fix, pushed: false, pushError: 'Nothing to change' };
+    return {
+      ...fix,
+      pushed: outcome.applied,
+      files: outcome.files,
+      ...(outcome.applied ? {} : { pushError: outcome.error }),
+    };
+  });
+
+  return {
+    results,
+    auditUpdated: false,
+    git: { branch: branch.branch, commit: branch.commit, baseBranch: branch.baseBranch, files: branch.files },
+  };
+}
+
 // ─── Action: cancel ──────────────────────────────────────────────────
 
 async function handleCancel(ctx, auditId) {
@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
+import { describeScoringProfile, sameScoringProfile } from '@/lib/audit/scoring-profiles';
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     return prisma.user.findUnique({
@@ -35,7 +33,10 @@ async function verifySiteAccess(user, siteId) {
  * GET /api/audit/history-comparison?siteId=X&deviceType=desktop
  *
  * Returns the last 10 completed audits as a timeline + deltas between
- * the two most recent audits.
+ * the two most recent audits. Each timeline point names the scoring profile
+ * that produced its score; `deltas.scoringProfileChanged` is true when the
+ * two audits were scored under different profiles (or profile revisions),
+ * i.e. the score delta is not like-for-like.
  */
 export async function GET(request) {
   try {
@@ -68,6 +69,7 @@ export async function GET(request) {
         id: true,
         score: true,
         categoryScores: true,
+        scoringProfile: true,
         issues: true,
         completedAt: true,
         createdAt: true,
@@ -87,6 +89,7 @@ export async function GET(request) {
       .map(a => ({
         date: a.completedAt || a.createdAt,
         score: a.score ?? 0,
+        scoringProfile: describeScoringProfile(a.scoringProfile),
       }));
 
     // Calculate deltas between latest (index 0) and previous (index 1)
@@ -111,6 +114,7 @@ export async function GET(request) {
         visual: (latestCat.visual ?? 0) - (prevCat.visual ?? 0),
         accessibility: (latestCat.accessibility ?? 0) - (prevCat.accessibility ?? 0),
         fixedIssues: previousErrors - latestErrors,
+        scoringProfileChanged: !sameScoringProfile(latest.scoringProfile, previous.scoringProfile),
       };
     }
 
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getPageSpeedInsights } from '@/lib/audit/pagespeed-client';
 import { analyzeHtml } from '@/lib/audit/html-analyzer';
+import { loadCustomAuditRules } from '@/lib/audit/custom-rules';
 import { deductAiCredits } from '@/lib/account-utils';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
@@ -19,17 +20,16 @@ import {
 
 export const maxDuration = 300;
 
-const SESSION_COOKIE = 'user_session';
 // 1 GCoin per page refresh, regardless of how many issues are being verified
 // on that page. Per-issue billing: clicking "Recheck" on 5 issues that happen
 // to live on the same URL costs 5 GCoins (5 separate calls, 5 fetches).
 const RECHECK_COST_PER_URL = 1;
 
 // Sources we can re-detect with the lightweight fetch + analyzeHtml + PSI
-// pipeline. Issues from `axe` (accessibility), `playwright` (DOM in a real
+// pipeline (site custom rules run inside analyzeHtml). Issues from `axe` (accessibility), `playwright` (DOM in a real
 // browser), or `ai-vision` (Gemini Vision) need the heavy pipeline — we
 // preserve them as-is rather than falsely concluding they were resolved.
-const RECHECKABLE_SOURCES = new Set(['html', 'psi', 'pagespeed', 'fetch', 'system', null]);
+const RECHECKABLE_SOURCES = new Set(['html', 'custom-rule', 'psi', 'pagespeed', 'fetch', 'system', null]);
 
 function isRecheckable(issue) {
   return RECHECKABLE_SOURCES.has(issue.source ?? null);
@@ -37,8 +37,7 @@ function isRecheckable(issue) {
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -103,7 +102,7 @@ function normalizeIssue(i) {
 // Re-fetch + re-analyze one URL. Mirrors the scan path the per-page rescan
 // endpoint already uses (fetch + analyzeHtml + PSI). No Playwright/Vision —
 // matches existing behavior and keeps the cost basis predictable.
-async function rescanUrl(url) {
+async function rescanUrl(url, customRules = null) {
   const issues = [];
   const pageResult = { url, jsErrors: [], brokenResources: [] };
 
@@ -125,7 +124,7 @@ async function rescanUrl(url) {
     const headers = Object.fromEntries(response.headers.entries());
 
     const html = await response.text();
-    issues.push(...analyzeHtml(html, url, headers, ttfb));
+    issues.push(...analyzeHtml(html, url, headers, ttfb, null, null, customRules));
 
     const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
     pageResult.title = titleMatch ? titleMatch[1].trim() : null;
@@ -263,8 +262,9 @@ export async function POST(request) {
 
     const baselineIssues = baselineIssuesAll;
 
+    const customRules = await loadCustomAuditRules(site.id);
     for (const url of urls) {
-      const { issues, pageResult } = await rescanUrl(url);
+      const { issues, pageResult } = await rescanUrl(url, customRules);
       newIssuesPerUrl.set(url, issues);
       newPageResultByUrl.set(url, pageResult);
 
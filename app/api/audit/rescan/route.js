@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getPageSpeedInsights } from '@/lib/audit/pagespeed-client';
 import { analyzeHtml } from '@/lib/audit/html-analyzer';
+import { loadCustomAuditRules } from '@/lib/audit/custom-rules';
 import { deductAiCredits } from '@/lib/account-utils';
 import { recalculateAuditAfterFix } from '@/lib/audit/recalculate-after-fix';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
@@ -13,13 +14,11 @@ import { GEMINI_MODEL } from '@/lib/ai/models.js';
 
 export const maxDuration = 300;
 
-const SESSION_COOKIE = 'user_session';
 const RESCAN_CREDIT_COST = 1;
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     const user = await prisma.user.findUnique({
@@ -142,7 +141,8 @@ export async function POST(request) {
       const headers = Object.fromEntries(response.headers.entries());
 
       const html = await response.text();
-      const htmlIssues = analyzeHtml(html, url, headers, ttfb);
+      const customRules = await loadCustomAuditRules(siteId);
+      const htmlIssues = analyzeHtml(html, url, headers, ttfb, null, null, customRules);
       issues.push(...htmlIssues);
 
       const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
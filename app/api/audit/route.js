@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { runSiteAudit, runDiscovery } from '@/lib/audit/site-auditor';
-import { triggerStage } from '@/lib/audit/internal-trigger';
+import { triggerAuditStage } from '@/lib/audit/internal-trigger';
 import { enforceResourceLimit } from '@/lib/account-limits';
 import { getLimitFromPlan } from '@/lib/account-utils';
 import { getCachedAuditById } from '@/lib/cache/site-audit.js';
@@ -57,12 +58,9 @@ const LIGHT_SELECT = {
   updatedAt: true,
 };
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     const user = await prisma.user.findUnique({
@@ -154,19 +152,18 @@ export async function GET(request) {
     //
     // Behavior depends on phase:
     //   • phase=null (legacy single-shot) or 'discovery' → mark FAILED.
-    //   • phase='scanning'   → re-trigger /api/audit/continue. Only mark
-    //                          FAILED if total wall time > HARD_LIMIT_MS.
-    //   • phase='finalizing' → re-trigger /api/audit/finalize. Hard-fail
-    //                          after FINAL_HARD_LIMIT_MS.
+    //   • phase='scanning'   → re-queue the next chunk (AUDIT_CHUNK). Only
+    //                          mark FAILED if total wall time > HARD_LIMIT_MS.
+    //   • phase='finalizing' → re-queue AUDIT_FINALIZE. Hard-fail after
+    //                          FINAL_HARD_LIMIT_MS.
     const STALE_MS        = 5 * 60 * 1000;       // gap that means "worker dead"
     const HARD_LIMIT_MS   = 4 * 60 * 60 * 1000;  // total wall time before scanning is given up
     const FINAL_HARD_LIMIT_MS = 30 * 60 * 1000;  // finalizing should never legitimately take this long
-    // Discovery hands off to /continue. If the first chunk never wrote
+    // Discovery hands off to the first AUDIT_CHUNK job. If it never wrote
     // pagesScanned≥1 within this window, the trigger handoff failed and
     // re-nudging hasn't recovered it — mark FAILED rather than nudge forever.
     const NO_PROGRESS_LIMIT_MS = 15 * 60 * 1000;
     const now = Date.now();
-    const origin = request.nextUrl.origin;
 
     for (const audit of audits) {
       if (audit.status !== 'PENDING' && audit.status !== 'RUNNING') continue;
@@ -178,8 +175,8 @@ export async function GET(request) {
       const phase = audit.phase || null;
       const totalAge = now - new Date(startedAt).getTime();
 
-      // Discovery completed but no chunk ever ran (the trigger to /continue
-      // dropped on the floor and nudges since haven't gotten one through).
+      // Discovery completed but no chunk ever ran (the chunk job keeps
+      // failing and nudges since haven't gotten one through).
       // Don't nudge forever — bail out so the user can retry.
       if (phase === 'scanning' && (audit.pagesScanned || 0) === 0 && totalAge > NO_PROGRESS_LIMIT_MS) {
         // Fall through to the FAILED branch below.
@@ -196,13 +193,13 @@ export async function GET(request) {
           // refresh will continue to advance updatedAt). Skip nudge.
           continue;
         }
-        console.warn(`[API/audit] GET: nudging stalled scanning audit ${audit.id} via /continue`);
-        triggerStage(origin, `/api/audit/continue?auditId=${audit.id}`, { tag: 'watchdog→continue' });
+        console.warn(`[API/audit] GET: nudging stalled scanning audit ${audit.id} via AUDIT_CHUNK`);
+        await triggerAuditStage(audit, 'continue', { tag: 'watchdog→continue' });
         continue;
       }
       if (phase === 'finalizing' && totalAge < FINAL_HARD_LIMIT_MS) {
-        console.warn(`[API/audit] GET: nudging stalled finalizing audit ${audit.id} via /finalize`);
-        triggerStage(origin, `/api/audit/finalize?auditId=${audit.id}`, { tag: 'watchdog→finalize' });
+        console.warn(`[API/audit] GET: nudging stalled finalizing audit ${audit.id} via AUDIT_FINALIZE`);
+        await triggerAuditStage(audit, 'finalize', { tag: 'watchdog→finalize' });
         continue;
       }
 
@@ -448,19 +445,18 @@ export async function POST(request) {
 
     // ── Dispatch: chunked pipeline (new) vs single-shot (legacy) ──────
     // Flag-gated rollout. New audits with the flag ON go through
-    // runDiscovery → /api/audit/continue → /api/audit/finalize. Old audits
+    // runDiscovery → AUDIT_CHUNK jobs → AUDIT_FINALIZE (lib/queue). Old audits
     // (phase=null in DB) keep running on whatever path created them.
     const useChunked = process.env.AUDIT_CHUNKED_EXECUTION === '1' || process.env.AUDIT_CHUNKED_EXECUTION === 'true';
 
     if (useChunked) {
-      const origin = request.nextUrl.origin;
       const startChunked = async (auditRecord, deviceType) => {
         try {
           const disc = await runDiscovery(auditRecord.id, site.url, siteId, deviceType, auditOptions);
           if (!disc.ok || disc.empty) return; // discovery already wrote terminal state
-          // Kick off the first chunk via the retry-aware helper. Subsequent
-          // chunks self-trigger from /api/audit/continue.
-          triggerStage(origin, `/api/audit/continue?auditId=${auditRecord.id}`);
+          // Queue the first chunk. Each AUDIT_CHUNK job queues the next one
+          // (or AUDIT_FINALIZE) when it completes.
+          await triggerAuditStage(auditRecord, 'continue');
         } catch (err) {
           console.error(`[API/audit] Chunked discovery error for ${auditRecord.id}:`, err);
         }
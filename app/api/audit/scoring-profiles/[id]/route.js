@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { normalizeScoringProfile } from '@/lib/audit/scoring-profiles';
+
+async function authorizeEdit() {
+  const { authorized, member, error } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_SEO', 'EDIT')) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member };
+}
+
+/**
+ * PATCH /api/audit/scoring-profiles/[id]
+ * Update a profile. Changing weights or overrides bumps `version`, so audits
+ * scored before the edit are flagged as not comparable in the history view.
+ * Past audit scores are not recomputed.
+ *
+ * Body: any of { name, description, categoryWeights, severityOverrides, isDefault }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorizeEdit();
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const existing = await prisma.scoringProfile.findFirst({
+      where: { id, accountId: auth.member.accountId },
+    });
+    if (!existing) {
+      return NextResponse.json({ error: 'Scoring profile not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeScoringProfile(body, { partial: true });
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+    const { data } = normalized;
+
+    if (data.isDefault && !existing.isDefault) {
+      await prisma.scoringProfile.updateMany({
+        where: { accountId: existing.accountId, isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    const rulesChanged =
+      (data.categoryWeights && JSON.stringify(data.categoryWeights) !== JSON.stringify(existing.categoryWeights)) ||
+      (data.severityOverrides && JSON.stringify(data.severityOverrides) !== JSON.stringify(existing.severityOverrides || {}));
+
+    const profile = await prisma.scoringProfile.update({
+      where: { id: existing.id },
+      data: { ...data, ...(rulesChanged ? { version: { increment: 1 } } : {}) },
+    });
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error('Failed to update scoring profile:', error);
+    return NextResponse.json({ error: 'Failed to update scoring profile' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/audit/scoring-profiles/[id]
+ * Delete a profile. Sites assigned to it fall back to the account default.
+ * Audits keep their stored snapshot.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorizeEdit();
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const existing = await prisma.scoringProfile.findFirst({
+      where: { id, accountId: auth.member.accountId },
+      select: { id: true, accountId: true },
+    });
+    if (!existing) {
+      return NextResponse.json({ error: 'Scoring profile not found' }, { status: 404 });
+    }
+
+    await prisma.site.updateMany({
+      where: { accountId: existing.accountId, scoringProfileId: existing.id },
+      data: { scoringProfileId: null },
+    });
+    await prisma.scoringProfile.delete({ where: { id: existing.id } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Failed to delete scoring profile:', error);
+    return NextResponse.json({ error: 'Failed to delete scoring profile' }, { status: 500 });
+  }
+}
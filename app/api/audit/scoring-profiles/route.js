@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { CATEGORY_WEIGHTS } from '@/lib/audit/scoring';
+import { OVERRIDE_SEVERITIES, normalizeScoringProfile } from '@/lib/audit/scoring-profiles';
+
+/**
+ * GET /api/audit/scoring-profiles
+ * The account's scoring profiles, with the sites assigned to each and the
+ * built-in weights for the editor.
+ */
+export async function GET() {
+  try {
+    const { authorized, member, error } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'AUDIT', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const [profiles, sites] = await Promise.all([
+      prisma.scoringProfile.findMany({
+        where: { accountId: member.accountId },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.site.findMany({
+        where: { accountId: member.accountId, scoringProfileId: { not: null } },
+        select: { id: true, name: true, url: true, scoringProfileId: true },
+      }),
+    ]);
+
+    return NextResponse.json({
+      profiles: profiles.map((p) => ({
+        ...p,
+        sites: sites.filter((s) => s.scoringProfileId === p.id).map(({ scoringProfileId: _pid, ...s }) => s),
+      })),
+      defaults: { categoryWeights: CATEGORY_WEIGHTS },
+      severities: OVERRIDE_SEVERITIES,
+    });
+  } catch (error) {
+    console.error('Failed to list scoring profiles:', error);
+    return NextResponse.json({ error: 'Failed to list scoring profiles' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/audit/scoring-profiles
+ * Create a profile.
+ *
+ * Body: {
+ *   name, description?,
+ *   categoryWeights: { technical, performance, visual, accessibility } (percentages or fractions),
+ *   severityOverrides?: { "audit.issues.noStructuredData": "info", ... },
+ *   isDefault?: boolean (becomes the account default; unsets the previous one)
+ * }
+ */
+export async function POST(request) {
+  try {
+    const { authorized, member, error } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_SEO', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeScoringProfile(body);
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+
+    if (normalized.data.isDefault) {
+      await prisma.scoringProfile.updateMany({
+        where: { accountId: member.accountId, isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    const profile = await prisma.scoringProfile.create({
+      data: {
+        severityOverrides: {},
+        ...normalized.data,
+        accountId: member.accountId,
+        createdBy: member.userId,
+      },
+    });
+
+    return NextResponse.json({ profile }, { status: 201 });
+  } catch (error) {
+    console.error('Failed to create scoring profile:', error);
+    return NextResponse.json({ error: 'Failed to create scoring profile' }, { status: 500 });
+  }
+}
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { translateAuditSummary } from '@/lib/audit/summary-generator.js';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 // In-flight dedup: when two requests arrive simultaneously for the same
 // (auditId, lang) pair, the second one awaits the first instead of calling
 // Gemini again. Survives only per-process, which is fine - we're protecting
@@ -15,8 +13,7 @@ const inflight = new Map();
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     const user = await prisma.user.findUnique({
       where: { id: userId },
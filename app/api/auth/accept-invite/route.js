@@ -1,10 +1,7 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import bcrypt from 'bcryptjs';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
-const ACCOUNT_COOKIE = 'current_account';
+import { signInWithTwoFactor } from '@/lib/two-factor/challenge';
 
 // POST - Accept an invitation (create new user or verify existing user)
 export async function POST(request) {
@@ -138,25 +135,25 @@ export async function POST(request) {
       },
     });
 
-    // Set session cookie
-    const cookieStore = await cookies();
-    
-    cookieStore.set(SESSION_COOKIE, user.id, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 60 * 60 * 24 * 7, // 7 days
-      path: '/',
+    // Joining an account is a privilege change - start on a fresh session.
+    // Users with 2FA, or joining an account that requires it, pass a
+    // challenge first (the accept page shows the 2FA step).
+    const twoFactor = await signInWithTwoFactor(user.id, {
+      redirectTo: '/dashboard',
+      accountId: member.accountId,
     });
 
-    // Set account cookie to the newly joined account
-    cookieStore.set(ACCOUNT_COOKIE, member.accountId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 60 * 60 * 24 * 30, // 30 days
-      path: '/',
-    });
+    if (twoFactor) {
+      return NextResponse.json({
+        success: true,
+        twoFactorRequired: true,
+        mode: twoFactor,
+        account: {
+          id: member.account.id,
+          name: member.account.name,
+        },
+      });
+    }
 
     return NextResponse.json({
       success: true,
@@ -1,9 +1,7 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import bcrypt from 'bcryptjs';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId, rotateSession, revokeUserSessions } from '@/lib/auth-session';
 
 /**
  * POST /api/auth/account/set-password
@@ -12,17 +10,15 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionCookie = cookieStore.get(SESSION_COOKIE);
+    const userId = await getSessionUserId();
     
-    if (!sessionCookie) {
+    if (!userId) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
       );
     }
     
-    const userId = sessionCookie.value;
     const body = await request.json();
     const { currentPassword, newPassword, confirmPassword } = body;
     
@@ -83,6 +79,11 @@ export async function POST(request) {
         primaryAuthMethod: 'EMAIL', // Set primary auth method to EMAIL if adding password
       },
     });
+
+    // A new password signs out every other device, and this one continues on
+    // a fresh session token.
+    const session = await rotateSession(userId);
+    await revokeUserSessions(userId, { exceptSessionId: session.id });
     
     return NextResponse.json({
       success: true,
@@ -105,18 +106,15 @@ export async function POST(request) {
  */
 export async function GET(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionCookie = cookieStore.get(SESSION_COOKIE);
+    const userId = await getSessionUserId();
     
-    if (!sessionCookie) {
+    if (!userId) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
       );
     }
     
-    const userId = sessionCookie.value;
-    
     const user = await prisma.user.findUnique({
       where: { id: userId },
       select: {
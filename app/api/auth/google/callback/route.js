@@ -3,10 +3,8 @@ import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
 import { exchangeCodeForTokens, getGoogleUserInfo, parseState } from '@/lib/google-oauth';
 import { createDraftUserAndAccount, purgeDraftUserByEmail } from '@/lib/draft-account';
-
-const SESSION_COOKIE = 'user_session';
-const REG_DONE_COOKIE = 'reg_done';
-const SESSION_MAX_AGE = 60 * 60 * 24 * 7; // 7 days
+import { getSessionUserId } from '@/lib/auth-session';
+import { finishSignIn, signInWithTwoFactor } from '@/lib/two-factor/challenge';
 
 // Map registration steps to redirect paths
 const STEP_REDIRECTS = {
@@ -18,25 +16,20 @@ const STEP_REDIRECTS = {
   COMPLETED: '/dashboard',
 };
 
-function setSessionCookie(response, userId, { completed = false } = {}) {
-  response.cookies.set(SESSION_COOKIE, userId, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax',
-    maxAge: SESSION_MAX_AGE,
-    path: '/',
-  });
-  if (completed) {
-    response.cookies.set(REG_DONE_COOKIE, '1', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 60 * 60 * 24 * 30,
-      path: '/',
-    });
-  } else {
-    response.cookies.delete(REG_DONE_COOKIE);
+// Signing in replaces whatever session the browser carried before.
+async function setSessionCookie(response, userId, { completed = false } = {}) {
+  await finishSignIn(userId, { registrationComplete: completed, response });
+}
+
+// Existing users may have 2FA (or be in an account that requires it): then
+// the redirect goes to the login page's 2FA step instead of redirectTo.
+async function signInRedirect(request, userId, { redirectTo, completed }) {
+  const response = NextResponse.redirect(new URL(redirectTo, request.url));
+  const twoFactor = await signInWithTwoFactor(userId, { redirectTo, registrationComplete: completed }, { response });
+  if (twoFactor) {
+    response.headers.set('Location', new URL(`/auth/login?twoFactor=${twoFactor}`, request.url).toString());
   }
+  return response;
 }
 
 /**
@@ -82,7 +75,6 @@ export async function GET(request) {
       googleUser,
       tokens,
       request,
-      cookieStore,
     });
 
     response.cookies.delete('google_oauth_state');
@@ -94,14 +86,14 @@ export async function GET(request) {
   }
 }
 
-async function handleOAuthCallback({ mode, consent, googleUser, tokens, request, cookieStore }) {
+async function handleOAuthCallback({ mode, consent, googleUser, tokens, request }) {
   const normalizedEmail = googleUser.email.toLowerCase();
 
   switch (mode) {
     case 'register':
       return handleGoogleRegister({ consent, googleUser, normalizedEmail, tokens, request });
     case 'connect':
-      return handleGoogleConnect({ googleUser, normalizedEmail, tokens, request, cookieStore });
+      return handleGoogleConnect({ googleUser, normalizedEmail, tokens, request });
     case 'login':
     default:
       return handleGoogleLogin({ googleUser, normalizedEmail, tokens, request });
@@ -148,13 +140,12 @@ async function handleGoogleLogin({ googleUser, normalizedEmail, tokens, request
       ? '/dashboard'
       : (STEP_REDIRECTS[user.registrationStep] || '/dashboard');
 
-    const response = NextResponse.redirect(new URL(redirectTo, request.url));
     // Always set session - drafts and completed users alike. Middleware enforces
     // that drafts can only traverse /auth/register paths.
-    setSessionCookie(response, user.id, {
+    return signInRedirect(request, user.id, {
+      redirectTo,
       completed: user.registrationStep === 'COMPLETED' || !!user.isSuperAdmin,
     });
-    return response;
   }
 
   // Google account isn't linked yet but a user with this email may exist via credentials.
@@ -202,11 +193,10 @@ async function handleGoogleLogin({ googleUser, normalizedEmail, tokens, request
       ? '/dashboard'
       : (STEP_REDIRECTS[freshUser.registrationStep] || '/dashboard');
 
-    const response = NextResponse.redirect(new URL(redirectTo, request.url));
-    setSessionCookie(response, existingUser.id, {
+    return signInRedirect(request, existingUser.id, {
+      redirectTo,
       completed: freshUser.registrationStep === 'COMPLETED' || !!freshUser.isSuperAdmin,
     });
-    return response;
   }
 
   // No user at all - auto-register with Google.
@@ -238,7 +228,7 @@ async function handleAutoGoogleRegister({ googleUser, normalizedEmail, tokens, r
   const response = NextResponse.redirect(
     new URL(STEP_REDIRECTS.ACCOUNT_SETUP, request.url)
   );
-  setSessionCookie(response, user.id);
+  await setSessionCookie(response, user.id);
   return response;
 }
 
@@ -295,22 +285,20 @@ async function handleGoogleRegister({ consent, googleUser, normalizedEmail, toke
   const response = NextResponse.redirect(
     new URL(STEP_REDIRECTS.ACCOUNT_SETUP, request.url)
   );
-  setSessionCookie(response, user.id);
+  await setSessionCookie(response, user.id);
   return response;
 }
 
 /**
  * Connect a Google account to a logged-in user's account.
  */
-async function handleGoogleConnect({ googleUser, normalizedEmail, tokens, request, cookieStore }) {
-  const sessionCookie = cookieStore.get(SESSION_COOKIE);
+async function handleGoogleConnect({ googleUser, normalizedEmail, tokens, request }) {
+  const userId = await getSessionUserId();
 
-  if (!sessionCookie) {
+  if (!userId) {
     return NextResponse.redirect(new URL('/auth/login?error=login_required', request.url));
   }
 
-  const userId = sessionCookie.value;
-
   const user = await prisma.user.findUnique({ where: { id: userId } });
 
   if (!user) {
@@ -1,8 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 /**
  * DELETE /api/auth/google/disconnect
@@ -11,18 +9,15 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function DELETE(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionCookie = cookieStore.get(SESSION_COOKIE);
+    const userId = await getSessionUserId();
     
-    if (!sessionCookie) {
+    if (!userId) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
       );
     }
     
-    const userId = sessionCookie.value;
-    
     // Get the user with their auth providers
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -81,18 +76,15 @@ export async function DELETE(request) {
  */
 export async function GET(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionCookie = cookieStore.get(SESSION_COOKIE);
+    const userId = await getSessionUserId();
     
-    if (!sessionCookie) {
+    if (!userId) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
       );
     }
     
-    const userId = sessionCookie.value;
-    
     const user = await prisma.user.findUnique({
       where: { id: userId },
       include: {
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import { getGoogleAuthUrl } from '@/lib/google-oauth';
+import { getSessionUserId } from '@/lib/auth-session';
 
 /**
  * GET /api/auth/google
@@ -24,10 +25,9 @@ export async function GET(request) {
     
     // For connect mode, user must be logged in
     if (mode === 'connect') {
-      const cookieStore = await cookies();
-      const sessionCookie = cookieStore.get('user_session');
+      const userId = await getSessionUserId();
       
-      if (!sessionCookie) {
+      if (!userId) {
         return NextResponse.redirect(
           new URL('/auth/login?error=login_required', request.url)
         );
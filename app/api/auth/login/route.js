@@ -1,10 +1,7 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import bcrypt from 'bcryptjs';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
-const REG_DONE_COOKIE = 'reg_done';
+import { signInWithTwoFactor } from '@/lib/two-factor/challenge';
 
 // Map registration steps to redirect paths
 const STEP_REDIRECTS = {
@@ -64,37 +61,28 @@ export async function POST(request) {
       );
     }
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLoginAt: new Date() },
-    });
-
-    const cookieStore = await cookies();
     const isRegistrationComplete = user.registrationStep === 'COMPLETED' || user.isSuperAdmin;
+    const redirectTo = user.isSuperAdmin ? '/dashboard' : (STEP_REDIRECTS[user.registrationStep] || '/dashboard');
 
-    // Set session cookie for every authenticated user - including mid-registration
+    // Start a session for every authenticated user - including mid-registration
     // drafts. The middleware uses the reg_done cookie to tell completed from draft.
-    cookieStore.set(SESSION_COOKIE, user.id, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 60 * 60 * 24 * 7, // 7 days
-      path: '/',
+    // Any session the browser already carried is replaced, not reused.
+    // Users with 2FA - or in an account that requires it - get a challenge
+    // instead, answered through /api/auth/two-factor.
+    const twoFactor = await signInWithTwoFactor(user.id, {
+      redirectTo,
+      registrationComplete: isRegistrationComplete,
     });
 
-    if (isRegistrationComplete) {
-      cookieStore.set(REG_DONE_COOKIE, '1', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 60 * 60 * 24 * 30,
-        path: '/',
-      });
-    } else {
-      // Ensure stale reg_done cookies don't let a draft user through.
-      cookieStore.delete(REG_DONE_COOKIE);
+    if (twoFactor) {
+      return NextResponse.json({ twoFactorRequired: true, mode: twoFactor });
     }
 
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() },
+    });
+
     if (user.isSuperAdmin) {
       return NextResponse.json({
         success: true,
@@ -111,8 +99,6 @@ export async function POST(request) {
       });
     }
 
-    const redirectTo = STEP_REDIRECTS[user.registrationStep] || '/dashboard';
-
     return NextResponse.json({
       success: true,
       user: {
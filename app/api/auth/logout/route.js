@@ -1,14 +1,14 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
+import { endSession } from '@/lib/auth-session';
 
-const SESSION_COOKIE = 'user_session';
 const REG_DONE_COOKIE = 'reg_done';
 
 export async function POST() {
   try {
     const cookieStore = await cookies();
 
-    cookieStore.delete(SESSION_COOKIE);
+    await endSession();
     cookieStore.delete(REG_DONE_COOKIE);
 
     return NextResponse.json({ success: true });
@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { sendEmail, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 function generateOtp() {
   return Math.floor(1000 + Math.random() * 9000).toString();
 }
@@ -21,8 +19,7 @@ export async function POST(request) {
       );
     }
 
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -42,7 +39,7 @@ export async function POST(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
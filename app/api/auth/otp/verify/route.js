@@ -1,9 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 
 const MAX_ATTEMPTS = 5;
-const SESSION_COOKIE = 'user_session';
 
 export async function POST(request) {
   try {
@@ -17,8 +16,7 @@ export async function POST(request) {
       );
     }
 
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -33,7 +31,7 @@ export async function POST(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
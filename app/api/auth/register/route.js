@@ -3,10 +3,9 @@ import bcrypt from 'bcryptjs';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
 import { createDraftUserAndAccount, purgeDraftUserByEmail } from '@/lib/draft-account';
+import { rotateSession } from '@/lib/auth-session';
 
-const SESSION_COOKIE = 'user_session';
 const REG_DONE_COOKIE = 'reg_done';
-const SESSION_MAX_AGE = 60 * 60 * 24 * 7; // 7 days
 
 export async function POST(request) {
   try {
@@ -98,14 +97,8 @@ export async function POST(request) {
 
     // Set the regular session cookie immediately. The middleware will restrict
     // this "draft session" to /auth/register until registration completes.
+    await rotateSession(user.id);
     const cookieStore = await cookies();
-    cookieStore.set(SESSION_COOKIE, user.id, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: SESSION_MAX_AGE,
-      path: '/',
-    });
     // Freshly-created drafts: ensure any stale reg_done cookie is wiped so the
     // middleware correctly treats them as incomplete.
     cookieStore.delete(REG_DONE_COOKIE);
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 import { discoverEntityTypesAndEntities } from '@/lib/entity-discovery';
 
-const SESSION_COOKIE = 'user_session';
-
 // Force dynamic - the scan can take many seconds and must not be cached.
 export const dynamic = 'force-dynamic';
 export const revalidate = 0;
@@ -32,8 +30,7 @@ export const revalidate = 0;
  */
 
 async function getDraftAccountFromSession() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return { error: 'Unauthorized', status: 401 };
 
   const user = await prisma.user.findUnique({
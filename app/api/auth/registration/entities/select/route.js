@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 
-const SESSION_COOKIE = 'user_session';
-
 export const dynamic = 'force-dynamic';
 export const revalidate = 0;
 
@@ -19,8 +17,7 @@ export const revalidate = 0;
  * decide which discovered types/entities migrate onto the new Site.
  */
 export async function POST(request) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) {
     return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
   }
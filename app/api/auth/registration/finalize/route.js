@@ -1,12 +1,12 @@
 import { NextResponse, after } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId, rotateSession } from '@/lib/auth-session';
 import { getNextFirstOfMonth } from '@/lib/proration';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 import { migrateDraftEntityScanToSite } from '@/lib/entity-scan-migration';
 import { notifyAdmins, queueEmail, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
 const REG_DONE_COOKIE = 'reg_done';
 
 /**
@@ -20,7 +20,7 @@ const REG_DONE_COOKIE = 'reg_done';
 export async function POST() {
   try {
     const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -34,7 +34,7 @@ export async function POST() {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
@@ -359,8 +359,9 @@ export async function POST() {
       console.error('[Finalize] welcome email failed:', e);
     }
 
-    // Mark the session as a completed (non-draft) user so middleware allows it
-    // everywhere.
+    // The draft session becomes a full one: issue a fresh token, then mark it
+    // as a completed (non-draft) user so middleware allows it everywhere.
+    await rotateSession(user.id);
     cookieStore.set(REG_DONE_COOKIE, '1', {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
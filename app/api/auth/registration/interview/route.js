@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 
-const SESSION_COOKIE = 'user_session';
-
 export async function POST(request) {
   try {
     const body = await request.json();
     const { interviewData, isComplete = false } = body;
 
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -26,7 +23,7 @@ export async function POST(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
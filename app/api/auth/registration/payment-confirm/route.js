@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import {
   getLowProfileResult,
   chargeWithToken,
@@ -11,8 +11,6 @@ import {
 import { getDraftAccountForUser } from '@/lib/draft-account';
 import { notifyAdmins, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 const LABELS = {
   he: { plan: 'תוכנית', monthly: 'מנוי חודשי' },
   en: { plan: 'Plan', monthly: 'Monthly Subscription' },
@@ -58,8 +56,7 @@ const localizedPlan = (plan, lang) => {
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -80,7 +77,7 @@ export async function POST(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
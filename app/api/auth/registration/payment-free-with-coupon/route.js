@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { applyCouponToOrder } from '@/lib/coupon-pricing';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 import { calculateNewSubscriptionProration } from '@/lib/proration';
 import { notifyAdmins, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/auth/registration/payment-free-with-coupon
  *
@@ -23,8 +21,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST() {
   try {
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
     if (!sessionUserId) {
       return NextResponse.json(
         { error: 'No registration in progress' },
@@ -37,7 +34,7 @@ export async function POST() {
       select: { id: true, email: true, firstName: true, lastName: true },
     });
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { createLowProfile } from '@/lib/cardcom';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/auth/registration/payment-init
  *
@@ -20,8 +18,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json(
@@ -44,7 +41,7 @@ export async function POST(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
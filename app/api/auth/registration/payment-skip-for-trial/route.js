@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/auth/registration/payment-skip-for-trial
  *
@@ -20,8 +18,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST() {
   try {
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
     if (!sessionUserId) {
       return NextResponse.json(
         { error: 'No registration in progress' },
@@ -34,7 +31,7 @@ export async function POST() {
       select: { id: true, email: true, firstName: true, lastName: true },
     });
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: 'Registration not found. Please start over.' },
         { status: 404 }
@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { isValidIsraeliId } from '@/lib/israeli-id';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/auth/registration/save-citizen-id
  *
@@ -32,8 +30,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
     if (!sessionUserId) {
       return NextResponse.json(
         { error: 'No registration in progress' },
@@ -1,12 +1,10 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { endSession, getSessionUserId } from '@/lib/auth-session';
 import { getDraftAccountForUser } from '@/lib/draft-account';
 import { getExchangeRate } from '@/lib/currency';
 import { formatPlanForClient } from '@/lib/plan-format';
 
-const SESSION_COOKIE = 'user_session';
-
 const STEP_MAP = {
   VERIFY: 'verify',
   ACCOUNT_SETUP: 'account-setup',
@@ -21,8 +19,7 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const lang = searchParams.get('lang') || 'he';
 
-    const cookieStore = await cookies();
-    const sessionUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const sessionUserId = await getSessionUserId();
 
     if (!sessionUserId) {
       return NextResponse.json({
@@ -47,7 +44,7 @@ export async function GET(request) {
     });
 
     if (!user) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json({
         success: true,
         hasTempRegistration: false,
@@ -68,7 +65,7 @@ export async function GET(request) {
     // When a draft user exists but has no draft account, recover by clearing
     // the session so the user starts over cleanly.
     if (!draftAccount) {
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json({
         success: true,
         hasTempRegistration: false,
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { handleOidcCallback } from '@/lib/sso/oidc';
+import { takeLoginRequest, completeSsoLogin } from '@/lib/sso/login';
+import { SsoError } from '@/lib/sso/provisioning';
+
+/**
+ * GET /api/auth/sso/oidc/callback
+ * The OIDC IdP's redirect back with an authorization code.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    if (searchParams.get('error')) {
+      console.error('SSO OIDC error:', searchParams.get('error'), searchParams.get('error_description'));
+      return NextResponse.redirect(new URL('/auth/login?error=sso_failed', request.url));
+    }
+
+    const pending = await takeLoginRequest(searchParams.get('state'));
+    if (!pending || pending.connection.protocol !== 'OIDC') {
+      return NextResponse.redirect(new URL('/auth/login?error=sso_expired', request.url));
+    }
+
+    const profile = await handleOidcCallback(pending.connection, searchParams, pending.request);
+
+    const response = NextResponse.redirect(new URL('/dashboard', request.url));
+    const redirectTo = await completeSsoLogin(pending.connection, profile, response);
+    response.headers.set('Location', new URL(redirectTo, request.url).toString());
+    return response;
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return NextResponse.redirect(new URL(`/auth/login?error=sso_${error.code}`, request.url));
+    }
+    console.error('[SSO OIDC Callback] Error:', error.message, error.stack);
+    return NextResponse.redirect(new URL('/auth/login?error=sso_failed', request.url));
+  }
+}
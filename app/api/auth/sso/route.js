@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getSsoConnectionForEmail, isConnectionConfigured } from '@/lib/sso/connections';
+import { startSsoLogin } from '@/lib/sso/login';
+
+/**
+ * GET /api/auth/sso
+ * Starts a single sign-on through the IdP of the account that owns the
+ * email's domain.
+ * Query params:
+ *   - email: the address the user signs in with
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const email = (searchParams.get('email') || '').trim().toLowerCase();
+
+    if (!email) {
+      return NextResponse.redirect(new URL('/auth/login?error=sso_no_email', request.url));
+    }
+
+    const connection = await getSsoConnectionForEmail(email);
+    if (!connection || !isConnectionConfigured(connection)
+      || !connection.account.isActive || connection.account.archivedAt) {
+      return NextResponse.redirect(new URL('/auth/login?error=sso_not_configured', request.url));
+    }
+
+    return NextResponse.redirect(await startSsoLogin(connection));
+  } catch (error) {
+    console.error('SSO initiation error:', error);
+    return NextResponse.redirect(new URL('/auth/login?error=sso_failed', request.url));
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { handleSamlResponse } from '@/lib/sso/saml';
+import { takeLoginRequest, completeSsoLogin } from '@/lib/sso/login';
+import { SsoError } from '@/lib/sso/provisioning';
+
+// 303 so the browser follows the POST with a GET.
+function redirect(path, request) {
+  return NextResponse.redirect(new URL(path, request.url), 303);
+}
+
+/**
+ * POST /api/auth/sso/saml/acs
+ * Assertion consumer service: the IdP POSTs SAMLResponse + RelayState here.
+ */
+export async function POST(request) {
+  try {
+    const form = await request.formData();
+    const SAMLResponse = form.get('SAMLResponse');
+    const RelayState = form.get('RelayState');
+
+    if (!SAMLResponse) {
+      return redirect('/auth/login?error=sso_failed', request);
+    }
+
+    // No (or an unknown) RelayState means IdP-initiated or replayed.
+    const pending = await takeLoginRequest(RelayState);
+    if (!pending || pending.connection.protocol !== 'SAML') {
+      return redirect('/auth/login?error=sso_expired', request);
+    }
+
+    const profile = await handleSamlResponse(pending.connection, { SAMLResponse, RelayState });
+
+    const response = redirect('/dashboard', request);
+    const redirectTo = await completeSsoLogin(pending.connection, profile, response);
+    response.headers.set('Location', new URL(redirectTo, request.url).toString());
+    return response;
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return redirect(`/auth/login?error=sso_${error.code}`, request);
+    }
+    console.error('[SSO SAML ACS] Error:', error.message, error.stack);
+    return redirect('/auth/login?error=sso_failed', request);
+  }
+}
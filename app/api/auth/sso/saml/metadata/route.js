@@ -0,0 +1,11 @@
+import { buildSpMetadata } from '@/lib/sso/saml';
+
+/**
+ * GET /api/auth/sso/saml/metadata
+ * Service provider metadata; its URL doubles as the SP entity ID.
+ */
+export async function GET() {
+  return new Response(buildSpMetadata(), {
+    headers: { 'Content-Type': 'application/samlmetadata+xml; charset=utf-8' },
+  });
+}
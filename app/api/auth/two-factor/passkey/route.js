@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import {
+  getSignInChallenge,
+  recordFailedAttempt,
+  completeSignInChallenge,
+} from '@/lib/two-factor/challenge';
+import { buildAuthenticationOptions, verifyPasskey } from '@/lib/two-factor/passkeys';
+
+// GET - WebAuthn authentication options for the pending sign-in
+export async function GET() {
+  try {
+    const challenge = await getSignInChallenge();
+    if (!challenge || challenge.type !== 'VERIFY') {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+
+    const options = await buildAuthenticationOptions(challenge.userId);
+    if (!options.allowCredentials?.length) {
+      return NextResponse.json({ error: 'No passkeys registered' }, { status: 400 });
+    }
+
+    await prisma.twoFactorChallenge.update({
+      where: { id: challenge.id },
+      data: { webauthnChallenge: options.challenge },
+    });
+
+    return NextResponse.json({ options });
+  } catch (error) {
+    console.error('[2FA API] passkey options error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// POST - Answer the pending sign-in with a passkey assertion
+export async function POST(request) {
+  try {
+    const challenge = await getSignInChallenge();
+    if (!challenge || challenge.type !== 'VERIFY') {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+    if (!challenge.webauthnChallenge) {
+      return NextResponse.json({ error: 'Request passkey options first' }, { status: 400 });
+    }
+
+    const { response } = await request.json();
+    const verified = await verifyPasskey(challenge.userId, response, challenge.webauthnChallenge);
+
+    if (!verified) {
+      const remainingAttempts = await recordFailedAttempt(challenge);
+      return NextResponse.json(
+        { error: 'Passkey not recognized', code: remainingAttempts ? 'invalidPasskey' : 'challengeExpired', remainingAttempts },
+        { status: 401 }
+      );
+    }
+
+    const result = await completeSignInChallenge(challenge);
+    if (!result) {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[2FA API] passkey verify error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import prisma from '@/lib/prisma';
+import {
+  TWO_FACTOR_COOKIE,
+  getSignInChallenge,
+  recordFailedAttempt,
+  completeSignInChallenge,
+} from '@/lib/two-factor/challenge';
+import { getTwoFactorState } from '@/lib/two-factor/policy';
+import { SECOND_FACTOR_USER_SELECT, verifySecondFactor } from '@/lib/two-factor/second-factor';
+
+// GET - The pending sign-in: whether it needs a code or an enrollment, and
+// which methods the user can answer with
+export async function GET() {
+  try {
+    const challenge = await getSignInChallenge();
+    if (!challenge) {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+
+    const [user, state] = await Promise.all([
+      prisma.user.findUnique({ where: { id: challenge.userId }, select: { email: true } }),
+      getTwoFactorState(challenge.userId),
+    ]);
+
+    return NextResponse.json({
+      mode: challenge.type === 'SETUP' ? 'setup' : 'verify',
+      methods: state.methods,
+      email: user?.email || null,
+    });
+  } catch (error) {
+    console.error('[2FA API] challenge lookup error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// POST - Answer the pending sign-in with an authenticator or recovery code
+export async function POST(request) {
+  try {
+    const challenge = await getSignInChallenge();
+    if (!challenge || challenge.type !== 'VERIFY') {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+
+    const { method, code } = await request.json();
+    if (!['totp', 'recovery'].includes(method) || !code) {
+      return NextResponse.json({ error: 'Method and code are required' }, { status: 400 });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      select: SECOND_FACTOR_USER_SELECT,
+    });
+
+    if (!user || !(await verifySecondFactor(user, { method, code }))) {
+      const remainingAttempts = await recordFailedAttempt(challenge);
+      return NextResponse.json(
+        { error: 'Invalid code', code: remainingAttempts ? 'invalidCode' : 'challengeExpired', remainingAttempts },
+        { status: 401 }
+      );
+    }
+
+    const result = await completeSignInChallenge(challenge);
+    if (!result) {
+      return NextResponse.json({ error: 'No pending sign-in', code: 'challengeExpired' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+      recoveryCodesRemaining: method === 'recovery' ? user.recoveryCodes.length - 1 : undefined,
+    });
+  } catch (error) {
+    console.error('[2FA API] verify error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Abandon the pending sign-in (back to the password form)
+export async function DELETE() {
+  try {
+    const challenge = await getSignInChallenge();
+    if (challenge) {
+      await prisma.twoFactorChallenge.deleteMany({ where: { id: challenge.id } });
+    }
+    const cookieStore = await cookies();
+    cookieStore.delete(TWO_FACTOR_COOKIE);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[2FA API] cancel error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import {
+  normalizeAutomationInput,
+  nextScheduledRun,
+  serializeAutomation,
+} from '@/lib/automations/definitions';
+
+const EDITABLE_FIELDS = ['name', 'description', 'trigger', 'triggerConfig', 'conditions', 'actions', 'cooldownMinutes', 'isActive'];
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleAutomation(id, { member, isSuperAdmin }) {
+  return prisma.automation.findFirst({
+    where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+  });
+}
+
+/**
+ * PATCH - Update an automation
+ *
+ * Body: any of { name, description, trigger, triggerConfig, conditions,
+ * actions, cooldownMinutes, isActive }. The result is validated as a whole,
+ * so changing the trigger also requires conditions that fit it.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const automation = await getAccessibleAutomation(id, auth);
+    if (!automation) {
+      return NextResponse.json({ error: 'Automation not found' }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const merged = { ...automation };
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) merged[field] = body[field];
+    }
+
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { accountId: automation.accountId },
+      select: { id: true },
+    });
+    const { data, error } = normalizeAutomationInput(merged, { endpointIds: endpoints.map(e => e.id) });
+    if (error) {
+      return NextResponse.json({ error: 'Invalid automation', code: error }, { status: 400 });
+    }
+
+    // Re-plan the schedule when it changed or was never set; keep the
+    // planned slot otherwise.
+    let nextRunAt = null;
+    if (data.trigger === 'SCHEDULE') {
+      const scheduleChanged = body.trigger !== undefined || body.triggerConfig !== undefined;
+      nextRunAt = scheduleChanged || !automation.nextRunAt
+        ? nextScheduledRun(data.triggerConfig)
+        : automation.nextRunAt;
+    }
+
+    const updated = await prisma.automation.update({
+      where: { id: automation.id },
+      data: { ...data, nextRunAt },
+    });
+
+    return NextResponse.json({ automation: serializeAutomation(updated) });
+  } catch (error) {
+    console.error('[Automations API] PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Remove an automation and its run history. Queued runs find their
+// run gone and stop.
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const automation = await getAccessibleAutomation(id, auth);
+    if (!automation) {
+      return NextResponse.json({ error: 'Automation not found' }, { status: 404 });
+    }
+
+    await prisma.automationRun.deleteMany({ where: { automationId: automation.id } });
+    await prisma.automation.delete({ where: { id: automation.id } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[Automations API] DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { startAutomationRun } from '@/lib/automations/dispatch';
+import { serializeRun } from '@/lib/automations/definitions';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleAutomation(id, { member, isSuperAdmin }) {
+  return prisma.automation.findFirst({
+    where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+  });
+}
+
+// POST - Run an automation's actions now, without a trigger event.
+// Conditions and the cooldown are skipped; fix actions fall back to the
+// site's open insights.
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const automation = await getAccessibleAutomation(id, auth);
+    if (!automation) {
+      return NextResponse.json({ error: 'Automation not found' }, { status: 404 });
+    }
+
+    const run = await startAutomationRun(automation, { manual: true, triggeredBy: auth.member.userId });
+    return NextResponse.json({ run: serializeRun(run) }, { status: 201 });
+  } catch (error) {
+    console.error('[Automations API] run error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { serializeRun } from '@/lib/automations/definitions';
+
+const PAGE_SIZE = 20;
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleAutomation(id, { member, isSuperAdmin }) {
+  return prisma.automation.findFirst({
+    where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+    select: { id: true, siteId: true },
+  });
+}
+
+// GET - Run history of one automation, newest first (?page=1)
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const automation = await getAccessibleAutomation(id, auth);
+    if (!automation) {
+      return NextResponse.json({ error: 'Automation not found' }, { status: 404 });
+    }
+
+    const page = Math.max(1, parseInt(new URL(request.url).searchParams.get('page'), 10) || 1);
+    const [runs, total] = await Promise.all([
+      prisma.automationRun.findMany({
+        where: { automationId: automation.id },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * PAGE_SIZE,
+        take: PAGE_SIZE,
+      }),
+      prisma.automationRun.count({ where: { automationId: automation.id } }),
+    ]);
+
+    return NextResponse.json({
+      runs: runs.map(serializeRun),
+      total,
+      page,
+      pageSize: PAGE_SIZE,
+    });
+  } catch (error) {
+    console.error('[Automations API] GET runs error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,161 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { AGENT_FIXERS, getInsightType } from '@/lib/agent-fix/registry.js';
+import { MAX_AUTOMATIONS_PER_SITE } from '@/lib/automations/catalog';
+import {
+  normalizeAutomationInput,
+  nextScheduledRun,
+  serializeAutomation,
+  serializeRun,
+} from '@/lib/automations/definitions';
+
+const RECENT_RUNS = 10;
+const CREDIT_WINDOW_DAYS = 30;
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleSite(siteId, { member, isSuperAdmin }) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true },
+  });
+}
+
+// Insight types an INSIGHT_CREATED trigger or a fix action can target: every
+// fixer type plus whatever the agent has reported for this site.
+async function insightTypesForSite(siteId) {
+  const recent = await prisma.agentInsight.findMany({
+    where: { siteId },
+    select: { titleKey: true },
+    orderBy: { createdAt: 'desc' },
+    take: 500,
+  });
+  const types = new Set(Object.keys(AGENT_FIXERS));
+  for (const { titleKey } of recent) {
+    const type = getInsightType(titleKey);
+    if (type) types.add(type);
+  }
+  return [...types].sort();
+}
+
+// GET - A site's automations with dashboard stats, recent runs and the
+// options the editor needs (webhook endpoints, insight types)
+export async function GET(request) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const siteId = new URL(request.url).searchParams.get('siteId');
+    if (!siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await getAccessibleSite(siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const creditsSince = new Date(Date.now() - CREDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [automations, recentRuns, runsToday, credits, webhooks, insightTypes] = await Promise.all([
+      prisma.automation.findMany({ where: { siteId }, orderBy: { createdAt: 'asc' } }),
+      prisma.automationRun.findMany({ where: { siteId }, orderBy: { createdAt: 'desc' }, take: RECENT_RUNS }),
+      prisma.automationRun.count({ where: { siteId, createdAt: { gte: startOfDay } } }),
+      prisma.automationRun.aggregate({
+        where: { siteId, createdAt: { gte: creditsSince } },
+        _sum: { creditsUsed: true },
+      }),
+      prisma.webhookEndpoint.findMany({
+        where: { accountId: site.accountId },
+        select: { id: true, url: true, description: true, isActive: true },
+        orderBy: { createdAt: 'asc' },
+      }),
+      insightTypesForSite(siteId),
+    ]);
+
+    const runCount = automations.reduce((sum, a) => sum + a.runCount, 0);
+    const successCount = automations.reduce((sum, a) => sum + a.successCount, 0);
+
+    return NextResponse.json({
+      automations: automations.map(serializeAutomation),
+      stats: {
+        activeAutomations: automations.filter(a => a.isActive).length,
+        runsCompleted: runCount,
+        runsToday,
+        successRate: runCount > 0 ? Math.round((successCount / runCount) * 1000) / 10 : null,
+        creditsUsed: credits._sum.creditsUsed || 0,
+      },
+      recentRuns: recentRuns.map(serializeRun),
+      webhooks,
+      insightTypes,
+      maxAutomations: MAX_AUTOMATIONS_PER_SITE,
+    });
+  } catch (error) {
+    console.error('[Automations API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST - Create an automation
+ *
+ * Body: { siteId, name, description?, trigger, triggerConfig?, conditions?,
+ *         actions: [{ type, config }], cooldownMinutes?, isActive? }
+ */
+export async function POST(request) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    if (!body.siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await getAccessibleSite(body.siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { accountId: site.accountId },
+      select: { id: true },
+    });
+    const { data, error } = normalizeAutomationInput(body, { endpointIds: endpoints.map(e => e.id) });
+    if (error) {
+      return NextResponse.json({ error: 'Invalid automation', code: error }, { status: 400 });
+    }
+
+    const count = await prisma.automation.count({ where: { siteId: site.id } });
+    if (count >= MAX_AUTOMATIONS_PER_SITE) {
+      return NextResponse.json({ error: 'Automation limit reached', code: 'limitReached' }, { status: 400 });
+    }
+
+    const automation = await prisma.automation.create({
+      data: {
+        ...data,
+        siteId: site.id,
+        accountId: site.accountId,
+        nextRunAt: data.trigger === 'SCHEDULE' ? nextScheduledRun(data.triggerConfig) : null,
+        createdBy: auth.member.userId,
+      },
+    });
+
+    return NextResponse.json({ automation: serializeAutomation(automation) }, { status: 201 });
+  } catch (error) {
+    console.error('[Automations API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,10 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getDomainMetrics, getConfiguredProviders, isMetricsEnabled } from '@/lib/domain-metrics';
 import { refreshAccessToken, fetchGAMonthlyTraffic, fetchGAReport, fetchGSCReport } from '@/lib/google-integration';
 
-const SESSION_COOKIE = 'user_session';
 const FIVE_MIN = 5 * 60 * 1000;
 
 /**
@@ -56,8 +55,7 @@ function calculateSmartMonthlyTraffic(monthlyData) {
  */
 export async function GET(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
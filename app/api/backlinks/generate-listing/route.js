@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateTextResponse } from '@/lib/ai/gemini';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/backlinks/generate-listing
  * Uses AI to generate a title and description for a backlink listing.
@@ -12,8 +10,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { hasPermission } from '@/lib/permissions';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/backlinks/my-sites
  * Returns all sites the user can list as backlinks - across ALL accounts
@@ -13,8 +11,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { preflightCandidates } from '@/lib/cluster-cannibalization-preflight';
 
-const SESSION_COOKIE = 'user_session';
-
 // Preflight runs an embedding pass against all cluster members; allow extra
 // headroom for campaigns with many planned posts.
 export const maxDuration = 300;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,12 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -109,7 +106,7 @@ export async function PUT(request, { params }) {
       'postsCount', 'articleTypes', 'contentSettings',
       'subjects', 'subjectSuggestions', 'keywordIds', 'textPrompt', 'imagePrompt',
       'generatedPlan', 'lastCompletedStep',
-      'pillarPageUrl', 'mainKeyword', 'pillarEntityId',
+      'pillarPageUrl', 'mainKeyword', 'pillarEntityId', 'requiresReview',
     ];
 
     for (const field of allowedFields) {
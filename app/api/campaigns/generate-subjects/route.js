@@ -1,6 +1,6 @@
 ﻿import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { MODELS } from '@/lib/ai/gemini';
 import { logAIUsage, getOperationCreditCost } from '@/lib/ai/credits.js';
 import { trackAIUsage } from '@/lib/ai/credits-service.js';
@@ -10,11 +10,8 @@ import { streamText, Output, jsonSchema } from 'ai';
 import { z } from 'zod';
 import { toJSONSchema } from 'zod/v4';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,15 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { z } from 'zod';
 import { createHash } from 'crypto';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
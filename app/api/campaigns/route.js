@@ -1,12 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -96,6 +93,7 @@ export async function POST(request) {
       topicClusterId,
       textPrompt,
       imagePrompt,
+      requiresReview,
     } = body;
 
     if (!siteId || !name || !startDate || !endDate || !postsCount) {
@@ -133,6 +131,7 @@ export async function POST(request) {
         topicClusterId: topicClusterId || null,
         textPrompt: textPrompt || '',
         imagePrompt: imagePrompt || '',
+        requiresReview: requiresReview === true,
         status: 'DRAFT',
       },
     });
@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember } from '@/lib/auth-permissions';
 import { rollbackChatAction } from '@/lib/chat/action-rollback';
+import { recordActivity } from '@/lib/activity-log/log';
 
 /**
  * POST /api/chat/actions/[id]/rollback
@@ -25,6 +26,15 @@ export async function POST(request, { params }) {
 
   try {
     const result = await rollbackChatAction(id);
+    await recordActivity({
+      accountId: action.accountId,
+      userId: member.userId,
+      action: 'chat_action.rolled_back',
+      target: { type: 'chat_action', id, label: action.plan?.title },
+      siteId: action.siteId,
+      before: { status: action.status },
+      after: { rolledBack: result.rolledBack, failed: result.failed },
+    });
     return NextResponse.json(result);
   } catch (err) {
     return NextResponse.json({ error: err.message }, { status: 400 });
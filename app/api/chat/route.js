@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember } from '@/lib/auth-permissions';
-import { getTextModel, MODELS } from '@/lib/ai/gemini';
+import { getLanguageModel } from '@/lib/ai/gemini';
 import { streamText, tool, jsonSchema, stepCountIs, hasToolCall } from 'ai';
 import { logAIUsage, AI_OPERATIONS, getOperationCreditCost } from '@/lib/ai/credits';
 import { trackAIUsage } from '@/lib/ai/credits-service';
@@ -571,8 +571,12 @@ export async function POST(request) {
 
   const systemPrompt = buildSystemPrompt(site, wpSiteInfo, { isWordPress });
 
-  const model = getTextModel();
-  const selectedModelName = MODELS.TEXT;
+  // Honors the account's AI provider routing; the Vertex-only
+  // providerOptions below are ignored by other providers.
+  const { model, modelId: selectedModelName, provider: selectedProvider } = await getLanguageModel({
+    accountId: member.accountId,
+    operation: 'CHAT_MESSAGE',
+  });
 
   // Tools are ALWAYS available - the read-only tools (analyze_page,
   // web_search, fetch_url, get_keywords, get_competitors, ...) work on any
@@ -922,7 +926,7 @@ ${writeRef}`,
             inputTokens,
             outputTokens,
             totalTokens,
-            metadata: { model: selectedModelName, conversationId, route: 'chat' },
+            metadata: { model: selectedModelName, provider: selectedProvider, conversationId, route: 'chat' },
           }).catch((err) => console.error('[Chat] trackAIUsage error:', err.message));
         }
       } catch (err) {
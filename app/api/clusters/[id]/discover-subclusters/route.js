@@ -1,18 +1,15 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { discoverSubClusters } from '@/lib/ai/cluster-discovery';
 import { MAX_DEPTH } from '@/lib/cluster-tree';
 
-const SESSION_COOKIE = 'user_session';
-
 // Recursive AI validation across many candidates per branch — match the main
 // discover endpoint's headroom.
 export const maxDuration = 300;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateLinkGapFix } from '@/lib/ai/cluster-link-fix';
 import * as wpApi from '@/lib/wp-api-client';
 
-const SESSION_COOKIE = 'user_session';
-
 // AI generation + a WP round-trip; allow extra headroom over the default.
 export const maxDuration = 90;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   analyzeClusterHealth,
   findHomepageEntity,
@@ -8,11 +8,8 @@ import {
 } from '@/lib/cluster-health';
 import { getAncestorChain } from '@/lib/cluster-tree';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   validateParentChange,
   assertPillarUniqueness,
@@ -8,13 +8,11 @@ import {
   ClusterTreeError,
 } from '@/lib/cluster-tree';
 
-const SESSION_COOKIE = 'user_session';
 const VALID_STATUSES = new Set(['DISCOVERED', 'CONFIRMED', 'REJECTED']);
 const VALID_CASCADES = new Set(['reparent', 'detach']);
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import { z } from 'zod';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 
-const SESSION_COOKIE = 'user_session';
-
 // AI suggestion is the expensive part — give it room.
 export const maxDuration = 60;
 
@@ -32,8 +30,7 @@ const GapSchema = z.object({
 });
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { discoverTopicClusters } from '@/lib/ai/cluster-discovery';
 
-const SESSION_COOKIE = 'user_session';
-
 // Discovery embeds up to 200 entities and runs AI validation across many candidates,
 // so allow more headroom than the default serverless function timeout.
 export const maxDuration = 300;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -1,18 +1,15 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { scrapeCompetitorPage, comparePages } from '@/lib/competitor-scraper';
 import { identifyContentGaps, generateSkyscraperOutline } from '@/lib/ai/competitor-analysis';
 import { enforceCredits } from '@/lib/account-limits';
 import { invalidateCompetitors } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { findCompetitors } from '@/lib/bot-actions/handlers/find-competitors';
 import { trackAIUsage } from '@/lib/ai/credits-service';
@@ -8,13 +8,10 @@ import { enforceCredits } from '@/lib/account-limits';
 import { notifyAccountMembers } from '@/lib/notifications';
 import { z } from 'zod';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
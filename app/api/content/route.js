@@ -5,18 +5,16 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { cms, getCapabilities } from '@/lib/cms';
 import { uploadBase64ToCloudinary, processBase64ImagesInHtml } from '@/lib/cloudinary-upload';
-
-const SESSION_COOKIE = 'user_session';
+import { isBlockedByReview, recordRevision, REVISION_FIELDS } from '@/lib/content-review';
 
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     return await prisma.user.findUnique({
@@ -403,7 +401,7 @@ export async function PATCH(request) {
     // Get content with site info
     const existingContent = await prisma.content.findUnique({
       where: { id: contentId },
-      include: { site: true },
+      include: { site: true, campaign: { select: { requiresReview: true } } },
     });
 
     if (!existingContent) {
@@ -431,11 +429,27 @@ export async function PATCH(request) {
     }
     if (updateData.wordCount !== undefined) data.wordCount = updateData.wordCount;
 
-    const content = await prisma.content.update({
+    if ((data.status === 'READY_TO_PUBLISH' || data.status === 'PUBLISHED') && isBlockedByReview(existingContent)) {
+      return NextResponse.json(
+        { error: 'This content must be approved before it can be published', code: 'REVIEW_REQUIRED' },
+        { status: 409 }
+      );
+    }
+
+    let content = await prisma.content.update({
       where: { id: contentId },
       data,
     });
 
+    // Snapshot the edit (no-op when no revision field changed). May send
+    // approved content back to review, so return the fresh row.
+    if (REVISION_FIELDS.some((f) => (f === 'html' ? updateData.html : data[f]) !== undefined)) {
+      const revision = await recordRevision(contentId, { source: 'EDIT', createdBy: user.id });
+      if (revision) {
+        content = await prisma.content.findUnique({ where: { id: contentId } });
+      }
+    }
+
     return NextResponse.json({ content });
   } catch (error) {
     console.error('[Content API] PATCH error:', error);
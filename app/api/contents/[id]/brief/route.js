@@ -0,0 +1,141 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { generateContentBrief, sanitizeBrief } from '@/lib/content-brief';
+
+// Scrapes up to 8 competitor pages (30s timeout each, 3 at a time) plus one
+// AI analysis call.
+export const maxDuration = 300;
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'CONTENT_PLANNER', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleContent(id, auth) {
+  const content = await prisma.content.findUnique({
+    where: { id },
+    select: { id: true, siteId: true, status: true, brief: true },
+  });
+  if (!content) return null;
+  const site = await prisma.site.findFirst({
+    where: auth.isSuperAdmin ? { id: content.siteId } : { id: content.siteId, accountId: auth.member.accountId },
+    select: { id: true },
+  });
+  return site ? content : null;
+}
+
+/**
+ * GET /api/contents/[id]/brief
+ *
+ * The stored content brief, or null when none was generated yet.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const content = await getAccessibleContent(id, auth);
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ brief: content.brief || null });
+  } catch (error) {
+    console.error('[Content Brief API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/contents/[id]/brief
+ *
+ * Generate (or regenerate, replacing any edits) the brief from the pages
+ * ranking for the content's keyword. Costs CONTENT_BRIEF, plus one
+ * RANK_CHECK when the keyword has no recent SERP snapshot.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const content = await getAccessibleContent(id, auth);
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+    if (content.status === 'PROCESSING' || content.status === 'PUBLISHED') {
+      return NextResponse.json(
+        { error: `A brief can't be generated while the content is ${content.status.toLowerCase()}` },
+        { status: 409 },
+      );
+    }
+
+    try {
+      const brief = await generateContentBrief({ contentId: id, userId: auth.member.userId });
+      return NextResponse.json({ brief });
+    } catch (err) {
+      if (err.code === 'INSUFFICIENT_CREDITS' || err.code === 'ACCOUNT_READ_ONLY') {
+        return NextResponse.json(
+          { error: err.message, code: err.code, resourceKey: 'aiCredits' },
+          { status: 402 },
+        );
+      }
+      if (err.isBilling) {
+        return NextResponse.json({ error: err.message, code: 'PROVIDER_BILLING' }, { status: 503 });
+      }
+      console.error('[Content Brief API] generation failed:', err);
+      return NextResponse.json({ error: err.message || 'Brief generation failed' }, { status: 422 });
+    }
+  } catch (error) {
+    console.error('[Content Brief API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/contents/[id]/brief
+ *
+ * Body: { brief } - the edited brief. Normalized by sanitizeBrief; the
+ * analyzed sources and generatedAt are kept from the stored brief.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const content = await getAccessibleContent(id, auth);
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+    if (content.status === 'PROCESSING') {
+      return NextResponse.json({ error: 'The article is being written - try again once it is done' }, { status: 409 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.brief || typeof body.brief !== 'object') {
+      return NextResponse.json({ error: 'brief is required' }, { status: 400 });
+    }
+
+    const stored = content.brief || {};
+    const brief = {
+      ...sanitizeBrief({ ...body.brief, sources: stored.sources, generatedAt: stored.generatedAt }),
+      editedAt: new Date().toISOString(),
+      editedBy: auth.member.userId,
+    };
+
+    await prisma.content.update({ where: { id }, data: { brief } });
+    return NextResponse.json({ brief });
+  } catch (error) {
+    console.error('[Content Brief API] PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,209 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { splitParagraphs, anchorComments, snapshotFields } from '@/lib/content-review';
+
+const MAX_COMMENT_LENGTH = 5000;
+
+async function getAuthenticatedUser() {
+  const userId = await getSessionUserId();
+  if (!userId) return null;
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, isSuperAdmin: true },
+  });
+}
+
+async function verifySiteAccess(siteId, user) {
+  const where = user.isSuperAdmin
+    ? { id: siteId }
+    : { id: siteId, account: { members: { some: { userId: user.id } } } };
+  return prisma.site.findFirst({ where,
+    select: { id: true } });
+}
+
+async function loadContent(id, user) {
+  const content = await prisma.content.findUnique({
+    where: { id },
+    select: { id: true, siteId: true, title: true, content: true, aiResult: true },
+  });
+  if (!content) return { error: NextResponse.json({ error: 'Content not found' }, { status: 404 }) };
+  const site = await verifySiteAccess(content.siteId, user);
+  if (!site) return { error: NextResponse.json({ error: 'No access' }, { status: 404 }) };
+  return { content };
+}
+
+/**
+ * GET /api/contents/[id]/comments
+ *
+ * Review comments plus the current paragraphs they anchor to. Each comment
+ * carries currentIndex (where its paragraph is now) and outdated (the
+ * paragraph text no longer exists).
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { content, error } = await loadContent(id, user);
+    if (error) return error;
+
+    const paragraphs = splitParagraphs(snapshotFields(content).html);
+    const comments = await prisma.contentReviewComment.findMany({
+      where: { contentId: id },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const authorIds = [...new Set(comments.map((c) => c.authorId))];
+    const authors = await prisma.user.findMany({
+      where: { id: { in: authorIds } },
+      select: { id: true, firstName: true, lastName: true, email: true, image: true },
+    });
+    const authorMap = Object.fromEntries(authors.map((a) => [a.id, a]));
+
+    return NextResponse.json({
+      paragraphs,
+      comments: anchorComments(comments, paragraphs).map((c) => ({ ...c, author: authorMap[c.authorId] || null })),
+    });
+  } catch (error) {
+    console.error('[Content Comments API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/contents/[id]/comments
+ *
+ * Body: { body: string, paragraphIndex?: number }
+ * Omit paragraphIndex for a general comment on the whole item.
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { content, error } = await loadContent(id, user);
+    if (error) return error;
+
+    const payload = await request.json();
+    const text = typeof payload.body === 'string' ? payload.body.trim() : '';
+    if (!text) {
+      return NextResponse.json({ error: 'Comment body is required' }, { status: 400 });
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+      return NextResponse.json({ error: `Comment is limited to ${MAX_COMMENT_LENGTH} characters` }, { status: 400 });
+    }
+
+    let anchor = { paragraphIndex: null, paragraphHash: null, quote: null };
+    if (payload.paragraphIndex !== undefined && payload.paragraphIndex !== null) {
+      const paragraphs = splitParagraphs(snapshotFields(content).html);
+      const paragraph = paragraphs[Number(payload.paragraphIndex)];
+      if (!paragraph) {
+        return NextResponse.json({ error: 'Paragraph not found' }, { status: 400 });
+      }
+      anchor = { paragraphIndex: paragraph.index, paragraphHash: paragraph.hash, quote: paragraph.text.slice(0, 200) };
+    }
+
+    const latest = await prisma.contentRevision.findFirst({
+      where: { contentId: id },
+      orderBy: { number: 'desc' },
+      select: { id: true },
+    });
+
+    const comment = await prisma.contentReviewComment.create({
+      data: {
+        contentId: id,
+        revisionId: latest?.id || null,
+        ...anchor,
+        body: text,
+        authorId: user.id,
+      },
+    });
+
+    return NextResponse.json({ comment }, { status: 201 });
+  } catch (error) {
+    console.error('[Content Comments API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/contents/[id]/comments
+ *
+ * Body: { commentId: string, resolved: boolean }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { error } = await loadContent(id, user);
+    if (error) return error;
+
+    const { commentId, resolved } = await request.json();
+    const existing = commentId && await prisma.contentReviewComment.findFirst({
+      where: { id: commentId, contentId: id },
+      select: { id: true },
+    });
+    if (!existing) {
+      return NextResponse.json({ error: 'Comment not found' }, { status: 404 });
+    }
+
+    const comment = await prisma.contentReviewComment.update({
+      where: { id: commentId },
+      data: resolved
+        ? { resolved: true, resolvedAt: new Date(), resolvedBy: user.id }
+        : { resolved: false, resolvedAt: null, resolvedBy: null },
+    });
+
+    return NextResponse.json({ comment });
+  } catch (error) {
+    console.error('[Content Comments API] PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/contents/[id]/comments?commentId=...
+ *
+ * Authors can delete their own comments.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { error } = await loadContent(id, user);
+    if (error) return error;
+
+    const commentId = new URL(request.url).searchParams.get('commentId');
+    const existing = commentId && await prisma.contentReviewComment.findFirst({
+      where: { id: commentId, contentId: id },
+      select: { id: true, authorId: true },
+    });
+    if (!existing) {
+      return NextResponse.json({ error: 'Comment not found' }, { status: 404 });
+    }
+    if (existing.authorId !== user.id && !user.isSuperAdmin) {
+      return NextResponse.json({ error: 'Only the author can delete this comment' }, { status: 403 });
+    }
+
+    await prisma.contentReviewComment.delete({ where: { id: commentId } });
+    return NextResponse.json({ ok: true });
+  } catch (error) {
+    console.error('[Content Comments API] DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,220 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import {
+  canManageReviews,
+  canReview,
+  recordRevision,
+  resolveReviewers,
+  notifyReviewers,
+} from '@/lib/content-review';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'CONTENT_PLANNER', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function verifySiteAccess(siteId, auth) {
+  const where = auth.isSuperAdmin ? { id: siteId } : { id: siteId, accountId: auth.member.accountId };
+  return prisma.site.findFirst({ where,
+    select: { id: true, accountId: true } });
+}
+
+const REVIEW_SELECT = {
+  id: true,
+  siteId: true,
+  title: true,
+  status: true,
+  aiResult: true,
+  reviewerIds: true,
+  reviewStatus: true,
+  reviewedAt: true,
+  reviewedBy: true,
+  approvedRevisionId: true,
+  campaign: { select: { id: true, name: true, requiresReview: true } },
+};
+
+function reviewState(content) {
+  return {
+    status: content.status,
+    reviewStatus: content.reviewStatus,
+    reviewerIds: content.reviewerIds,
+    reviewedAt: content.reviewedAt,
+    reviewedBy: content.reviewedBy,
+    approvedRevisionId: content.approvedRevisionId,
+    requiresReview: Boolean(content.campaign?.requiresReview),
+  };
+}
+
+async function loadContent(id, auth) {
+  const content = await prisma.content.findUnique({ where: { id }, select: REVIEW_SELECT });
+  if (!content) return { error: NextResponse.json({ error: 'Content not found' }, { status: 404 }) };
+  const site = await verifySiteAccess(content.siteId, auth);
+  if (!site) return { error: NextResponse.json({ error: 'No access' }, { status: 404 }) };
+  return { content, site };
+}
+
+/**
+ * GET /api/contents/[id]/review
+ *
+ * Review state of a content item, its assigned reviewers, and the account
+ * members that can be assigned.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const { content, site, error } = await loadContent(id, auth);
+    if (error) return error;
+
+    const members = await prisma.accountMember.findMany({
+      where: { accountId: site.accountId, status: 'ACTIVE', userId: { not: null } },
+      select: { id: true, userId: true, user: { select: { firstName: true, lastName: true, email: true, image: true } } },
+    });
+
+    return NextResponse.json({
+      review: reviewState(content),
+      reviewers: members.filter((m) => content.reviewerIds.includes(m.id)),
+      members,
+      canReview: await canReview(auth, content),
+      canAssign: canManageReviews(auth.member),
+    });
+  } catch (error) {
+    console.error('[Content Review API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/contents/[id]/review
+ *
+ * Body:
+ *   { action: 'assign', reviewerIds: string[] }   - AccountMember ids; notifies newly added
+ *                                                   reviewers while the item is IN_REVIEW
+ *   { action: 'approve' }                         - IN_REVIEW → READY_TO_PUBLISH
+ *   { action: 'request_changes', note?: string }  - IN_REVIEW → DRAFT; note is kept as a
+ *                                                   general review comment
+ *
+ * Assigning takes canManageReviews (owners, full content-planner access).
+ * Approve / request changes are limited to assigned reviewers (those same
+ * managers while none are assigned), and never the item's creator or last
+ * editor.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const body = await request.json();
+    const { action } = body;
+
+    const { content, site, error } = await loadContent(id, auth);
+    if (error) return error;
+
+    // ── Assign reviewers ───────────────────────────────────────────
+    if (action === 'assign') {
+      if (!canManageReviews(auth.member)) {
+        return NextResponse.json({ error: 'Only content managers can assign reviewers' }, { status: 403 });
+      }
+      const reviewers = await resolveReviewers(site.accountId, body.reviewerIds);
+      if (Array.isArray(body.reviewerIds) && reviewers.length !== new Set(body.reviewerIds).size) {
+        return NextResponse.json({ error: 'Reviewers must be active members of this account' }, { status: 400 });
+      }
+
+      const updated = await prisma.content.update({
+        where: { id },
+        data: { reviewerIds: reviewers.map((r) => r.id) },
+        select: REVIEW_SELECT,
+      });
+
+      if (content.status === 'IN_REVIEW') {
+        const added = reviewers.filter((r) => !content.reviewerIds.includes(r.id));
+        await notifyReviewers(content, added, site.accountId);
+      }
+
+      return NextResponse.json({ review: reviewState(updated), reviewers });
+    }
+
+    if (action !== 'approve' && action !== 'request_changes') {
+      return NextResponse.json({ error: 'Invalid action' }, { status: 400 });
+    }
+
+    if (content.status !== 'IN_REVIEW') {
+      return NextResponse.json({ error: 'Content is not in review' }, { status: 400 });
+    }
+    if (!(await canReview(auth, content))) {
+      return NextResponse.json(
+        { error: 'Only an assigned reviewer who did not write this content can review it' },
+        { status: 403 }
+      );
+    }
+
+    const now = new Date();
+
+    // ── Approve ────────────────────────────────────────────────────
+    if (action === 'approve') {
+      // Approval is pinned to the latest revision (created if the item
+      // predates revision history).
+      const latest = await prisma.contentRevision.findFirst({
+        where: { contentId: id },
+        orderBy: { number: 'desc' },
+        select: { id: true },
+      }) || await recordRevision(id, { source: 'EDIT', createdBy: auth.member.userId });
+
+      const updated = await prisma.content.update({
+        where: { id },
+        data: {
+          status: 'READY_TO_PUBLISH',
+          reviewStatus: 'APPROVED',
+          reviewedAt: now,
+          reviewedBy: auth.member.userId,
+          approvedRevisionId: latest?.id || null,
+          publishAttempts: 0,
+          errorMessage: null,
+        },
+        select: REVIEW_SELECT,
+      });
+
+      return NextResponse.json({ review: reviewState(updated), action: 'approved' });
+    }
+
+    // ── Request changes ────────────────────────────────────────────
+    const note = typeof body.note === 'string' ? body.note.trim().slice(0, 5000) : '';
+    if (note) {
+      const latest = await prisma.contentRevision.findFirst({
+        where: { contentId: id },
+        orderBy: { number: 'desc' },
+        select: { id: true },
+      });
+      await prisma.contentReviewComment.create({
+        data: { contentId: id, revisionId: latest?.id || null, body: note, authorId: auth.member.userId },
+      });
+    }
+
+    const updated = await prisma.content.update({
+      where: { id },
+      data: {
+        status: 'DRAFT',
+        reviewStatus: 'CHANGES_REQUESTED',
+        reviewedAt: now,
+        reviewedBy: auth.member.userId,
+        approvedRevisionId: null,
+      },
+      select: REVIEW_SELECT,
+    });
+
+    return NextResponse.json({ review: reviewState(updated), action: 'changes_requested' });
+  } catch (error) {
+    console.error('[Content Review API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { restoreRevision } from '@/lib/content-review';
+
+async function getAuthenticatedUser() {
+  const userId = await getSessionUserId();
+  if (!userId) return null;
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, isSuperAdmin: true },
+  });
+}
+
+async function verifySiteAccess(siteId, user) {
+  const where = user.isSuperAdmin
+    ? { id: siteId }
+    : { id: siteId, account: { members: { some: { userId: user.id } } } };
+  return prisma.site.findFirst({ where,
+    select: { id: true } });
+}
+
+/**
+ * POST /api/contents/[id]/revisions/[revisionId]/restore
+ *
+ * Restore a revision's fields onto the content item. The restore is itself
+ * recorded as a new revision, so it can be undone the same way. Published
+ * content must be moved back to draft first (the restore is local only), and
+ * content being generated can't be restored until the worker finishes.
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id, revisionId } = await params;
+    const content = await prisma.content.findUnique({
+      where: { id },
+      select: { id: true, siteId: true, status: true, aiResult: true },
+    });
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+
+    const site = await verifySiteAccess(content.siteId, user);
+    if (!site) {
+      return NextResponse.json({ error: 'No access' }, { status: 404 });
+    }
+
+    if (content.status === 'PUBLISHED' || content.status === 'PROCESSING') {
+      return NextResponse.json({ error: `Cannot restore while content is ${content.status}` }, { status: 400 });
+    }
+
+    const revision = await prisma.contentRevision.findFirst({ where: { id: revisionId, contentId: id } });
+    if (!revision) {
+      return NextResponse.json({ error: 'Revision not found' }, { status: 404 });
+    }
+
+    const restored = await restoreRevision(content, revision, user.id);
+    const final = await prisma.content.findUnique({
+      where: { id },
+      select: { status: true, reviewStatus: true, title: true },
+    });
+
+    return NextResponse.json({ content: final, revision: restored });
+  } catch (error) {
+    console.error('[Content Revisions API] restore error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
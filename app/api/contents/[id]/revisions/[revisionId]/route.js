@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { diffRevisions, snapshotFields } from '@/lib/content-review';
+
+async function getAuthenticatedUser() {
+  const userId = await getSessionUserId();
+  if (!userId) return null;
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, isSuperAdmin: true },
+  });
+}
+
+async function verifySiteAccess(siteId, user) {
+  const where = user.isSuperAdmin
+    ? { id: siteId }
+    : { id: siteId, account: { members: { some: { userId: user.id } } } };
+  return prisma.site.findFirst({ where,
+    select: { id: true } });
+}
+
+/**
+ * GET /api/contents/[id]/revisions/[revisionId]
+ *
+ * A single revision with a diff against another version:
+ *   ?compare=<revisionId>  - diff compare → this revision
+ *   ?compare=current       - diff this revision → the content as it is now
+ *   (default)              - diff the previous revision → this revision
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id, revisionId } = await params;
+    const content = await prisma.content.findUnique({
+      where: { id },
+      select: {
+        siteId: true,
+        title: true,
+        content: true,
+        excerpt: true,
+        slug: true,
+        metaTitle: true,
+        metaDescription: true,
+        aiResult: true,
+      },
+    });
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+
+    const site = await verifySiteAccess(content.siteId, user);
+    if (!site) {
+      return NextResponse.json({ error: 'No access' }, { status: 404 });
+    }
+
+    const revision = await prisma.contentRevision.findFirst({ where: { id: revisionId, contentId: id } });
+    if (!revision) {
+      return NextResponse.json({ error: 'Revision not found' }, { status: 404 });
+    }
+
+    const compare = new URL(request.url).searchParams.get('compare');
+    let diff;
+    let compareTo;
+    if (compare === 'current') {
+      diff = diffRevisions(revision, snapshotFields(content));
+      compareTo = 'current';
+    } else {
+      const other = compare
+        ? await prisma.contentRevision.findFirst({ where: { id: compare, contentId: id } })
+        : await prisma.contentRevision.findFirst({
+          where: { contentId: id, number: { lt: revision.number } },
+          orderBy: { number: 'desc' },
+        });
+      if (compare && !other) {
+        return NextResponse.json({ error: 'Comparison revision not found' }, { status: 404 });
+      }
+      diff = diffRevisions(other, revision);
+      compareTo = other ? { id: other.id, number: other.number } : null;
+    }
+
+    return NextResponse.json({ revision, compareTo, diff });
+  } catch (error) {
+    console.error('[Content Revisions API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
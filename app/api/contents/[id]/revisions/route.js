@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+
+async function getAuthenticatedUser() {
+  const userId = await getSessionUserId();
+  if (!userId) return null;
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, isSuperAdmin: true },
+  });
+}
+
+async function verifySiteAccess(siteId, user) {
+  const where = user.isSuperAdmin
+    ? { id: siteId }
+    : { id: siteId, account: { members: { some: { userId: user.id } } } };
+  return prisma.site.findFirst({ where,
+    select: { id: true } });
+}
+
+/**
+ * GET /api/contents/[id]/revisions
+ *
+ * Revision history of a content item, newest first. Bodies are omitted -
+ * fetch a single revision for its HTML and diff.
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getAuthenticatedUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const content = await prisma.content.findUnique({
+      where: { id },
+      select: { siteId: true, approvedRevisionId: true },
+    });
+    if (!content) {
+      return NextResponse.json({ error: 'Content not found' }, { status: 404 });
+    }
+
+    const site = await verifySiteAccess(content.siteId, user);
+    if (!site) {
+      return NextResponse.json({ error: 'No access' }, { status: 404 });
+    }
+
+    const revisions = await prisma.contentRevision.findMany({
+      where: { contentId: id },
+      orderBy: { number: 'desc' },
+      select: {
+        id: true,
+        number: true,
+        source: true,
+        restoredFrom: true,
+        title: true,
+        createdBy: true,
+        createdAt: true,
+      },
+    });
+
+    return NextResponse.json({
+      revisions: revisions.map((r) => ({ ...r, approved: r.id === content.approvedRevisionId })),
+    });
+  } catch (error) {
+    console.error('[Content Revisions API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,12 +1,10 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
+import { isBlockedByReview, recordRevision } from '@/lib/content-review';
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -90,7 +88,14 @@ export async function PATCH(request, { params }) {
 
     const existing = await prisma.content.findUnique({
       where: { id },
-      select: { siteId: true, status: true, aiResult: true, slug: true },
+      select: {
+        siteId: true,
+        status: true,
+        aiResult: true,
+        slug: true,
+        reviewStatus: true,
+        campaign: { select: { requiresReview: true } },
+      },
     });
 
     if (!existing) {
@@ -119,6 +124,13 @@ export async function PATCH(request, { params }) {
       }
     }
 
+    if ((updateData.status === 'READY_TO_PUBLISH' || updateData.status === 'PUBLISHED') && isBlockedByReview(existing)) {
+      return NextResponse.json(
+        { error: 'This content must be approved before it can be published', code: 'REVIEW_REQUIRED' },
+        { status: 409 }
+      );
+    }
+
     // Convert date strings to Date
     if (updateData.scheduledAt) {
       updateData.scheduledAt = new Date(updateData.scheduledAt);
@@ -187,11 +199,18 @@ export async function PATCH(request, { params }) {
       }
     }
 
-    const content = await prisma.content.update({
+    let content = await prisma.content.update({
       where: { id },
       data: updateData,
     });
 
+    if (updateData.title !== undefined) {
+      const revision = await recordRevision(id, { source: 'EDIT', createdBy: user.id });
+      if (revision) {
+        content = await prisma.content.findUnique({ where: { id } });
+      }
+    }
+
     return NextResponse.json({ content });
   } catch (error) {
     console.error('[Contents API] PATCH error:', error);
@@ -202,7 +221,7 @@ export async function PATCH(request, { params }) {
 /**
  * DELETE /api/contents/[id]
  *
- * Delete a single Content record and its associated ContentBody.
+ * Delete a single Content record with its ContentBody, revisions and review comments.
  */
 export async function DELETE(request, { params }) {
   try {
@@ -231,8 +250,10 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'No access' }, { status: 404 });
     }
 
-    // Delete ContentBody first (if exists), then the Content record
+    // Delete ContentBody and review history first, then the Content record
     await prisma.contentBody.deleteMany({ where: { contentId: id } });
+    await prisma.contentRevision.deleteMany({ where: { contentId: id } });
+    await prisma.contentReviewComment.deleteMany({ where: { contentId: id } });
     await prisma.content.delete({ where: { id } });
 
     return NextResponse.json({ ok: true });
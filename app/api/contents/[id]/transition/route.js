@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { signWorkerPayload } from '@/lib/worker-auth';
-
-const SESSION_COOKIE = 'user_session';
+import { isBlockedByReview, resolveReviewers, notifyReviewers } from '@/lib/content-review';
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -111,8 +109,12 @@ async function resolveWpPostId(content) {
  * - → PUBLISHED: triggers publish worker (sets READY_TO_PUBLISH, then dispatches)
  * - → PROCESSING / READY_TO_PUBLISH: triggers generate worker (sets SCHEDULED, then dispatches)
  * - → DRAFT: if was PUBLISHED, unpublishes on WP (sets to DRAFT)
+ * - → IN_REVIEW: submits generated content for review and notifies reviewers
+ *
+ * Content of a review-required campaign can't be published (or moved out of
+ * IN_REVIEW to READY_TO_PUBLISH) until approved via /api/contents/[id]/review.
  *
- * Body: { targetStatus: 'PUBLISHED' | 'PROCESSING' | 'READY_TO_PUBLISH' | 'DRAFT' | 'SCHEDULED' }
+ * Body: { targetStatus: 'PUBLISHED' | 'PROCESSING' | 'READY_TO_PUBLISH' | 'IN_REVIEW' | 'DRAFT' | 'SCHEDULED' }
  */
 export async function POST(request, { params }) {
   try {
@@ -129,7 +131,7 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'targetStatus is required' }, { status: 400 });
     }
 
-    const validStatuses = ['DRAFT', 'SCHEDULED', 'PROCESSING', 'READY_TO_PUBLISH', 'PUBLISHED'];
+    const validStatuses = ['DRAFT', 'SCHEDULED', 'PROCESSING', 'IN_REVIEW', 'READY_TO_PUBLISH', 'PUBLISHED'];
     if (!validStatuses.includes(targetStatus)) {
       return NextResponse.json({ error: 'Invalid target status' }, { status: 400 });
     }
@@ -140,12 +142,14 @@ export async function POST(request, { params }) {
         site: {
           select: {
             id: true,
+            accountId: true,
             url: true,
             siteKey: true,
             siteSecret: true,
             connectionStatus: true,
           },
         },
+        campaign: { select: { requiresReview: true } },
       },
     });
 
@@ -159,12 +163,39 @@ export async function POST(request, { params }) {
     }
 
     const currentStatus = content.status;
+    const hasGenerated = Boolean(content.aiResult && (content.aiResult.html || content.aiResult.title));
+
+    // ── Review gate ────────────────────────────────────────────────
+    if (isBlockedByReview(content) && (
+      (targetStatus === 'PUBLISHED' && hasGenerated)
+      || (targetStatus === 'READY_TO_PUBLISH' && currentStatus === 'IN_REVIEW')
+    )) {
+      return NextResponse.json(
+        { error: 'This content must be approved before it can be published', code: 'REVIEW_REQUIRED' },
+        { status: 409 },
+      );
+    }
+
+    // ── IN_REVIEW target: submit generated content for review ──────
+    if (targetStatus === 'IN_REVIEW') {
+      if (!hasGenerated) {
+        return NextResponse.json({ error: 'Generate the content before submitting it for review' }, { status: 400 });
+      }
+      await prisma.content.update({
+        where: { id },
+        data: { status: 'IN_REVIEW', reviewStatus: 'PENDING', approvedRevisionId: null, errorMessage: null },
+      });
+
+      const reviewers = await resolveReviewers(content.site.accountId, content.reviewerIds);
+      await notifyReviewers(content, reviewers, content.site.accountId);
+
+      const final = await prisma.content.findUnique({ where: { id }, select: { status: true, errorMessage: true } });
+      return NextResponse.json({ content: final, action: 'submitted_for_review' });
+    }
 
     // ── PUBLISHED target: trigger publish ──────────────────────────
     if (targetStatus === 'PUBLISHED') {
-      const hasAiResult = content.aiResult && (content.aiResult.html || content.aiResult.title);
-
-      if (!hasAiResult) {
+      if (!hasGenerated) {
         // No content generated yet - need to generate first, then it will publish after
         // Set to SCHEDULED so cron picks it up for generation → then publish
         // Only bump scheduledAt to now if the post's date is in the past
@@ -184,6 +215,16 @@ export async function POST(request, { params }) {
         // Dispatch generate immediately
         const genResult = await dispatchGenerate(id);
 
+        // Review-required campaigns stop at IN_REVIEW - publish after approval
+        if (genResult.ok && genResult.status === 'IN_REVIEW') {
+          const final = await prisma.content.findUnique({ where: { id }, select: { status: true, errorMessage: true } });
+          return NextResponse.json({
+            content: final,
+            action: 'generated_for_review',
+            generateResult: genResult,
+          });
+        }
+
         // After generation, if successful, the content will be READY_TO_PUBLISH
         // Now dispatch publish too
         if (genResult.ok && !genResult.error) {
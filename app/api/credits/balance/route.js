@@ -1,10 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getAccountUsage } from '@/lib/account-limits';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/credits/balance
  * Lightweight endpoint that returns the credit balance for the current account.
@@ -15,8 +13,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
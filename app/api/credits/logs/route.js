@@ -10,17 +10,14 @@
  * - siteId: Filter by site ID
  */
 
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getUsageLogs } from '@/lib/ai/credits-service';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user with account info
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
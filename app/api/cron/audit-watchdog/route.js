@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
-import { triggerStage } from '@/lib/audit/internal-trigger';
+import { triggerAuditStage } from '@/lib/audit/internal-trigger';
 
 export const maxDuration = 60;
 
@@ -11,7 +11,7 @@ export const maxDuration = 60;
 const STALE_MS = 5 * 60 * 1000;
 const HARD_LIMIT_MS = 4 * 60 * 60 * 1000;
 const FINAL_HARD_LIMIT_MS = 30 * 60 * 1000;
-// Discovery hands off to /continue. If the first chunk never wrote
+// Discovery hands off to the first AUDIT_CHUNK job. If it never wrote
 // pagesScanned≥1 within this window, the trigger handoff failed and
 // re-nudging hasn't recovered it — give up rather than nudge forever.
 const NO_PROGRESS_LIMIT_MS = 15 * 60 * 1000;
@@ -28,31 +28,18 @@ function verifyAuth(request) {
  *
  * Runs every 5 minutes (configured in vercel.json). Scans for in-flight
  * audits whose heartbeat (`updatedAt`) is older than 5 minutes and either:
- *   • re-triggers the next stage if they're in a resumable phase, or
+ *   • re-queues the next stage if they're in a resumable phase, or
  *   • marks them FAILED if they've blown past the hard wall-time limit
  *     or were on the legacy single-shot path.
  *
- * Self-trigger uses absolute URLs constructed from VERCEL_URL or
- * NEXT_PUBLIC_BASE_URL — needed because cron has no request origin.
+ * Stage handoffs go through the durable queue now, so this mostly catches
+ * legacy audits and stages whose queue job ran out of attempts.
  */
 export async function GET(request) {
   if (!verifyAuth(request)) {
     return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
   }
 
-  // Resolve our own origin for self-trigger fetches. Vercel sets VERCEL_URL
-  // (host without protocol) for us; fall back to a configured base URL.
-  const origin = (() => {
-    if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
-    if (process.env.NEXT_PUBLIC_BASE_URL) return process.env.NEXT_PUBLIC_BASE_URL;
-    // Local dev — request.url has the right host
-    try { return new URL(request.url).origin; } catch { return null; }
-  })();
-
-  if (!origin) {
-    return NextResponse.json({ error: 'Origin unresolvable' }, { status: 500 });
-  }
-
   // Pull a window of in-flight audits. We don't need the heavy fields here.
   const since = new Date(Date.now() - STALE_MS);
   const stale = await prisma.siteAudit.findMany({
@@ -86,13 +73,13 @@ export async function GET(request) {
         continue;
       }
       console.warn(`[CronAuditWatchdog] Nudging stalled scanning audit ${audit.id}`);
-      triggerStage(origin, `/api/audit/continue?auditId=${audit.id}`, { tag: 'cron→continue' });
+      await triggerAuditStage(audit, 'continue', { tag: 'cron→continue' });
       nudgedScanning++;
       continue;
     }
     if (phase === 'finalizing' && totalAge < FINAL_HARD_LIMIT_MS) {
       console.warn(`[CronAuditWatchdog] Nudging stalled finalizing audit ${audit.id}`);
-      triggerStage(origin, `/api/audit/finalize?auditId=${audit.id}`, { tag: 'cron→finalize' });
+      await triggerAuditStage(audit, 'finalize', { tag: 'cron→finalize' });
       nudgedFinalizing++;
       continue;
     }
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { startAutomationRun } from '@/lib/automations/dispatch';
+import { nextScheduledRun } from '@/lib/automations/definitions';
+
+// Hourly cron (vercel.json: "0 * * * *"). Starts a run for every SCHEDULE
+// automation whose nextRunAt has passed. The runs themselves execute on the
+// queue (AUTOMATION_RUN), so this only records and enqueues them.
+
+const MAX_AUTOMATIONS_PER_TICK = 200;
+
+function verifyAuth(request) {
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return true; // dev mode
+  return authHeader === `Bearer ${cronSecret}`;
+}
+
+export async function GET(request) {
+  if (!verifyAuth(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const now = new Date();
+  const due = await prisma.automation.findMany({
+    where: { trigger: 'SCHEDULE', isActive: true, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: 'asc' },
+    take: MAX_AUTOMATIONS_PER_TICK,
+  });
+
+  console.log(`[cron/automations] due scheduled automations: ${due.length}`);
+
+  let started = 0;
+  let failed = 0;
+  for (const automation of due) {
+    // Claim the slot by moving nextRunAt on, so an overlapping tick skips it.
+    const claimed = await prisma.automation.updateMany({
+      where: { id: automation.id, nextRunAt: automation.nextRunAt },
+      data: { nextRunAt: nextScheduledRun(automation.triggerConfig, { after: now, previous: automation.nextRunAt }) },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      await startAutomationRun(automation, { scheduledAt: automation.nextRunAt.toISOString() });
+      started++;
+    } catch (err) {
+      console.error(`[cron/automations] automation ${automation.id} failed to start:`, err);
+      failed++;
+    }
+  }
+
+  return NextResponse.json({ due: due.length, started, failed });
+}
@@ -1,17 +1,16 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { chargeSubscriptionRenewal } from '@/lib/billing-engine';
-import { sendEmail } from '@/lib/mailer';
-import { chargeRenewalFinalFailed } from '@/lib/billing-emails';
+import { getDunningTimeline, loadDunningPolicy, markReadOnly, runFinalAction } from '@/lib/dunning';
 
-const MAX_RUN_BATCH = 25;
-// Retry cadence (per spec): day+1 after initial failure, then +3 days,
-// then +5 days. Indexed by current renewalRetryCount BEFORE we attempt:
-//   1 → next attempt 1 day after lastRenewalAttemptAt    (becomes attempt #2)
-//   2 → next attempt 3 days after last (becomes #3)
-//   3 → next attempt 5 days after last (becomes #4 = final)
-const RETRY_HOURS = { 1: 24, 2: 72, 3: 120 };
-const MAX_ATTEMPTS = 4; // initial + 3 retries
+// Cap on charge attempts per run (each is a CardCom round-trip). Dunning
+// steps that don't charge are cheap and run for every past-due sub.
+const MAX_CHARGES_PER_RUN = 25;
+
+const SUB_INCLUDE = {
+  plan: true,
+  account: { include: { paymentMethods: true } },
+};
 
 function verifyAuth(request) {
   const authHeader = request.headers.get('authorization');
@@ -20,57 +19,18 @@ function verifyAuth(request) {
   return authHeader === `Bearer ${cronSecret}`;
 }
 
-function isReadyForRetry(sub, now) {
-  const last = sub.lastRenewalAttemptAt;
-  if (!last) return true; // shouldn't happen for PAST_DUE but be permissive
-  const hoursSince = (now.getTime() - new Date(last).getTime()) / (1000 * 60 * 60);
-  const required = RETRY_HOURS[sub.renewalRetryCount] ?? 24;
-  return hoursSince >= required;
-}
-
-async function cancelSubscriptionAfterFinalFailure(sub) {
-  await prisma.subscription.update({
-    where: { id: sub.id },
-    data: {
-      status: 'CANCELED',
-      canceledAt: new Date(),
-    },
-  });
-
-  const account = sub.account;
-  const ownerEmail = account?.billingEmail || sub.paymentMethod?.ownerEmail || '';
-  const language = account?.defaultLanguage || 'HE';
-  const paymentMethod = account?.paymentMethods?.find((pm) => pm.isDefault) || account?.paymentMethods?.[0] || null;
-
-  if (ownerEmail) {
-    try {
-      const baseUrl = process.env.NEXT_PUBLIC_APP_URL || process.env.NEXTAUTH_URL || '';
-      const tpl = chargeRenewalFinalFailed({
-        productName: sub.plan?.name || 'subscription',
-        reason: sub.renewalFailureMessage,
-        paymentMethod,
-        reactivateUrl: `${baseUrl}/dashboard/settings?tab=subscription`,
-        lang: language,
-      });
-      await sendEmail({ to: ownerEmail, ...tpl });
-    } catch (e) {
-      console.error('[Cron Retry] cancellation email failed:', e);
-    }
-  }
-}
-
 /**
  * POST /api/cron/billing/retry-past-due
  *
- * Daily cron. Picks subscriptions that are PAST_DUE because a previous
- * renewal attempt failed and:
- *   - retryCount is still under MAX_ATTEMPTS, AND
- *   - enough time has passed since the last attempt (per RETRY_HOURS).
- * Re-runs the renewal charge via the same chargeSubscriptionRenewal helper.
+ * Daily cron. Walks PAST_DUE subscriptions through their dunning timeline
+ * (lib/dunning.js — retry offsets, grace, read-only, final action):
+ *   - retry the renewal charge once the next retry offset has passed,
+ *   - on entering read-only, stamp dunningReadOnlyAt and send the notice,
+ *   - once retries are exhausted and the read-only window is over, run the
+ *     policy's final action (downgrade to the free fallback, or cancel).
  *
- * If the new attempt's retryCount hits MAX_ATTEMPTS and still fails, the
- * subscription is canceled and the user is emailed a "subscription canceled"
- * notice. Otherwise it stays PAST_DUE for the next retry cycle.
+ * Charges are capped per run (oldest attempt first); the rest retry on the
+ * next run.
  *
  * Auth: Bearer CRON_SECRET.
  */
@@ -80,80 +40,62 @@ export async function POST(request) {
   }
 
   const now = new Date();
+  const policy = await loadDunningPolicy();
 
-  // Subscriptions still in retry window. We pull those that are eligible
-  // (count < MAX_ATTEMPTS) and decide per-row whether the time gate passed.
   const candidates = await prisma.subscription.findMany({
-    where: {
-      status: 'PAST_DUE',
-      renewalRetryCount: { lt: MAX_ATTEMPTS },
-    },
-    include: {
-      plan: true,
-      account: { include: { paymentMethods: true } },
-    },
-    take: MAX_RUN_BATCH,
+    where: { status: 'PAST_DUE' },
+    include: SUB_INCLUDE,
+    orderBy: { lastRenewalAttemptAt: 'asc' },
   });
 
   const results = [];
+  let charges = 0;
   for (const sub of candidates) {
-    if (!isReadyForRetry(sub, now)) {
-      results.push({ subscriptionId: sub.id, status: 'wait', retryCount: sub.renewalRetryCount });
-      continue;
-    }
-
-    let result;
-    try {
-      result = await chargeSubscriptionRenewal(sub, now);
-    } catch (err) {
-      console.error('[Cron Retry] chargeSubscriptionRenewal threw:', err);
-      results.push({ subscriptionId: sub.id, status: 'error', error: err.message });
-      continue;
-    }
-
-    // If this attempt also failed and we've now hit the max attempts, cancel.
-    if (result.status === 'failed' && (result.newRetryCount || 0) >= MAX_ATTEMPTS) {
+    let current = sub;
+    let timeline = getDunningTimeline(current, policy, now);
+    let result = { subscriptionId: sub.id, status: 'wait', stage: timeline.stage, retryCount: sub.renewalRetryCount };
+
+    if (timeline.nextRetryAt && now >= timeline.nextRetryAt) {
+      if (charges >= MAX_CHARGES_PER_RUN) {
+        results.push({ ...result, status: 'deferred' });
+        continue;
+      }
+      charges++;
       try {
-        // Re-fetch the sub in its final post-failure state so the
-        // cancellation email has the correct reason text.
-        const finalSub = await prisma.subscription.findUnique({
-          where: { id: sub.id },
-          include: {
-            plan: true,
-            account: { include: { paymentMethods: true } },
-          },
-        });
-        await cancelSubscriptionAfterFinalFailure(finalSub);
-        result.status = 'canceled';
-      } catch (e) {
-        console.error('[Cron Retry] cancellation flow failed:', e);
+        result = await chargeSubscriptionRenewal(current, now);
+      } catch (err) {
+        console.error('[Cron Retry] chargeSubscriptionRenewal threw:', err);
+        results.push({ subscriptionId: sub.id, status: 'error', error: err.message });
+        continue;
+      }
+      if (result.status === 'charged' || result.status === 'free_cycle') {
+        results.push(result);
+        continue;
+      }
+      // Failed or skipped (no eligible card). Re-fetch so the read-only /
+      // final steps see the post-failure state.
+      current = await prisma.subscription.findUnique({ where: { id: sub.id }, include: SUB_INCLUDE });
+      timeline = getDunningTimeline(current, policy, now);
+      if (!timeline) {
+        results.push(result);
+        continue;
       }
     }
 
-    results.push(result);
-  }
-
-  // Also handle subs that are stuck — already at max retries but haven't
-  // been canceled yet (e.g. the cron crashed in the middle of cancellation).
-  // Their status would still be PAST_DUE but renewalRetryCount === MAX.
-  const stuck = await prisma.subscription.findMany({
-    where: {
-      status: 'PAST_DUE',
-      renewalRetryCount: { gte: MAX_ATTEMPTS },
-    },
-    include: {
-      plan: true,
-      account: { include: { paymentMethods: true } },
-    },
-    take: 10,
-  });
-  for (const sub of stuck) {
     try {
-      await cancelSubscriptionAfterFinalFailure(sub);
-      results.push({ subscriptionId: sub.id, status: 'canceled_stuck' });
+      if (timeline.stage === 'final') {
+        result.status = await runFinalAction(current, timeline, now);
+      } else if (timeline.stage === 'read_only' && !current.dunningReadOnlyAt) {
+        await markReadOnly(current, timeline, now);
+        result.readOnly = true;
+      }
     } catch (e) {
-      console.error('[Cron Retry] stuck-cancel failed:', e);
+      console.error('[Cron Retry] dunning step failed:', e);
+      result.dunningError = e.message;
     }
+    result.stage = timeline.stage;
+
+    results.push(result);
   }
 
   console.log('[Cron Retry]', { count: results.length, results });
@@ -18,6 +18,9 @@ function verifyAuth(request) {
  *     are marked ended with reason="expired".
  *   - Sessions tied to a now-revoked or expired grant are also force-ended,
  *     even if the session itself hasn't aged out yet.
+ *   - Expired login sessions (Session, lib/auth-session.js) are deleted.
+ *     The session lookup already refuses them; this keeps the devices list
+ *     and the collection small.
  *
  * Runs every 5 minutes - small enough to feel responsive, large enough that we
  * don't pay a write storm. The resolver's per-request checks are still the
@@ -61,10 +64,15 @@ export async function POST(request) {
       orphanEnded = result.count;
     }
 
+    const expiredLogins = await prisma.session.deleteMany({
+      where: { expires: { lte: now } },
+    });
+
     const summary = {
       expiredGrants: expiredGrants.count,
       expiredSessions: expiredSessions.count,
       orphanedSessions: orphanEnded,
+      expiredLoginSessions: expiredLogins.count,
     };
     console.log('[Cron ExpireImpersonation]', summary);
     return NextResponse.json({ success: true, ...summary });
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { advanceRollouts } from '@/lib/contract/rollouts.js';
+
+export const maxDuration = 300;
+
+function verifyAuth(request) {
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return true; // dev mode
+  return authHeader === `Bearer ${cronSecret}`;
+}
+
+/**
+ * GET /api/cron/override-rollouts
+ *
+ * Hourly cron: takes due SCHEDULED SEO override rollouts live and evaluates
+ * STAGED/LIVE rollouts whose GSC measurement window has matured - promoting,
+ * completing or rolling them back (see lib/contract/rollouts.js).
+ */
+export async function GET(request) {
+  if (!verifyAuth(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const startedAt = Date.now();
+  try {
+    const result = await advanceRollouts({ batchLimit: 50 });
+    const elapsed = Date.now() - startedAt;
+    console.log(`[CronOverrideRollouts] goLive=${result.dueGoLive} eval=${result.dueEval} promoted=${result.promoted} completed=${result.completed} rolledBack=${result.rolled_back} failed=${result.failed} elapsed=${elapsed}ms`);
+    return NextResponse.json({ ...result, elapsedMs: elapsed });
+  } catch (err) {
+    console.error('[CronOverrideRollouts] failed:', err);
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
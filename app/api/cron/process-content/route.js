@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { signWorkerPayload } from '@/lib/worker-auth';
+import { enqueueJob, ACTIVE_STATUSES } from '@/lib/queue/queue';
+import { dispatchDueJobs } from '@/lib/queue/dispatcher';
 
-const BATCH_SIZE = 50; // Fan-out: dispatch up to 50 workers per cron run
+const BATCH_SIZE = 50; // Fan-out: queue up to 50 GENERATE_ARTICLE jobs per cron run
 
 // ─── Security ────────────────────────────────────────────────────────
 function verifyAuth(request) {
@@ -34,7 +35,7 @@ async function acquireBatch() {
     },
     orderBy: { scheduledAt: 'asc' },
     take: BATCH_SIZE,
-    select: { id: true, campaignId: true },
+    select: { id: true, campaignId: true, siteId: true },
   });
 
   if (candidates.length === 0) return [];
@@ -59,59 +60,64 @@ async function acquireBatch() {
       id: { in: ids },
       status: 'PROCESSING',
     },
-    select: { id: true, campaignId: true },
+    select: { id: true, campaignId: true, siteId: true },
   });
 
   return locked;
 }
 
-// ─── Worker Dispatch ─────────────────────────────────────────────────
+// ─── Queue ───────────────────────────────────────────────────────────
 /**
- * Dispatch a single worker invocation via fetch.
- * Returns a promise - callers must await all dispatches before
- * the route handler returns (serverless runtimes kill unawaited promises).
+ * Queue one GENERATE_ARTICLE job per locked item. The queue dispatches each to
+ * /api/worker/run-job, retries workers that die mid-generation, and keeps
+ * per-site fan-out within the type's concurrency limit.
  */
-function dispatchWorker(contentId) {
-  const baseUrl = process.env.NEXT_PUBLIC_APP_URL
-    || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3001');
-
-  const { token, timestamp } = signWorkerPayload(contentId);
-
-  return fetch(`${baseUrl}/api/worker/generate-article`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-worker-token': token,
-      'x-worker-timestamp': String(timestamp),
-      'x-worker-content-id': contentId,
-    },
-    body: JSON.stringify({ contentId }),
-    signal: AbortSignal.timeout(120_000), // 2 min safety net
+function enqueueGeneration(item) {
+  return enqueueJob('GENERATE_ARTICLE', { contentId: item.id }, {
+    siteId: item.siteId,
+    dedupeKey: `GENERATE_ARTICLE:${item.id}`,
   })
-    .then(async (res) => {
-      const body = await res.json().catch(() => ({}));
-      return { contentId, ok: res.ok, status: res.status, ...body };
-    })
+    .then((job) => ({ contentId: item.id, ok: true, jobId: job.id }))
     .catch((err) => {
-      console.error(`[process-content] Dispatch failed for ${contentId}:`, err.message);
-      return { contentId, ok: false, error: err.message };
+      console.error(`[process-content] Enqueue failed for ${item.id}:`, err.message);
+      return { contentId: item.id, ok: false, error: err.message };
     });
 }
 
 // ─── Stale Lock Recovery ─────────────────────────────────────────────
 /**
- * Find content stuck in PROCESSING for > 10 minutes (worker crashed or
- * timed out) and reset it back to SCHEDULED for retry.
+ * Find content stuck in PROCESSING for > 10 minutes with no live
+ * GENERATE_ARTICLE job (enqueue failed, or the job went DEAD) and reset it
+ * back to SCHEDULED for retry. Content whose job is still pending or running
+ * is left to the queue.
  */
 async function recoverStaleLocks() {
   const staleThreshold = new Date(Date.now() - 10 * 60 * 1000); // 10 minutes ago
 
-  const stale = await prisma.content.updateMany({
+  const candidates = await prisma.content.findMany({
     where: {
       status: 'PROCESSING',
       lastAttemptAt: { lt: staleThreshold },
       processingAttempts: { lt: 3 },
     },
+    select: { id: true },
+    take: 200,
+  });
+  if (candidates.length === 0) return;
+
+  const active = await prisma.queueJob.findMany({
+    where: {
+      dedupeKey: { in: candidates.map(c => `GENERATE_ARTICLE:${c.id}`) },
+      status: { in: ACTIVE_STATUSES },
+    },
+    select: { payload: true },
+  });
+  const queued = new Set(active.map(j => j.payload?.contentId));
+  const ids = candidates.map(c => c.id).filter(id => !queued.has(id));
+  if (ids.length === 0) return;
+
+  const stale = await prisma.content.updateMany({
+    where: { id: { in: ids }, status: 'PROCESSING' },
     data: {
       status: 'SCHEDULED',
       errorMessage: 'Recovered from stale PROCESSING state',
@@ -131,7 +137,7 @@ async function autoCompleteCampaigns(campaignIds) {
     const remaining = await prisma.content.count({
       where: {
         campaignId,
-        status: { in: ['SCHEDULED', 'PROCESSING', 'READY_TO_PUBLISH'] },
+        status: { in: ['SCHEDULED', 'PROCESSING', 'IN_REVIEW', 'READY_TO_PUBLISH'] },
       },
     });
 
@@ -162,9 +168,9 @@ export async function GET(request) {
       return NextResponse.json({ ok: true, message: 'No content to process', dispatched: 0 });
     }
 
-    // 3. Fan-out: dispatch all workers in parallel and wait for them
-    const workerPromises = batch.map((item) => dispatchWorker(item.id));
-    const workerResults = await Promise.allSettled(workerPromises);
+    // 3. Fan-out: queue a job per item, then dispatch the due ones now
+    const workerResults = await Promise.all(batch.map(enqueueGeneration));
+    const { dispatched } = await dispatchDueJobs({ types: ['GENERATE_ARTICLE'] });
 
     // 4. Summarize results
     const campaignIds = [...new Set(batch.map(c => c.campaignId).filter(Boolean))];
@@ -178,9 +184,10 @@ export async function GET(request) {
 
     const summary = {
       ok: true,
-      dispatched: batch.length,
+      queued: workerResults.filter(r => r.ok).length,
+      dispatched,
       contentIds: batch.map(c => c.id),
-      results: workerResults.map(r => r.status === 'fulfilled' ? r.value : { error: r.reason?.message }),
+      results: workerResults,
     };
 
     console.log('[process-content] Dispatcher complete:', JSON.stringify(summary));
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { recoverExpiredLeases } from '@/lib/queue/runner';
+import { dispatchDueJobs } from '@/lib/queue/dispatcher';
+
+export const maxDuration = 60;
+
+// ─── Security ────────────────────────────────────────────────────────
+function verifyAuth(request) {
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return true; // dev mode
+  return authHeader === `Bearer ${cronSecret}`;
+}
+
+/**
+ * GET /api/cron/process-queue
+ *
+ * Runs every minute (configured in vercel.json). Puts back jobs whose worker
+ * lease expired, then dispatches every due job within the per-type
+ * concurrency limits. Enqueuers also dispatch immediately (kickQueue), so
+ * this is what picks up retries, delayed jobs and lost kicks.
+ */
+export async function GET(request) {
+  if (!verifyAuth(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const recovered = await recoverExpiredLeases();
+    const { dispatched, results } = await dispatchDueJobs();
+    const undelivered = results.filter(r => !r.delivered).length;
+
+    if (dispatched > 0) {
+      console.log(`[CronProcessQueue] Dispatched ${dispatched} jobs (${undelivered} undelivered)`);
+    }
+
+    return NextResponse.json({ success: true, recovered, dispatched, undelivered });
+  } catch (error) {
+    console.error('[CronProcessQueue] Fatal error:', error);
+    return NextResponse.json({ error: 'Failed to process queue' }, { status: 500 });
+  }
+}
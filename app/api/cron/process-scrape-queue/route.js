@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { processScrapeQueue } from '@/lib/sitemap-delta-sync';
+import { sweepScrapeQueue } from '@/lib/sitemap-delta-sync';
 
 // ─── Security ────────────────────────────────────────────────────────
 function verifyAuth(request) {
@@ -12,31 +12,31 @@ function verifyAuth(request) {
 /**
  * GET /api/cron/process-scrape-queue
  * 
- * Runs every 5 minutes to process PENDING items from the ScrapeQueue.
- * Picks up a small batch, fetches each page, and creates/updates entities.
- * Failed items retry up to 3 times before being marked FAILED.
+ * Runs every 5 minutes as a safety sweep. ScrapeQueue rows are processed by
+ * SCRAPE_PAGE queue jobs (enqueued when the row is created); this makes sure
+ * every PENDING row has one. Failed items retry up to 3 times (queue backoff)
+ * before being marked FAILED.
  */
 export async function GET(request) {
   if (!verifyAuth(request)) {
     return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
   }
 
-  console.log('[CronScrapeQueue] Processing scrape queue...');
+  console.log('[CronScrapeQueue] Sweeping scrape queue...');
 
   try {
-    const { processed, failed } = await processScrapeQueue(20);
+    const { queued } = await sweepScrapeQueue(100);
 
-    console.log(`[CronScrapeQueue] Done. ${processed} processed, ${failed} failed.`);
+    console.log(`[CronScrapeQueue] Done. ${queued} pending items checked for queue jobs.`);
 
     return NextResponse.json({
       success: true,
-      processed,
-      failed,
+      queued,
     });
   } catch (error) {
     console.error('[CronScrapeQueue] Fatal error:', error);
     return NextResponse.json(
-      { error: 'Failed to process scrape queue' },
+      { error: 'Failed to sweep scrape queue' },
       { status: 500 },
     );
   }
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { signWorkerPayload } from '@/lib/worker-auth';
+import { enqueueJob } from '@/lib/queue/queue';
+import { dispatchDueJobs } from '@/lib/queue/dispatcher';
+import { isBlockedByReview } from '@/lib/content-review';
 
 const MAX_PUBLISH_ATTEMPTS = 3;
 const MAX_PER_SITE = 1; // Tenant throttle: max 1 publish per site per cron run
@@ -18,6 +20,10 @@ function verifyAuth(request) {
  * Fetch READY_TO_PUBLISH content, then apply tenant throttling:
  * only ONE item per siteId per cron run to avoid overwhelming
  * client WordPress sites with concurrent requests.
+ *
+ * Items of a review-required campaign that were never approved (e.g. made
+ * READY_TO_PUBLISH before the campaign turned review on) are refused and
+ * moved to IN_REVIEW so they leave the publish queue.
  */
 async function fetchThrottledContent() {
   const now = new Date();
@@ -39,16 +45,28 @@ async function fetchThrottledContent() {
       id: true,
       siteId: true,
       campaignId: true,
+      reviewStatus: true,
+      campaign: { select: { requiresReview: true } },
     },
   });
 
-  if (candidates.length === 0) return [];
+  const unapproved = candidates.filter(isBlockedByReview);
+  if (unapproved.length > 0) {
+    await prisma.content.updateMany({
+      where: { id: { in: unapproved.map((c) => c.id) } },
+      data: { status: 'IN_REVIEW', reviewStatus: 'PENDING' },
+    });
+    console.log(`[publish-content] Refused ${unapproved.length} unapproved item(s), moved to IN_REVIEW`);
+  }
+  const approved = candidates.filter((c) => !isBlockedByReview(c));
+
+  if (approved.length === 0) return [];
 
   // ── Tenant Throttle: pick MAX_PER_SITE items per site ──────────
   const siteCount = new Map();
   const throttled = [];
 
-  for (const item of candidates) {
+  for (const item of approved) {
     const count = siteCount.get(item.siteId) || 0;
     if (count < MAX_PER_SITE) {
       throttled.push(item);
@@ -59,31 +77,21 @@ async function fetchThrottledContent() {
   return throttled;
 }
 
-// ─── Worker Dispatch ─────────────────────────────────────────────────
-function dispatchPublishWorker(contentId) {
-  const baseUrl = process.env.NEXT_PUBLIC_APP_URL
-    || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3001');
-
-  const { token, timestamp } = signWorkerPayload(contentId);
-
-  return fetch(`${baseUrl}/api/worker/publish-article`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-worker-token': token,
-      'x-worker-timestamp': String(timestamp),
-      'x-worker-content-id': contentId,
-    },
-    body: JSON.stringify({ contentId }),
-    signal: AbortSignal.timeout(60_000),
+// ─── Queue ───────────────────────────────────────────────────────────
+/**
+ * Queue a PUBLISH_ARTICLE job. Deduped per content item, so an item whose
+ * previous job is still pending a retry isn't queued twice; the type's
+ * perSiteConcurrency (1) keeps one publish per site in flight.
+ */
+function enqueuePublish(item) {
+  return enqueueJob('PUBLISH_ARTICLE', { contentId: item.id }, {
+    siteId: item.siteId,
+    dedupeKey: `PUBLISH_ARTICLE:${item.id}`,
   })
-    .then(async (res) => {
-      const body = await res.json().catch(() => ({}));
-      return { contentId, ok: res.ok, status: res.status, ...body };
-    })
+    .then((job) => ({ contentId: item.id, ok: true, jobId: job.id }))
     .catch((err) => {
-      console.error(`[publish-content] Dispatch failed for ${contentId}:`, err.message);
-      return { contentId, ok: false, error: err.message };
+      console.error(`[publish-content] Enqueue failed for ${item.id}:`, err.message);
+      return { contentId: item.id, ok: false, error: err.message };
     });
 }
 
@@ -104,7 +112,7 @@ async function autoCompleteCampaigns(campaignIds) {
     const remaining = await prisma.content.count({
       where: {
         campaignId,
-        status: { in: ['SCHEDULED', 'PROCESSING', 'READY_TO_PUBLISH'] },
+        status: { in: ['SCHEDULED', 'PROCESSING', 'IN_REVIEW', 'READY_TO_PUBLISH'] },
       },
     });
 
@@ -129,7 +137,7 @@ export async function GET(request) {
     console.log(`[publish-content] Starting at ${now.toISOString()}`);
 
     const batch = await fetchThrottledContent();
-    console.log(`[publish-content] Dispatching ${batch.length} items (1 per site)`);
+    console.log(`[publish-content] Queueing ${batch.length} items (1 per site)`);
 
     if (batch.length === 0) {
       return NextResponse.json({
@@ -139,9 +147,9 @@ export async function GET(request) {
       });
     }
 
-    // Fan-out: dispatch all workers in parallel and wait for them
-    const workerPromises = batch.map((item) => dispatchPublishWorker(item.id));
-    const workerResults = await Promise.allSettled(workerPromises);
+    // Fan-out: queue a job per item, then dispatch the due ones now
+    const workerResults = await Promise.all(batch.map(enqueuePublish));
+    const { dispatched } = await dispatchDueJobs({ types: ['PUBLISH_ARTICLE'] });
 
     // Best-effort campaign auto-completion
     const campaignIds = [...new Set(batch.map(c => c.campaignId).filter(Boolean))];
@@ -153,10 +161,11 @@ export async function GET(request) {
 
     const summary = {
       ok: true,
-      dispatched: batch.length,
+      queued: workerResults.filter(r => r.ok).length,
+      dispatched,
       sites: [...new Set(batch.map(c => c.siteId))].length,
       contentIds: batch.map(c => c.id),
-      results: workerResults.map(r => r.status === 'fulfilled' ? r.value : { error: r.reason?.message }),
+      results: workerResults,
     };
 
     console.log('[publish-content] Dispatcher complete:', JSON.stringify(summary));
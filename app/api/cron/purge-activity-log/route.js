@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { purgeExpiredActivity } from '@/lib/activity-log/log';
+
+function verifyAuth(request) {
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return true;
+  return authHeader === `Bearer ${cronSecret}`;
+}
+
+/**
+ * POST /api/cron/purge-activity-log
+ * Deletes account activity log entries older than the account's retention
+ * period (Account.activityRetentionDays). Runs nightly.
+ */
+export async function POST(request) {
+  if (!verifyAuth(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const deleted = await purgeExpiredActivity();
+    console.log(`[Cron ActivityLog] Purged ${deleted} expired entries`);
+    return NextResponse.json({ success: true, deleted });
+  } catch (error) {
+    console.error('[Cron ActivityLog] Error:', error);
+    return NextResponse.json({ error: 'Activity log purge failed' }, { status: 500 });
+  }
+}
+
+export const GET = POST;
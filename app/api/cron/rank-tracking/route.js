@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { runRankSchedule } from '@/lib/rank-tracking';
+
+// Hourly cron (vercel.json: "20 * * * *"). Runs every rank-tracking schedule
+// whose nextRunAt has passed, serially - each keyword is a paid DataForSEO
+// request and credits are checked per schedule. Schedules left over when the
+// time budget runs out stay due and are picked up on the next tick.
+export const maxDuration = 300;
+
+const TIME_BUDGET_MS = 240 * 1000;
+const MAX_SCHEDULES_PER_TICK = 20;
+
+function verifyAuth(request) {
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return true; // dev mode
+  return authHeader === `Bearer ${cronSecret}`;
+}
+
+export async function GET(request) {
+  if (!verifyAuth(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const startedAt = Date.now();
+  const now = new Date();
+
+  const due = await prisma.rankTrackingSchedule.findMany({
+    where: { isActive: true, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: 'asc' },
+    take: MAX_SCHEDULES_PER_TICK,
+  });
+
+  console.log(`[cron/rank-tracking] due schedules: ${due.length}`);
+
+  const results = [];
+  for (const schedule of due) {
+    if (Date.now() - startedAt > TIME_BUDGET_MS) break;
+
+    // Claim the schedule so an overlapping tick doesn't run it twice.
+    // runRankSchedule sets the real nextRunAt when it finishes.
+    const claimed = await prisma.rankTrackingSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: new Date(Date.now() + 60 * 60 * 1000) },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      const result = await runRankSchedule(schedule);
+      results.push({ scheduleId: schedule.id, siteId: schedule.siteId, ...result });
+    } catch (err) {
+      console.error(`[cron/rank-tracking] schedule ${schedule.id} failed:`, err);
+      results.push({
+        scheduleId: schedule.id,
+        siteId: schedule.siteId,
+        status: 'error',
+        error: String(err?.message || err).slice(0, 200),
+      });
+    }
+  }
+
+  return NextResponse.json({
+    due: due.length,
+    processed: results.length,
+    checked: results.reduce((sum, r) => sum + (r.checked || 0), 0),
+    results,
+  });
+}
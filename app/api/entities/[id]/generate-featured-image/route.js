@@ -1,19 +1,16 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateImage } from '@/lib/ai/gemini';
 import { gatherImageContext, buildImagePrompt } from '@/lib/ai/image-context';
 import { uploadBase64ToCloudinary } from '@/lib/cloudinary-upload';
 import * as wpApi from '@/lib/wp-api-client';
 
-const SESSION_COOKIE = 'user_session';
-
 // Image generation + Cloudinary upload + plugin upload + plugin update; allow headroom.
 export const maxDuration = 120;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
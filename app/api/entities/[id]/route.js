@@ -1,16 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { updatePost, updateSeoData, updateAcfFields, getPostBySlug } from '@/lib/wp-api-client';
 import { processBase64ImagesInHtml } from '@/lib/cloudinary-upload';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user with their account memberships
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateTextResponse } from '@/lib/ai/gemini';
 import { trackAIUsage } from '@/lib/ai/credits-service';
 import { enforceCredits } from '@/lib/account-limits';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * Detect platform from HTML content using multiple methods
  */
@@ -168,8 +166,7 @@ If you cannot determine the platform with high confidence, return "custom".`;
 export async function POST(request) {
   try {
     // Check authentication
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
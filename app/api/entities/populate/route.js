@@ -1,10 +1,10 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { cms } from '@/lib/cms';
 import { acquireSyncLock, releaseSyncLock, buildEntityData } from '@/lib/entity-sync';
 
-const SESSION_COOKIE = 'user_session';
 const LOCALE_COOKIE = 'ghostseo-locale';
 
 // Sync progress message translations
@@ -37,7 +37,7 @@ const SYNC_MESSAGES = {
 export async function POST(request) {
   try {
     const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -175,8 +175,7 @@ export async function POST(request) {
  */
 export async function GET(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -253,8 +252,7 @@ export async function GET(request) {
  */
 export async function DELETE(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
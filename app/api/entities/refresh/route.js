@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateTextResponse } from '@/lib/ai/gemini';
 import { trackAIUsage } from '@/lib/ai/credits-service';
 import { enforceCredits } from '@/lib/account-limits';
@@ -10,8 +10,6 @@ import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 export const dynamic = 'force-dynamic';
 export const revalidate = 0;
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * Decode HTML entities like &#x27; to actual characters
  */
@@ -330,8 +328,7 @@ Do not include any explanation or additional text.`;
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
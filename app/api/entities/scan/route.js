@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { trackAIUsage } from '@/lib/ai/credits-service';
 import { enforceCredits } from '@/lib/account-limits';
@@ -13,8 +14,6 @@ import { z } from 'zod';
 export const dynamic = 'force-dynamic';
 export const revalidate = 0;
 
-const SESSION_COOKIE = 'user_session';
-
 // Translatable sync progress messages
 const SCAN_MESSAGES = {
   en: {
@@ -3122,7 +3121,7 @@ async function deepCrawlEntities(site, options = {}, msg = SCAN_MESSAGES.en) {
 export async function GET(request) {
   try {
     const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -3212,7 +3211,7 @@ export async function GET(request) {
 export async function POST(request) {
   try {
     const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-import { getActiveImpersonation, IMPERSONATION_COOKIE, SESSION_COOKIE } from '@/lib/impersonation-context';
+import { getSessionUserId } from '@/lib/auth-session';
+import { getActiveImpersonation, IMPERSONATION_COOKIE } from '@/lib/impersonation-context';
 
 /**
  * GET /api/impersonation/status
@@ -18,7 +19,7 @@ import { getActiveImpersonation, IMPERSONATION_COOKIE, SESSION_COOKIE } from '@/
 export async function GET() {
   try {
     const cookieStore = await cookies();
-    const realUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const realUserId = await getSessionUserId();
     if (!realUserId) {
       return NextResponse.json({ active: false });
     }
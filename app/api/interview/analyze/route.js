@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { trackAIUsage } from '@/lib/ai/credits-service';
 import { enforceCredits } from '@/lib/account-limits';
 import { BOT_FETCH_HEADERS, WAF_BLOCK_STATUSES } from '@/lib/bot-identity';
 import { z } from 'zod';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/interview/analyze
  * Proactive Onboarding: Analyze a website and extract business intelligence
@@ -22,8 +20,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     // Registered users AND mid-registration draft users both carry user_session.
     if (!userId) {
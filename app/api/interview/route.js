@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getAccountUsage, getSiteCompetitorCapacity } from '@/lib/account-limits';
 import { 
   getNextQuestion, 
@@ -11,13 +11,10 @@ import {
   completeInterview 
 } from '@/lib/interview/flow-engine';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user with account info
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -7,15 +7,13 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateTextResponse, generateStructuredResponse, generateImage, MODELS } from '@/lib/ai/gemini';
 import { gatherImageContext, buildImagePrompt } from '@/lib/ai/image-context';
 import { z } from 'zod';
 import { uploadBase64ToCloudinary } from '@/lib/cloudinary-upload';
 
-const SESSION_COOKIE = 'user_session';
-
 // Fallback placeholder image URL
 const PICSUM_URL = 'https://picsum.photos';
 
@@ -123,8 +121,7 @@ const INTENT_CONTEXT = {
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
 
     return await prisma.user.findUnique({
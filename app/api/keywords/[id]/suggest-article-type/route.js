@@ -7,14 +7,12 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { z } from 'zod';
 import { invalidateKeywords } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 // Valid article type IDs (must match ARTICLE_TYPES in wizardConfig.js)
 const VALID_TYPES = [
   'SEO', 'BLOG_POST', 'GUIDE', 'HOW_TO', 'LISTICLE',
@@ -29,8 +27,7 @@ const SuggestionSchema = z.object({
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return await prisma.user.findUnique({
       where: { id: userId },
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { FREQUENCIES, nextRunAfter } from '@/lib/rank-tracking';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleSchedule(id, auth) {
+  const schedule = await prisma.rankTrackingSchedule.findUnique({ where: { id } });
+  if (!schedule) return null;
+  const site = await prisma.site.findFirst({
+    where: auth.isSuperAdmin ? { id: schedule.siteId } : { id: schedule.siteId, accountId: auth.member.accountId },
+    select: { id: true },
+  });
+  return site ? schedule : null;
+}
+
+/**
+ * PATCH - Update a schedule
+ *
+ * Body: { name?, tags?, frequency?, isActive? }
+ * The market (country / language) is fixed per schedule so its history stays
+ * comparable - create a new schedule to track another market.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const schedule = await getAccessibleSchedule(id, auth);
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const data = {};
+
+    if (body.name !== undefined) {
+      const name = String(body.name).trim();
+      if (!name) return NextResponse.json({ error: 'name cannot be empty' }, { status: 400 });
+      data.name = name.slice(0, 100);
+    }
+    if (Array.isArray(body.tags)) {
+      data.tags = [...new Set(body.tags.map(t => String(t).trim()).filter(Boolean))];
+    }
+    if (body.frequency !== undefined) {
+      if (!FREQUENCIES.includes(body.frequency)) {
+        return NextResponse.json({ error: `frequency must be one of ${FREQUENCIES.join(', ')}` }, { status: 400 });
+      }
+      data.frequency = body.frequency;
+      // Re-base the next run on the new cadence
+      data.nextRunAt = schedule.lastRunAt ? nextRunAfter(body.frequency, schedule.lastRunAt) : new Date();
+    }
+    if (typeof body.isActive === 'boolean') {
+      data.isActive = body.isActive;
+      // Resuming a schedule that was due while paused runs it on the next tick
+      if (body.isActive && !schedule.isActive && schedule.nextRunAt < new Date()) {
+        data.nextRunAt = new Date();
+      }
+    }
+
+    const updated = await prisma.rankTrackingSchedule.update({ where: { id }, data });
+    return NextResponse.json({ schedule: updated });
+  } catch (error) {
+    console.error('[Rank Schedules API] PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE - Remove a schedule. Its snapshots are kept (they are still the
+ * keywords' rank history) but no longer feed a share-of-voice series.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const schedule = await getAccessibleSchedule(id, auth);
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    await prisma.rankTrackingSchedule.delete({ where: { id } });
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[Rank Schedules API] DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
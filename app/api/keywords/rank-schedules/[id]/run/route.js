@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { runRankSchedule } from '@/lib/rank-tracking';
+
+export const maxDuration = 300;
+
+// A manual run re-checks (and re-bills) the whole set - don't allow it more
+// often than this, whatever the schedule's cadence.
+const MIN_MANUAL_INTERVAL_MS = 60 * 60 * 1000;
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * POST /api/keywords/rank-schedules/[id]/run
+ *
+ * Run a schedule now instead of waiting for the cron. Same credit checks and
+ * debits as a scheduled run; the next scheduled run moves to one interval
+ * after this one.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const schedule = await prisma.rankTrackingSchedule.findUnique({ where: { id } });
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: auth.isSuperAdmin ? { id: schedule.siteId } : { id: schedule.siteId, accountId: auth.member.accountId },
+      select: { id: true },
+    });
+    if (!site) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    if (schedule.lastRunAt && Date.now() - new Date(schedule.lastRunAt).getTime() < MIN_MANUAL_INTERVAL_MS) {
+      return NextResponse.json(
+        { error: 'This schedule ran less than an hour ago', code: 'COOLDOWN' },
+        { status: 429 },
+      );
+    }
+
+    const result = await runRankSchedule(schedule, { userId: auth.member.userId });
+    const updated = await prisma.rankTrackingSchedule.findUnique({ where: { id } });
+
+    if (result.status === 'NO_CREDITS') {
+      return NextResponse.json(
+        { error: result.error, code: 'INSUFFICIENT_CREDITS', resourceKey: 'aiCredits', schedule: updated },
+        { status: 402 },
+      );
+    }
+
+    return NextResponse.json({ result, schedule: updated });
+  } catch (error) {
+    console.error('[Rank Schedules API] run error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
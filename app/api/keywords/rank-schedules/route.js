@@ -0,0 +1,132 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { resolveGeo, getLanguageCode } from '@/lib/dataforseo/serp';
+import { FREQUENCIES, MAX_SCHEDULES_PER_SITE } from '@/lib/rank-tracking';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function getAccessibleSite(siteId, auth) {
+  return prisma.site.findFirst({
+    where: auth.isSuperAdmin ? { id: siteId } : { id: siteId, accountId: auth.member.accountId },
+    select: { id: true, url: true, contentLanguage: true, targetLocations: true },
+  });
+}
+
+// GET - Rank-tracking schedules for a site
+export async function GET(request) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const siteId = new URL(request.url).searchParams.get('siteId');
+    if (!siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await getAccessibleSite(siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const schedules = await prisma.rankTrackingSchedule.findMany({
+      where: { siteId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    // Default market for new schedules - same resolution as manual checks.
+    const geo = resolveGeo({
+      targetLocations: site.targetLocations,
+      contentLanguage: site.contentLanguage,
+      siteUrl: site.url,
+    });
+
+    return NextResponse.json({
+      schedules,
+      defaultGeo: { countryCode: geo.countryCode, languageCode: geo.languageCode, label: geo.label },
+      maxSchedules: MAX_SCHEDULES_PER_SITE,
+    });
+  } catch (error) {
+    console.error('[Rank Schedules API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST - Create a schedule
+ *
+ * Body: { siteId, name, tags?: string[], frequency?: 'DAILY'|'WEEKLY',
+ *         countryCode?: ISO-2, languageCode?: ISO-639-1 }
+ *
+ * Market defaults to the site's resolved geo. The first run is picked up by
+ * the next cron tick.
+ */
+export async function POST(request) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { siteId } = body;
+    const name = String(body.name || '').trim();
+    const frequency = body.frequency || 'WEEKLY';
+    const tags = Array.isArray(body.tags) ? [...new Set(body.tags.map(t => String(t).trim()).filter(Boolean))] : [];
+
+    if (!siteId || !name) {
+      return NextResponse.json({ error: 'siteId and name are required' }, { status: 400 });
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      return NextResponse.json({ error: `frequency must be one of ${FREQUENCIES.join(', ')}` }, { status: 400 });
+    }
+
+    const site = await getAccessibleSite(siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const count = await prisma.rankTrackingSchedule.count({ where: { siteId } });
+    if (count >= MAX_SCHEDULES_PER_SITE) {
+      return NextResponse.json(
+        { error: `A site can have up to ${MAX_SCHEDULES_PER_SITE} rank-tracking schedules`, code: 'LIMIT_REACHED' },
+        { status: 403 },
+      );
+    }
+
+    const geo = resolveGeo({
+      targetLocations: body.countryCode ? [body.countryCode] : site.targetLocations,
+      contentLanguage: body.languageCode || site.contentLanguage,
+      siteUrl: site.url,
+    });
+    if (body.countryCode && geo.source !== 'profile') {
+      return NextResponse.json({ error: `Unsupported country: ${body.countryCode}` }, { status: 400 });
+    }
+
+    const schedule = await prisma.rankTrackingSchedule.create({
+      data: {
+        siteId,
+        name: name.slice(0, 100),
+        tags,
+        frequency,
+        countryCode: geo.countryCode,
+        locationCode: geo.locationCode,
+        languageCode: body.languageCode ? getLanguageCode(body.languageCode, geo.countryCode) : geo.languageCode,
+        nextRunAt: new Date(),
+        createdBy: auth.member.userId,
+      },
+    });
+
+    return NextResponse.json({ schedule }, { status: 201 });
+  } catch (error) {
+    console.error('[Rank Schedules API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { analyzeKeywordIntentsBatch } from '@/lib/ai/keyword-intent.js';
 import { enforceCredits, enforceResourceCapacity } from '@/lib/account-limits';
 import { AI_OPERATIONS } from '@/lib/ai/credits';
 import { getCachedKeywords } from '@/lib/cache/keywords.js';
 import { invalidateKeywords } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
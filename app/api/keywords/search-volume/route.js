@@ -1,18 +1,15 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { batchGetSearchVolume, isGoogleAdsConfigured, getLanguageId } from '@/lib/google-ads';
 import { fetchSearchVolumeDFS, isDataForSEOConfigured } from '@/lib/dataforseo/keywords';
 import { getLocationCode, getLanguageCode } from '@/lib/dataforseo/serp';
 import { invalidateKeywords } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 const CACHE_TTL_DAYS = 30;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
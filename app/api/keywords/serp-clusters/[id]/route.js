@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { acceptKeywordClusterProposal } from '@/lib/keyword-clustering';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * PATCH /api/keywords/serp-clusters/[id]
+ *
+ * Body: { action: 'accept' | 'dismiss', name? }
+ * accept: NEW_CLUSTER creates the TopicCluster (named `name`, default the
+ * head keyword); ATTACH links the keywords to the existing cluster.
+ * dismiss: the head keyword's group is not proposed again.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const proposal = await prisma.keywordClusterProposal.findUnique({ where: { id } });
+    if (!proposal) {
+      return NextResponse.json({ error: 'Proposal not found' }, { status: 404 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: auth.isSuperAdmin ? { id: proposal.siteId } : { id: proposal.siteId, accountId: auth.member.accountId },
+      select: { id: true },
+    });
+    if (!site) {
+      return NextResponse.json({ error: 'Proposal not found' }, { status: 404 });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return NextResponse.json({ error: `Proposal is already ${proposal.status.toLowerCase()}` }, { status: 409 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    if (body.action === 'dismiss') {
+      await prisma.keywordClusterProposal.update({
+        where: { id },
+        data: { status: 'DISMISSED', resolvedBy: auth.member.userId, resolvedAt: new Date() },
+      });
+      return NextResponse.json({ success: true });
+    }
+
+    if (body.action !== 'accept') {
+      return NextResponse.json({ error: "action must be 'accept' or 'dismiss'" }, { status: 400 });
+    }
+
+    const cluster = await acceptKeywordClusterProposal(proposal, { userId: auth.member.userId, name: body.name });
+    if (!cluster) {
+      return NextResponse.json(
+        { error: 'The target cluster no longer exists - re-run clustering' },
+        { status: 409 },
+      );
+    }
+
+    return NextResponse.json({ success: true, cluster });
+  } catch (error) {
+    console.error('[SERP Clusters API] PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import {
+  proposeKeywordClusters,
+  hydrateProposals,
+  DEFAULT_MIN_SHARED,
+  DEFAULT_MAX_AGE_DAYS,
+} from '@/lib/keyword-clustering';
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+async function verifySiteAccess(siteId, auth) {
+  const where = auth.isSuperAdmin ? { id: siteId } : { id: siteId, accountId: auth.member.accountId };
+  return prisma.site.findFirst({ where, select: { id: true } });
+}
+
+async function pendingProposals(siteId) {
+  const proposals = await prisma.keywordClusterProposal.findMany({
+    where: { siteId, status: 'PENDING' },
+    orderBy: { searchVolume: 'desc' },
+  });
+  return hydrateProposals(proposals);
+}
+
+/**
+ * GET /api/keywords/serp-clusters?siteId=
+ *
+ * The site's pending SERP-overlap cluster proposals, largest first.
+ */
+export async function GET(request) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { searchParams } = new URL(request.url);
+    const siteId = searchParams.get('siteId');
+    if (!siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await verifySiteAccess(siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    return NextResponse.json({ proposals: await pendingProposals(siteId) });
+  } catch (error) {
+    console.error('[SERP Clusters API] GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/keywords/serp-clusters
+ *
+ * Body: { siteId, tags?, minShared?, maxAgeDays? }
+ * Re-clusters the keyword set from stored SERP snapshots and replaces the
+ * pending proposals. Reads snapshots only - no SERP requests, no credits.
+ */
+export async function POST(request) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const body = await request.json().catch(() => ({}));
+    const { siteId } = body;
+    if (!siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await verifySiteAccess(siteId, auth);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const minShared = Math.min(Math.max(parseInt(body.minShared, 10) || DEFAULT_MIN_SHARED, 1), 10);
+    const maxAgeDays = Math.min(Math.max(parseInt(body.maxAgeDays, 10) || DEFAULT_MAX_AGE_DAYS, 1), 365);
+    const tags = Array.isArray(body.tags) ? body.tags.map((t) => String(t).trim()).filter(Boolean) : [];
+
+    const result = await proposeKeywordClusters({ siteId, tags, minShared, maxAgeDays, userId: auth.member.userId });
+
+    return NextResponse.json({ result, proposals: await pendingProposals(siteId) });
+  } catch (error) {
+    console.error('[SERP Clusters API] POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   checkKeywordRank,
   isDataForSEOConfigured,
@@ -8,16 +8,13 @@ import {
 } from '@/lib/dataforseo/serp';
 import { invalidateKeywords } from '@/lib/cache/invalidate.js';
 
-const SESSION_COOKIE = 'user_session';
-
 const CACHE_TTL_HOURS = 24;
 // Every stale keyword is one paid live SERP request — keep batches bounded.
 const MAX_CHECKS_PER_REQUEST = 100;
 const CONCURRENCY = 5;
 
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return prisma.user.findUnique({
     where: { id: userId },
@@ -142,6 +139,7 @@ export async function POST(request) {
                 inLocalPack: rank.inLocalPack,
                 locationCode: geo.locationCode,
                 languageCode: geo.languageCode,
+                topUrls: rank.topUrls,
                 checkedAt,
               },
             }).catch((e) => console.error('[SERP Position] snapshot write failed:', e.message));
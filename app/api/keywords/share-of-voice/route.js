@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { shareOfVoice } from '@/lib/rank-tracking';
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'KEYWORDS', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * GET /api/keywords/share-of-voice?siteId=&scheduleId=&days=
+ *
+ * Share-of-voice time series per keyword tag for one rank-tracking schedule
+ * (the site's first schedule when scheduleId is omitted). Built from the
+ * schedule's snapshots only - manual checks don't capture competitor ranks.
+ * See lib/rank-tracking.js → shareOfVoice for the model.
+ */
+export async function GET(request) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { searchParams } = new URL(request.url);
+    const siteId = searchParams.get('siteId');
+    const scheduleId = searchParams.get('scheduleId');
+    const days = Math.min(Math.max(parseInt(searchParams.get('days'), 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+
+    if (!siteId) {
+      return NextResponse.json({ error: 'siteId is required' }, { status: 400 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: auth.isSuperAdmin ? { id: siteId } : { id: siteId, accountId: auth.member.accountId },
+      select: { id: true },
+    });
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found or no access' }, { status: 404 });
+    }
+
+    const schedule = await prisma.rankTrackingSchedule.findFirst({
+      where: scheduleId ? { id: scheduleId, siteId } : { siteId },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (!schedule) {
+      return NextResponse.json({ schedule: null, tags: [], domains: [], series: {} });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const snapshots = await prisma.keywordSerpSnapshot.findMany({
+      where: { scheduleId: schedule.id, checkedAt: { gte: since } },
+      select: {
+        keywordId: true,
+        position: true,
+        searchVolume: true,
+        tags: true,
+        competitorPositions: true,
+        serpFeatures: true,
+        ownFeatures: true,
+        checkedAt: true,
+      },
+      orderBy: { checkedAt: 'asc' },
+    });
+
+    // SERP feature coverage on the latest run: how many keywords show each
+    // feature, and on how many of those the site is the one shown/cited.
+    const lastDay = snapshots.length ? new Date(snapshots[snapshots.length - 1].checkedAt).toISOString().slice(0, 10) : null;
+    const features = {};
+    const latestByKeyword = new Map();
+    for (const s of snapshots) {
+      if (new Date(s.checkedAt).toISOString().slice(0, 10) === lastDay) latestByKeyword.set(s.keywordId, s);
+    }
+    for (const s of latestByKeyword.values()) {
+      for (const f of s.serpFeatures || []) {
+        features[f] ||= { present: 0, owned: 0 };
+        features[f].present++;
+        if (s.ownFeatures?.includes(f)) features[f].owned++;
+      }
+    }
+
+    return NextResponse.json({
+      schedule: { id: schedule.id, name: schedule.name, countryCode: schedule.countryCode, frequency: schedule.frequency },
+      ...shareOfVoice(snapshots),
+      features,
+      days,
+    });
+  } catch (error) {
+    console.error('[Share of Voice API] error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
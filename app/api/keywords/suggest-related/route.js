@@ -10,13 +10,11 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateStructuredResponse } from '@/lib/ai/gemini';
 import { z } from 'zod';
 
-const SESSION_COOKIE = 'user_session';
-
 const RelatedKeywordsSchema = z.object({
   relatedKeywordIds: z.array(z.string()).describe(
     'Array of keyword IDs from the candidates list that should be grouped with the main keyword article. Only include keywords that would create cannibalization if published as separate articles - i.e. they target essentially the same search intent and topic.'
@@ -25,8 +23,7 @@ const RelatedKeywordsSchema = z.object({
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return await prisma.user.findUnique({
       where: { id: userId },
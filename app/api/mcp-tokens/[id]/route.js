@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { recordActivity } from '@/lib/activity-log/log';
 
 // DELETE - Revoke an MCP token (sets revokedAt; the row is kept for audit)
 export async function DELETE(request, { params }) {
@@ -22,7 +23,7 @@ export async function DELETE(request, { params }) {
     // Scope the lookup to the caller's account — never revoke across accounts.
     const token = await prisma.mcpToken.findFirst({
       where: { id, accountId: member.accountId },
-      select: { id: true, revokedAt: true },
+      select: { id: true, label: true, prefix: true, siteId: true, revokedAt: true },
     });
     if (!token) {
       return NextResponse.json({ error: 'Token not found' }, { status: 404 });
@@ -38,6 +39,14 @@ export async function DELETE(request, { params }) {
       data: { revokedAt: new Date() },
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'mcp_token.revoked',
+      target: { type: 'mcp_token', id: token.id, label: token.label || token.prefix },
+      siteId: token.siteId,
+    });
+
     return NextResponse.json({ ok: true, revokedAt: updated.revokedAt });
   } catch (error) {
     console.error('Failed to revoke MCP token:', error);
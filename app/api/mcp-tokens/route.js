@@ -3,6 +3,7 @@ import crypto from 'crypto';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
 import { hashToken, SCOPES } from '@/lib/mcp/auth';
+import { recordActivity } from '@/lib/activity-log/log';
 
 const VALID_SCOPES = Object.values(SCOPES);
 const DEFAULT_SCOPES = [SCOPES.ISSUES_READ, SCOPES.FIX_READ];
@@ -130,6 +131,15 @@ export async function POST(request) {
       },
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'mcp_token.created',
+      target: { type: 'mcp_token', id: rec.id, label: rec.label || rec.prefix },
+      siteId: rec.siteId,
+      after: { prefix: rec.prefix, scopes, expiresAt: rec.expiresAt },
+    });
+
     return NextResponse.json({ token, mcpToken: toApi(rec) }, { status: 201 });
   } catch (error) {
     console.error('Failed to create MCP token:', error);
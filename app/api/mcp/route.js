@@ -0,0 +1,62 @@
+/**
+ * POST /api/mcp - Model Context Protocol endpoint (streamable HTTP transport,
+ * JSON responses only). Token-authenticated (Bearer gpmcp_...); the token's
+ * scopes decide which tools are listed and callable. See lib/mcp/server.js.
+ *
+ * GET (server-initiated SSE stream) and DELETE (session teardown) answer 405:
+ * the server is stateless and never pushes messages.
+ */
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { authenticateMcp } from '@/lib/mcp/auth';
+import { handleRpcBody, rpcError, RPC_ERRORS } from '@/lib/mcp/server';
+
+// Browsers always send Origin; native MCP clients don't. Reject cross-origin
+// browser calls (DNS-rebinding guard required by the transport spec).
+function originAllowed(request) {
+  const origin = request.headers.get('origin');
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === new URL(request.url).host;
+  } catch {
+    return false;
+  }
+}
+
+export async function POST(request) {
+  if (!originAllowed(request)) {
+    return NextResponse.json(rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Origin not allowed'), { status: 403 });
+  }
+
+  const ctx = await authenticateMcp(request);
+  if (!ctx.ok) {
+    return NextResponse.json(rpcError(null, RPC_ERRORS.INVALID_REQUEST, ctx.error), {
+      status: ctx.status,
+      headers: ctx.status === 401 ? { 'WWW-Authenticate': 'Bearer realm="ghostseo-mcp"' } : {},
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json(rpcError(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'), { status: 400 });
+  }
+
+  const response = await handleRpcBody(ctx, body);
+  if (!response) return new NextResponse(null, { status: 202 });
+
+  const headers = {};
+  const isInitialize = !Array.isArray(body) && body?.method === 'initialize';
+  if (isInitialize) headers['Mcp-Session-Id'] = crypto.randomUUID();
+
+  return NextResponse.json(response, { headers });
+}
+
+export async function GET() {
+  return new NextResponse(null, { status: 405, headers: { Allow: 'POST' } });
+}
+
+export async function DELETE() {
+  return new NextResponse(null, { status: 405, headers: { Allow: 'POST' } });
+}
@@ -1,16 +1,20 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getOwnedAccount } from '@/lib/account-utils';
+import { diffFields, recordActivity } from '@/lib/activity-log/log';
 
-const SESSION_COOKIE = 'user_session';
 const NICKNAME_MAX = 50;
 
 async function getAuthAccount() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
-  if (!userId) return null;
-  return await getOwnedAccount(userId);
+  const userId = await getSessionUserId();
+  if (!userId) return {};
+  return { userId, account: await getOwnedAccount(userId) };
+}
+
+function paymentMethodTarget(pm) {
+  const label = [pm.cardBrand, pm.cardLast4 && `•••• ${pm.cardLast4}`].filter(Boolean).join(' ');
+  return { type: 'payment_method', id: pm.id, label: label || pm.nickname || null };
 }
 
 async function getOwnedPaymentMethod(account, id) {
@@ -28,7 +32,7 @@ async function getOwnedPaymentMethod(account, id) {
  */
 export async function PATCH(request, { params }) {
   try {
-    const account = await getAuthAccount();
+    const { userId, account } = await getAuthAccount();
     if (!account) return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
 
     const { id } = await params;
@@ -73,6 +77,17 @@ export async function PATCH(request, { params }) {
       });
     }
 
+    const changes = diffFields(pm, { ...updates, ...(body.isDefault === true && { isDefault: true }) });
+    if (Object.keys(changes.after).length > 0) {
+      await recordActivity({
+        accountId: account.id,
+        userId,
+        action: 'payment_method.updated',
+        target: paymentMethodTarget(pm),
+        ...changes,
+      });
+    }
+
     const fresh = await prisma.paymentMethod.findUnique({ where: { id: pm.id } });
     return NextResponse.json({
       paymentMethod: {
@@ -106,7 +121,7 @@ export async function PATCH(request, { params }) {
  */
 export async function DELETE(_request, { params }) {
   try {
-    const account = await getAuthAccount();
+    const { userId, account } = await getAuthAccount();
     if (!account) return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
 
     const { id } = await params;
@@ -130,6 +145,14 @@ export async function DELETE(_request, { params }) {
       }
     }
 
+    await recordActivity({
+      accountId: account.id,
+      userId,
+      action: 'payment_method.removed',
+      target: paymentMethodTarget(pm),
+      before: { isDefault: wasDefault },
+    });
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Delete payment method error:', error);
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   chargeWithToken,
   buildDocument,
@@ -9,14 +9,13 @@ import {
 import { canPurchaseAddOn, addAiCredits, getOwnedAccount } from '@/lib/account-utils';
 import { getNextFirstOfMonth } from '@/lib/proration';
 import { buildUpgradeUpdateData } from '@/lib/billing-engine';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 import { redeemAddOnCouponBestEffort } from '@/lib/coupon-redemption';
 import { notifyAdmins, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return null;
   return await prisma.user.findUnique({
     where: { id: userId },
@@ -193,7 +192,7 @@ export async function POST(request) {
     // Execute the action.
     const accountWithSub = await prisma.account.findUnique({
       where: { id: account.id },
-      include: { subscription: true },
+      include: { subscription: { include: { plan: { select: { name: true } } } } },
     });
     const paymentForAction = { ...payment, account: accountWithSub, accountId: account.id };
 
@@ -204,6 +203,25 @@ export async function POST(request) {
       actionResult = await handlePlanUpgrade(paymentForAction, action);
     }
 
+    if (actionResult?.type === 'plan_upgrade') {
+      await recordActivity({
+        accountId: account.id,
+        userId: user.id,
+        action: 'subscription.plan_changed',
+        target: { type: 'subscription', id: accountWithSub.subscription?.id, label: actionResult.planName },
+        before: { plan: accountWithSub.subscription?.plan?.name || null },
+        after: { plan: actionResult.planName, amount: amount, currency: currency },
+      });
+    } else if (actionResult?.type === 'addon_purchase') {
+      await recordActivity({
+        accountId: account.id,
+        userId: user.id,
+        action: 'addon.purchased',
+        target: { type: 'addon_purchase', id: actionResult.purchaseId, label: actionResult.addOnName },
+        after: { addOn: actionResult.addOnName, quantity: action.quantity || 1, amount: amount, currency: currency },
+      });
+    }
+
     try {
       notifyAdmins(emailTemplates.adminNewPayment({
         kind: action?.type || 'saved_card',
@@ -306,6 +324,7 @@ async function handlePlanUpgrade(payment, action) {
     where: { id: subscription.id },
     data: updateData,
   });
+  await emitSubscriptionUpdated(subscription, updateData, 'plan_upgrade');
 
   return {
     type: 'plan_upgrade',
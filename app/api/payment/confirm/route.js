@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   getLowProfileResult,
   chargeWithToken,
@@ -11,15 +11,14 @@ import {
 import { canPurchaseAddOn, addAiCredits } from '@/lib/account-utils';
 import { getNextFirstOfMonth } from '@/lib/proration';
 import { buildUpgradeUpdateData } from '@/lib/billing-engine';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 import { redeemAddOnCouponBestEffort } from '@/lib/coupon-redemption';
 import { notifyAdmins, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return await prisma.user.findUnique({
       where: { id: userId },
@@ -71,7 +70,7 @@ export async function POST(request) {
     const payment = await prisma.payment.findUnique({
       where: { id: paymentId },
       include: {
-        account: { include: { subscription: true } },
+        account: { include: { subscription: { include: { plan: { select: { name: true } } } } } },
       },
     });
 
@@ -305,6 +304,25 @@ export async function POST(request) {
       actionResult = await handlePlanUpgrade(payment, action, user);
     }
 
+    if (actionResult?.type === 'plan_upgrade') {
+      await recordActivity({
+        accountId: payment.accountId,
+        userId: user.id,
+        action: 'subscription.plan_changed',
+        target: { type: 'subscription', id: payment.account?.subscription?.id, label: actionResult.planName },
+        before: { plan: payment.account?.subscription?.plan?.name || null },
+        after: { plan: actionResult.planName, amount: payment.amount, currency: payment.currency || 'USD' },
+      });
+    } else if (actionResult?.type === 'addon_purchase') {
+      await recordActivity({
+        accountId: payment.accountId,
+        userId: user.id,
+        action: 'addon.purchased',
+        target: { type: 'addon_purchase', id: actionResult.purchaseId, label: actionResult.addOnName },
+        after: { addOn: actionResult.addOnName, quantity: action.quantity || 1, amount: payment.amount, currency: payment.currency || 'USD' },
+      });
+    }
+
     try {
       notifyAdmins(emailTemplates.adminNewPayment({
         kind: action?.type || 'addon_purchase',
@@ -434,6 +452,7 @@ async function handlePlanUpgrade(payment, action, user) {
     where: { id: subscription.id },
     data: updateData,
   });
+  await emitSubscriptionUpdated(subscription, updateData, 'plan_upgrade');
 
   return {
     type: 'plan_upgrade',
@@ -1,14 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getNextFirstOfMonth } from '@/lib/proration';
-
-const SESSION_COOKIE = 'user_session';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return await prisma.user.findUnique({
       where: { id: userId },
@@ -130,6 +129,15 @@ export async function POST(request) {
         currentPeriodEnd: nextFirst,
       },
     });
+    await emitSubscriptionUpdated(subscription, { planId: newPlan.id, currentPeriodEnd: nextFirst }, 'plan_downgrade');
+    await recordActivity({
+      accountId: account.id,
+      userId: user.id,
+      action: 'subscription.plan_changed',
+      target: { type: 'subscription', id: subscription.id, label: newPlan.name },
+      before: { plan: currentPlan.name },
+      after: { plan: newPlan.name, unusedCreditForfeited: unusedCredit },
+    });
 
     return NextResponse.json({
       success: true,
@@ -1,18 +1,17 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getNextFirstOfMonth } from '@/lib/proration';
 import { buildUpgradeUpdateData } from '@/lib/billing-engine';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+import { recordActivity } from '@/lib/activity-log/log';
 import { isCouponApplicableToPlan } from '@/lib/coupon-applicability';
 import { validateAndRedeemAddOnCoupon, CouponRedemptionError } from '@/lib/coupon-redemption';
 import { notifyAdmins, emailTemplates } from '@/lib/mailer';
 
-const SESSION_COOKIE = 'user_session';
-
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return await prisma.user.findUnique({
       where: { id: userId },
@@ -162,6 +161,25 @@ export async function POST(request) {
       addOnForRedemption = result.addOn;
     }
 
+    if (actionResult?.type === 'plan_upgrade') {
+      await recordActivity({
+        accountId: account.id,
+        userId: user.id,
+        action: 'subscription.plan_changed',
+        target: { type: 'subscription', id: subscription?.id, label: actionResult.planName },
+        before: { plan: subscription?.plan?.name || null },
+        after: { plan: actionResult.planName, coupon: coupon.code },
+      });
+    } else if (actionResult?.type === 'addon_purchase') {
+      await recordActivity({
+        accountId: account.id,
+        userId: user.id,
+        action: 'addon.purchased',
+        target: { type: 'addon_purchase', id: actionResult.purchaseId, label: actionResult.addOnName },
+        after: { addOn: actionResult.addOnName, quantity: action.quantity || 1, coupon: coupon.code },
+      });
+    }
+
     // Record the redemption. For add-on purchases use the shared helper so
     // the snapshot shape (addOnPurchaseId, empty plan-channel arrays) stays
     // identical to the post-charge routes. For plan upgrades fall back to the
@@ -269,6 +287,7 @@ async function handlePlanUpgrade(account, action) {
     where: { id: subscription.id },
     data: updateData,
   });
+  await emitSubscriptionUpdated(subscription, updateData, 'plan_upgrade');
 
   return {
     type: 'plan_upgrade',
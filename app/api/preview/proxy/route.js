@@ -14,8 +14,8 @@
  *   - Served noindex, no-store, frame-ancestors 'self'.
  */
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 import { rewriteHtmlForPreview } from '@/lib/preview/rewrite';
 import { getEditorBridgeJs } from '@/app/api/sites/[id]/download-plugin/plugin-templates/editor-bridge';
@@ -24,14 +24,12 @@ import { getEditorBridgeJs } from '@/app/api/sites/[id]/download-plugin/plugin-t
 export const dynamic = 'force-dynamic';
 export const fetchCache = 'force-no-store';
 
-const SESSION_COOKIE = 'user_session';
 const FETCH_TIMEOUT_MS = 15000;
 const MAX_HTML_BYTES = 5 * 1024 * 1024; // 5MB guard
 
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) return null;
     return prisma.user.findUnique({
       where: { id: userId },
@@ -5,7 +5,8 @@
  * @ghostseo/seo SDK and edge proxy can verify signed Contract payloads. The
  * private key never leaves the server. Consumers should pin a set of trusted
  * keyIds and rotate by adding a new key before the server starts signing with
- * it (the keyId is embedded in every signed payload).
+ * it (the keyId is embedded in every signed payload). `keys` carries the NEXT
+ * key(s) well before they sign - see lib/contract/keyring.js.
  */
 import { NextResponse } from 'next/server';
 import { getPublicKeyInfo } from '@/lib/contract/signing';
@@ -17,16 +18,17 @@ export function OPTIONS() {
   });
 }
 
-export function GET() {
-  const info = getPublicKeyInfo();
+export async function GET() {
+  const info = await getPublicKeyInfo();
   return NextResponse.json(
     {
       alg: info.alg,
       keyId: info.keyId,
       publicKey: info.publicKeyPem,
       ephemeral: info.ephemeral,
-      // Every trusted verification key (current first, then previous) so
-      // consumers keep verifying across a rotation window.
+      // Every trusted verification key (signing key first, then NEXT keys,
+      // then retired keys still in their grace window), each with its state
+      // and validFrom/validUntil window.
       keys: info.keys,
     },
     {
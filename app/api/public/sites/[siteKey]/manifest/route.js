@@ -45,7 +45,7 @@ export async function GET(request, { params }) {
     const manifest = await buildManifest(site);
     const caps = getCapabilities(site);
 
-    return signedResponse(
+    return await signedResponse(
       {
         ...manifest,
         version: paused ? `${manifest.version}.paused` : manifest.version,
@@ -1,10 +1,15 @@
 /**
  * GET /api/public/sites/{siteKey}/redirects
  *
- * The platform-managed redirect table as ready-to-apply rules
- * ({ source, destination, statusCode }). The SDK writes these into the
- * framework's native redirect config; the edge proxy applies them as HTTP
- * 301/302. Signed + cacheable.
+ * The platform-managed redirect table. `redirects` is the original
+ * { source, destination, statusCode } list, EXACT rules only, for SDKs and
+ * edge proxies that treat `source` as a literal path. `rules` adds the
+ * wildcard and regex rules as ready-to-apply { source, destination,
+ * statusCode, matchType, pattern, preserveQuery, priority } in evaluation
+ * order (see resolveRedirects), to run on paths up to `maxPathLength`
+ * characters. The SDK writes these into the framework's native redirect
+ * config; the edge proxy applies them as HTTP 301/302.
+ * Signed + cacheable.
  */
 import prisma from '@/lib/prisma';
 import {
@@ -43,11 +48,10 @@ export async function GET(request, { params }) {
       select: { id: true },
     });
     if (paused) {
-      return signedResponse({ redirects: [] }, CACHE);
+      return await signedResponse({ redirects: [], rules: [] }, CACHE);
     }
 
-    const redirects = await resolveRedirects(site);
-    return signedResponse({ redirects }, CACHE);
+    return await signedResponse(await resolveRedirects(site), CACHE);
   } catch (err) {
     console.error('[contract/redirects] error:', err);
     return contractError(500, 'INTERNAL', 'Internal server error');
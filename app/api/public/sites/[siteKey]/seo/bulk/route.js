@@ -47,13 +47,13 @@ export async function GET(request, { params }) {
       select: { id: true },
     });
     if (paused) {
-      return signedResponse({
+      return await signedResponse({
         pages: paths.map((p) => ({ path: normalizePath(p), source: 'paused' })),
       });
     }
 
     const pages = await Promise.all(paths.map((p) => resolveSeoForPath(site, p)));
-    return signedResponse({ pages });
+    return await signedResponse({ pages });
   } catch (err) {
     console.error('[contract/seo/bulk] error:', err);
     return contractError(500, 'INTERNAL', 'Internal server error');
@@ -42,11 +42,11 @@ export async function GET(request, { params }) {
       select: { id: true },
     });
     if (paused) {
-      return signedResponse({ path: normalizePath(path), source: 'paused' });
+      return await signedResponse({ path: normalizePath(path), source: 'paused' });
     }
 
     const seo = await resolveSeoForPath(site, path);
-    return signedResponse(seo);
+    return await signedResponse(seo);
   } catch (err) {
     console.error('[contract/seo] error:', err);
     return contractError(500, 'INTERNAL', 'Internal server error');
@@ -4,14 +4,11 @@
 // identity issued by the browser's push service, so we upsert on it.
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 async function getUserId() {
-  const cookieStore = await cookies();
-  return cookieStore.get(SESSION_COOKIE)?.value || null;
+  return getSessionUserId();
 }
 
 export async function POST(request) {
@@ -4,14 +4,11 @@
 // caller's userId so one user can't reap another user's subscriptions.
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 async function getUserId() {
-  const cookieStore = await cookies();
-  return cookieStore.get(SESSION_COOKIE)?.value || null;
+  return getSessionUserId();
 }
 
 export async function POST(request) {
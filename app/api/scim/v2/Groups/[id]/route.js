@@ -0,0 +1,57 @@
+import prisma from '@/lib/prisma';
+import {
+  SCIM_MEMBER_INCLUDE,
+  SCIM_MEMBER_WHERE,
+  authenticateScim,
+  findScimGroup,
+  patchGroupMembers,
+  scimError,
+  scimJson,
+  toScimGroup,
+} from '@/lib/sso/scim';
+
+async function groupResponse(connection, role) {
+  const members = await prisma.accountMember.findMany({
+    where: { accountId: connection.accountId, roleId: role.id, isOwner: false, ...SCIM_MEMBER_WHERE },
+    include: SCIM_MEMBER_INCLUDE,
+  });
+  return scimJson(toScimGroup(role, members));
+}
+
+// GET - One role as a group
+export async function GET(request, { params }) {
+  try {
+    const auth = await authenticateScim(request);
+    if (!auth.ok) return scimError(auth.status, auth.error);
+
+    const { id } = await params;
+    const role = await findScimGroup(auth.connection, id);
+    if (!role) return scimError(404, 'Group not found');
+
+    return groupResponse(auth.connection, role);
+  } catch (error) {
+    console.error('SCIM get group error:', error);
+    return scimError(500, 'Failed to fetch group');
+  }
+}
+
+// PATCH - Add / remove / replace members, i.e. assign the role
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authenticateScim(request);
+    if (!auth.ok) return scimError(auth.status, auth.error);
+
+    const { id } = await params;
+    const role = await findScimGroup(auth.connection, id);
+    if (!role) return scimError(404, 'Group not found');
+
+    const body = await request.json().catch(() => null);
+    if (!Array.isArray(body?.Operations)) return scimError(400, 'Operations are required', 'invalidSyntax');
+
+    await patchGroupMembers(auth.connection, role, body);
+    return groupResponse(auth.connection, role);
+  } catch (error) {
+    console.error('SCIM patch group error:', error);
+    return scimError(500, 'Failed to update group');
+  }
+}
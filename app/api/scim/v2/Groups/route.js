@@ -0,0 +1,60 @@
+import prisma from '@/lib/prisma';
+import {
+  SCIM_MEMBER_INCLUDE,
+  SCIM_MEMBER_WHERE,
+  authenticateScim,
+  listResponse,
+  parseFilter,
+  parsePagination,
+  scimError,
+  toScimGroup,
+} from '@/lib/sso/scim';
+
+// GET - The account's roles as groups. Groups can't be created over SCIM:
+// the IdP links its groups to roles made in Settings → Roles.
+export async function GET(request) {
+  try {
+    const auth = await authenticateScim(request);
+    if (!auth.ok) return scimError(auth.status, auth.error);
+
+    const { searchParams } = new URL(request.url);
+    const { startIndex, count } = parsePagination(searchParams);
+
+    const where = { accountId: auth.connection.accountId, name: { not: 'Owner' } };
+    if (searchParams.get('filter')) {
+      const filter = parseFilter(searchParams.get('filter'));
+      if (!filter || filter.attribute.toLowerCase() !== 'displayname') {
+        return scimError(400, 'Unsupported filter', 'invalidFilter');
+      }
+      where.name = { equals: filter.value, not: 'Owner' };
+    }
+
+    const [total, roles] = await Promise.all([
+      prisma.role.count({ where }),
+      prisma.role.findMany({ where, orderBy: { createdAt: 'asc' }, skip: startIndex - 1, take: count }),
+    ]);
+
+    // excludedAttributes=members is what IdPs send when they only need ids.
+    const withMembers = !/\bmembers\b/.test(searchParams.get('excludedAttributes') || '');
+    const members = withMembers && roles.length > 0
+      ? await prisma.accountMember.findMany({
+          where: {
+            accountId: auth.connection.accountId,
+            roleId: { in: roles.map(r => r.id) },
+            isOwner: false,
+            ...SCIM_MEMBER_WHERE,
+          },
+          include: SCIM_MEMBER_INCLUDE,
+        })
+      : [];
+
+    return listResponse(
+      roles.map(role => toScimGroup(role, members.filter(m => m.roleId === role.id))),
+      total,
+      startIndex,
+    );
+  } catch (error) {
+    console.error('SCIM list groups error:', error);
+    return scimError(500, 'Failed to list groups');
+  }
+}
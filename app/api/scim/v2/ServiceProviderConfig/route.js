@@ -0,0 +1,23 @@
+import { SCIM_SCHEMAS, scimJson } from '@/lib/sso/scim';
+
+// GET - What this SCIM server supports (RFC 7643 §5). Public, like the spec
+// allows, so IdPs can probe it before a token is configured.
+export async function GET() {
+  return scimJson({
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 200 },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: 'oauthbearertoken',
+        name: 'Bearer token',
+        description: 'The SCIM token from Settings → Single sign-on',
+        primary: true,
+      },
+    ],
+  });
+}
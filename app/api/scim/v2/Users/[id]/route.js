@@ -0,0 +1,97 @@
+import {
+  applyScimUserChanges,
+  authenticateScim,
+  findScimMember,
+  readScimUser,
+  readScimUserPatch,
+  recordScimStatusChange,
+  scimError,
+  scimErrorFrom,
+  scimJson,
+  toScimUser,
+} from '@/lib/sso/scim';
+import { suspendMember } from '@/lib/account-members';
+
+async function loadMember(request, params) {
+  const auth = await authenticateScim(request);
+  if (!auth.ok) return { error: scimError(auth.status, auth.error) };
+
+  const { id } = await params;
+  const member = await findScimMember(auth.connection, id);
+  if (!member) return { error: scimError(404, 'User not found') };
+
+  return { connection: auth.connection, member };
+}
+
+async function updateMember(connection, member, changes) {
+  try {
+    return scimJson(toScimUser(await applyScimUserChanges(connection, member, changes)));
+  } catch (error) {
+    return scimErrorFrom(error);
+  }
+}
+
+// GET - One member
+export async function GET(request, { params }) {
+  try {
+    const { error, member } = await loadMember(request, params);
+    if (error) return error;
+    return scimJson(toScimUser(member));
+  } catch (error) {
+    console.error('SCIM get user error:', error);
+    return scimError(500, 'Failed to fetch user');
+  }
+}
+
+// PUT - Replace a member (active, name, externalId)
+export async function PUT(request, { params }) {
+  try {
+    const { error, connection, member } = await loadMember(request, params);
+    if (error) return error;
+
+    const body = await request.json().catch(() => null);
+    if (!body) return scimError(400, 'Invalid JSON body', 'invalidSyntax');
+
+    const { active, firstName, lastName, externalId } = readScimUser(body);
+    return updateMember(connection, member, { active, firstName, lastName, externalId: externalId ?? null });
+  } catch (error) {
+    console.error('SCIM replace user error:', error);
+    return scimError(500, 'Failed to update user');
+  }
+}
+
+// PATCH - Partial update; `active: false` is how IdPs deprovision
+export async function PATCH(request, { params }) {
+  try {
+    const { error, connection, member } = await loadMember(request, params);
+    if (error) return error;
+
+    const body = await request.json().catch(() => null);
+    if (!Array.isArray(body?.Operations)) return scimError(400, 'Operations are required', 'invalidSyntax');
+
+    return updateMember(connection, member, readScimUserPatch(body));
+  } catch (error) {
+    console.error('SCIM patch user error:', error);
+    return scimError(500, 'Failed to update user');
+  }
+}
+
+// DELETE - Deprovision: the member is suspended, not deleted, so their work
+// and history stay and an admin can reactivate them.
+export async function DELETE(request, { params }) {
+  try {
+    const { error, member } = await loadMember(request, params);
+    if (error) return error;
+
+    if (member.status === 'ACTIVE') {
+      const result = await suspendMember(member);
+      if (!result.success) return scimError(400, result.error, 'mutability');
+      await recordScimStatusChange(member, 'SUSPENDED');
+    }
+
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error('SCIM delete user error:', error);
+    return scimError(500, 'Failed to delete user');
+  }
+}
@@ -0,0 +1,94 @@
+import prisma from '@/lib/prisma';
+import {
+  SCIM_MEMBER_INCLUDE,
+  SCIM_MEMBER_WHERE,
+  authenticateScim,
+  listResponse,
+  parseFilter,
+  parsePagination,
+  readScimUser,
+  scimError,
+  scimErrorFrom,
+  scimJson,
+  toScimUser,
+} from '@/lib/sso/scim';
+import { provisionScimMember } from '@/lib/sso/provisioning';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
+
+// Filterable attributes -> AccountMember where clause.
+const FILTERS = {
+  username: (value) => ({ user: { email: value.toLowerCase() } }),
+  'emails.value': (value) => ({ user: { email: value.toLowerCase() } }),
+  externalid: (value) => ({ scimExternalId: value }),
+};
+
+// GET - List (or look up by filter) the account's members
+export async function GET(request) {
+  try {
+    const auth = await authenticateScim(request);
+    if (!auth.ok) return scimError(auth.status, auth.error);
+
+    const { searchParams } = new URL(request.url);
+    const { startIndex, count } = parsePagination(searchParams);
+
+    let filterWhere = {};
+    if (searchParams.get('filter')) {
+      const filter = parseFilter(searchParams.get('filter'));
+      const toWhere = filter && FILTERS[filter.attribute.toLowerCase()];
+      if (!toWhere) return scimError(400, 'Unsupported filter', 'invalidFilter');
+      filterWhere = toWhere(filter.value);
+    }
+
+    const where = { accountId: auth.connection.accountId, ...SCIM_MEMBER_WHERE, ...filterWhere };
+    const [total, members] = await Promise.all([
+      prisma.accountMember.count({ where }),
+      prisma.accountMember.findMany({
+        where,
+        include: SCIM_MEMBER_INCLUDE,
+        orderBy: { joinedAt: 'asc' },
+        skip: startIndex - 1,
+        take: count,
+      }),
+    ]);
+
+    return listResponse(members.map(toScimUser), total, startIndex);
+  } catch (error) {
+    console.error('SCIM list users error:', error);
+    return scimError(500, 'Failed to list users');
+  }
+}
+
+// POST - Provision a member
+export async function POST(request) {
+  try {
+    const auth = await authenticateScim(request);
+    if (!auth.ok) return scimError(auth.status, auth.error);
+
+    const body = await request.json().catch(() => null);
+    if (!body) return scimError(400, 'Invalid JSON body', 'invalidSyntax');
+
+    let member;
+    try {
+      member = await provisionScimMember(auth.connection, readScimUser(body));
+    } catch (error) {
+      return scimErrorFrom(error);
+    }
+
+    const created = await prisma.accountMember.findUnique({
+      where: { id: member.id },
+      include: SCIM_MEMBER_INCLUDE,
+    });
+    await recordActivity({
+      accountId: auth.connection.accountId,
+      actorType: 'SCIM',
+      action: 'member.provisioned',
+      target: memberTarget(created),
+      after: { role: created.role?.name || null, status: created.status },
+    });
+
+    return scimJson(toScimUser(created), 201);
+  } catch (error) {
+    console.error('SCIM create user error:', error);
+    return scimError(500, 'Failed to create user');
+  }
+}
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   exchangeIntegrationCode,
   getGoogleEmail,
@@ -8,8 +8,6 @@ import {
   autoSelectGoogleServices,
 } from '@/lib/google-integration';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/settings/integrations/google/callback
  * OAuth callback from Google for integration flow
@@ -35,8 +33,7 @@ export async function GET(request) {
     }
 
     // Verify user is logged in
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.redirect(`${baseUrl}/auth/login?error=login_required`);
     }
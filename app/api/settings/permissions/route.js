@@ -1,8 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 // All modules with their capabilities (view, create, edit, delete, and special permissions)
 // Each module maps to a settings tab or feature area
@@ -154,8 +152,7 @@ function getAllPermissions() {
 // Verify user is authenticated
 async function verifyAuth() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
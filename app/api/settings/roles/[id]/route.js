@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { diffFields, recordActivity } from '@/lib/activity-log/log';
 
 // GET - Fetch a specific role
 export async function GET(request, { params }) {
@@ -140,6 +141,17 @@ export async function PUT(request, { params }) {
       },
     });
 
+    const changes = diffFields(existingRole, updateData);
+    if (Object.keys(changes.after).length > 0) {
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'role.updated',
+        target: { type: 'role', id: updatedRole.id, label: updatedRole.name },
+        ...changes,
+      });
+    }
+
     return NextResponse.json({
       role: {
         id: updatedRole.id,
@@ -209,6 +221,14 @@ export async function DELETE(request, { params }) {
       where: { id },
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'role.deleted',
+      target: { type: 'role', id: role.id, label: role.name },
+      before: { key: role.key, name: role.name, permissions: role.permissions },
+    });
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Error deleting role:', error);
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { recordActivity } from '@/lib/activity-log/log';
 
 // GET - Fetch all roles for the account
 export async function GET(request) {
@@ -116,6 +117,14 @@ export async function POST(request) {
       },
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'role.created',
+      target: { type: 'role', id: newRole.id, label: newRole.name },
+      after: { key: newRole.key, name: newRole.name, permissions: newRole.permissions },
+    });
+
     return NextResponse.json({
       role: {
         id: newRole.id,
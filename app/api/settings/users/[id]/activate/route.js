@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
+import { activateMember } from '@/lib/account-members';
 
 // POST - Activate a suspended member
 export async function POST(request, { params }) {
@@ -25,21 +27,25 @@ export async function POST(request, { params }) {
         id: memberId,
         accountId: member.accountId,
       },
+      include: { user: { select: { email: true } } },
     });
 
     if (!targetMember) {
       return NextResponse.json({ error: 'Member not found' }, { status: 404 });
     }
 
-    // Can only activate suspended members
-    if (targetMember.status !== 'SUSPENDED') {
-      return NextResponse.json({ error: 'Can only activate suspended members' }, { status: 400 });
+    const activated = await activateMember(targetMember);
+    if (!activated.success) {
+      return NextResponse.json({ error: activated.error }, { status: 400 });
     }
 
-    // Update status to active
-    await prisma.accountMember.update({
-      where: { id: memberId },
-      data: { status: 'ACTIVE' },
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'member.activated',
+      target: memberTarget(targetMember),
+      before: { status: 'SUSPENDED' },
+      after: { status: 'ACTIVE' },
     });
 
     return NextResponse.json({ success: true });
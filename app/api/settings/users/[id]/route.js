@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
 
 // PATCH - Update member (change role)
 export async function PATCH(request, { params }) {
@@ -25,6 +26,7 @@ export async function PATCH(request, { params }) {
         id: memberId,
         accountId: member.accountId,
       },
+      include: { user: { select: { email: true } } },
     });
 
     if (!targetMember) {
@@ -79,6 +81,21 @@ export async function PATCH(request, { params }) {
       },
     });
 
+    if (targetMember.roleId !== roleId) {
+      const previousRole = await prisma.role.findUnique({
+        where: { id: targetMember.roleId },
+        select: { name: true },
+      });
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'member.updated',
+        target: memberTarget(targetMember),
+        before: { role: previousRole?.name || null },
+        after: { role: role.name },
+      });
+    }
+
     return NextResponse.json({
       success: true,
       member: {
@@ -116,6 +133,7 @@ export async function DELETE(request, { params }) {
         id: memberId,
         accountId: member.accountId,
       },
+      include: { user: { select: { email: true } } },
     });
 
     if (!targetMember) {
@@ -140,6 +158,15 @@ export async function DELETE(request, { params }) {
       data: { status: 'REMOVED' },
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'member.removed',
+      target: memberTarget(targetMember),
+      before: { status: targetMember.status },
+      after: { status: 'REMOVED' },
+    });
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Error removing member:', error);
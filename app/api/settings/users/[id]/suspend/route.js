@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
+import { suspendMember } from '@/lib/account-members';
 
 // POST - Suspend a member
 export async function POST(request, { params }) {
@@ -25,31 +27,31 @@ export async function POST(request, { params }) {
         id: memberId,
         accountId: member.accountId,
       },
+      include: { user: { select: { email: true } } },
     });
 
     if (!targetMember) {
       return NextResponse.json({ error: 'Member not found' }, { status: 404 });
     }
 
-    // Cannot suspend owner
-    if (targetMember.isOwner) {
-      return NextResponse.json({ error: 'Cannot suspend owner' }, { status: 400 });
-    }
-
     // Cannot suspend yourself
     if (targetMember.userId === member.userId) {
       return NextResponse.json({ error: 'Cannot suspend yourself' }, { status: 400 });
     }
 
-    // Can only suspend active members
-    if (targetMember.status !== 'ACTIVE') {
-      return NextResponse.json({ error: 'Can only suspend active members' }, { status: 400 });
+    // Owners can't be suspended; suspending signs the member out everywhere.
+    const suspended = await suspendMember(targetMember);
+    if (!suspended.success) {
+      return NextResponse.json({ error: suspended.error }, { status: 400 });
     }
 
-    // Update status to suspended
-    await prisma.accountMember.update({
-      where: { id: memberId },
-      data: { status: 'SUSPENDED' },
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'member.suspended',
+      target: memberTarget(targetMember),
+      before: { status: 'ACTIVE' },
+      after: { status: 'SUSPENDED' },
     });
 
     return NextResponse.json({ success: true });
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
 import { sendEmail, emailTemplates } from '@/lib/mailer';
 import crypto from 'crypto';
 
@@ -142,6 +143,14 @@ export async function POST(request) {
         text: emailContent.text,
       });
 
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'member.invited',
+        target: memberTarget(reactivatedMember),
+        after: { email: normalizedEmail, role: reactivatedMember.role.name },
+      });
+
       return NextResponse.json({
         success: true,
         member: {
@@ -223,6 +232,14 @@ export async function POST(request) {
       text: emailContent.text,
     });
 
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'member.invited',
+      target: memberTarget(newMember),
+      after: { email: normalizedEmail, role: newMember.role.name },
+    });
+
     return NextResponse.json({
       success: true,
       member: {
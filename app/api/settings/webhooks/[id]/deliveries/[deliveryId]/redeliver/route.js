@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { redeliverWebhook } from '@/lib/webhooks/delivery';
+import { serializeDelivery } from '@/lib/webhooks/endpoints';
+
+// POST - Send a logged delivery's payload again as a new delivery
+export async function POST(request, { params }) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id, deliveryId } = await params;
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, endpointId: id, accountId: member.accountId },
+    });
+    if (!delivery) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+    if (delivery.status === 'PENDING') {
+      return NextResponse.json({ error: 'Delivery is still in progress', code: 'deliveryPending' }, { status: 409 });
+    }
+
+    const endpoint = await prisma.webhookEndpoint.findUnique({
+      where: { id: delivery.endpointId },
+      select: { isActive: true },
+    });
+    if (!endpoint?.isActive) {
+      return NextResponse.json({ error: 'Webhook is disabled', code: 'endpointDisabled' }, { status: 409 });
+    }
+
+    const copy = await redeliverWebhook(delivery);
+    return NextResponse.json({ delivery: serializeDelivery(copy) });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    return NextResponse.json({ error: 'Failed to redeliver' }, { status: 500 });
+  }
+}
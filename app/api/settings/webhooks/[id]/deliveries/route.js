@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { serializeDelivery } from '@/lib/webhooks/endpoints';
+
+const PAGE_SIZE = 20;
+
+// GET - Delivery log for one endpoint, newest first (?page=, ?status=)
+export async function GET(request, { params }) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id, accountId: member.accountId },
+      select: { id: true },
+    });
+    if (!endpoint) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+    const status = searchParams.get('status');
+
+    const where = {
+      endpointId: endpoint.id,
+      ...(['PENDING', 'SUCCEEDED', 'FAILED'].includes(status) && { status }),
+    };
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * PAGE_SIZE,
+        take: PAGE_SIZE,
+      }),
+      prisma.webhookDelivery.count({ where }),
+    ]);
+
+    return NextResponse.json({
+      deliveries: deliveries.map(serializeDelivery),
+      total,
+      page,
+      limit: PAGE_SIZE,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return NextResponse.json({ error: 'Failed to fetch deliveries' }, { status: 500 });
+  }
+}
@@ -0,0 +1,141 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { diffFields, recordActivity } from '@/lib/activity-log/log';
+import {
+  validateWebhookUrl,
+  normalizeEvents,
+  normalizeSiteIds,
+  normalizeDescription,
+  generateWebhookSecret,
+  serializeEndpoint,
+} from '@/lib/webhooks/endpoints';
+
+// PATCH - Update an endpoint (url, description, events, siteIds, isActive).
+// `rotateSecret: true` issues a new signing secret and returns it once.
+export async function PATCH(request, { params }) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id, accountId: member.accountId },
+    });
+    if (!endpoint) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const data = {};
+
+    if (body.url !== undefined) {
+      const { url, error: urlError } = validateWebhookUrl(body.url);
+      if (urlError) {
+        return NextResponse.json({ error: 'Invalid webhook URL', code: urlError }, { status: 400 });
+      }
+      data.url = url;
+    }
+
+    if (body.events !== undefined) {
+      const events = normalizeEvents(body.events);
+      if (!events) {
+        return NextResponse.json({ error: 'Select at least one valid event', code: 'invalidEvents' }, { status: 400 });
+      }
+      data.events = events;
+    }
+
+    if (body.siteIds !== undefined) {
+      const accountSites = await prisma.site.findMany({
+        where: { accountId: member.accountId },
+        select: { id: true },
+      });
+      const siteIds = normalizeSiteIds(body.siteIds, accountSites.map(s => s.id));
+      if (!siteIds) {
+        return NextResponse.json({ error: 'Unknown site', code: 'invalidSites' }, { status: 400 });
+      }
+      data.siteIds = siteIds;
+    }
+
+    if (body.description !== undefined) data.description = normalizeDescription(body.description);
+    if (typeof body.isActive === 'boolean') data.isActive = body.isActive;
+
+    let secret;
+    if (body.rotateSecret === true) {
+      const generated = generateWebhookSecret();
+      secret = generated.secret;
+      data.secret = generated.encrypted;
+    }
+
+    const updated = await prisma.webhookEndpoint.update({
+      where: { id: endpoint.id },
+      data,
+    });
+
+    // The secret itself never goes into the log - only that it was rotated.
+    const changes = diffFields(endpoint, data, ['url', 'description', 'events', 'siteIds', 'isActive']);
+    if (secret) changes.after.secretRotated = true;
+    if (Object.keys(changes.after).length > 0) {
+      await recordActivity({
+        accountId: member.accountId,
+        userId: member.userId,
+        action: 'webhook.updated',
+        target: { type: 'webhook', id: endpoint.id, label: updated.url },
+        ...changes,
+      });
+    }
+
+    return NextResponse.json({ endpoint: serializeEndpoint(updated), ...(secret && { secret }) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    return NextResponse.json({ error: 'Failed to update webhook' }, { status: 500 });
+  }
+}
+
+// DELETE - Remove an endpoint and its delivery log. Queued retries find the
+// delivery gone and stop.
+export async function DELETE(request, { params }) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id, accountId: member.accountId },
+      select: { id: true, url: true, events: true },
+    });
+    if (!endpoint) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    await prisma.webhookDelivery.deleteMany({ where: { endpointId: endpoint.id } });
+    await prisma.webhookEndpoint.delete({ where: { id: endpoint.id } });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'webhook.deleted',
+      target: { type: 'webhook', id: endpoint.id, label: endpoint.url },
+      before: { url: endpoint.url, events: endpoint.events },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    return NextResponse.json({ error: 'Failed to delete webhook' }, { status: 500 });
+  }
+}
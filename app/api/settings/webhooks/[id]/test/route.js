@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { sendTestEvent } from '@/lib/webhooks/delivery';
+import { serializeDelivery } from '@/lib/webhooks/endpoints';
+
+// POST - Queue a webhook.test delivery to this endpoint
+export async function POST(request, { params }) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id, accountId: member.accountId },
+    });
+    if (!endpoint) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+    if (!endpoint.isActive) {
+      return NextResponse.json({ error: 'Webhook is disabled', code: 'endpointDisabled' }, { status: 409 });
+    }
+
+    const delivery = await sendTestEvent(endpoint);
+    return NextResponse.json({ delivery: serializeDelivery(delivery) });
+  } catch (error) {
+    console.error('Error sending webhook test:', error);
+    return NextResponse.json({ error: 'Failed to send test event' }, { status: 500 });
+  }
+}
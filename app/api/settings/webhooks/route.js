@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { recordActivity } from '@/lib/activity-log/log';
+import { WEBHOOK_EVENTS, WEBHOOK_EVENT_KEYS } from '@/lib/webhooks/events';
+import {
+  MAX_ENDPOINTS_PER_ACCOUNT,
+  validateWebhookUrl,
+  normalizeEvents,
+  normalizeSiteIds,
+  normalizeDescription,
+  generateWebhookSecret,
+  serializeEndpoint,
+} from '@/lib/webhooks/endpoints';
+
+// GET - List the account's webhook endpoints, plus the event catalog and
+// sites for the endpoint form
+export async function GET() {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+
+    const [endpoints, sites] = await Promise.all([
+      prisma.webhookEndpoint.findMany({
+        where: { accountId: member.accountId },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.site.findMany({
+        where: { accountId: member.accountId },
+        select: { id: true, name: true, url: true },
+        orderBy: { name: 'asc' },
+      }),
+    ]);
+
+    return NextResponse.json({
+      endpoints: endpoints.map(serializeEndpoint),
+      sites,
+      events: WEBHOOK_EVENT_KEYS.map(key => ({ key, siteScoped: WEBHOOK_EVENTS[key].siteScoped })),
+      canEdit: member.isOwner || memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT'),
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return NextResponse.json({ error: 'Failed to fetch webhooks' }, { status: 500 });
+  }
+}
+
+// POST - Create an endpoint. The signing secret is only returned here.
+export async function POST(request) {
+  try {
+    const result = await getCurrentAccountMember();
+    if (!result.authorized) {
+      return NextResponse.json({ error: result.error || 'Unauthorized' }, { status: 401 });
+    }
+
+    const member = result.member;
+    if (!member.isOwner && !memberHasPermission(member, 'SETTINGS_INTEGRATIONS', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+    if (!member.accountId) {
+      return NextResponse.json({ error: 'No account selected' }, { status: 400 });
+    }
+
+    const body = await request.json();
+
+    const { url, error: urlError } = validateWebhookUrl(body.url);
+    if (urlError) {
+      return NextResponse.json({ error: 'Invalid webhook URL', code: urlError }, { status: 400 });
+    }
+
+    const events = normalizeEvents(body.events);
+    if (!events) {
+      return NextResponse.json({ error: 'Select at least one valid event', code: 'invalidEvents' }, { status: 400 });
+    }
+
+    const accountSites = await prisma.site.findMany({
+      where: { accountId: member.accountId },
+      select: { id: true },
+    });
+    const siteIds = normalizeSiteIds(body.siteIds, accountSites.map(s => s.id));
+    if (!siteIds) {
+      return NextResponse.json({ error: 'Unknown site', code: 'invalidSites' }, { status: 400 });
+    }
+
+    const count = await prisma.webhookEndpoint.count({ where: { accountId: member.accountId } });
+    if (count >= MAX_ENDPOINTS_PER_ACCOUNT) {
+      return NextResponse.json({ error: 'Webhook endpoint limit reached', code: 'limitReached' }, { status: 400 });
+    }
+
+    const { secret, encrypted } = generateWebhookSecret();
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        accountId: member.accountId,
+        url,
+        description: normalizeDescription(body.description),
+        secret: encrypted,
+        events,
+        siteIds,
+        isActive: body.isActive !== false,
+        createdBy: member.userId,
+      },
+    });
+
+    await recordActivity({
+      accountId: member.accountId,
+      userId: member.userId,
+      action: 'webhook.created',
+      target: { type: 'webhook', id: endpoint.id, label: endpoint.url },
+      after: { url, events, siteIds, isActive: endpoint.isActive },
+    });
+
+    return NextResponse.json({ endpoint: serializeEndpoint(endpoint), secret }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return NextResponse.json({ error: 'Failed to create webhook' }, { status: 500 });
+  }
+}
@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import {
   buildInstallUrl,
   isValidShopDomain,
   signState,
 } from '@/lib/cms/adapters/shopify/oauth';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/shopify/install?shop={shop}.myshopify.com&siteId={id}
  *
@@ -32,8 +30,7 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Missing siteId' }, { status: 400 });
     }
 
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * POST /api/sitemaps/[id]/resync - Resync a sitemap and add new entities
  */
 export async function POST(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
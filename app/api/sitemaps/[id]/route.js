@@ -1,17 +1,14 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/sitemaps/[id] - Get single sitemap with parsed URLs
  */
 export async function GET(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+
+async function loadUpload(member, isSuperAdmin, siteId, uploadId) {
+  const site = await prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true },
+  });
+  if (!site) return null;
+  return prisma.accessLogUpload.findFirst({ where: { id: uploadId, siteId: site.id } });
+}
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'AUDIT', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * GET /api/sites/[id]/access-logs/[uploadId]
+ * One upload with its full crawl report.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id, uploadId } = await params;
+    const upload = await loadUpload(auth.member, auth.isSuperAdmin, id, uploadId);
+    if (!upload) {
+      return NextResponse.json({ error: 'Upload not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ upload });
+  } catch (error) {
+    console.error('Failed to load access log report:', error);
+    return NextResponse.json({ error: 'Failed to load access log report' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/sites/[id]/access-logs/[uploadId]
+ * Remove an upload's report. Insights it raised stay until the next upload
+ * re-checks them or the user dismisses them.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize('RUN');
+    if (auth.response) return auth.response;
+
+    const { id, uploadId } = await params;
+    const upload = await loadUpload(auth.member, auth.isSuperAdmin, id, uploadId);
+    if (!upload) {
+      return NextResponse.json({ error: 'Upload not found' }, { status: 404 });
+    }
+
+    await prisma.accessLogUpload.delete({ where: { id: upload.id } });
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Failed to delete access log report:', error);
+    return NextResponse.json({ error: 'Failed to delete access log report' }, { status: 500 });
+  }
+}
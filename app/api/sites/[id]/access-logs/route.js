@@ -0,0 +1,152 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { analyzeAccessLog } from '@/lib/log-analysis/analyze';
+import { LogReadError } from '@/lib/log-analysis/parser';
+import { runAccessLogInsights } from '@/lib/log-analysis/insights';
+
+export const maxDuration = 300;
+
+const MAX_FILE_BYTES = 50 * 1024 * 1024; // 50MB per upload (compressed size for .gz)
+const LIST_LIMIT = 20;
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true, url: true },
+  });
+}
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'AUDIT', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * GET /api/sites/[id]/access-logs
+ * Recent uploads for the site, newest first. Reports are omitted here - fetch
+ * one through /api/sites/[id]/access-logs/[uploadId].
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const uploads = await prisma.accessLogUpload.findMany({
+      where: { siteId: site.id },
+      orderBy: { createdAt: 'desc' },
+      take: LIST_LIMIT,
+      select: {
+        id: true,
+        fileName: true,
+        sizeBytes: true,
+        format: true,
+        status: true,
+        error: true,
+        lineCount: true,
+        parsedCount: true,
+        botHits: true,
+        verifiedBotHits: true,
+        periodStart: true,
+        periodEnd: true,
+        insights: true,
+        createdAt: true,
+        completedAt: true,
+      },
+    });
+
+    return NextResponse.json({ uploads });
+  } catch (error) {
+    console.error('Failed to list access logs:', error);
+    return NextResponse.json({ error: 'Failed to list access logs' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/sites/[id]/access-logs
+ * Upload one Apache/Nginx access log (common, combined or vhost_combined;
+ * plain or gzip) as multipart `file`. The log is analyzed in this request,
+ * the aggregated report is stored, and findings are raised as AgentInsights.
+ * The raw file is not kept.
+ */
+export async function POST(request, { params }) {
+  const auth = await authorize('RUN');
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+  const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+  if (!site) {
+    return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+  }
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    return NextResponse.json({ error: 'Invalid multipart body' }, { status: 400 });
+  }
+
+  const file = formData.get('file');
+  if (!file || typeof file === 'string') {
+    return NextResponse.json({ error: 'file is required' }, { status: 400 });
+  }
+  if (file.size > MAX_FILE_BYTES) {
+    return NextResponse.json({ error: 'File too large (max 50MB)' }, { status: 413 });
+  }
+
+  const upload = await prisma.accessLogUpload.create({
+    data: {
+      siteId: site.id,
+      accountId: site.accountId,
+      fileName: (file.name || 'access.log').slice(0, 200),
+      sizeBytes: file.size,
+      status: 'PROCESSING',
+      uploadedBy: auth.member.userId || null,
+    },
+  });
+
+  try {
+    const buffer = Buffer.from(await file.arrayBuffer());
+    const { report, stats } = await analyzeAccessLog({ site, buffer });
+    if (stats.parsedCount === 0) {
+      await prisma.accessLogUpload.update({
+        where: { id: upload.id },
+        data: { status: 'FAILED', error: 'No Apache/Nginx log lines recognized', lineCount: stats.lineCount, completedAt: new Date() },
+      });
+      return NextResponse.json(
+        { error: 'No Apache/Nginx log lines recognized in the file', code: 'PARSE_ERROR', uploadId: upload.id },
+        { status: 400 }
+      );
+    }
+
+    const insights = await runAccessLogInsights({ site, uploadId: upload.id, report });
+    const saved = await prisma.accessLogUpload.update({
+      where: { id: upload.id },
+      data: { ...stats, report, insights, status: 'COMPLETED', completedAt: new Date() },
+    });
+
+    return NextResponse.json({ upload: saved, insights });
+  } catch (error) {
+    if (!(error instanceof LogReadError)) console.error('Failed to analyze access log:', error);
+    await prisma.accessLogUpload.update({
+      where: { id: upload.id },
+      data: { status: 'FAILED', error: String(error?.message || error).slice(0, 500), completedAt: new Date() },
+    }).catch(() => {});
+    if (error instanceof LogReadError) {
+      return NextResponse.json({ error: error.message, code: error.code, uploadId: upload.id }, { status: 400 });
+    }
+    return NextResponse.json({ error: 'Failed to analyze access log', uploadId: upload.id }, { status: 500 });
+  }
+}
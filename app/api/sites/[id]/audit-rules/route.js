@@ -0,0 +1,166 @@
+import { NextResponse } from 'next/server';
+import * as cheerio from 'cheerio';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
+import {
+  RULE_KINDS,
+  RULE_CATEGORIES,
+  RULE_SEVERITIES,
+  normalizeAuditRules,
+  evaluateCustomRules,
+  loadFocusKeywords,
+} from '@/lib/audit/custom-rules';
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, url: true, auditRules: true },
+  });
+}
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+/**
+ * GET /api/sites/[id]/audit-rules
+ * The site's custom audit rules plus the allowed kinds/categories/severities
+ * for the rule editor.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      rules: Array.isArray(site.auditRules) ? site.auditRules : [],
+      kinds: RULE_KINDS,
+      categories: RULE_CATEGORIES,
+      severities: RULE_SEVERITIES,
+    });
+  } catch (error) {
+    console.error('Failed to load audit rules:', error);
+    return NextResponse.json({ error: 'Failed to load audit rules' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sites/[id]/audit-rules
+ * Replace the site's rule set. Applies from the next audit (or the next
+ * chunk of a running one).
+ *
+ * Body: { rules: [{
+ *   name, kind: 'selector-exists'|'selector-absent'|'attribute-match'|'text-length'|'jsonld-type',
+ *   selector?, attribute?, pattern?, flags?, mode?: 'require'|'forbid',
+ *   minLength?, maxLength?, schemaType?, urlPatterns?: ['/product/*'],
+ *   severity?: 'error'|'warning'|'info', category?: 'technical'|'performance'|'accessibility',
+ *   message?, passMessage?, suggestion?, enabled?
+ * }] }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeAuditRules(body.rules);
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+
+    await prisma.site.update({
+      where: { id: site.id },
+      data: { auditRules: normalized.rules },
+    });
+
+    return NextResponse.json({ success: true, rules: normalized.rules });
+  } catch (error) {
+    console.error('Failed to save audit rules:', error);
+    return NextResponse.json({ error: 'Failed to save audit rules' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/sites/[id]/audit-rules
+ * Dry-run rules against one live page of the site without saving them.
+ *
+ * Body: { url, rules?: [...] (defaults to the saved set) }
+ * Returns the issues the rules would emit for that page.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeAuditRules(body.rules ?? (Array.isArray(site.auditRules) ? site.auditRules : []));
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+
+    let pageUrl;
+    try {
+      pageUrl = new URL(body.url || '/', site.url);
+    } catch {
+      return NextResponse.json({ error: 'Invalid url' }, { status: 400 });
+    }
+    // Only the site's own pages - this endpoint must not become an open fetcher.
+    if (pageUrl.host !== new URL(site.url).host) {
+      return NextResponse.json({ error: 'url must be on the site\'s own domain' }, { status: 400 });
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+    let html;
+    let statusCode;
+    try {
+      const response = await fetch(pageUrl.href, {
+        signal: controller.signal,
+        headers: BOT_FETCH_HEADERS,
+        redirect: 'follow',
+      });
+      statusCode = response.status;
+      html = await response.text();
+    } catch (err) {
+      return NextResponse.json({ error: `Could not fetch ${pageUrl.href}: ${err.message}` }, { status: 422 });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const issues = evaluateCustomRules(cheerio.load(html), pageUrl.href, {
+      rules: normalized.rules,
+      focusKeywords: await loadFocusKeywords(site.id, normalized.rules),
+    });
+
+    return NextResponse.json({ url: pageUrl.href, statusCode, issues });
+  } catch (error) {
+    console.error('Failed to test audit rules:', error);
+    return NextResponse.json({ error: 'Failed to test audit rules' }, { status: 500 });
+  }
+}
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import JSZip from 'jszip';
 import { PLUGIN_VERSION } from '@/app/api/plugin/version';
 
-const SESSION_COOKIE = 'user_session';
-
 // Plugin template files (imported as strings)
 import { getPluginMainFile } from './plugin-templates/main';
 import { getPluginConfigFile } from './plugin-templates/config';
@@ -38,8 +36,7 @@ import { getEditorBridgeJs } from './plugin-templates/editor-bridge';
  */
 export async function GET(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
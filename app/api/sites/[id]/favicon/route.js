@@ -1,9 +1,8 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import { v2 as cloudinary } from 'cloudinary';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 
-const SESSION_COOKIE = 'user_session';
 const FAVICON_REFRESH_DAYS = 7;
 
 let _cloudinaryConfigured = false;
@@ -87,8 +86,7 @@ async function fetchAndUploadFavicon(siteUrl, siteId) {
 // POST - Check and refresh favicon for a site
 export async function POST(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -191,8 +189,7 @@ async function authorizeSiteAccess(siteId, userId) {
 // PUT - Upload a custom favicon (overrides auto-detection)
 export async function PUT(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     const { id: siteId } = await params;
 
     const auth = await authorizeSiteAccess(siteId, userId);
@@ -245,8 +242,7 @@ export async function PUT(request, { params }) {
 // DELETE - Reset favicon back to auto-detected (clears custom flag and re-fetches)
 export async function DELETE(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     const { id: siteId } = await params;
 
     const auth = await authorizeSiteAccess(siteId, userId);
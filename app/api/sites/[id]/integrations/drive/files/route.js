@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { refreshAccessToken } from '@/lib/google-integration';
 
-const SESSION_COOKIE = 'user_session';
 const PAGE_SIZE = 40;
 
 async function authorize(siteId) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return { error: 'Unauthorized', status: 401 };
 
   const user = await prisma.user.findUnique({
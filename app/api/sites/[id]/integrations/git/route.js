@@ -0,0 +1,193 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { encryptCredential } from '@/lib/site-keys';
+import { invalidateSiteMetadata } from '@/lib/cache/invalidate';
+import { INTEGRATION_TYPES, GIT_REPO_CAPABILITIES } from '@/lib/cms';
+import {
+  GIT_FRAMEWORKS,
+  REDIRECT_FORMATS,
+  FRONT_MATTER_FIELDS,
+  normalizeGitConfig,
+  presetFor,
+  publicGitConfig,
+} from '@/lib/cms/adapters/git/config';
+import { testConnection } from '@/lib/cms/adapters/git';
+
+const TYPE = INTEGRATION_TYPES.GIT_REPO;
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true, url: true, name: true, platform: true, integrationType: true },
+  });
+}
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+function present(row) {
+  return {
+    status: row.status,
+    killSwitch: row.killSwitch,
+    lastVerifiedAt: row.lastVerifiedAt,
+    config: publicGitConfig(row),
+    capabilities: GIT_REPO_CAPABILITIES,
+  };
+}
+
+/**
+ * GET /api/sites/[id]/integrations/git
+ * The site's Git repository connection + file routes (token never returned),
+ * plus the framework presets for the settings form.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const row = await prisma.siteIntegration.findUnique({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+    });
+
+    return NextResponse.json({
+      integration: row && row.status !== 'REVOKED' ? present(row) : null,
+      frameworks: GIT_FRAMEWORKS.map((f) => ({ id: f, defaults: presetFor(f) })),
+      redirectFormats: REDIRECT_FORMATS,
+      frontMatterFields: FRONT_MATTER_FIELDS,
+      allowsLocalPaths: !!process.env.GIT_TRANSPORT_LOCAL_ROOT,
+    });
+  } catch (error) {
+    console.error('Failed to load Git integration:', error);
+    return NextResponse.json({ error: 'Failed to load Git integration' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sites/[id]/integrations/git
+ * Save the repository connection, then verify the remote + base branch.
+ *
+ * Body: {
+ *   remoteUrl: 'https://git.example.com/team/site.git', token?: string (omit to keep the saved one),
+ *   framework?: 'astro'|'hugo'|'next'|'html', baseBranch?: 'main', branchPrefix?: 'ghostseo/',
+ *   authUser?, author?: { name, email },
+ *   routes?: [{ urlPattern: '/blog/{slug}', files: ['src/content/blog/{slug}.md'] }],
+ *   frontMatter?: { title: 'title', description: 'seo.description', ... },
+ *   redirects?: { file: 'public/_redirects', format: 'netlify' } | null
+ * }
+ *
+ * A verified connection becomes the site's active write transport
+ * (Site.integrationType = GIT_REPO); a failed check is saved as ERROR so the
+ * user can fix the config without re-entering the token.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeGitConfig(body);
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+
+    // Self-hosted remotes can be public, so the token is optional.
+    const token = typeof body.token === 'string' ? body.token.trim() : '';
+    const data = {
+      config: normalized.config,
+      ...(token ? { encryptedToken: encryptCredential(token) } : {}),
+      revokedAt: null,
+    };
+    await prisma.siteIntegration.upsert({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+      update: { ...data, status: 'PENDING' },
+      create: { siteId: site.id, type: TYPE, status: 'PENDING', ...data },
+    });
+
+    const test = await testConnection(site);
+    const row = await prisma.siteIntegration.update({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+      data: test.ok
+        ? { status: 'CONNECTED', lastVerifiedAt: new Date() }
+        : { status: 'ERROR' },
+    });
+
+    if (test.ok) {
+      await prisma.site.update({
+        where: { id: site.id },
+        data: { integrationType: TYPE, connectionStatus: 'CONNECTED', lastPingAt: new Date() },
+      });
+      invalidateSiteMetadata(site.id);
+    }
+
+    return NextResponse.json({
+      success: test.ok,
+      error: test.ok ? undefined : test.error,
+      sample: test.sample || null,
+      integration: present(row),
+    }, { status: test.ok ? 200 : 422 });
+  } catch (error) {
+    console.error('Failed to save Git integration:', error);
+    return NextResponse.json({ error: 'Failed to save Git integration' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/sites/[id]/integrations/git
+ * Disconnect: drop the token, mark the row REVOKED and, if it was the active
+ * transport, fall back to the platform-derived one. Branches already pushed
+ * stay in the repository for the owner to merge or delete.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const res = await prisma.siteIntegration.updateMany({
+      where: { siteId: site.id, type: TYPE },
+      data: { status: 'REVOKED', encryptedToken: null, revokedAt: new Date() },
+    });
+    if (res.count === 0) {
+      return NextResponse.json({ error: 'Integration not found' }, { status: 404 });
+    }
+
+    if (site.integrationType === TYPE) {
+      await prisma.site.update({
+        where: { id: site.id },
+        data: { integrationType: null, connectionStatus: 'DISCONNECTED' },
+      });
+      invalidateSiteMetadata(site.id);
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Failed to disconnect Git integration:', error);
+    return NextResponse.json({ error: 'Failed to disconnect Git integration' }, { status: 500 });
+  }
+}
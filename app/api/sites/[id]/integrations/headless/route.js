@@ -0,0 +1,198 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { encryptCredential } from '@/lib/site-keys';
+import { invalidateSiteMetadata } from '@/lib/cache/invalidate';
+import { INTEGRATION_TYPES } from '@/lib/cms';
+import { headlessCapabilitiesFor } from '@/lib/cms/capabilities';
+import {
+  HEADLESS_PROVIDERS,
+  MAPPABLE_FIELDS,
+  normalizeHeadlessConfig,
+  presetFor,
+  publicHeadlessConfig,
+} from '@/lib/cms/adapters/headless/config';
+import { testConnection } from '@/lib/cms/adapters/headless';
+
+const TYPE = INTEGRATION_TYPES.HEADLESS_CMS;
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true, url: true, name: true, platform: true, integrationType: true },
+  });
+}
+
+async function authorize(permission) {
+  const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+  if (!authorized) {
+    return { response: NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 }) };
+  }
+  if (!member.isOwner && !memberHasPermission(member, 'SITES', permission)) {
+    return { response: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+  return { member, isSuperAdmin };
+}
+
+function present(row) {
+  return {
+    status: row.status,
+    killSwitch: row.killSwitch,
+    lastVerifiedAt: row.lastVerifiedAt,
+    config: publicHeadlessConfig(row),
+    capabilities: headlessCapabilitiesFor(row.config),
+  };
+}
+
+/**
+ * GET /api/sites/[id]/integrations/headless
+ * The site's headless CMS connection + field mapping (token never returned),
+ * the capability flags that mapping yields, and the provider presets for the
+ * settings form.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize('VIEW');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const row = await prisma.siteIntegration.findUnique({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+    });
+
+    return NextResponse.json({
+      integration: row && row.status !== 'REVOKED' ? present(row) : null,
+      providers: HEADLESS_PROVIDERS.map((p) => ({ id: p, defaults: presetFor(p) })),
+      mappableFields: MAPPABLE_FIELDS,
+    });
+  } catch (error) {
+    console.error('Failed to load headless integration:', error);
+    return NextResponse.json({ error: 'Failed to load headless integration' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sites/[id]/integrations/headless
+ * Save the connection + field mapping, then verify it against the live API.
+ *
+ * Body: {
+ *   provider: 'contentful'|'sanity'|'strapi'|'rest', token?: string (omit to keep the saved one),
+ *   baseUrl?, spaceId?, environment?, locale?, projectId?, dataset?, apiVersion?,
+ *   contentTypes: { post: 'blogPost', ... }, fields: { seoTitle: 'seo.title', ... },
+ *   urlPattern?: '/blog/{slug}', redirects?: { contentType, fields: { source, target, type? } },
+ *   rest?: { listPath, itemPath, updateMethod, ... }
+ * }
+ *
+ * A verified connection becomes the site's active write transport
+ * (Site.integrationType = HEADLESS_CMS); a failed check is saved as ERROR
+ * so the user can fix the mapping without re-entering the token.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const normalized = normalizeHeadlessConfig(body);
+    if (!normalized.ok) {
+      return NextResponse.json({ error: normalized.error }, { status: 400 });
+    }
+
+    const token = typeof body.token === 'string' ? body.token.trim() : '';
+    const existing = await prisma.siteIntegration.findUnique({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+      select: { encryptedToken: true },
+    });
+    if (!token && !existing?.encryptedToken && normalized.config.provider !== 'rest') {
+      return NextResponse.json({ error: 'token is required' }, { status: 400 });
+    }
+
+    const data = {
+      config: normalized.config,
+      ...(token ? { encryptedToken: encryptCredential(token) } : {}),
+      revokedAt: null,
+    };
+    await prisma.siteIntegration.upsert({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+      update: { ...data, status: 'PENDING' },
+      create: { siteId: site.id, type: TYPE, status: 'PENDING', ...data },
+    });
+
+    const test = await testConnection(site);
+    const row = await prisma.siteIntegration.update({
+      where: { siteId_type: { siteId: site.id, type: TYPE } },
+      data: test.ok
+        ? { status: 'CONNECTED', lastVerifiedAt: new Date() }
+        : { status: 'ERROR' },
+    });
+
+    if (test.ok) {
+      await prisma.site.update({
+        where: { id: site.id },
+        data: { integrationType: TYPE, connectionStatus: 'CONNECTED', lastPingAt: new Date() },
+      });
+      invalidateSiteMetadata(site.id);
+    }
+
+    return NextResponse.json({
+      success: test.ok,
+      error: test.ok ? undefined : test.error,
+      sample: test.sample || null,
+      integration: present(row),
+    }, { status: test.ok ? 200 : 422 });
+  } catch (error) {
+    console.error('Failed to save headless integration:', error);
+    return NextResponse.json({ error: 'Failed to save headless integration' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/sites/[id]/integrations/headless
+ * Disconnect: drop the token, mark the row REVOKED and, if it was the active
+ * transport, fall back to the platform-derived one (a still-live SDK / edge
+ * proxy re-promotes itself on its next contract fetch).
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize('EDIT');
+    if (auth.response) return auth.response;
+
+    const { id } = await params;
+    const site = await loadSite(auth.member, auth.isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const res = await prisma.siteIntegration.updateMany({
+      where: { siteId: site.id, type: TYPE },
+      data: { status: 'REVOKED', encryptedToken: null, revokedAt: new Date() },
+    });
+    if (res.count === 0) {
+      return NextResponse.json({ error: 'Integration not found' }, { status: 404 });
+    }
+
+    if (site.integrationType === TYPE) {
+      await prisma.site.update({
+        where: { id: site.id },
+        data: { integrationType: null, connectionStatus: 'DISCONNECTED' },
+      });
+      invalidateSiteMetadata(site.id);
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Failed to disconnect headless integration:', error);
+    return NextResponse.json({ error: 'Failed to disconnect headless integration' }, { status: 500 });
+  }
+}
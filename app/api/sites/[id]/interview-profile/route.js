@@ -4,17 +4,14 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getAccountUsage, getSiteCompetitorCapacity } from '@/lib/account-limits';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user with account memberships
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -1,13 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import { v2 as cloudinary } from 'cloudinary';
 import { google } from '@/lib/ai/vertex-provider.js';
 import { generateText } from 'ai';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { logAIUsage } from '@/lib/ai/credits.js';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
 const LOGO_REFRESH_DAYS = 7;
 const VISION_MODEL = 'gemini-2.5-pro';
 const MAX_CANDIDATES = 8;
@@ -578,8 +577,7 @@ async function fetchAndUploadLogo(siteUrl, siteId) {
 // POST - Check and refresh logo for a site
 export async function POST(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -688,8 +686,7 @@ async function authorizeSiteAccess(siteId, userId) {
 // PUT - Upload a custom logo (overrides auto-detection)
 export async function PUT(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     const { id: siteId } = await params;
 
     const auth = await authorizeSiteAccess(siteId, userId);
@@ -762,8 +759,7 @@ export async function PUT(request, { params }) {
 // DELETE - Reset logo back to auto-detected (clears custom flag and re-fetches)
 export async function DELETE(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
     const { id: siteId } = await params;
 
     const auth = await authorizeSiteAccess(siteId, userId);
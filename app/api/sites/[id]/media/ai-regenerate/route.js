@@ -1,16 +1,13 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import { z } from 'zod';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateImage, generateStructuredResponse, analyzeImageStructured } from '@/lib/ai/gemini';
 import { enforceCredits } from '@/lib/account-limits';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 async function verifyUserSiteAccess(siteId) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return { authorized: false, error: 'Unauthorized' };
 
   const user = await prisma.user.findUnique({
@@ -1,11 +1,10 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import { z } from 'zod';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { cms, getCapabilities } from '@/lib/cms';
 import { refreshAccessToken } from '@/lib/google-integration';
 
-const SESSION_COOKIE = 'user_session';
 const MAX_FILES_PER_REQUEST = 10;
 const MAX_BYTES_PER_FILE = 50 * 1024 * 1024; // 50MB
 
@@ -50,8 +49,7 @@ function normalizeItem(item) {
 }
 
 async function authorizeSite(siteId) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return { error: 'Unauthorized', status: 401 };
 
   const user = await prisma.user.findUnique({
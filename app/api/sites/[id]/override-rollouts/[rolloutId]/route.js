@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { cancelRollout, rollbackRollout } from '@/lib/contract/rollouts';
+
+async function loadRollout(member, isSuperAdmin, siteId, rolloutId) {
+  // Prisma throws P2023 on a malformed ObjectID instead of returning null.
+  if (!/^[a-f0-9]{24}$/i.test(rolloutId)) return null;
+  const rollout = await prisma.overrideRollout.findUnique({ where: { id: rolloutId } });
+  if (!rollout || rollout.siteId !== siteId) return null;
+  if (!isSuperAdmin && rollout.accountId !== member.accountId) return null;
+  return rollout;
+}
+
+/**
+ * GET /api/sites/[id]/override-rollouts/[rolloutId]
+ * One rollout with its per-stage metrics and decision.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id, rolloutId } = await params;
+    const rollout = await loadRollout(member, isSuperAdmin, id, rolloutId);
+    if (!rollout) {
+      return NextResponse.json({ error: 'Rollout not found' }, { status: 404 });
+    }
+    return NextResponse.json({ rollout });
+  } catch (error) {
+    console.error('Failed to load override rollout:', error);
+    return NextResponse.json({ error: 'Failed to load override rollout' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/sites/[id]/override-rollouts/[rolloutId]
+ * Body: { action: 'cancel' } - drop a rollout that has not gone live yet.
+ *       { action: 'rollback' } - restore the pre-rollout override rows now.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id, rolloutId } = await params;
+    const rollout = await loadRollout(member, isSuperAdmin, id, rolloutId);
+    if (!rollout) {
+      return NextResponse.json({ error: 'Rollout not found' }, { status: 404 });
+    }
+
+    const { action } = await request.json().catch(() => ({}));
+    let done;
+    if (action === 'cancel') {
+      done = await cancelRollout(rollout.id);
+    } else if (action === 'rollback') {
+      done = await rollbackRollout(rollout.id, 'manual');
+    } else {
+      return NextResponse.json({ error: "action must be 'cancel' or 'rollback'" }, { status: 400 });
+    }
+    if (!done) {
+      return NextResponse.json({ error: `Cannot ${action} a ${rollout.status} rollout` }, { status: 409 });
+    }
+    const updated = await prisma.overrideRollout.findUnique({ where: { id: rollout.id } });
+    return NextResponse.json({ rollout: updated });
+  } catch (error) {
+    console.error('Failed to update override rollout:', error);
+    return NextResponse.json({ error: 'Failed to update override rollout' }, { status: 500 });
+  }
+}
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { scheduleRollout } from '@/lib/contract/rollouts';
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true },
+  });
+}
+
+/**
+ * GET /api/sites/[id]/override-rollouts
+ * List the site's SEO override rollouts, newest first.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const site = await loadSite(member, isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const rollouts = await prisma.overrideRollout.findMany({
+      where: { siteId: site.id },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+    });
+
+    return NextResponse.json({ rollouts });
+  } catch (error) {
+    console.error('Failed to list override rollouts:', error);
+    return NextResponse.json({ error: 'Failed to list override rollouts' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/sites/[id]/override-rollouts
+ * Schedule a rollout of SiteSeoOverride changes.
+ *
+ * Body: {
+ *   overrides: [{ path, title?, description?, canonical?, robots?, ogImage?, jsonLd? }],
+ *   goLiveAt?: ISO date (default now),
+ *   stagePercent?: 1-100 (share of paths written first; omit for all at once),
+ *   dropThreshold?: 0-1 (default 0.2), controlWindowDays?, measureAfterDays?, label?
+ * }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const site = await loadSite(member, isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await scheduleRollout({
+      siteId: site.id,
+      accountId: site.accountId,
+      createdBy: member.userId,
+      label: body.label || null,
+      overrides: body.overrides,
+      goLiveAt: body.goLiveAt,
+      stagePercent: body.stagePercent ?? null,
+      ...(body.dropThreshold != null ? { dropThreshold: Number(body.dropThreshold) } : {}),
+      ...(body.controlWindowDays != null ? { controlWindowDays: Number(body.controlWindowDays) } : {}),
+      ...(body.measureAfterDays != null ? { measureAfterDays: Number(body.measureAfterDays) } : {}),
+    });
+
+    if (!result.ok) {
+      return NextResponse.json(
+        { error: result.error, ...(result.conflicts ? { conflicts: result.conflicts } : {}) },
+        { status: result.conflicts ? 409 : 400 },
+      );
+    }
+
+    return NextResponse.json({ rollout: result.rollout }, { status: 201 });
+  } catch (error) {
+    console.error('Failed to schedule override rollout:', error);
+    return NextResponse.json({ error: 'Failed to schedule override rollout' }, { status: 500 });
+  }
+}
@@ -1,10 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies, headers } from 'next/headers';
+import { headers } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { signEditorToken } from '@/lib/editor-token';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * GET /api/sites/[id]/preview-token
  * Returns a short-lived HMAC signed for the requesting browser's origin so
@@ -13,8 +12,7 @@ const SESSION_COOKIE = 'user_session';
  * with these as query params.
  */
 export async function GET(request, { params }) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
   if (!userId) return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
 
   const { id } = await params;
@@ -1,9 +1,12 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
 import { cms, getCapabilities } from '@/lib/cms';
+import { validateRule, normalizeSource, checkRuleChange, MATCH_TYPES } from '@/lib/redirect-rules';
 
 /**
  * Bulk-replace the redirect set on the connected CMS so it mirrors our DB.
+ * Only EXACT rules - CMS redirect plugins don't share our wildcard/regex
+ * syntax, so pattern rules are served through the Contract API instead.
  * Best-effort - failures are logged, not surfaced.
  */
 async function syncAllToCms(site, siteId) {
@@ -14,7 +17,8 @@ async function syncAllToCms(site, siteId) {
   if (!isConnected) return;
 
   try {
-    const redirections = await prisma.redirection.findMany({ where: { siteId } });
+    const redirections = (await prisma.redirection.findMany({ where: { siteId } }))
+      .filter(r => (r.matchType || 'EXACT') === 'EXACT');
 
     const typeCodeMap = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
     const payload = redirections.map(r => ({
@@ -34,7 +38,7 @@ async function syncAllToCms(site, siteId) {
 
 /**
  * PUT /api/sites/[id]/redirections/[redirectionId]
- * Update a redirection.
+ * Update a redirection rule. Same fields and loop/chain check as POST.
  */
 export async function PUT(request, { params }) {
   try {
@@ -50,11 +54,21 @@ export async function PUT(request, { params }) {
     }
 
     const updateData = {};
+    const matchType = body.matchType !== undefined ? body.matchType : (redirection.matchType || 'EXACT');
+    if (!MATCH_TYPES.includes(matchType)) {
+      return NextResponse.json({ error: `matchType must be one of ${MATCH_TYPES.join(', ')}` }, { status: 400 });
+    }
+    if (body.matchType !== undefined) updateData.matchType = matchType;
 
     if (body.sourceUrl !== undefined) {
-      let src = body.sourceUrl.startsWith('/') ? body.sourceUrl : `/${body.sourceUrl}`;
-      try { src = decodeURIComponent(src); } catch {}
-      if (src.length > 1 && src.endsWith('/')) src = src.slice(0, -1);
+      let src;
+      if (matchType === 'EXACT') {
+        src = body.sourceUrl.startsWith('/') ? body.sourceUrl : `/${body.sourceUrl}`;
+        try { src = decodeURIComponent(src); } catch {}
+        if (src.length > 1 && src.endsWith('/')) src = src.slice(0, -1);
+      } else {
+        src = normalizeSource(body.sourceUrl, matchType);
+      }
       updateData.sourceUrl = src;
     }
     if (body.targetUrl !== undefined) {
@@ -69,18 +83,42 @@ export async function PUT(request, { params }) {
     if (body.isActive !== undefined) {
       updateData.isActive = body.isActive;
     }
+    if (body.priority !== undefined) {
+      updateData.priority = Number.isInteger(body.priority) ? body.priority : 0;
+    }
+    if (body.preserveQuery !== undefined) {
+      updateData.preserveQuery = body.preserveQuery === true;
+    }
+
+    const merged = { ...redirection, ...updateData };
+    const invalid = validateRule(merged);
+    if (invalid) {
+      return NextResponse.json({ error: invalid }, { status: 400 });
+    }
+
+    const site = await prisma.site.findUnique({ where: { id } });
+
+    // Loop / chain check across the full rule set with this rule changed
+    const rules = await prisma.redirection.findMany({ where: { siteId: id } });
+    const check = checkRuleChange(
+      rules.map(r => (r.id === redirectionId ? merged : r)),
+      redirectionId,
+      { siteUrl: site?.url },
+    );
+    if (check.error) {
+      return NextResponse.json({ error: check.error, loops: check.loops }, { status: 409 });
+    }
 
     const updated = await prisma.redirection.update({
       where: { id: redirectionId },
       data: updateData,
     });
 
-    const site = await prisma.site.findUnique({ where: { id } });
     if (site) {
       syncAllToCms(site, id);
     }
 
-    return NextResponse.json(updated);
+    return NextResponse.json({ ...updated, chains: check.chains });
   } catch (error) {
     if (error.code === 'P2002') {
       return NextResponse.json(
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { serializeRedirects, REDIRECT_FORMATS } from '@/lib/redirect-formats';
+
+/**
+ * GET /api/sites/[id]/redirections/export?format=<format>
+ * Download the site's redirects as a plugin import file or server config.
+ *
+ * format: redirection-csv | redirection-json | yoast-csv | rankmath-csv |
+ *         htaccess | nginx
+ *
+ * Wildcard rules are written as regex rules in every format. The .htaccess
+ * and nginx exports only include active rules - the other formats carry the
+ * enabled flag themselves.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const format = new URL(request.url).searchParams.get('format') || 'redirection-csv';
+
+    if (!REDIRECT_FORMATS.includes(format)) {
+      return NextResponse.json({ error: `format must be one of ${REDIRECT_FORMATS.join(', ')}` }, { status: 400 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+      select: { id: true, url: true },
+    });
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const redirections = await prisma.redirection.findMany({
+      where: { siteId: id },
+      orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    const { body, ext, mime } = serializeRedirects(redirections, format);
+
+    let host = 'site';
+    try { host = new URL(site.url).hostname.replace(/^www\./i, ''); } catch {}
+    const filename = ext === 'htaccess' ? `redirects-${host}.htaccess` : `redirects-${host}-${format}.${ext}`;
+
+    return new NextResponse(body, {
+      status: 200,
+      headers: {
+        'Content-Type': `${mime}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error exporting redirections:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,153 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { cms, getCapabilities } from '@/lib/cms';
+import { parseRedirectExport, planImport, REDIRECT_FORMATS } from '@/lib/redirect-formats';
+
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_RULES = 10_000;
+
+/**
+ * POST /api/sites/[id]/redirections/import
+ * Bulk import redirects from a plugin export or server config.
+ *
+ * Body: { content: string, format?: one of REDIRECT_FORMATS (detected when
+ *         omitted), dryRun?: boolean (default true),
+ *         onConflict?: 'skip' | 'overwrite' }
+ *
+ * A dry run returns the report only: every parsed rule classified as new,
+ * duplicate, conflicting, chain or loop (lib/redirect-formats.js →
+ * planImport), plus the lines that couldn't be parsed. Applying writes all
+ * non-skipped rules in one transaction, then pushes the site's EXACT rules
+ * to the connected CMS in one bulk sync.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+    const { content, format } = body;
+    const dryRun = body.dryRun !== false;
+    const onConflict = body.onConflict === 'overwrite' ? 'overwrite' : 'skip';
+
+    if (!content || typeof content !== 'string') {
+      return NextResponse.json({ error: 'content is required' }, { status: 400 });
+    }
+    if (content.length > MAX_IMPORT_BYTES) {
+      return NextResponse.json({ error: 'Import file is limited to 2 MB' }, { status: 413 });
+    }
+    if (format && !REDIRECT_FORMATS.includes(format)) {
+      return NextResponse.json({ error: `format must be one of ${REDIRECT_FORMATS.join(', ')}` }, { status: 400 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+    });
+
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const parsed = parseRedirectExport(content, format);
+    if (parsed.rules.length > MAX_IMPORT_RULES) {
+      return NextResponse.json(
+        { error: `Import is limited to ${MAX_IMPORT_RULES} redirects per file - split it into smaller files` },
+        { status: 413 },
+      );
+    }
+    const existing = await prisma.redirection.findMany({ where: { siteId: id } });
+    const { items, summary } = planImport(existing, parsed.rules, { onConflict, siteUrl: site.url });
+
+    const report = {
+      format: parsed.format,
+      onConflict,
+      summary: { ...summary, invalid: parsed.errors.length },
+      items,
+      errors: parsed.errors,
+    };
+
+    if (dryRun) {
+      return NextResponse.json({ dryRun: true, ...report });
+    }
+
+    const toCreate = items.filter(i => !i.skipped && !i.existingId);
+    const toUpdate = items.filter(i => !i.skipped && i.existingId);
+
+    if (toCreate.length === 0 && toUpdate.length === 0) {
+      return NextResponse.json({ dryRun: false, created: 0, updated: 0, ...report });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (toCreate.length > 0) {
+        await tx.redirection.createMany({
+          data: toCreate.map(i => ({ siteId: id, ...i.rule })),
+        });
+      }
+      for (const item of toUpdate) {
+        await tx.redirection.update({
+          where: { id: item.existingId },
+          data: {
+            targetUrl: item.rule.targetUrl,
+            type: item.rule.type,
+            matchType: item.rule.matchType,
+            preserveQuery: item.rule.preserveQuery,
+            isActive: item.rule.isActive,
+          },
+        });
+      }
+    });
+
+    // Push to the connected platform in one bulk replace. Only EXACT rules
+    // go to the CMS - pattern rules are served through the Contract API.
+    const caps = getCapabilities(site);
+    const isShopifyConnected = !!site.shopifyAccessToken && !!site.shopifyDomain;
+    const isWpConnected = !!site.siteKey && !!site.siteSecret;
+    const isConnected = caps.platform === 'shopify' ? isShopifyConnected : isWpConnected;
+
+    let synced = false;
+    if (isConnected) {
+      try {
+        const typeCodeMap = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
+        const exact = await prisma.redirection.findMany({ where: { siteId: id, matchType: 'EXACT' } });
+        await cms.bulkSyncRedirects(site, exact.map(r => ({
+          sourceUrl: r.sourceUrl,
+          targetUrl: r.targetUrl,
+          type: typeCodeMap[r.type] || 301,
+          isActive: r.isActive,
+          hitCount: r.hitCount,
+          createdAt: r.createdAt,
+        })));
+        synced = true;
+      } catch (err) {
+        console.warn(`Failed to sync imported redirects to ${caps.platform}:`, err.message);
+      }
+    }
+
+    return NextResponse.json({
+      dryRun: false,
+      created: toCreate.length,
+      updated: toUpdate.length,
+      synced,
+      ...report,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'Some redirects were added while importing - run the import again' },
+        { status: 409 }
+      );
+    }
+    console.error('Error importing redirections:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
 import { cms, getCapabilities } from '@/lib/cms';
+import { validateRule, normalizeSource, checkRuleChange } from '@/lib/redirect-rules';
 
 /**
  * GET /api/sites/[id]/redirections
@@ -67,7 +68,15 @@ export async function GET(request, { params }) {
 
 /**
  * POST /api/sites/[id]/redirections
- * Create a new redirection.
+ * Create a new redirection rule.
+ *
+ * Body: { sourceUrl, targetUrl, type?, matchType?: 'EXACT'|'WILDCARD'|'REGEX',
+ *         priority?: number, preserveQuery?: boolean }
+ *
+ * The whole rule set is checked first (lib/redirect-rules.js): a rule that
+ * would create a loop is refused with 409; chains it creates are returned
+ * as `chains` so the UI can warn. Only EXACT rules are pushed to the
+ * connected CMS - pattern rules are served through the Contract API.
  */
 export async function POST(request, { params }) {
   try {
@@ -75,12 +84,11 @@ export async function POST(request, { params }) {
     const body = await request.json();
     
     const { sourceUrl, targetUrl, type } = body;
-    
-    if (!sourceUrl || !targetUrl) {
-      return NextResponse.json(
-        { error: 'sourceUrl and targetUrl are required' },
-        { status: 400 }
-      );
+    const matchType = body.matchType || 'EXACT';
+
+    const invalid = validateRule({ sourceUrl, targetUrl, matchType });
+    if (invalid) {
+      return NextResponse.json({ error: invalid }, { status: 400 });
     }
     
     const site = await prisma.site.findUnique({ where: { id } });
@@ -89,11 +97,17 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Site not found' }, { status: 404 });
     }
 
-    // Normalize source URL - ensure it starts with /, decode percent-encoded chars, strip trailing slash
-    let normalizedSource = sourceUrl.startsWith('/') ? sourceUrl : `/${sourceUrl}`;
-    try { normalizedSource = decodeURIComponent(normalizedSource); } catch {}
-    if (normalizedSource.length > 1 && normalizedSource.endsWith('/')) {
-      normalizedSource = normalizedSource.slice(0, -1);
+    // Normalize source URL - ensure it starts with /, decode percent-encoded chars, strip trailing slash.
+    // Regex sources are stored as written.
+    let normalizedSource;
+    if (matchType === 'EXACT') {
+      normalizedSource = sourceUrl.startsWith('/') ? sourceUrl : `/${sourceUrl}`;
+      try { normalizedSource = decodeURIComponent(normalizedSource); } catch {}
+      if (normalizedSource.length > 1 && normalizedSource.endsWith('/')) {
+        normalizedSource = normalizedSource.slice(0, -1);
+      }
+    } else {
+      normalizedSource = normalizeSource(sourceUrl, matchType);
     }
 
     // Decode target URL if percent-encoded
@@ -104,15 +118,25 @@ export async function POST(request, { params }) {
     const typeMap = { '301': 'PERMANENT', '302': 'TEMPORARY', '307': 'FOUND', 'PERMANENT': 'PERMANENT', 'TEMPORARY': 'TEMPORARY', 'FOUND': 'FOUND' };
     const redirectType = typeMap[String(type)] || 'PERMANENT';
 
+    const data = {
+      siteId: id,
+      sourceUrl: normalizedSource,
+      targetUrl: normalizedTarget,
+      type: redirectType,
+      matchType,
+      priority: Number.isInteger(body.priority) ? body.priority : 0,
+      preserveQuery: body.preserveQuery === true,
+    };
+
+    // Loop / chain check across the full rule set, including this rule
+    const existing = await prisma.redirection.findMany({ where: { siteId: id } });
+    const check = checkRuleChange([...existing, { ...data, id: 'new', isActive: true }], 'new', { siteUrl: site.url });
+    if (check.error) {
+      return NextResponse.json({ error: check.error, loops: check.loops }, { status: 409 });
+    }
+
     // Create in database
-    const redirection = await prisma.redirection.create({
-      data: {
-        siteId: id,
-        sourceUrl: normalizedSource,
-        targetUrl: normalizedTarget,
-        type: redirectType,
-      },
-    });
+    const redirection = await prisma.redirection.create({ data });
 
     // Sync to the connected platform (WP plugin or Shopify native)
     const caps = getCapabilities(site);
@@ -120,7 +144,7 @@ export async function POST(request, { params }) {
     const isWpConnected = !!site.siteKey && !!site.siteSecret;
     const isConnected = caps.platform === 'shopify' ? isShopifyConnected : isWpConnected;
 
-    if (isConnected) {
+    if (isConnected && matchType === 'EXACT') {
       try {
         const typeCodeMap = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
         await cms.createRedirect(site, {
@@ -133,7 +157,7 @@ export async function POST(request, { params }) {
       }
     }
     
-    return NextResponse.json(redirection, { status: 201 });
+    return NextResponse.json({ ...redirection, chains: check.chains }, { status: 201 });
     
   } catch (error) {
     if (error.code === 'P2002') {
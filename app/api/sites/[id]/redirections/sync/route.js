@@ -8,7 +8,8 @@ import { cms, getCapabilities } from '@/lib/cms';
  *
  * Body: { direction: 'from-cms' | 'to-cms' | 'import-external' }
  *   from-cms        Pull redirects from the CMS into the platform DB
- *   to-cms          Push platform redirects to the CMS (bulk replace)
+ *   to-cms          Push platform redirects to the CMS (bulk replace). Only
+ *                   EXACT rules - pattern rules are served through the Contract API.
  *   import-external WP-only: scrape detected third-party redirect plugin, then pull
  *
  * Legacy aliases ('from-wp' / 'to-wp') still accepted.
@@ -101,7 +102,7 @@ export async function POST(request, { params }) {
     }
 
     if (direction === 'to-cms') {
-      const redirections = await prisma.redirection.findMany({ where: { siteId: id } });
+      const redirections = await prisma.redirection.findMany({ where: { siteId: id, matchType: 'EXACT' } });
 
       const typeCodeMap = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
       const payload = redirections.map(r => ({
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { compileRules, traceUrl } from '@/lib/redirect-rules';
+
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * POST /api/sites/[id]/redirections/test
+ * Show which rule fires for a URL and where it ends up.
+ *
+ * Body: { url: string }
+ * Returns the first matching rule, its destination and status code, plus
+ * the full hop list when the destination is redirected again (chain) or
+ * comes back around (loop). Inactive rules are ignored, as in production.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const { url } = await request.json();
+
+    if (!url || typeof url !== 'string') {
+      return NextResponse.json({ error: 'url is required' }, { status: 400 });
+    }
+    if (url.length > MAX_URL_LENGTH) {
+      return NextResponse.json({ error: `url is limited to ${MAX_URL_LENGTH} characters` }, { status: 400 });
+    }
+
+    const site = await prisma.site.findFirst({
+      where: isSuperAdmin ? { id } : { id, accountId: member.accountId },
+      select: { id: true, url: true },
+    });
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const rows = await prisma.redirection.findMany({ where: { siteId: id, isActive: true } });
+    const compiled = compileRules(rows);
+    const trace = traceUrl(compiled, url, { siteUrl: site.url });
+
+    const first = trace.hops[0];
+    const rule = first ? rows.find(r => r.id === first.ruleId) : null;
+
+    return NextResponse.json({
+      url,
+      matched: !!first,
+      rule,
+      destination: first?.destination || null,
+      statusCode: first?.statusCode || null,
+      hops: trace.hops,
+      finalUrl: trace.final,
+      chain: trace.hops.length > 1,
+      loop: trace.loop || trace.truncated,
+    });
+  } catch (error) {
+    console.error('Error testing redirection:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 },
+    );
+  }
+}
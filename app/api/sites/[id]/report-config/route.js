@@ -1,14 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { getPlanLimits } from '@/lib/account-utils';
 
-const SESSION_COOKIE = 'user_session';
-
 // Helper to get authenticated user with permissions
 async function getAuthenticatedUser(siteId) {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
 
   if (!userId) return null;
 
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getCurrentAccountMember, memberHasPermission } from '@/lib/auth-permissions';
+import { resolveScoringProfile, describeScoringProfile } from '@/lib/audit/scoring-profiles';
+
+async function loadSite(member, isSuperAdmin, siteId) {
+  return prisma.site.findFirst({
+    where: isSuperAdmin ? { id: siteId } : { id: siteId, accountId: member.accountId },
+    select: { id: true, accountId: true, scoringProfileId: true },
+  });
+}
+
+/**
+ * GET /api/sites/[id]/scoring-profile
+ * The profile assigned to the site (if any) and the one its next audit will
+ * actually be scored with (site profile → account default → built-in).
+ */
+export async function GET(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'AUDIT', 'VIEW')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const site = await loadSite(member, isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const effective = await resolveScoringProfile(site.id);
+    return NextResponse.json({
+      scoringProfileId: site.scoringProfileId || null,
+      effective: describeScoringProfile(effective),
+    });
+  } catch (error) {
+    console.error('Failed to load site scoring profile:', error);
+    return NextResponse.json({ error: 'Failed to load site scoring profile' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sites/[id]/scoring-profile
+ * Assign a profile to the site. Body: { profileId: string | null }
+ * (null = use the account default). Applies from the next audit.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { authorized, member, error, isSuperAdmin } = await getCurrentAccountMember();
+    if (!authorized) {
+      return NextResponse.json({ error: error || 'Unauthorized' }, { status: 401 });
+    }
+    if (!member.isOwner && !memberHasPermission(member, 'SITES', 'EDIT')) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const site = await loadSite(member, isSuperAdmin, id);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const profileId = body.profileId || null;
+    if (profileId) {
+      const profile = await prisma.scoringProfile.findFirst({
+        where: { id: profileId, accountId: site.accountId },
+        select: { id: true },
+      });
+      if (!profile) {
+        return NextResponse.json({ error: 'Scoring profile not found' }, { status: 404 });
+      }
+    }
+
+    await prisma.site.update({
+      where: { id: site.id },
+      data: { scoringProfileId: profileId },
+    });
+
+    const effective = await resolveScoringProfile(site.id);
+    return NextResponse.json({ success: true, scoringProfileId: profileId, effective: describeScoringProfile(effective) });
+  } catch (error) {
+    console.error('Failed to assign scoring profile:', error);
+    return NextResponse.json({ error: 'Failed to assign scoring profile' }, { status: 500 });
+  }
+}
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { 
   generateSiteKey, 
   generateSiteSecret, 
@@ -8,13 +8,10 @@ import {
 } from '@/lib/site-keys';
 import { enforceResourceLimit } from '@/lib/account-limits';
 
-const SESSION_COOKIE = 'user_session';
-
 // Get authenticated user with their account memberships
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { generateTextResponse } from '@/lib/ai/gemini';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 
-const SESSION_COOKIE = 'user_session';
-
 /**
  * Use AI to extract the business/website name from HTML content
  */
@@ -309,8 +307,7 @@ export async function POST(request) {
     // Optional auth lookup for Ai-GCoin tracking
     let trackingCtx = {};
     try {
-      const cookieStore = await cookies();
-      const userId = cookieStore.get(SESSION_COOKIE)?.value;
+      const userId = await getSessionUserId();
       if (userId) {
         const user = await prisma.user.findUnique({
           where: { id: userId },
@@ -1,17 +1,15 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
 import { canPurchaseAddOn, addAiCredits } from '@/lib/account-utils';
 import { isCouponApplicableToAddOn } from '@/lib/coupon-applicability';
 import { applyCouponToOrder } from '@/lib/coupon-pricing';
-
-const SESSION_COOKIE = 'user_session';
+import { recordActivity } from '@/lib/activity-log/log';
 
 // Get authenticated user
 async function getAuthenticatedUser() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return null;
@@ -254,6 +252,14 @@ export async function POST(request) {
       });
     }
 
+    await recordActivity({
+      accountId: membership.account.id,
+      userId: user.id,
+      action: 'addon.purchased',
+      target: { type: 'addon_purchase', id: purchase.id, label: addOn.name },
+      after: { addOn: addOn.name, quantity, coupon: appliedCoupon?.code || null },
+    });
+
     // TODO: Create payment record and process payment
     // For now, we're just creating the purchase record
 
@@ -1,8 +1,7 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
+import { recordActivity } from '@/lib/activity-log/log';
 
 /**
  * POST /api/user/addon-purchases/[id]/cancel
@@ -11,8 +10,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function POST(request, { params }) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -95,6 +93,15 @@ export async function POST(request, { params }) {
       data: { canceledAt: new Date() },
     });
 
+    await recordActivity({
+      accountId: currentMembership.accountId,
+      userId: user.id,
+      action: 'addon.canceled',
+      target: { type: 'addon_purchase', id: purchase.id, label: purchase.addOn.name },
+      before: { status: purchase.status },
+      after: { cancelAtPeriodEnd: true },
+    });
+
     return NextResponse.json({
       success: true,
       message: 'Add-on will be canceled at the next billing period renewal.',
@@ -1,14 +1,11 @@
 import { NextResponse } from "next/server";
-import { cookies } from "next/headers";
 import prisma from "@/lib/prisma";
-
-const SESSION_COOKIE = "user_session";
+import { endSession, getSessionUserId } from "@/lib/auth-session";
 
 // GET - Get current user's data including account and subscription
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: "Not authenticated" }, { status: 401 });
@@ -74,13 +71,13 @@ export async function GET() {
 
     if (!user) {
       // Clear the invalid session cookie
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json({ error: "User not found" }, { status: 401 });
     }
 
     if (!user.isActive) {
       // Clear the session cookie for inactive users
-      cookieStore.delete(SESSION_COOKIE);
+      await endSession();
       return NextResponse.json(
         { error: "Account deactivated" },
         { status: 401 },
@@ -1,15 +1,12 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
 import bcrypt from 'bcryptjs';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId, rotateSession, revokeUserSessions } from '@/lib/auth-session';
 
 // PUT - Change password
 export async function PUT(request) {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -64,6 +61,11 @@ export async function PUT(request) {
       data: { password: hashedPassword },
     });
 
+    // Other devices sign in again with the new password; this one continues
+    // on a fresh session.
+    const session = await rotateSession(userId);
+    await revokeUserSessions(userId, { exceptSessionId: session.id });
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Error changing password:', error);
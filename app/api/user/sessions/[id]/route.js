@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSession } from '@/lib/auth-session';
+
+// DELETE - Sign out one of the current user's other devices. The current
+// session ends through /api/auth/logout instead.
+export async function DELETE(request, { params }) {
+  try {
+    const current = await getSession();
+    if (!current) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    if (id === current.id) {
+      return NextResponse.json({ error: 'Use logout to end the current session' }, { status: 400 });
+    }
+
+    const result = await prisma.session.deleteMany({
+      where: { id, userId: current.userId },
+    });
+    if (result.count === 0) {
+      return NextResponse.json({ error: 'Session not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return NextResponse.json({ error: 'Failed to revoke session' }, { status: 500 });
+  }
+}
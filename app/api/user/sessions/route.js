@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSession, revokeUserSessions } from '@/lib/auth-session';
+
+// GET - The current user's signed-in devices, newest activity first
+export async function GET() {
+  try {
+    const current = await getSession();
+    if (!current) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const sessions = await prisma.session.findMany({
+      where: { userId: current.userId, expires: { gt: new Date() } },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expires: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return NextResponse.json({
+      sessions: sessions.map(s => ({ ...s, isCurrent: s.id === current.id })),
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return NextResponse.json({ error: 'Failed to fetch sessions' }, { status: 500 });
+  }
+}
+
+// DELETE - Sign out every other device, keeping the current session
+export async function DELETE() {
+  try {
+    const current = await getSession();
+    if (!current) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const revoked = await revokeUserSessions(current.userId, { exceptSessionId: current.id });
+    return NextResponse.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return NextResponse.json({ error: 'Failed to sign out other devices' }, { status: 500 });
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { isTwoFactorRequired } from '@/lib/two-factor/policy';
+
+// DELETE - Remove a passkey. Refused when an account requires 2FA and it is
+// the user's last second factor.
+export async function DELETE(request, { params }) {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const passkey = await prisma.passkey.findFirst({
+      where: { id, userId },
+      select: { id: true },
+    });
+    if (!passkey) {
+      return NextResponse.json({ error: 'Passkey not found' }, { status: 404 });
+    }
+
+    const [user, passkeyCount] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { totpEnabledAt: true } }),
+      prisma.passkey.count({ where: { userId } }),
+    ]);
+    const isLastFactor = !user?.totpEnabledAt && passkeyCount === 1;
+
+    if (isLastFactor && (await isTwoFactorRequired(userId))) {
+      return NextResponse.json(
+        { error: 'An account you belong to requires two-factor authentication', code: 'twoFactorRequired' },
+        { status: 400 }
+      );
+    }
+
+    await prisma.passkey.delete({ where: { id: passkey.id } });
+    if (isLastFactor) {
+      await prisma.user.update({ where: { id: userId }, data: { recoveryCodes: [] } });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[2FA API] passkey delete error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import {
+  getEnrollingUser,
+  saveRegistrationChallenge,
+  takeRegistrationChallenge,
+  completeSignInChallenge,
+} from '@/lib/two-factor/challenge';
+import {
+  MAX_PASSKEYS_PER_USER,
+  buildRegistrationOptions,
+  registerPasskey,
+  serializePasskey,
+} from '@/lib/two-factor/passkeys';
+import { regenerateRecoveryCodes } from '@/lib/two-factor/recovery-codes';
+
+// GET - WebAuthn registration options for adding a passkey
+export async function GET() {
+  try {
+    const enrolling = await getEnrollingUser();
+    if (!enrolling) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: enrolling.userId },
+      select: { id: true, email: true, firstName: true, lastName: true },
+    });
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const count = await prisma.passkey.count({ where: { userId: user.id } });
+    if (count >= MAX_PASSKEYS_PER_USER) {
+      return NextResponse.json({ error: 'Passkey limit reached', code: 'limitReached' }, { status: 400 });
+    }
+
+    const options = await buildRegistrationOptions(user);
+    await saveRegistrationChallenge(enrolling, options.challenge);
+
+    return NextResponse.json({ options });
+  } catch (error) {
+    console.error('[2FA API] passkey options error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// POST - Verify the browser's registration response and store the passkey.
+// Returns fresh recovery codes when the user had none, and finishes a
+// sign-in that was waiting on this enrollment.
+export async function POST(request) {
+  try {
+    const enrolling = await getEnrollingUser();
+    if (!enrolling) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { response, name } = await request.json();
+    const expectedChallenge = await takeRegistrationChallenge(enrolling);
+    if (!expectedChallenge) {
+      return NextResponse.json({ error: 'Request passkey options first' }, { status: 400 });
+    }
+
+    const passkey = await registerPasskey(enrolling.userId, response, expectedChallenge, name);
+    if (!passkey) {
+      return NextResponse.json({ error: 'Passkey could not be verified', code: 'invalidPasskey' }, { status: 400 });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: enrolling.userId },
+      select: { recoveryCodes: true },
+    });
+    const recoveryCodes = user?.recoveryCodes?.length ? null : await regenerateRecoveryCodes(enrolling.userId);
+    const signIn = enrolling.challenge ? await completeSignInChallenge(enrolling.challenge) : null;
+
+    return NextResponse.json({ passkey: serializePasskey(passkey), recoveryCodes, signIn }, { status: 201 });
+  } catch (error) {
+    console.error('[2FA API] passkey register error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { getSessionUserId } from '@/lib/auth-session';
+import { getTwoFactorState } from '@/lib/two-factor/policy';
+import { regenerateRecoveryCodes } from '@/lib/two-factor/recovery-codes';
+
+// POST - Replace the recovery codes with a new set (the old ones stop working)
+export async function POST() {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const state = await getTwoFactorState(userId);
+    if (!state.enabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is not enabled' }, { status: 400 });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(userId);
+    return NextResponse.json({ recoveryCodes });
+  } catch (error) {
+    console.error('[2FA API] recovery codes error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { getTwoFactorState, isTwoFactorRequired } from '@/lib/two-factor/policy';
+import { serializePasskey } from '@/lib/two-factor/passkeys';
+
+// GET - The signed-in user's second factors (Profile → Security)
+export async function GET() {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const [state, required, passkeys] = await Promise.all([
+      getTwoFactorState(userId),
+      isTwoFactorRequired(userId),
+      prisma.passkey.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+    ]);
+
+    return NextResponse.json({
+      enabled: state.enabled,
+      totp: state.totp,
+      passkeys: passkeys.map(serializePasskey),
+      recoveryCodesRemaining: state.recoveryCodes,
+      required,
+    });
+  } catch (error) {
+    console.error('[2FA API] status error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
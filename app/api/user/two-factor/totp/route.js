@@ -0,0 +1,133 @@
+import { NextResponse } from 'next/server';
+import QRCode from 'qrcode';
+import prisma from '@/lib/prisma';
+import { getSessionUserId } from '@/lib/auth-session';
+import { encryptCredential } from '@/lib/site-keys';
+import { generateTotpSecret, buildTotpUri } from '@/lib/two-factor/totp';
+import { regenerateRecoveryCodes } from '@/lib/two-factor/recovery-codes';
+import { SECOND_FACTOR_USER_SELECT, verifyUserTotp } from '@/lib/two-factor/second-factor';
+import { getEnrollingUser, completeSignInChallenge } from '@/lib/two-factor/challenge';
+import { isTwoFactorRequired } from '@/lib/two-factor/policy';
+
+// POST - Start authenticator-app enrollment: a new secret, its otpauth URI
+// and a QR code. The secret stays pending until confirmed with a code.
+export async function POST() {
+  try {
+    const enrolling = await getEnrollingUser();
+    if (!enrolling) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: enrolling.userId },
+      select: { id: true, email: true, totpEnabledAt: true },
+    });
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+    if (user.totpEnabledAt) {
+      return NextResponse.json({ error: 'Authenticator app is already enabled', code: 'alreadyEnabled' }, { status: 409 });
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: encryptCredential(secret), totpLastStep: null },
+    });
+
+    // Rendered here so the secret never goes to a third-party QR service.
+    const uri = buildTotpUri(secret, user.email);
+    const qrCode = await QRCode.toDataURL(uri, { margin: 1, width: 200 });
+
+    return NextResponse.json({ secret, uri, qrCode });
+  } catch (error) {
+    console.error('[2FA API] TOTP setup error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// PUT - Confirm enrollment with the first code from the app. Returns fresh
+// recovery codes when the user had none, and finishes a sign-in that was
+// waiting on this enrollment.
+export async function PUT(request) {
+  try {
+    const enrolling = await getEnrollingUser();
+    if (!enrolling) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { code } = await request.json();
+    const user = await prisma.user.findUnique({
+      where: { id: enrolling.userId },
+      select: SECOND_FACTOR_USER_SELECT,
+    });
+    if (!user?.totpSecret || user.totpEnabledAt) {
+      return NextResponse.json({ error: 'Start authenticator setup first' }, { status: 400 });
+    }
+
+    if (!(await verifyUserTotp(user, code, { pending: true }))) {
+      return NextResponse.json({ error: 'Invalid code', code: 'invalidCode' }, { status: 400 });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpEnabledAt: new Date() },
+    });
+
+    const recoveryCodes = user.recoveryCodes?.length ? null : await regenerateRecoveryCodes(user.id);
+    const signIn = enrolling.challenge ? await completeSignInChallenge(enrolling.challenge) : null;
+
+    return NextResponse.json({ success: true, recoveryCodes, signIn });
+  } catch (error) {
+    console.error('[2FA API] TOTP confirm error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Turn the authenticator app off. Needs a current code, and is
+// refused when an account requires 2FA and no passkey would remain.
+export async function DELETE(request) {
+  try {
+    const userId = await getSessionUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { code } = await request.json().catch(() => ({}));
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: SECOND_FACTOR_USER_SELECT,
+    });
+    if (!user?.totpEnabledAt) {
+      return NextResponse.json({ error: 'Authenticator app is not enabled' }, { status: 400 });
+    }
+
+    const passkeyCount = await prisma.passkey.count({ where: { userId } });
+    if (passkeyCount === 0 && (await isTwoFactorRequired(userId))) {
+      return NextResponse.json(
+        { error: 'An account you belong to requires two-factor authentication', code: 'twoFactorRequired' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await verifyUserTotp(user, code))) {
+      return NextResponse.json({ error: 'Invalid code', code: 'invalidCode' }, { status: 400 });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        totpSecret: null,
+        totpEnabledAt: null,
+        totpLastStep: null,
+        // Recovery codes back up the second factor - none left, nothing to recover.
+        ...(passkeyCount === 0 && { recoveryCodes: [] }),
+      },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[2FA API] TOTP disable error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
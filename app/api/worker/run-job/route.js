@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { verifyWorkerAuth } from '@/lib/worker-auth';
+import { runJob } from '@/lib/queue/runner';
+
+export const maxDuration = 300;
+
+// ─── Worker Route Handler ────────────────────────────────────────────
+// Runs one durable queue job (lib/queue). Called by the dispatcher with the
+// job id signed in x-worker-content-id and the lease token it claimed.
+export async function POST(request) {
+  // ── Auth ─────────────────────────────────────────────────────────
+  const auth = verifyWorkerAuth(request);
+  if (!auth.valid) {
+    return NextResponse.json({ ok: false, error: auth.error }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { jobId, leaseToken } = body;
+  if (!jobId || !leaseToken) {
+    return NextResponse.json({ ok: false, error: 'Missing jobId or leaseToken' }, { status: 400 });
+  }
+  // The token is only valid for the job it was signed for
+  if (auth.contentId && auth.contentId !== jobId) {
+    return NextResponse.json({ ok: false, error: 'Token does not match job' }, { status: 401 });
+  }
+
+  const result = await runJob(jobId, leaseToken);
+  return NextResponse.json(result, { status: result.reason === 'lease-lost' ? 409 : 200 });
+}
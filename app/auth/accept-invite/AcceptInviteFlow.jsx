@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { Loader2, CheckCircle2, XCircle, Mail, Lock, User, Building2, Shield, Phone } from 'lucide-react';
+import { TwoFactorStep } from '../components';
 import styles from '../auth.module.css';
 
 // RTL languages
@@ -119,7 +120,7 @@ const pageTranslations = {
 
 export function AcceptInviteFlow({ token, translations: fallbackTranslations }) {
   const router = useRouter();
-  const [status, setStatus] = useState('loading'); // loading, valid, invalid, expired, accepted, success, error
+  const [status, setStatus] = useState('loading'); // loading, valid, invalid, expired, accepted, twoFactor, success, error
   const [inviteData, setInviteData] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
@@ -227,7 +228,7 @@ export function AcceptInviteFlow({ token, translations: fallbackTranslations })
         return;
       }
       
-      setStatus('success');
+      setStatus(data.twoFactorRequired ? 'twoFactor' : 'success');
     } catch (err) {
       console.error('Error accepting invite:', err);
       setError('An unexpected error occurred');
@@ -260,7 +261,7 @@ export function AcceptInviteFlow({ token, translations: fallbackTranslations })
         return;
       }
       
-      setStatus('success');
+      setStatus(data.twoFactorRequired ? 'twoFactor' : 'success');
     } catch (err) {
       console.error('Error accepting invite:', err);
       setError('An unexpected error occurred');
@@ -321,6 +322,17 @@ export function AcceptInviteFlow({ token, translations: fallbackTranslations })
     );
   }
 
+  // Invitation accepted; the sign-in waits on 2FA (the user's own, or the
+  // account's policy). Backing out leaves the membership and goes to login.
+  if (status === 'twoFactor') {
+    return (
+      <TwoFactorStep
+        onComplete={() => setStatus('success')}
+        onCancel={() => router.push('/auth/login')}
+      />
+    );
+  }
+
   // Success - invitation accepted
   if (status === 'success') {
     return (
@@ -3,18 +3,43 @@
 import { useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
-import { Loader2 } from 'lucide-react';
+import { Loader2, KeyRound } from 'lucide-react';
 import { ArrowIcon } from '@/app/components/ui/arrow-icon';
 import { useUser } from '@/app/context/user-context';
+import { TwoFactorStep } from './TwoFactorStep';
 import styles from '../auth.module.css';
 
-export function LoginForm({ translations }) {
+// initialTwoFactor: the Google or SSO callback sent the browser here with a
+// pending 2FA challenge (?twoFactor=verify|setup). initialError: a message for
+// the ?error= the callback redirected with.
+export function LoginForm({ translations, initialTwoFactor = false, initialError = '' }) {
   const router = useRouter();
   const { updateUser } = useUser();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError);
+  const [twoFactor, setTwoFactor] = useState(initialTwoFactor);
+  const [ssoMode, setSsoMode] = useState(false);
+
+  const finishLogin = (data) => {
+    if (data.isRegistrationComplete) {
+      // Update both localStorage AND the UserProvider state so the dashboard
+      // layout sees the authenticated user immediately on soft navigation.
+      // Without this, UserProvider's mount-time useEffect (which already ran
+      // on /auth/login with no stored user) leaves user=null, and the
+      // dashboard's auth guard bounces us back to /auth/login.
+      updateUser(data.user);
+    } else {
+      // Mid-registration: session is set by the API; the server resumes them
+      // at the right step when they land on /auth/register.
+      updateUser(null);
+    }
+    localStorage.removeItem('tempRegistration');
+
+    // Redirect based on registration step
+    router.push(data.redirectTo);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -34,22 +59,13 @@ export function LoginForm({ translations }) {
         throw new Error(data.error || translations.loginFailed);
       }
 
-      if (data.isRegistrationComplete) {
-        // Update both localStorage AND the UserProvider state so the dashboard
-        // layout sees the authenticated user immediately on soft navigation.
-        // Without this, UserProvider's mount-time useEffect (which already ran
-        // on /auth/login with no stored user) leaves user=null, and the
-        // dashboard's auth guard bounces us back to /auth/login.
-        updateUser(data.user);
-      } else {
-        // Mid-registration: session is set by the API; the server resumes them
-        // at the right step when they land on /auth/register.
-        updateUser(null);
+      // Password accepted, but the session waits on a second factor.
+      if (data.twoFactorRequired) {
+        setTwoFactor(true);
+        return;
       }
-      localStorage.removeItem('tempRegistration');
 
-      // Redirect based on registration step
-      router.push(data.redirectTo);
+      finishLogin(data);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -57,6 +73,67 @@ export function LoginForm({ translations }) {
     }
   };
 
+  // SSO is routed by email domain; the API redirects to the account's IdP.
+  const handleSsoSubmit = (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    window.location.href = `/api/auth/sso?email=${encodeURIComponent(email.trim())}`;
+  };
+
+  if (twoFactor) {
+    return (
+      <TwoFactorStep
+        onComplete={finishLogin}
+        onCancel={() => {
+          setTwoFactor(false);
+          setPassword('');
+          router.replace('/auth/login');
+        }}
+      />
+    );
+  }
+
+  if (ssoMode) {
+    return (
+      <form onSubmit={handleSsoSubmit} className={styles.authForm}>
+        <p className={styles.authSubtitle}>{translations.ssoSubtitle}</p>
+
+        <div className={styles.formGroup}>
+          <label htmlFor="sso-email" className={styles.formLabel}>
+            {translations.workEmail}
+          </label>
+          <input
+            type="email"
+            id="sso-email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={styles.formInput}
+            placeholder={translations.emailPlaceholder}
+            autoFocus
+            required
+          />
+        </div>
+
+        <button type="submit" className={styles.submitButton} disabled={isLoading}>
+          <span className={styles.buttonContent}>
+            {isLoading ? (
+              <Loader2 size={16} className={styles.spinIcon} />
+            ) : (
+              <>
+                {translations.ssoContinue}
+                <ArrowIcon className={styles.buttonIcon} />
+              </>
+            )}
+          </span>
+        </button>
+
+        <button type="button" className={styles.ssoLink} onClick={() => setSsoMode(false)}>
+          {translations.ssoBack}
+        </button>
+      </form>
+    );
+  }
+
   return (
     <>
       <form onSubmit={handleSubmit} className={styles.authForm}>
@@ -132,6 +209,17 @@ export function LoginForm({ translations }) {
           </svg>
           {translations.google}
         </button>
+        <button
+          type="button"
+          className={styles.socialButton}
+          onClick={() => {
+            setError('');
+            setSsoMode(true);
+          }}
+        >
+          <KeyRound className={styles.socialIcon} />
+          {translations.sso}
+        </button>
       </div>
     </>
   );
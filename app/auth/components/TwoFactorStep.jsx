@@ -0,0 +1,291 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { Loader2, KeyRound, Smartphone, ShieldCheck } from 'lucide-react';
+import { ArrowIcon } from '@/app/components/ui/arrow-icon';
+import { useLocale } from '@/app/context/locale-context';
+import {
+  TotpEnrollment,
+  RecoveryCodesList,
+  enrollPasskey,
+  twoFactorErrorMessage,
+} from '@/app/components/TwoFactorEnrollment';
+import styles from '../auth.module.css';
+
+/**
+ * TwoFactorStep - the second half of a sign-in that /api/auth/login (or the
+ * Google callback, or accept-invite) parked behind a 2FA challenge.
+ *
+ * mode 'verify': answer with an authenticator code, a passkey or a recovery code.
+ * mode 'setup':  an account requires 2FA - enroll an authenticator app or a
+ *                passkey, save the recovery codes, then continue.
+ *
+ * @param {Function} onComplete - called with the sign-in result ({ user, redirectTo, isRegistrationComplete })
+ * @param {Function} onCancel - back to the password form
+ */
+export function TwoFactorStep({ onComplete, onCancel }) {
+  const { t } = useLocale();
+  const [challenge, setChallenge] = useState(null); // { mode, methods, email }
+  const [expired, setExpired] = useState(false);
+  const [method, setMethod] = useState('totp'); // totp | recovery | passkey
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Setup mode
+  const [enrolling, setEnrolling] = useState(null); // null | 'totp'
+  const [enrolled, setEnrolled] = useState(null); // { recoveryCodes, signIn }
+
+  useEffect(() => {
+    fetch('/api/auth/two-factor')
+      .then(res => (res.ok ? res.json() : Promise.reject()))
+      .then(data => {
+        setChallenge(data);
+        if (!data.methods.includes('totp') && data.methods.includes('passkey')) {
+          setMethod('passkey');
+        }
+      })
+      .catch(() => setExpired(true));
+  }, []);
+
+  const handleCancel = async () => {
+    await fetch('/api/auth/two-factor', { method: 'DELETE' }).catch(() => {});
+    onCancel();
+  };
+
+  const handleFailure = (data) => {
+    if (data.code === 'challengeExpired') {
+      setExpired(true);
+    } else if (data.remainingAttempts !== undefined) {
+      setError(t('auth.twoFactor.invalidCode', { count: data.remainingAttempts }));
+    } else {
+      setError(data.error || t('profile.twoFactor.errors.generic'));
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError('');
+    try {
+      const res = await fetch('/api/auth/two-factor', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ method, code }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        handleFailure(data);
+        setCode('');
+        return;
+      }
+      onComplete(data);
+    } catch {
+      setError(t('profile.twoFactor.errors.generic'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handlePasskey = async () => {
+    setIsBusy(true);
+    setError('');
+    try {
+      const optionsRes = await fetch('/api/auth/two-factor/passkey');
+      const optionsData = await optionsRes.json();
+      if (!optionsRes.ok) {
+        handleFailure(optionsData);
+        return;
+      }
+      const response = await startAuthentication({ optionsJSON: optionsData.options });
+      const res = await fetch('/api/auth/two-factor/passkey', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        handleFailure(data);
+        return;
+      }
+      onComplete(data);
+    } catch {
+      setError(t('auth.twoFactor.passkeyFailed'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleEnrolled = (data) => {
+    if (!data.signIn) {
+      setExpired(true);
+    } else if (data.recoveryCodes?.length) {
+      setEnrolled(data);
+    } else {
+      onComplete(data.signIn);
+    }
+  };
+
+  const handleEnrollPasskey = async () => {
+    setIsBusy(true);
+    setError('');
+    try {
+      handleEnrolled(await enrollPasskey());
+    } catch (err) {
+      setError(twoFactorErrorMessage(t, err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const backLink = (
+    <button type="button" className={styles.twoFactorLink} onClick={handleCancel}>
+      {t('auth.twoFactor.back')}
+    </button>
+  );
+
+  if (expired) {
+    return (
+      <div className={styles.twoFactorStep}>
+        <div className={styles.errorMessage}>{t('auth.twoFactor.expired')}</div>
+        {backLink}
+      </div>
+    );
+  }
+
+  if (!challenge) {
+    return (
+      <div className={styles.twoFactorStep}>
+        <Loader2 size={24} className={styles.spinIcon} />
+      </div>
+    );
+  }
+
+  // Setup: an account requires 2FA and the user has none yet.
+  if (challenge.mode === 'setup') {
+    if (enrolled) {
+      return (
+        <div className={styles.twoFactorStep}>
+          <RecoveryCodesList
+            codes={enrolled.recoveryCodes}
+            onDone={() => onComplete(enrolled.signIn)}
+            doneLabel={t('auth.twoFactor.continue')}
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div className={styles.twoFactorStep}>
+        <ShieldCheck size={32} className={styles.twoFactorIcon} />
+        <h2 className={styles.twoFactorTitle}>{t('auth.twoFactor.setupTitle')}</h2>
+        <p className={styles.twoFactorSubtitle}>{t('auth.twoFactor.setupSubtitle')}</p>
+
+        {enrolling === 'totp' ? (
+          <TotpEnrollment onEnabled={handleEnrolled} onCancel={() => setEnrolling(null)} />
+        ) : (
+          <div className={styles.twoFactorMethods}>
+            <button type="button" className={styles.socialButton} onClick={() => setEnrolling('totp')} disabled={isBusy}>
+              <Smartphone size={16} />
+              {t('auth.twoFactor.authenticatorApp')}
+            </button>
+            <button type="button" className={styles.socialButton} onClick={handleEnrollPasskey} disabled={isBusy}>
+              {isBusy ? <Loader2 size={16} className={styles.spinIcon} /> : <KeyRound size={16} />}
+              {t('auth.twoFactor.passkey')}
+            </button>
+          </div>
+        )}
+
+        {error && <div className={styles.errorMessage}>{error}</div>}
+        {backLink}
+      </div>
+    );
+  }
+
+  // Verify: the user has 2FA.
+  const subtitleKey = {
+    totp: 'auth.twoFactor.subtitle',
+    recovery: 'auth.twoFactor.recoverySubtitle',
+    passkey: 'auth.twoFactor.passkeySubtitle',
+  }[method];
+
+  const switchTo = (next) => {
+    setMethod(next);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <div className={styles.twoFactorStep}>
+      <ShieldCheck size={32} className={styles.twoFactorIcon} />
+      <h2 className={styles.twoFactorTitle}>{t('auth.twoFactor.title')}</h2>
+      <p className={styles.twoFactorSubtitle}>{t(subtitleKey)}</p>
+
+      {method === 'passkey' ? (
+        <button type="button" className={styles.submitButton} onClick={handlePasskey} disabled={isBusy}>
+          <span className={styles.buttonContent}>
+            {isBusy ? <Loader2 size={16} className={styles.spinIcon} /> : <KeyRound size={16} />}
+            {t('auth.twoFactor.usePasskey')}
+          </span>
+        </button>
+      ) : (
+        <form onSubmit={handleCodeSubmit} className={styles.authForm}>
+          <div className={styles.formGroup}>
+            <label htmlFor="two-factor-code" className={styles.formLabel}>
+              {method === 'totp' ? t('auth.twoFactor.codeLabel') : t('auth.twoFactor.recoveryLabel')}
+            </label>
+            <input
+              id="two-factor-code"
+              className={styles.formInput}
+              value={code}
+              onChange={(e) => setCode(method === 'totp' ? e.target.value.replace(/\D/g, '').slice(0, 6) : e.target.value)}
+              inputMode={method === 'totp' ? 'numeric' : 'text'}
+              autoComplete="one-time-code"
+              placeholder={method === 'totp' ? '123456' : 'XXXXX-XXXXX'}
+              dir="ltr"
+              autoFocus
+              required
+            />
+          </div>
+          <button type="submit" className={styles.submitButton} disabled={isBusy || !code}>
+            <span className={styles.buttonContent}>
+              {isBusy ? (
+                <>
+                  <Loader2 size={16} className={styles.spinIcon} />
+                  {t('auth.twoFactor.verifying')}
+                </>
+              ) : (
+                <>
+                  {t('auth.twoFactor.verify')}
+                  <ArrowIcon className={styles.buttonIcon} />
+                </>
+              )}
+            </span>
+          </button>
+        </form>
+      )}
+
+      {error && <div className={styles.errorMessage}>{error}</div>}
+
+      <div className={styles.twoFactorLinks}>
+        {method !== 'totp' && challenge.methods.includes('totp') && (
+          <button type="button" className={styles.twoFactorLink} onClick={() => switchTo('totp')}>
+            {t('auth.twoFactor.useAuthenticator')}
+          </button>
+        )}
+        {method !== 'passkey' && challenge.methods.includes('passkey') && (
+          <button type="button" className={styles.twoFactorLink} onClick={() => switchTo('passkey')}>
+            {t('auth.twoFactor.usePasskey')}
+          </button>
+        )}
+        {method !== 'recovery' && challenge.methods.includes('recovery') && (
+          <button type="button" className={styles.twoFactorLink} onClick={() => switchTo('recovery')}>
+            {t('auth.twoFactor.useRecoveryCode')}
+          </button>
+        )}
+        {backLink}
+      </div>
+    </div>
+  );
+}
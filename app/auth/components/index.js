@@ -10,3 +10,4 @@ export { PaymentStep } from './PaymentStep';
 export { PaymentSuccessStep } from './PaymentSuccessStep';
 export { ProgressSteps } from './ProgressSteps';
 export { StepNavigation } from './StepNavigation';
+export { TwoFactorStep } from './TwoFactorStep';
@@ -7,8 +7,24 @@ import styles from '../auth.module.css';
 
 export const generateMetadata = createGenerateMetadata('/auth/login');
 
-export default async function LoginPage() {
+// ?error= codes the SSO routes redirect back with (auth.ssoErrors.*)
+const SSO_ERRORS = [
+  'no_email',
+  'not_configured',
+  'failed',
+  'expired',
+  'domain_mismatch',
+  'email_in_use',
+  'deactivated',
+  'suspended',
+  'no_access',
+  'no_role',
+];
+
+export default async function LoginPage({ searchParams }) {
   const t = await getTranslations();
+  const { twoFactor, error } = await searchParams;
+  const ssoError = typeof error === 'string' && error.startsWith('sso_') ? error.slice(4) : null;
 
   const translations = {
     email: t('auth.email'),
@@ -19,6 +35,11 @@ export default async function LoginPage() {
     connect: t('auth.connect'),
     orContinueWith: t('auth.orContinueWith'),
     google: t('auth.google'),
+    sso: t('auth.sso.button'),
+    ssoSubtitle: t('auth.sso.subtitle'),
+    workEmail: t('auth.sso.workEmail'),
+    ssoContinue: t('auth.sso.continue'),
+    ssoBack: t('auth.sso.back'),
   };
 
   return (
@@ -48,7 +69,11 @@ export default async function LoginPage() {
           </Link>
         </div>
 
-        <LoginForm translations={translations} />
+        <LoginForm
+          translations={translations}
+          initialTwoFactor={twoFactor === 'verify' || twoFactor === 'setup'}
+          initialError={ssoError ? t(`auth.ssoErrors.${SSO_ERRORS.includes(ssoError) ? ssoError : 'failed'}`) : ''}
+        />
 
         <div className={styles.authFooter}>
           {t('auth.noAccount')} <Link href="/auth/register">{t('auth.createOne')}</Link>
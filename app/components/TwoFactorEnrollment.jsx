@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { startRegistration } from '@simplewebauthn/browser';
+import { Loader2, Copy, Check, Download, AlertCircle } from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import styles from './TwoFactorEnrollment.module.css';
+
+/**
+ * Enrolling a second factor - shared by Profile → Security and the 2FA setup
+ * step of login / accept-invite. The /api/user/two-factor routes accept
+ * either a session or a pending SETUP sign-in, so the same calls work in both.
+ */
+
+const ERROR_KEYS = {
+  invalidCode: 'profile.twoFactor.errors.invalidCode',
+  invalidPasskey: 'profile.twoFactor.errors.invalidPasskey',
+  limitReached: 'profile.twoFactor.errors.limitReached',
+  twoFactorRequired: 'profile.twoFactor.errors.twoFactorRequired',
+};
+
+/**
+ * Message for a failed 2FA API call or WebAuthn ceremony.
+ */
+export function twoFactorErrorMessage(t, error) {
+  if (error?.name === 'NotAllowedError' || error?.name === 'AbortError') {
+    return t('profile.twoFactor.passkeys.cancelled');
+  }
+  const key = ERROR_KEYS[error?.code];
+  return key ? t(key) : t('profile.twoFactor.errors.generic');
+}
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(data.error || 'Request failed'), { code: data.code });
+  }
+  return data;
+}
+
+/**
+ * Register a passkey on this device.
+ *
+ * @param {string} [name]
+ * @returns {Promise<{ passkey: Object, recoveryCodes: string[]|null, signIn: Object|null }>}
+ */
+export async function enrollPasskey(name) {
+  const { options } = await requestJson('/api/user/two-factor/passkeys');
+  const response = await startRegistration({ optionsJSON: options });
+  return requestJson('/api/user/two-factor/passkeys', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response, name }),
+  });
+}
+
+/**
+ * TotpEnrollment - QR code and manual key for an authenticator app, then the
+ * first code to confirm it.
+ *
+ * @param {Function} onEnabled - called with { recoveryCodes, signIn }
+ * @param {Function} [onCancel]
+ */
+export function TotpEnrollment({ onEnabled, onCancel }) {
+  const { t } = useLocale();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  // Once per mount - every POST issues a new secret.
+  useEffect(() => {
+    requestJson('/api/user/two-factor/totp', { method: 'POST' })
+      .then(setSetup)
+      .catch(err => setError(twoFactorErrorMessage(t, err)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+    setError('');
+    try {
+      const data = await requestJson('/api/user/two-factor/totp', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code }),
+      });
+      onEnabled(data);
+    } catch (err) {
+      setError(twoFactorErrorMessage(t, err));
+      setCode('');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  if (!setup && !error) {
+    return <div className={styles.loading}><Loader2 size={18} className={styles.spinner} /></div>;
+  }
+
+  return (
+    <form className={styles.enrollment} onSubmit={handleVerify}>
+      {setup && (
+        <>
+          <p className={styles.hint}>{t('profile.twoFactor.setup.scan')}</p>
+          <img src={setup.qrCode} alt={t('profile.twoFactor.setup.qrAlt')} className={styles.qrCode} width={200} height={200} />
+          <p className={styles.hint}>{t('profile.twoFactor.setup.manual')}</p>
+          <code className={styles.secret} dir="ltr">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+
+          <label className={styles.label} htmlFor="totp-setup-code">{t('profile.twoFactor.setup.codeLabel')}</label>
+          <input
+            id="totp-setup-code"
+            className={styles.codeInput}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            dir="ltr"
+            autoFocus
+          />
+        </>
+      )}
+
+      {error && (
+        <div className={styles.error}>
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      <div className={styles.actions}>
+        {onCancel && (
+          <button type="button" className={styles.secondaryButton} onClick={onCancel}>
+            {t('profile.twoFactor.setup.cancel')}
+          </button>
+        )}
+        {setup && (
+          <button type="submit" className={styles.primaryButton} disabled={code.length !== 6 || isVerifying}>
+            {isVerifying && <Loader2 size={14} className={styles.spinner} />}
+            {t('profile.twoFactor.setup.verify')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * RecoveryCodesList - freshly generated recovery codes, shown once, with
+ * copy and download.
+ *
+ * @param {string[]} codes
+ * @param {Function} onDone
+ * @param {string} [doneLabel]
+ */
+export function RecoveryCodesList({ codes, onDone, doneLabel }) {
+  const { t } = useLocale();
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard blocked - the codes are still on screen to copy by hand.
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={styles.recovery}>
+      <h4 className={styles.recoveryTitle}>{t('profile.twoFactor.recoveryCodes.saveTitle')}</h4>
+      <p className={styles.hint}>{t('profile.twoFactor.recoveryCodes.saveDescription')}</p>
+      <ul className={styles.codes} dir="ltr">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className={styles.actions}>
+        <button type="button" className={styles.secondaryButton} onClick={handleCopy}>
+          {copied ? <Check size={14} /> : <Copy size={14} />}
+          {copied ? t('profile.twoFactor.recoveryCodes.copied') : t('profile.twoFactor.recoveryCodes.copy')}
+        </button>
+        <button type="button" className={styles.secondaryButton} onClick={handleDownload}>
+          <Download size={14} />
+          {t('profile.twoFactor.recoveryCodes.download')}
+        </button>
+        <button type="button" className={styles.primaryButton} onClick={onDone}>
+          {doneLabel || t('profile.twoFactor.recoveryCodes.done')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -273,6 +273,9 @@ function collectEntityLookupUrls(type, d, siteUrl) {
     case 'missingH1Tag':
     case 'multipleH1Tags':
     case 'numericSlugSuffix':
+    case 'crawlBudgetWaste':
+    case 'crawlServerErrors':
+    case 'crawlOrphanUrls':
       (d.pages || []).forEach(p => urls.push(p.url)); break;
     case 'trafficDrop':
     case 'decliningPages':
@@ -1761,6 +1764,71 @@ function InsightDetails({ insight, translations, siteId, siteUrl, pluginConnecte
     );
   }
 
+  // Access-log findings - pages with their verified Googlebot hit counts
+  if ((type === 'crawlBudgetWaste' || type === 'crawlServerErrors' || type === 'crawlOrphanUrls') && d.pages?.length > 0) {
+    const reasons = labels.wasteReasons || {};
+    return (
+      <div className={styles.detailSection}>
+        <table className={styles.detailTable}>
+          <thead>
+            <tr>
+              <th>{labels.page || 'Page'}</th>
+              <th>{labels.googlebotHits || 'Googlebot Hits'}</th>
+              {type === 'crawlOrphanUrls'
+                ? <th>{labels.lastCrawled || 'Last Crawled'}</th>
+                : <th>{labels.statusCode || 'Status'}</th>}
+              {type === 'crawlBudgetWaste' && <th>{labels.wasteReason || 'Reason'}</th>}
+              <th>{entityLabel}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {d.pages.map((p, i) => (
+              <tr key={i}>
+                <td className={styles.detailPageTitle}>
+                  <a href={p.url} target="_blank" rel="noopener noreferrer" className={styles.detailLink}>
+                    <bdi dir="ltr">{formatPageUrl(p.url)}</bdi> <ExternalLink size={12} />
+                  </a>
+                </td>
+                <td>{p.hits?.toLocaleString()}</td>
+                {type === 'crawlOrphanUrls'
+                  ? <td>{p.lastCrawled ? getTimeAgo(p.lastCrawled, translations) : '-'}</td>
+                  : <td>{p.status}</td>}
+                {type === 'crawlBudgetWaste' && <td>{reasons[p.reason] || p.reason}</td>}
+                <td><EntityLinkCell entity={entityFor(p.url)} translations={translations} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  // Spoofed crawlers - IPs that claimed a search-engine user-agent but failed DNS verification
+  if (type === 'spoofedCrawlers' && d.ips?.length > 0) {
+    return (
+      <div className={styles.detailSection}>
+        <table className={styles.detailTable}>
+          <thead>
+            <tr>
+              <th>{labels.ipAddress || 'IP Address'}</th>
+              <th>{labels.crawler || 'Claimed Crawler'}</th>
+              <th>{labels.hits || 'Hits'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {d.ips.map((row, i) => (
+              <tr key={i}>
+                <td><bdi dir="ltr">{row.ip}</bdi></td>
+                <td>{row.bot}</td>
+                <td>{row.hits?.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
   return null;
 }
 
@@ -0,0 +1,390 @@
+'use client';
+
+import { useState } from 'react';
+import { Plus, Trash2, Loader2, X } from 'lucide-react';
+import { useTranslation } from '@/app/context/locale-context';
+import { Button } from '@/app/dashboard/components';
+import {
+  AUTOMATION_TRIGGERS,
+  AUTOMATION_TRIGGER_KEYS,
+  AUTOMATION_ACTIONS,
+  AUTOMATION_ACTION_KEYS,
+  CONDITION_OPERATORS,
+  SCHEDULE_FREQUENCIES,
+  MAX_CONDITIONS,
+  MAX_ACTIONS,
+  DEFAULT_MIN_DROP,
+} from '@/lib/automations/catalog';
+import styles from '../page.module.css';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  trigger: 'AUDIT_COMPLETED',
+  triggerConfig: {},
+  conditions: [],
+  actions: [{ type: 'NOTIFY_MEMBERS', config: {} }],
+  cooldownMinutes: 0,
+};
+
+function defaultTriggerConfig(trigger) {
+  switch (trigger) {
+    case 'INSIGHT_CREATED': return { insightTypes: [] };
+    case 'KEYWORD_DROPPED': return { minDrop: DEFAULT_MIN_DROP };
+    case 'SCHEDULE': return { frequency: 'WEEKLY', hour: 9 };
+    default: return {};
+  }
+}
+
+function fromAutomation(automation) {
+  if (!automation) return { ...EMPTY_FORM, triggerConfig: defaultTriggerConfig(EMPTY_FORM.trigger) };
+  return {
+    name: automation.name,
+    description: automation.description || '',
+    trigger: automation.trigger,
+    triggerConfig: automation.triggerConfig || {},
+    conditions: automation.conditions || [],
+    actions: automation.actions || [],
+    cooldownMinutes: automation.cooldownMinutes || 0,
+  };
+}
+
+/**
+ * Create / edit form for one automation: trigger (and its settings), the
+ * conditions every event must meet, the actions to run and the cooldown.
+ * Validation lives in the API; its error codes map to automations.errors.*.
+ *
+ * Props:
+ *   siteId        string
+ *   automation    object|null - the automation being edited, null to create
+ *   webhooks      [{ id, url, description, isActive }]
+ *   insightTypes  string[]
+ *   onSaved       (automation) => void
+ *   onCancel      () => void
+ */
+export function AutomationEditor({ siteId, automation, webhooks = [], insightTypes = [], onSaved, onCancel }) {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(() => fromAutomation(automation));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fields = AUTOMATION_TRIGGERS[form.trigger].fields;
+  const fieldKeys = Object.keys(fields);
+
+  const update = (patch) => setForm(prev => ({ ...prev, ...patch }));
+
+  const setTrigger = (trigger) => update({
+    trigger,
+    triggerConfig: defaultTriggerConfig(trigger),
+    // Conditions test the trigger's event fields, so they don't carry over.
+    conditions: [],
+  });
+
+  const setTriggerConfig = (patch) => update({ triggerConfig: { ...form.triggerConfig, ...patch } });
+
+  const addCondition = () => {
+    const field = fieldKeys[0];
+    update({
+      conditions: [...form.conditions, { field, operator: CONDITION_OPERATORS[fields[field]][0], value: '' }],
+    });
+  };
+
+  const setCondition = (index, patch) => update({
+    conditions: form.conditions.map((c, i) => {
+      if (i !== index) return c;
+      const next = { ...c, ...patch };
+      // Changing the field may change its type; keep the operator valid.
+      if (patch.field && !CONDITION_OPERATORS[fields[patch.field]].includes(next.operator)) {
+        next.operator = CONDITION_OPERATORS[fields[patch.field]][0];
+      }
+      return next;
+    }),
+  });
+
+  const removeCondition = (index) => update({ conditions: form.conditions.filter((_, i) => i !== index) });
+
+  const addAction = () => update({ actions: [...form.actions, { type: 'NOTIFY_MEMBERS', config: {} }] });
+
+  const setAction = (index, patch) => update({
+    actions: form.actions.map((a, i) => i === index ? { ...a, ...patch } : a),
+  });
+
+  const removeAction = (index) => update({ actions: form.actions.filter((_, i) => i !== index) });
+
+  const toggleType = (list = [], type) => list.includes(type) ? list.filter(x => x !== type) : [...list, type];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(automation ? `/api/automations/${automation.id}` : '/api/automations', {
+        method: automation ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(automation ? form : { siteId, ...form }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.code ? t(`automations.errors.${data.code}`) : (data.error || t('automations.errors.generic')));
+      }
+      onSaved(data.automation);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderInsightTypes = (selected = [], onToggle) => (
+    <div className={styles.chips}>
+      {insightTypes.map(type => (
+        <button
+          type="button"
+          key={type}
+          className={`${styles.chip} ${selected.includes(type) ? styles.chipOn : ''}`}
+          onClick={() => onToggle(type)}
+        >
+          {type}
+        </button>
+      ))}
+      <span className={styles.hint}>{t('automations.editor.insightTypesHint')}</span>
+    </div>
+  );
+
+  return (
+    <form className={styles.editor} onSubmit={handleSubmit}>
+      <div className={styles.cardHeader}>
+        <h3 className={styles.cardTitle}>
+          {automation ? t('automations.editor.editTitle') : t('automations.editor.newTitle')}
+        </h3>
+      </div>
+
+      {error && (
+        <div className={styles.error}>
+          <span>{error}</span>
+          <button type="button" onClick={() => setError(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      <div className={styles.editorRow}>
+        <label className={styles.field}>
+          <span className={styles.label}>{t('automations.editor.name')}</span>
+          <input
+            type="text"
+            className={styles.input}
+            placeholder={t('automations.editor.namePlaceholder')}
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+            autoFocus
+          />
+        </label>
+        <label className={styles.field}>
+          <span className={styles.label}>{t('automations.editor.description')}</span>
+          <input
+            type="text"
+            className={styles.input}
+            value={form.description}
+            onChange={(e) => update({ description: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <section className={styles.editorSection}>
+        <span className={styles.sectionLabel}>{t('automations.editor.trigger')}</span>
+        <div className={styles.editorRow}>
+          <select className={styles.input} value={form.trigger} onChange={(e) => setTrigger(e.target.value)}>
+            {AUTOMATION_TRIGGER_KEYS.map(key => (
+              <option key={key} value={key}>{t(`automations.triggers.${key}`)}</option>
+            ))}
+          </select>
+
+          {form.trigger === 'KEYWORD_DROPPED' && (
+            <label className={styles.inlineField}>
+              <span className={styles.label}>{t('automations.editor.minDrop')}</span>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                className={`${styles.input} ${styles.numberInput}`}
+                value={form.triggerConfig.minDrop ?? DEFAULT_MIN_DROP}
+                onChange={(e) => setTriggerConfig({ minDrop: e.target.value })}
+              />
+            </label>
+          )}
+
+          {form.trigger === 'SCHEDULE' && (
+            <>
+              <label className={styles.inlineField}>
+                <span className={styles.label}>{t('automations.editor.frequency')}</span>
+                <select
+                  className={styles.input}
+                  value={form.triggerConfig.frequency || 'WEEKLY'}
+                  onChange={(e) => setTriggerConfig({ frequency: e.target.value })}
+                >
+                  {SCHEDULE_FREQUENCIES.map(f => (
+                    <option key={f} value={f}>{t(`automations.editor.${f === 'DAILY' ? 'daily' : 'weekly'}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.inlineField}>
+                <span className={styles.label}>{t('automations.editor.hour')}</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={23}
+                  className={`${styles.input} ${styles.numberInput}`}
+                  value={form.triggerConfig.hour ?? 9}
+                  onChange={(e) => setTriggerConfig({ hour: e.target.value })}
+                />
+              </label>
+            </>
+          )}
+        </div>
+
+        {form.trigger === 'INSIGHT_CREATED' && (
+          <div className={styles.field}>
+            <span className={styles.label}>{t('automations.editor.insightTypes')}</span>
+            {renderInsightTypes(form.triggerConfig.insightTypes, (type) => setTriggerConfig({
+              insightTypes: toggleType(form.triggerConfig.insightTypes, type),
+            }))}
+          </div>
+        )}
+      </section>
+
+      {fieldKeys.length > 0 && (
+        <section className={styles.editorSection}>
+          <span className={styles.sectionLabel}>{t('automations.editor.conditions')}</span>
+          {form.conditions.length === 0 && <p className={styles.hint}>{t('automations.editor.noConditions')}</p>}
+          {form.conditions.map((condition, index) => (
+            <div key={index} className={styles.editorRow}>
+              <select
+                className={styles.input}
+                value={condition.field}
+                onChange={(e) => setCondition(index, { field: e.target.value })}
+              >
+                {fieldKeys.map(key => <option key={key} value={key}>{t(`automations.fields.${key}`)}</option>)}
+              </select>
+              <select
+                className={styles.input}
+                value={condition.operator}
+                onChange={(e) => setCondition(index, { operator: e.target.value })}
+              >
+                {CONDITION_OPERATORS[fields[condition.field]].map(op => (
+                  <option key={op} value={op}>{t(`automations.operators.${op}`)}</option>
+                ))}
+              </select>
+              <input
+                type={fields[condition.field] === 'number' ? 'number' : 'text'}
+                className={styles.input}
+                placeholder={t('automations.editor.value')}
+                value={condition.value}
+                onChange={(e) => setCondition(index, { value: e.target.value })}
+              />
+              <button type="button" className={styles.iconButton} title={t('automations.editor.remove')} onClick={() => removeCondition(index)}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          {form.conditions.length < MAX_CONDITIONS && (
+            <Button type="button" size="sm" onClick={addCondition}>
+              <Plus size={14} />
+              {t('automations.editor.addCondition')}
+            </Button>
+          )}
+        </section>
+      )}
+
+      <section className={styles.editorSection}>
+        <span className={styles.sectionLabel}>{t('automations.editor.actions')}</span>
+        {form.actions.map((action, index) => (
+          <div key={index} className={styles.actionRow}>
+            <div className={styles.editorRow}>
+              <select
+                className={styles.input}
+                value={action.type}
+                onChange={(e) => setAction(index, { type: e.target.value, config: {} })}
+              >
+                {AUTOMATION_ACTION_KEYS.map(key => (
+                  <option key={key} value={key}>{t(`automations.actionTypes.${key}`)}</option>
+                ))}
+              </select>
+
+              {action.type === 'NOTIFY_MEMBERS' && (
+                <input
+                  type="text"
+                  className={styles.input}
+                  placeholder={t('automations.editor.messagePlaceholder')}
+                  value={action.config?.message || ''}
+                  onChange={(e) => setAction(index, { config: { message: e.target.value } })}
+                />
+              )}
+
+              {action.type === 'CALL_WEBHOOK' && (
+                webhooks.length === 0 ? (
+                  <span className={styles.hint}>{t('automations.editor.noWebhooks')}</span>
+                ) : (
+                  <select
+                    className={styles.input}
+                    value={action.config?.endpointId || ''}
+                    onChange={(e) => setAction(index, { config: { endpointId: e.target.value } })}
+                  >
+                    <option value="">{t('automations.editor.webhook')}</option>
+                    {webhooks.map(w => (
+                      <option key={w.id} value={w.id}>{w.description || w.url}</option>
+                    ))}
+                  </select>
+                )
+              )}
+
+              {form.actions.length > 1 && (
+                <button type="button" className={styles.iconButton} title={t('automations.editor.remove')} onClick={() => removeAction(index)}>
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+
+            {AUTOMATION_ACTIONS[action.type].usesInsights && form.trigger !== 'INSIGHT_CREATED' && (
+              <div className={styles.field}>
+                <span className={styles.label}>{t('automations.editor.insightTypes')}</span>
+                {renderInsightTypes(action.config?.insightTypes, (type) => setAction(index, {
+                  config: { insightTypes: toggleType(action.config?.insightTypes, type) },
+                }))}
+              </div>
+            )}
+          </div>
+        ))}
+        {form.actions.length < MAX_ACTIONS && (
+          <Button type="button" size="sm" onClick={addAction}>
+            <Plus size={14} />
+            {t('automations.editor.addAction')}
+          </Button>
+        )}
+      </section>
+
+      {form.trigger !== 'SCHEDULE' && (
+        <label className={styles.inlineField}>
+          <span className={styles.label}>{t('automations.editor.cooldown')}</span>
+          <input
+            type="number"
+            min={0}
+            max={10080}
+            className={`${styles.input} ${styles.numberInput}`}
+            value={form.cooldownMinutes}
+            onChange={(e) => update({ cooldownMinutes: e.target.value })}
+          />
+          <span className={styles.hint}>{t('automations.editor.cooldownHint')}</span>
+        </label>
+      )}
+
+      <div className={styles.formActions}>
+        <Button type="submit" variant="primary" size="sm" disabled={saving || !form.name.trim()}>
+          {saving && <Loader2 size={14} className={styles.spinner} />}
+          {t('common.save')}
+        </Button>
+        <Button type="button" size="sm" onClick={onCancel}>
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,395 @@
+'use client';
+
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import {
+  Zap, Play, Pencil, Trash2, History, Plus, Loader2, X,
+  ClipboardCheck, Lightbulb, FileText, TrendingDown, Link2, CalendarClock,
+} from 'lucide-react';
+import { useTranslation } from '@/app/context/locale-context';
+import { useSite } from '@/app/context/site-context';
+import { emitCreditsUpdated } from '@/app/context/user-context';
+import { usePermissions } from '@/app/hooks/usePermissions';
+import { Button, StatsGrid } from '@/app/dashboard/components';
+import { AutomationEditor } from './AutomationEditor';
+import styles from '../page.module.css';
+
+const TRIGGER_ICONS = {
+  AUDIT_COMPLETED: { Icon: ClipboardCheck, color: 'green' },
+  INSIGHT_CREATED: { Icon: Lightbulb, color: 'purple' },
+  CONTENT_PUBLISHED: { Icon: FileText, color: 'blue' },
+  KEYWORD_DROPPED: { Icon: TrendingDown, color: 'orange' },
+  BACKLINK_LOST: { Icon: Link2, color: 'orange' },
+  SCHEDULE: { Icon: CalendarClock, color: 'blue' },
+};
+
+const RUN_DOT = {
+  PENDING: 'info',
+  RUNNING: 'info',
+  SUCCEEDED: 'success',
+  PARTIAL: 'warning',
+  FAILED: 'error',
+};
+
+const NEW_AUTOMATION = 'new';
+
+/**
+ * The site's automations: stats, the list (pause / run now / edit / history /
+ * delete), the inline editor and the most recent runs across automations.
+ */
+export function AutomationsContent() {
+  const { t } = useTranslation();
+  const { selectedSite } = useSite();
+  const { canEdit, MODULES } = usePermissions();
+  const canManage = canEdit(MODULES.ENTITIES);
+  const siteId = selectedSite?.id;
+
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [history, setHistory] = useState(null); // { automationId, runs, total, page, pageSize }
+
+  const fetchAutomations = useCallback(async () => {
+    if (!siteId) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const res = await fetch(`/api/automations?siteId=${siteId}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || 'Failed to load automations');
+      setData(json);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [siteId]);
+
+  useEffect(() => {
+    setEditingId(null);
+    setHistory(null);
+    fetchAutomations();
+  }, [fetchAutomations]);
+
+  const fetchHistory = async (automationId, page = 1) => {
+    try {
+      const res = await fetch(`/api/automations/${automationId}/runs?page=${page}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || 'Failed to load run history');
+      setHistory({ automationId, ...json });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleHistory = (automation) => {
+    if (history?.automationId === automation.id) {
+      setHistory(null);
+      return;
+    }
+    fetchHistory(automation.id);
+  };
+
+  const replaceAutomation = (automation) => setData(prev => ({
+    ...prev,
+    automations: prev.automations.map(a => a.id === automation.id ? automation : a),
+  }));
+
+  const handleToggle = async (automation) => {
+    setBusyId(automation.id);
+    try {
+      const res = await fetch(`/api/automations/${automation.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isActive: !automation.isActive }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || 'Failed to update automation');
+      replaceAutomation(json.automation);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRun = async (automation) => {
+    setBusyId(automation.id);
+    setError(null);
+    try {
+      const res = await fetch(`/api/automations/${automation.id}/run`, { method: 'POST' });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || 'Run failed');
+      setNotice(t('automations.runQueued'));
+      emitCreditsUpdated();
+      await fetchAutomations();
+      if (history?.automationId === automation.id) fetchHistory(automation.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (automation) => {
+    if (!confirm(t('automations.confirmDelete', { name: automation.name }))) return;
+    setBusyId(automation.id);
+    try {
+      const res = await fetch(`/api/automations/${automation.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json.error || 'Failed to delete automation');
+      }
+      if (history?.automationId === automation.id) setHistory(null);
+      await fetchAutomations();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaved = async () => {
+    setEditingId(null);
+    await fetchAutomations();
+  };
+
+  const fmtDateTime = (d) => d ? new Date(d).toLocaleString() : '—';
+
+  const runLabel = (run) => {
+    if (run.event?.manual) return t('automations.runs.manual');
+    if (run.event?.scheduledAt) return t('automations.runs.scheduled');
+    return t(`automations.triggers.${run.trigger}`);
+  };
+
+  const renderRun = (run, name) => (
+    <div key={run.id} className={styles.activityItem}>
+      <div className={styles.activityContent}>
+        <span className={`${styles.activityDot} ${styles[RUN_DOT[run.status]]}`} />
+        <span className={styles.activityText}>
+          {name && <strong>{name} · </strong>}
+          {runLabel(run)}
+          {' · '}
+          {t(`automations.status.${run.status}`)}
+          {run.error && <span className={styles.runError}> - {run.error}</span>}
+        </span>
+      </div>
+      <div className={styles.runMeta}>
+        {run.actionResults.map((result, i) => (
+          <span
+            key={i}
+            className={`${styles.runAction} ${styles[`action_${result.status}`]}`}
+            title={result.summary || result.error || ''}
+          >
+            {t(`automations.actionTypes.${result.type}`)}: {t(`automations.status.${result.status}`)}
+          </span>
+        ))}
+        {run.creditsUsed > 0 && <span>{t('automations.credits', { count: run.creditsUsed })}</span>}
+        {run.durationMs != null && <span>{t('automations.runs.duration', { seconds: Math.round(run.durationMs / 1000) })}</span>}
+        <span className={styles.activityTime}>{fmtDateTime(run.createdAt)}</span>
+      </div>
+    </div>
+  );
+
+  if (!siteId) {
+    return <p className={styles.muted}>{t('automations.noSite')}</p>;
+  }
+
+  if (isLoading && !data) {
+    return <div className={styles.muted}><Loader2 size={16} className={styles.spinner} /></div>;
+  }
+
+  const automations = data?.automations || [];
+  const stats = data?.stats || {};
+  const namesById = Object.fromEntries(automations.map(a => [a.id, a.name]));
+  const atLimit = automations.length >= (data?.maxAutomations || Infinity);
+
+  const statsData = [
+    { iconName: 'Zap', value: String(stats.activeAutomations ?? 0), label: t('automations.stats.activeAutomations'), color: 'purple' },
+    { iconName: 'RefreshCw', value: String(stats.runsToday ?? 0), label: t('automations.stats.runsToday'), color: 'blue' },
+    { iconName: 'CheckCircle', value: stats.successRate != null ? `${stats.successRate}%` : '—', label: t('automations.stats.successRate'), color: 'green' },
+    { iconName: 'Sparkles', value: String(stats.creditsUsed ?? 0), label: t('automations.stats.creditsUsed'), color: 'orange' },
+  ];
+
+  return (
+    <>
+      <StatsGrid stats={statsData} columns={4} />
+
+      {error && (
+        <div className={styles.error}>
+          <span>{error}</span>
+          <button type="button" onClick={() => setError(null)}><X size={14} /></button>
+        </div>
+      )}
+      {notice && (
+        <div className={styles.notice}>
+          <span>{notice}</span>
+          <button type="button" onClick={() => setNotice(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      {editingId === NEW_AUTOMATION && (
+        <AutomationEditor
+          siteId={siteId}
+          automation={null}
+          webhooks={data?.webhooks}
+          insightTypes={data?.insightTypes}
+          onSaved={handleSaved}
+          onCancel={() => setEditingId(null)}
+        />
+      )}
+
+      <div className={styles.automationsCard}>
+        <div className={styles.cardHeader}>
+          <h3 className={styles.cardTitle}>{t('automations.yourAutomations')}</h3>
+          {canManage && editingId !== NEW_AUTOMATION && !atLimit && (
+            <Button size="sm" variant="primary" onClick={() => setEditingId(NEW_AUTOMATION)}>
+              <Plus size={14} />
+              {t('automations.createAutomation')}
+            </Button>
+          )}
+        </div>
+
+        {automations.length === 0 ? (
+          <p className={styles.muted}>{t('automations.empty')}</p>
+        ) : (
+          <div className={styles.automationsList}>
+            {automations.map(automation => {
+              const { Icon, color } = TRIGGER_ICONS[automation.trigger] || { Icon: Zap, color: 'purple' };
+              return (
+                <Fragment key={automation.id}>
+                  {editingId === automation.id ? (
+                    <AutomationEditor
+                      siteId={siteId}
+                      automation={automation}
+                      webhooks={data?.webhooks}
+                      insightTypes={data?.insightTypes}
+                      onSaved={handleSaved}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <div className={`${styles.automationItem} ${!automation.isActive ? styles.paused : ''}`}>
+                      <div className={`${styles.automationIcon} ${styles[color]}`}>
+                        <Icon size={18} />
+                      </div>
+                      <div className={styles.automationInfo}>
+                        <span className={styles.automationName}>{automation.name}</span>
+                        <span className={styles.automationDescription}>
+                          {automation.description || t(`automations.triggers.${automation.trigger}`)}
+                          {' → '}
+                          {automation.actions.map(a => t(`automations.actionTypes.${a.type}`)).join(', ')}
+                        </span>
+                      </div>
+                      <div className={styles.automationStats}>
+                        <span className={styles.statItem}>
+                          {t('automations.runCount', { count: automation.runCount })}
+                        </span>
+                        {automation.successRate != null && (
+                          <span className={styles.statItem}>
+                            {t('automations.successRateValue', { rate: automation.successRate })}
+                          </span>
+                        )}
+                        {automation.creditsUsed > 0 && (
+                          <span className={styles.statItem}>
+                            {t('automations.credits', { count: automation.creditsUsed })}
+                          </span>
+                        )}
+                        <span className={styles.statItem}>
+                          {!automation.isActive
+                            ? t('automations.paused')
+                            : automation.trigger === 'SCHEDULE'
+                              ? t('automations.nextRun', { date: fmtDateTime(automation.nextRunAt) })
+                              : automation.lastRunAt
+                                ? t('automations.lastRun', { date: fmtDateTime(automation.lastRunAt) })
+                                : t('automations.neverRun')}
+                        </span>
+                      </div>
+                      <div className={styles.itemActions}>
+                        {busyId === automation.id ? (
+                          <Loader2 size={14} className={styles.spinner} />
+                        ) : (
+                          <>
+                            <button type="button" title={t('automations.history')} onClick={() => toggleHistory(automation)}>
+                              <History size={14} />
+                            </button>
+                            {canManage && (
+                              <>
+                                <button type="button" title={t('automations.runNow')} onClick={() => handleRun(automation)}>
+                                  <Play size={14} />
+                                </button>
+                                <button type="button" title={t('common.edit')} onClick={() => setEditingId(automation.id)}>
+                                  <Pencil size={14} />
+                                </button>
+                                <button type="button" title={t('common.delete')} onClick={() => handleDelete(automation)}>
+                                  <Trash2 size={14} />
+                                </button>
+                                <div
+                                  className={`${styles.toggleSwitch} ${automation.isActive ? styles.active : ''}`}
+                                  title={automation.isActive ? t('automations.pause') : t('automations.resume')}
+                                  onClick={() => handleToggle(automation)}
+                                >
+                                  <span className={styles.toggleKnob} />
+                                </div>
+                              </>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {history?.automationId === automation.id && (
+                    <div className={styles.historyPanel}>
+                      <h4 className={styles.historyTitle}>{t('automations.history')}</h4>
+                      {history.runs.length === 0 ? (
+                        <p className={styles.muted}>{t('automations.runs.empty')}</p>
+                      ) : (
+                        <div className={styles.activityList}>
+                          {history.runs.map(run => renderRun(run))}
+                        </div>
+                      )}
+                      {history.total > history.pageSize && (
+                        <div className={styles.pagination}>
+                          <Button size="sm" disabled={history.page <= 1} onClick={() => fetchHistory(automation.id, history.page - 1)}>
+                            {t('common.previous')}
+                          </Button>
+                          <span className={styles.muted}>
+                            {t('common.pageOf', { current: history.page, total: Math.ceil(history.total / history.pageSize) })}
+                          </span>
+                          <Button
+                            size="sm"
+                            disabled={history.page * history.pageSize >= history.total}
+                            onClick={() => fetchHistory(automation.id, history.page + 1)}
+                          >
+                            {t('common.next')}
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </Fragment>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className={styles.activityCard}>
+        <div className={styles.cardHeader}>
+          <h3 className={styles.cardTitle}>{t('automations.recentRuns')}</h3>
+        </div>
+        {(data?.recentRuns || []).length === 0 ? (
+          <p className={styles.muted}>{t('automations.noRecentRuns')}</p>
+        ) : (
+          <div className={styles.activityList}>
+            {data.recentRuns.map(run => renderRun(run, namesById[run.automationId]))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
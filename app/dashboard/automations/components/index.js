@@ -1 +1,2 @@
-export { AutomationsList } from './AutomationsList';
+export { AutomationsContent } from './AutomationsContent';
+export { AutomationEditor } from './AutomationEditor';
@@ -4,7 +4,7 @@ import { useState, useRef, useEffect, useMemo } from 'react';
 import Link from 'next/link';
 import Image from 'next/image';
 import { usePathname, useRouter } from 'next/navigation';
-import { Bell, LogOut, X, CheckCheck, FileText, AlertCircle, Sparkles, TrendingUp, CreditCard, Plus, Crown, UserCircle, Activity, Mail, MailOpen, Shield, LayoutDashboard, MessageSquare } from 'lucide-react';
+import { Bell, LogOut, X, CheckCheck, FileText, AlertCircle, Sparkles, TrendingUp, CreditCard, Plus, Crown, UserCircle, Activity, Mail, MailOpen, Shield, LayoutDashboard, MessageSquare, Zap } from 'lucide-react';
 import { ThemeToggle } from '@/app/components/ui/theme-toggle';
 import { LanguageSwitcher } from '@/app/components/ui/language-switcher';
 import { HelpButton } from '@/app/dashboard/onboarding/HelpButton';
@@ -60,6 +60,8 @@ const NOTIFICATION_ICONS = {
   support_reply: MessageSquare,
   competitor_discovery_complete: Sparkles,
   competitor_discovery_failed: AlertCircle,
+  automation: Zap,
+  automation_fix_ready: Sparkles,
 };
 
 // Relative time helper
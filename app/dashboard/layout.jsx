@@ -43,7 +43,7 @@ import styles from './dashboard.module.css';
 const menuItemsConfig = [
   { icon: LayoutDashboard, labelKey: 'nav.dashboard', path: '/dashboard' },
   { icon: Bot, labelKey: 'nav.agent', path: '/dashboard/agent' },
-  // { icon: Zap, labelKey: 'nav.automations', path: '/dashboard/automations' },
+  { icon: Zap, labelKey: 'nav.automations', path: '/dashboard/automations' },
   // { icon: Link2, labelKey: 'nav.linkBuilding', path: '/dashboard/link-building' },
   // { icon: Monitor, labelKey: 'nav.seoFrontend', path: '/dashboard/seo-frontend' },
   // { icon: Server, labelKey: 'nav.seoBackend', path: '/dashboard/seo-backend' },
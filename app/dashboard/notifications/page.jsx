@@ -19,6 +19,7 @@ import {
   Mail,
   MailOpen,
   MessageSquare,
+  Zap,
 } from 'lucide-react';
 import { useLocale } from '@/app/context/locale-context';
 import { useNotifications } from '@/app/context/notifications-context';
@@ -36,6 +37,8 @@ const NOTIFICATION_ICONS = {
   support_reply: MessageSquare,
   competitor_discovery_complete: Sparkles,
   competitor_discovery_failed: AlertCircle,
+  automation: Zap,
+  automation_fix_ready: Sparkles,
 };
 
 // Available filter types
@@ -0,0 +1,162 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, Loader2, LogOut, AlertCircle, Check } from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { ConfirmModal } from '@/app/components/ui/ConfirmModal';
+import styles from './ActiveSessionsSection.module.css';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Chrome/', 'Chrome'],
+  ['Firefox/', 'Firefox'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Android', 'Android'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// "Chrome on macOS" from a user agent string - enough to recognize a device.
+function describeUserAgent(ua) {
+  if (!ua) return null;
+  const browser = BROWSERS.find(([token]) => ua.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => ua.includes(token))?.[1];
+  if (browser && platform) return `${browser} · ${platform}`;
+  return browser || platform || null;
+}
+
+function isMobile(ua) {
+  return /iPhone|Android|Mobile/.test(ua || '');
+}
+
+/**
+ * ActiveSessionsSection - the user's signed-in devices (Profile → Security).
+ *
+ * Lists the sessions from /api/user/sessions with their device, IP and last
+ * activity, and signs out a single device or every device but this one.
+ */
+export default function ActiveSessionsSection() {
+  const { t, locale } = useLocale();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await fetch('/api/user/sessions');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setSessions(data.sessions || []);
+    } catch {
+      setMessage({ type: 'error', text: t('profile.sessions.loadError') });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => { fetchSessions(); }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session.id);
+    try {
+      const res = await fetch(`/api/user/sessions/${session.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error();
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch {
+      setMessage({ type: 'error', text: t('profile.sessions.revokeError') });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    const res = await fetch('/api/user/sessions', { method: 'DELETE' });
+    const data = await res.json().catch(() => ({}));
+    setConfirmOpen(false);
+    if (!res.ok) {
+      setMessage({ type: 'error', text: t('profile.sessions.revokeError') });
+      return;
+    }
+    setSessions(prev => prev.filter(s => s.isCurrent));
+    setMessage({ type: 'success', text: t('profile.sessions.signedOutOthers', { count: data.revoked || 0 }) });
+  };
+
+  const fmtDate = (d) => d ? new Date(d).toLocaleString(locale) : '—';
+  const others = sessions.filter(s => !s.isCurrent);
+
+  if (loading) {
+    return <div className={styles.loading}><Loader2 size={18} className={styles.spinner} /></div>;
+  }
+
+  return (
+    <div className={styles.container}>
+      {message.text && (
+        <div className={`${styles.message} ${styles[message.type]}`}>
+          {message.type === 'success' ? <Check size={16} /> : <AlertCircle size={16} />}
+          {message.text}
+        </div>
+      )}
+
+      <ul className={styles.list}>
+        {sessions.map(session => {
+          const Icon = isMobile(session.userAgent) ? Smartphone : Monitor;
+          return (
+            <li key={session.id} className={styles.item}>
+              <Icon size={20} className={styles.icon} />
+              <div className={styles.info}>
+                <span className={styles.device}>
+                  {describeUserAgent(session.userAgent) || t('profile.sessions.unknownDevice')}
+                  {session.isCurrent && <span className={styles.currentBadge}>{t('profile.sessions.current')}</span>}
+                </span>
+                <span className={styles.meta}>
+                  {session.ipAddress && <span dir="ltr">{session.ipAddress}</span>}
+                  <span>{t('profile.sessions.lastActive', { date: fmtDate(session.lastUsedAt || session.createdAt) })}</span>
+                  <span>{t('profile.sessions.signedIn', { date: fmtDate(session.createdAt) })}</span>
+                </span>
+              </div>
+              {!session.isCurrent && (
+                <button
+                  type="button"
+                  className={styles.revokeButton}
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId === session.id}
+                >
+                  {busyId === session.id ? <Loader2 size={14} className={styles.spinner} /> : <LogOut size={14} />}
+                  {t('profile.sessions.signOut')}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {others.length === 0 ? (
+        <p className={styles.empty}>{t('profile.sessions.noOthers')}</p>
+      ) : (
+        <button type="button" className={styles.revokeAllButton} onClick={() => setConfirmOpen(true)}>
+          <LogOut size={16} />
+          {t('profile.sessions.signOutOthers')}
+        </button>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={handleRevokeOthers}
+        title={t('profile.sessions.signOutOthers')}
+        description={t('profile.sessions.confirmSignOutOthers')}
+        confirmLabel={t('profile.sessions.signOut')}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,480 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  History,
+  Download,
+  Check,
+  Loader2,
+  AlertCircle,
+  Search,
+  ChevronLeft,
+  ChevronRight,
+  ChevronDown,
+  ChevronUp,
+} from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import {
+  ACTIVITY_ACTION_KEYS,
+  ACTIVITY_ACTOR_TYPES,
+  ACTIVITY_CATEGORIES,
+  actionsInCategory,
+} from '@/lib/activity-log/actions';
+import styles from './ActivityLogSettings.module.css';
+
+const EMPTY_FILTERS = { category: '', action: '', actor: '', actorType: '', q: '', from: '', to: '' };
+
+const ACTOR_TYPE_COLOR = {
+  USER: 'neutral',
+  SUPPORT: 'warning',
+  SCIM: 'info',
+  SYSTEM: 'info',
+};
+
+function filterParams(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  return params;
+}
+
+/**
+ * ActivityLogSettings - the account's activity audit log (Settings → Account →
+ * Activity log).
+ *
+ * Lists ActivityLog entries from /api/account/activity, newest first, with
+ * filters for category / action, member, actor type, free text and a date
+ * range. Each row expands to its before / after summary. The same filters
+ * apply to the CSV / JSON export, and the retention period is set through
+ * /api/account/activity/retention. Owner only - the tab is not mapped to a
+ * permission module, so members never see it.
+ */
+export default function ActivityLogSettings() {
+  const { t, locale } = useLocale();
+
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(25);
+  const [actors, setActors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [query, setQuery] = useState('');
+
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [retentionOptions, setRetentionOptions] = useState([]);
+  const [retentionSaving, setRetentionSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = filterParams(filters);
+      params.set('page', String(page));
+      const response = await fetch(`/api/account/activity?${params}`);
+      if (!response.ok) throw new Error('load failed');
+      const data = await response.json();
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+      setLimit(data.limit || 25);
+      setActors(data.actors || []);
+      setRetentionDays(data.retentionDays);
+      setRetentionOptions(data.retentionOptions || []);
+      setLoadFailed(false);
+    } catch {
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const formatDate = (value) =>
+    value ? new Date(value).toLocaleString(locale === 'he' ? 'he-IL' : 'en-US') : '-';
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice((current) => (current === message ? null : current)), 4000);
+  };
+
+  const setFilter = (field, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [field]: value,
+      // An action belongs to one category; changing the category resets it.
+      ...(field === 'category' && { action: '' }),
+    }));
+    setPage(1);
+    setExpandedId(null);
+  };
+
+  const applyQuery = (e) => {
+    e.preventDefault();
+    setFilter('q', query.trim());
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setQuery('');
+    setPage(1);
+  };
+
+  const handleRetentionChange = async (value) => {
+    const days = Number(value);
+    setRetentionSaving(true);
+    setActionError(null);
+    try {
+      const response = await fetch('/api/account/activity/retention', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ retentionDays: days }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setActionError(data.error || t('settings.activityLog.errors.retentionFailed'));
+        return;
+      }
+      setRetentionDays(data.retentionDays);
+      flashNotice(t('settings.activityLog.retentionSaved'));
+    } catch {
+      setActionError(t('settings.activityLog.errors.retentionFailed'));
+    } finally {
+      setRetentionSaving(false);
+    }
+  };
+
+  const exportUrl = (format) => {
+    const params = filterParams(filters);
+    params.set('format', format);
+    return `/api/account/activity/export?${params}`;
+  };
+
+  const actionOptions = filters.category
+    ? actionsInCategory(filters.category)
+    : ACTIVITY_ACTION_KEYS;
+  const hasFilters = Object.values(filters).some(Boolean);
+  const pages = Math.max(1, Math.ceil(total / limit));
+
+  return (
+    <div className={styles.container}>
+      {/* Header */}
+      <div className={styles.header}>
+        <div className={styles.headerText}>
+          <h3 className={styles.title}>
+            <History size={18} />
+            {t('settings.activityLog.title')}
+          </h3>
+          <p className={styles.description}>{t('settings.activityLog.description')}</p>
+        </div>
+        <div className={styles.headerActions}>
+          <a className={styles.secondaryButton} href={exportUrl('csv')} download>
+            <Download size={14} />
+            {t('settings.activityLog.exportCsv')}
+          </a>
+          <a className={styles.secondaryButton} href={exportUrl('json')} download>
+            <Download size={14} />
+            {t('settings.activityLog.exportJson')}
+          </a>
+        </div>
+      </div>
+
+      {/* Messages */}
+      {loadFailed && (
+        <div className={styles.errorMessage}>
+          <AlertCircle size={14} />
+          <span>{t('settings.activityLog.errors.loadFailed')}</span>
+        </div>
+      )}
+      {actionError && (
+        <div className={styles.errorMessage}>
+          <AlertCircle size={14} />
+          <span>{actionError}</span>
+        </div>
+      )}
+      {notice && (
+        <div className={styles.successMessage}>
+          <Check size={14} />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className={styles.filters}>
+        <select
+          className={styles.formInput}
+          value={filters.category}
+          onChange={(e) => setFilter('category', e.target.value)}
+          aria-label={t('settings.activityLog.filters.category')}
+        >
+          <option value="">{t('settings.activityLog.filters.allCategories')}</option>
+          {ACTIVITY_CATEGORIES.map((category) => (
+            <option key={category} value={category}>
+              {t(`settings.activityLog.categories.${category}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.formInput}
+          value={filters.action}
+          onChange={(e) => setFilter('action', e.target.value)}
+          aria-label={t('settings.activityLog.filters.action')}
+        >
+          <option value="">{t('settings.activityLog.filters.allActions')}</option>
+          {actionOptions.map((action) => (
+            <option key={action} value={action}>
+              {t(`settings.activityLog.actions.${action}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.formInput}
+          value={filters.actor}
+          onChange={(e) => setFilter('actor', e.target.value)}
+          aria-label={t('settings.activityLog.filters.actor')}
+        >
+          <option value="">{t('settings.activityLog.filters.allMembers')}</option>
+          {actors.map((actor) => (
+            <option key={actor.id} value={actor.id}>
+              {actor.name ? `${actor.name} (${actor.email})` : actor.email}
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.formInput}
+          value={filters.actorType}
+          onChange={(e) => setFilter('actorType', e.target.value)}
+          aria-label={t('settings.activityLog.filters.actorType')}
+        >
+          <option value="">{t('settings.activityLog.filters.allActorTypes')}</option>
+          {ACTIVITY_ACTOR_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {t(`settings.activityLog.actorTypes.${type}`)}
+            </option>
+          ))}
+        </select>
+        <label className={styles.dateField}>
+          <span className={styles.muted}>{t('settings.activityLog.filters.from')}</span>
+          <input
+            type="date"
+            className={styles.formInput}
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => setFilter('from', e.target.value)}
+          />
+        </label>
+        <label className={styles.dateField}>
+          <span className={styles.muted}>{t('settings.activityLog.filters.to')}</span>
+          <input
+            type="date"
+            className={styles.formInput}
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => setFilter('to', e.target.value)}
+          />
+        </label>
+        <form className={styles.searchForm} onSubmit={applyQuery}>
+          <input
+            type="search"
+            className={styles.formInput}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('settings.activityLog.filters.searchPlaceholder')}
+          />
+          <button type="submit" className={styles.iconButton} title={t('settings.activityLog.filters.search')}>
+            <Search size={14} />
+          </button>
+        </form>
+        {hasFilters && (
+          <button type="button" className={styles.linkButton} onClick={clearFilters}>
+            {t('settings.activityLog.filters.clear')}
+          </button>
+        )}
+      </div>
+
+      {/* Entries */}
+      {loading ? (
+        <div className={styles.loadingRow}>
+          <Loader2 size={16} className={styles.spinning} />
+        </div>
+      ) : entries.length === 0 ? (
+        !loadFailed && (
+          <p className={styles.emptyState}>
+            {t(hasFilters ? 'settings.activityLog.noMatches' : 'settings.activityLog.empty')}
+          </p>
+        )
+      ) : (
+        <div className={styles.tableWrap}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>{t('settings.activityLog.columns.time')}</th>
+                <th>{t('settings.activityLog.columns.actor')}</th>
+                <th>{t('settings.activityLog.columns.action')}</th>
+                <th>{t('settings.activityLog.columns.target')}</th>
+                <th>{t('settings.activityLog.columns.ip')}</th>
+                <th aria-hidden="true" />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const expanded = expandedId === entry.id;
+                return (
+                  <EntryRow
+                    key={entry.id}
+                    entry={entry}
+                    expanded={expanded}
+                    onToggle={() => setExpandedId(expanded ? null : entry.id)}
+                    formatDate={formatDate}
+                    t={t}
+                  />
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className={styles.pagination}>
+          <span className={styles.muted}>
+            {t('common.pageOf', { current: page, total: pages })}
+          </span>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page === 1}
+          >
+            <ChevronLeft size={14} />
+          </button>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={() => setPage((p) => Math.min(pages, p + 1))}
+            disabled={page === pages}
+          >
+            <ChevronRight size={14} />
+          </button>
+        </div>
+      )}
+
+      {/* Retention */}
+      {retentionDays != null && (
+        <div className={styles.retention}>
+          <div className={styles.headerText}>
+            <span className={styles.formLabel}>{t('settings.activityLog.retentionLabel')}</span>
+            <p className={styles.fieldNote}>{t('settings.activityLog.retentionHint')}</p>
+          </div>
+          <div className={styles.retentionControl}>
+            {retentionSaving && <Loader2 size={14} className={styles.spinning} />}
+            <select
+              className={styles.formInput}
+              value={retentionDays}
+              onChange={(e) => handleRetentionChange(e.target.value)}
+              disabled={retentionSaving}
+              aria-label={t('settings.activityLog.retentionLabel')}
+            >
+              {retentionOptions.map((days) => (
+                <option key={days} value={days}>
+                  {t('settings.activityLog.retentionDays', { days })}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function EntryRow({ entry, expanded, onToggle, formatDate, t }) {
+  return (
+    <>
+      <tr>
+        <td>{formatDate(entry.createdAt)}</td>
+        <td>
+          <div className={styles.actorCell}>
+            {entry.actorEmail && <span dir="ltr">{entry.actorEmail}</span>}
+            {(entry.actorType !== 'USER' || !entry.actorEmail) && (
+              <span className={`${styles.statusBadge} ${styles[ACTOR_TYPE_COLOR[entry.actorType]]}`}>
+                {t(`settings.activityLog.actorTypes.${entry.actorType}`)}
+              </span>
+            )}
+          </div>
+        </td>
+        <td>
+          <div className={styles.actionCell}>
+            <span>{t(`settings.activityLog.actions.${entry.action}`)}</span>
+            <code className={styles.actionCode} dir="ltr">{entry.action}</code>
+          </div>
+        </td>
+        <td>
+          {entry.targetLabel || entry.targetId ? (
+            <span className={styles.target} title={entry.targetId || undefined}>
+              {entry.targetLabel || entry.targetId}
+            </span>
+          ) : (
+            <span className={styles.muted}>-</span>
+          )}
+        </td>
+        <td dir="ltr">{entry.ipAddress || '-'}</td>
+        <td>
+          <div className={styles.rowActions}>
+            <button
+              type="button"
+              className={styles.iconButton}
+              onClick={onToggle}
+              title={t('settings.activityLog.details')}
+            >
+              {expanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+            </button>
+          </div>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className={styles.detailRow}>
+          <td colSpan={6}>
+            <dl className={styles.detailList}>
+              {entry.targetType && (
+                <>
+                  <dt>{t('settings.activityLog.targetType')}</dt>
+                  <dd dir="ltr">{entry.targetType}{entry.targetId && ` · ${entry.targetId}`}</dd>
+                </>
+              )}
+              {entry.impersonatorUserId && (
+                <>
+                  <dt>{t('settings.activityLog.impersonator')}</dt>
+                  <dd dir="ltr">{entry.impersonatorUserId}</dd>
+                </>
+              )}
+              <dt>{t('settings.activityLog.userAgent')}</dt>
+              <dd dir="ltr">{entry.userAgent || '-'}</dd>
+            </dl>
+            <div className={styles.detailGrid}>
+              <div className={styles.formGroup}>
+                <span className={styles.formLabel}>{t('settings.activityLog.before')}</span>
+                <div className={styles.codeBlock} dir="ltr">
+                  <pre className={styles.codePre}>{entry.before ? JSON.stringify(entry.before, null, 2) : '-'}</pre>
+                </div>
+              </div>
+              <div className={styles.formGroup}>
+                <span className={styles.formLabel}>{t('settings.activityLog.after')}</span>
+                <div className={styles.codeBlock} dir="ltr">
+                  <pre className={styles.codePre}>{entry.after ? JSON.stringify(entry.after, null, 2) : '-'}</pre>
+                </div>
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
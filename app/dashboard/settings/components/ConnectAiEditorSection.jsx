@@ -235,6 +235,23 @@ export default function ConnectAiEditorSection({ highlighted = false } = {}) {
       2,
     );
 
+  // Remote (streamable HTTP) config - clients that speak MCP over HTTP connect
+  // straight to /api/mcp without running the npx bridge.
+  const buildHttpConfigSnippet = (token) =>
+    JSON.stringify(
+      {
+        mcpServers: {
+          'ghostpost-seo': {
+            type: 'http',
+            url: `${API_URL}/api/mcp`,
+            headers: { Authorization: `Bearer ${token}` },
+          },
+        },
+      },
+      null,
+      2,
+    );
+
   const renderCodeBlock = (code, copyKey) => (
     <div className={styles.codeBlock} dir="ltr">
       <pre className={styles.codePre}>{code}</pre>
@@ -514,6 +531,18 @@ export default function ConnectAiEditorSection({ highlighted = false } = {}) {
                   )}
                 </p>
               </div>
+              <div className={styles.formGroup}>
+                <span className={styles.formLabel}>
+                  {tr('settings.aiEditor.httpConfigLabel', 'Remote MCP config (HTTP)')}
+                </span>
+                {renderCodeBlock(buildHttpConfigSnippet(mintedToken), 'httpConfig')}
+                <p className={styles.fieldNote}>
+                  {tr(
+                    'settings.aiEditor.httpConfigHint',
+                    'For clients that connect to remote MCP servers over HTTP - no local install needed.',
+                  )}
+                </p>
+              </div>
             </div>
             <div className={styles.modalFooter}>
               <button
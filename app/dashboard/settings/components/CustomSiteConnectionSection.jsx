@@ -39,6 +39,8 @@ const TRANSPORT_LABELS = {
   MCP: 'MCP',
   GITHUB_APP: 'GitHub App',
   CUSTOM_API: 'Custom API',
+  HEADLESS_CMS: 'Headless CMS',
+  GIT_REPO: 'Git repository',
 };
 
 /**
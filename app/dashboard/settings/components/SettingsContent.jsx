@@ -4,7 +4,7 @@ import { useState, useRef, useEffect, useMemo } from 'react';
 import { createPortal } from 'react-dom';
 import { useRouter, useSearchParams } from 'next/navigation';
 import Image from 'next/image';
-import { Settings, Sparkles, Calendar, Bell, Search, Link, Users, CreditCard, User, UserPlus, Globe, Puzzle, Clock, Timer, Workflow, AlertTriangle, Play, Download, Plus, Edit2, Trash2, Check, Zap, Crown, Shield, Lock, Loader2, Key, X, Send, RefreshCw, Ban, Building2, Package, Mail, Phone, Camera, AlertCircle, Eye, EyeOff, Unlink, Minus, ShoppingCart, ExternalLink, Bot, FileText, TrendingUp, Wrench, LogOut, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, GitCompareArrows, Wallet, Star, Image as ImageIcon, RotateCcw, Upload } from 'lucide-react';
+import { Settings, Sparkles, Calendar, Bell, Search, Link, Users, CreditCard, User, UserPlus, Globe, Puzzle, Clock, Timer, Workflow, AlertTriangle, Play, Download, Plus, Edit2, Trash2, Check, Zap, Crown, Shield, Lock, Loader2, Key, X, Send, RefreshCw, Ban, Building2, Package, Mail, Phone, Camera, AlertCircle, Eye, EyeOff, Unlink, Minus, ShoppingCart, ExternalLink, Bot, FileText, TrendingUp, Wrench, LogOut, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, GitCompareArrows, Wallet, Star, Image as ImageIcon, RotateCcw, Upload, Webhook, KeyRound, History } from 'lucide-react';
 import { useSite } from '@/app/context/site-context';
 import { useLocale } from '@/app/context/locale-context';
 import { useUser } from '@/app/context/user-context';
@@ -16,6 +16,11 @@ import WordPressPluginSection from './WordPressPluginSection';
 import ShopifyConnectionSection from './ShopifyConnectionSection';
 import CustomSiteConnectionSection from './CustomSiteConnectionSection';
 import ConnectAiEditorSection from './ConnectAiEditorSection';
+import WebhooksSettings from './WebhooksSettings';
+import SsoSettings from './SsoSettings';
+import ActivityLogSettings from './ActivityLogSettings';
+import ActiveSessionsSection from './ActiveSessionsSection';
+import TwoFactorSection from './TwoFactorSection';
 import { useCapabilities } from '@/app/hooks/useCapabilities';
 import UpgradePlanModal from '@/app/components/ui/UpgradePlanModal';
 import AddCreditsModal from '@/app/components/ui/AddCreditsModal';
@@ -51,10 +56,13 @@ const iconMap = {
   FileText,
   TrendingUp,
   Wallet,
+  Webhook,
+  KeyRound,
+  History,
 };
 
 // Account-level tab IDs that require special permissions
-const ACCOUNT_TAB_IDS = ['users', 'roles', 'permissions', 'subscription', 'payment-methods', 'credits', 'addons', 'account', 'profile'];
+const ACCOUNT_TAB_IDS = ['users', 'roles', 'permissions', 'subscription', 'payment-methods', 'credits', 'addons', 'webhooks', 'sso', 'activity', 'account', 'profile'];
 
 export default function SettingsContent({ translations, websiteTabs, accountTabs, mainTabs, initialData }) {
   const router = useRouter();
@@ -72,7 +80,7 @@ export default function SettingsContent({ translations, websiteTabs, accountTabs
     if (isOwner) return true;
     
     // Check if user has VIEW permission for any account-related module
-    const accountModules = ['ACCOUNT', 'MEMBERS', 'ROLES', 'SETTINGS_TEAM', 'SETTINGS_ROLES', 'SETTINGS_SUBSCRIPTION'];
+    const accountModules = ['ACCOUNT', 'MEMBERS', 'ROLES', 'SETTINGS_TEAM', 'SETTINGS_ROLES', 'SETTINGS_SUBSCRIPTION', 'SETTINGS_INTEGRATIONS'];
     return accountModules.some(module => checkAccess(module, 'VIEW'));
   }, [isOwner, checkAccess, permissionsLoading]);
   
@@ -357,6 +365,12 @@ export default function SettingsContent({ translations, websiteTabs, accountTabs
         return <AddonsSettings translations={translations} canEdit={canEdit} />;
       case 'profile':
         return <ProfileSettings translations={translations} />;
+      case 'webhooks':
+        return <WebhooksSettings canEdit={canEdit} />;
+      case 'sso':
+        return <SsoSettings />;
+      case 'activity':
+        return <ActivityLogSettings />;
       case 'account':
         return <AccountSettings translations={translations} canEdit={canEdit} isOwner={isOwner} />;
       case 'client-reporting':
@@ -5538,20 +5552,14 @@ function ProfileSettings({ translations }) {
               <div className={styles.profileSection}>
                 <h3 className={styles.profileSectionTitle}>{translate('profile.twoFactor.title')}</h3>
                 <p className={styles.profileSectionDescription}>{translate('profile.twoFactor.description')}</p>
-                
-                <div className={styles.profileTwoFactorStatus}>
-                  <div className={styles.profileTwoFactorIcon}>
-                    <Shield size={24} />
-                  </div>
-                  <div className={styles.profileTwoFactorInfo}>
-                    <span className={styles.profileTwoFactorLabel}>{translate('profile.twoFactor.status')}</span>
-                    <span className={styles.profileTwoFactorValue}>{translate('profile.twoFactor.disabled')}</span>
-                  </div>
-                  <button className={styles.profileEnableTwoFactorButton} disabled>
-                    {translate('profile.twoFactor.enable')}
-                  </button>
-                </div>
-                <p className={styles.profileComingSoon}>{translate('common.comingSoon')}</p>
+                <TwoFactorSection />
+              </div>
+
+              {/* Signed-in Devices Section */}
+              <div className={styles.profileSection}>
+                <h3 className={styles.profileSectionTitle}>{translate('profile.sessions.title')}</h3>
+                <p className={styles.profileSectionDescription}>{translate('profile.sessions.description')}</p>
+                <ActiveSessionsSection />
               </div>
             </div>
           </div>
@@ -6267,6 +6275,9 @@ function AccountSettings({ translations, canEdit = true, isOwner = false }) {
       {/* White-Label Branding Section */}
       <WhiteLabelReportingSettings translations={translations} canEdit={canEdit} />
 
+      {/* Security - require 2FA for every member */}
+      <AccountSecuritySettings />
+
       {/* Danger Zone - only the account owner can archive. */}
       {isOwner && (
         <div className={styles.subsection}>
@@ -6428,6 +6439,93 @@ function AccountSettings({ translations, canEdit = true, isOwner = false }) {
   );
 }
 
+// Account Security Settings Component - the owner's "require 2FA for every
+// member" policy, enforced at sign-in and on accept-invite.
+function AccountSecuritySettings() {
+  const { t } = useLocale();
+  const [security, setSecurity] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetch('/api/account/security')
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => data && setSecurity(data))
+      .catch(error => console.error('Error fetching account security:', error));
+  }, []);
+
+  const toggleRequireTwoFactor = async () => {
+    const requireTwoFactor = !security.requireTwoFactor;
+    try {
+      setIsSaving(true);
+      setSaveMessage({ type: '', text: '' });
+
+      const response = await fetch('/api/account/security', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requireTwoFactor }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSecurity(prev => ({ ...prev, ...data }));
+        setSaveMessage({ type: 'success', text: t('account.security.saved') });
+      } else {
+        setSaveMessage({
+          type: 'error',
+          text: data.code === 'ownerTwoFactorRequired'
+            ? t('account.security.ownerTwoFactorRequired')
+            : t('account.security.saveError'),
+        });
+      }
+    } catch (error) {
+      setSaveMessage({ type: 'error', text: t('account.security.saveError') });
+    } finally {
+      setIsSaving(false);
+      setTimeout(() => setSaveMessage({ type: '', text: '' }), 5000);
+    }
+  };
+
+  if (!security) return null;
+
+  return (
+    <div className={styles.subsection}>
+      <h3 className={styles.subsectionTitle}>
+        <Lock className={styles.subsectionIcon} />
+        {t('account.security.title')}
+      </h3>
+      {saveMessage.text && (
+        <div className={`${styles.saveMessage} ${styles[saveMessage.type]}`}>
+          {saveMessage.type === 'success' ? <Check size={16} /> : <AlertTriangle size={16} />}
+          <span>{saveMessage.text}</span>
+        </div>
+      )}
+      <div className={styles.toggleRow}>
+        <div className={styles.toggleInfo}>
+          <Shield className={styles.toggleIcon} />
+          <div className={styles.toggleContent}>
+            <span className={styles.toggleLabel}>{t('account.security.requireTwoFactor')}</span>
+            <span className={styles.toggleDescription}>
+              {t('account.security.requireTwoFactorDesc')}
+              {security.requireTwoFactor && security.membersWithoutTwoFactor > 0 && (
+                <> {t('account.security.membersWithout', { count: security.membersWithoutTwoFactor })}</>
+              )}
+              {!security.canEdit && <> {t('account.security.ownerOnly')}</>}
+            </span>
+          </div>
+        </div>
+        <button
+          className={`${styles.toggleSwitch} ${security.requireTwoFactor ? styles.active : ''}`}
+          onClick={toggleRequireTwoFactor}
+          disabled={!security.canEdit || isSaving}
+        >
+          <div className={styles.toggleKnob}></div>
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // White-Label Reporting Settings Component (Account-level)
 function WhiteLabelReportingSettings({ translations, canEdit = true }) {
   const { t } = useLocale();
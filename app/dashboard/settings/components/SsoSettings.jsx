@@ -0,0 +1,762 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  KeyRound,
+  Plus,
+  X,
+  Copy,
+  Check,
+  Loader2,
+  AlertCircle,
+  AlertTriangle,
+  Trash2,
+  Users,
+  ShieldCheck,
+} from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { ConfirmModal } from '@/app/components/ui/ConfirmModal';
+import styles from './SsoSettings.module.css';
+
+const EMPTY_FORM = {
+  protocol: 'OIDC',
+  enabled: false,
+  domains: '',
+  jitProvisioning: true,
+  defaultRoleId: '',
+  groupsAttribute: 'groups',
+  roleMappings: [],
+  oidcIssuer: '',
+  oidcClientId: '',
+  oidcClientSecret: '',
+  samlEntryPoint: '',
+  samlIdpEntityId: '',
+  samlCertificate: '',
+};
+
+function toForm(connection) {
+  if (!connection) return EMPTY_FORM;
+  return {
+    protocol: connection.protocol,
+    enabled: connection.enabled,
+    domains: connection.domains.join(', '),
+    jitProvisioning: connection.jitProvisioning,
+    defaultRoleId: connection.defaultRoleId || '',
+    groupsAttribute: connection.groupsAttribute || 'groups',
+    roleMappings: connection.roleMappings,
+    oidcIssuer: connection.oidcIssuer || '',
+    oidcClientId: connection.oidcClientId || '',
+    oidcClientSecret: '',
+    samlEntryPoint: connection.samlEntryPoint || '',
+    samlIdpEntityId: connection.samlIdpEntityId || '',
+    samlCertificate: connection.samlCertificate || '',
+  };
+}
+
+/**
+ * SsoSettings - per-account single sign-on and SCIM provisioning (Settings →
+ * Account → Single sign-on).
+ *
+ * Edits the account's SsoConnection through /api/account/sso: OIDC or SAML
+ * IdP details, the email domains routed to it, just-in-time provisioning and
+ * IdP group → role mappings. A saved domain only routes once its DNS TXT
+ * record is checked through /api/account/sso/verify-domain. The SCIM token is issued and revoked through
+ * /api/account/sso/scim-token and shown exactly once. Only the account owner
+ * can change anything; members with MEMBERS VIEW see a read-only form.
+ */
+export default function SsoSettings() {
+  const { t, locale } = useLocale();
+
+  const [connection, setConnection] = useState(null);
+  const [urls, setUrls] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [canEdit, setCanEdit] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [copiedKey, setCopiedKey] = useState(null);
+  const [verifyingDomain, setVerifyingDomain] = useState(null);
+  const [domainError, setDomainError] = useState(null);
+
+  // SCIM token - the plaintext only ever lives in revealedToken
+  const [tokenBusy, setTokenBusy] = useState(false);
+  const [tokenError, setTokenError] = useState(null);
+  const [revealedToken, setRevealedToken] = useState(null);
+  const [confirmRegenerate, setConfirmRegenerate] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+
+  const fetchConnection = useCallback(async () => {
+    try {
+      const response = await fetch('/api/account/sso');
+      if (!response.ok) throw new Error('load failed');
+      const data = await response.json();
+      setConnection(data.connection);
+      setForm(toForm(data.connection));
+      setUrls(data.urls);
+      setRoles(data.roles || []);
+      setCanEdit(!!data.canEdit);
+      setLoadFailed(false);
+    } catch {
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConnection();
+  }, [fetchConnection]);
+
+  const formatDate = (value) =>
+    value ? new Date(value).toLocaleString(locale === 'he' ? 'he-IL' : 'en-US') : '-';
+
+  // API errors carry a `code` that maps to settings.sso.errors.*
+  const errorMessage = (data, fallbackKey) => {
+    if (!data?.code) return data?.error || t(fallbackKey);
+    return t(`settings.sso.errors.${data.code}`, { domains: (data.domains || []).join(', ') });
+  };
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice((current) => (current === message ? null : current)), 4000);
+  };
+
+  const copyValue = async (key, value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopiedKey(key);
+      setTimeout(() => setCopiedKey((current) => (current === key ? null : current)), 2000);
+    } catch { /* clipboard unavailable */ }
+  };
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  // ── Connection ─────────────────────────────────────────────────
+
+  const updateMapping = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      roleMappings: prev.roleMappings.map((m, i) => (i === index ? { ...m, ...changes } : m)),
+    }));
+  };
+
+  const addMapping = () => {
+    setForm((prev) => ({ ...prev, roleMappings: [...prev.roleMappings, { group: '', roleId: roles[0]?.id || '' }] }));
+  };
+
+  const removeMapping = (index) => {
+    setForm((prev) => ({ ...prev, roleMappings: prev.roleMappings.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setFormError(null);
+    try {
+      const response = await fetch('/api/account/sso', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.sso.errors.saveFailed'));
+
+      setConnection(data.connection);
+      setForm(toForm(data.connection));
+      flashNotice(t('settings.sso.saved'));
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── Domain verification ────────────────────────────────────────
+
+  const handleVerifyDomain = async (domain) => {
+    setVerifyingDomain(domain);
+    setDomainError(null);
+    try {
+      const response = await fetch('/api/account/sso/verify-domain', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ domain }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (data.connection) setConnection(data.connection);
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.sso.errors.verifyFailed'));
+
+      flashNotice(t('settings.sso.domainVerified', { domain }));
+    } catch (error) {
+      setDomainError(error.message);
+    } finally {
+      setVerifyingDomain(null);
+    }
+  };
+
+  // ── SCIM token ─────────────────────────────────────────────────
+
+  const handleGenerateToken = async () => {
+    setTokenBusy(true);
+    setTokenError(null);
+    try {
+      const response = await fetch('/api/account/sso/scim-token', { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.sso.errors.tokenFailed'));
+
+      setConnection((prev) => ({ ...(prev || {}), scimToken: data.scimToken }));
+      setRevealedToken(data.token);
+    } catch (error) {
+      setTokenError(error.message);
+    } finally {
+      setTokenBusy(false);
+      setConfirmRegenerate(false);
+    }
+  };
+
+  const handleRevokeToken = async () => {
+    setTokenBusy(true);
+    setTokenError(null);
+    try {
+      const response = await fetch('/api/account/sso/scim-token', { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.sso.errors.tokenFailed'));
+
+      setConnection((prev) => (prev ? { ...prev, scimToken: null } : prev));
+      flashNotice(t('settings.sso.scim.revoked'));
+    } catch (error) {
+      setTokenError(error.message);
+    } finally {
+      setTokenBusy(false);
+      setConfirmRevoke(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.loadingRow}>
+          <Loader2 size={16} className={styles.spinning} />
+        </div>
+      </div>
+    );
+  }
+
+  const isSaml = form.protocol === 'SAML';
+  const spUrls = urls
+    ? isSaml
+      ? [
+          { key: 'acs', label: t('settings.sso.samlAcsUrl'), value: urls.samlAcsUrl },
+          { key: 'entityId', label: t('settings.sso.samlEntityId'), value: urls.samlEntityId },
+        ]
+      : [{ key: 'redirect', label: t('settings.sso.oidcRedirectUri'), value: urls.oidcRedirectUri }]
+    : [];
+  const scimToken = connection?.scimToken;
+
+  return (
+    <div className={styles.wrapper}>
+      <form className={styles.container} onSubmit={handleSave}>
+        {/* Header */}
+        <div className={styles.header}>
+          <div className={styles.headerText}>
+            <h3 className={styles.title}>
+              <KeyRound size={18} />
+              {t('settings.sso.title')}
+            </h3>
+            <p className={styles.description}>{t('settings.sso.description')}</p>
+          </div>
+          <span className={`${styles.statusBadge} ${connection?.enabled ? styles.success : styles.neutral}`}>
+            {t(connection?.enabled ? 'settings.sso.statusEnabled' : 'settings.sso.statusDisabled')}
+          </span>
+        </div>
+
+        {/* Messages */}
+        {loadFailed && (
+          <div className={styles.errorMessage}>
+            <AlertCircle size={14} />
+            <span>{t('settings.sso.errors.loadFailed')}</span>
+          </div>
+        )}
+        {!canEdit && !loadFailed && (
+          <p className={styles.fieldNote}>{t('settings.sso.ownerOnly')}</p>
+        )}
+
+        <fieldset className={styles.fieldset} disabled={!canEdit || saving}>
+          {/* Identity provider */}
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>{t('settings.sso.idpSection')}</h4>
+
+            <div className={styles.formGroup}>
+              <span className={styles.formLabel}>{t('settings.sso.protocolLabel')}</span>
+              <div className={styles.radioRow}>
+                {['OIDC', 'SAML'].map((protocol) => (
+                  <label key={protocol} className={styles.checkboxOption}>
+                    <input
+                      type="radio"
+                      checked={form.protocol === protocol}
+                      onChange={() => setField('protocol', protocol)}
+                    />
+                    {t(`settings.sso.protocols.${protocol}`)}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {isSaml ? (
+              <>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-saml-entry">
+                    {t('settings.sso.samlEntryPointLabel')}
+                  </label>
+                  <input
+                    id="gp-sso-saml-entry"
+                    type="url"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={form.samlEntryPoint}
+                    onChange={(e) => setField('samlEntryPoint', e.target.value)}
+                    placeholder="https://idp.example.com/app/sso/saml"
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-saml-issuer">
+                    {t('settings.sso.samlIdpEntityIdLabel')}
+                  </label>
+                  <input
+                    id="gp-sso-saml-issuer"
+                    type="text"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={form.samlIdpEntityId}
+                    onChange={(e) => setField('samlIdpEntityId', e.target.value)}
+                    placeholder="http://www.okta.com/exk..."
+                  />
+                  <p className={styles.fieldNote}>{t('settings.sso.samlIdpEntityIdHint')}</p>
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-saml-cert">
+                    {t('settings.sso.samlCertificateLabel')}
+                  </label>
+                  <textarea
+                    id="gp-sso-saml-cert"
+                    dir="ltr"
+                    rows={5}
+                    className={`${styles.formInput} ${styles.codeInput}`}
+                    value={form.samlCertificate}
+                    onChange={(e) => setField('samlCertificate', e.target.value)}
+                    placeholder="-----BEGIN CERTIFICATE-----"
+                  />
+                </div>
+              </>
+            ) : (
+              <>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-oidc-issuer">
+                    {t('settings.sso.oidcIssuerLabel')}
+                  </label>
+                  <input
+                    id="gp-sso-oidc-issuer"
+                    type="url"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={form.oidcIssuer}
+                    onChange={(e) => setField('oidcIssuer', e.target.value)}
+                    placeholder="https://login.example.com"
+                  />
+                  <p className={styles.fieldNote}>{t('settings.sso.oidcIssuerHint')}</p>
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-oidc-client">
+                    {t('settings.sso.oidcClientIdLabel')}
+                  </label>
+                  <input
+                    id="gp-sso-oidc-client"
+                    type="text"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={form.oidcClientId}
+                    onChange={(e) => setField('oidcClientId', e.target.value)}
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-sso-oidc-secret">
+                    {t('settings.sso.oidcClientSecretLabel')}
+                  </label>
+                  <input
+                    id="gp-sso-oidc-secret"
+                    type="password"
+                    dir="ltr"
+                    autoComplete="new-password"
+                    className={styles.formInput}
+                    value={form.oidcClientSecret}
+                    onChange={(e) => setField('oidcClientSecret', e.target.value)}
+                    placeholder={connection?.hasOidcClientSecret ? t('settings.sso.oidcClientSecretSaved') : ''}
+                  />
+                </div>
+              </>
+            )}
+
+            {/* What the IdP admin needs from us */}
+            <div className={styles.spUrls}>
+              <p className={styles.fieldNote}>{t('settings.sso.spUrlsHint')}</p>
+              {spUrls.map((url) => (
+                <div key={url.key} className={styles.copyRow}>
+                  <span className={styles.copyLabel}>{url.label}</span>
+                  <code className={styles.copyValue} dir="ltr">{url.value}</code>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => copyValue(url.key, url.value)}
+                    title={t('settings.sso.copy')}
+                  >
+                    {copiedKey === url.key ? <Check size={14} /> : <Copy size={14} />}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Domains */}
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>{t('settings.sso.domainsSection')}</h4>
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="gp-sso-domains">
+                {t('settings.sso.domainsLabel')}
+              </label>
+              <input
+                id="gp-sso-domains"
+                type="text"
+                dir="ltr"
+                className={styles.formInput}
+                value={form.domains}
+                onChange={(e) => setField('domains', e.target.value)}
+                placeholder="agency.com, agency.co.uk"
+              />
+              <p className={styles.fieldNote}>{t('settings.sso.domainsHint')}</p>
+            </div>
+
+            {/* Saved domains route sign-ins only once verified */}
+            {connection?.domains?.length > 0 && (
+              <div className={styles.spUrls}>
+                <p className={styles.fieldNote}>{t('settings.sso.verifyHint')}</p>
+                {domainError && (
+                  <div className={styles.errorMessage}>
+                    <AlertCircle size={14} />
+                    <span>{domainError}</span>
+                  </div>
+                )}
+                {connection.domains.map((domain) => {
+                  const pending = connection.domainVerification?.find((d) => d.domain === domain);
+                  return (
+                    <div key={domain} className={styles.tokenInfo}>
+                      <div className={styles.tokenRow}>
+                        <code className={styles.copyValue} dir="ltr">{domain}</code>
+                        <span className={`${styles.statusBadge} ${pending ? styles.neutral : styles.success}`}>
+                          {t(pending ? 'settings.sso.domainPending' : 'settings.sso.domainVerifiedBadge')}
+                        </span>
+                        {pending && canEdit && (
+                          <button
+                            type="button"
+                            className={styles.secondaryButton}
+                            onClick={() => handleVerifyDomain(domain)}
+                            disabled={!!verifyingDomain}
+                          >
+                            {verifyingDomain === domain
+                              ? <Loader2 size={14} className={styles.spinning} />
+                              : <ShieldCheck size={14} />}
+                            {t('settings.sso.verifyDomain')}
+                          </button>
+                        )}
+                      </div>
+                      {pending?.name && [
+                        { key: `txt-name-${domain}`, label: t('settings.sso.txtName'), value: pending.name },
+                        { key: `txt-value-${domain}`, label: t('settings.sso.txtValue'), value: pending.value },
+                      ].map((row) => (
+                        <div key={row.key} className={styles.copyRow}>
+                          <span className={styles.copyLabel}>{row.label}</span>
+                          <code className={styles.copyValue} dir="ltr">{row.value}</code>
+                          <button
+                            type="button"
+                            className={styles.iconButton}
+                            onClick={() => copyValue(row.key, row.value)}
+                            title={t('settings.sso.copy')}
+                          >
+                            {copiedKey === row.key ? <Check size={14} /> : <Copy size={14} />}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Provisioning */}
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>{t('settings.sso.provisioningSection')}</h4>
+
+            <label className={styles.checkboxOption}>
+              <input
+                type="checkbox"
+                checked={form.jitProvisioning}
+                onChange={(e) => setField('jitProvisioning', e.target.checked)}
+              />
+              {t('settings.sso.jitLabel')}
+            </label>
+            <p className={styles.fieldNote}>{t('settings.sso.jitHint')}</p>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="gp-sso-default-role">
+                {t('settings.sso.defaultRoleLabel')}
+              </label>
+              <select
+                id="gp-sso-default-role"
+                className={styles.formInput}
+                value={form.defaultRoleId}
+                onChange={(e) => setField('defaultRoleId', e.target.value)}
+              >
+                <option value="">{t('settings.sso.noDefaultRole')}</option>
+                {roles.map((role) => (
+                  <option key={role.id} value={role.id}>{role.name}</option>
+                ))}
+              </select>
+              {roles.length === 0 && <p className={styles.fieldNote}>{t('settings.sso.noRoles')}</p>}
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="gp-sso-groups-attr">
+                {t('settings.sso.groupsAttributeLabel')}
+              </label>
+              <input
+                id="gp-sso-groups-attr"
+                type="text"
+                dir="ltr"
+                className={styles.formInput}
+                value={form.groupsAttribute}
+                onChange={(e) => setField('groupsAttribute', e.target.value)}
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <span className={styles.formLabel}>{t('settings.sso.roleMappingsLabel')}</span>
+              <p className={styles.fieldNote}>{t('settings.sso.roleMappingsHint')}</p>
+              {form.roleMappings.map((mapping, index) => (
+                <div key={index} className={styles.mappingRow}>
+                  <input
+                    type="text"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={mapping.group}
+                    onChange={(e) => updateMapping(index, { group: e.target.value })}
+                    placeholder={t('settings.sso.groupPlaceholder')}
+                    aria-label={t('settings.sso.groupPlaceholder')}
+                  />
+                  <select
+                    className={styles.formInput}
+                    value={mapping.roleId}
+                    onChange={(e) => updateMapping(index, { roleId: e.target.value })}
+                    aria-label={t('settings.sso.defaultRoleLabel')}
+                  >
+                    {roles.map((role) => (
+                      <option key={role.id} value={role.id}>{role.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className={`${styles.iconButton} ${styles.iconButtonDanger}`}
+                    onClick={() => removeMapping(index)}
+                    title={t('settings.sso.removeMapping')}
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              {canEdit && (
+                <button
+                  type="button"
+                  className={styles.secondaryButton}
+                  onClick={addMapping}
+                  disabled={roles.length === 0}
+                >
+                  <Plus size={14} />
+                  {t('settings.sso.addMapping')}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <label className={styles.checkboxOption}>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setField('enabled', e.target.checked)}
+            />
+            {t('settings.sso.enabledLabel')}
+          </label>
+          <p className={styles.fieldNote}>{t('settings.sso.enabledHint')}</p>
+        </fieldset>
+
+        {formError && (
+          <div className={styles.errorMessage}>
+            <AlertCircle size={14} />
+            <span>{formError}</span>
+          </div>
+        )}
+        {notice && (
+          <div className={styles.successMessage}>
+            <Check size={14} />
+            <span>{notice}</span>
+          </div>
+        )}
+
+        {canEdit && (
+          <div className={styles.footer}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? <Loader2 size={14} className={styles.spinning} /> : <Check size={14} />}
+              {t('common.save')}
+            </button>
+          </div>
+        )}
+      </form>
+
+      {/* SCIM provisioning */}
+      <div className={styles.container}>
+        <div className={styles.header}>
+          <div className={styles.headerText}>
+            <h3 className={styles.title}>
+              <Users size={18} />
+              {t('settings.sso.scim.title')}
+            </h3>
+            <p className={styles.description}>{t('settings.sso.scim.description')}</p>
+          </div>
+        </div>
+
+        {urls && (
+          <div className={styles.copyRow}>
+            <span className={styles.copyLabel}>{t('settings.sso.scim.baseUrl')}</span>
+            <code className={styles.copyValue} dir="ltr">{urls.scimBaseUrl}</code>
+            <button
+              type="button"
+              className={styles.iconButton}
+              onClick={() => copyValue('scim', urls.scimBaseUrl)}
+              title={t('settings.sso.copy')}
+            >
+              {copiedKey === 'scim' ? <Check size={14} /> : <Copy size={14} />}
+            </button>
+          </div>
+        )}
+
+        {tokenError && (
+          <div className={styles.errorMessage}>
+            <AlertCircle size={14} />
+            <span>{tokenError}</span>
+          </div>
+        )}
+
+        <div className={styles.tokenRow}>
+          {scimToken ? (
+            <div className={styles.tokenInfo}>
+              <code className={styles.copyValue} dir="ltr">{scimToken.prefix}</code>
+              <span className={styles.muted}>
+                {t('settings.sso.scim.createdAt', { date: formatDate(scimToken.createdAt) })}
+                {' · '}
+                {scimToken.lastUsedAt
+                  ? t('settings.sso.scim.lastUsedAt', { date: formatDate(scimToken.lastUsedAt) })
+                  : t('settings.sso.scim.neverUsed')}
+              </span>
+            </div>
+          ) : (
+            <span className={styles.muted}>{t('settings.sso.scim.noToken')}</span>
+          )}
+          {canEdit && (
+            <div className={styles.rowActions}>
+              <button
+                type="button"
+                className={styles.secondaryButton}
+                onClick={() => (scimToken ? setConfirmRegenerate(true) : handleGenerateToken())}
+                disabled={tokenBusy}
+              >
+                {tokenBusy && !confirmRegenerate ? <Loader2 size={14} className={styles.spinning} /> : <KeyRound size={14} />}
+                {t(scimToken ? 'settings.sso.scim.regenerate' : 'settings.sso.scim.generate')}
+              </button>
+              {scimToken && (
+                <button
+                  type="button"
+                  className={`${styles.iconButton} ${styles.iconButtonDanger}`}
+                  onClick={() => setConfirmRevoke(true)}
+                  disabled={tokenBusy}
+                  title={t('settings.sso.scim.revoke')}
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        <p className={styles.fieldNote}>{t('settings.sso.scim.deprovisionHint')}</p>
+      </div>
+
+      {/* Show-once token - dismissed only via Done so it isn't lost by accident */}
+      {revealedToken && createPortal(
+        <div className={styles.modalOverlay}>
+          <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalHeader}>
+              <h2 className={styles.modalTitle}>{t('settings.sso.scim.tokenTitle')}</h2>
+            </div>
+            <div className={styles.modalBody}>
+              <div className={styles.showOnceWarning}>
+                <AlertTriangle size={16} />
+                <span>{t('settings.sso.scim.tokenWarning')}</span>
+              </div>
+              <div className={styles.codeBlock} dir="ltr">
+                <pre className={styles.codePre}>{revealedToken}</pre>
+                <button
+                  type="button"
+                  className={styles.copyCodeButton}
+                  onClick={() => copyValue('token', revealedToken)}
+                  aria-label={t('settings.sso.copy')}
+                  title={t('settings.sso.copy')}
+                >
+                  {copiedKey === 'token' ? <Check size={14} /> : <Copy size={14} />}
+                </button>
+              </div>
+            </div>
+            <div className={styles.modalFooter}>
+              <button type="button" className={styles.primaryButton} onClick={() => setRevealedToken(null)}>
+                <Check size={14} />
+                {t('settings.sso.scim.done')}
+              </button>
+            </div>
+          </div>
+        </div>,
+        document.body,
+      )}
+
+      <ConfirmModal
+        isOpen={confirmRegenerate}
+        onClose={() => setConfirmRegenerate(false)}
+        onConfirm={handleGenerateToken}
+        title={t('settings.sso.scim.regenerateTitle')}
+        description={t('settings.sso.scim.regenerateConfirm')}
+        confirmLabel={t('settings.sso.scim.regenerate')}
+        variant="primary"
+        isPending={confirmRegenerate && tokenBusy}
+      />
+      <ConfirmModal
+        isOpen={confirmRevoke}
+        onClose={() => setConfirmRevoke(false)}
+        onConfirm={handleRevokeToken}
+        title={t('settings.sso.scim.revokeTitle')}
+        description={t('settings.sso.scim.revokeConfirm')}
+        confirmLabel={t('settings.sso.scim.revoke')}
+        isPending={confirmRevoke && tokenBusy}
+      />
+    </div>
+  );
+}
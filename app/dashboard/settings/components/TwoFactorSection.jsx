@@ -0,0 +1,316 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { Shield, Smartphone, KeyRound, LifeBuoy, Loader2, Trash2, Plus, AlertCircle, Check } from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { ConfirmModal } from '@/app/components/ui/ConfirmModal';
+import {
+  TotpEnrollment,
+  RecoveryCodesList,
+  enrollPasskey,
+  twoFactorErrorMessage,
+} from '@/app/components/TwoFactorEnrollment';
+import styles from './TwoFactorSection.module.css';
+
+/**
+ * TwoFactorSection - authenticator app, passkeys and recovery codes
+ * (Profile → Security), backed by /api/user/two-factor.
+ */
+export default function TwoFactorSection() {
+  const { t, locale } = useLocale();
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [busy, setBusy] = useState(null); // 'passkey' | 'totpOff' | passkey id
+
+  const [settingUpTotp, setSettingUpTotp] = useState(false);
+  const [turningOffTotp, setTurningOffTotp] = useState(false);
+  const [offCode, setOffCode] = useState('');
+  const [passkeyName, setPasskeyName] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [confirm, setConfirm] = useState(null); // { type: 'passkey', passkey } | { type: 'codes' }
+  const [supportsPasskeys, setSupportsPasskeys] = useState(true);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await fetch('/api/user/two-factor');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setStatus(data);
+    } catch {
+      setMessage({ type: 'error', text: t('profile.twoFactor.errors.loadError') });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => { fetchStatus(); }, [fetchStatus]);
+  useEffect(() => { setSupportsPasskeys(browserSupportsWebAuthn()); }, []);
+
+  const showError = (err) => setMessage({ type: 'error', text: twoFactorErrorMessage(t, err) });
+
+  const handleTotpEnabled = (data) => {
+    setSettingUpTotp(false);
+    if (data.recoveryCodes?.length) setNewCodes(data.recoveryCodes);
+    setMessage({ type: 'success', text: t('profile.twoFactor.totp.enabledMessage') });
+    fetchStatus();
+  };
+
+  const handleTotpOff = async (e) => {
+    e.preventDefault();
+    setBusy('totpOff');
+    try {
+      const res = await fetch('/api/user/two-factor/totp', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: offCode }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw Object.assign(new Error(data.error), { code: data.code });
+      setTurningOffTotp(false);
+      setMessage({ type: 'success', text: t('profile.twoFactor.totp.disabledMessage') });
+      fetchStatus();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setOffCode('');
+      setBusy(null);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    setBusy('passkey');
+    setMessage({ type: '', text: '' });
+    try {
+      const data = await enrollPasskey(passkeyName);
+      if (data.recoveryCodes?.length) setNewCodes(data.recoveryCodes);
+      setPasskeyName('');
+      setMessage({ type: 'success', text: t('profile.twoFactor.passkeys.added') });
+      fetchStatus();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemovePasskey = async (passkey) => {
+    setConfirm(null);
+    setBusy(passkey.id);
+    try {
+      const res = await fetch(`/api/user/two-factor/passkeys/${passkey.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw Object.assign(new Error(data.error), { code: data.code });
+      setMessage({ type: 'success', text: t('profile.twoFactor.passkeys.removed') });
+      fetchStatus();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRegenerateCodes = async () => {
+    setConfirm(null);
+    try {
+      const res = await fetch('/api/user/two-factor/recovery-codes', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setNewCodes(data.recoveryCodes);
+      fetchStatus();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const fmtDate = (d) => new Date(d).toLocaleDateString(locale);
+
+  if (loading) {
+    return <div className={styles.loading}><Loader2 size={18} className={styles.spinner} /></div>;
+  }
+  if (!status) {
+    return message.text ? <div className={`${styles.message} ${styles.error}`}>{message.text}</div> : null;
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.status}>
+        <Shield size={20} className={status.enabled ? styles.statusIconOn : styles.statusIcon} />
+        <span className={styles.statusLabel}>{t('profile.twoFactor.status')}</span>
+        <span className={status.enabled ? styles.badgeOn : styles.badgeOff}>
+          {status.enabled ? t('profile.twoFactor.enabled') : t('profile.twoFactor.disabled')}
+        </span>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className={`${styles.message} ${styles.warning}`}>
+          <AlertCircle size={16} />
+          {t('profile.twoFactor.required')}
+        </div>
+      )}
+
+      {message.text && (
+        <div className={`${styles.message} ${styles[message.type]}`}>
+          {message.type === 'success' ? <Check size={16} /> : <AlertCircle size={16} />}
+          {message.text}
+        </div>
+      )}
+
+      {newCodes && (
+        <div className={styles.method}>
+          <RecoveryCodesList codes={newCodes} onDone={() => setNewCodes(null)} />
+        </div>
+      )}
+
+      {/* Authenticator app */}
+      <div className={styles.method}>
+        <div className={styles.methodHeader}>
+          <Smartphone size={20} className={styles.methodIcon} />
+          <div className={styles.methodInfo}>
+            <span className={styles.methodTitle}>{t('profile.twoFactor.totp.title')}</span>
+            <span className={styles.methodDescription}>{t('profile.twoFactor.totp.description')}</span>
+          </div>
+          {status.totp ? (
+            !turningOffTotp && (
+              <button type="button" className={styles.dangerButton} onClick={() => setTurningOffTotp(true)}>
+                {t('profile.twoFactor.totp.turnOff')}
+              </button>
+            )
+          ) : (
+            !settingUpTotp && (
+              <button type="button" className={styles.button} onClick={() => setSettingUpTotp(true)}>
+                {t('profile.twoFactor.totp.setUp')}
+              </button>
+            )
+          )}
+        </div>
+
+        {settingUpTotp && (
+          <TotpEnrollment onEnabled={handleTotpEnabled} onCancel={() => setSettingUpTotp(false)} />
+        )}
+
+        {turningOffTotp && (
+          <form className={styles.inlineForm} onSubmit={handleTotpOff}>
+            <span className={styles.methodDescription}>{t('profile.twoFactor.totp.turnOffPrompt')}</span>
+            <div className={styles.inlineRow}>
+              <input
+                className={styles.input}
+                value={offCode}
+                onChange={(e) => setOffCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                dir="ltr"
+                autoFocus
+              />
+              <button type="submit" className={styles.dangerButton} disabled={offCode.length !== 6 || busy === 'totpOff'}>
+                {busy === 'totpOff' && <Loader2 size={14} className={styles.spinner} />}
+                {t('profile.twoFactor.totp.turnOff')}
+              </button>
+              <button type="button" className={styles.button} onClick={() => setTurningOffTotp(false)}>
+                {t('profile.twoFactor.setup.cancel')}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Passkeys */}
+      <div className={styles.method}>
+        <div className={styles.methodHeader}>
+          <KeyRound size={20} className={styles.methodIcon} />
+          <div className={styles.methodInfo}>
+            <span className={styles.methodTitle}>{t('profile.twoFactor.passkeys.title')}</span>
+            <span className={styles.methodDescription}>{t('profile.twoFactor.passkeys.description')}</span>
+          </div>
+        </div>
+
+        {status.passkeys.length === 0 ? (
+          <p className={styles.empty}>{t('profile.twoFactor.passkeys.empty')}</p>
+        ) : (
+          <ul className={styles.list}>
+            {status.passkeys.map(passkey => (
+              <li key={passkey.id} className={styles.item}>
+                <div className={styles.methodInfo}>
+                  <span className={styles.itemName}>
+                    {passkey.name || t('profile.twoFactor.passkeys.unnamed')}
+                    {passkey.backedUp && <span className={styles.tag}>{t('profile.twoFactor.passkeys.synced')}</span>}
+                  </span>
+                  <span className={styles.itemMeta}>
+                    {t('profile.twoFactor.passkeys.createdAt', { date: fmtDate(passkey.createdAt) })}
+                    {passkey.lastUsedAt && ` · ${t('profile.twoFactor.passkeys.lastUsed', { date: fmtDate(passkey.lastUsedAt) })}`}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className={styles.iconButton}
+                  onClick={() => setConfirm({ type: 'passkey', passkey })}
+                  disabled={busy === passkey.id}
+                  aria-label={t('profile.twoFactor.passkeys.remove')}
+                >
+                  {busy === passkey.id ? <Loader2 size={14} className={styles.spinner} /> : <Trash2 size={14} />}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {supportsPasskeys ? (
+          <div className={styles.inlineRow}>
+            <input
+              className={styles.input}
+              value={passkeyName}
+              onChange={(e) => setPasskeyName(e.target.value.slice(0, 50))}
+              placeholder={t('profile.twoFactor.passkeys.namePlaceholder')}
+              aria-label={t('profile.twoFactor.passkeys.nameLabel')}
+            />
+            <button type="button" className={styles.button} onClick={handleAddPasskey} disabled={busy === 'passkey'}>
+              {busy === 'passkey' ? <Loader2 size={14} className={styles.spinner} /> : <Plus size={14} />}
+              {t('profile.twoFactor.passkeys.add')}
+            </button>
+          </div>
+        ) : (
+          <p className={styles.empty}>{t('profile.twoFactor.passkeys.unsupported')}</p>
+        )}
+      </div>
+
+      {/* Recovery codes */}
+      {status.enabled && (
+        <div className={styles.method}>
+          <div className={styles.methodHeader}>
+            <LifeBuoy size={20} className={styles.methodIcon} />
+            <div className={styles.methodInfo}>
+              <span className={styles.methodTitle}>{t('profile.twoFactor.recoveryCodes.title')}</span>
+              <span className={styles.methodDescription}>{t('profile.twoFactor.recoveryCodes.description')}</span>
+              <span className={styles.itemMeta}>
+                {t('profile.twoFactor.recoveryCodes.remaining', { count: status.recoveryCodesRemaining })}
+              </span>
+            </div>
+            <button type="button" className={styles.button} onClick={() => setConfirm({ type: 'codes' })}>
+              {t('profile.twoFactor.recoveryCodes.regenerate')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirm?.type === 'passkey'}
+        onClose={() => setConfirm(null)}
+        onConfirm={() => handleRemovePasskey(confirm.passkey)}
+        title={t('profile.twoFactor.passkeys.remove')}
+        description={t('profile.twoFactor.passkeys.confirmRemove')}
+        confirmLabel={t('profile.twoFactor.passkeys.remove')}
+      />
+      <ConfirmModal
+        isOpen={confirm?.type === 'codes'}
+        onClose={() => setConfirm(null)}
+        onConfirm={handleRegenerateCodes}
+        title={t('profile.twoFactor.recoveryCodes.regenerate')}
+        description={t('profile.twoFactor.recoveryCodes.confirmRegenerate')}
+        confirmLabel={t('profile.twoFactor.recoveryCodes.regenerate')}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,825 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  Webhook,
+  Plus,
+  X,
+  Copy,
+  Check,
+  Loader2,
+  AlertCircle,
+  AlertTriangle,
+  Send,
+  Edit2,
+  Trash2,
+  KeyRound,
+  List,
+  RotateCcw,
+  ChevronLeft,
+  ChevronRight,
+  ChevronDown,
+  ChevronUp,
+} from 'lucide-react';
+import { useLocale } from '@/app/context/locale-context';
+import { ConfirmModal } from '@/app/components/ui/ConfirmModal';
+import styles from './WebhooksSettings.module.css';
+
+const EMPTY_FORM = { url: '', description: '', events: [], allSites: true, siteIds: [], isActive: true };
+
+const DELIVERY_STATUS_COLOR = {
+  SUCCEEDED: 'success',
+  FAILED: 'error',
+  PENDING: 'neutral',
+};
+
+/**
+ * WebhooksSettings - account-level outbound webhooks (Settings → Account →
+ * Webhooks).
+ *
+ * Manages WebhookEndpoints through /api/settings/webhooks: create / edit
+ * (events + optional site filter), enable / disable, rotate the signing
+ * secret, send a test event and delete. The signing secret is shown exactly
+ * once, after create or rotate. Each endpoint has a delivery log with the
+ * request payload, the receiver's response and a Redeliver action.
+ *
+ * @param {Object} props
+ * @param {boolean} props.canEdit - SETTINGS_INTEGRATIONS EDIT permission
+ */
+export default function WebhooksSettings({ canEdit = true }) {
+  const { t, locale } = useLocale();
+
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  // Create / edit modal
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  // Show-once secret - only ever lives in this state
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [rotateTarget, setRotateTarget] = useState(null);
+
+  // Delivery log
+  const [logEndpointId, setLogEndpointId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryTotal, setDeliveryTotal] = useState(0);
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryLimit, setDeliveryLimit] = useState(20);
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+  const [expandedDeliveryId, setExpandedDeliveryId] = useState(null);
+
+  const fetchEndpoints = useCallback(async () => {
+    try {
+      const response = await fetch('/api/settings/webhooks');
+      if (!response.ok) throw new Error('load failed');
+      const data = await response.json();
+      setEndpoints(data.endpoints || []);
+      setEvents(data.events || []);
+      setSites(data.sites || []);
+      setLoadFailed(false);
+    } catch {
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    if (!logEndpointId) return;
+    setDeliveriesLoading(true);
+    try {
+      const response = await fetch(`/api/settings/webhooks/${logEndpointId}/deliveries?page=${deliveryPage}`);
+      if (!response.ok) throw new Error('load failed');
+      const data = await response.json();
+      setDeliveries(data.deliveries || []);
+      setDeliveryTotal(data.total || 0);
+      setDeliveryLimit(data.limit || 20);
+    } catch {
+      setDeliveries([]);
+      setDeliveryTotal(0);
+    } finally {
+      setDeliveriesLoading(false);
+    }
+  }, [logEndpointId, deliveryPage]);
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, [fetchEndpoints]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const formatDate = (value) =>
+    value ? new Date(value).toLocaleString(locale === 'he' ? 'he-IL' : 'en-US') : '-';
+
+  const eventLabel = (key) => t(`settings.webhooks.events.${key.replace('.', '_')}`);
+
+  const siteName = (id) => {
+    const site = sites.find((s) => s.id === id);
+    return site ? site.name || site.url : id;
+  };
+
+  // API errors carry a `code` that maps to settings.webhooks.errors.*
+  const errorMessage = (data, fallbackKey) =>
+    data?.code ? t(`settings.webhooks.errors.${data.code}`) : data?.error || t(fallbackKey);
+
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice((current) => (current === message ? null : current)), 4000);
+  };
+
+  // ── Create / edit ──────────────────────────────────────────────
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setFormError(null);
+    setFormOpen(true);
+  };
+
+  const openEdit = (endpoint) => {
+    setEditing(endpoint);
+    setForm({
+      url: endpoint.url,
+      description: endpoint.description || '',
+      events: endpoint.events,
+      allSites: endpoint.siteIds.length === 0,
+      siteIds: endpoint.siteIds,
+      isActive: endpoint.isActive,
+    });
+    setFormError(null);
+    setFormOpen(true);
+  };
+
+  const toggleInList = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value) ? prev[field].filter((v) => v !== value) : [...prev[field], value],
+    }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (form.events.length === 0) {
+      setFormError(t('settings.webhooks.errors.invalidEvents'));
+      return;
+    }
+    if (!form.allSites && form.siteIds.length === 0) {
+      setFormError(t('settings.webhooks.errors.sitesRequired'));
+      return;
+    }
+
+    setSaving(true);
+    setFormError(null);
+    try {
+      const payload = {
+        url: form.url.trim(),
+        description: form.description,
+        events: form.events,
+        siteIds: form.allSites ? [] : form.siteIds,
+        isActive: form.isActive,
+      };
+      const response = await fetch(
+        editing ? `/api/settings/webhooks/${editing.id}` : '/api/settings/webhooks',
+        {
+          method: editing ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+        },
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.webhooks.errors.saveFailed'));
+
+      setFormOpen(false);
+      if (data.secret) {
+        setCopied(false);
+        setRevealedSecret(data.secret);
+      }
+      fetchEndpoints();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── Row actions ────────────────────────────────────────────────
+
+  const runAction = async (endpointId, request, successNotice) => {
+    setBusyId(endpointId);
+    setActionError(null);
+    try {
+      const response = await request();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(errorMessage(data, 'settings.webhooks.errors.actionFailed'));
+      if (successNotice) flashNotice(successNotice);
+      return data;
+    } catch (error) {
+      setActionError(error.message);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    const data = await runAction(endpoint.id, () => fetch(`/api/settings/webhooks/${endpoint.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isActive: !endpoint.isActive }),
+    }));
+    if (data) fetchEndpoints();
+  };
+
+  const handleTest = async (endpoint) => {
+    const data = await runAction(
+      endpoint.id,
+      () => fetch(`/api/settings/webhooks/${endpoint.id}/test`, { method: 'POST' }),
+      t('settings.webhooks.testQueued'),
+    );
+    if (data && logEndpointId === endpoint.id) fetchDeliveries();
+  };
+
+  const handleRotate = async () => {
+    const endpoint = rotateTarget;
+    const data = await runAction(endpoint.id, () => fetch(`/api/settings/webhooks/${endpoint.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rotateSecret: true }),
+    }));
+    setRotateTarget(null);
+    if (data?.secret) {
+      setCopied(false);
+      setRevealedSecret(data.secret);
+    }
+  };
+
+  const handleDelete = async () => {
+    const endpoint = deleteTarget;
+    const data = await runAction(endpoint.id, () => fetch(`/api/settings/webhooks/${endpoint.id}`, { method: 'DELETE' }));
+    setDeleteTarget(null);
+    if (data) {
+      if (logEndpointId === endpoint.id) setLogEndpointId(null);
+      fetchEndpoints();
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    const data = await runAction(
+      delivery.id,
+      () => fetch(`/api/settings/webhooks/${logEndpointId}/deliveries/${delivery.id}/redeliver`, { method: 'POST' }),
+      t('settings.webhooks.redeliverQueued'),
+    );
+    if (data) {
+      setDeliveryPage(1);
+      fetchDeliveries();
+    }
+  };
+
+  const openLog = (endpoint) => {
+    setExpandedDeliveryId(null);
+    setDeliveryPage(1);
+    setLogEndpointId((current) => (current === endpoint.id ? null : endpoint.id));
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret);
+      setCopied(true);
+    } catch { /* clipboard unavailable */ }
+  };
+
+  const logEndpoint = endpoints.find((e) => e.id === logEndpointId);
+  const deliveryPages = Math.max(1, Math.ceil(deliveryTotal / deliveryLimit));
+
+  return (
+    <div className={styles.container}>
+      {/* Header */}
+      <div className={styles.header}>
+        <div className={styles.headerText}>
+          <h3 className={styles.title}>
+            <Webhook size={18} />
+            {t('settings.webhooks.title')}
+          </h3>
+          <p className={styles.description}>{t('settings.webhooks.description')}</p>
+        </div>
+        {canEdit && (
+          <button type="button" className={styles.primaryButton} onClick={openCreate}>
+            <Plus size={14} />
+            {t('settings.webhooks.addEndpoint')}
+          </button>
+        )}
+      </div>
+
+      {/* Messages */}
+      {loadFailed && (
+        <div className={styles.errorMessage}>
+          <AlertCircle size={14} />
+          <span>{t('settings.webhooks.errors.loadFailed')}</span>
+        </div>
+      )}
+      {actionError && (
+        <div className={styles.errorMessage}>
+          <AlertCircle size={14} />
+          <span>{actionError}</span>
+        </div>
+      )}
+      {notice && (
+        <div className={styles.successMessage}>
+          <Check size={14} />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      {/* Endpoint table */}
+      {loading ? (
+        <div className={styles.loadingRow}>
+          <Loader2 size={16} className={styles.spinning} />
+        </div>
+      ) : endpoints.length === 0 ? (
+        !loadFailed && <p className={styles.emptyState}>{t('settings.webhooks.noEndpoints')}</p>
+      ) : (
+        <div className={styles.tableWrap}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>{t('settings.webhooks.columns.endpoint')}</th>
+                <th>{t('settings.webhooks.columns.events')}</th>
+                <th>{t('settings.webhooks.columns.sites')}</th>
+                <th>{t('settings.webhooks.columns.status')}</th>
+                <th>{t('settings.webhooks.columns.lastDelivery')}</th>
+                <th aria-hidden="true" />
+              </tr>
+            </thead>
+            <tbody>
+              {endpoints.map((endpoint) => (
+                <tr key={endpoint.id} className={!endpoint.isActive ? styles.inactiveRow : ''}>
+                  <td>
+                    <div className={styles.endpointCell}>
+                      <code className={styles.endpointUrl} dir="ltr" title={endpoint.url}>{endpoint.url}</code>
+                      {endpoint.description && (
+                        <span className={styles.endpointDescription}>{endpoint.description}</span>
+                      )}
+                    </div>
+                  </td>
+                  <td>
+                    <div className={styles.pillList} title={endpoint.events.map(eventLabel).join('\n')}>
+                      {endpoint.events.slice(0, 2).map((key) => (
+                        <span key={key} className={styles.pill} dir="ltr">{key}</span>
+                      ))}
+                      {endpoint.events.length > 2 && (
+                        <span className={styles.pill}>+{endpoint.events.length - 2}</span>
+                      )}
+                    </div>
+                  </td>
+                  <td title={endpoint.siteIds.map(siteName).join('\n')}>
+                    {endpoint.siteIds.length === 0
+                      ? t('settings.webhooks.allSites')
+                      : t('settings.webhooks.siteCount', { count: endpoint.siteIds.length })}
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className={`${styles.statusBadge} ${endpoint.isActive ? styles.success : styles.neutral}`}
+                      onClick={() => canEdit && handleToggleActive(endpoint)}
+                      disabled={!canEdit || busyId === endpoint.id}
+                      title={canEdit ? t(endpoint.isActive ? 'settings.webhooks.disable' : 'settings.webhooks.enable') : undefined}
+                    >
+                      {t(endpoint.isActive ? 'settings.webhooks.active' : 'settings.webhooks.disabled')}
+                    </button>
+                  </td>
+                  <td>
+                    {endpoint.lastDeliveryStatus ? (
+                      <div className={styles.lastDelivery}>
+                        <span className={`${styles.statusBadge} ${styles[DELIVERY_STATUS_COLOR[endpoint.lastDeliveryStatus]]}`}>
+                          {t(`settings.webhooks.deliveryStatus.${endpoint.lastDeliveryStatus}`)}
+                        </span>
+                        <span className={styles.muted}>{formatDate(endpoint.lastDeliveryAt)}</span>
+                      </div>
+                    ) : (
+                      <span className={styles.muted}>{t('settings.webhooks.never')}</span>
+                    )}
+                  </td>
+                  <td>
+                    <div className={styles.rowActions}>
+                      <button
+                        type="button"
+                        className={`${styles.iconButton} ${logEndpointId === endpoint.id ? styles.iconButtonActive : ''}`}
+                        onClick={() => openLog(endpoint)}
+                        title={t('settings.webhooks.viewDeliveries')}
+                      >
+                        <List size={14} />
+                      </button>
+                      {canEdit && (
+                        <>
+                          <button
+                            type="button"
+                            className={styles.iconButton}
+                            onClick={() => handleTest(endpoint)}
+                            disabled={!endpoint.isActive || busyId === endpoint.id}
+                            title={t('settings.webhooks.sendTest')}
+                          >
+                            {busyId === endpoint.id ? <Loader2 size={14} className={styles.spinning} /> : <Send size={14} />}
+                          </button>
+                          <button
+                            type="button"
+                            className={styles.iconButton}
+                            onClick={() => openEdit(endpoint)}
+                            title={t('settings.webhooks.edit')}
+                          >
+                            <Edit2 size={14} />
+                          </button>
+                          <button
+                            type="button"
+                            className={styles.iconButton}
+                            onClick={() => setRotateTarget(endpoint)}
+                            title={t('settings.webhooks.rotateSecret')}
+                          >
+                            <KeyRound size={14} />
+                          </button>
+                          <button
+                            type="button"
+                            className={`${styles.iconButton} ${styles.iconButtonDanger}`}
+                            onClick={() => setDeleteTarget(endpoint)}
+                            title={t('settings.webhooks.delete')}
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Delivery log */}
+      {logEndpoint && (
+        <div className={styles.deliveryPanel}>
+          <div className={styles.deliveryHeader}>
+            <h4 className={styles.deliveryTitle}>
+              {t('settings.webhooks.deliveriesFor')}{' '}
+              <code dir="ltr">{logEndpoint.url}</code>
+            </h4>
+            <button
+              type="button"
+              className={styles.closeButton}
+              onClick={() => setLogEndpointId(null)}
+              aria-label={t('common.close')}
+            >
+              <X size={16} />
+            </button>
+          </div>
+
+          {deliveriesLoading ? (
+            <div className={styles.loadingRow}>
+              <Loader2 size={16} className={styles.spinning} />
+            </div>
+          ) : deliveries.length === 0 ? (
+            <p className={styles.emptyState}>{t('settings.webhooks.noDeliveries')}</p>
+          ) : (
+            <div className={styles.tableWrap}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>{t('settings.webhooks.columns.event')}</th>
+                    <th>{t('settings.webhooks.columns.status')}</th>
+                    <th>{t('settings.webhooks.columns.response')}</th>
+                    <th>{t('settings.webhooks.columns.attempts')}</th>
+                    <th>{t('settings.webhooks.columns.created')}</th>
+                    <th aria-hidden="true" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map((delivery) => {
+                    const expanded = expandedDeliveryId === delivery.id;
+                    return (
+                      <DeliveryRow
+                        key={delivery.id}
+                        delivery={delivery}
+                        expanded={expanded}
+                        onToggle={() => setExpandedDeliveryId(expanded ? null : delivery.id)}
+                        onRedeliver={canEdit && delivery.status !== 'PENDING' ? () => handleRedeliver(delivery) : null}
+                        busy={busyId === delivery.id}
+                        formatDate={formatDate}
+                        t={t}
+                      />
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {deliveryPages > 1 && (
+            <div className={styles.pagination}>
+              <span className={styles.muted}>
+                {t('common.pageOf', { current: deliveryPage, total: deliveryPages })}
+              </span>
+              <button
+                type="button"
+                className={styles.iconButton}
+                onClick={() => setDeliveryPage((p) => Math.max(1, p - 1))}
+                disabled={deliveryPage === 1}
+              >
+                <ChevronLeft size={14} />
+              </button>
+              <button
+                type="button"
+                className={styles.iconButton}
+                onClick={() => setDeliveryPage((p) => Math.min(deliveryPages, p + 1))}
+                disabled={deliveryPage === deliveryPages}
+              >
+                <ChevronRight size={14} />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Create / edit modal */}
+      {formOpen && createPortal(
+        <div className={styles.modalOverlay} onClick={() => !saving && setFormOpen(false)}>
+          <div className={`${styles.modal} ${styles.modalWide}`} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalHeader}>
+              <h2 className={styles.modalTitle}>
+                {t(editing ? 'settings.webhooks.editTitle' : 'settings.webhooks.createTitle')}
+              </h2>
+              <button
+                type="button"
+                className={styles.closeButton}
+                onClick={() => setFormOpen(false)}
+                aria-label={t('common.cancel')}
+              >
+                <X size={18} />
+              </button>
+            </div>
+            <form onSubmit={handleSave}>
+              <div className={styles.modalBody}>
+                {formError && (
+                  <div className={styles.errorMessage}>
+                    <AlertCircle size={14} />
+                    <span>{formError}</span>
+                  </div>
+                )}
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-webhook-url">
+                    {t('settings.webhooks.urlLabel')}
+                  </label>
+                  <input
+                    id="gp-webhook-url"
+                    type="url"
+                    dir="ltr"
+                    className={styles.formInput}
+                    value={form.url}
+                    onChange={(e) => setForm({ ...form, url: e.target.value })}
+                    placeholder="https://example.com/webhooks/ghostseo"
+                    required
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel} htmlFor="gp-webhook-description">
+                    {t('settings.webhooks.descriptionLabel')}
+                  </label>
+                  <input
+                    id="gp-webhook-description"
+                    type="text"
+                    className={styles.formInput}
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    placeholder={t('settings.webhooks.descriptionPlaceholder')}
+                    maxLength={200}
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <span className={styles.formLabel}>{t('settings.webhooks.eventsLabel')}</span>
+                  <div className={styles.checkboxList}>
+                    {events.map((event) => (
+                      <label key={event.key} className={styles.checkboxOption}>
+                        <input
+                          type="checkbox"
+                          checked={form.events.includes(event.key)}
+                          onChange={() => toggleInList('events', event.key)}
+                        />
+                        <code className={styles.eventCode} dir="ltr">{event.key}</code>
+                        <span className={styles.hint}>{eventLabel(event.key)}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className={styles.formGroup}>
+                  <span className={styles.formLabel}>{t('settings.webhooks.sitesLabel')}</span>
+                  <label className={styles.checkboxOption}>
+                    <input
+                      type="radio"
+                      checked={form.allSites}
+                      onChange={() => setForm({ ...form, allSites: true })}
+                    />
+                    {t('settings.webhooks.allSites')}
+                  </label>
+                  <label className={styles.checkboxOption}>
+                    <input
+                      type="radio"
+                      checked={!form.allSites}
+                      onChange={() => setForm({ ...form, allSites: false })}
+                      disabled={sites.length === 0}
+                    />
+                    {t('settings.webhooks.selectedSites')}
+                  </label>
+                  {!form.allSites && (
+                    <div className={`${styles.checkboxList} ${styles.nestedList}`}>
+                      {sites.map((site) => (
+                        <label key={site.id} className={styles.checkboxOption}>
+                          <input
+                            type="checkbox"
+                            checked={form.siteIds.includes(site.id)}
+                            onChange={() => toggleInList('siteIds', site.id)}
+                          />
+                          {site.name || site.url}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <p className={styles.fieldNote}>{t('settings.webhooks.sitesHint')}</p>
+                </div>
+                <label className={styles.checkboxOption}>
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  />
+                  {t('settings.webhooks.activeLabel')}
+                </label>
+              </div>
+              <div className={styles.modalFooter}>
+                <button
+                  type="button"
+                  className={styles.secondaryButton}
+                  onClick={() => setFormOpen(false)}
+                  disabled={saving}
+                >
+                  {t('common.cancel')}
+                </button>
+                <button type="submit" className={styles.primaryButton} disabled={saving}>
+                  {saving ? <Loader2 size={14} className={styles.spinning} /> : <Check size={14} />}
+                  {t(editing ? 'common.save' : 'settings.webhooks.create')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>,
+        document.body,
+      )}
+
+      {/* Show-once secret - dismissed only via Done so it isn't lost by accident */}
+      {revealedSecret && createPortal(
+        <div className={styles.modalOverlay}>
+          <div className={`${styles.modal} ${styles.modalWide}`} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalHeader}>
+              <h2 className={styles.modalTitle}>{t('settings.webhooks.secretTitle')}</h2>
+            </div>
+            <div className={styles.modalBody}>
+              <div className={styles.showOnceWarning}>
+                <AlertTriangle size={16} />
+                <span>{t('settings.webhooks.secretWarning')}</span>
+              </div>
+              <div className={styles.codeBlock} dir="ltr">
+                <pre className={styles.codePre}>{revealedSecret}</pre>
+                <button
+                  type="button"
+                  className={styles.copyCodeButton}
+                  onClick={copySecret}
+                  aria-label={t('settings.webhooks.copy')}
+                  title={t('settings.webhooks.copy')}
+                >
+                  {copied ? <Check size={14} /> : <Copy size={14} />}
+                </button>
+              </div>
+              <p className={styles.fieldNote}>{t('settings.webhooks.signatureHint')}</p>
+            </div>
+            <div className={styles.modalFooter}>
+              <button type="button" className={styles.primaryButton} onClick={() => setRevealedSecret(null)}>
+                <Check size={14} />
+                {t('settings.webhooks.done')}
+              </button>
+            </div>
+          </div>
+        </div>,
+        document.body,
+      )}
+
+      <ConfirmModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title={t('settings.webhooks.deleteTitle')}
+        description={t('settings.webhooks.deleteConfirm')}
+        confirmLabel={t('settings.webhooks.delete')}
+        isPending={!!deleteTarget && busyId === deleteTarget.id}
+      />
+      <ConfirmModal
+        isOpen={!!rotateTarget}
+        onClose={() => setRotateTarget(null)}
+        onConfirm={handleRotate}
+        title={t('settings.webhooks.rotateTitle')}
+        description={t('settings.webhooks.rotateConfirm')}
+        confirmLabel={t('settings.webhooks.rotateSecret')}
+        variant="primary"
+        isPending={!!rotateTarget && busyId === rotateTarget.id}
+      />
+    </div>
+  );
+}
+
+function DeliveryRow({ delivery, expanded, onToggle, onRedeliver, busy, formatDate, t }) {
+  return (
+    <>
+      <tr>
+        <td>
+          <code className={styles.eventCode} dir="ltr">{delivery.event}</code>
+          {delivery.redeliveryOf && (
+            <span className={styles.pill}>{t('settings.webhooks.redelivery')}</span>
+          )}
+        </td>
+        <td>
+          <span className={`${styles.statusBadge} ${styles[DELIVERY_STATUS_COLOR[delivery.status]]}`}>
+            {t(`settings.webhooks.deliveryStatus.${delivery.status}`)}
+          </span>
+        </td>
+        <td dir="ltr">
+          {delivery.responseStatus ?? '-'}
+          {delivery.durationMs != null && <span className={styles.muted}> · {delivery.durationMs}ms</span>}
+        </td>
+        <td>{delivery.attempts}</td>
+        <td>{formatDate(delivery.createdAt)}</td>
+        <td>
+          <div className={styles.rowActions}>
+            <button
+              type="button"
+              className={styles.iconButton}
+              onClick={onToggle}
+              title={t('settings.webhooks.details')}
+            >
+              {expanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+            </button>
+            {onRedeliver && (
+              <button
+                type="button"
+                className={styles.iconButton}
+                onClick={onRedeliver}
+                disabled={busy}
+                title={t('settings.webhooks.redeliver')}
+              >
+                {busy ? <Loader2 size={14} className={styles.spinning} /> : <RotateCcw size={14} />}
+              </button>
+            )}
+          </div>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className={styles.detailRow}>
+          <td colSpan={6}>
+            {delivery.error && (
+              <div className={styles.errorMessage}>
+                <AlertCircle size={14} />
+                <span dir="ltr">{delivery.error}</span>
+              </div>
+            )}
+            <div className={styles.detailGrid}>
+              <div className={styles.formGroup}>
+                <span className={styles.formLabel}>{t('settings.webhooks.requestBody')}</span>
+                <div className={styles.codeBlock} dir="ltr">
+                  <pre className={styles.codePre}>{JSON.stringify(delivery.payload, null, 2)}</pre>
+                </div>
+              </div>
+              <div className={styles.formGroup}>
+                <span className={styles.formLabel}>{t('settings.webhooks.responseBody')}</span>
+                <div className={styles.codeBlock} dir="ltr">
+                  <pre className={styles.codePre}>{delivery.responseBody || '-'}</pre>
+                </div>
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
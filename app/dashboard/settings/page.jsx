@@ -34,6 +34,9 @@ export default async function SettingsPage() {
     { id: 'payment-methods', label: t('settings.paymentMethods.title'), iconName: 'Wallet', description: t('settings.paymentMethods.description') },
     { id: 'credits', label: t('settings.credits.title'), iconName: 'Coins', description: t('settings.descriptions.credits') },
     { id: 'addons', label: t('settings.addons'), iconName: 'Puzzle', description: t('settings.descriptions.addons') },
+    { id: 'webhooks', label: t('settings.webhooks.tab'), iconName: 'Webhook', description: t('settings.descriptions.webhooks') },
+    { id: 'sso', label: t('settings.sso.tab'), iconName: 'KeyRound', description: t('settings.descriptions.sso') },
+    { id: 'activity', label: t('settings.activityLog.tab'), iconName: 'History', description: t('settings.descriptions.activity') },
     { id: 'account', label: t('settings.account'), iconName: 'Building2', description: t('settings.descriptions.account') },
   ];
 
@@ -10,6 +10,7 @@ const STATUS_ICON = {
   published:      '/icons/letter-p.svg',
   scheduled:      '/icons/letter-s.svg',
   processing:     '/icons/letter-l.svg',
+  inReview:       '/icons/letter-v.svg',
   readyToPublish: '/icons/letter-r.svg',
   failed:         '/icons/letter-f.svg',
   draft:          '/icons/letter-d.svg',
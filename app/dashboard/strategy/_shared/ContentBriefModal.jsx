@@ -0,0 +1,326 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Loader2, Sparkles, Plus, Trash2, Save, ExternalLink } from 'lucide-react';
+import { handleLimitError } from '@/app/context/limit-guard-context';
+import { emitCreditsUpdated } from '@/app/context/user-context';
+import styles from './ContentBriefModal.module.css';
+
+const SCHEMA_TYPES = [
+  'Article', 'BlogPosting', 'NewsArticle', 'HowTo', 'FAQPage',
+  'Product', 'Review', 'Recipe', 'Event', 'LocalBusiness', 'Service',
+];
+
+/**
+ * Content brief editor for a pipeline Content row: generate the brief from
+ * the pages ranking for the keyword, then edit the outline, word count,
+ * subtopics, questions, internal links and schema type before the article
+ * is written. The saved brief is what the article writer follows.
+ *
+ * @param {string} contentId - Content row id
+ * @param {string} [title] - Post title, shown in the header
+ * @param {Function} onClose
+ * @param {Object} translations - contentPlanner.brief labels
+ */
+export default function ContentBriefModal({ contentId, title, onClose, translations = {} }) {
+  const t = translations;
+  const closeBtnRef = useRef(null);
+
+  const [brief, setBrief] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState(null);
+  const [newSubtopic, setNewSubtopic] = useState('');
+
+  const busy = generating || saving;
+
+  const fetchBrief = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await fetch(`/api/contents/${contentId}/brief`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load brief');
+      setBrief(data.brief);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [contentId]);
+
+  useEffect(() => { fetchBrief(); }, [fetchBrief]);
+
+  // Lock page scroll while open
+  useEffect(() => {
+    const prev = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    const focusTimer = setTimeout(() => closeBtnRef.current?.focus(), 0);
+    return () => {
+      document.body.style.overflow = prev;
+      clearTimeout(focusTimer);
+    };
+  }, []);
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === 'Escape' && !busy) onClose();
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [busy, onClose]);
+
+  const handleGenerate = async () => {
+    if (brief && !confirm(t.regenerateConfirm || 'Regenerate the brief? Your edits will be replaced.')) return;
+    setGenerating(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/contents/${contentId}/brief`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        if (handleLimitError(data)) return;
+        throw new Error(data.error || 'Brief generation failed');
+      }
+      setBrief(data.brief);
+      setDirty(false);
+      emitCreditsUpdated();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/contents/${contentId}/brief`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ brief }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save brief');
+      setBrief(data.brief);
+      setDirty(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const update = (patch) => {
+    setBrief(prev => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+
+  const updateListItem = (key, index, value) => {
+    update({ [key]: brief[key].map((item, i) => (i === index ? value : item)) });
+  };
+
+  const removeListItem = (key, index) => {
+    update({ [key]: brief[key].filter((_, i) => i !== index) });
+  };
+
+  const addSubtopic = () => {
+    const name = newSubtopic.trim();
+    if (!name) return;
+    update({ subtopics: [...(brief.subtopics || []), { name, coverage: 0 }] });
+    setNewSubtopic('');
+  };
+
+  return createPortal(
+    <div
+      className={styles.backdrop}
+      onClick={(e) => {
+        if (e.target === e.currentTarget && !busy) onClose();
+      }}
+    >
+      <div className={styles.modal} role="dialog" aria-modal="true">
+        <div className={styles.header}>
+          <div className={styles.headerText}>
+            <h3 className={styles.title}>{t.title || 'Content brief'}</h3>
+            {title && <p className={styles.subtitle}>{title}</p>}
+          </div>
+          <button ref={closeBtnRef} className={styles.closeBtn} onClick={onClose} disabled={busy}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <div className={styles.error}>{error}</div>}
+
+        <div className={styles.body}>
+          {isLoading ? (
+            <div className={styles.center}><Loader2 size={20} className={styles.spinner} /></div>
+          ) : !brief ? (
+            <div className={styles.empty}>
+              <p>{t.empty || 'No brief yet. Generate one from the pages that rank for this keyword.'}</p>
+              <button className={styles.primaryBtn} onClick={handleGenerate} disabled={generating}>
+                {generating ? <Loader2 size={14} className={styles.spinner} /> : <Sparkles size={14} />}
+                {generating ? (t.generating || 'Analyzing competitors...') : (t.generate || 'Generate brief')}
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className={styles.metaRow}>
+                <label className={styles.field}>
+                  <span>{t.wordCount || 'Word count'}</span>
+                  <div className={styles.rangeInputs}>
+                    <input
+                      type="number"
+                      min={100}
+                      step={100}
+                      value={brief.wordCount?.min ?? ''}
+                      onChange={(e) => update({ wordCount: { ...brief.wordCount, min: Number(e.target.value) } })}
+                    />
+                    <span>–</span>
+                    <input
+                      type="number"
+                      min={100}
+                      step={100}
+                      value={brief.wordCount?.max ?? ''}
+                      onChange={(e) => update({ wordCount: { ...brief.wordCount, max: Number(e.target.value) } })}
+                    />
+                  </div>
+                  {brief.wordCount?.median && (
+                    <small>{(t.median || 'Competitor median: {count}').replace('{count}', String(brief.wordCount.median))}</small>
+                  )}
+                </label>
+                <label className={styles.field}>
+                  <span>{t.schemaType || 'Schema type'}</span>
+                  <select value={brief.schemaType} onChange={(e) => update({ schemaType: e.target.value })}>
+                    {SCHEMA_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </label>
+              </div>
+
+              <section className={styles.section}>
+                <h4>{t.outline || 'Heading outline'}</h4>
+                {(brief.outline || []).map((h, i) => (
+                  <div key={i} className={`${styles.outlineRow} ${h.level === 3 ? styles.outlineSub : ''}`}>
+                    <button
+                      type="button"
+                      className={styles.levelBtn}
+                      onClick={() => updateListItem('outline', i, { ...h, level: h.level === 3 ? 2 : 3 })}
+                      title={t.toggleLevel || 'Toggle H2 / H3'}
+                    >
+                      H{h.level}
+                    </button>
+                    <input
+                      type="text"
+                      value={h.text}
+                      onChange={(e) => updateListItem('outline', i, { ...h, text: e.target.value })}
+                    />
+                    <button type="button" className={styles.iconBtn} onClick={() => removeListItem('outline', i)}>
+                      <Trash2 size={13} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className={styles.addBtn}
+                  onClick={() => update({ outline: [...(brief.outline || []), { level: 2, text: '' }] })}
+                >
+                  <Plus size={13} />
+                  {t.addHeading || 'Add heading'}
+                </button>
+              </section>
+
+              <section className={styles.section}>
+                <h4>{t.subtopics || 'Entities & subtopics'}</h4>
+                <div className={styles.chips}>
+                  {(brief.subtopics || []).map((s, i) => (
+                    <span key={`${s.name}-${i}`} className={styles.chip} title={s.coverage ? (t.coverage || '{count} competitors').replace('{count}', String(s.coverage)) : undefined}>
+                      {s.name}
+                      {s.coverage > 0 && <small>{s.coverage}</small>}
+                      <button type="button" onClick={() => removeListItem('subtopics', i)}><X size={11} /></button>
+                    </span>
+                  ))}
+                  <input
+                    type="text"
+                    className={styles.chipInput}
+                    value={newSubtopic}
+                    placeholder={t.addSubtopic || 'Add…'}
+                    onChange={(e) => setNewSubtopic(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault();
+                        addSubtopic();
+                      }
+                    }}
+                  />
+                </div>
+              </section>
+
+              <section className={styles.section}>
+                <h4>{t.questions || 'Questions to answer'}</h4>
+                <textarea
+                  rows={Math.min(10, Math.max(3, (brief.questions || []).length + 1))}
+                  value={(brief.questions || []).join('\n')}
+                  placeholder={t.questionsHint || 'One question per line'}
+                  onChange={(e) => update({ questions: e.target.value.split('\n') })}
+                />
+              </section>
+
+              <section className={styles.section}>
+                <h4>{t.internalLinks || 'Internal links'}</h4>
+                {(brief.internalLinks || []).length === 0 && (
+                  <p className={styles.muted}>{t.noInternalLinks || 'No matching pages on the site.'}</p>
+                )}
+                {(brief.internalLinks || []).map((link, i) => (
+                  <div key={`${link.url}-${i}`} className={styles.linkRow}>
+                    <a href={link.url} target="_blank" rel="noopener noreferrer" title={link.url}>
+                      {link.title || link.url}
+                      <ExternalLink size={11} />
+                    </a>
+                    <input
+                      type="text"
+                      value={link.anchor}
+                      placeholder={t.anchor || 'Anchor text'}
+                      onChange={(e) => updateListItem('internalLinks', i, { ...link, anchor: e.target.value })}
+                    />
+                    <button type="button" className={styles.iconBtn} onClick={() => removeListItem('internalLinks', i)}>
+                      <Trash2 size={13} />
+                    </button>
+                  </div>
+                ))}
+              </section>
+
+              {brief.sources?.length > 0 && (
+                <section className={styles.section}>
+                  <h4>{t.sources || 'Analyzed pages'}</h4>
+                  <ol className={styles.sources}>
+                    {brief.sources.map(s => (
+                      <li key={s.url}>
+                        <a href={s.url} target="_blank" rel="noopener noreferrer" dir="ltr">{s.title || s.url}</a>
+                        <small>{(t.words || '{count} words').replace('{count}', String(s.wordCount))}</small>
+                      </li>
+                    ))}
+                  </ol>
+                </section>
+              )}
+            </>
+          )}
+        </div>
+
+        {brief && (
+          <div className={styles.footer}>
+            <button className={styles.secondaryBtn} onClick={handleGenerate} disabled={busy}>
+              {generating ? <Loader2 size={14} className={styles.spinner} /> : <Sparkles size={14} />}
+              {generating ? (t.generating || 'Analyzing competitors...') : (t.regenerate || 'Regenerate')}
+            </button>
+            <button className={styles.primaryBtn} onClick={handleSave} disabled={busy || !dirty}>
+              {saving ? <Loader2 size={14} className={styles.spinner} /> : <Save size={14} />}
+              {t.save || 'Save brief'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -2,15 +2,17 @@
 
 import { useRef, useEffect, useState } from 'react';
 import { createPortal } from 'react-dom';
-import { X, Check, Type, Tag, Calendar, Clock, Globe, ExternalLink, RefreshCw, Loader2, Sparkles, Eye, ChevronDown, ChevronUp, Pencil, Trash2, AlertTriangle, Copy, Download } from 'lucide-react';
+import { X, Check, Type, Tag, Calendar, Clock, Globe, ExternalLink, RefreshCw, Loader2, Sparkles, Eye, ChevronDown, ChevronUp, Pencil, Trash2, AlertTriangle, Copy, Download, FileText } from 'lucide-react';
 import { ConfirmDialog } from '@/app/admin/components/AdminModal';
 import { useLocale } from '@/app/context/locale-context';
+import ContentBriefModal from './ContentBriefModal';
 import styles from './PostPopover.module.css';
 
 const PIPELINE_STATUSES = [
   { value: 'draft', key: 'DRAFT' },
   { value: 'scheduled', key: 'SCHEDULED' },
   { value: 'processing', key: 'PROCESSING' },
+  { value: 'inReview', key: 'IN_REVIEW' },
   { value: 'readyToPublish', key: 'READY_TO_PUBLISH' },
   { value: 'published', key: 'PUBLISHED' },
 ];
@@ -66,19 +68,20 @@ export default function PostPopover({
   const [titleError, setTitleError] = useState(null);
   const [assisted, setAssisted] = useState(null); // ASSISTED publish output (custom sites)
   const [copied, setCopied] = useState('');
+  const [showBrief, setShowBrief] = useState(false);
   const t = translations;
 
   // Close on outside click (skip when confirm dialog is open - it's a portal outside the popover)
   useEffect(() => {
     const handler = (e) => {
-      if (confirmDelete) return;
+      if (confirmDelete || showBrief) return;
       if (popoverRef.current && !popoverRef.current.contains(e.target)) {
         onClose();
       }
     };
     document.addEventListener('mousedown', handler);
     return () => document.removeEventListener('mousedown', handler);
-  }, [onClose, confirmDelete]);
+  }, [onClose, confirmDelete, showBrief]);
 
   // For published pipeline posts, check whether they were published in ASSISTED
   // mode (custom sites with no connected write transport). If so, surface a
@@ -132,6 +135,7 @@ export default function PostPopover({
     published: t.published || 'Published',
     scheduled: t.scheduled || 'Scheduled',
     processing: t.processing || 'Processing',
+    inReview: t.inReview || 'In Review',
     readyToPublish: t.readyToPublish || 'Ready to Publish',
     failed: t.failed || 'Failed',
     draft: t.draft || 'Draft',
@@ -513,6 +517,16 @@ export default function PostPopover({
                 {generating ? (t.generating || 'Generating...') : (t.generate || 'Generate')}
               </button>
             )}
+            {/* Content brief - pipeline posts that haven't been written yet */}
+            {post.source === 'pipeline' && !post.aiResult && post.dotStatus !== 'published' && post.dotStatus !== 'processing' && (
+              <button
+                className={styles.briefBtn}
+                onClick={() => setShowBrief(true)}
+              >
+                <FileText size={14} />
+                {t.brief?.open || 'Content brief'}
+              </button>
+            )}
             {/* View on site link */}
             {post.url && (
               <a
@@ -538,6 +552,14 @@ export default function PostPopover({
           </div>
         </div>
       </div>
+      {showBrief && (
+        <ContentBriefModal
+          contentId={post.id}
+          title={post.title}
+          onClose={() => setShowBrief(false)}
+          translations={t.brief || {}}
+        />
+      )}
       {confirmDelete && (
         <ConfirmDialog
           isOpen={confirmDelete}
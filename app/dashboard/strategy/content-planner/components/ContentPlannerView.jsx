@@ -619,6 +619,7 @@ export function ContentPlannerView({ translations }) {
       case 'PENDING': return 'draft';
       case 'PRIVATE': return 'published';
       case 'PROCESSING': return 'processing';
+      case 'IN_REVIEW': return 'inReview';
       case 'READY_TO_PUBLISH': return 'readyToPublish';
       case 'FAILED': return 'failed';
       default: return null;
@@ -809,6 +810,7 @@ export function ContentPlannerView({ translations }) {
       case 'published': return translations.published;
       case 'scheduled': return translations.scheduled;
       case 'processing': return tp.processing || 'Processing';
+      case 'inReview': return tp.inReview || 'In Review';
       case 'readyToPublish': return tp.readyToPublish || 'Ready';
       case 'failed': return tp.failed || 'Failed';
       default: return translations.draft;
@@ -820,6 +822,7 @@ export function ContentPlannerView({ translations }) {
       case 'published': return 'complete';
       case 'scheduled': return 'pending';
       case 'processing': return 'pending';
+      case 'inReview': return 'pending';
       case 'readyToPublish': return 'pending';
       case 'failed': return 'error';
       default: return 'paused';
@@ -927,6 +930,7 @@ export function ContentPlannerView({ translations }) {
       DRAFT: 'draft',
       SCHEDULED: 'scheduled',
       PROCESSING: 'processing',
+      IN_REVIEW: 'inReview',
       READY_TO_PUBLISH: 'readyToPublish',
       PUBLISHED: 'published',
       FAILED: 'failed',
@@ -1021,7 +1025,7 @@ export function ContentPlannerView({ translations }) {
       const data = await res.json();
       const finalStatus = data.content?.status || 'PROCESSING';
       const statusToDotMap = {
-        DRAFT: 'draft', SCHEDULED: 'scheduled', PROCESSING: 'processing',
+        DRAFT: 'draft', SCHEDULED: 'scheduled', PROCESSING: 'processing', IN_REVIEW: 'inReview',
         READY_TO_PUBLISH: 'readyToPublish', PUBLISHED: 'published', FAILED: 'failed',
       };
       const dotStatus = statusToDotMap[finalStatus] || 'processing';
@@ -1271,6 +1275,7 @@ export function ContentPlannerView({ translations }) {
             published: ts.published || translations.published || 'Published',
             scheduled: ts.scheduled || translations.scheduled || 'Scheduled',
             processing: tp.processing || 'Processing',
+            inReview: tp.inReview || 'In Review',
             readyToPublish: tp.readyToPublish || 'Ready',
             failed: tp.failed || 'Failed',
             draft: ts.draft || translations.draft || 'Draft',
@@ -1280,6 +1285,7 @@ export function ContentPlannerView({ translations }) {
             { icon: '/icons/letter-p.svg', alt: 'P', label: ts.published || translations.published || 'Published' },
             { icon: '/icons/letter-s.svg', alt: 'S', label: ts.scheduled || translations.scheduled || 'Scheduled' },
             { icon: '/icons/letter-l.svg', alt: 'L', label: tp.processing || 'Processing' },
+            { icon: '/icons/letter-v.svg', alt: 'V', label: tp.inReview || 'In Review' },
             { icon: '/icons/letter-r.svg', alt: 'R', label: tp.readyToPublish || 'Ready' },
             { icon: '/icons/letter-f.svg', alt: 'F', label: tp.failed || 'Failed' },
             { icon: '/icons/letter-d.svg', alt: 'D', label: ts.draft || translations.draft || 'Draft' },
@@ -1455,12 +1461,14 @@ export function ContentPlannerView({ translations }) {
         translations={{
           ...translations.preview,
           preflight: translations.preflight,
+          brief: translations.brief,
           published: translations.published,
           scheduled: translations.scheduled,
           draft: translations.draft,
           pending: translations.pipeline?.pending || 'Pending',
           private: translations.pipeline?.private || 'Private',
           processing: translations.pipeline?.processing || 'Processing',
+          inReview: translations.pipeline?.inReview || 'In Review',
           readyToPublish: translations.pipeline?.readyToPublish || 'Ready to Publish',
           failed: translations.pipeline?.failed || 'Failed',
           retryPublish: translations.pipeline?.retryPublish || 'Retry',
@@ -49,6 +49,32 @@ export default async function ContentPlannerPage() {
         REVIEW: t('clusters.preflight.recommendations.REVIEW'),
       },
     },
+    brief: {
+      open: t('contentPlanner.brief.open'),
+      title: t('contentPlanner.brief.title'),
+      empty: t('contentPlanner.brief.empty'),
+      generate: t('contentPlanner.brief.generate'),
+      generating: t('contentPlanner.brief.generating'),
+      regenerate: t('contentPlanner.brief.regenerate'),
+      regenerateConfirm: t('contentPlanner.brief.regenerateConfirm'),
+      save: t('contentPlanner.brief.save'),
+      wordCount: t('contentPlanner.brief.wordCount'),
+      median: t('contentPlanner.brief.median'),
+      schemaType: t('contentPlanner.brief.schemaType'),
+      outline: t('contentPlanner.brief.outline'),
+      toggleLevel: t('contentPlanner.brief.toggleLevel'),
+      addHeading: t('contentPlanner.brief.addHeading'),
+      subtopics: t('contentPlanner.brief.subtopics'),
+      coverage: t('contentPlanner.brief.coverage'),
+      addSubtopic: t('contentPlanner.brief.addSubtopic'),
+      questions: t('contentPlanner.brief.questions'),
+      questionsHint: t('contentPlanner.brief.questionsHint'),
+      internalLinks: t('contentPlanner.brief.internalLinks'),
+      noInternalLinks: t('contentPlanner.brief.noInternalLinks'),
+      anchor: t('contentPlanner.brief.anchor'),
+      sources: t('contentPlanner.brief.sources'),
+      words: t('contentPlanner.brief.words'),
+    },
     dayNames: [
       t('time.sun'), t('time.mon'), t('time.tue'), t('time.wed'), 
       t('time.thu'), t('time.fri'), t('time.sat')
@@ -94,6 +120,7 @@ export default async function ContentPlannerPage() {
       title: t('contentPlanner.pipeline.title'),
       noContent: t('contentPlanner.pipeline.noContent'),
       processing: t('contentPlanner.pipeline.processing'),
+      inReview: t('contentPlanner.pipeline.inReview'),
       readyToPublish: t('contentPlanner.pipeline.readyToPublish'),
       failed: t('contentPlanner.pipeline.failed'),
       retry: t('contentPlanner.pipeline.retry'),
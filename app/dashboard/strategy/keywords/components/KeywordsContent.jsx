@@ -13,6 +13,8 @@ import { Button } from '@/app/dashboard/components';
 import { decodeDisplayUrl } from '@/lib/urlDisplay';
 import GeneratePostModal from './GeneratePostModal';
 import { LinkEntityModal } from './LinkEntityModal';
+import { RankTrackingPanel } from './RankTrackingPanel';
+import { SerpClustersPanel } from './SerpClustersPanel';
 import styles from '../page.module.css';
 
 const getPositionClass = (position) => {
@@ -1608,6 +1610,20 @@ export function KeywordsContent() {
           </>
         )}
       </div>
+
+      {/* Scheduled rank tracking + share of voice */}
+      {selectedSite?.id && (
+        <RankTrackingPanel
+          siteId={selectedSite.id}
+          tags={[...new Set(keywords.flatMap(kw => kw.tags || []))].sort()}
+          canEdit={canEditKeywords}
+        />
+      )}
+
+      {/* SERP-overlap keyword clustering */}
+      {selectedSite?.id && (
+        <SerpClustersPanel siteId={selectedSite.id} canEdit={canEditKeywords} />
+      )}
       
       {/* Generate Post Modal */}
       <GeneratePostModal
@@ -0,0 +1,386 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { CalendarClock, Play, Pause, Trash2, Plus, X, Loader2, MapPin } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { useTranslation } from '@/app/context/locale-context';
+import { emitCreditsUpdated } from '@/app/context/user-context';
+import { handleLimitError } from '@/app/context/limit-guard-context';
+import { Button } from '@/app/dashboard/components';
+import styles from './RankTrackingPanel.module.css';
+
+const ALL_TAGS = '*';
+const OWN_SITE = 'own';
+const LINE_COLORS = ['#7b2cbf', '#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+const FEATURES = ['featured_snippet', 'people_also_ask', 'ai_overview', 'local_pack', 'video'];
+
+/**
+ * Scheduled rank tracking for the keywords page: the site's schedules
+ * (create / pause / run now / delete) and the share-of-voice chart of the
+ * selected schedule, per keyword tag.
+ *
+ * Props:
+ *   siteId   string
+ *   tags     string[] - every tag used on the site's keywords
+ *   canEdit  boolean  - may manage schedules
+ */
+export function RankTrackingPanel({ siteId, tags = [], canEdit }) {
+  const { t } = useTranslation();
+
+  const [schedules, setSchedules] = useState([]);
+  const [defaultGeo, setDefaultGeo] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: '', tags: [], frequency: 'WEEKLY', countryCode: '' });
+  const [saving, setSaving] = useState(false);
+
+  const [scheduleId, setScheduleId] = useState(null);
+  const [tag, setTag] = useState(ALL_TAGS);
+  const [sov, setSov] = useState(null);
+
+  const fetchSchedules = useCallback(async () => {
+    if (!siteId) return;
+    setIsLoading(true);
+    try {
+      const res = await fetch(`/api/keywords/rank-schedules?siteId=${siteId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load schedules');
+      setSchedules(data.schedules || []);
+      setDefaultGeo(data.defaultGeo || null);
+      setScheduleId(prev => (data.schedules || []).some(s => s.id === prev) ? prev : data.schedules?.[0]?.id || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [siteId]);
+
+  const fetchShareOfVoice = useCallback(async () => {
+    if (!siteId || !scheduleId) {
+      setSov(null);
+      return;
+    }
+    try {
+      const res = await fetch(`/api/keywords/share-of-voice?siteId=${siteId}&scheduleId=${scheduleId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load share of voice');
+      setSov(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [siteId, scheduleId]);
+
+  useEffect(() => { fetchSchedules(); }, [fetchSchedules]);
+  useEffect(() => { fetchShareOfVoice(); }, [fetchShareOfVoice]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/keywords/rank-schedules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ siteId, ...form, countryCode: form.countryCode || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (handleLimitError(data)) return;
+        throw new Error(data.error || 'Failed to create schedule');
+      }
+      setShowForm(false);
+      setForm({ name: '', tags: [], frequency: 'WEEKLY', countryCode: '' });
+      setScheduleId(data.schedule.id);
+      await fetchSchedules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    setBusyId(schedule.id);
+    try {
+      const res = await fetch(`/api/keywords/rank-schedules/${schedule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isActive: !schedule.isActive }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update schedule');
+      setSchedules(prev => prev.map(s => s.id === schedule.id ? data.schedule : s));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRun = async (schedule) => {
+    setBusyId(schedule.id);
+    setError(null);
+    try {
+      const res = await fetch(`/api/keywords/rank-schedules/${schedule.id}/run`, { method: 'POST' });
+      const data = await res.json();
+      if (data.schedule) setSchedules(prev => prev.map(s => s.id === schedule.id ? data.schedule : s));
+      if (!res.ok) {
+        if (handleLimitError(data)) return;
+        throw new Error(data.code === 'COOLDOWN' ? t('keywordStrategy.rankTracking.cooldown') : (data.error || 'Run failed'));
+      }
+      emitCreditsUpdated();
+      if (schedule.id === scheduleId) fetchShareOfVoice();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!confirm(t('keywordStrategy.rankTracking.confirmDelete', { name: schedule.name }))) return;
+    setBusyId(schedule.id);
+    try {
+      const res = await fetch(`/api/keywords/rank-schedules/${schedule.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete schedule');
+      }
+      await fetchSchedules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleFormTag = (value) => setForm(prev => ({
+    ...prev,
+    tags: prev.tags.includes(value) ? prev.tags.filter(x => x !== value) : [...prev.tags, value],
+  }));
+
+  // One row per run day, one column per domain, for the selected tag.
+  const chartData = useMemo(() => {
+    const points = sov?.series?.[tag] || [];
+    return points.map(p => ({ date: p.date, ...p.shares }));
+  }, [sov, tag]);
+
+  const domainLabel = (domain) => domain === OWN_SITE ? t('keywordStrategy.rankTracking.yourSite') : domain;
+  const tagLabel = (value) => value === ALL_TAGS ? t('keywordStrategy.rankTracking.allKeywords') : value;
+  const fmtDateTime = (d) => d ? new Date(d).toLocaleString() : '—';
+
+  const latestFeatures = sov?.features || {};
+  const activeFeatures = FEATURES.filter(f => latestFeatures[f]);
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div>
+          <h3 className={styles.title}>
+            <CalendarClock size={18} />
+            {t('keywordStrategy.rankTracking.title')}
+          </h3>
+          <p className={styles.subtitle}>{t('keywordStrategy.rankTracking.subtitle')}</p>
+        </div>
+        {canEdit && !showForm && (
+          <Button size="sm" onClick={() => setShowForm(true)}>
+            <Plus size={14} />
+            {t('keywordStrategy.rankTracking.newSchedule')}
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <div className={styles.error}>
+          <span>{error}</span>
+          <button type="button" onClick={() => setError(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      {showForm && (
+        <form className={styles.form} onSubmit={handleCreate}>
+          <input
+            type="text"
+            className={styles.input}
+            placeholder={t('keywordStrategy.rankTracking.namePlaceholder')}
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            autoFocus
+          />
+          <select
+            className={styles.input}
+            value={form.frequency}
+            onChange={(e) => setForm(prev => ({ ...prev, frequency: e.target.value }))}
+          >
+            <option value="DAILY">{t('keywordStrategy.rankTracking.daily')}</option>
+            <option value="WEEKLY">{t('keywordStrategy.rankTracking.weekly')}</option>
+          </select>
+          <input
+            type="text"
+            className={`${styles.input} ${styles.countryInput}`}
+            placeholder={defaultGeo?.countryCode || 'US'}
+            value={form.countryCode}
+            maxLength={2}
+            onChange={(e) => setForm(prev => ({ ...prev, countryCode: e.target.value.toUpperCase() }))}
+            title={t('keywordStrategy.rankTracking.countryHint')}
+            dir="ltr"
+          />
+          <div className={styles.formTags}>
+            <span className={styles.muted}>{t('keywordStrategy.rankTracking.tags')}</span>
+            {tags.length === 0 && <span className={styles.muted}>{t('keywordStrategy.rankTracking.allKeywords')}</span>}
+            {tags.map(value => (
+              <button
+                type="button"
+                key={value}
+                className={`${styles.tagChip} ${form.tags.includes(value) ? styles.tagChipOn : ''}`}
+                onClick={() => toggleFormTag(value)}
+              >
+                {value}
+              </button>
+            ))}
+          </div>
+          <div className={styles.formActions}>
+            <Button type="submit" variant="primary" size="sm" disabled={saving || !form.name.trim()}>
+              {saving ? <Loader2 size={14} className={styles.spinner} /> : <Plus size={14} />}
+              {t('common.add')}
+            </Button>
+            <Button type="button" size="sm" onClick={() => setShowForm(false)}>
+              {t('common.cancel')}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className={styles.muted}><Loader2 size={14} className={styles.spinner} /></div>
+      ) : schedules.length === 0 ? (
+        <p className={styles.muted}>{t('keywordStrategy.rankTracking.empty')}</p>
+      ) : (
+        <div className={styles.scheduleList}>
+          {schedules.map(schedule => (
+            <div
+              key={schedule.id}
+              className={`${styles.scheduleRow} ${schedule.id === scheduleId ? styles.scheduleRowSelected : ''} ${!schedule.isActive ? styles.paused : ''}`}
+              onClick={() => setScheduleId(schedule.id)}
+            >
+              <div className={styles.scheduleMain}>
+                <span className={styles.scheduleName}>{schedule.name}</span>
+                <span className={styles.muted}>
+                  {t(`keywordStrategy.rankTracking.${schedule.frequency === 'DAILY' ? 'daily' : 'weekly'}`)}
+                  {' · '}
+                  <MapPin size={11} /> {schedule.countryCode}/{schedule.languageCode}
+                  {' · '}
+                  {schedule.tags.length ? schedule.tags.join(', ') : t('keywordStrategy.rankTracking.allKeywords')}
+                </span>
+              </div>
+              <div className={styles.scheduleRun}>
+                {schedule.lastRunStatus && (
+                  <span
+                    className={`${styles.runStatus} ${styles[`run_${schedule.lastRunStatus}`]}`}
+                    title={schedule.lastRunError || ''}
+                  >
+                    {t(`keywordStrategy.rankTracking.status.${schedule.lastRunStatus}`)}
+                    {schedule.lastRunStats && ` · ${schedule.lastRunStats.checked}/${schedule.lastRunStats.keywords}`}
+                  </span>
+                )}
+                <span className={styles.muted}>
+                  {schedule.isActive
+                    ? t('keywordStrategy.rankTracking.nextRun', { date: fmtDateTime(schedule.nextRunAt) })
+                    : t('keywordStrategy.rankTracking.pausedLabel')}
+                </span>
+              </div>
+              {canEdit && (
+                <div className={styles.scheduleActions} onClick={(e) => e.stopPropagation()}>
+                  {busyId === schedule.id ? (
+                    <Loader2 size={14} className={styles.spinner} />
+                  ) : (
+                    <>
+                      <button type="button" title={t('keywordStrategy.rankTracking.runNow')} onClick={() => handleRun(schedule)}>
+                        <Play size={14} />
+                      </button>
+                      <button
+                        type="button"
+                        title={schedule.isActive ? t('keywordStrategy.rankTracking.pause') : t('keywordStrategy.rankTracking.resume')}
+                        onClick={() => handleToggle(schedule)}
+                      >
+                        {schedule.isActive ? <Pause size={14} /> : <CalendarClock size={14} />}
+                      </button>
+                      <button type="button" title={t('common.delete')} onClick={() => handleDelete(schedule)}>
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {sov?.schedule && (
+        <div className={styles.sov}>
+          <div className={styles.sovHeader}>
+            <h4 className={styles.sovTitle}>{t('keywordStrategy.rankTracking.shareOfVoice')}</h4>
+            <select className={styles.input} value={tag} onChange={(e) => setTag(e.target.value)}>
+              {sov.tags.map(value => <option key={value} value={value}>{tagLabel(value)}</option>)}
+            </select>
+          </div>
+
+          {chartData.length === 0 ? (
+            <p className={styles.muted}>{t('keywordStrategy.rankTracking.noData')}</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="date" tick={{ fill: 'var(--muted-foreground)', fontSize: '0.7rem' }} tickFormatter={(v) => v.slice(5)} />
+                <YAxis tick={{ fill: 'var(--muted-foreground)', fontSize: '0.7rem' }} tickFormatter={(v) => `${v}%`} />
+                <Tooltip
+                  contentStyle={{ background: 'var(--card)', border: '1px solid var(--border)', borderRadius: '8px', color: 'var(--foreground)' }}
+                  formatter={(v, name) => [`${v}%`, name]}
+                />
+                <Legend />
+                {sov.domains.map((domain, i) => (
+                  <Line
+                    key={domain}
+                    type="monotone"
+                    dataKey={domain}
+                    name={domainLabel(domain)}
+                    stroke={LINE_COLORS[i % LINE_COLORS.length]}
+                    strokeWidth={domain === OWN_SITE ? 3 : 1.5}
+                    dot={chartData.length < 2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          {activeFeatures.length > 0 && (
+            <div className={styles.features}>
+              <span className={styles.muted}>{t('keywordStrategy.rankTracking.serpFeatures')}</span>
+              {activeFeatures.map(f => (
+                <span key={f} className={styles.featureChip}>
+                  {t(`keywordStrategy.rankTracking.features.${f}`)}
+                  {' '}
+                  <strong>{latestFeatures[f].owned}/{latestFeatures[f].present}</strong>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { Network, Check, X, Loader2, FileText, PenLine, ExternalLink } from 'lucide-react';
+import { useTranslation } from '@/app/context/locale-context';
+import { Button } from '@/app/dashboard/components';
+import { decodeDisplayUrl } from '@/lib/urlDisplay';
+import styles from './SerpClustersPanel.module.css';
+
+const MIN_SHARED_OPTIONS = [2, 3, 4, 5];
+
+/**
+ * SERP-overlap keyword clustering for the keywords page: groups keywords
+ * whose Google top 10 share URLs and proposes a TopicCluster (or an existing
+ * one) per group, with the page to optimize or a "create content" gap.
+ *
+ * Props:
+ *   siteId   string
+ *   canEdit  boolean  - may run clustering and accept / dismiss proposals
+ */
+export function SerpClustersPanel({ siteId, canEdit }) {
+  const { t } = useTranslation();
+
+  const [proposals, setProposals] = useState([]);
+  const [result, setResult] = useState(null);
+  const [minShared, setMinShared] = useState(3);
+  const [isRunning, setIsRunning] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchProposals = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const res = await fetch(`/api/keywords/serp-clusters?siteId=${siteId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load proposals');
+      setProposals(data.proposals || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [siteId]);
+
+  useEffect(() => {
+    setResult(null);
+    fetchProposals();
+  }, [fetchProposals]);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/keywords/serp-clusters', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ siteId, minShared }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Clustering failed');
+      setResult(data.result);
+      setProposals(data.proposals || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleResolve = async (proposal, action) => {
+    setBusyId(proposal.id);
+    setError(null);
+    try {
+      const res = await fetch(`/api/keywords/serp-clusters/${proposal.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update proposal');
+      setProposals(prev => prev.filter(p => p.id !== proposal.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div>
+          <h3 className={styles.title}>
+            <Network size={18} />
+            {t('keywordStrategy.serpClusters.title')}
+          </h3>
+          <p className={styles.subtitle}>{t('keywordStrategy.serpClusters.subtitle')}</p>
+        </div>
+        {canEdit && (
+          <div className={styles.controls}>
+            <label className={styles.muted}>
+              {t('keywordStrategy.serpClusters.minShared')}
+              <select
+                className={styles.input}
+                value={minShared}
+                onChange={(e) => setMinShared(Number(e.target.value))}
+              >
+                {MIN_SHARED_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <Button size="sm" onClick={handleRun} disabled={isRunning}>
+              {isRunning ? <Loader2 size={14} className={styles.spinner} /> : <Network size={14} />}
+              {t('keywordStrategy.serpClusters.run')}
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className={styles.error}>
+          <span>{error}</span>
+          <button type="button" onClick={() => setError(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      {result && (
+        <p className={styles.muted}>
+          {t('keywordStrategy.serpClusters.result', {
+            grouped: result.grouped,
+            withSerp: result.withSerp,
+            proposals: result.proposals,
+          })}
+          {result.missingSerp > 0 && ` ${t('keywordStrategy.serpClusters.missing', { count: result.missingSerp })}`}
+        </p>
+      )}
+
+      {proposals.length === 0 ? (
+        <p className={styles.muted}>{t('keywordStrategy.serpClusters.empty')}</p>
+      ) : (
+        <div className={styles.list}>
+          {proposals.map(proposal => (
+            <div key={proposal.id} className={styles.proposal}>
+              <div className={styles.proposalHeader}>
+                <span className={styles.head}>{proposal.headKeyword}</span>
+                <span className={`${styles.kind} ${proposal.kind === 'ATTACH' ? styles.kindAttach : ''}`}>
+                  {proposal.kind === 'ATTACH'
+                    ? t('keywordStrategy.serpClusters.attachTo', { name: proposal.cluster?.name || '—' })
+                    : t('keywordStrategy.serpClusters.newCluster')}
+                </span>
+                <span className={styles.muted}>
+                  {t('keywordStrategy.serpClusters.stats', {
+                    volume: proposal.searchVolume.toLocaleString(),
+                    overlap: Math.round(proposal.cohesion * 100),
+                  })}
+                </span>
+                {canEdit && (
+                  <div className={styles.actions}>
+                    {busyId === proposal.id ? (
+                      <Loader2 size={14} className={styles.spinner} />
+                    ) : (
+                      <>
+                        <button type="button" title={t('keywordStrategy.serpClusters.accept')} onClick={() => handleResolve(proposal, 'accept')}>
+                          <Check size={14} />
+                        </button>
+                        <button type="button" title={t('keywordStrategy.serpClusters.dismiss')} onClick={() => handleResolve(proposal, 'dismiss')}>
+                          <X size={14} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className={styles.keywords}>
+                {proposal.keywords.map(kw => (
+                  <span key={kw.id} className={styles.keywordChip}>
+                    {kw.keyword}
+                    {kw.searchVolume != null && <small>{kw.searchVolume.toLocaleString()}</small>}
+                  </span>
+                ))}
+              </div>
+
+              <div className={styles.recommendation}>
+                {proposal.entity ? (
+                  <>
+                    <PenLine size={13} />
+                    {t(`keywordStrategy.serpClusters.optimize.${proposal.entityMatch === 'ranking' ? 'ranking' : 'title'}`)}
+                    {' '}
+                    <a href={proposal.entity.url} target="_blank" rel="noopener noreferrer" dir="ltr">
+                      {proposal.entity.title || decodeDisplayUrl(proposal.entity.url)}
+                      <ExternalLink size={11} />
+                    </a>
+                  </>
+                ) : (
+                  <>
+                    <FileText size={13} />
+                    {t('keywordStrategy.serpClusters.createContent')}
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { Download, FileSearch, Check } from 'lucide-react';
+import { Button } from '@/app/dashboard/components';
+import styles from '../page.module.css';
+
+const FORMATS = ['redirection-csv', 'redirection-json', 'yoast-csv', 'rankmath-csv', 'htaccess', 'nginx'];
+const STATUSES = ['new', 'chain', 'conflicting', 'duplicate', 'loop', 'invalid'];
+
+/**
+ * Bulk import (dry run → apply) and multi-format export of the site's
+ * redirects. The report comes from POST /redirections/import with
+ * dryRun: true; applying sends the same content again with dryRun: false.
+ */
+export function ImportExportPanel({ siteId, translations, onImported, onError }) {
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('');
+  const [onConflict, setOnConflict] = useState('skip');
+  const [exportFormat, setExportFormat] = useState('redirection-csv');
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const fileRef = useRef(null);
+
+  const formatLabel = (f) => translations.formats?.[f] || f;
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setContent(await file.text());
+    setReport(null);
+  };
+
+  const runImport = async (dryRun) => {
+    if (!content.trim()) return;
+    setIsRunning(true);
+    try {
+      const res = await fetch(`/api/sites/${siteId}/redirections/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, format: format || undefined, dryRun, onConflict }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Import failed');
+
+      if (dryRun) {
+        setReport(data);
+      } else {
+        setReport(null);
+        setContent('');
+        setFileName('');
+        if (fileRef.current) fileRef.current.value = '';
+        onImported?.(data);
+      }
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  // Invalid lines come back separately from classified rules; show them in one list.
+  const rows = report ? [
+    ...report.items.map((i) => ({ ...i, key: `r${i.line}` })),
+    ...report.errors.map((e) => ({ line: e.line, status: 'invalid', message: e.message, skipped: true, key: `e${e.line}` })),
+  ].sort((a, b) => a.line - b.line) : [];
+
+  return (
+    <div className={styles.formCard}>
+      <h3 className={styles.cardTitle}>{translations.title}</h3>
+
+      <div className={styles.importGrid}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>{translations.file}</label>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".csv,.json,.txt,.conf,.htaccess,text/*,application/json"
+            className={styles.formInput}
+            onChange={handleFile}
+          />
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>{translations.format}</label>
+          <select className={styles.formSelect} value={format} onChange={(e) => { setFormat(e.target.value); setReport(null); }}>
+            <option value="">{translations.autoDetect}</option>
+            {FORMATS.map((f) => <option key={f} value={f}>{formatLabel(f)}</option>)}
+          </select>
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>{translations.onConflict}</label>
+          <select className={styles.formSelect} value={onConflict} onChange={(e) => { setOnConflict(e.target.value); setReport(null); }}>
+            <option value="skip">{translations.conflictSkip}</option>
+            <option value="overwrite">{translations.conflictOverwrite}</option>
+          </select>
+        </div>
+        <textarea
+          className={`${styles.formInput} ${styles.importTextarea}`}
+          placeholder={translations.pastePlaceholder}
+          value={content}
+          onChange={(e) => { setContent(e.target.value); setFileName(''); setReport(null); }}
+          dir="ltr"
+          rows={5}
+        />
+        <div className={styles.formActions}>
+          <Button onClick={() => runImport(true)} disabled={isRunning || !content.trim()}>
+            <FileSearch size={16} />
+            {isRunning && !report ? '...' : translations.preview}
+          </Button>
+          {report && (
+            <Button variant="primary" onClick={() => runImport(false)} disabled={isRunning || report.summary.toApply === 0}>
+              <Check size={16} />
+              {isRunning ? '...' : translations.apply.replace('{count}', report.summary.toApply)}
+            </Button>
+          )}
+          {fileName && <span className={styles.formHint}>{fileName}</span>}
+        </div>
+      </div>
+
+      {report && (
+        <div className={styles.importReport}>
+          <div className={styles.importSummary}>
+            <span className={styles.formHint}>{translations.detected.replace('{format}', formatLabel(report.format))}</span>
+            {STATUSES.map((st) => (
+              <span key={st} className={`${styles.importChip} ${styles[`import_${st}`]}`}>
+                {translations.statuses[st]}: {report.summary[st] || 0}
+              </span>
+            ))}
+          </div>
+          {rows.length > 0 && (
+            <div className={`${styles.tableContainer} ${styles.importTable}`}>
+              <table className={styles.table}>
+                <thead className={styles.tableHead}>
+                  <tr>
+                    <th style={{ width: '4rem' }}>{translations.line}</th>
+                    <th style={{ width: '7rem' }}>{translations.result}</th>
+                    <th>{translations.from}</th>
+                    <th>{translations.to}</th>
+                  </tr>
+                </thead>
+                <tbody className={styles.tableBody}>
+                  {rows.map((row) => (
+                    <tr key={row.key} className={row.skipped ? styles.inactiveRow : ''}>
+                      <td>{row.line}</td>
+                      <td>
+                        <span className={`${styles.importChip} ${styles[`import_${row.status}`]}`}>
+                          {translations.statuses[row.status]}
+                        </span>
+                      </td>
+                      {row.status === 'invalid' ? (
+                        <td colSpan={2}><span className={styles.formHint}>{row.message}</span></td>
+                      ) : (
+                        <>
+                          <td><span className={styles.urlPath} dir="ltr">{row.rule.sourceUrl}</span></td>
+                          <td>
+                            <span className={styles.urlPath} dir="ltr">{row.rule.targetUrl}</span>
+                            {row.path && <div className={styles.formHint} dir="ltr">{row.path.join(' → ')}</div>}
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className={styles.exportRow}>
+        <label className={styles.formLabel}>{translations.exportAs}</label>
+        <select className={styles.formSelect} value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+          {FORMATS.map((f) => <option key={f} value={f}>{formatLabel(f)}</option>)}
+        </select>
+        <Button
+          type="button"
+          onClick={() => { window.location.href = `/api/sites/${siteId}/redirections/export?format=${exportFormat}`; }}
+        >
+          <Download size={16} />
+          {translations.export}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -9,6 +9,9 @@ export function RedirectForm({ translations, onSubmit, editingRedirect, onCancel
   const [fromUrl, setFromUrl] = useState('');
   const [toUrl, setToUrl] = useState('');
   const [redirectType, setRedirectType] = useState('301');
+  const [matchType, setMatchType] = useState('EXACT');
+  const [preserveQuery, setPreserveQuery] = useState(false);
+  const [priority, setPriority] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const isEditing = !!editingRedirect;
@@ -20,35 +23,54 @@ export function RedirectForm({ translations, onSubmit, editingRedirect, onCancel
       setToUrl(editingRedirect.targetUrl || '');
       const typeMap = { PERMANENT: '301', TEMPORARY: '302', FOUND: '307' };
       setRedirectType(typeMap[editingRedirect.type] || '301');
+      setMatchType(editingRedirect.matchType || 'EXACT');
+      setPreserveQuery(!!editingRedirect.preserveQuery);
+      setPriority(editingRedirect.priority || 0);
     } else {
-      setFromUrl('');
-      setToUrl('');
-      setRedirectType('301');
+      resetFields();
     }
   }, [editingRedirect]);
 
+  const resetFields = () => {
+    setFromUrl('');
+    setToUrl('');
+    setRedirectType('301');
+    setMatchType('EXACT');
+    setPreserveQuery(false);
+    setPriority(0);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!fromUrl || !toUrl) return;
 
     setIsSubmitting(true);
-    const success = await onSubmit({ sourceUrl: fromUrl, targetUrl: toUrl, type: redirectType });
+    const success = await onSubmit({
+      sourceUrl: fromUrl,
+      targetUrl: toUrl,
+      type: redirectType,
+      matchType,
+      preserveQuery,
+      priority: Number(priority) || 0,
+    });
     setIsSubmitting(false);
 
     if (success) {
-      setFromUrl('');
-      setToUrl('');
-      setRedirectType('301');
+      resetFields();
     }
   };
 
   const handleCancel = () => {
-    setFromUrl('');
-    setToUrl('');
-    setRedirectType('301');
+    resetFields();
     onCancel?.();
   };
 
+  const fromPlaceholder = {
+    EXACT: translations.fromUrlPlaceholder,
+    WILDCARD: '/blog/*',
+    REGEX: '^/p/(\\d+)$',
+  }[matchType];
+
   return (
     <div className={styles.formCard}>
       <h3 className={styles.cardTitle}>
@@ -65,7 +87,7 @@ export function RedirectForm({ translations, onSubmit, editingRedirect, onCancel
           <input
             type="text"
             className={styles.formInput}
-            placeholder={translations.fromUrlPlaceholder}
+            placeholder={fromPlaceholder}
             value={fromUrl}
             onChange={(e) => setFromUrl(e.target.value)}
             dir="ltr"
@@ -96,6 +118,41 @@ export function RedirectForm({ translations, onSubmit, editingRedirect, onCancel
             <option value="307">{translations.temporaryRedirect}</option>
           </select>
         </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>{translations.matchType}</label>
+          <select
+            className={styles.formSelect}
+            value={matchType}
+            onChange={(e) => setMatchType(e.target.value)}
+          >
+            <option value="EXACT">{translations.matchExact}</option>
+            <option value="WILDCARD">{translations.matchWildcard}</option>
+            <option value="REGEX">{translations.matchRegex}</option>
+          </select>
+        </div>
+        <div className={styles.formOptions}>
+          <label className={styles.formCheckboxLabel}>
+            <input
+              type="checkbox"
+              checked={preserveQuery}
+              onChange={(e) => setPreserveQuery(e.target.checked)}
+            />
+            {translations.preserveQuery}
+          </label>
+          <label className={styles.formCheckboxLabel}>
+            {translations.priority}
+            <input
+              type="number"
+              className={styles.formPriorityInput}
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+              dir="ltr"
+            />
+          </label>
+          {matchType !== 'EXACT' && (
+            <span className={styles.formHint}>{translations.patternHint}</span>
+          )}
+        </div>
         <div className={styles.formActions}>
           <Button type="submit" variant="primary" disabled={isSubmitting}>
             {isSubmitting ? '...' : (
@@ -1 +1,2 @@
 export { RedirectForm } from './RedirectForm';
+export { ImportExportPanel } from './ImportExportPanel';
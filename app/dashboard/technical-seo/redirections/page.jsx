@@ -17,7 +17,7 @@ import {
 } from 'lucide-react';
 import { useLocale } from '@/app/context/locale-context';
 import { useSite } from '@/app/context/site-context';
-import { RedirectForm } from './components';
+import { RedirectForm, ImportExportPanel } from './components';
 import { Button, Skeleton } from '@/app/dashboard/components';
 import { decodeDisplayUrl } from '@/lib/urlDisplay';
 import styles from './page.module.css';
@@ -89,7 +89,11 @@ export default function RedirectionsPage() {
         const err = await res.json();
         throw new Error(err.error || 'Failed to create redirect');
       }
-      
+
+      const created = await res.json();
+      if (created.chains?.length) {
+        setToast({ type: 'warning', message: t('redirections.chainWarning') });
+      }
       await fetchRedirections();
       return true;
     } catch (err) {
@@ -111,7 +115,11 @@ export default function RedirectionsPage() {
         const err = await res.json();
         throw new Error(err.error || 'Failed to update redirect');
       }
-      
+
+      const updated = await res.json();
+      if (updated.chains?.length) {
+        setToast({ type: 'warning', message: t('redirections.chainWarning') });
+      }
       setEditingRedirect(null);
       await fetchRedirections();
       return true;
@@ -253,6 +261,49 @@ export default function RedirectionsPage() {
     cancel: t('common.cancel') || 'Cancel',
     editRedirect: t('redirections.editRedirect'),
     temporaryRedirect: t('redirections.temporaryRedirect'),
+    matchType: t('redirections.matchType'),
+    matchExact: t('redirections.matchExact'),
+    matchWildcard: t('redirections.matchWildcard'),
+    matchRegex: t('redirections.matchRegex'),
+    preserveQuery: t('redirections.preserveQuery'),
+    priority: t('redirections.priority'),
+    patternHint: t('redirections.patternHint'),
+  };
+
+  const importTranslations = {
+    title: t('redirections.import.title'),
+    file: t('redirections.import.file'),
+    format: t('redirections.import.format'),
+    autoDetect: t('redirections.import.autoDetect'),
+    onConflict: t('redirections.import.onConflict'),
+    conflictSkip: t('redirections.import.conflictSkip'),
+    conflictOverwrite: t('redirections.import.conflictOverwrite'),
+    pastePlaceholder: t('redirections.import.pastePlaceholder'),
+    preview: t('redirections.import.preview'),
+    apply: t('redirections.import.apply'),
+    detected: t('redirections.import.detected'),
+    line: t('redirections.import.line'),
+    result: t('redirections.import.result'),
+    from: t('redirections.from'),
+    to: t('redirections.to'),
+    exportAs: t('redirections.import.exportAs'),
+    export: t('redirections.import.export'),
+    formats: Object.fromEntries(
+      ['redirection-csv', 'redirection-json', 'yoast-csv', 'rankmath-csv', 'htaccess', 'nginx']
+        .map(f => [f, t(`redirections.import.formats.${f}`)])
+    ),
+    statuses: Object.fromEntries(
+      ['new', 'chain', 'conflicting', 'duplicate', 'loop', 'invalid']
+        .map(st => [st, t(`redirections.import.statuses.${st}`)])
+    ),
+  };
+
+  const handleImported = async (result) => {
+    const msg = t('redirections.import.done')
+      .replace('{created}', result.created)
+      .replace('{updated}', result.updated);
+    setToast({ type: result.summary?.chain ? 'warning' : 'success', message: msg });
+    await fetchRedirections();
   };
 
   return (
@@ -371,6 +422,16 @@ export default function RedirectionsPage() {
         onCancel={() => setEditingRedirect(null)}
       />
 
+      {/* Bulk import / export */}
+      {selectedSite?.id && (
+        <ImportExportPanel
+          siteId={selectedSite.id}
+          translations={importTranslations}
+          onImported={handleImported}
+          onError={setError}
+        />
+      )}
+
       {/* Redirects Table */}
       <div className={styles.tableCard}>
         <h3 className={styles.cardTitle}>
@@ -456,7 +517,12 @@ export default function RedirectionsPage() {
                       </button>
                     </td>
                     <td>
-                      <span className={styles.urlPath} dir="ltr">{decodeDisplayUrl(redirect.sourceUrl)}</span>
+                      <span className={styles.urlPath} dir="ltr">{redirect.matchType === 'REGEX' ? redirect.sourceUrl : decodeDisplayUrl(redirect.sourceUrl)}</span>
+                      {redirect.matchType && redirect.matchType !== 'EXACT' && (
+                        <span className={styles.matchBadge}>
+                          {redirect.matchType === 'REGEX' ? t('redirections.matchRegex') : t('redirections.matchWildcard')}
+                        </span>
+                      )}
                     </td>
                     <td>
                       <span className={styles.urlPath} dir="ltr">{decodeDisplayUrl(redirect.targetUrl)}</span>
@@ -599,6 +599,9 @@ export default function AuditOverviewTab({
             <WaveSVG animatedScore={animatedHealthScore} size={130} />
             <span className={styles.scoreLabel}>{t('siteAudit.healthScore')}</span>
             {comparisonData?.deltas && <DeltaBadge delta={comparisonData.deltas.score} />}
+            {comparisonData?.deltas?.scoringProfileChanged && (
+              <span className={styles.scoringProfileNote}>{t('siteAudit.scoringProfileChanged')}</span>
+            )}
           </div>
         </div>
 
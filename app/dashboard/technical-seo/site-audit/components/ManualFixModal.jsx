@@ -15,6 +15,7 @@ import {
   ExternalLink,
   ArrowRight,
   ClipboardList,
+  GitBranch,
 } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -34,6 +35,12 @@ import styles from './ManualFixModal.module.css';
  * a previously generated fix is free — the server answers with cached:true
  * and we show a "no additional charge" note instead (response-driven).
  *
+ * Git mode (site connected through its Git repository): the preview is free
+ * and comes back with `git` - the per-file diff of what would be committed.
+ * "Open branch" posts the apply action, which commits every fix onto one
+ * new review branch (never the base branch) and charges then. Closing
+ * without opening the branch settles the cancel fee, like the plugin modals.
+ *
  * Props:
  * - open: boolean
  * - onClose: () => void
@@ -42,7 +49,9 @@ import styles from './ManualFixModal.module.css';
  * - issueType: string        (fix-registry key, e.g. 'missing-title')
  * - issueTitle: string       (human label shown in the header)
  * - credits: number|null     (fixer cost if the caller knows it; confirm copy adapts)
- * - onFixed: (data) => void  (fired once per fresh generation, after a successful non-cached preview)
+ * - gitMode: boolean         (site writes through a Git repo branch - see above)
+ * - onFixed: (data) => void  (fired once per fresh generation, after a successful non-cached preview;
+ *                             in git mode, after the branch is pushed)
  */
 export default function ManualFixModal({
   open,
@@ -52,9 +61,10 @@ export default function ManualFixModal({
   issueType,
   issueTitle,
   credits = null,
+  gitMode = false,
   onFixed,
 }) {
-  const { t } = useLocale();
+  const { t, locale } = useLocale();
   const { isMaximized, toggleMaximize } = useModalResize();
 
   // tr(key, fallback) - t() echoes the key when the translation is missing.
@@ -73,9 +83,11 @@ export default function ManualFixModal({
   // 'confirm' | 'loading' | 'result' | 'error'
   const [step, setStep] = useState('confirm');
   const [error, setError] = useState(null);
-  // { outputs, cached, creditsUsed }
+  // { outputs, cached, creditsUsed, suggestions?, git? }
   const [result, setResult] = useState(null);
   const [copied, setCopied] = useState('');
+  // Git mode: 'idle' | 'pushing' | { branch, baseBranch } | { error }
+  const [branchState, setBranchState] = useState('idle');
 
   const requestingRef = useRef(false);
   const copyTimerRef = useRef(null);
@@ -88,6 +100,7 @@ export default function ManualFixModal({
       setError(null);
       setResult(null);
       setCopied('');
+      setBranchState('idle');
     }
   }, [open]);
 
@@ -105,7 +118,8 @@ export default function ManualFixModal({
       const res = await fetch('/api/audit/fix', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ auditId, siteId, issueType, action: 'preview' }),
+        // Fixers read the audit context from the payload.
+        body: JSON.stringify({ auditId, siteId, issueType, action: 'preview', payload: { auditId, locale } }),
       });
       const data = await res.json();
 
@@ -122,10 +136,12 @@ export default function ManualFixModal({
         outputs: data.manualOutputs || [],
         cached: !!data.cached,
         creditsUsed: data.creditsUsed || 0,
+        suggestions: data.suggestions || [],
+        git: data.git || null,
       });
       setStep('result');
 
-      if (!data.cached) {
+      if (!data.cached && !data.git) {
         if ((data.creditsUsed || 0) > 0) emitCreditsUpdated();
         onFixed?.(data);
       }
@@ -136,7 +152,55 @@ export default function ManualFixModal({
     } finally {
       requestingRef.current = false;
     }
-  }, [auditId, siteId, issueType, onFixed, tr]);
+  }, [auditId, siteId, issueType, locale, onFixed, tr]);
+
+  // ─── Git mode: push the branch (apply) / settle the cancel fee ──
+
+  const openBranch = useCallback(async () => {
+    if (requestingRef.current || !result?.suggestions?.length) return;
+    requestingRef.current = true;
+    setBranchState('pushing');
+    try {
+      const res = await fetch('/api/audit/fix', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId, siteId, issueType, action: 'apply', payload: { fixes: result.suggestions } }),
+      });
+      const data = await res.json();
+      if (!res.ok && res.status !== 207) {
+        if (data.code === 'INSUFFICIENT_CREDITS' && handleLimitError(data)) {
+          setBranchState('idle');
+          return;
+        }
+        throw new Error(data.error || tr('siteAudit.manualFix.git.pushFailed', 'Failed to open the branch.'));
+      }
+      if (!data.git?.branch) {
+        const firstError = (data.results || []).find((r) => r.pushError)?.pushError;
+        throw new Error(firstError || tr('siteAudit.manualFix.git.nothingToCommit', 'None of the fixes matched a file in the repository.'));
+      }
+      setBranchState({ branch: data.git.branch, baseBranch: data.git.baseBranch });
+      if ((data.creditsUsed || 0) > 0) emitCreditsUpdated();
+      onFixed?.(data);
+    } catch (err) {
+      console.error('[ManualFixModal] open branch error:', err);
+      setBranchState({ error: err.message });
+    } finally {
+      requestingRef.current = false;
+    }
+  }, [auditId, siteId, issueType, result, onFixed, tr]);
+
+  const handleClose = useCallback(() => {
+    if (gitMode && step === 'result' && !branchState?.branch) {
+      fetch('/api/audit/fix', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId, siteId, issueType, action: 'cancel' }),
+      }).then((res) => res.json()).then((data) => {
+        if ((data?.creditsUsed || 0) > 0) emitCreditsUpdated();
+      }).catch(() => {});
+    }
+    onClose?.();
+  }, [gitMode, step, branchState, auditId, siteId, issueType, onClose]);
 
   // ─── Copy helper (Copy → Check swap, like PostPopover) ──────────
 
@@ -164,11 +228,11 @@ export default function ManualFixModal({
   if (!open) return null;
 
   return createPortal(
-    <div className={styles.overlay} onClick={onClose}>
+    <div className={styles.overlay} onClick={handleClose}>
       <div className={`${styles.modal} ${isMaximized ? 'modal-maximized' : ''}`} onClick={(e) => e.stopPropagation()}>
         <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', position: 'absolute', top: '1rem', right: '1rem', zIndex: 1 }}>
           <ModalResizeButton isMaximized={isMaximized} onToggle={toggleMaximize} className={styles.closeBtn} />
-          <button className={styles.closeBtn} onClick={onClose}>
+          <button className={styles.closeBtn} onClick={handleClose}>
             <X size={18} />
           </button>
         </div>
@@ -176,9 +240,13 @@ export default function ManualFixModal({
         {/* Header */}
         <div className={styles.header}>
           <div className={styles.iconWrap}>
-            <ClipboardList size={24} />
+            {gitMode ? <GitBranch size={24} /> : <ClipboardList size={24} />}
           </div>
-          <h3 className={styles.title}>{tr('siteAudit.manualFix.title', 'Copy-paste fix')}</h3>
+          <h3 className={styles.title}>
+            {gitMode
+              ? tr('siteAudit.manualFix.git.title', 'Fix via Git branch')
+              : tr('siteAudit.manualFix.title', 'Copy-paste fix')}
+          </h3>
           {(issueTitle || issueType) && (
             <p className={styles.subtitle}>{issueTitle || issueType}</p>
           )}
@@ -188,10 +256,22 @@ export default function ManualFixModal({
         {step === 'confirm' && (
           <div className={styles.confirmState}>
             <p className={styles.confirmBody}>
-              {tr('siteAudit.manualFix.confirmBody',
-                'GhostSEO will generate ready-to-apply fix content (code snippets, values or step-by-step instructions) tailored to this site. You apply it yourself - nothing is changed on your site automatically.')}
+              {gitMode
+                ? tr('siteAudit.manualFix.git.confirmBody',
+                  'GhostSEO will generate the fix and show the exact changes to your repository files. Nothing is pushed until you open the branch, and the branch is never merged for you - review and merge it like any other change.')
+                : tr('siteAudit.manualFix.confirmBody',
+                  'GhostSEO will generate ready-to-apply fix content (code snippets, values or step-by-step instructions) tailored to this site. You apply it yourself - nothing is changed on your site automatically.')}
             </p>
-            {(credits == null || credits > 0) && (
+            {gitMode && (credits == null || credits > 0) && (
+              <div className={styles.chargeNote}>
+                <GCoinIcon size={14} />
+                <span>
+                  {tr('siteAudit.manualFix.git.chargeNote',
+                    'The preview is free. Opening the branch charges the fix price; closing after the preview charges a reduced fee.')}
+                </span>
+              </div>
+            )}
+            {!gitMode && (credits == null || credits > 0) && (
               <div className={styles.chargeNote}>
                 <GCoinIcon size={14} />
                 <span>
@@ -206,7 +286,7 @@ export default function ManualFixModal({
                 'Already generated for this audit? Reopening is free - you will not be charged twice.')}
             </p>
             <div className={styles.confirmActions}>
-              <button className={styles.cancelBtn} onClick={onClose}>
+              <button className={styles.cancelBtn} onClick={handleClose}>
                 {tr('siteAudit.manualFix.cancel', 'Cancel')}
               </button>
               <button className={styles.confirmBtn} onClick={generate}>
@@ -238,8 +318,47 @@ export default function ManualFixModal({
           </div>
         )}
 
+        {/* Step 3 (git mode) - diff preview + open branch */}
+        {step === 'result' && result?.git && (
+          <>
+            <div className={styles.outputsList}>
+              <GitChanges git={result.git} tr={tr} />
+            </div>
+            <div className={styles.footer}>
+              <span className={styles.footerInfo}>
+                {branchState?.branch ? (
+                  <>
+                    <CheckCircle2 size={14} color="var(--success, #22c55e)" />
+                    {tr('siteAudit.manualFix.git.pushed', 'Pushed {branch} - merge it into {base} to publish.', {
+                      branch: branchState.branch,
+                      base: branchState.baseBranch,
+                    })}
+                  </>
+                ) : branchState?.error ? (
+                  <span className={styles.errorMsg}>{branchState.error}</span>
+                ) : null}
+              </span>
+              {branchState?.branch ? (
+                <button className={styles.doneBtn} onClick={onClose}>
+                  <Check size={15} />
+                  {tr('siteAudit.manualFix.done', 'Done')}
+                </button>
+              ) : (
+                <button
+                  className={styles.doneBtn}
+                  onClick={openBranch}
+                  disabled={branchState === 'pushing' || !result.git.files?.length}
+                >
+                  {branchState === 'pushing' ? <Loader2 size={15} className={styles.spinning} /> : <GitBranch size={15} />}
+                  {tr('siteAudit.manualFix.git.openBranch', 'Open branch')}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
         {/* Step 3 - render manualOutputs */}
-        {step === 'result' && result && (
+        {step === 'result' && result && !result.git && (
           <>
             <div className={styles.outputsList}>
               {result.outputs.length === 0 && (
@@ -324,6 +443,79 @@ function downloadInlineFile(data) {
   URL.revokeObjectURL(url);
 }
 
+// ─── Git mode: per-file diff ──────────────────────────────────────
+
+function describeUnmatched(change) {
+  if (!change) return '';
+  if (change.kind === 'redirect') return `${change.from} → ${change.to}`;
+  if (change.kind === 'alt') return change.imageUrl;
+  return change.url || '';
+}
+
+function GitChanges({ git, tr }) {
+  if (git.error) {
+    return (
+      <div className={styles.errorState}>
+        <XCircle size={32} color="var(--error, #ef4444)" />
+        <p className={styles.errorMsg}>{git.error}</p>
+      </div>
+    );
+  }
+  return (
+    <>
+      {git.baseBranch && (
+        <p className={styles.outputWhy}>
+          {tr('siteAudit.manualFix.git.intro', 'Changes against {base}. They are committed to a new branch when you open it.', { base: git.baseBranch })}
+        </p>
+      )}
+      {(git.files || []).length === 0 && (
+        <div className={styles.emptyState}>
+          <CheckCircle2 size={32} color="var(--success, #22c55e)" />
+          <span>{tr('siteAudit.manualFix.git.noChanges', 'No repository file needs to change for these fixes.')}</span>
+        </div>
+      )}
+      {(git.files || []).map((file) => (
+        <div key={file.path} className={styles.codeCard}>
+          <div className={styles.codeHeader}>
+            <span className={styles.fileName} dir="ltr">{file.path}</span>
+            <span className={styles.diffStat} dir="ltr">
+              <span className={styles.diffAddStat}>+{file.additions}</span>
+              <span className={styles.diffDelStat}>-{file.deletions}</span>
+            </span>
+          </div>
+          <pre dir="ltr" className={styles.codeBlock}>
+            {file.diff.split('\n').slice(2).map((line, i) => (
+              <div
+                key={i}
+                className={line.startsWith('@@') ? styles.diffHunk
+                  : line.startsWith('+') ? styles.diffAdd
+                    : line.startsWith('-') ? styles.diffDel : undefined}
+              >
+                {line || ' '}
+              </div>
+            ))}
+          </pre>
+        </div>
+      ))}
+      {(git.unmatched || []).length > 0 && (
+        <div className={styles.instructions}>
+          <span className={styles.instructionsLabel}>
+            {tr('siteAudit.manualFix.git.unmatched', 'Not changed')}
+          </span>
+          <ul className={styles.stepsList}>
+            {git.unmatched.map((u, i) => (
+              <li key={i}>
+                <bdi dir="ltr">{describeUnmatched(u.change)}</bdi>
+                {u.error && <span className={styles.stepNote}>{u.error}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
 // ─── Per-kind renderers ───────────────────────────────────────────
 
 /**
@@ -47,6 +47,7 @@ import AccessibilityTab from './components/AccessibilityTab';
 import ErrorLog from './components/ErrorLog';
 import { toImgSrc, filmSrc } from './lib/img-src';
 import PluginRequiredModal from './components/PluginRequiredModal';
+import ManualFixModal from './components/ManualFixModal';
 import FixTitlePreviewModal from './components/FixTitlePreviewModal';
 import FixDescriptionPreviewModal from './components/FixDescriptionPreviewModal';
 import FixOGPreviewModal from './components/FixOGPreviewModal';
@@ -69,6 +70,10 @@ import styles from './site-audit.module.css';
 
 const POLL_INTERVAL = 3000;
 
+// Fixer handlers a Git-connected site applies as a review branch (mirrors
+// GIT_FIX_CHANGES in app/api/audit/fix/route.js).
+const GIT_FIX_HANDLERS = new Set(['title', 'description', 'og', 'alt', 'brokenLink']);
+
 /**
  * Fixable-issue classification lives in lib/audit/fix-registry.js as the single
  * source of truth. Use isAiFixable() / isFreeFixable() / getFixer() helpers.
@@ -195,6 +200,8 @@ export default function SiteAuditPage() {
   const [scanStepIndex, setScanStepIndex] = useState(0);
   const [lightboxImg, setLightboxImg] = useState(null);
   const [showPluginModal, setShowPluginModal] = useState(false);
+  // Git-connected static site: { issueKey, title } of the fix being branched
+  const [gitFixIssue, setGitFixIssue] = useState(null);
   const [showTitleFixModal, setShowTitleFixModal] = useState(false);
   const [showDescFixModal, setShowDescFixModal] = useState(false);
   const [showOGFixModal, setShowOGFixModal] = useState(false);
@@ -1063,8 +1070,14 @@ export default function SiteAuditPage() {
 
   /** Check plugin connection and handle AI Fix click */
   const isPluginConnected = selectedSite?.connectionStatus === 'CONNECTED' && !!selectedSite?.siteKey;
+  // Static sites connected through their Git repo get fixes as a review branch.
+  const isGitConnected = selectedSite?.integrationType === 'GIT_REPO' && selectedSite?.connectionStatus === 'CONNECTED';
 
   const handleAiFix = (issueKey, issue) => {
+    if (isGitConnected && GIT_FIX_HANDLERS.has(getFixer(issueKey)?.handler)) {
+      setGitFixIssue({ issueKey, title: translateIssueMsg(issueKey) });
+      return;
+    }
     if (!isPluginConnected) {
       setShowPluginModal(true);
       return;
@@ -2373,6 +2386,18 @@ export default function SiteAuditPage() {
         onClose={() => setShowPluginModal(false)}
       />
 
+      {/* Git branch fix (static sites connected through their repository) */}
+      <ManualFixModal
+        open={!!gitFixIssue}
+        onClose={() => setGitFixIssue(null)}
+        siteId={selectedSite?.id}
+        auditId={latestAudit?.id}
+        issueType={gitFixIssue?.issueKey}
+        issueTitle={gitFixIssue?.title}
+        credits={gitFixIssue ? getFixer(gitFixIssue.issueKey)?.credits ?? null : null}
+        gitMode
+      />
+
       {/* Confirmation modal for per-issue / aggregate rechecks. The actual
           recheck runs in the background after confirm — see useRecheck. */}
       <RecheckConfirmModal
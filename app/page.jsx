@@ -1,11 +1,8 @@
-import { cookies } from 'next/headers';
 import { redirect } from 'next/navigation';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 export default async function HomePage() {
-  const cookieStore = await cookies();
-  const userId = cookieStore.get(SESSION_COOKIE)?.value;
+  const userId = await getSessionUserId();
 
   if (userId) {
     redirect('/dashboard');
@@ -107,6 +107,11 @@ export async function purgeArchivedAccount({ accountId }) {
 
     await tx.site.deleteMany({ where: { accountId } });
     await tx.aiCreditsLog.deleteMany({ where: { accountId } });
+    await tx.automationRun.deleteMany({ where: { accountId } });
+    await tx.automation.deleteMany({ where: { accountId } });
+    await tx.webhookDelivery.deleteMany({ where: { accountId } });
+    await tx.webhookEndpoint.deleteMany({ where: { accountId } });
+    await tx.activityLog.deleteMany({ where: { accountId } });
     await tx.subscription.deleteMany({ where: { accountId } });
     await tx.accountMember.deleteMany({ where: { accountId } });
     await tx.role.deleteMany({ where: { accountId } });
@@ -11,11 +11,15 @@
  * Server-side enforcement:
  *   const check = await enforceResourceLimit(accountId, 'siteAudits');
  *   if (!check.allowed) return NextResponse.json(check, { status: 403 });
+ *
+ * Every enforce* gate also refuses with code ACCOUNT_READ_ONLY while the
+ * account's subscription is in the dunning read-only window (lib/dunning.js).
  */
 
 import prisma from './prisma';
 import { getLimitFromPlan } from './account-utils';
 import { getNextFirstOfMonth } from './proration';
+import { isAccountReadOnly } from './dunning';
 
 // ── Resource → AddOnType mapping ─────────────────────────────────
 
@@ -38,6 +42,12 @@ const RESOURCE_TO_PLAN_KEY = {
 
 // ── Helpers ──────────────────────────────────────────────────────
 
+const READ_ONLY_RESULT = {
+  allowed: false,
+  code: 'ACCOUNT_READ_ONLY',
+  error: 'Account is read-only until the overdue payment is resolved',
+};
+
 /**
  * Compute the extra capacity provided by active add-on purchases
  * for a given resource key.
@@ -449,6 +459,8 @@ export async function getAddOnsForResource(resourceKey, locale = 'EN') {
  * @returns {Promise<{ allowed: boolean, code?: string, resourceKey?: string, usage?: object }>}
  */
 export async function enforceResourceLimit(accountId, resourceKey) {
+  if (await isAccountReadOnly(accountId)) return { ...READ_ONLY_RESULT, resourceKey };
+
   const usage = await getAccountUsage(accountId, resourceKey);
 
   if (usage.isLimitReached) {
@@ -474,6 +486,7 @@ export async function enforceResourceLimit(accountId, resourceKey) {
  */
 export async function enforceResourceCapacity(accountId, resourceKey, requiredCount) {
   if (!requiredCount || requiredCount <= 0) return { allowed: true, remaining: null };
+  if (await isAccountReadOnly(accountId)) return { ...READ_ONLY_RESULT, resourceKey };
 
   const usage = await getAccountUsage(accountId, resourceKey);
 
@@ -529,6 +542,8 @@ export async function enforceCompetitorCapacity(accountId, _siteId, requiredCoun
  * @returns {Promise<{ allowed: boolean, code?: string, resourceKey?: string, usage?: object }>}
  */
 export async function enforceCredits(accountId, requiredCredits) {
+  if (await isAccountReadOnly(accountId)) return { ...READ_ONLY_RESULT, resourceKey: 'aiCredits' };
+
   const usage = await getAccountUsage(accountId, 'aiCredits');
 
   if (usage.isLimitReached || (usage.remaining !== null && usage.remaining < requiredCredits)) {
@@ -0,0 +1,58 @@
+/**
+ * Member status changes shared by Settings → Users and SCIM provisioning
+ * (app/api/scim/v2), so a member deprovisioned in the IdP is suspended
+ * exactly like one suspended by hand.
+ */
+import prisma from '@/lib/prisma';
+import { revokeUserSessions } from '@/lib/auth-session';
+
+/**
+ * Suspend an active member and sign them out everywhere.
+ *
+ * @param {Object} targetMember - AccountMember row
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function suspendMember(targetMember) {
+  // Cannot suspend owner
+  if (targetMember.isOwner) {
+    return { success: false, error: 'Cannot suspend owner' };
+  }
+
+  // Can only suspend active members
+  if (targetMember.status !== 'ACTIVE') {
+    return { success: false, error: 'Can only suspend active members' };
+  }
+
+  await prisma.accountMember.update({
+    where: { id: targetMember.id },
+    data: { status: 'SUSPENDED' },
+  });
+
+  // Sign the member out everywhere so the suspension takes effect now
+  // rather than when their session expires.
+  if (targetMember.userId) {
+    await revokeUserSessions(targetMember.userId);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Reactivate a suspended member.
+ *
+ * @param {Object} targetMember - AccountMember row
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function activateMember(targetMember) {
+  // Can only activate suspended members
+  if (targetMember.status !== 'SUSPENDED') {
+    return { success: false, error: 'Can only activate suspended members' };
+  }
+
+  await prisma.accountMember.update({
+    where: { id: targetMember.id },
+    data: { status: 'ACTIVE' },
+  });
+
+  return { success: true };
+}
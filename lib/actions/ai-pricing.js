@@ -13,7 +13,9 @@ const CACHE_TTL_MS = 60 * 1000; // 1 minute
 /**
  * Fetch all AI feature prices.
  * Uses a short-lived in-memory cache to avoid DB hits on every render.
- * @returns {Promise<Record<string, { id: string, featureKey: string, displayName: string, creditCost: number }>>}
+ * Model token-pricing rows (`model:<provider>/<modelId>`) carry their
+ * per-1M-token rates alongside.
+ * @returns {Promise<Record<string, { id: string, featureKey: string, displayName: string, creditCost: number, inputCreditsPerMillion?: number, outputCreditsPerMillion?: number }>>}
  */
 export async function getAiPricing() {
   const now = Date.now();
@@ -29,6 +31,10 @@ export async function getAiPricing() {
       featureKey: row.featureKey,
       displayName: row.displayName,
       creditCost: row.creditCost,
+      ...(row.featureKey.startsWith('model:') ? {
+        inputCreditsPerMillion: row.inputCreditsPerMillion ?? 0,
+        outputCreditsPerMillion: row.outputCreditsPerMillion ?? 0,
+      } : {}),
     };
   }
 
@@ -53,8 +59,32 @@ export async function getFeatureCreditCost(featureKey) {
   return getOperationConfig(featureKey).credits;
 }
 
+/**
+ * Get the token pricing of a model, keyed by modelPricingKey() from lib/ai/credits.js.
+ * @param {string} modelKey - `model:<provider>/<modelId>`
+ * @returns {Promise<{ inputCreditsPerMillion: number, outputCreditsPerMillion: number }|null>}
+ */
+export async function getModelTokenPricing(modelKey) {
+  const pricing = await getAiPricing();
+  const row = pricing[modelKey];
+  if (!row) return null;
+  return {
+    inputCreditsPerMillion: row.inputCreditsPerMillion,
+    outputCreditsPerMillion: row.outputCreditsPerMillion,
+  };
+}
+
+/**
+ * Drop the cached pricing map (after model token pricing is edited elsewhere).
+ */
+export async function invalidateAiPricingCache() {
+  pricingCache = null;
+  pricingCacheTimestamp = 0;
+}
+
 /**
  * Get all pricing rows as an array (for the admin UI).
+ * Model token-pricing rows are managed on the AI providers page and left out.
  * @returns {Promise<Array>}
  */
 export async function getAiPricingList() {
@@ -63,6 +93,7 @@ export async function getAiPricingList() {
     return { error: 'Unauthorized' };
   }
   const rows = await prisma.aiFeaturePricing.findMany({
+    where: { NOT: { featureKey: { startsWith: 'model:' } } },
     orderBy: { featureKey: 'asc' },
   });
   return rows.map((r) => ({
@@ -10,12 +10,16 @@
  * 3. Surgical Diff Generation - H1 diffs, paragraph diffs, internal link injection
  * 
  * Flow:
- *   startDifferentiationJob() → creates BackgroundJob (PENDING) → fires async processDifferentiationJob()
+ *   startDifferentiationJob() → creates BackgroundJob (PROCESSING) → enqueues a CONTENT_DIFFERENTIATION
+ *   queue job (lib/queue) that runs processDifferentiationJob() in its own worker invocation
  *   processDifferentiationJob() → Step 1: Alpha Page → Step 2: AI Safety Net → Step 3: Format Results
  */
 
 import { z } from 'zod';
 import prisma from '../prisma.js';
+import { enqueueJob } from '../queue/queue.js';
+import { kickQueue } from '../queue/dispatcher.js';
+import { JOB_PRIORITY } from '../queue/job-types.js';
 import { generateStructuredResponse, MODELS } from '../ai/gemini.js';
 import { refreshAccessToken, fetchGSCPageMetrics } from '../google-integration.js';
 import { getFeatureCreditCost } from './ai-pricing.js';
@@ -245,9 +249,10 @@ async function updateJobProgress(jobId, progress, message, extra = {}) {
 
 /**
  * Process the content differentiation job asynchronously.
- * Updates the BackgroundJob record at each step.
+ * Updates the BackgroundJob record at each step. Run by the
+ * CONTENT_DIFFERENTIATION queue handler (lib/queue/handlers.js).
  */
-async function processDifferentiationJob(jobId) {
+export async function processDifferentiationJob(jobId) {
   try {
     // Load the job
     const job = await prisma.backgroundJob.findUnique({ where: { id: jobId } });
@@ -443,8 +448,8 @@ async function processDifferentiationJob(jobId) {
 
 /**
  * Start a content differentiation background job.
- * Creates the BackgroundJob record, returns the jobId immediately,
- * then fires the async processing without blocking the response.
+ * Creates the BackgroundJob record, queues the processing and returns the
+ * jobId immediately. If the worker running it dies, the queue re-runs it.
  * 
  * @param {Object} params
  * @param {string[]} params.pageIds - SiteEntity IDs to differentiate
@@ -469,16 +474,13 @@ export async function startDifferentiationJob({ pageIds, siteId, userId, account
     },
   });
 
-  // Fire async processing (non-blocking - the promise runs in the background)
-  // In Vercel, this leverages the event loop before the function freezes.
-  // For long jobs, the cron/webhook pattern ensures completion.
-  processDifferentiationJob(job.id).catch(err => {
-    console.error(`[Differentiation] Background task error for job ${job.id}:`, err);
-    prisma.backgroundJob.update({
-      where: { id: job.id },
-      data: { status: 'FAILED', error: err.message },
-    }).catch(() => {});
+  await enqueueJob('CONTENT_DIFFERENTIATION', { backgroundJobId: job.id }, {
+    accountId,
+    siteId,
+    priority: JOB_PRIORITY.HIGH,
+    dedupeKey: `CONTENT_DIFFERENTIATION:${job.id}`,
   });
+  kickQueue(['CONTENT_DIFFERENTIATION']);
 
   return { jobId: job.id };
 }
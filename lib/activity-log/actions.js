@@ -0,0 +1,66 @@
+/**
+ * Account activity log - action catalog.
+ *
+ * Import-free so the settings viewer can build its filters from the same
+ * list the routes record against.
+ *
+ *   category - groups actions in the viewer's filter
+ */
+
+export const ACTIVITY_CATEGORIES = ['members', 'roles', 'agent', 'chat', 'integrations', 'billing', 'security', 'account'];
+
+export const ACTIVITY_ACTIONS = Object.freeze({
+  'member.invited': { category: 'members' },
+  'member.updated': { category: 'members' },
+  'member.removed': { category: 'members' },
+  'member.suspended': { category: 'members' },
+  'member.activated': { category: 'members' },
+  'member.provisioned': { category: 'members' },
+
+  'role.created': { category: 'roles' },
+  'role.updated': { category: 'roles' },
+  'role.deleted': { category: 'roles' },
+
+  'fix.applied': { category: 'agent' },
+
+  'chat_action.rolled_back': { category: 'chat' },
+
+  'mcp_token.created': { category: 'integrations' },
+  'mcp_token.revoked': { category: 'integrations' },
+  'webhook.created': { category: 'integrations' },
+  'webhook.updated': { category: 'integrations' },
+  'webhook.deleted': { category: 'integrations' },
+
+  'subscription.plan_changed': { category: 'billing' },
+  'subscription.canceled': { category: 'billing' },
+  'addon.purchased': { category: 'billing' },
+  'addon.canceled': { category: 'billing' },
+  'payment_method.updated': { category: 'billing' },
+  'payment_method.removed': { category: 'billing' },
+
+  'security.updated': { category: 'security' },
+  'sso.updated': { category: 'security' },
+  'sso.domain_verified': { category: 'security' },
+  'sso.scim_token_created': { category: 'security' },
+  'sso.scim_token_revoked': { category: 'security' },
+
+  'activity_log.retention_changed': { category: 'account' },
+  'activity_log.exported': { category: 'account' },
+});
+
+export const ACTIVITY_ACTION_KEYS = Object.keys(ACTIVITY_ACTIONS);
+
+export const ACTIVITY_ACTOR_TYPES = ['USER', 'SUPPORT', 'SCIM', 'SYSTEM'];
+
+// Retention choices offered in settings (days). Account.activityRetentionDays
+// defaults to DEFAULT_ACTIVITY_RETENTION_DAYS.
+export const ACTIVITY_RETENTION_DAYS = [30, 90, 180, 365, 730];
+export const DEFAULT_ACTIVITY_RETENTION_DAYS = 365;
+
+export function isActivityAction(action) {
+  return Object.prototype.hasOwnProperty.call(ACTIVITY_ACTIONS, action);
+}
+
+export function actionsInCategory(category) {
+  return ACTIVITY_ACTION_KEYS.filter(key => ACTIVITY_ACTIONS[key].category === category);
+}
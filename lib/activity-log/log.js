@@ -0,0 +1,263 @@
+/**
+ * Account activity log - recording, querying and export.
+ *
+ *   recordActivity()  - called from API routes after a change succeeds.
+ *                       Appends one ActivityLog row with the actor, target,
+ *                       before/after summary, IP and user agent.
+ *   activityWhere()   - the viewer / export filters as a Prisma where clause
+ *   purgeExpiredActivity() - retention sweep (cron)
+ *
+ * Entries are append-only: nothing updates or deletes them except the
+ * retention sweep and the archived-account purge.
+ */
+
+import { headers } from 'next/headers';
+import prisma from '@/lib/prisma';
+import { getActiveImpersonation } from '@/lib/impersonation-context';
+import {
+  ACTIVITY_ACTIONS,
+  ACTIVITY_ACTOR_TYPES,
+  ACTIVITY_CATEGORIES,
+  DEFAULT_ACTIVITY_RETENTION_DAYS,
+  actionsInCategory,
+  isActivityAction,
+} from './actions.js';
+
+const SUMMARY_LIMIT = 4096;
+const MAX_USER_AGENT_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function requestMeta() {
+  try {
+    const headerList = await headers();
+    const fwd = headerList.get('x-forwarded-for');
+    const ua = headerList.get('user-agent');
+    return {
+      ipAddress: fwd ? fwd.split(',')[0].trim() : headerList.get('x-real-ip') || null,
+      userAgent: ua ? ua.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    };
+  } catch {
+    // Outside a request (queue handler, cron)
+    return { ipAddress: null, userAgent: null };
+  }
+}
+
+// before / after are summaries, not snapshots - cap what one entry can hold.
+function summarize(value) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= SUMMARY_LIMIT) return JSON.parse(json);
+  return { truncated: true, preview: json.slice(0, SUMMARY_LIMIT) };
+}
+
+/**
+ * The fields of `after` whose values differ from `before`, as a
+ * { before, after } pair for an update entry.
+ *
+ * @param {Object} before - Row before the change
+ * @param {Object} after - Written fields (undefined values are skipped)
+ * @param {string[]} [keys] - Restrict to these fields
+ */
+export function diffFields(before, after, keys = Object.keys(after || {})) {
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of keys) {
+    if (after?.[key] === undefined) continue;
+    if (JSON.stringify(before?.[key] ?? null) === JSON.stringify(after[key])) continue;
+    changedBefore[key] = before?.[key] ?? null;
+    changedAfter[key] = after[key];
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Target for an AccountMember entry; pass a member loaded with
+ * `user: { select: { email: true } }` so the entry names the person.
+ */
+export function memberTarget(member) {
+  return { type: 'member', id: member.id, label: member.user?.email || member.inviteEmail || null };
+}
+
+/**
+ * Append an entry to an account's activity log. Never throws - a logging
+ * problem must not fail the change it describes.
+ *
+ * While a support admin impersonates a member of the account, the entry is
+ * recorded as SUPPORT on behalf of that member, with the admin's id.
+ *
+ * @param {Object} entry
+ * @param {string} entry.accountId
+ * @param {string} entry.action - ACTIVITY_ACTIONS key
+ * @param {string} [entry.userId] - The member who acted
+ * @param {string} [entry.actorType] - SCIM / SYSTEM for changes nobody signed in made
+ * @param {{ type: string, id?: string, label?: string }} [entry.target]
+ * @param {string} [entry.siteId]
+ * @param {Object} [entry.before] - Summary of the state before the change
+ * @param {Object} [entry.after] - Summary of the state after it
+ */
+export async function recordActivity({ accountId, action, userId = null, actorType = null, target = null, siteId = null, before = null, after = null }) {
+  try {
+    if (!accountId || !isActivityAction(action)) return;
+
+    const [impersonation, meta] = await Promise.all([getActiveImpersonation(), requestMeta()]);
+    const bySupport = !!impersonation && impersonation.targetAccountId === accountId;
+    const actorUserId = bySupport ? impersonation.targetUserId : userId;
+
+    const actor = actorUserId
+      ? await prisma.user.findUnique({ where: { id: actorUserId }, select: { email: true } })
+      : null;
+
+    await prisma.activityLog.create({
+      data: {
+        accountId,
+        actorType: bySupport ? 'SUPPORT' : actorType || (actorUserId ? 'USER' : 'SYSTEM'),
+        actorUserId,
+        actorEmail: actor?.email || null,
+        impersonatorUserId: bySupport ? impersonation.adminUserId : null,
+        action,
+        targetType: target?.type || null,
+        targetId: target?.id ? String(target.id) : null,
+        targetLabel: target?.label ? String(target.label).slice(0, 200) : null,
+        siteId,
+        before: summarize(before),
+        after: summarize(after),
+        ...meta,
+      },
+      select: { id: true },
+    });
+  } catch (error) {
+    console.error(`[ActivityLog] Failed to record ${action} for account ${accountId}:`, error.message);
+  }
+}
+
+/**
+ * Viewer / export filters from the query string: ?category=, ?action=,
+ * ?actor=<userId>, ?actorType=, ?q= (actor email or target), ?from=, ?to=
+ * (ISO dates, `to` inclusive of that day).
+ */
+export function activityWhere(accountId, searchParams) {
+  const where = { accountId };
+
+  const action = searchParams.get('action');
+  const category = searchParams.get('category');
+  if (action && ACTIVITY_ACTIONS[action]) {
+    where.action = action;
+  } else if (ACTIVITY_CATEGORIES.includes(category)) {
+    where.action = { in: actionsInCategory(category) };
+  }
+
+  const actor = searchParams.get('actor');
+  if (actor && /^[a-f0-9]{24}$/i.test(actor)) where.actorUserId = actor;
+
+  const actorType = searchParams.get('actorType');
+  if (ACTIVITY_ACTOR_TYPES.includes(actorType)) where.actorType = actorType;
+
+  const q = searchParams.get('q')?.trim();
+  if (q) {
+    where.OR = [
+      { actorEmail: { contains: q, mode: 'insensitive' } },
+      { targetLabel: { contains: q, mode: 'insensitive' } },
+      { targetId: q },
+    ];
+  }
+
+  const from = searchParams.get('from') ? new Date(searchParams.get('from')) : null;
+  const to = searchParams.get('to') ? new Date(searchParams.get('to')) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    where.createdAt = {
+      ...(from && !isNaN(from) && { gte: from }),
+      ...(to && !isNaN(to) && { lt: new Date(to.getTime() + DAY_MS) }),
+    };
+  }
+
+  return where;
+}
+
+export function serializeActivity(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    category: ACTIVITY_ACTIONS[entry.action]?.category || null,
+    actorType: entry.actorType,
+    actorUserId: entry.actorUserId,
+    actorEmail: entry.actorEmail,
+    impersonatorUserId: entry.impersonatorUserId,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    targetLabel: entry.targetLabel,
+    siteId: entry.siteId,
+    before: entry.before,
+    after: entry.after,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    createdAt: entry.createdAt,
+  };
+}
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorType',
+  'actorEmail',
+  'actorUserId',
+  'impersonatorUserId',
+  'targetType',
+  'targetId',
+  'targetLabel',
+  'siteId',
+  'before',
+  'after',
+  'ipAddress',
+  'userAgent',
+];
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas,
+// so labels and user agents from members could run on the exporter's machine.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  let s = v == null ? '' : typeof v === 'object' && !(v instanceof Date) ? JSON.stringify(v) : String(v);
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function activityToCsv(entries) {
+  const rows = entries.map(entry => {
+    const row = serializeActivity(entry);
+    return CSV_COLUMNS.map(column => (column === 'createdAt' ? new Date(row.createdAt).toISOString() : row[column]));
+  });
+  return [CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Delete entries older than each account's retention period.
+ *
+ * @returns {Promise<number>} Entries deleted
+ */
+export async function purgeExpiredActivity(now = new Date()) {
+  const cutoff = (days) => new Date(now.getTime() - days * DAY_MS);
+
+  const custom = await prisma.account.findMany({
+    where: { activityRetentionDays: { not: DEFAULT_ACTIVITY_RETENTION_DAYS } },
+    select: { id: true, activityRetentionDays: true },
+  });
+
+  let deleted = (await prisma.activityLog.deleteMany({
+    where: {
+      createdAt: { lt: cutoff(DEFAULT_ACTIVITY_RETENTION_DAYS) },
+      ...(custom.length > 0 && { accountId: { notIn: custom.map(a => a.id) } }),
+    },
+  })).count;
+
+  const byDays = new Map();
+  for (const account of custom) {
+    byDays.set(account.activityRetentionDays, [...(byDays.get(account.activityRetentionDays) || []), account.id]);
+  }
+  for (const [days, accountIds] of byDays) {
+    deleted += (await prisma.activityLog.deleteMany({
+      where: { accountId: { in: accountIds }, createdAt: { lt: cutoff(days) } },
+    })).count;
+  }
+
+  return deleted;
+}
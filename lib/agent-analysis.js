@@ -11,6 +11,9 @@ import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
 import { generateStructuredResponse } from '@/lib/ai/gemini.js';
 import { performEntitySync, acquireSyncLock, releaseSyncLock } from '@/lib/entity-sync';
 import { notifyAccountMembers } from '@/lib/notifications';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
+import { dispatchAutomationEvent, hasActiveAutomations } from '@/lib/automations/dispatch';
+import { getInsightType } from '@/lib/agent-fix/registry.js';
 import { syncWidgetData } from '@/lib/widget-sync';
 import {
   refreshAccessToken,
@@ -223,9 +226,10 @@ export async function runSiteAnalysis(siteId, accountId, source = 'cron', existi
     // Map from dedup key → new insight data (for updating stale data on existing insights)
     const currentInsightByKey = new Map(insights.map(i => [buildDedupKey(i.titleKey, i.data), i]));
 
-    // Fetch all active (non-terminal) insights for this site
+    // Fetch all active (non-terminal) insights for this site. Access-log
+    // insights are re-checked by the next log upload, not by this run.
     const existingInsights = await prisma.agentInsight.findMany({
-      where: { siteId, status: { in: ['PENDING', 'EXECUTED', 'APPROVED', 'FAILED'] } },
+      where: { siteId, status: { in: ['PENDING', 'EXECUTED', 'APPROVED', 'FAILED'] }, source: { not: 'access-log' } },
       select: { id: true, titleKey: true, data: true, status: true },
     });
 
@@ -328,6 +332,39 @@ export async function runSiteAnalysis(siteId, accountId, source = 'cron', existi
       });
     }
 
+    // Outbound webhooks for the new HIGH/CRITICAL insights. createMany returns
+    // no ids, so read this batch's rows back.
+    if (newInsights.some(i => i.priority === 'HIGH' || i.priority === 'CRITICAL')) {
+      const urgent = await prisma.agentInsight.findMany({
+        where: { siteId, batchId, priority: { in: ['HIGH', 'CRITICAL'] } },
+        select: { id: true, category: true, type: true, priority: true, titleKey: true, descriptionKey: true, data: true, actionType: true },
+      });
+      for (const { id, ...insight } of urgent) {
+        await emitWebhookEvent(accountId, 'insight.high_priority', {
+          insightId: id,
+          siteName: site.name || site.url,
+          ...insight,
+        }, { siteId });
+      }
+    }
+
+    // INSIGHT_CREATED automations get one event per new insight. Same
+    // read-back as above, only when the site has such an automation.
+    if (newInsights.length > 0 && await hasActiveAutomations(siteId, 'INSIGHT_CREATED')) {
+      const created = await prisma.agentInsight.findMany({
+        where: { siteId, batchId, status: 'PENDING' },
+        select: { id: true, titleKey: true, category: true, priority: true, type: true },
+      });
+      await dispatchAutomationEvent(siteId, 'INSIGHT_CREATED', created.map(insight => ({
+        insightId: insight.id,
+        insightType: getInsightType(insight.titleKey),
+        titleKey: insight.titleKey,
+        category: insight.category,
+        priority: insight.priority,
+        type: insight.type,
+      })));
+    }
+
     // Any of the above writes (resolve stale, update existing, create new) warrant
     // invalidating the insight list cache for this site.
     if (staleInsightIds.length > 0 || insightsToUpdate.length > 0 || newInsights.length > 0) {
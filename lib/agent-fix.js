@@ -28,7 +28,7 @@ import {
   applyRescanCompetitorsFix,
   applySlugSuffixCleanupFix,
 } from '@/lib/agent-fix/free-handlers.js';
-import { cms as _cms } from '@/lib/cms';
+import { cms as _cms, resolveIntegrationType, INTEGRATION_TYPES } from '@/lib/cms';
 
 // ─── Year Replacement Helper ─────────────────────────────────────────
 
@@ -152,6 +152,16 @@ async function resolveEntityToWpPost(site, { entityId, url }) {
   const postType = entity.entityType?.slug || 'page';
   const isProtected = entity.isProtected || false;
 
+  // Headless CMS entry ids are opaque strings (not WP's numeric ids), and a
+  // crawled entity without one is still addressable by URL - the adapter
+  // resolves it through the mapped slug field. Git-repo sites address pages
+  // by URL too (the adapter maps it to a source file).
+  const integrationType = resolveIntegrationType(site);
+  if (integrationType === INTEGRATION_TYPES.HEADLESS_CMS || integrationType === INTEGRATION_TYPES.GIT_REPO) {
+    const ref = entity.externalId || entity.url;
+    return ref ? { wpPostId: String(ref), postType, title: entity.title, content: entity.content, isProtected } : null;
+  }
+
   // If externalId is missing, resolve the WP post via the plugin's URL resolver
   if (!entity.externalId && entity.url && site.siteKey) {
     const resolved = await resolveUrl(site, entity.url);
@@ -376,7 +386,7 @@ export async function applyInsightFix(insight, site, proposals, options = {}) {
       const seoPayload = { title: p.proposed.title, description: p.proposed.description };
       if (isKeyword && p.keyword) seoPayload.focusKeyword = p.keyword;
 
-      await updateSeoData(site, p.postId, seoPayload);
+      await _cms.updateSeoData(site, p.postId, seoPayload);
       results.push({ ...p, status: 'fixed' });
     } catch (err) {
       results.push({ ...p, status: 'error', reason: err.message });
@@ -678,7 +688,7 @@ async function getPageContent(resolved, page, site) {
     pageContent = stripHtml(resolved.content).slice(0, 1000);
   } else {
     try {
-      const post = await getPost(site, resolved.postType, resolved.wpPostId);
+      const post = await _cms.getPost(site, resolved.postType, resolved.wpPostId);
       pageTitle = post?.title || pageTitle;
       pageContent = stripHtml(post?.content || '').slice(0, 1000);
     } catch { /* use what we have */ }
@@ -693,8 +703,8 @@ async function getPageContentWithSeo(resolved, site) {
 
   try {
     const [post, seo] = await Promise.all([
-      !pageContent ? getPost(site, resolved.postType, resolved.wpPostId) : Promise.resolve(null),
-      getSeoData(site, resolved.wpPostId).catch(() => null),
+      !pageContent ? _cms.getPost(site, resolved.postType, resolved.wpPostId) : Promise.resolve(null),
+      _cms.getSeoData(site, resolved.wpPostId).catch(() => null),
     ]);
     if (post) {
       pageTitle = post.title || pageTitle;
@@ -10,7 +10,8 @@
 import prisma from '@/lib/prisma';
 import { getLimitFromPlan } from '@/lib/account-utils';
 import { enforceCredits } from '@/lib/account-limits';
-import { AI_OPERATIONS, tokensToCredits, getOperationConfig, getOperationCreditCost } from './credits.js';
+import { AI_OPERATIONS, tokensToCredits, getOperationConfig, getOperationCreditCost, getModelTokenCredits } from './credits.js';
+import { getUsageScope } from './usage-scope.js';
 
 /**
  * After a debit is recorded, check if period allocation is overflowed
@@ -118,10 +119,25 @@ async function depleteOneTimePacks(accountId, creditsJustUsed) {
  * @param {number} options.outputTokens - Output tokens used
  * @param {number} options.totalTokens - Total tokens used (optional, calculated if not provided)
  * @param {string} options.description - Human-readable description
- * @param {Object} options.metadata - Additional context
+ * @param {Object} options.metadata - Additional context; `model` + `provider` select token pricing
  * @returns {Promise<Object>} Result with success status and log entry
  */
-export async function trackAIUsage({
+export function trackAIUsage(options) {
+  // Inside a usage scope (lib/ai/usage-scope.js) the debit is tagged with the
+  // scope's metadata and counted towards its total.
+  const scope = getUsageScope();
+  if (!scope) return recordAIUsage(options);
+
+  const pending = recordAIUsage({ ...options, metadata: { ...options.metadata, ...scope.metadata } })
+    .then((result) => {
+      if (result.success) scope.creditsUsed += result.creditsUsed;
+      return result;
+    });
+  scope.pending.push(pending);
+  return pending;
+}
+
+async function recordAIUsage({
   accountId,
   userId = null,
   siteId = null,
@@ -143,9 +159,20 @@ export async function trackAIUsage({
   const operationConfig = getOperationConfig(operation);
   const total = totalTokens ?? (inputTokens + outputTokens);
 
-  // Calculate credits: fetch dynamic price from DB, multiply by multiplier
+  // Calculate credits: fetch dynamic price from DB, multiply by multiplier.
+  // When the call ran on a model with token pricing (AiFeaturePricing
+  // `model:<provider>/<modelId>` rows - typically a non-Gemini provider),
+  // charge whichever is higher: the flat price or the token cost. Expensive
+  // models pay for their tokens; cheap / self-hosted ones still pay the
+  // feature price.
   const baseCreditCost = await getOperationCreditCost(operation);
-  const creditsUsed = baseCreditCost * creditsMultiplier;
+  const tokenCredits = await getModelTokenCredits({
+    provider: metadata.provider,
+    model: metadata.model,
+    inputTokens,
+    outputTokens,
+  });
+  const creditsUsed = Math.max(baseCreditCost * creditsMultiplier, tokenCredits);
 
   // Refuse to record a DEBIT if the account is already over its limit.
   // This is defense-in-depth - callers should also pre-flight via `enforceCredits`
@@ -210,6 +237,7 @@ export async function trackAIUsage({
           outputTokens,
           totalTokens: total,
           model: operationConfig.model,
+          ...(tokenCredits > 0 ? { tokenCredits } : {}),
           ...metadata,
         },
       },
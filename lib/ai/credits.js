@@ -221,6 +221,17 @@ export const AI_OPERATIONS = {
     typicalUsage: 8000,
     model: 'gemini-2.5-pro',
   },
+  // Content brief — one structured call over the top-ranking competitor
+  // pages (headings + text excerpts) for a Content row's keyword.
+  CONTENT_BRIEF: {
+    key: 'CONTENT_BRIEF',
+    name: 'Content Brief Generation',
+    nameHe: 'יצירת תקציר תוכן',
+    credits: 10,
+    tokenValue: 25000,
+    typicalUsage: 12000,
+    model: 'gemini-2.5-pro',
+  },
   
   KEYWORD_INTENT_ANALYSIS: {
     key: 'KEYWORD_INTENT_ANALYSIS',
@@ -256,6 +267,18 @@ export const AI_OPERATIONS = {
     model: 'gemini-3.1-pro-preview',
   },
 
+  // Scheduled rank tracking — one DataForSEO live SERP request per keyword
+  // per run. Not an LLM call; priced per keyword checked (multiplier).
+  RANK_CHECK: {
+    key: 'RANK_CHECK',
+    name: 'Scheduled Rank Check (per keyword)',
+    nameHe: 'בדיקת דירוג מתוזמנת (לכל מילת מפתח)',
+    credits: 1,
+    tokenValue: 0,
+    typicalUsage: 0,
+    model: 'dataforseo-serp',
+  },
+
   // Generic fallback
   GENERIC: {
     key: 'GENERIC',
@@ -379,6 +402,49 @@ export async function getOperationCreditCost(operationKey) {
   }
 }
 
+/**
+ * AiFeaturePricing rows keyed with this prefix hold per-model token pricing
+ * (credits per 1M input / output tokens) instead of a per-operation cost.
+ */
+export const MODEL_PRICING_PREFIX = 'model:';
+
+/**
+ * AiFeaturePricing key for a model's token pricing.
+ * @param {string} provider - AiProviderType (VERTEX, OPENAI_COMPATIBLE, ANTHROPIC)
+ * @param {string} modelId
+ * @returns {string}
+ */
+export function modelPricingKey(provider, modelId) {
+  return `${MODEL_PRICING_PREFIX}${provider}/${modelId}`;
+}
+
+/**
+ * Credits a call's token usage costs on a model with token pricing.
+ * Returns 0 when the model has no pricing row - the operation's flat
+ * cost is then the whole charge.
+ *
+ * @param {Object} options
+ * @param {string} options.provider
+ * @param {string} options.model - Model id
+ * @param {number} options.inputTokens
+ * @param {number} options.outputTokens
+ * @returns {Promise<number>}
+ */
+export async function getModelTokenCredits({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  if (!provider || !model) return 0;
+  try {
+    const { getModelTokenPricing } = await import('@/lib/actions/ai-pricing.js');
+    const rates = await getModelTokenPricing(modelPricingKey(provider, model));
+    if (!rates) return 0;
+    const credits =
+      (inputTokens * (rates.inputCreditsPerMillion || 0) +
+        outputTokens * (rates.outputCreditsPerMillion || 0)) / 1_000_000;
+    return Math.ceil(credits);
+  } catch {
+    return 0;
+  }
+}
+
 /**
  * Log AI usage to console with detailed information
  * @param {Object} options
@@ -454,6 +520,7 @@ const aiCredits = {
   tokensToCredits,
   creditsToTokens,
   getOperationConfig,
+  modelPricingKey,
   logAIUsage,
 };
 
@@ -49,7 +49,10 @@ function evictIfFull() {
  */
 export async function getOrComputeEmbeddings(texts, ctx = {}) {
   const now = Date.now();
-  const keys = texts.map(t => hashKey(t || ''));
+  // Scoped per account: accounts routed to another AI provider get vectors
+  // of a different model (and dimension) for the same text.
+  const scope = ctx.accountId || '';
+  const keys = texts.map(t => hashKey(`${scope}\n${t || ''}`));
   const result = new Array(texts.length);
   const missingIdx = [];
   const missingTexts = [];
@@ -0,0 +1,171 @@
+/**
+ * AI Record / Replay Fixtures
+ *
+ * Lets the central AI helpers (gemini.js, service.js) run without a live
+ * model: every call is keyed by a hash of its request (prompt, system,
+ * messages, schema, sampling params) and the response is stored as a JSON
+ * fixture on disk. Controlled by environment variables:
+ *
+ *   AI_FIXTURES       off (default) | record | replay | strict
+ *     record  - always call the model, (over)write the fixture
+ *     replay  - use the fixture when present, otherwise call live and record it
+ *     strict  - use the fixture; an unknown prompt throws AI_FIXTURE_MISSING
+ *   AI_FIXTURES_DIR   fixture directory (default: tests/fixtures/ai)
+ *
+ * Fixture files live at `<dir>/<kind>/<key>.json`. The model id is NOT part
+ * of the key - bumping MODELS.TEXT keeps existing fixtures valid; re-record
+ * to pick up new model behaviour. Credit checks and usage tracking still run
+ * on replay with the recorded token usage, so billing paths stay covered.
+ *
+ * Always off when NODE_ENV=production.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const FIXTURE_MODES = Object.freeze(['off', 'record', 'replay', 'strict']);
+
+const DEFAULT_DIR = 'tests/fixtures/ai';
+const PREVIEW_CHARS = 500;
+
+/**
+ * Current fixture mode, read per call so tests can switch it at runtime.
+ * @returns {'off'|'record'|'replay'|'strict'}
+ */
+export function getFixtureMode() {
+  if (process.env.NODE_ENV === 'production') return 'off';
+  const mode = String(process.env.AI_FIXTURES || 'off').toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : 'off';
+}
+
+export function getFixtureDir() {
+  return path.resolve(process.env.AI_FIXTURES_DIR || DEFAULT_DIR);
+}
+
+/**
+ * JSON with object keys sorted at every level, so logically equal requests
+ * hash the same regardless of property order. Buffers / typed arrays are
+ * reduced to a content hash - image bytes shouldn't bloat the canonical form.
+ */
+export function canonicalize(value) {
+  return JSON.stringify(normalize(value));
+}
+
+function normalize(value) {
+  if (value === undefined || typeof value === 'function') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+    return { $bytes: crypto.createHash('sha256').update(value).digest('hex') };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(v => (v === undefined ? null : normalize(v)));
+
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    const v = normalize(value[key]);
+    if (v !== undefined) out[key] = v;
+  }
+  return out;
+}
+
+/**
+ * Fixture key for a request.
+ * @param {string} kind - Call type: 'text' | 'structured' | 'vision' | 'image' | 'embedding' | 'chat'
+ * @param {Object} request - Everything that determines the response
+ * @returns {string} 32-char hex
+ */
+export function fixtureKey(kind, request) {
+  return crypto
+    .createHash('sha256')
+    .update(`${kind}\n${canonicalize(request)}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function fixturePath(kind, key) {
+  return path.join(getFixtureDir(), kind, `${key}.json`);
+}
+
+async function readFixture(kind, key) {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath(kind, key), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeFixture(kind, key, data) {
+  const file = fixturePath(kind, key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function previewOf(request) {
+  const pick = (v) => (typeof v === 'string' ? v.slice(0, PREVIEW_CHARS) : undefined);
+  return {
+    system: pick(request.system),
+    prompt: pick(request.prompt),
+    messages: Array.isArray(request.messages) ? request.messages.length : undefined,
+    values: Array.isArray(request.values) ? request.values.length : undefined,
+  };
+}
+
+/**
+ * Run `liveCall` through the fixture store.
+ *
+ * `liveCall` must resolve to a JSON-serializable result - that object is
+ * what gets recorded and what replay returns.
+ *
+ * @param {string} kind - See fixtureKey()
+ * @param {Object} request - Hashed to the fixture key
+ * @param {Object} context - Stored alongside for humans reviewing fixtures
+ * @param {string} [context.operation]
+ * @param {Function} liveCall - async () => result
+ * @returns {Promise<Object>} The live or replayed result
+ */
+export async function withFixture(kind, request, context, liveCall) {
+  const mode = getFixtureMode();
+  if (mode === 'off') return liveCall();
+
+  const key = fixtureKey(kind, request);
+
+  if (mode !== 'record') {
+    const fixture = await readFixture(kind, key);
+    if (fixture) return fixture.result;
+
+    if (mode === 'strict') {
+      const err = new Error(
+        `[AI fixtures] No fixture for ${kind} call (operation=${context?.operation || 'unknown'}, key=${key}). ` +
+        `Record it with AI_FIXTURES=record or AI_FIXTURES=replay.`
+      );
+      err.code = 'AI_FIXTURE_MISSING';
+      err.fixtureKey = key;
+      err.fixtureKind = kind;
+      throw err;
+    }
+  }
+
+  const result = await liveCall();
+  await writeFixture(kind, key, {
+    key,
+    kind,
+    operation: context?.operation || null,
+    model: result?.modelId || null,
+    recordedAt: new Date().toISOString(),
+    request: previewOf(request),
+    result,
+  });
+  return result;
+}
+
+const aiFixtures = {
+  FIXTURE_MODES,
+  getFixtureMode,
+  getFixtureDir,
+  fixtureKey,
+  withFixture,
+};
+
+export default aiFixtures;
@@ -6,14 +6,19 @@
  * - Image generation: gemini-3-pro-image-preview (Nano Banana Pro - professional image generation)
  * 
  * All AI calls across the platform should use this centralized service.
+ * Text, structured and embedding calls honor per-account provider routing
+ * (OpenAI-compatible / Anthropic / self-hosted) - see providers.js.
+ * Non-streaming calls can be recorded / replayed from disk for tests and
+ * offline development (AI_FIXTURES) - see fixtures.js.
  */
 
-import { vertex, vertexGlobal } from './vertex-provider.js';
+import { resolveLanguageModel, resolveEmbeddingModel, vertexClientForModel } from './providers.js';
 import { generateText, streamText, Output, jsonSchema, embedMany } from 'ai';
 import { z } from 'zod';
 import { toJSONSchema } from 'zod/v4';
 import { logAIUsage, AI_OPERATIONS, getOperationCreditCost } from './credits.js';
 import { trackAIUsage } from './credits-service.js';
+import { withFixture } from './fixtures.js';
 import { enforceCredits } from '@/lib/account-limits';
 
 /**
@@ -57,22 +62,9 @@ export const MODELS = {
   EMBEDDING: 'gemini-embedding-001',
 };
 
-// Create the Gemini model instance.
-//
-// Endpoint routing: Gemini 3.x PREVIEW models are only served on Vertex's
-// `global` endpoint - hitting them on a regional endpoint (us-central1, etc.)
-// returns an empty stream nearly instantly (no error, just zero tokens) which
-// presents to the user as "the chat is stuck". 2.5/2.0 stable models run on
-// regional. We pick the right client per model rather than burning every
-// caller with the wrong endpoint.
-function isGlobalOnlyModel(modelId) {
-  // Anything 3.x preview lives on global. Catch by version + 'preview' suffix
-  // so future preview revs auto-route correctly.
-  return /^gemini-3(?:\.|-)/.test(modelId) || /preview/i.test(modelId);
-}
-function clientForModel(modelId) {
-  return isGlobalOnlyModel(modelId) ? vertexGlobal : vertex;
-}
+// Create the Gemini model instance. Endpoint routing (global vs regional)
+// lives in providers.js - see vertexClientForModel().
+const clientForModel = vertexClientForModel;
 
 export function getTextModel() {
   return clientForModel(MODELS.TEXT)(MODELS.TEXT);
@@ -87,6 +79,21 @@ export function getImageModel() {
   return clientForModel(MODELS.IMAGE)(MODELS.IMAGE);
 }
 
+/**
+ * Text model for an account + operation, honoring the account's provider
+ * routing (AiProviderConfig, see providers.js). Without a matching config
+ * this is the Gemini model `getTextModel()` returns.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.accountId]
+ * @param {string} [options.operation] - AI_OPERATIONS key
+ * @param {string} [options.modelOverride] - Gemini model id to use when the account is on Vertex
+ * @returns {Promise<{ model: Object, modelId: string, provider: string, configId: string|null }>}
+ */
+export function getLanguageModel({ accountId, operation, modelOverride } = {}) {
+  return resolveLanguageModel({ accountId, operation, defaultModel: modelOverride || MODELS.TEXT });
+}
+
 /**
  * Generate a text response from Gemini
  * 
@@ -117,16 +124,22 @@ export async function generateTextResponse({
 }) {
   await assertCreditsForOperation({ accountId, operation });
 
-  const model = getTextModel();
-
-  const result = await generateText({
-    model,
+  const request = {
     system,
     messages: messages.length > 0 ? messages : undefined,
     prompt: messages.length === 0 ? prompt : undefined,
     maxTokens,
     temperature,
+  };
+
+  // Model resolution happens inside the live call so a replayed fixture
+  // needs no provider lookup.
+  const result = await withFixture('text', request, { operation }, async () => {
+    const { model, modelId, provider } = await getLanguageModel({ accountId, operation });
+    const { text, usage } = await generateText({ model, ...request });
+    return { text, usage, modelId, provider };
   });
+  const { modelId, provider } = result;
 
   // Log AI usage with credits information (console)
   const usage = result.usage || {};
@@ -138,7 +151,7 @@ export async function generateTextResponse({
     inputTokens,
     outputTokens,
     totalTokens,
-    model: MODELS.TEXT,
+    model: modelId,
     metadata: {
       promptLength: prompt?.length || 0,
       responseLength: result.text?.length || 0,
@@ -156,7 +169,7 @@ export async function generateTextResponse({
       inputTokens,
       outputTokens,
       totalTokens,
-      metadata: { model: MODELS.TEXT, ...metadata },
+      metadata: { model: modelId, provider, ...metadata },
     }).catch(err => console.error('[AI] trackAIUsage error:', err.message));
   } else if (operation !== 'GENERIC') {
     console.warn(`[AI] Missing accountId for operation "${operation}" - usage will not be tracked or billed!`);
@@ -228,32 +241,37 @@ export async function generateStructuredResponse({
 }) {
   await assertCreditsForOperation({ accountId, operation, creditsMultiplier });
 
-  // Allow model override for advanced operations requiring specific models.
-  // Route through clientForModel so 3.x previews land on the global endpoint.
-  const modelName = modelOverride || MODELS.TEXT;
-  const model = clientForModel(modelName)(modelName);
-
   // Convert Zod v4 schema to JSON Schema ourselves to avoid compatibility issues
   // with @ai-sdk/provider-utils' internal Zod detection (which may fail in Next.js bundling)
   const jsonSchemaObj = toJSONSchema(schema, { target: 'draft-7', io: 'input', reused: 'inline' });
-  
-  const result = await generateText({
-    model,
-    system,
-    prompt,
-    output: Output.object({ 
-      schema: jsonSchema(jsonSchemaObj, {
-        validate: async (value) => {
-          const parsed = await schema.safeParseAsync(value);
-          return parsed.success
-            ? { success: true, value: parsed.data }
-            : { success: false, error: parsed.error };
-        },
+
+  const fixtureRequest = { system, prompt, schema: jsonSchemaObj, temperature, maxTokens };
+  const result = await withFixture('structured', fixtureRequest, { operation }, async () => {
+    // Allow model override for advanced operations requiring specific models.
+    // The override is a Gemini id, so it only applies while the account is on
+    // Vertex - a routed account uses its configured model.
+    const { model, modelId, provider } = await getLanguageModel({ accountId, operation, modelOverride });
+
+    const response = await generateText({
+      model,
+      system,
+      prompt,
+      output: Output.object({ 
+        schema: jsonSchema(jsonSchemaObj, {
+          validate: async (value) => {
+            const parsed = await schema.safeParseAsync(value);
+            return parsed.success
+              ? { success: true, value: parsed.data }
+              : { success: false, error: parsed.error };
+          },
+        }),
       }),
-    }),
-    temperature,
-    ...(maxTokens ? { maxTokens } : {}),
+      temperature,
+      ...(maxTokens ? { maxTokens } : {}),
+    });
+    return { object: response.experimental_output, usage: response.usage, modelId, provider };
   });
+  const { modelId: modelName, provider } = result;
 
   // Log AI usage with credits information (console)
   const usage = result.usage || {};
@@ -284,13 +302,13 @@ export async function generateStructuredResponse({
       outputTokens,
       totalTokens,
       creditsMultiplier,
-      metadata: { model: modelName, ...metadata },
+      metadata: { model: modelName, provider, ...metadata },
     }).catch(err => console.error('[AI] trackAIUsage error:', err.message));
   } else if (operation !== 'GENERIC') {
     console.warn(`[AI] Missing accountId for operation "${operation}" - usage will not be tracked or billed!`);
   }
 
-  return result.experimental_output;
+  return result.object;
 }
 
 /**
@@ -328,37 +346,44 @@ export async function analyzeImageStructured({
 
   await assertCreditsForOperation({ accountId, operation, creditsMultiplier });
 
-  const model = clientForModel(MODELS.TEXT)(MODELS.TEXT);
   const jsonSchemaObj = toJSONSchema(schema, { target: 'draft-7', io: 'input', reused: 'inline' });
-
-  const result = await generateText({
-    model,
-    system,
-    messages: [
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          {
-            type: 'image',
-            image: Buffer.from(image.base64, 'base64'),
-            mediaType: image.mimeType || 'image/png',
-          },
-        ],
-      },
-    ],
-    output: Output.object({
-      schema: jsonSchema(jsonSchemaObj, {
-        validate: async (value) => {
-          const parsed = await schema.safeParseAsync(value);
-          return parsed.success
-            ? { success: true, value: parsed.data }
-            : { success: false, error: parsed.error };
+  const imageBytes = Buffer.from(image.base64, 'base64');
+
+  const fixtureRequest = { system, prompt, image: imageBytes, schema: jsonSchemaObj, temperature };
+  const result = await withFixture('vision', fixtureRequest, { operation }, async () => {
+    const { model, modelId, provider } = await getLanguageModel({ accountId, operation });
+
+    const response = await generateText({
+      model,
+      system,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            {
+              type: 'image',
+              image: imageBytes,
+              mediaType: image.mimeType || 'image/png',
+            },
+          ],
         },
+      ],
+      output: Output.object({
+        schema: jsonSchema(jsonSchemaObj, {
+          validate: async (value) => {
+            const parsed = await schema.safeParseAsync(value);
+            return parsed.success
+              ? { success: true, value: parsed.data }
+              : { success: false, error: parsed.error };
+          },
+        }),
       }),
-    }),
-    temperature,
+      temperature,
+    });
+    return { object: response.experimental_output, usage: response.usage, modelId, provider };
   });
+  const { modelId, provider } = result;
 
   const usage = result.usage || {};
   logAIUsage({
@@ -366,7 +391,7 @@ export async function analyzeImageStructured({
     inputTokens: usage.inputTokens || 0,
     outputTokens: usage.outputTokens || 0,
     totalTokens: usage.totalTokens || 0,
-    model: MODELS.TEXT,
+    model: modelId,
     metadata: { mode: 'vision', ...metadata },
   });
   if (accountId) {
@@ -379,11 +404,11 @@ export async function analyzeImageStructured({
       outputTokens: usage.outputTokens || 0,
       totalTokens: usage.totalTokens || 0,
       creditsMultiplier,
-      metadata: { model: MODELS.TEXT, mode: 'vision', ...metadata },
+      metadata: { model: modelId, provider, mode: 'vision', ...metadata },
     }).catch((err) => console.error('[AI] trackAIUsage error:', err.message));
   }
 
-  return result.experimental_output;
+  return result.object;
 }
 
 /**
@@ -416,14 +441,11 @@ export async function generateImage({
 }) {
   await assertCreditsForOperation({ accountId, operation });
 
-  const model = getImageModel();
-
   // Build request - either text-only (classic `prompt`) or multimodal messages
   // when the user attached reference images. Nano Banana treats attached images
   // as style/subject references the model should consider when composing.
   const hasRefs = Array.isArray(referenceImages) && referenceImages.length > 0;
   const request = {
-    model,
     providerOptions: {
       google: {
         responseModalities: ['IMAGE'],
@@ -448,15 +470,19 @@ export async function generateImage({
     request.prompt = prompt;
   }
 
-  const result = await generateText(request);
-
-  // Extract images from the response files
-  const images = (result.files || [])
-    .filter(f => f.mediaType?.startsWith('image/'))
-    .map(f => ({
-      base64: f.base64,
-      mimeType: f.mediaType || 'image/png',
-    }));
+  const result = await withFixture('image', request, { operation }, async () => {
+    const response = await generateText({ model: getImageModel(), ...request });
+
+    // Extract images from the response files
+    const files = (response.files || [])
+      .filter(f => f.mediaType?.startsWith('image/'))
+      .map(f => ({
+        base64: f.base64,
+        mimeType: f.mediaType || 'image/png',
+      }));
+    return { images: files, usage: response.usage, modelId: MODELS.IMAGE };
+  });
+  const images = result.images || [];
 
   if (images.length === 0) {
     throw new Error('No image generated by Nano Banana');
@@ -503,6 +529,8 @@ export async function generateImage({
 /**
  * Generate embedding vectors for one or more text inputs using Gemini embedding model.
  * Vertex's `gemini-embedding-001` returns 768-dim vectors and supports up to 2048 values per call.
+ * Accounts routed to another provider get that provider's vectors instead - only
+ * compare vectors produced for the same account.
  *
  * @param {Object} options
  * @param {string[]} options.values - Texts to embed (batched in one API call).
@@ -525,27 +553,37 @@ export async function generateEmbeddings({
 
   await assertCreditsForOperation({ accountId, operation });
 
-  const model = vertex.textEmbeddingModel(MODELS.EMBEDDING);
-
-  // Vertex allows up to 2048 values per call; we batch defensively at 250 to stay
-  // well under any per-call token limits when inputs include body excerpts.
-  const BATCH_SIZE = 250;
-  const allEmbeddings = [];
-  let totalTokens = 0;
+  const inputs = values.map(v => (v || '').slice(0, 3000));
 
-  for (let i = 0; i < values.length; i += BATCH_SIZE) {
-    const batch = values.slice(i, i + BATCH_SIZE).map(v => (v || '').slice(0, 3000));
-    const { embeddings, usage } = await embedMany({ model, values: batch });
-    allEmbeddings.push(...embeddings);
-    totalTokens += usage?.tokens || 0;
-  }
+  const result = await withFixture('embedding', { values: inputs }, { operation }, async () => {
+    const { model, modelId, provider } = await resolveEmbeddingModel({
+      accountId,
+      operation,
+      defaultModel: MODELS.EMBEDDING,
+    });
+
+    // Vertex allows up to 2048 values per call; we batch defensively at 250 to stay
+    // well under any per-call token limits when inputs include body excerpts.
+    const BATCH_SIZE = 250;
+    const embeddings = [];
+    let tokens = 0;
+
+    for (let i = 0; i < inputs.length; i += BATCH_SIZE) {
+      const batch = await embedMany({ model, values: inputs.slice(i, i + BATCH_SIZE) });
+      embeddings.push(...batch.embeddings);
+      tokens += batch.usage?.tokens || 0;
+    }
+    return { embeddings, usage: { tokens }, modelId, provider };
+  });
+  const { embeddings: allEmbeddings, modelId, provider } = result;
+  const totalTokens = result.usage?.tokens || 0;
 
   logAIUsage({
     operation,
     inputTokens: totalTokens,
     outputTokens: 0,
     totalTokens,
-    model: MODELS.EMBEDDING,
+    model: modelId,
     metadata: { valueCount: values.length, ...metadata },
   });
 
@@ -558,7 +596,7 @@ export async function generateEmbeddings({
       inputTokens: totalTokens,
       outputTokens: 0,
       totalTokens,
-      metadata: { model: MODELS.EMBEDDING, ...metadata },
+      metadata: { model: modelId, provider, ...metadata },
     }).catch(err => console.error('[AI] trackAIUsage error:', err.message));
   } else if (operation !== 'GENERIC') {
     console.warn(`[AI] Missing accountId for operation "${operation}" - usage will not be tracked or billed!`);
@@ -583,6 +621,7 @@ export function cosineSimilarity(a, b) {
 }
 
 const geminiAI = {
+  getLanguageModel,
   generateTextResponse,
   streamTextResponse,
   generateStructuredResponse,
@@ -12,6 +12,7 @@
  */
 
 export {
+  getLanguageModel,
   generateTextResponse,
   streamTextResponse,
   generateStructuredResponse,
@@ -6,6 +6,10 @@
  *
  * Gemini 3.1 Pro preview only runs on the Vertex `global` endpoint,
  * so callers must use `googleGlobal` from `vertex-provider.js`, not `google`.
+ *
+ * These are the platform defaults. Accounts routed to another provider
+ * (AiProviderConfig) get their configured model through `getLanguageModel()`
+ * in gemini.js - calling `googleGlobal(GEMINI_MODEL)` directly bypasses that.
  */
 
 export const GEMINI_MODEL = 'gemini-3.1-pro-preview';
@@ -0,0 +1,318 @@
+/**
+ * AI Provider Routing
+ *
+ * Resolves which model serves an AI call. By default everything runs on
+ * Gemini via Vertex (lib/ai/vertex-provider.js). An account can be routed
+ * elsewhere with AiProviderConfig rows - for clients whose data has to stay
+ * with a different vendor or on a self-hosted endpoint:
+ *
+ *   VERTEX             - our Vertex project, but with account-chosen model ids
+ *   OPENAI_COMPATIBLE  - OpenAI itself, or any server speaking its API
+ *                        (vLLM, Ollama, LiteLLM, Azure OpenAI proxies...)
+ *   ANTHROPIC          - Anthropic Messages API (text + structured only;
+ *                        Anthropic has no embedding models)
+ *
+ * A config with `operations: []` is the account default; a config listing
+ * operation keys (AI_OPERATIONS) wins for those operations. Embeddings fall
+ * back to the account default config when the operation's config has no
+ * embeddingModel, and to Vertex only when no config for the account has one.
+ *
+ * Only the shared helpers in gemini.js / service.js and the chat route go
+ * through here. Image generation stays on Gemini (no equivalent elsewhere).
+ */
+
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+import { createAnthropic } from '@ai-sdk/anthropic';
+import prisma from '@/lib/prisma';
+import { decryptCredential } from '@/lib/site-keys';
+import { invalidateAiPricingCache } from '@/lib/actions/ai-pricing';
+import { vertex, vertexGlobal } from './vertex-provider.js';
+import { AI_OPERATIONS, modelPricingKey } from './credits.js';
+
+export const AI_PROVIDER_TYPES = Object.freeze(['VERTEX', 'OPENAI_COMPATIBLE', 'ANTHROPIC']);
+
+export const DEFAULT_PROVIDER = 'VERTEX';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// ==========================================
+// In-memory cache of each account's configs
+// ==========================================
+const configCache = new Map();
+const CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+// Built SDK clients keyed by config id + updatedAt, so an edited config
+// never reuses a client holding the old key / base URL.
+const clientCache = new Map();
+
+// Endpoint routing: Gemini 3.x PREVIEW models are only served on Vertex's
+// `global` endpoint - hitting them on a regional endpoint (us-central1, etc.)
+// returns an empty stream nearly instantly (no error, just zero tokens) which
+// presents to the user as "the chat is stuck". 2.5/2.0 stable models run on
+// regional. We pick the right client per model rather than burning every
+// caller with the wrong endpoint.
+export function isGlobalOnlyModel(modelId) {
+  // Anything 3.x preview lives on global. Catch by version + 'preview' suffix
+  // so future preview revs auto-route correctly.
+  return /^gemini-3(?:\.|-)/.test(modelId) || /preview/i.test(modelId);
+}
+
+export function vertexClientForModel(modelId) {
+  return isGlobalOnlyModel(modelId) ? vertexGlobal : vertex;
+}
+
+/**
+ * Active provider configs for an account, most recently updated first.
+ * @param {string} accountId
+ * @returns {Promise<Array>}
+ */
+async function getAccountConfigs(accountId) {
+  const now = Date.now();
+  const cached = configCache.get(accountId);
+  if (cached && now - cached.at < CACHE_TTL_MS) return cached.configs;
+
+  const configs = await prisma.aiProviderConfig.findMany({
+    where: { accountId, isActive: true },
+    orderBy: { updatedAt: 'desc' },
+  });
+  configCache.set(accountId, { configs, at: now });
+  return configs;
+}
+
+/**
+ * Drop cached configs after a config is created / edited / deleted.
+ * Omit accountId to clear every account.
+ */
+export function invalidateProviderConfigCache(accountId) {
+  if (accountId) configCache.delete(accountId);
+  else configCache.clear();
+}
+
+/**
+ * Pick the config for an operation: an explicit operation match first,
+ * then the account default (a config with no operations listed).
+ *
+ * @param {Array} configs
+ * @param {string} operation
+ * @returns {Object|null}
+ */
+export function selectConfig(configs, operation) {
+  if (!configs?.length) return null;
+  return (
+    configs.find(c => c.operations?.length && c.operations.includes(operation)) ||
+    configs.find(c => !c.operations?.length) ||
+    null
+  );
+}
+
+function buildClient(config) {
+  const cacheKey = `${config.id}:${new Date(config.updatedAt).getTime()}`;
+  const cached = clientCache.get(cacheKey);
+  if (cached) return cached;
+
+  const apiKey = config.encryptedApiKey ? decryptCredential(config.encryptedApiKey) : undefined;
+  let client;
+  if (config.provider === 'OPENAI_COMPATIBLE') {
+    client = createOpenAICompatible({
+      name: 'openai-compatible',
+      baseURL: (config.baseUrl || OPENAI_BASE_URL).replace(/\/+$/, ''),
+      apiKey,
+      supportsStructuredOutputs: true,
+      includeUsage: true,
+    });
+  } else if (config.provider === 'ANTHROPIC') {
+    client = createAnthropic({
+      apiKey,
+      ...(config.baseUrl ? { baseURL: config.baseUrl.replace(/\/+$/, '') } : {}),
+    });
+  } else {
+    client = null; // VERTEX - picked per model id
+  }
+
+  clientCache.set(cacheKey, client);
+  return client;
+}
+
+/**
+ * Resolve the language model for a text / structured call.
+ *
+ * @param {Object} options
+ * @param {string} [options.accountId] - Account whose routing applies; none → Gemini
+ * @param {string} [options.operation] - AI_OPERATIONS key
+ * @param {string} options.defaultModel - Gemini model id used when no config applies
+ * @returns {Promise<{ model: Object, modelId: string, provider: string, configId: string|null }>}
+ */
+export async function resolveLanguageModel({ accountId, operation, defaultModel }) {
+  const config = accountId ? selectConfig(await getAccountConfigs(accountId), operation) : null;
+
+  if (!config) {
+    return {
+      model: vertexClientForModel(defaultModel)(defaultModel),
+      modelId: defaultModel,
+      provider: DEFAULT_PROVIDER,
+      configId: null,
+    };
+  }
+
+  const modelId = config.textModel;
+  const client = buildClient(config);
+  const model = config.provider === 'VERTEX'
+    ? vertexClientForModel(modelId)(modelId)
+    : config.provider === 'OPENAI_COMPATIBLE'
+      ? client.chatModel(modelId)
+      : client(modelId);
+
+  return { model, modelId, provider: config.provider, configId: config.id };
+}
+
+/**
+ * Resolve the embedding model for an embedding call.
+ *
+ * @param {Object} options
+ * @param {string} [options.accountId]
+ * @param {string} [options.operation]
+ * @param {string} options.defaultModel - Gemini embedding model id
+ * @returns {Promise<{ model: Object, modelId: string, provider: string, configId: string|null }>}
+ */
+export async function resolveEmbeddingModel({ accountId, operation, defaultModel }) {
+  let config = null;
+  if (accountId) {
+    const configs = await getAccountConfigs(accountId);
+    const selected = selectConfig(configs, operation);
+    config = selected?.embeddingModel
+      ? selected
+      : configs.find(c => !c.operations?.length && c.embeddingModel) ||
+        configs.find(c => c.embeddingModel) ||
+        null;
+  }
+
+  if (!config) {
+    return {
+      model: vertex.textEmbeddingModel(defaultModel),
+      modelId: defaultModel,
+      provider: DEFAULT_PROVIDER,
+      configId: null,
+    };
+  }
+
+  const modelId = config.embeddingModel;
+  const model = config.provider === 'VERTEX'
+    ? vertex.textEmbeddingModel(modelId)
+    : buildClient(config).textEmbeddingModel(modelId);
+
+  return { model, modelId, provider: config.provider, configId: config.id };
+}
+
+// ==========================================
+// Admin helpers (app/api/admin/ai-providers)
+// ==========================================
+
+/**
+ * Validate and normalize a config payload from the admin UI. The API key is
+ * handled by the caller (it's encrypted, never echoed back).
+ *
+ * @param {Object} input
+ * @returns {{ data?: Object, error?: string }}
+ */
+export function sanitizeProviderConfig(input = {}) {
+  const provider = String(input.provider || '').toUpperCase();
+  if (!AI_PROVIDER_TYPES.includes(provider)) {
+    return { error: `Provider must be one of ${AI_PROVIDER_TYPES.join(', ')}` };
+  }
+
+  const name = String(input.name || '').trim().slice(0, 100);
+  if (!name) return { error: 'Name is required' };
+
+  const textModel = String(input.textModel || '').trim();
+  if (!textModel) return { error: 'Text model is required' };
+
+  const embeddingModel = String(input.embeddingModel || '').trim() || null;
+  if (embeddingModel && provider === 'ANTHROPIC') {
+    return { error: 'Anthropic has no embedding models - route embeddings through another config' };
+  }
+
+  let baseUrl = String(input.baseUrl || '').trim() || null;
+  if (baseUrl) {
+    if (provider === 'VERTEX') return { error: 'Vertex uses the platform project - base URL is not supported' };
+    try {
+      const parsed = new URL(baseUrl);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('protocol');
+    } catch {
+      return { error: 'Base URL must be an http(s) URL' };
+    }
+    baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  const operations = Array.isArray(input.operations)
+    ? [...new Set(input.operations.filter(key => AI_OPERATIONS[key]))]
+    : [];
+
+  return {
+    data: {
+      name,
+      provider,
+      baseUrl,
+      textModel,
+      embeddingModel,
+      operations,
+      isActive: input.isActive !== false,
+    },
+  };
+}
+
+/**
+ * Create or update the token pricing row for a model.
+ *
+ * @param {string} provider
+ * @param {string} modelId
+ * @param {{ input: number, output: number }} rates - Credits per 1M tokens
+ */
+export async function saveModelTokenPricing(provider, modelId, rates) {
+  const inputCreditsPerMillion = Math.max(0, Number(rates?.input) || 0);
+  const outputCreditsPerMillion = Math.max(0, Number(rates?.output) || 0);
+  const featureKey = modelPricingKey(provider, modelId);
+
+  await prisma.aiFeaturePricing.upsert({
+    where: { featureKey },
+    create: {
+      featureKey,
+      displayName: `${modelId} (${provider})`,
+      creditCost: 0,
+      inputCreditsPerMillion,
+      outputCreditsPerMillion,
+    },
+    update: { inputCreditsPerMillion, outputCreditsPerMillion },
+  });
+  await invalidateAiPricingCache();
+}
+
+/**
+ * Shape a config row for the admin UI - the encrypted key never leaves the server.
+ * @param {Object} config
+ * @param {Object} [pricing] - getAiPricing() map
+ */
+export function serializeProviderConfig(config, pricing = {}) {
+  const rates = (modelId) => {
+    const row = modelId ? pricing[modelPricingKey(config.provider, modelId)] : null;
+    return row ? { input: row.inputCreditsPerMillion, output: row.outputCreditsPerMillion } : null;
+  };
+  const { encryptedApiKey, ...rest } = config;
+  return {
+    ...rest,
+    hasApiKey: !!encryptedApiKey,
+    pricing: {
+      text: rates(config.textModel),
+      embedding: rates(config.embeddingModel),
+    },
+  };
+}
+
+const aiProviders = {
+  AI_PROVIDER_TYPES,
+  resolveLanguageModel,
+  resolveEmbeddingModel,
+  selectConfig,
+  invalidateProviderConfigCache,
+};
+
+export default aiProviders;
@@ -6,9 +6,10 @@
  */
 
 import { generateText } from 'ai';
-import { getTextModel, MODELS } from './gemini.js';
+import { getLanguageModel } from './gemini.js';
 import { logAIUsage, getOperationCreditCost } from './credits.js';
 import { trackAIUsage } from './credits-service.js';
+import { withFixture } from './fixtures.js';
 import { enforceCredits } from '@/lib/account-limits';
 
 /**
@@ -65,20 +66,34 @@ export async function chat({ messages, systemPrompt, botActions = [], operation
   try {
     await assertCreditsForOperation({ accountId, operation });
 
-    const model = getTextModel();
-    const tools = botActions.length > 0 ? botActionsToTools(botActions) : undefined;
-    
-    const result = await generateText({
-      model,
-      system: systemPrompt,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
-      })),
-      tools,
-      maxTokens: 1024,
-      temperature: 0.7,
+    const chatMessages = messages.map(m => ({
+      role: m.role,
+      content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
+    }));
+
+    // Keyed on the bot actions themselves - the built tools hold functions.
+    const fixtureRequest = { system: systemPrompt, messages: chatMessages, botActions };
+    const result = await withFixture('chat', fixtureRequest, { operation }, async () => {
+      const { model, modelId, provider } = await getLanguageModel({ accountId, operation });
+      const tools = botActions.length > 0 ? botActionsToTools(botActions) : undefined;
+
+      const response = await generateText({
+        model,
+        system: systemPrompt,
+        messages: chatMessages,
+        tools,
+        maxTokens: 1024,
+        temperature: 0.7,
+      });
+      return {
+        text: response.text,
+        toolCalls: (response.toolCalls || []).map(({ toolName, args, toolCallId }) => ({ toolName, args, toolCallId })),
+        usage: response.usage,
+        modelId,
+        provider,
+      };
     });
+    const { modelId, provider } = result;
 
     // Log AI usage with credits information (console)
     const usage = result.usage || {};
@@ -90,7 +105,7 @@ export async function chat({ messages, systemPrompt, botActions = [], operation
       inputTokens,
       outputTokens,
       totalTokens,
-      model: MODELS.TEXT,
+      model: modelId,
       metadata: {
         messagesCount: messages.length,
         hasToolCall: !!(result.toolCalls && result.toolCalls.length > 0),
@@ -108,7 +123,7 @@ export async function chat({ messages, systemPrompt, botActions = [], operation
         inputTokens,
         outputTokens,
         totalTokens,
-        metadata: { model: MODELS.TEXT, ...metadata },
+        metadata: { model: modelId, provider, ...metadata },
       }).catch(err => console.error('[AI] trackAIUsage error:', err.message));
     }
 
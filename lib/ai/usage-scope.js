@@ -0,0 +1,40 @@
+/**
+ * Credit usage scopes.
+ *
+ * Work that needs to know what it spent (an automation run) wraps itself in
+ * runWithUsageScope(). Every trackAIUsage() debit recorded inside - however
+ * deep, and even when the AI helper doesn't await it - is added to the scope
+ * and tagged with the scope's metadata in the AiCreditsLog entry.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @param {Object} metadata - Merged into the metadata of every debit in scope
+ * @returns {{ metadata: Object, creditsUsed: number, pending: Promise[] }}
+ */
+export function createUsageScope(metadata = {}) {
+  return { metadata, creditsUsed: 0, pending: [] };
+}
+
+export function runWithUsageScope(scope, fn) {
+  return storage.run(scope, fn);
+}
+
+export function getUsageScope() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Wait for the debits started in the scope so far, then return its total.
+ * @param {Object} scope
+ * @returns {Promise<number>}
+ */
+export async function settleUsageScope(scope) {
+  while (scope.pending.length > 0) {
+    await Promise.allSettled(scope.pending.splice(0));
+  }
+  return scope.creditsUsed;
+}
@@ -0,0 +1,402 @@
+/**
+ * Custom Audit Rules - per-site declarative checks
+ *
+ * Agencies attach client-specific rules to a site (Site.auditRules). They run
+ * inside analyzeHtml on the same Cheerio document as the built-in checks and
+ * emit issues in the same shape, so they count toward calculateAuditScore
+ * like any other check.
+ *
+ * Rule kinds:
+ *   selector-exists  - at least one element matches `selector`
+ *   selector-absent  - no element matches `selector`
+ *   attribute-match  - `attribute` (or the element text when omitted) of the
+ *                      elements matching `selector` tested against `pattern`:
+ *                        mode 'require' - every element matches (and one exists)
+ *                        mode 'forbid'  - no element matches
+ *   text-length      - text (or `attribute`) length of every matching element
+ *                      within [minLength, maxLength]; at least one must exist
+ *   jsonld-type      - a JSON-LD block declares `schemaType` (@graph included)
+ *
+ * `pattern` may contain `{focusKeyword}`, replaced with the page's focus
+ * keyword from SiteEntity.seoData (regex-escaped). Pages without one skip
+ * the rule. Patterns that could backtrack catastrophically are refused on
+ * save (lib/safe-regex.js).
+ *
+ * Issues from this module have source: "custom-rule". Messages are the
+ * rule's own text (not translation keys) - the UI renders raw messages as-is.
+ */
+
+import * as cheerio from 'cheerio';
+import prisma from '@/lib/prisma';
+import { isSafeRegex } from '@/lib/safe-regex';
+
+export const RULE_KINDS = ['selector-exists', 'selector-absent', 'attribute-match', 'text-length', 'jsonld-type'];
+export const RULE_CATEGORIES = ['technical', 'performance', 'accessibility'];
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+const MAX_RULES = 50;
+const MAX_PATTERN_LENGTH = 300;
+// Values tested against user regexes are capped: even a guarded pattern is
+// quadratic on an unanchored miss (.*x tried from every position).
+const MAX_VALUE_LENGTH = 1000;
+const MAX_DETAILED_SOURCES = 20;
+const FOCUS_KEYWORD_TOKEN = '{focusKeyword}';
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function cleanString(value, max = 500) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+function slugId(name, taken) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'rule';
+  let id = base;
+  for (let n = 2; taken.has(id); n += 1) id = `${base}-${n}`;
+  return id;
+}
+
+function validSelector(selector) {
+  try {
+    cheerio.load('')(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function optionalLength(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Validate and normalize a rule set from the settings API.
+ *
+ * @param {Array<object>} input
+ * @returns {{ ok: true, rules: object[] } | { ok: false, error: string }}
+ */
+export function normalizeAuditRules(input) {
+  if (!Array.isArray(input)) return { ok: false, error: 'rules must be an array' };
+  if (input.length > MAX_RULES) return { ok: false, error: `At most ${MAX_RULES} rules per site` };
+
+  const rules = [];
+  const ids = new Set();
+  const messages = new Set();
+
+  for (const [index, raw] of input.entries()) {
+    const at = `Rule ${index + 1}`;
+    if (!raw || typeof raw !== 'object') return { ok: false, error: `${at}: must be an object` };
+
+    const name = cleanString(raw.name, 120);
+    if (!name) return { ok: false, error: `${at}: name is required` };
+    if (!RULE_KINDS.includes(raw.kind)) return { ok: false, error: `${at}: kind must be one of ${RULE_KINDS.join(', ')}` };
+
+    const category = raw.category || 'technical';
+    if (!RULE_CATEGORIES.includes(category)) return { ok: false, error: `${at}: category must be one of ${RULE_CATEGORIES.join(', ')}` };
+    const severity = raw.severity || 'warning';
+    if (!RULE_SEVERITIES.includes(severity)) return { ok: false, error: `${at}: severity must be one of ${RULE_SEVERITIES.join(', ')}` };
+
+    const rawPatterns = Array.isArray(raw.urlPatterns) ? raw.urlPatterns : raw.urlPatterns ? [raw.urlPatterns] : [];
+    const urlPatterns = rawPatterns.map((p) => cleanString(p, 200)).filter(Boolean);
+
+    const rule = {
+      id: cleanString(raw.id, 60) || null,
+      name,
+      enabled: raw.enabled !== false,
+      kind: raw.kind,
+      category,
+      severity,
+      urlPatterns,
+      message: cleanString(raw.message, 300) || name,
+      passMessage: cleanString(raw.passMessage, 300) || `${name} ✓`,
+      suggestion: cleanString(raw.suggestion, 1000) || null,
+    };
+
+    if (rule.kind === 'jsonld-type') {
+      rule.schemaType = cleanString(raw.schemaType, 100);
+      if (!rule.schemaType) return { ok: false, error: `${at}: schemaType is required` };
+    } else {
+      rule.selector = cleanString(raw.selector, 300);
+      if (!rule.selector) return { ok: false, error: `${at}: selector is required` };
+      if (!validSelector(rule.selector)) return { ok: false, error: `${at}: invalid CSS selector "${rule.selector}"` };
+    }
+
+    if (rule.kind === 'attribute-match' || rule.kind === 'text-length') {
+      rule.attribute = cleanString(raw.attribute, 100) || null;
+    }
+
+    if (rule.kind === 'attribute-match') {
+      rule.pattern = typeof raw.pattern === 'string' ? raw.pattern : '';
+      if (!rule.pattern) return { ok: false, error: `${at}: pattern is required` };
+      if (rule.pattern.length > MAX_PATTERN_LENGTH) return { ok: false, error: `${at}: pattern is longer than ${MAX_PATTERN_LENGTH} characters` };
+      rule.flags = cleanString(raw.flags, 4).replace(/[^imsu]/g, '');
+      const probe = rule.pattern.split(FOCUS_KEYWORD_TOKEN).join('x');
+      try {
+        new RegExp(probe, rule.flags);
+      } catch (e) {
+        return { ok: false, error: `${at}: invalid pattern (${e.message})` };
+      }
+      // The keyword is unknown here; '.' stands for whatever characters it has.
+      if (!isSafeRegex(rule.pattern.split(FOCUS_KEYWORD_TOKEN).join('.'), rule.flags)) {
+        return { ok: false, error: `${at}: pattern is too expensive to match (nested or alternated repeats like (a+)+ or (a|ab)*, or back-to-back repeats over the same characters like .*a.*)` };
+      }
+      rule.mode = raw.mode === 'forbid' ? 'forbid' : 'require';
+    }
+
+    if (rule.kind === 'text-length') {
+      rule.minLength = optionalLength(raw.minLength);
+      rule.maxLength = optionalLength(raw.maxLength);
+      if (Number.isNaN(rule.minLength) || Number.isNaN(rule.maxLength)) {
+        return { ok: false, error: `${at}: minLength and maxLength must be non-negative integers` };
+      }
+      if (rule.minLength === null && rule.maxLength === null) {
+        return { ok: false, error: `${at}: set minLength, maxLength or both` };
+      }
+      if (rule.minLength !== null && rule.maxLength !== null && rule.minLength > rule.maxLength) {
+        return { ok: false, error: `${at}: minLength is greater than maxLength` };
+      }
+    }
+
+    // Issues are deduplicated and aggregated by message, so two rules (or a
+    // rule's pass and fail states) must never share one.
+    if (rule.message === rule.passMessage) return { ok: false, error: `${at}: message and passMessage must differ` };
+    for (const m of [rule.message, rule.passMessage]) {
+      if (messages.has(m)) return { ok: false, error: `${at}: message "${m}" is already used by another rule` };
+      messages.add(m);
+    }
+
+    if (!rule.id || ids.has(rule.id)) rule.id = slugId(name, ids);
+    ids.add(rule.id);
+    rules.push(rule);
+  }
+
+  return { ok: true, rules };
+}
+
+// ─── URL scoping ────────────────────────────────────────────
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url || '');
+  }
+}
+
+/** `*` matches any run of characters; patterns are matched against the path. */
+function urlMatches(rule, pageUrl) {
+  if (!rule.urlPatterns?.length) return true;
+  const path = pathOf(pageUrl);
+  return rule.urlPatterns.some((pattern) => {
+    const source = pattern.split('*').map(escapeRegex).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(path);
+  });
+}
+
+function normalizePageUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return String(url || '').replace(/\/+$/, '');
+  }
+}
+
+function extractFocusKeyword(seoData) {
+  if (!seoData) return null;
+  return seoData.focusKeyword || seoData.focuskw || seoData._yoast_wpseo_focuskw ||
+         seoData.rank_math_focus_keyword || seoData.focus_keyword || null;
+}
+
+// ─── Loading ────────────────────────────────────────────────
+
+/**
+ * Load a site's enabled rules for an audit run. Focus keywords are only
+ * read from SiteEntity when some rule references `{focusKeyword}`.
+ *
+ * @param {string} siteId
+ * @returns {Promise<{ rules: object[], focusKeywords: Map<string, string>|null }|null>}
+ *   null when the site has no enabled rules (analyzeHtml skips the pass).
+ */
+export async function loadCustomAuditRules(siteId) {
+  if (!siteId) return null;
+  const site = await prisma.site.findUnique({
+    where: { id: siteId },
+    select: { auditRules: true },
+  });
+  const rules = (Array.isArray(site?.auditRules) ? site.auditRules : []).filter((r) => r && r.enabled !== false);
+  if (!rules.length) return null;
+  return { rules, focusKeywords: await loadFocusKeywords(siteId, rules) };
+}
+
+/**
+ * Page URL → focus keyword map, or null when no rule needs it.
+ * @param {string} siteId
+ * @param {object[]} rules
+ */
+export async function loadFocusKeywords(siteId, rules) {
+  if (!rules.some((r) => r.pattern?.includes(FOCUS_KEYWORD_TOKEN))) return null;
+  const entities = await prisma.siteEntity.findMany({
+    where: { siteId, url: { not: null } },
+    select: { url: true, seoData: true },
+  });
+  const focusKeywords = new Map();
+  for (const entity of entities) {
+    const keyword = extractFocusKeyword(entity.seoData);
+    if (keyword) focusKeywords.set(normalizePageUrl(entity.url), String(keyword));
+  }
+  return focusKeywords;
+}
+
+// ─── Evaluation ─────────────────────────────────────────────
+
+function valueOf($, el, attribute) {
+  const raw = attribute ? $(el).attr(attribute) ?? '' : $(el).text();
+  return raw.replace(/\s+/g, ' ').trim();
+}
+
+function describe($, el) {
+  const tag = el.tagName || el.name || 'element';
+  const text = $(el).text().replace(/\s+/g, ' ').trim();
+  const href = $(el).attr('href') || $(el).attr('src');
+  return `<${tag}>${href ? ` ${href}` : ''}${text ? ` "${text.slice(0, 80)}"` : ''}`;
+}
+
+function jsonLdTypes($) {
+  const types = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) { node.forEach(visit); return; }
+    const t = node['@type'];
+    for (const type of Array.isArray(t) ? t : t ? [t] : []) {
+      types.add(String(type).replace(/^https?:\/\/schema\.org\//i, ''));
+    }
+    if (node['@graph']) visit(node['@graph']);
+  };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch {
+      // Malformed JSON-LD is already surfaced by the structured-data checks.
+    }
+  });
+  return types;
+}
+
+/**
+ * Evaluate one rule against a page.
+ * @returns {{ passed: boolean, details?: string, detailedSources?: string[] }|null}
+ *   null when the rule does not apply to this page.
+ */
+function evaluateRule($, rule, pageUrl, context) {
+  if (rule.kind === 'selector-exists') {
+    const count = $(rule.selector).length;
+    return { passed: count > 0, details: `${count}` };
+  }
+
+  if (rule.kind === 'selector-absent') {
+    const found = $(rule.selector).toArray();
+    return {
+      passed: found.length === 0,
+      details: `${found.length}`,
+      detailedSources: found.slice(0, MAX_DETAILED_SOURCES).map((el) => describe($, el)),
+    };
+  }
+
+  if (rule.kind === 'jsonld-type') {
+    const types = jsonLdTypes($);
+    const wanted = rule.schemaType.toLowerCase();
+    const passed = [...types].some((t) => t.toLowerCase() === wanted);
+    return { passed, details: types.size ? [...types].join(', ') : 'none' };
+  }
+
+  const elements = $(rule.selector).toArray();
+
+  if (rule.kind === 'text-length') {
+    if (!elements.length) return { passed: false, details: '0' };
+    const offending = [];
+    for (const el of elements) {
+      const length = valueOf($, el, rule.attribute).length;
+      const tooShort = rule.minLength !== null && length < rule.minLength;
+      const tooLong = rule.maxLength !== null && length > rule.maxLength;
+      if (tooShort || tooLong) offending.push(`${describe($, el)} (${length})`);
+    }
+    const first = valueOf($, elements[0], rule.attribute).length;
+    return {
+      passed: offending.length === 0,
+      details: `${first}`,
+      detailedSources: offending.slice(0, MAX_DETAILED_SOURCES),
+    };
+  }
+
+  // attribute-match - rules saved before the backtracking guard are skipped.
+  let source = rule.pattern;
+  if (source.includes(FOCUS_KEYWORD_TOKEN)) {
+    const keyword = context.focusKeywords?.get(normalizePageUrl(pageUrl));
+    if (!keyword) return null;
+    source = source.split(FOCUS_KEYWORD_TOKEN).join(escapeRegex(keyword));
+  }
+  if (!isSafeRegex(source, rule.flags || '')) return null;
+  const regex = new RegExp(source, rule.flags || '');
+  const test = (el) => regex.test(valueOf($, el, rule.attribute).slice(0, MAX_VALUE_LENGTH));
+
+  if (rule.mode === 'forbid') {
+    const hits = elements.filter(test);
+    return {
+      passed: hits.length === 0,
+      details: `${hits.length}`,
+      detailedSources: hits.slice(0, MAX_DETAILED_SOURCES).map((el) => describe($, el)),
+    };
+  }
+  if (!elements.length) return { passed: false, details: '0' };
+  const misses = elements.filter((el) => !test(el));
+  return {
+    passed: misses.length === 0,
+    details: `${elements.length - misses.length}/${elements.length}`,
+    detailedSources: misses.slice(0, MAX_DETAILED_SOURCES).map((el) => describe($, el)),
+  };
+}
+
+/**
+ * Run a site's custom rules against one page.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - the document analyzeHtml already loaded
+ * @param {string} pageUrl
+ * @param {{ rules: object[], focusKeywords?: Map<string, string>|null }} ruleSet - from loadCustomAuditRules
+ * @returns {Array<AuditIssue>}
+ */
+export function evaluateCustomRules($, pageUrl, ruleSet) {
+  const issues = [];
+  for (const rule of ruleSet?.rules || []) {
+    if (rule.enabled === false || !urlMatches(rule, pageUrl)) continue;
+
+    let outcome;
+    try {
+      outcome = evaluateRule($, rule, pageUrl, ruleSet);
+    } catch (err) {
+      // A rule that cannot run must not take the rest of the page down.
+      console.warn(`[CustomRules] Rule "${rule.id}" failed on ${pageUrl}:`, err.message);
+      continue;
+    }
+    if (!outcome) continue;
+
+    if (outcome.passed) {
+      issues.push({ type: rule.category, severity: 'passed', message: rule.passMessage, url: pageUrl, source: 'custom-rule', details: outcome.details });
+    } else {
+      issues.push({
+        type: rule.category,
+        severity: rule.severity,
+        message: rule.message,
+        url: pageUrl,
+        ...(rule.suggestion ? { suggestion: rule.suggestion } : {}),
+        source: 'custom-rule',
+        details: outcome.details,
+        ...(outcome.detailedSources?.length ? { detailedSources: outcome.detailedSources } : {}),
+      });
+    }
+  }
+  return issues;
+}
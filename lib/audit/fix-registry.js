@@ -168,6 +168,28 @@ export const ISSUE_FIXERS = {
     manualKinds: ['snippet'],
   },
 
+  // ─── Hreflang (free, site-level, all share one handler) ───────────
+  'audit.issues.hreflangMissingReturnLink': {
+    kind: 'free', handler: 'hreflang', bulk: false, previewable: false,
+    manualKinds: ['snippet'],
+  },
+  'audit.issues.hreflangMissingSelfReference': {
+    kind: 'free', handler: 'hreflang', bulk: false, previewable: false,
+    manualKinds: ['snippet'],
+  },
+  'audit.issues.hreflangMissingXDefault': {
+    kind: 'free', handler: 'hreflang', bulk: false, previewable: false,
+    manualKinds: ['snippet'],
+  },
+  'audit.issues.hreflangInvalidCode': {
+    kind: 'free', handler: 'hreflang', bulk: false, previewable: false,
+    manualKinds: ['snippet'],
+  },
+  'audit.issues.hreflangCanonicalConflict': {
+    kind: 'free', handler: 'hreflang', bulk: false, previewable: false,
+    manualKinds: ['snippet'],
+  },
+
   // ─── Security headers (free, all share one handler) ───────────────
   'audit.issues.noHsts': {
     kind: 'free', handler: 'securityHeaders', bulk: false, previewable: false,
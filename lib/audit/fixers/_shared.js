@@ -12,7 +12,8 @@
  */
 
 import prisma from '@/lib/prisma';
-import { resolveUrl, getMedia } from '@/lib/wp-api-client';
+import { getMedia } from '@/lib/wp-api-client';
+import { cms } from '@/lib/cms';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
 import { applyBulkUpdates, getAllPageResults, shouldWriteEmbeddedPageResults } from '@/lib/audit/page-results-helper';
 import { getAllIssues, applyIssuesTransform, shouldIncludeIssuesInRawPush } from '@/lib/audit/issues-helper';
@@ -37,9 +38,9 @@ export function shortPath(url) {
 // ─── WP post-ID resolution ──────────────────────────────────────────
 
 /**
- * Resolve a page URL to a WordPress post ID.
+ * Resolve a page URL to a WordPress post ID (or the entry id on a headless CMS).
  * Tries entity table first (by URL, then slug, then homepage variants),
- * falls back to the plugin's resolveUrl endpoint.
+ * falls back to the site adapter's resolveUrl (plugin endpoint / CMS lookup).
  *
  * @returns {Promise<number|null>}
  */
@@ -87,7 +88,7 @@ export async function resolvePostIdFromUrl(site, url) {
 
   if (entity?.externalId) return entity.externalId;
 
-  const resolved = await resolveUrl(site, url);
+  const resolved = await cms.resolveUrl(site, url);
   return resolved?.found ? resolved.postId : null;
 }
 
@@ -4,7 +4,8 @@
  * Issues handled: noMetaDescription | metaDescriptionShort |
  *                 metaDescriptionLong | duplicateMetaDescription
  *
- * WP-auto: pushes via /seo/{id} { description: ... }
+ * WP-auto: pushes via cms.updateSeoData { description: ... } (WP plugin or
+ *          a headless CMS with a mapped description field)
  * Manual:  returns one `value` ManualOutput per page.
  */
 
@@ -12,7 +13,7 @@ import { z } from 'zod';
 import { generateObject } from 'ai';
 import { googleGlobal } from '@/lib/ai/vertex-provider.js';
 import { GEMINI_MODEL } from '@/lib/ai/models.js';
-import { updateSeoData } from '@/lib/wp-api-client';
+import { cms } from '@/lib/cms';
 import { value as valueOutput } from '@/lib/audit/fix-manual-output';
 import prisma from '@/lib/prisma';
 import { getAllPageResults } from '@/lib/audit/page-results-helper';
@@ -120,7 +121,7 @@ export async function apply({ site, payload = {}, audit }) {
     try {
       const postId = await resolvePostIdFromUrl(site, url);
       if (!postId) throw new Error(`WordPress post ID not found for ${url}`);
-      await updateSeoData(site, postId, { description: newDescription });
+      await cms.updateSeoData(site, postId, { description: newDescription });
       results.push({ url, newDescription, pushed: true });
     } catch (e) {
       results.push({ url, newDescription, pushed: false, pushError: e.message });
@@ -0,0 +1,59 @@
+/**
+ * Hreflang Fix Handler
+ *
+ * Issues handled (site-level, one handler - every hreflang problem is fixed
+ * by publishing the same corrected block on every page of a translation set):
+ *   - audit.issues.hreflangMissingReturnLink
+ *   - audit.issues.hreflangMissingSelfReference
+ *   - audit.issues.hreflangMissingXDefault
+ *   - audit.issues.hreflangInvalidCode
+ *   - audit.issues.hreflangCanonicalConflict
+ *
+ * Rebuilds each translation set from the audit's pageResults
+ * (buildHreflangSets) and returns the full reciprocal block as a snippet.
+ * Multilingual plugins (WPML, Polylang) own these tags on WordPress, so
+ * apply is a no-op.
+ */
+
+import { snippet as snippetOutput } from '@/lib/audit/fix-manual-output';
+import { getAllPageResults } from '@/lib/audit/page-results-helper';
+import { buildHreflangSets } from '@/lib/audit/hreflang-analyzer';
+import { shortPath } from './_shared';
+
+export async function preview({ site, payload = {}, wpAuto: _wpAuto }) {
+  const { auditId } = payload;
+  const pageResults = auditId ? await getAllPageResults(auditId) : [];
+  const defaultLang = site.wpLocale?.split('_')[0] || null;
+  const sets = buildHreflangSets(pageResults, { defaultLang });
+
+  if (sets.length === 0) {
+    return { manualOutputs: [], usage: null };
+  }
+
+  const manualOutputs = sets.map(({ entries }) => {
+    const pageUrls = [...new Set(entries.filter((e) => e.hreflang !== 'x-default').map((e) => e.href))];
+    const pageList = pageUrls.map((u) => `- [${shortPath(u)}](${u})`).join('\n');
+    return snippetOutput({
+      title: `Hreflang block for ${shortPath(pageUrls[0])} and ${pageUrls.length - 1} translation(s)`,
+      why: 'Search engines only trust hreflang pairs that link both ways. Every page in a translation set must carry the same block: itself, each translation, and an x-default fallback - all with valid ISO language/region codes and pointing at canonical URLs.',
+      instructions: `Replace the existing \`<link rel="alternate" hreflang>\` tags in the \`<head>\` of EVERY page below with this exact block:\n\n${pageList}\n\nOn WordPress, WPML and Polylang generate this block from their translation links - fix the page's translation connections there instead of pasting tags. Make sure each page's canonical points at itself.`,
+      language: 'html',
+      code: entries.map((e) => `<link rel="alternate" hreflang="${e.hreflang}" href="${e.href}" />`).join('\n'),
+      where: 'inside <head> of every page in this translation set',
+    });
+  });
+
+  return { manualOutputs, usage: null };
+}
+
+export async function apply({ payload = {} }) {
+  const fixes = Array.isArray(payload.fixes) ? payload.fixes : [];
+  return {
+    results: fixes.map((f) => ({
+      ...f,
+      pushed: false,
+      pushError: 'Hreflang tags are generated by your multilingual plugin or theme - see the corrected block.',
+    })),
+    auditUpdated: false,
+  };
+}
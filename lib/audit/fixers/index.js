@@ -45,6 +45,7 @@ import * as canonical from './canonical';
 import * as lazyImages from './lazyImages';
 import * as langAttribute from './langAttribute';
 import * as securityHeaders from './securityHeaders';
+import * as hreflang from './hreflang';
 
 const HANDLERS = {
   title,
@@ -64,6 +65,7 @@ const HANDLERS = {
   lazyImages,
   langAttribute,
   securityHeaders,
+  hreflang,
 };
 
 export function getHandler(name) {
@@ -3,7 +3,8 @@
  *
  * Issue handled: missingOG
  *
- * WP-auto: pushes og_title + og_description via /seo/{id}.
+ * WP-auto: pushes og_title + og_description via cms.updateSeoData (WP plugin
+ *          or a headless CMS with mapped OG fields).
  * Manual:  returns one `snippet` ManualOutput per page with the
  *          ready-to-paste meta tags for the page's <head>.
  */
@@ -12,7 +13,7 @@ import { z } from 'zod';
 import { generateObject } from 'ai';
 import { googleGlobal } from '@/lib/ai/vertex-provider.js';
 import { GEMINI_MODEL } from '@/lib/ai/models.js';
-import { updateSeoData } from '@/lib/wp-api-client';
+import { cms } from '@/lib/cms';
 import { snippet as snippetOutput } from '@/lib/audit/fix-manual-output';
 import prisma from '@/lib/prisma';
 import { getAllPageResults } from '@/lib/audit/page-results-helper';
@@ -122,7 +123,7 @@ export async function apply({ site, payload = {}, audit }) {
       const seoData = {};
       if (ogTitle) seoData.og_title = ogTitle;
       if (ogDescription) seoData.og_description = ogDescription;
-      await updateSeoData(site, postId, seoData);
+      await cms.updateSeoData(site, postId, seoData);
       results.push({ url, ogTitle, ogDescription, pushed: true });
     } catch (e) {
       results.push({ url, ogTitle, ogDescription, pushed: false, pushError: e.message });
@@ -8,7 +8,8 @@
  *     wpAuto=false → { manualOutputs: [<value-kind ManualOutput>...], usage }
  *
  *   apply({ site, payload, audit, wpAuto })
- *     WP-only - pushes new titles via /seo/{id} and updates the audit doc.
+ *     Pushes new titles via cms.updateSeoData (WP plugin /seo/{id}, or the
+ *     mapped SEO title field on a headless CMS) and updates the audit doc.
  *
  * Issues handled (per fix-registry):
  *   audit.issues.noTitle | titleTooShort | titleTooLong | duplicateTitle
@@ -24,7 +25,7 @@ import { z } from 'zod';
 import { generateObject } from 'ai';
 import { googleGlobal } from '@/lib/ai/vertex-provider.js';
 import { GEMINI_MODEL } from '@/lib/ai/models.js';
-import { updateSeoData } from '@/lib/wp-api-client';
+import { cms } from '@/lib/cms';
 import { value as valueOutput } from '@/lib/audit/fix-manual-output';
 import prisma from '@/lib/prisma';
 import { getAllPageResults } from '@/lib/audit/page-results-helper';
@@ -139,7 +140,7 @@ export async function apply({ site, payload = {}, audit }) {
     try {
       const postId = await resolvePostIdFromUrl(site, url);
       if (!postId) throw new Error(`WordPress post ID not found for ${url}`);
-      await updateSeoData(site, postId, { title: newTitle });
+      await cms.updateSeoData(site, postId, { title: newTitle });
       results.push({ url, newTitle, pushed: true });
     } catch (e) {
       results.push({ url, newTitle, pushed: false, pushError: e.message });
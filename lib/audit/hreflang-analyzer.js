@@ -0,0 +1,278 @@
+/**
+ * Hreflang Analyzer - cross-page multilingual consistency checks
+ *
+ * Per page, extractHreflang() pulls the `<link rel="alternate" hreflang>`
+ * block, the canonical and the <html lang> into pageResult.hreflang. After
+ * all pages are scanned, analyzeHreflang() cross-references those records:
+ *   - reciprocity: every alternate that was scanned must link back
+ *   - self-reference: each page lists itself in its own block
+ *   - x-default: each block declares a fallback
+ *   - valid codes: ISO 639-1 language, optional ISO 3166-1 region / script
+ *   - canonical conflicts: a page with alternates that canonicalizes
+ *     elsewhere, or an alternate pointing at a non-canonical URL
+ *
+ * Issues are site-level (url = site origin, one per check) with the broken
+ * pairs in detailedSources ({ page | from/to, hreflang, href, text } - the
+ * UI renders `text`). Issues from this module have source: "system".
+ * Sites that declare no hreflang at all get no hreflang issues.
+ */
+
+import * as cheerio from 'cheerio';
+
+// ISO 639-1 (two-letter) language codes accepted by search engines.
+const LANGUAGE_CODES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+  'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+  'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+  'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+  'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+  'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// ISO 3166-1 alpha-2 region codes. Note "UK" is NOT valid - it's "GB".
+const REGION_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+  'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+  'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+  'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+  'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+  'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+  'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+  'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+const MAX_DETAILED_SOURCES = 50;
+
+/**
+ * Validate an hreflang value: "x-default", "ll", "ll-RR" or "ll-Ssss"
+ * (script subtag, e.g. zh-Hant). Case-insensitive, hyphen only.
+ */
+export function isValidHreflang(code) {
+  if (!code) return false;
+  if (code.toLowerCase() === 'x-default') return true;
+  const parts = code.split('-');
+  if (parts.length > 2 || !LANGUAGE_CODES.has(parts[0].toLowerCase())) return false;
+  if (parts.length === 1) return true;
+  const sub = parts[1];
+  if (/^[a-z]{4}$/i.test(sub)) return true;
+  return REGION_CODES.has(sub.toUpperCase());
+}
+
+function resolveHref(href, baseUrl) {
+  try { return new URL(href, baseUrl).href; } catch { return null; }
+}
+
+/**
+ * Comparison key for URLs: no hash, no trailing slash, lowercase host.
+ * Query strings are kept - `?lang=he` style sites depend on them.
+ */
+export function hreflangUrlKey(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${u.protocol}//${u.host.toLowerCase()}${path}${u.search}`;
+  } catch {
+    return (url || '').replace(/\/+$/, '');
+  }
+}
+
+// ─── Per-page extraction ────────────────────────────────────
+
+/**
+ * Extract the hreflang block of one page.
+ * @param {string|import('cheerio').CheerioAPI} html - Raw HTML or a loaded Cheerio doc
+ * @param {string} pageUrl
+ * @returns {{ lang: string|null, canonical: string|null, alternates: Array<{ hreflang: string, href: string }> }|null}
+ *   null when the page declares no alternates.
+ */
+export function extractHreflang(html, pageUrl) {
+  const $ = typeof html === 'string' ? cheerio.load(html) : html;
+  const alternates = [];
+  $('link[rel="alternate"][hreflang]').each((_, el) => {
+    const hreflang = ($(el).attr('hreflang') || '').trim();
+    const href = resolveHref(($(el).attr('href') || '').trim(), pageUrl);
+    if (hreflang && href) alternates.push({ hreflang, href });
+  });
+  if (alternates.length === 0) return null;
+
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  return {
+    lang: ($('html').attr('lang') || '').trim() || null,
+    canonical: canonicalHref ? resolveHref(canonicalHref.trim(), pageUrl) : null,
+    alternates,
+  };
+}
+
+// ─── Cross-page analysis ────────────────────────────────────
+
+/**
+ * Cross-reference the hreflang blocks of all scanned pages.
+ * @param {Array<{ url: string, hreflang?: object|null }>} pageResults
+ * @param {string} siteUrl - Site origin, used as the url of the site-level issues
+ * @returns {Array<AuditIssue>}
+ */
+export function analyzeHreflang(pageResults, siteUrl) {
+  const pages = (pageResults || []).filter((pr) => pr?.url && pr.hreflang?.alternates?.length);
+  if (pages.length === 0) return [];
+
+  const origin = (() => { try { return new URL(siteUrl).origin; } catch { return siteUrl; } })();
+  const byKey = new Map();
+  for (const pr of pageResults) {
+    if (pr?.url) byKey.set(hreflangUrlKey(pr.url), pr);
+  }
+
+  const missingReturn = [];
+  const missingSelf = [];
+  const missingXDefault = [];
+  const invalidCodes = [];
+  const canonicalConflicts = [];
+
+  for (const pr of pages) {
+    const pageKey = hreflangUrlKey(pr.url);
+    const { alternates, canonical } = pr.hreflang;
+
+    if (!alternates.some((a) => hreflangUrlKey(a.href) === pageKey)) {
+      missingSelf.push({ page: pr.url, text: pr.url });
+    }
+    if (!alternates.some((a) => a.hreflang.toLowerCase() === 'x-default')) {
+      missingXDefault.push({ page: pr.url, text: pr.url });
+    }
+
+    if (canonical && hreflangUrlKey(canonical) !== pageKey) {
+      canonicalConflicts.push({
+        page: pr.url, canonical,
+        text: `${pr.url} declares alternates but canonicalizes to ${canonical}`,
+      });
+    }
+
+    for (const alt of alternates) {
+      if (!isValidHreflang(alt.hreflang)) {
+        invalidCodes.push({
+          page: pr.url, hreflang: alt.hreflang, href: alt.href,
+          text: `${pr.url}: "${alt.hreflang}" → ${alt.href}`,
+        });
+      }
+
+      const targetKey = hreflangUrlKey(alt.href);
+      if (targetKey === pageKey || alt.hreflang.toLowerCase() === 'x-default') continue;
+
+      // Only scanned targets can be verified - unscanned ones are skipped.
+      const target = byKey.get(targetKey);
+      if (!target) continue;
+
+      const targetCanonical = target.hreflang?.canonical;
+      if (targetCanonical && hreflangUrlKey(targetCanonical) !== targetKey) {
+        canonicalConflicts.push({
+          page: pr.url, hreflang: alt.hreflang, href: alt.href, canonical: targetCanonical,
+          text: `${pr.url}: "${alt.hreflang}" → ${alt.href}, which canonicalizes to ${targetCanonical}`,
+        });
+      }
+
+      const linksBack = (target.hreflang?.alternates || [])
+        .some((a) => a.hreflang.toLowerCase() !== 'x-default' && hreflangUrlKey(a.href) === pageKey);
+      if (!linksBack) {
+        missingReturn.push({
+          from: pr.url, to: alt.href, hreflang: alt.hreflang,
+          text: `${pr.url} → ${alt.href} (${alt.hreflang}) has no return link`,
+        });
+      }
+    }
+  }
+
+  const issues = [];
+  const push = (severity, key, suggestion, sources, noun) => {
+    if (sources.length === 0) return;
+    issues.push({
+      type: 'technical', severity, message: `audit.issues.${key}`, url: origin,
+      suggestion: `audit.suggestions.${suggestion}`, source: 'system',
+      details: `${sources.length} ${noun}`,
+      detailedSources: sources.slice(0, MAX_DETAILED_SOURCES),
+    });
+  };
+
+  push('error', 'hreflangMissingReturnLink', 'fixHreflangReturnLinks', missingReturn, 'pairs');
+  push('error', 'hreflangInvalidCode', 'fixHreflangCodes', invalidCodes, 'entries');
+  push('error', 'hreflangCanonicalConflict', 'fixHreflangCanonical', canonicalConflicts, 'conflicts');
+  push('warning', 'hreflangMissingSelfReference', 'addHreflangSelfReference', missingSelf, 'pages');
+  push('info', 'hreflangMissingXDefault', 'addHreflangXDefault', missingXDefault, 'pages');
+
+  if (issues.length === 0) {
+    issues.push({
+      type: 'technical', severity: 'passed', message: 'audit.issues.hreflangGood',
+      url: origin, source: 'system', details: `${pages.length} pages`,
+    });
+  }
+  return issues;
+}
+
+// ─── Corrected blocks (used by fixers/hreflang.js) ──────────
+
+/**
+ * Group pages into translation sets (pages connected through alternates)
+ * and build the corrected, fully reciprocal hreflang block for each set.
+ *
+ * For each language the URL that declares itself under that code wins;
+ * invalid codes are dropped. x-default keeps an existing target, else
+ * falls back to `defaultLang`'s URL, else the first entry.
+ *
+ * @returns {Array<{ pages: string[], entries: Array<{ hreflang: string, href: string }> }>}
+ */
+export function buildHreflangSets(pageResults, { defaultLang = null } = {}) {
+  const pages = (pageResults || []).filter((pr) => pr?.url && pr.hreflang?.alternates?.length);
+
+  // Union-find over URL keys.
+  const parent = new Map();
+  const find = (k) => {
+    if (!parent.has(k)) parent.set(k, k);
+    let root = k;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(k, root);
+    return root;
+  };
+  const union = (a, b) => { parent.set(find(a), find(b)); };
+
+  for (const pr of pages) {
+    const pageKey = hreflangUrlKey(pr.url);
+    find(pageKey);
+    for (const alt of pr.hreflang.alternates) {
+      if (alt.hreflang.toLowerCase() !== 'x-default') union(pageKey, hreflangUrlKey(alt.href));
+    }
+  }
+
+  const sets = new Map(); // root → { pages, declared }
+  for (const pr of pages) {
+    const root = find(hreflangUrlKey(pr.url));
+    if (!sets.has(root)) sets.set(root, { pages: [], declared: [] });
+    const set = sets.get(root);
+    set.pages.push(pr.url);
+    set.declared.push(...pr.hreflang.alternates.map((a) => ({ ...a, declaredBy: pr.url })));
+  }
+
+  const result = [];
+  for (const { pages: setPages, declared } of sets.values()) {
+    const byLang = new Map();
+    let xDefault = null;
+    for (const alt of declared) {
+      const code = alt.hreflang.toLowerCase();
+      if (code === 'x-default') { xDefault = xDefault || alt.href; continue; }
+      if (!isValidHreflang(alt.hreflang)) continue;
+      const selfDeclared = hreflangUrlKey(alt.href) === hreflangUrlKey(alt.declaredBy);
+      const current = byLang.get(code);
+      if (!current || (selfDeclared && !current.selfDeclared)) {
+        byLang.set(code, { hreflang: alt.hreflang, href: alt.href, selfDeclared });
+      }
+    }
+    if (byLang.size === 0) continue;
+
+    const entries = [...byLang.values()].map(({ hreflang, href }) => ({ hreflang, href }));
+    if (!xDefault) {
+      const fallback = defaultLang
+        && entries.find((e) => e.hreflang.toLowerCase().split('-')[0] === defaultLang.toLowerCase());
+      xDefault = (fallback || entries[0]).href;
+    }
+    entries.push({ hreflang: 'x-default', href: xDefault });
+    result.push({ pages: setPages, entries });
+  }
+  return result;
+}
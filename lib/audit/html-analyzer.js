@@ -9,10 +9,14 @@
  *
  * All issues use translation keys as messages.
  * Issues from this module have source: "html".
+ *
+ * A site's custom rules (./custom-rules.js) run on the same document at the
+ * end of the scan and emit source: "custom-rule" issues.
  */
 
 import * as cheerio from 'cheerio';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
+import { evaluateCustomRules } from './custom-rules.js';
 
 function extractDomain(url) {
   try { return new URL(url).hostname; } catch { return ''; }
@@ -26,9 +30,10 @@ function extractDomain(url) {
  * @param {string} pageUrl - URL of the page
  * @param {Object} headers - HTTP response headers (optional)
  * @param {number|null} ttfb - Time to first byte in ms (optional)
+ * @param {Object|null} customRules - Site rule set from loadCustomAuditRules (optional)
  * @returns {Array<AuditIssue>}
  */
-export function analyzeHtml(html, pageUrl, headers = {}, ttfb = null, domData = null, imageResources = null) {
+export function analyzeHtml(html, pageUrl, headers = {}, ttfb = null, domData = null, imageResources = null, customRules = null) {
   const issues = [];
   const $ = cheerio.load(html);
   const hasHeaders = Object.keys(headers).length > 0;
@@ -502,6 +507,14 @@ export function analyzeHtml(html, pageUrl, headers = {}, ttfb = null, domData =
     issues.push({ type: 'technical', severity: 'warning', message: 'audit.issues.smallFontSizes', url: pageUrl, suggestion: 'audit.suggestions.increaseFontSize', source: 'html' });
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // CUSTOM SITE RULES
+  // ═══════════════════════════════════════════════════════════
+
+  if (customRules?.rules?.length) {
+    issues.push(...evaluateCustomRules($, pageUrl, customRules));
+  }
+
   return issues;
 }
 
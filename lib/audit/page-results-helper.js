@@ -172,6 +172,7 @@ export async function appendPageResult({ auditId, siteId, accountId }, pageResul
           inp: pageResult.inp ?? null,
           jsErrors: pageResult.jsErrors || [],
           brokenResources: pageResult.brokenResources || [],
+          hreflang: pageResult.hreflang ?? null,
           issueCount: pageResult.issueCount ?? 0,
           screenshotDesktop: pageResult.screenshotDesktop ?? null,
           screenshotMobile: pageResult.screenshotMobile ?? null,
@@ -18,7 +18,7 @@ import { getAllIssues } from './issues-helper.js';
 export async function recalculateAuditAfterFix(auditId, siteUrl) {
   const audit = await prisma.siteAudit.findUnique({
     where: { id: auditId },
-    select: { pagesScanned: true, siteId: true, site: { select: { accountId: true } } },
+    select: { pagesScanned: true, siteId: true, scoringProfile: true, site: { select: { accountId: true } } },
   });
   if (!audit) return;
 
@@ -26,7 +26,9 @@ export async function recalculateAuditAfterFix(auditId, siteUrl) {
   const initialIssues = await getAllIssues(auditId);
 
   const context = { accountId: audit.site?.accountId, siteId: audit.siteId };
-  const { score, categoryScores } = calculateAuditScore(initialIssues);
+  // Re-score under the profile the audit was originally scored with, not the
+  // site's current one, so a fix never silently changes the scoring rules.
+  const { score, categoryScores } = calculateAuditScore(initialIssues, audit.scoringProfile);
 
   // Generate AI summary once (used on first attempt)
   let summary = null;
@@ -54,7 +56,7 @@ export async function recalculateAuditAfterFix(auditId, siteUrl) {
       });
       if (!currentAudit) return;
 
-      const recalc = calculateAuditScore(currentIssues);
+      const recalc = calculateAuditScore(currentIssues, audit.scoringProfile);
 
       let freshSummary = null;
       if (attempt === 0) {
@@ -0,0 +1,132 @@
+/**
+ * Audit Scoring Profiles
+ *
+ * Per-account (or per-site) overrides for calculateAuditScore: category
+ * weights plus severity overrides keyed by issue message. A site uses its
+ * own Site.scoringProfileId, else the account's default profile, else the
+ * built-in CATEGORY_WEIGHTS.
+ *
+ * Audits store a snapshot of the profile they were scored with
+ * (SiteAudit.scoringProfile). Recalculations after fixes reuse that snapshot
+ * rather than re-resolving, so an audit's score never silently switches
+ * rules; history comparisons use `version` to flag scores produced under
+ * different profiles.
+ */
+
+import prisma from '@/lib/prisma';
+import { CATEGORY_WEIGHTS } from './scoring.js';
+
+export const SCORE_CATEGORIES = Object.keys(CATEGORY_WEIGHTS);
+export const OVERRIDE_SEVERITIES = ['error', 'warning', 'info', 'ignore'];
+
+const MAX_OVERRIDES = 200;
+
+/**
+ * Validate a create/update body.
+ *
+ * @param {object} input
+ * @param {{ partial?: boolean }} [options] - PATCH: only validate fields present
+ * @returns {{ ok: true, data: object } | { ok: false, error: string }}
+ */
+export function normalizeScoringProfile(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return { ok: false, error: 'Invalid body' };
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim().slice(0, 80) : '';
+    if (!name) return { ok: false, error: 'name is required' };
+    data.name = name;
+  }
+
+  if (input.description !== undefined) {
+    data.description = typeof input.description === 'string' ? input.description.trim().slice(0, 500) || null : null;
+  }
+
+  if (!partial || input.categoryWeights !== undefined) {
+    const raw = input.categoryWeights || {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: 'categoryWeights must be an object' };
+    const weights = {};
+    for (const cat of SCORE_CATEGORIES) {
+      const value = raw[cat] === undefined ? CATEGORY_WEIGHTS[cat] : Number(raw[cat]);
+      if (!Number.isFinite(value) || value < 0) return { ok: false, error: `categoryWeights.${cat} must be a non-negative number` };
+      weights[cat] = value;
+    }
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return { ok: false, error: 'At least one category needs a weight above 0' };
+    // Accept percentages or fractions; store fractions that sum to 1.
+    for (const cat of SCORE_CATEGORIES) weights[cat] = Math.round((weights[cat] / total) * 10000) / 10000;
+    data.categoryWeights = weights;
+  }
+
+  if (input.severityOverrides !== undefined) {
+    const raw = input.severityOverrides || {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: 'severityOverrides must be an object' };
+    const entries = Object.entries(raw);
+    if (entries.length > MAX_OVERRIDES) return { ok: false, error: `At most ${MAX_OVERRIDES} severity overrides` };
+    const overrides = {};
+    for (const [key, severity] of entries) {
+      const issueKey = key.trim().slice(0, 300);
+      if (!issueKey) continue;
+      if (!OVERRIDE_SEVERITIES.includes(severity)) {
+        return { ok: false, error: `severityOverrides["${issueKey}"] must be one of ${OVERRIDE_SEVERITIES.join(', ')}` };
+      }
+      overrides[issueKey] = severity;
+    }
+    data.severityOverrides = overrides;
+  }
+
+  if (input.isDefault !== undefined) data.isDefault = input.isDefault === true;
+
+  return { ok: true, data };
+}
+
+/**
+ * The part of a profile that is stored on each audit.
+ * @returns {{ id, name, version, categoryWeights, severityOverrides }|null}
+ */
+export function snapshotScoringProfile(profile) {
+  if (!profile) return null;
+  return {
+    id: profile.id,
+    name: profile.name,
+    version: profile.version,
+    categoryWeights: profile.categoryWeights,
+    severityOverrides: profile.severityOverrides || {},
+  };
+}
+
+/**
+ * Resolve the profile a new audit of `siteId` is scored with.
+ * @returns {Promise<object|null>} snapshot, or null for the built-in weights
+ */
+export async function resolveScoringProfile(siteId) {
+  const site = await prisma.site.findUnique({
+    where: { id: siteId },
+    select: { accountId: true, scoringProfileId: true },
+  });
+  if (!site) return null;
+
+  let profile = null;
+  if (site.scoringProfileId) {
+    profile = await prisma.scoringProfile.findFirst({
+      where: { id: site.scoringProfileId, accountId: site.accountId },
+    });
+  }
+  if (!profile && site.accountId) {
+    profile = await prisma.scoringProfile.findFirst({
+      where: { accountId: site.accountId, isDefault: true },
+    });
+  }
+  return snapshotScoringProfile(profile);
+}
+
+/** Whether two audit snapshots were produced by the same profile revision. */
+export function sameScoringProfile(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.id === b.id && a.version === b.version;
+}
+
+/** Short form for API responses (no weights/overrides). */
+export function describeScoringProfile(snapshot) {
+  return snapshot ? { id: snapshot.id, name: snapshot.name, version: snapshot.version } : null;
+}
@@ -20,9 +20,14 @@
  * (all checks failed) is INCLUDED so the overall reflects that failure.
  *
  * Weights: Technical 35%, Performance 30%, Accessibility 20%, Visual 15%
+ *
+ * A scoring profile (lib/audit/scoring-profiles.js) can replace the weights
+ * and re-grade specific issue keys before counting: a failing issue can be
+ * promoted/demoted to error/warning/info or dropped ("ignore"). Passed
+ * checks are never re-graded.
  */
 
-const CATEGORY_WEIGHTS = {
+export const CATEGORY_WEIGHTS = {
   technical: 0.35,
   performance: 0.30,
   visual: 0.15,
@@ -32,15 +37,34 @@ const CATEGORY_WEIGHTS = {
 // Categories where checks produce "passed" severity items → ratio-based
 const RATIO_CATEGORIES = new Set(['technical', 'performance', 'accessibility']);
 
+/**
+ * Apply a profile's severity overrides (keyed by issue message) to the
+ * issues that feed the score.
+ */
+function applySeverityOverrides(issues, overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) return issues;
+  const out = [];
+  for (const issue of issues) {
+    const override = issue.severity !== 'passed' ? overrides[issue.message] : null;
+    if (!override) out.push(issue);
+    else if (override !== 'ignore') out.push({ ...issue, severity: override });
+  }
+  return out;
+}
+
 /**
  * Calculate audit scores from a flat issues array.
  *
- * @param {Array<{ type: string, severity: string }>} issues
+ * @param {Array<{ type: string, severity: string, message?: string }>} issues
+ * @param {{ categoryWeights?: object, severityOverrides?: object }|null} [profile]
+ *   Scoring profile snapshot (SiteAudit.scoringProfile); null = built-in weights.
  * @returns {{ score: number, categoryScores: { technical: number, performance: number, visual: number, accessibility: number } }}
  */
-export function calculateAuditScore(issues) {
+export function calculateAuditScore(issues, profile = null) {
   const categories = ['technical', 'performance', 'visual', 'accessibility'];
   const categoryScores = {};
+  issues = applySeverityOverrides(issues, profile?.severityOverrides);
+  const weights = profile?.categoryWeights || CATEGORY_WEIGHTS;
 
   for (const cat of categories) {
     const ci = issues.filter(i => i.type === cat);
@@ -78,9 +102,10 @@ export function calculateAuditScore(issues) {
   // the overall to inflate when a category was all-error.
   let weightedSum = 0;
   let totalWeight = 0;
-  for (const [name, weight] of Object.entries(CATEGORY_WEIGHTS)) {
+  for (const name of categories) {
+    const weight = weights[name] ?? 0;
     const s = categoryScores[name];
-    if (s != null) {
+    if (s != null && weight > 0) {
       weightedSum += s * weight;
       totalWeight += weight;
     }
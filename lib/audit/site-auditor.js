@@ -22,6 +22,8 @@ import { createBrowserScanner, scanPage } from './playwright-scanner.js';
 import { getPageSpeedInsights } from './pagespeed-client.js';
 import { analyzeVisualIssues } from './vision-analyzer.js';
 import { analyzeHtml, checkRobotsAndSitemap } from './html-analyzer.js';
+import { extractHreflang, analyzeHreflang } from './hreflang-analyzer.js';
+import { loadCustomAuditRules } from './custom-rules.js';
 import {
   appendPageResult,
   applyBulkUpdates,
@@ -37,8 +39,12 @@ import {
 } from './issues-helper.js';
 import { getSearchEngineVisibility } from '@/lib/wp-api-client.js';
 import { calculateAuditScore } from './scoring.js';
+import { resolveScoringProfile } from './scoring-profiles.js';
 import { generateAuditSummary, translateAuditSummary } from './summary-generator.js';
 import { notifyAccountMembers } from '@/lib/notifications';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
+import { SCORE_DROP_THRESHOLD } from '@/lib/webhooks/events';
+import { dispatchAutomationEvent } from '@/lib/automations/dispatch';
 import { syncWidgetData } from '@/lib/widget-sync';
 import { invalidateAudit } from '@/lib/cache/invalidate.js';
 import {
@@ -270,6 +276,7 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
     // PSI is rate-limited and slow. Wrap calls in a dedicated limiter so PSI
     // can't saturate Google's quota even if many pages run it.
     const psiLimit = pLimit(PSI_CONCURRENCY);
+    const customRules = await loadCustomAuditRules(siteId);
     const pageResults = [];
     const pageScreenshots = {}; // url -> { desktop?: Buffer, mobile?: Buffer }
     const pageSegmentedScreenshots = {}; // url -> { desktop?: Buffer[], mobile?: Buffer[] }
@@ -291,7 +298,8 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
             isHomepage,
             index < 3,
             deviceType,
-            psiLimit
+            psiLimit,
+            customRules
           );
           allIssues.push(...result.issues);
           pageResults.push(result.pageResult);
@@ -522,6 +530,9 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
       }
     }
 
+    // ── Hreflang reciprocity / codes / canonicals (cross-page) ──
+    allIssues.push(...analyzeHreflang(pageResults, url));
+
     // ── Robots & Sitemap (site-wide, not per-page) ──────
     const baseUrl = new URL(url).origin;
     const robotsSitemapIssues = await checkRobotsAndSitemap(baseUrl);
@@ -604,7 +615,8 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
     // PHASE 5: SCORING & SAVE
     // ══════════════════════════════════════════════════════
 
-    const { score, categoryScores } = calculateAuditScore(allIssues);
+    const scoringProfile = await resolveScoringProfile(siteId);
+    const { score, categoryScores } = calculateAuditScore(allIssues, scoringProfile);
     const deduped = deduplicateIssues(allIssues);
 
     // ── Upload all screenshots to Cloudinary ────────────
@@ -655,6 +667,7 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
           inp: pr.inp || null,
           jsErrors: (pr.jsErrors || []).map(e => typeof e === 'string' ? e : (e.text || JSON.stringify(e))),
           brokenResources: (pr.brokenResources || []).map(r => typeof r === 'string' ? r : JSON.stringify(r)),
+          hreflang: pr.hreflang || null,
           issueCount: pr.issueCount || 0,
           screenshotDesktop: ssDesktop || null,
           screenshotMobile: ssMobile || null,
@@ -722,6 +735,7 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
           completedAt: new Date(),
           score,
           categoryScores,
+          scoringProfile,
           deviceType: deviceType || null,
           pagesScanned: enrichedPageResults.length,
         progress: {
@@ -817,6 +831,7 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
         deviceType: deviceType || null,
       },
     }).catch(() => {}); // fire-and-forget
+    emitAuditEvents(site, { auditId, siteId, score, deviceType, pagesScanned: enrichedPageResults.length });
 
     // ── Chat follow-up: when this audit was kicked off from the AI chat,
     // post a "audit finished" message back into the conversation so the
@@ -876,7 +891,7 @@ export async function runSiteAudit(auditId, siteUrl, siteId, deviceType, options
 
 // ─── Single Page Scanner ────────────────────────────────────
 
-export async function scanSinglePage(pageUrl, scanner, isHomepage, runPsi, deviceType, psiLimit) {
+export async function scanSinglePage(pageUrl, scanner, isHomepage, runPsi, deviceType, psiLimit, customRules = null) {
   // When the caller didn't pass a limiter (older call sites), still gate PSI
   // through a no-op wrapper so the rest of the code can call it uniformly.
   const psiRun = psiLimit ? (fn) => psiLimit(fn) : (fn) => fn();
@@ -921,8 +936,9 @@ export async function scanSinglePage(pageUrl, scanner, isHomepage, runPsi, devic
         const pwHeaders = pwResult.responseHeaders && Object.keys(pwResult.responseHeaders).length > 0
           ? pwResult.responseHeaders
           : (pwResult.xRobotsTag ? { 'x-robots-tag': pwResult.xRobotsTag } : {});
-        const htmlIssues = analyzeHtml(html, pageUrl, pwHeaders, pwResult.ttfb, pwResult.dom, pwResult.imageResources);
+        const htmlIssues = analyzeHtml(html, pageUrl, pwHeaders, pwResult.ttfb, pwResult.dom, pwResult.imageResources, customRules);
         issues.push(...htmlIssues);
+        pageResult.hreflang = extractHreflang(html, pageUrl);
       }
 
       // PSI if requested (gated through shared concurrency limiter).
@@ -979,8 +995,9 @@ export async function scanSinglePage(pageUrl, scanner, isHomepage, runPsi, devic
     headers = Object.fromEntries(response.headers.entries());
 
     html = await response.text();
-    const htmlIssues = analyzeHtml(html, pageUrl, headers, ttfb);
+    const htmlIssues = analyzeHtml(html, pageUrl, headers, ttfb, null, null, customRules);
     issues.push(...htmlIssues);
+    pageResult.hreflang = extractHreflang(html, pageUrl);
 
     // Extract basic meta from HTML
     const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
@@ -1368,6 +1385,8 @@ export async function processChunk(auditId, options = {}) {
     // ── Scan + upload + persist per page in parallel ───────────────────
     const limit = pLimit(CONCURRENCY);
     const psiLimit = pLimit(PSI_CONCURRENCY);
+    // Re-read per chunk so rule edits apply to the rest of a running audit.
+    const customRules = await loadCustomAuditRules(audit.siteId);
 
     // Per-page atomic persist via $runCommandRaw with $push/$pull/$inc.
     // Each page commits its own issues + pageResult independently of the
@@ -1472,7 +1491,7 @@ export async function processChunk(auditId, options = {}) {
 
         try {
           const result = await scanSinglePage(
-            pageUrl, scanner, isHomepage, runPsi, audit.deviceType, psiLimit
+            pageUrl, scanner, isHomepage, runPsi, audit.deviceType, psiLimit, customRules
           );
 
           // Upload screenshots inline so we can drop the buffers immediately.
@@ -1502,6 +1521,7 @@ export async function processChunk(auditId, options = {}) {
             inp: result.pageResult?.inp || null,
             jsErrors: (result.pageResult?.jsErrors || []).map(e => typeof e === 'string' ? e : (e.text || JSON.stringify(e))),
             brokenResources: (result.pageResult?.brokenResources || []).map(r => typeof r === 'string' ? r : JSON.stringify(r)),
+            hreflang: result.pageResult?.hreflang || null,
             issueCount: (result.issues || []).length,
             screenshotDesktop: ssDesktop || null,
             screenshotMobile: ssMobile || null,
@@ -1700,6 +1720,9 @@ export async function runFinalization(auditId, options = {}) {
       }
     }
 
+    // ── Hreflang reciprocity / codes / canonicals (cross-page) ────────
+    allIssues.push(...analyzeHreflang(pageResults, url));
+
     // ── Robots & Sitemap (site-wide) ─────────────────────────────────
     try {
       const baseUrl = new URL(url).origin;
@@ -1842,7 +1865,10 @@ export async function runFinalization(auditId, options = {}) {
     }
 
     // ── Scoring ──────────────────────────────────────────────────────
-    const { score, categoryScores } = calculateAuditScore(allIssues);
+    // The profile snapshot is stored with the score so later recalcs and
+    // history comparisons know which weights/overrides produced it.
+    const scoringProfile = await resolveScoringProfile(audit.siteId);
+    const { score, categoryScores } = calculateAuditScore(allIssues, scoringProfile);
     const deduped = deduplicateIssues(allIssues);
 
     // ── Homepage screenshots field (legacy compat: top-level `screenshots`) ──
@@ -1940,7 +1966,7 @@ export async function runFinalization(auditId, options = {}) {
           status: 'COMPLETED',
           phase: 'completed',
           completedAt: new Date(),
-          score, categoryScores,
+          score, categoryScores, scoringProfile,
           pagesScanned: pageResults.length,
           progress: {
             currentStep: pageResults.length + 3,
@@ -1978,6 +2004,7 @@ export async function runFinalization(auditId, options = {}) {
       link: '/dashboard/technical-seo/site-audit',
       data: { auditId, siteId: audit.siteId, siteName: site.name || site.url, score, deviceType: audit.deviceType || null },
     }).catch(() => {});
+    emitAuditEvents(site, { auditId, siteId: audit.siteId, score, deviceType: audit.deviceType, pagesScanned: pageResults.length });
     if (options.chatConversationId) {
       postAuditChatFollowUp(options.chatConversationId, {
         siteId: audit.siteId, success: true, score, pagesScanned: pageResults.length,
@@ -1995,6 +2022,43 @@ export async function runFinalization(auditId, options = {}) {
   }
 }
 
+/**
+ * Emit audit.completed, plus audit.score_dropped when the score fell by
+ * SCORE_DROP_THRESHOLD or more since the previous completed audit of the same
+ * site and device, and dispatch the AUDIT_COMPLETED automations.
+ * Fire-and-forget like the notification next to it.
+ */
+function emitAuditEvents(site, { auditId, siteId, score, deviceType, pagesScanned }) {
+  (async () => {
+    const data = { auditId, siteName: site.name || site.url, score, deviceType: deviceType || null, pagesScanned };
+    await emitWebhookEvent(site.accountId, 'audit.completed', data, { siteId });
+
+    const previous = await prisma.siteAudit.findFirst({
+      where: { siteId, deviceType: deviceType || null, status: 'COMPLETED', id: { not: auditId } },
+      orderBy: { completedAt: 'desc' },
+      select: { id: true, score: true },
+    });
+    await dispatchAutomationEvent(siteId, 'AUDIT_COMPLETED', {
+      auditId,
+      score,
+      previousScore: previous?.score ?? null,
+      scoreDelta: previous?.score != null && score != null ? score - previous.score : null,
+      deviceType: deviceType || null,
+      pagesScanned,
+    });
+    if (previous?.score != null && score != null && previous.score - score >= SCORE_DROP_THRESHOLD) {
+      await emitWebhookEvent(site.accountId, 'audit.score_dropped', {
+        ...data,
+        previousAuditId: previous.id,
+        previousScore: previous.score,
+        drop: previous.score - score,
+      }, { siteId });
+    }
+  })().catch((err) => {
+    console.warn(`[SiteAudit] Webhook / automation emit failed for ${auditId}: ${err.message}`);
+  });
+}
+
 /**
  * Post a follow-up assistant message into a chat conversation when a long-
  * running audit run finishes. Best-effort - if the conversation was deleted
@@ -1,5 +1,6 @@
-import { cookies } from "next/headers";
+import { headers } from "next/headers";
 import prisma from "@/lib/prisma";
+import { getSessionUserId } from "@/lib/auth-session";
 import {
   hasPermission,
   canAccess,
@@ -7,8 +8,25 @@ import {
   getAllPermissions,
 } from "@/lib/permissions";
 import { getActiveImpersonation } from "@/lib/impersonation-context";
+import { blocksWhileReadOnly, isAccountReadOnly } from "@/lib/dunning";
 
-const SESSION_COOKIE = "user_session";
+// Stamped on API requests by middleware.js; route handlers can't otherwise
+// tell which method they were called with.
+const REQUEST_METHOD_HEADER = "x-ghostseo-method";
+const REQUEST_PATH_HEADER = "x-ghostseo-path";
+
+/**
+ * Whether the current request writes to an account in the dunning read-only
+ * window (lib/dunning.js). Page renders carry no stamp and are never refused.
+ */
+async function refusedAsReadOnly(accountId) {
+  const headerList = await headers();
+  const method = headerList.get(REQUEST_METHOD_HEADER);
+  if (!method || !blocksWhileReadOnly(method, headerList.get(REQUEST_PATH_HEADER) || "")) {
+    return false;
+  }
+  return isAccountReadOnly(accountId);
+}
 
 /**
  * Get the current authenticated user's account membership
@@ -20,12 +38,15 @@ const SESSION_COOKIE = "user_session";
  * identity is surfaced via `result.impersonation` so callers can render
  * banners, skip permission denials, or attach audit metadata.
  *
+ * READ-ONLY: while the account is in the dunning read-only window, mutating
+ * API requests are refused with error ACCOUNT_READ_ONLY (billing and the
+ * user's own settings excepted, see blocksWhileReadOnly).
+ *
  * @returns {Promise<{authorized: boolean, member: Object|null, error: string|null, isSuperAdmin: boolean, impersonation: Object|null}>}
  */
 export async function getCurrentAccountMember() {
   try {
-    const cookieStore = await cookies();
-    const realUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const realUserId = await getSessionUserId();
 
     if (!realUserId) {
       return { authorized: false, member: null, error: "Unauthorized", isSuperAdmin: false, impersonation: null };
@@ -163,6 +184,16 @@ export async function getCurrentAccountMember() {
       };
     }
 
+    if (await refusedAsReadOnly(accountId)) {
+      return {
+        authorized: false,
+        member: null,
+        error: "ACCOUNT_READ_ONLY",
+        isSuperAdmin: false,
+        impersonation: null,
+      };
+    }
+
     const member = {
       userId: user.id,
       accountId,
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { cookies, headers } from 'next/headers';
+import prisma from '@/lib/prisma';
+
+/**
+ * Server-side login sessions.
+ *
+ * The `user_session` cookie carries a random opaque token; only its sha256
+ * hash is stored (Session.tokenHash), together with expiry, user agent and
+ * IP. Every route resolves the signed-in user through getSessionUserId() /
+ * getSession() - nothing should read the cookie value directly.
+ *
+ *   startSession(userId)        - new session + cookie (login, register, invite)
+ *   rotateSession(userId)       - replace the current session (privilege change)
+ *   endSession()                - logout
+ *   revokeUserSessions(userId)  - sign a user out everywhere (suspension, password change)
+ *
+ * The middleware runs on the edge without database access, so it only checks
+ * that the cookie is present; the route-level lookup is what authenticates.
+ */
+
+export const SESSION_COOKIE = 'user_session';
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const TOKEN_BYTES = 32;
+// lastUsedAt is a display hint for the devices list, not worth a write per request.
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 500;
+
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function clientMeta() {
+  const headerList = await headers();
+  const fwd = headerList.get('x-forwarded-for');
+  const ip = fwd ? fwd.split(',')[0].trim() : headerList.get('x-real-ip') || null;
+  const ua = headerList.get('user-agent');
+  return { ip, ua: ua ? ua.slice(0, MAX_USER_AGENT_LENGTH) : null };
+}
+
+function cookieOptions(expires) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    expires,
+    path: '/',
+  };
+}
+
+/**
+ * Create a session for a user and set its cookie.
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {import('next/server').NextResponse} [options.response] - set the cookie on
+ *   this response instead of the request's cookie store (redirect responses)
+ * @returns {Promise<{ id: string, expires: Date }>}
+ */
+export async function startSession(userId, { response } = {}) {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const expires = new Date(Date.now() + SESSION_TTL_MS);
+  const { ip, ua } = await clientMeta();
+
+  const session = await prisma.session.create({
+    data: {
+      tokenHash: hashSessionToken(token),
+      userId,
+      expires,
+      userAgent: ua,
+      ipAddress: ip,
+      lastUsedAt: new Date(),
+    },
+    select: { id: true, expires: true },
+  });
+
+  if (response) {
+    response.cookies.set(SESSION_COOKIE, token, cookieOptions(expires));
+  } else {
+    const cookieStore = await cookies();
+    cookieStore.set(SESSION_COOKIE, token, cookieOptions(expires));
+  }
+  return session;
+}
+
+/**
+ * The current request's session, or null when the cookie is missing, unknown
+ * or expired.
+ *
+ * @returns {Promise<{ id: string, userId: string, expires: Date, lastUsedAt: Date|null }|null>}
+ */
+export async function getSession() {
+  const cookieStore = await cookies();
+  const token = cookieStore.get(SESSION_COOKIE)?.value;
+  if (!token) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { tokenHash: hashSessionToken(token) },
+    select: { id: true, userId: true, expires: true, lastUsedAt: true },
+  });
+  if (!session) return null;
+
+  const now = Date.now();
+  if (session.expires.getTime() <= now) {
+    prisma.session.delete({ where: { id: session.id } }).catch(() => {});
+    return null;
+  }
+
+  if (!session.lastUsedAt || now - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    prisma.session.update({ where: { id: session.id }, data: { lastUsedAt: new Date(now) } }).catch(() => {});
+  }
+  return session;
+}
+
+/**
+ * The signed-in user's id, or null.
+ *
+ * @returns {Promise<string|null>}
+ */
+export async function getSessionUserId() {
+  const session = await getSession();
+  return session?.userId || null;
+}
+
+/**
+ * Replace the current session with a fresh one, so a token captured before a
+ * privilege change (password set, registration completed, invite accepted)
+ * stops working.
+ *
+ * @param {string} userId
+ * @param {Object} [options] - passed to startSession
+ */
+export async function rotateSession(userId, options = {}) {
+  const current = await getSession();
+  if (current) {
+    await prisma.session.deleteMany({ where: { id: current.id } });
+  }
+  return startSession(userId, options);
+}
+
+/**
+ * Delete the current session and clear its cookie.
+ */
+export async function endSession() {
+  const current = await getSession();
+  if (current) {
+    await prisma.session.deleteMany({ where: { id: current.id } });
+  }
+  const cookieStore = await cookies();
+  cookieStore.delete(SESSION_COOKIE);
+}
+
+/**
+ * Sign a user out of every session, optionally keeping one (the caller's own).
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId]
+ * @returns {Promise<number>} sessions revoked
+ */
+export async function revokeUserSessions(userId, { exceptSessionId } = {}) {
+  const result = await prisma.session.deleteMany({
+    where: {
+      userId,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+  });
+  return result.count;
+}
@@ -0,0 +1,292 @@
+/**
+ * Automations - action executors.
+ *
+ * Each executor gets { automation, run, site, event, config } and returns
+ *   { status: 'SUCCEEDED'|'SKIPPED', summary, ...details }
+ * or throws; the runner records a thrown error as a FAILED action and moves
+ * on to the next one. Credits are not counted here - the runner measures
+ * what each action debited through its usage scope.
+ */
+
+import prisma from '@/lib/prisma';
+import { applyFreeFix, generateInsightPreview } from '@/lib/agent-fix';
+import { getFixerConfig, getInsightType, isFreeFixable, isAiFixable } from '@/lib/agent-fix/registry.js';
+import { invalidateAgentInsights, invalidateAudit } from '@/lib/cache/invalidate.js';
+import { enforceCredits, enforceResourceLimit } from '@/lib/account-limits';
+import { getLimitFromPlan, getPlanLimits } from '@/lib/account-utils';
+import { runSiteAudit, runDiscovery } from '@/lib/audit/site-auditor';
+import { triggerAuditStage } from '@/lib/audit/internal-trigger';
+import { runReportGeneration } from '@/lib/reports/run-generation';
+import { notifyAccountMembers } from '@/lib/notifications';
+import { sendAutomationEvent } from '@/lib/webhooks/delivery';
+
+// Insights one fix action touches per run. AI previews are paid, so fewer.
+const MAX_FREE_FIX_INSIGHTS = 10;
+const MAX_AI_FIX_INSIGHTS = 5;
+const AUDIT_STALE_MS = 5 * 60 * 1000;
+
+// Same fields the insight fix route loads - what the fixers expect.
+export const AUTOMATION_SITE_SELECT = {
+  id: true,
+  accountId: true,
+  name: true,
+  url: true,
+  isActive: true,
+  platform: true,
+  integrationType: true,
+  siteKey: true,
+  siteSecret: true,
+  connectionStatus: true,
+  wpLocale: true,
+  contentLanguage: true,
+  toolSettings: true,
+  googleIntegration: {
+    select: {
+      id: true,
+      gscConnected: true,
+      gscSiteUrl: true,
+      gaConnected: true,
+      gaPropertyId: true,
+      accessToken: true,
+      refreshToken: true,
+      tokenExpiresAt: true,
+    },
+  },
+};
+
+function canFixOnSite(insight, site) {
+  const cfg = getFixerConfig(insight.titleKey);
+  return cfg?.requiresConnection === false || site.connectionStatus === 'CONNECTED';
+}
+
+/**
+ * The insights a fix action works on: the event's insight when the trigger
+ * is one, otherwise the site's open insights, newest first. Either way
+ * filtered to what `isFixable` accepts and the action's insight types.
+ */
+async function targetInsights({ site, event, config }, isFixable, limit) {
+  const types = config.insightTypes || [];
+  const accepts = (insight) => isFixable(insight.titleKey)
+    && !getFixerConfig(insight.titleKey)?.external
+    && (types.length === 0 || types.includes(getInsightType(insight.titleKey)));
+
+  if (event.insightId) {
+    const insight = await prisma.agentInsight.findFirst({
+      where: { id: event.insightId, siteId: site.id, status: 'PENDING' },
+    });
+    return insight && accepts(insight) ? [insight] : [];
+  }
+
+  const insights = await prisma.agentInsight.findMany({
+    where: { siteId: site.id, status: 'PENDING', dismissedAt: null, resolvedAt: null },
+    orderBy: { createdAt: 'desc' },
+    take: 200,
+  });
+  return insights.filter(accepts).slice(0, limit);
+}
+
+async function applyFreeFixAction(ctx) {
+  const insights = await targetInsights(ctx, isFreeFixable, MAX_FREE_FIX_INSIGHTS);
+  const fixable = insights.filter(insight => canFixOnSite(insight, ctx.site));
+  if (fixable.length === 0) return { status: 'SKIPPED', summary: 'No free-fixable insights' };
+
+  let fixed = 0;
+  const insightIds = [];
+  for (const insight of fixable) {
+    const result = await applyFreeFix(insight, ctx.site);
+    await prisma.agentInsight.update({
+      where: { id: insight.id },
+      data: {
+        executionResult: { ...result, automationRunId: ctx.run.id },
+        ...(result.success ? { status: 'EXECUTED', executedAt: new Date() } : {}),
+      },
+    });
+    if (result.success) {
+      fixed++;
+      insightIds.push(insight.id);
+    }
+  }
+  invalidateAgentInsights(ctx.site.id);
+
+  if (fixed === 0) throw new Error(`Free fix failed for ${fixable.length} insight(s)`);
+  return { status: 'SUCCEEDED', summary: `Applied ${fixed}/${fixable.length} free fix(es)`, insightIds };
+}
+
+/**
+ * Generate the AI proposals for open insights and leave them PENDING with
+ * the preview cached - the same state the insight modal creates - so a
+ * member reviews and approves them from the agent page.
+ */
+async function queueAiFixAction(ctx) {
+  const { site, automation } = ctx;
+  const insights = (await targetInsights(ctx, isAiFixable, MAX_AI_FIX_INSIGHTS * 4))
+    .filter(insight => canFixOnSite(insight, site) && !insight.executionResult?.previewCache)
+    .slice(0, MAX_AI_FIX_INSIGHTS);
+  if (insights.length === 0) return { status: 'SKIPPED', summary: 'No AI-fixable insights waiting for a fix' };
+
+  const insightIds = [];
+  for (const insight of insights) {
+    const floor = getFixerConfig(insight.titleKey)?.credits || 3;
+    const check = await enforceCredits(site.accountId, floor);
+    if (!check.allowed) {
+      if (insightIds.length === 0) throw new Error(check.error || 'Insufficient Ai-GCoins');
+      break;
+    }
+
+    const result = await generateInsightPreview(insight, site, null);
+    if (result?.success === false) continue;
+    await prisma.agentInsight.update({
+      where: { id: insight.id },
+      data: {
+        executionResult: {
+          ...(insight.executionResult || {}),
+          previewCache: { result, generatedAt: new Date().toISOString() },
+        },
+      },
+    });
+    insightIds.push(insight.id);
+  }
+  if (insightIds.length === 0) throw new Error('No fix proposal could be generated');
+
+  invalidateAgentInsights(site.id);
+  await notifyAccountMembers(site.accountId, {
+    type: 'automation_fix_ready',
+    title: 'notifications.automation.fixReadyTitle',
+    message: 'notifications.automation.fixReadyMessage',
+    link: '/dashboard/agent',
+    data: { siteId: site.id, siteName: site.name, automationName: automation.name, count: insightIds.length },
+  });
+  return { status: 'SUCCEEDED', summary: `Prepared ${insightIds.length} AI fix(es) for approval`, insightIds };
+}
+
+/**
+ * Start a desktop + mobile audit the way POST /api/audit does, unless one is
+ * already running.
+ */
+async function runAuditAction({ site }) {
+  if (!site.isActive) throw new Error('Site is inactive');
+
+  const limitCheck = await enforceResourceLimit(site.accountId, 'siteAudits');
+  if (!limitCheck.allowed) throw new Error(limitCheck.error || 'Site audit limit reached');
+
+  const running = await prisma.siteAudit.findFirst({
+    where: {
+      siteId: site.id,
+      status: { in: ['PENDING', 'RUNNING'] },
+      updatedAt: { gte: new Date(Date.now() - AUDIT_STALE_MS) },
+    },
+    select: { id: true },
+  });
+  if (running) return { status: 'SKIPPED', summary: 'An audit is already running' };
+
+  const account = await prisma.account.findUnique({
+    where: { id: site.accountId },
+    select: { subscription: { select: { plan: { select: { limitations: true } } } } },
+  });
+  const maxPages = getLimitFromPlan(account?.subscription?.plan?.limitations, 'maxAuditPages', 500) || 500;
+
+  const audits = [];
+  for (const deviceType of ['desktop', 'mobile']) {
+    audits.push(await prisma.siteAudit.create({
+      data: { siteId: site.id, status: 'PENDING', deviceType },
+    }));
+  }
+  invalidateAudit(site.id);
+
+  const useChunked = process.env.AUDIT_CHUNKED_EXECUTION === '1' || process.env.AUDIT_CHUNKED_EXECUTION === 'true';
+  for (const audit of audits) {
+    if (useChunked) {
+      const disc = await runDiscovery(audit.id, site.url, site.id, audit.deviceType, { maxPages });
+      if (disc.ok && !disc.empty) await triggerAuditStage(audit, 'continue', { tag: 'automation→continue' });
+    } else {
+      // Same fire-and-forget start as the audit route - the audit tracks its
+      // own status and the watchdog picks up anything that stalls.
+      runSiteAudit(audit.id, site.url, site.id, audit.deviceType, { maxPages }).catch(err => {
+        console.error(`[Automations] Audit ${audit.id} error:`, err.message);
+      });
+    }
+  }
+
+  return { status: 'SUCCEEDED', summary: 'Desktop and mobile audits started', auditIds: audits.map(a => a.id) };
+}
+
+async function generateReportAction({ site }) {
+  const account = await prisma.account.findUnique({
+    where: { id: site.accountId },
+    select: { subscription: { select: { plan: true } } },
+  });
+  if (!getPlanLimits(account?.subscription?.plan).whiteLabelReports) {
+    throw new Error('White-label reports are not available on your current plan');
+  }
+
+  const reportConfig = site.toolSettings?.reportConfig || {};
+  const locale = reportConfig.locale || (String(site.contentLanguage || '').startsWith('he') ? 'he' : 'en');
+  const month = new Date().toLocaleDateString(locale === 'he' ? 'he-IL' : 'en-US', { month: 'long', year: 'numeric' });
+
+  const archive = await prisma.reportArchive.create({
+    data: {
+      siteId: site.id,
+      accountId: site.accountId,
+      recipients: Array.isArray(reportConfig.recipients) ? reportConfig.recipients : [],
+      status: 'PENDING',
+      month,
+      locale,
+      metadata: { currentMonth: null, previousMonth: null },
+    },
+  });
+  await prisma.reportArchive.update({
+    where: { id: archive.id },
+    data: { reportGroupId: archive.id },
+  });
+
+  const result = await runReportGeneration(archive.id, { siteId: site.id, accountId: site.accountId, locale });
+  if (!result.ok) throw new Error(result.error || 'Report generation failed');
+  return { status: 'SUCCEEDED', summary: `Report generated for ${month}`, reportId: archive.id };
+}
+
+async function notifyMembersAction({ site, automation, config }) {
+  await notifyAccountMembers(site.accountId, {
+    type: 'automation',
+    title: 'notifications.automation.title',
+    message: config.message || 'notifications.automation.message',
+    link: '/dashboard/automations',
+    data: { siteId: site.id, siteName: site.name, automationId: automation.id, automationName: automation.name },
+  });
+  return { status: 'SUCCEEDED', summary: 'Members notified' };
+}
+
+async function callWebhookAction({ site, automation, run, event, config }) {
+  const endpoint = await prisma.webhookEndpoint.findFirst({
+    where: { id: config.endpointId, accountId: site.accountId },
+  });
+  if (!endpoint) throw new Error('Webhook endpoint not found');
+  if (!endpoint.isActive) throw new Error('Webhook endpoint is disabled');
+
+  const delivery = await sendAutomationEvent(endpoint, site.id, {
+    automationId: automation.id,
+    automationName: automation.name,
+    runId: run.id,
+    trigger: automation.trigger,
+    event,
+  });
+  return { status: 'SUCCEEDED', summary: 'Webhook delivery queued', deliveryId: delivery.id };
+}
+
+const EXECUTORS = {
+  APPLY_FREE_FIX: applyFreeFixAction,
+  QUEUE_AI_FIX: queueAiFixAction,
+  RUN_AUDIT: runAuditAction,
+  GENERATE_REPORT: generateReportAction,
+  NOTIFY_MEMBERS: notifyMembersAction,
+  CALL_WEBHOOK: callWebhookAction,
+};
+
+/**
+ * @param {{ type: string, config?: Object }} action
+ * @param {{ automation: Object, run: Object, site: Object, event: Object }} ctx
+ */
+export async function executeAction(action, ctx) {
+  const executor = EXECUTORS[action.type];
+  if (!executor) throw new Error(`Unknown action: ${action.type}`);
+  return executor({ ...ctx, config: action.config || {} });
+}
@@ -0,0 +1,114 @@
+/**
+ * Automations - trigger / condition / action catalog.
+ *
+ * Import-free so the automations page can build its editor from the same
+ * definitions the engine validates against.
+ *
+ *   AUTOMATION_TRIGGERS  - what starts a run. `fields` are the event fields a
+ *                          condition may test (and their type); `config` the
+ *                          trigger-level settings the editor shows.
+ *   CONDITION_OPERATORS  - comparisons a condition may use, per field type.
+ *   AUTOMATION_ACTIONS   - what a run does, in order. `usesInsights` actions
+ *                          act on the event's insight, or on the site's open
+ *                          insights of the configured types when the trigger
+ *                          isn't an insight.
+ */
+
+export const AUTOMATION_TRIGGERS = Object.freeze({
+  AUDIT_COMPLETED: {
+    fields: { score: 'number', previousScore: 'number', scoreDelta: 'number', deviceType: 'string', pagesScanned: 'number' },
+    config: [],
+  },
+  INSIGHT_CREATED: {
+    fields: { insightType: 'string', category: 'string', priority: 'string', type: 'string' },
+    config: ['insightTypes'],
+  },
+  CONTENT_PUBLISHED: {
+    fields: { title: 'string', publishMode: 'string' },
+    config: [],
+  },
+  KEYWORD_DROPPED: {
+    fields: { keyword: 'string', previousPosition: 'number', position: 'number', drop: 'number', searchVolume: 'number' },
+    config: ['minDrop'],
+  },
+  BACKLINK_LOST: {
+    fields: { lostCount: 'number', dofollowCount: 'number', maxDomainRating: 'number' },
+    config: [],
+  },
+  SCHEDULE: {
+    fields: {},
+    config: ['frequency', 'hour'],
+  },
+});
+
+export const AUTOMATION_TRIGGER_KEYS = Object.keys(AUTOMATION_TRIGGERS);
+
+export const CONDITION_OPERATORS = Object.freeze({
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'],
+  string: ['eq', 'neq', 'contains'],
+});
+
+export const AUTOMATION_ACTIONS = Object.freeze({
+  APPLY_FREE_FIX: { usesInsights: true, config: ['insightTypes'] },
+  QUEUE_AI_FIX: { usesInsights: true, config: ['insightTypes'] },
+  RUN_AUDIT: { config: [] },
+  GENERATE_REPORT: { config: [] },
+  NOTIFY_MEMBERS: { config: ['message'] },
+  CALL_WEBHOOK: { config: ['endpointId'] },
+});
+
+export const AUTOMATION_ACTION_KEYS = Object.keys(AUTOMATION_ACTIONS);
+
+export const SCHEDULE_FREQUENCIES = ['DAILY', 'WEEKLY'];
+
+export const MAX_AUTOMATIONS_PER_SITE = 20;
+export const MAX_CONDITIONS = 5;
+export const MAX_ACTIONS = 5;
+export const DEFAULT_MIN_DROP = 5;
+
+/**
+ * Does a condition hold for an event? Missing fields never match, so a
+ * "score < 50" condition doesn't fire on an event without a score.
+ *
+ * @param {{ field: string, operator: string, value: string|number }} condition
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function matchesCondition({ field, operator, value }, event) {
+  const actual = event?.[field];
+  if (actual === undefined || actual === null) return false;
+
+  if (typeof actual === 'number') {
+    const expected = Number(value);
+    if (!Number.isFinite(expected)) return false;
+    switch (operator) {
+      case 'eq': return actual === expected;
+      case 'neq': return actual !== expected;
+      case 'gt': return actual > expected;
+      case 'gte': return actual >= expected;
+      case 'lt': return actual < expected;
+      case 'lte': return actual <= expected;
+      default: return false;
+    }
+  }
+
+  const a = String(actual).toLowerCase();
+  const b = String(value ?? '').toLowerCase();
+  switch (operator) {
+    case 'eq': return a === b;
+    case 'neq': return a !== b;
+    case 'contains': return a.includes(b);
+    default: return false;
+  }
+}
+
+/**
+ * All conditions must hold (an empty list always matches).
+ * @param {Array} conditions
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function matchesConditions(conditions, event) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return true;
+  return conditions.every(c => matchesCondition(c, event));
+}
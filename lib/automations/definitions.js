@@ -0,0 +1,217 @@
+/**
+ * Automations - input validation and scheduling helpers shared by the
+ * /api/automations routes and the schedule cron.
+ */
+
+import {
+  AUTOMATION_TRIGGERS,
+  AUTOMATION_ACTIONS,
+  CONDITION_OPERATORS,
+  SCHEDULE_FREQUENCIES,
+  MAX_CONDITIONS,
+  MAX_ACTIONS,
+  DEFAULT_MIN_DROP,
+} from './catalog.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_VALUE_LENGTH = 200;
+const MAX_INSIGHT_TYPES = 20;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const DEFAULT_SCHEDULE_HOUR = 6;
+const FREQUENCY_DAYS = { DAILY: 1, WEEKLY: 7 };
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function normalizeInsightTypes(value) {
+  if (!Array.isArray(value)) return [];
+  const types = value.map(v => String(v).trim()).filter(v => /^\w+$/.test(v));
+  return [...new Set(types)].slice(0, MAX_INSIGHT_TYPES);
+}
+
+function normalizeTriggerConfig(trigger, config = {}) {
+  switch (trigger) {
+    case 'INSIGHT_CREATED':
+      return { insightTypes: normalizeInsightTypes(config?.insightTypes) };
+    case 'KEYWORD_DROPPED':
+      return { minDrop: clampInt(config?.minDrop, 1, 100, DEFAULT_MIN_DROP) };
+    case 'SCHEDULE':
+      return {
+        frequency: SCHEDULE_FREQUENCIES.includes(config?.frequency) ? config.frequency : 'WEEKLY',
+        hour: clampInt(config?.hour, 0, 23, DEFAULT_SCHEDULE_HOUR),
+      };
+    default:
+      return {};
+  }
+}
+
+function normalizeConditions(trigger, conditions) {
+  if (conditions == null) return [];
+  if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) return null;
+
+  const fields = AUTOMATION_TRIGGERS[trigger].fields;
+  const normalized = [];
+  for (const condition of conditions) {
+    const type = fields[condition?.field];
+    if (!type || !CONDITION_OPERATORS[type].includes(condition.operator)) return null;
+
+    if (type === 'number') {
+      const value = Number(condition.value);
+      if (condition.value === '' || !Number.isFinite(value)) return null;
+      normalized.push({ field: condition.field, operator: condition.operator, value });
+    } else {
+      const value = String(condition.value ?? '').trim().slice(0, MAX_VALUE_LENGTH);
+      if (!value) return null;
+      normalized.push({ field: condition.field, operator: condition.operator, value });
+    }
+  }
+  return normalized;
+}
+
+function normalizeActions(trigger, actions, endpointIds) {
+  if (!Array.isArray(actions) || actions.length === 0) return { error: 'noActions' };
+  if (actions.length > MAX_ACTIONS) return { error: 'invalidAction' };
+
+  const normalized = [];
+  for (const action of actions) {
+    if (!AUTOMATION_ACTIONS[action?.type]) return { error: 'invalidAction' };
+    const config = action.config || {};
+
+    switch (action.type) {
+      case 'APPLY_FREE_FIX':
+      case 'QUEUE_AI_FIX':
+        normalized.push({ type: action.type, config: { insightTypes: normalizeInsightTypes(config.insightTypes) } });
+        break;
+      case 'RUN_AUDIT':
+        // An audit finishing would start the next one, forever.
+        if (trigger === 'AUDIT_COMPLETED') return { error: 'auditLoop' };
+        normalized.push({ type: action.type, config: {} });
+        break;
+      case 'NOTIFY_MEMBERS': {
+        const message = String(config.message ?? '').trim().slice(0, MAX_MESSAGE_LENGTH);
+        normalized.push({ type: action.type, config: message ? { message } : {} });
+        break;
+      }
+      case 'CALL_WEBHOOK':
+        if (!endpointIds.includes(config.endpointId)) return { error: 'invalidWebhook' };
+        normalized.push({ type: action.type, config: { endpointId: config.endpointId } });
+        break;
+      default:
+        normalized.push({ type: action.type, config: {} });
+    }
+  }
+  return { actions: normalized };
+}
+
+/**
+ * Validate a full automation definition (create, or existing row merged with
+ * a PATCH body).
+ *
+ * @param {Object} input - { name, description, trigger, triggerConfig, conditions, actions, cooldownMinutes, isActive }
+ * @param {Object} options
+ * @param {string[]} options.endpointIds - The account's webhook endpoint ids (CALL_WEBHOOK targets)
+ * @returns {{ data?: Object, error?: string }} error is an i18n key suffix
+ */
+export function normalizeAutomationInput(input, { endpointIds = [] } = {}) {
+  const name = String(input.name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) return { error: 'invalidName' };
+
+  const trigger = input.trigger;
+  if (!AUTOMATION_TRIGGERS[trigger]) return { error: 'invalidTrigger' };
+
+  const conditions = normalizeConditions(trigger, input.conditions);
+  if (!conditions) return { error: 'invalidCondition' };
+
+  const { actions, error } = normalizeActions(trigger, input.actions, endpointIds);
+  if (error) return { error };
+
+  return {
+    data: {
+      name,
+      description: String(input.description ?? '').trim().slice(0, MAX_DESCRIPTION_LENGTH) || null,
+      trigger,
+      triggerConfig: normalizeTriggerConfig(trigger, input.triggerConfig),
+      conditions,
+      actions,
+      cooldownMinutes: clampInt(input.cooldownMinutes, 0, MAX_COOLDOWN_MINUTES, 0),
+      isActive: input.isActive !== false,
+    },
+  };
+}
+
+/**
+ * When a SCHEDULE automation runs next: the first `hour`:00 UTC slot after
+ * `after`, or - when it has run before - the previous slot advanced by the
+ * frequency until it is in the future (missed slots are not made up).
+ *
+ * @param {{ frequency?: string, hour?: number }} config
+ * @param {Object} [options]
+ * @param {Date} [options.after]
+ * @param {Date} [options.previous] - The slot that just ran
+ * @returns {Date}
+ */
+export function nextScheduledRun(config, { after = new Date(), previous = null } = {}) {
+  const days = FREQUENCY_DAYS[config?.frequency] || FREQUENCY_DAYS.WEEKLY;
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  if (previous) {
+    let next = new Date(previous).getTime() + days * dayMs;
+    while (next <= after.getTime()) next += days * dayMs;
+    return new Date(next);
+  }
+
+  const slot = new Date(after);
+  slot.setUTCHours(clampInt(config?.hour, 0, 23, DEFAULT_SCHEDULE_HOUR), 0, 0, 0);
+  if (slot <= after) slot.setTime(slot.getTime() + dayMs);
+  return slot;
+}
+
+export function serializeAutomation(automation) {
+  return {
+    id: automation.id,
+    siteId: automation.siteId,
+    name: automation.name,
+    description: automation.description,
+    trigger: automation.trigger,
+    triggerConfig: automation.triggerConfig || {},
+    conditions: automation.conditions || [],
+    actions: automation.actions || [],
+    isActive: automation.isActive,
+    cooldownMinutes: automation.cooldownMinutes,
+    nextRunAt: automation.nextRunAt,
+    lastTriggeredAt: automation.lastTriggeredAt,
+    lastRunAt: automation.lastRunAt,
+    lastRunStatus: automation.lastRunStatus,
+    runCount: automation.runCount,
+    successCount: automation.successCount,
+    failureCount: automation.failureCount,
+    successRate: automation.runCount > 0
+      ? Math.round((automation.successCount / automation.runCount) * 1000) / 10
+      : null,
+    creditsUsed: automation.creditsUsed,
+    createdAt: automation.createdAt,
+    updatedAt: automation.updatedAt,
+  };
+}
+
+export function serializeRun(run) {
+  return {
+    id: run.id,
+    automationId: run.automationId,
+    trigger: run.trigger,
+    event: run.event,
+    status: run.status,
+    actionResults: run.actionResults || [],
+    creditsUsed: run.creditsUsed,
+    error: run.error,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    createdAt: run.createdAt,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Automations - event dispatch.
+ *
+ * Domain code calls dispatchAutomationEvent() when something happens on a
+ * site. Every active automation of the site listening for that trigger
+ * whose trigger settings and conditions match gets an AutomationRun, which
+ * the AUTOMATION_RUN queue job executes (lib/automations/runner.js).
+ */
+
+import prisma from '@/lib/prisma';
+import { enqueueJob } from '@/lib/queue/queue';
+import { kickQueue } from '@/lib/queue/dispatcher';
+import { matchesConditions, DEFAULT_MIN_DROP } from './catalog.js';
+
+// One dispatch (e.g. a rank check with many drops) starts at most this many
+// runs per automation.
+const MAX_RUNS_PER_DISPATCH = 10;
+
+function matchesTriggerConfig(automation, event) {
+  const config = automation.triggerConfig || {};
+  switch (automation.trigger) {
+    case 'INSIGHT_CREATED':
+      return !config.insightTypes?.length || config.insightTypes.includes(event.insightType);
+    case 'KEYWORD_DROPPED':
+      return (event.drop ?? 0) >= (config.minDrop ?? DEFAULT_MIN_DROP);
+    default:
+      return true;
+  }
+}
+
+function inCooldown(automation, now) {
+  if (!automation.cooldownMinutes || !automation.lastTriggeredAt) return false;
+  return now - new Date(automation.lastTriggeredAt).getTime() < automation.cooldownMinutes * 60 * 1000;
+}
+
+/**
+ * Record a run for one automation and queue it. Conditions are not checked
+ * here - callers (dispatch, schedule cron, "run now") decide.
+ *
+ * @param {Object} automation - Automation row
+ * @param {Object} event - Event payload stored on the run
+ * @returns {Promise<Object>} The AutomationRun
+ */
+export async function startAutomationRun(automation, event) {
+  const run = await prisma.automationRun.create({
+    data: {
+      automationId: automation.id,
+      siteId: automation.siteId,
+      accountId: automation.accountId,
+      trigger: automation.trigger,
+      event,
+    },
+  });
+  await prisma.automation.update({
+    where: { id: automation.id },
+    data: { lastTriggeredAt: new Date() },
+  });
+  await enqueueJob('AUTOMATION_RUN', { runId: run.id }, {
+    accountId: automation.accountId,
+    siteId: automation.siteId,
+    dedupeKey: `AUTOMATION_RUN:${run.id}`,
+  });
+  kickQueue(['AUTOMATION_RUN']);
+  return run;
+}
+
+/**
+ * Whether a site has an active automation for a trigger - lets callers skip
+ * building events nobody listens to.
+ * @param {string} siteId
+ * @param {string} trigger
+ * @returns {Promise<boolean>}
+ */
+export async function hasActiveAutomations(siteId, trigger) {
+  if (!siteId) return false;
+  const count = await prisma.automation.count({ where: { siteId, trigger, isActive: true } });
+  return count > 0;
+}
+
+/**
+ * Start runs for the site's automations that match the event(s). Never
+ * throws - an automation problem must not fail the audit / publish / sync
+ * that emitted the event.
+ *
+ * @param {string} siteId
+ * @param {string} trigger - AUTOMATION_TRIGGERS key
+ * @param {Object|Object[]} events - Flat payload(s); conditions test their fields
+ * @returns {Promise<number>} Runs started
+ */
+export async function dispatchAutomationEvent(siteId, trigger, events) {
+  try {
+    const list = (Array.isArray(events) ? events : [events]).filter(Boolean);
+    if (!siteId || list.length === 0) return 0;
+
+    const automations = await prisma.automation.findMany({
+      where: { siteId, trigger, isActive: true },
+    });
+
+    let started = 0;
+    const now = Date.now();
+    for (const automation of automations) {
+      if (inCooldown(automation, now)) continue;
+
+      const matching = list.filter(event =>
+        matchesTriggerConfig(automation, event) && matchesConditions(automation.conditions, event),
+      );
+      // With a cooldown only the first matching event counts.
+      const runs = automation.cooldownMinutes > 0 ? matching.slice(0, 1) : matching.slice(0, MAX_RUNS_PER_DISPATCH);
+      for (const event of runs) {
+        await startAutomationRun(automation, event);
+        started++;
+      }
+    }
+    return started;
+  } catch (error) {
+    console.error(`[Automations] Failed to dispatch ${trigger} for site ${siteId}:`, error.message);
+    return 0;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Automations - run execution (AUTOMATION_RUN handler).
+ *
+ * Actions run in order inside a credit usage scope (lib/ai/usage-scope.js),
+ * so every Ai-GCoin an action debits - however deep in the fixer / report
+ * pipeline - is attributed to the action and the run. A failed action is
+ * recorded and the next one still runs. Results are written after each
+ * action, so a run picked up again after a lapsed lease resumes where it
+ * stopped instead of repeating actions.
+ */
+
+import prisma from '@/lib/prisma';
+import { createUsageScope, runWithUsageScope, settleUsageScope } from '@/lib/ai/usage-scope';
+import { executeAction, AUTOMATION_SITE_SELECT } from './actions.js';
+
+const MAX_ERROR_LENGTH = 500;
+
+function errorMessage(err) {
+  return String(err?.message || err).slice(0, MAX_ERROR_LENGTH);
+}
+
+function runStatus(results) {
+  const failed = results.filter(r => r.status === 'FAILED').length;
+  if (failed === 0) return 'SUCCEEDED';
+  return failed === results.length ? 'FAILED' : 'PARTIAL';
+}
+
+async function finishRun(run, { status, actionResults, creditsUsed = run.creditsUsed || 0, error = null }) {
+  const finishedAt = new Date();
+  const startedAt = run.startedAt || finishedAt;
+  await prisma.automationRun.update({
+    where: { id: run.id },
+    data: {
+      status,
+      ...(actionResults && { actionResults }),
+      creditsUsed,
+      error,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt.getTime() - new Date(startedAt).getTime(),
+    },
+  });
+  await prisma.automation.updateMany({
+    where: { id: run.automationId },
+    data: {
+      lastRunAt: finishedAt,
+      lastRunStatus: status,
+      runCount: { increment: 1 },
+      ...(status === 'SUCCEEDED' && { successCount: { increment: 1 } }),
+      ...(status === 'FAILED' && { failureCount: { increment: 1 } }),
+      creditsUsed: { increment: creditsUsed },
+    },
+  });
+  return { status, creditsUsed };
+}
+
+/**
+ * Execute one AutomationRun.
+ *
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {Function} [options.heartbeat] - Queue lease heartbeat, called between actions
+ * @returns {Promise<{ status: string, creditsUsed?: number, skipped?: boolean }>}
+ */
+export async function executeAutomationRun(runId, { heartbeat } = {}) {
+  const run = await prisma.automationRun.findUnique({ where: { id: runId } });
+  if (!run) return { status: 'MISSING', skipped: true };
+  if (run.status !== 'PENDING' && run.status !== 'RUNNING') return { status: run.status, skipped: true };
+
+  const automation = await prisma.automation.findUnique({ where: { id: run.automationId } });
+  if (!automation) return finishRun(run, { status: 'FAILED', error: 'Automation deleted' });
+
+  const site = await prisma.site.findUnique({ where: { id: run.siteId }, select: AUTOMATION_SITE_SELECT });
+  if (!site?.isActive) return finishRun(run, { status: 'FAILED', error: 'Site is inactive' });
+
+  const startedAt = run.startedAt || new Date();
+  await prisma.automationRun.update({
+    where: { id: run.id },
+    data: { status: 'RUNNING', startedAt },
+  });
+  run.startedAt = startedAt;
+
+  const actions = Array.isArray(automation.actions) ? automation.actions : [];
+  const actionResults = Array.isArray(run.actionResults) ? [...run.actionResults] : [];
+  const baseCredits = run.creditsUsed || 0;
+  const scope = createUsageScope({ automationId: automation.id, automationRunId: run.id });
+  const ctx = { automation, run, site, event: run.event || {} };
+
+  for (let i = actionResults.length; i < actions.length; i++) {
+    const action = actions[i];
+    const before = scope.creditsUsed;
+
+    let result;
+    try {
+      result = await runWithUsageScope(scope, () => executeAction(action, ctx));
+    } catch (err) {
+      console.error(`[Automations] Run ${run.id} action ${action.type} failed:`, err.message);
+      result = { status: 'FAILED', error: errorMessage(err) };
+    }
+    await settleUsageScope(scope);
+
+    actionResults.push({ type: action.type, ...result, creditsUsed: scope.creditsUsed - before });
+    await prisma.automationRun.update({
+      where: { id: run.id },
+      data: { actionResults, creditsUsed: baseCredits + scope.creditsUsed },
+    });
+    if (heartbeat) await heartbeat();
+  }
+
+  const status = actions.length === 0 ? 'FAILED' : runStatus(actionResults);
+  return finishRun(run, {
+    status,
+    actionResults,
+    creditsUsed: baseCredits + scope.creditsUsed,
+    error: actions.length === 0 ? 'Automation has no actions' : null,
+  });
+}
+
+/**
+ * Close a run the queue stopped retrying (AUTOMATION_RUN onDead).
+ * @param {string} runId
+ * @param {string} [reason]
+ */
+export async function markRunFailed(runId, reason) {
+  const run = await prisma.automationRun.findUnique({ where: { id: runId } });
+  if (!run || (run.status !== 'PENDING' && run.status !== 'RUNNING')) return;
+  await finishRun(run, { status: 'FAILED', error: errorMessage(reason || 'Run failed') });
+}
@@ -14,6 +14,11 @@
 import prisma from '@/lib/prisma';
 import { fetchBacklinksForSite } from '@/lib/dataforseo/backlinks';
 import { runBacklinkInsights } from '@/lib/backlinks/insights';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
+import { dispatchAutomationEvent } from '@/lib/automations/dispatch';
+
+// Lost links listed in one backlink.lost webhook; lostCount has the full total.
+const LOST_WEBHOOK_LIMIT = 100;
 
 /**
  * Core merge: reconcile a list of fresh items against existing Backlink rows
@@ -207,6 +212,27 @@ export async function syncBacklinksForSite({ siteId, source = 'DATAFORSEO', trig
     triggeredBy,
   });
 
+  if (syncResult.lostCount > 0) {
+    const lost = await prisma.backlink.findMany({
+      where: { siteId, status: 'LOST', updatedAt: { gte: syncResult.createdAt } },
+      select: { id: true, referringUrl: true, referringDomain: true, targetUrl: true, anchorText: true, isDofollow: true, domainRating: true },
+      orderBy: { domainRating: 'desc' },
+      take: LOST_WEBHOOK_LIMIT,
+    });
+    await emitWebhookEvent(site.accountId, 'backlink.lost', {
+      syncId: syncResult.id,
+      lostCount: syncResult.lostCount,
+      links: lost.map(({ id, ...link }) => ({ backlinkId: id, ...link })),
+    }, { siteId });
+    // dofollowCount covers the strongest LOST_WEBHOOK_LIMIT links read above.
+    await dispatchAutomationEvent(siteId, 'BACKLINK_LOST', {
+      syncId: syncResult.id,
+      lostCount: syncResult.lostCount,
+      dofollowCount: lost.filter(link => link.isDofollow).length,
+      maxDomainRating: lost[0]?.domainRating ?? null,
+    });
+  }
+
   // Fire and forget — insights are advisory, sync result is authoritative.
   runBacklinkInsights({ siteId, accountId: site.accountId }).catch(err => {
     console.warn('[backlinks/sync] insights failed:', err?.message || err);
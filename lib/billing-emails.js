@@ -5,6 +5,8 @@
  *   - chargeRenewalSucceeded       → after a successful renewal charge
  *   - chargeRenewalFailed          → first / interim failure (retries pending)
  *   - chargeRenewalFinalFailed     → after retries exhausted, sub canceled
+ *   - dunningReadOnlyNotice        → dunning grace ended, account read-only
+ *   - dunningDowngradedNotice      → dunning ended, sub moved to the free plan
  *   - cardExpiring30 / 7 / expired → token-expiry reminders
  *
  * Each template returns { subject, html, text }, ready to drop into sendEmail().
@@ -171,6 +173,80 @@ export function chargeRenewalFinalFailed({
   return { subject, html, text };
 }
 
+/**
+ * Dunning grace period over — account is read-only until the card is fixed.
+ */
+export function dunningReadOnlyNotice({
+  productName,
+  reason,
+  finalActionAt,
+  finalAction,            // 'downgrade' | 'cancel'
+  paymentMethod,
+  updateCardUrl,
+  lang = 'EN',
+}) {
+  const he = isHe(lang);
+  const downgrade = finalAction === 'downgrade';
+  const subject = he ? 'החשבון שלך עבר למצב קריאה בלבד' : 'Your account is now read-only';
+  const heading = he ? 'החשבון במצב קריאה בלבד' : 'Account is read-only';
+  const outcome = he
+    ? (downgrade ? `יועבר לתוכנית החינמית ב-${formatDate(finalActionAt, lang)}` : `יבוטל ב-${formatDate(finalActionAt, lang)}`)
+    : (downgrade ? `will move to the free plan on ${formatDate(finalActionAt, lang)}` : `will be canceled on ${formatDate(finalActionAt, lang)}`);
+  const body = he
+    ? `<p style="margin:0 0 16px;color:#e5e5e5;font-size:15px;line-height:1.6;">עדיין לא הצלחנו לחייב את כרטיסך עבור <strong>${productName}</strong>. הנתונים שלך זמינים לצפייה, אך לא ניתן ליצור תוכן חדש או להשתמש ב-Ai-GCoins עד לעדכון אמצעי התשלום.</p>
+       ${reason ? `<p style="margin:0 0 16px;color:#fbbf24;font-size:14px;background:rgba(251,191,36,0.1);padding:10px 12px;border-radius:6px;">סיבה: ${reason}</p>` : ''}
+       ${cardLine({ pm: paymentMethod, lang })}
+       <p style="margin:16px 0 8px;color:#a0a0b0;font-size:14px;">אם התשלום לא יוסדר, המנוי ${outcome}.</p>
+       <div style="text-align:center;margin:24px 0;"><a href="${updateCardUrl}" style="display:inline-block;background:linear-gradient(135deg,#a855f7,#7c3aed);color:#fff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;">עדכן אמצעי תשלום</a></div>`
+    : `<p style="margin:0 0 16px;color:#e5e5e5;font-size:15px;line-height:1.6;">We still couldn't charge your card for <strong>${productName}</strong>. Your data stays viewable, but creating new work and spending Ai-GCoins is paused until your payment method is updated.</p>
+       ${reason ? `<p style="margin:0 0 16px;color:#fbbf24;font-size:14px;background:rgba(251,191,36,0.1);padding:10px 12px;border-radius:6px;">Reason: ${reason}</p>` : ''}
+       ${cardLine({ pm: paymentMethod, lang })}
+       <p style="margin:16px 0 8px;color:#a0a0b0;font-size:14px;">If payment isn't resolved, your subscription ${outcome}.</p>
+       <div style="text-align:center;margin:24px 0;"><a href="${updateCardUrl}" style="display:inline-block;background:linear-gradient(135deg,#a855f7,#7c3aed);color:#fff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;">Update payment method</a></div>`;
+  const html = baseShell({
+    lang,
+    html: `<div style="padding:28px 32px;border-bottom:1px solid #2a2a3a;"><h1 style="margin:0;color:#fff;font-size:22px;font-weight:600;">${heading}</h1></div>
+           <div style="padding:24px 32px;">${body}</div>`,
+  });
+  const text = he
+    ? `החשבון שלך עבור ${productName} במצב קריאה בלבד עקב כשל בחיוב. המנוי ${outcome}.\nעדכן אמצעי תשלום: ${updateCardUrl}`
+    : `Your ${productName} account is read-only after failed charges. Your subscription ${outcome}.\nUpdate: ${updateCardUrl}`;
+  return { subject, html, text };
+}
+
+/**
+ * Dunning ended — subscription moved to the free fallback plan.
+ */
+export function dunningDowngradedNotice({
+  productName,
+  reason,
+  paymentMethod,
+  upgradeUrl,
+  lang = 'EN',
+}) {
+  const he = isHe(lang);
+  const subject = he ? 'המנוי שלך הועבר לתוכנית החינמית' : 'Your subscription moved to the free plan';
+  const heading = he ? 'הועברת לתוכנית החינמית' : 'Moved to the free plan';
+  const body = he
+    ? `<p style="margin:0 0 16px;color:#e5e5e5;font-size:15px;line-height:1.6;">לאחר מספר ניסיונות, לא הצלחנו לחייב את כרטיסך עבור <strong>${productName}</strong>, ולכן החשבון הועבר לתוכנית החינמית. הנתונים שלך נשמרו.</p>
+       ${reason ? `<p style="margin:0 0 16px;color:#ef4444;font-size:14px;background:rgba(239,68,68,0.1);padding:10px 12px;border-radius:6px;">סיבה אחרונה: ${reason}</p>` : ''}
+       ${cardLine({ pm: paymentMethod, lang })}
+       <div style="text-align:center;margin:24px 0;"><a href="${upgradeUrl}" style="display:inline-block;background:linear-gradient(135deg,#a855f7,#7c3aed);color:#fff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;">שדרג מחדש</a></div>`
+    : `<p style="margin:0 0 16px;color:#e5e5e5;font-size:15px;line-height:1.6;">After several attempts, we couldn't charge your card for <strong>${productName}</strong>, so your account was moved to the free plan. Your data has been kept.</p>
+       ${reason ? `<p style="margin:0 0 16px;color:#ef4444;font-size:14px;background:rgba(239,68,68,0.1);padding:10px 12px;border-radius:6px;">Last reason: ${reason}</p>` : ''}
+       ${cardLine({ pm: paymentMethod, lang })}
+       <div style="text-align:center;margin:24px 0;"><a href="${upgradeUrl}" style="display:inline-block;background:linear-gradient(135deg,#a855f7,#7c3aed);color:#fff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;">Upgrade again</a></div>`;
+  const html = baseShell({
+    lang,
+    html: `<div style="padding:28px 32px;border-bottom:1px solid #2a2a3a;"><h1 style="margin:0;color:#fff;font-size:22px;font-weight:600;">${heading}</h1></div>
+           <div style="padding:24px 32px;">${body}</div>`,
+  });
+  const text = he
+    ? `המנוי שלך עבור ${productName} הועבר לתוכנית החינמית לאחר מספר ניסיונות חיוב כושלים.\nשדרג מחדש: ${upgradeUrl}`
+    : `Your ${productName} subscription moved to the free plan after several failed charge attempts.\nUpgrade again: ${upgradeUrl}`;
+  return { subject, html, text };
+}
+
 /**
  * Card expiring soon (T-30, T-7, expired) — same template, different urgency.
  */
@@ -8,8 +8,9 @@
  * Single entry point: chargeSubscriptionRenewal(sub, now) — does everything
  * needed to attempt one renewal charge for a subscription that's already
  * been loaded with `account.paymentMethods`, `plan`. Caller decides who
- * gets called for which subscriptions and handles the post-final-failure
- * cancellation step (only relevant on the retry cron).
+ * gets called for which subscriptions and handles the dunning steps after
+ * a failure (read-only, final downgrade — see lib/dunning.js; only relevant
+ * on the retry cron).
  */
 
 import prisma from '@/lib/prisma';
@@ -22,6 +23,8 @@ import { applyCouponToOrder, priceForRecurringCycle } from '@/lib/coupon-pricing
 import { getNextFirstOfMonth } from '@/lib/proration';
 import { sendEmail, notifyAdmins, emailTemplates } from '@/lib/mailer';
 import { chargeRenewalSucceeded, chargeRenewalFailed } from '@/lib/billing-emails';
+import { buildDunningEntryData, resolveDunningPolicy, attemptEmailFor, DUNNING_EXIT_DATA } from '@/lib/dunning';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
 
 const VAT_RATE = 0.18;
 const round2 = (n) => Math.round((n || 0) * 100) / 100;
@@ -121,8 +124,10 @@ export async function chargeSubscriptionRenewal(sub, now) {
         renewalRetryCount: 0,
         status: 'ACTIVE',
         renewalFailureMessage: null,
+        ...DUNNING_EXIT_DATA,
       },
     });
+    if (sub.status !== 'ACTIVE') await emitSubscriptionUpdated(sub, { status: 'ACTIVE', currentPeriodEnd: nextEnd }, 'renewal_succeeded');
     summary.status = 'free_cycle';
     return summary;
   }
@@ -226,8 +231,10 @@ export async function chargeSubscriptionRenewal(sub, now) {
         renewalRetryCount: 0,
         status: 'ACTIVE',
         renewalFailureMessage: null,
+        ...DUNNING_EXIT_DATA,
       },
     });
+    if (sub.status !== 'ACTIVE') await emitSubscriptionUpdated(sub, { status: 'ACTIVE', currentPeriodEnd: nextEnd }, 'renewal_succeeded');
 
     // Plan-level AI credits refresh (addon credits live in AddOnPurchase).
     try {
@@ -289,9 +296,11 @@ export async function chargeSubscriptionRenewal(sub, now) {
     return summary;
   }
 
-  // Failure path — bump retry counter, move to PAST_DUE, email the user.
+  // Failure path — bump retry counter, move to PAST_DUE (entering dunning on
+  // the first failure), email the user per the dunning policy.
   const newRetryCount = (sub.renewalRetryCount || 0) + 1;
   const reason = chargeResult?.Description || 'Unknown error';
+  const dunningEntry = await buildDunningEntryData(sub, now);
 
   await prisma.payment.update({
     where: { id: payment.id },
@@ -312,10 +321,13 @@ export async function chargeSubscriptionRenewal(sub, now) {
       renewalRetryCount: newRetryCount,
       status: 'PAST_DUE',
       renewalFailureMessage: reason,
+      ...dunningEntry,
     },
   });
+  if (sub.status !== 'PAST_DUE') await emitSubscriptionUpdated(sub, { status: 'PAST_DUE' }, 'renewal_failed');
 
-  if (ownerEmail) {
+  const policy = await resolveDunningPolicy({ ...sub, ...dunningEntry });
+  if (ownerEmail && attemptEmailFor(policy, newRetryCount) === 'renewal_failed') {
     try {
       const baseUrl = process.env.NEXT_PUBLIC_APP_URL || process.env.NEXTAUTH_URL || '';
       const tpl = chargeRenewalFailed({
@@ -323,7 +335,7 @@ export async function chargeSubscriptionRenewal(sub, now) {
         productName,
         reason,
         attempt: newRetryCount,
-        maxAttempts: 4, // initial + 3 retries
+        maxAttempts: policy.retryOffsetsDays.length + 1,
         paymentMethod,
         updateCardUrl: `${baseUrl}/dashboard/settings?tab=payment-methods`,
         lang: language,
@@ -381,12 +393,14 @@ export function buildUpgradeUpdateData(subscription, newPlan, now = new Date())
 }
 
 /**
- * Switch a TRIALING subscription onto the designated free fallback plan.
+ * Switch a TRIALING (or dunning PAST_DUE) subscription onto the designated
+ * free fallback plan.
  *
- * Called from two places:
+ * Called from three places:
  *   - /api/cron/trial-lifecycle when a trial expires without conversion.
  *   - /api/account/subscription/cancel and the admin cancel route when the
  *     user/admin ends a trial early.
+ *   - lib/dunning.js runFinalAction when a past-due sub exhausts its policy.
  *
  * Behaviour:
  *   - Looks up the active Plan with isFreeFallback=true. If none exists,
@@ -397,6 +411,8 @@ export function buildUpgradeUpdateData(subscription, newPlan, now = new Date())
  *   - Updates the subscription in place: planId → fallback, status → ACTIVE,
  *     currentPeriod realigned to the next monthly boundary, trialReminderStage
  *     reset. trialStartedAt/trialEndAt are preserved as historical record.
+ *     Renewal-failure and dunning state are cleared.
+ *   - Emits the subscription.updated webhook.
  *
  * Accepts a Prisma client OR a transaction client so callers can run it
  * inside a $transaction when they need atomicity with other writes.
@@ -422,9 +438,13 @@ export async function downgradeToFreeFallback(client, subscription, now = new Da
       currentPeriodStart: now,
       currentPeriodEnd: getNextFirstOfMonth(now),
       trialReminderStage: 0,
+      renewalRetryCount: 0,
+      renewalFailureMessage: null,
+      ...DUNNING_EXIT_DATA,
       // Keep trialStartedAt/trialEndAt as historical record — do NOT null them.
     },
   });
+  await emitSubscriptionUpdated(subscription, updated, 'downgraded_to_free');
 
   return { ok: true, subscription: updated };
 }
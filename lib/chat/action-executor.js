@@ -1353,7 +1353,13 @@ export async function executeWriteAction(action, { site, siteId, accountId, user
               result: outcome.result,
               message: `SEO for ${args.url} applied via the GhostSEO contract — live on the site after its next cache refresh (up to ~10 minutes).`,
             }
-          : { native: true, result: outcome.result };
+          : outcome.mode === 'branch'
+            ? {
+                branch: true,
+                result: outcome.result,
+                message: `SEO for ${args.url} committed to branch ${outcome.result?.branch} — live once it is merged into ${outcome.result?.baseBranch} and the site rebuilds.`,
+              }
+            : { native: true, result: outcome.result };
         originalValue = { seoUpdated: true, url: args.url };
       } else {
         // No native transport: persist the desired SEO to the Contract store so
@@ -1385,7 +1391,13 @@ export async function executeWriteAction(action, { site, siteId, accountId, user
               result: outcome.result,
               message: `Redirect ${args.from} → ${args.to} applied via the GhostSEO contract — live after the site's next cache refresh (up to ~10 minutes; next.config redirects need a redeploy).`,
             }
-          : { native: true, result: outcome.result };
+          : outcome.mode === 'branch'
+            ? {
+                branch: true,
+                result: outcome.result,
+                message: `Redirect ${args.from} → ${args.to} committed to branch ${outcome.result?.branch} — live once it is merged into ${outcome.result?.baseBranch} and the site rebuilds.`,
+              }
+            : { native: true, result: outcome.result };
         originalValue = { redirectCreated: true, from: args.from, to: args.to };
       } else {
         // No native transport: persist the redirect to the platform's table so
@@ -9,6 +9,7 @@
 import prisma from '@/lib/prisma';
 import * as wpApi from '@/lib/wp-api-client';
 import { invalidateCompetitors } from '@/lib/cache/invalidate.js';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
 
 /**
  * Rollback a completed ChatAction by restoring original values.
@@ -62,6 +63,15 @@ export async function rollbackChatAction(chatActionId) {
     },
   });
 
+  await emitWebhookEvent(site?.accountId, 'fix.rolled_back', {
+    source: 'chat_action',
+    chatActionId,
+    reason: 'manual',
+    rolledBack,
+    failed,
+    tools: details.map(d => d.tool),
+  }, { siteId: site?.id });
+
   // Add rollback confirmation message
   const summary = details.map((d, i) =>
     `${i + 1}. **${d.tool}** - ${d.success ? '↩️ Restored' : `❌ Failed: ${d.error}`}`
@@ -0,0 +1,313 @@
+/**
+ * Git transport changesets.
+ *
+ * A changeset is a list of logical fixes, each landed as file edits in a
+ * fresh checkout of the base branch:
+ *
+ *   { kind: 'seo',      url, seo: { title, description, canonical, noIndex|robots,
+ *                                   og_title, og_description, og_image } }
+ *   { kind: 'alt',      imageUrl, alt, pageUrl? }
+ *   { kind: 'redirect', from, to, status? }
+ *   { kind: 'redirect-delete', from }
+ *
+ * `previewChangeset` stages the edits and returns a unified diff per file
+ * without pushing anything (the fix modal's preview). `openChangeBranch`
+ * stages the same edits, commits them and pushes a new
+ * `<branchPrefix><name>` branch - never the base branch - for the site
+ * owner to review and merge through their own host.
+ */
+
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { loadGitIntegration } from './config';
+import { withCheckout, pushBranch, grepFiles, checkoutPath } from './repo';
+import { isMarkdown, setFrontMatter, setHeadTags, setImageAlt } from './edit';
+import { upsertRedirect, removeRedirect } from './redirects';
+import { unifiedDiff } from './diff';
+
+// updateSeoData key → front matter config field.
+const SEO_FRONT_MATTER = {
+  title: 'title',
+  description: 'description',
+  canonical: 'canonical',
+  noindex: 'noindex',
+  og_title: 'ogTitle',
+  og_description: 'ogDescription',
+  og_image: 'ogImage',
+};
+
+function gitError(message, extra = {}) {
+  const err = new Error(message);
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * The site's connected, un-paused GIT_REPO integration, or a tagged
+ * assisted error (same contract as the other adapters' kill switch).
+ */
+export async function requireGitIntegration(site) {
+  const integration = await loadGitIntegration(site);
+  if (!integration || integration.status !== 'CONNECTED') {
+    throw gitError('Git repository is not connected', { code: 'NATIVE_WRITE_UNAVAILABLE', assisted: true });
+  }
+  if (integration.killSwitch) {
+    throw gitError('Git write-back is paused for this site (kill switch)', { code: 'KILL_SWITCH', assisted: true });
+  }
+  return integration;
+}
+
+function urlPath(url) {
+  let p = String(url || '');
+  try {
+    p = new URL(p, 'https://placeholder.invalid').pathname;
+  } catch {
+    // keep raw
+  }
+  try {
+    p = decodeURIComponent(p);
+  } catch {
+    // keep encoded
+  }
+  return p.replace(/\/+$/, '').replace(/\/index\.html?$/i, '').replace(/\.html?$/i, '') || '/';
+}
+
+/** Candidate repo files for a page URL, in route order. */
+export function candidateFiles(config, url) {
+  const p = urlPath(url);
+  const out = [];
+  for (const route of config.routes || []) {
+    const pattern = route.urlPattern.replace(/\/+$/, '') || '/';
+    const parts = pattern.split(/\{(slug|path)\}/);
+    const regex = parts
+      .map((part, i) => {
+        if (i % 2 === 1) return part === 'slug' ? '([^/]+)' : '(.*)';
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    // `/{path}` also has to match the homepage ('/').
+    const m = p.match(new RegExp(`^${regex}$`)) || (pattern === '/{path}' && p === '/' ? [p, ''] : null);
+    if (!m) continue;
+    const value = (m[1] ?? '').replace(/^\/+/, '');
+    for (const file of route.files) {
+      const resolved = file
+        .replace(/\{(slug|path)\}/g, value || 'index')
+        .replace(/\/index\/index\./, '/index.')
+        .replace(/^index\/index\./, 'index.')
+        .replace(/\/{2,}/g, '/')
+        .replace(/^\/+/, '');
+      if (!out.includes(resolved)) out.push(resolved);
+    }
+  }
+  return out;
+}
+
+async function exists(file) {
+  try {
+    return (await stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Apply `changes` to the checkout at `workdir`.
+ *
+ * @returns {Promise<{ results: object[], touched: Map<string, string|null> }>}
+ *   results - one per change: { change, applied, files, error? }
+ *   touched - repo path → original contents (null when the file is new)
+ */
+export async function stageChanges(integration, workdir, changes) {
+  const { config } = integration;
+  const touched = new Map();
+
+  async function read(rel) {
+    const abs = await checkoutPath(workdir, rel);
+    const text = (await exists(abs)) ? await readFile(abs, 'utf8') : null;
+    return { abs, text };
+  }
+  async function write(rel, abs, before, after) {
+    if (after === before) return false;
+    if (!touched.has(rel)) touched.set(rel, before);
+    await mkdir(path.dirname(abs), { recursive: true });
+    await writeFile(abs, after, 'utf8');
+    return true;
+  }
+
+  const results = [];
+  for (const change of changes) {
+    try {
+      if (change.kind === 'seo') {
+        const candidates = candidateFiles(config, change.url);
+        let file = null;
+        for (const rel of candidates) {
+          if (await exists(await checkoutPath(workdir, rel))) { file = rel; break; }
+        }
+        if (!file) {
+          results.push({ change, applied: false, files: [], error: `No source file found for ${urlPath(change.url)} (tried ${candidates.join(', ') || 'no matching route'})` });
+          continue;
+        }
+        const { abs, text } = await read(file);
+        const seo = { ...change.seo };
+        if (seo.noIndex !== undefined && seo.robots === undefined) {
+          seo.robots = seo.noIndex ? 'noindex, follow' : 'index, follow';
+        }
+
+        let next = text;
+        const unplaced = [];
+        if (isMarkdown(file)) {
+          const values = {};
+          for (const [key, value] of Object.entries(seo)) {
+            const field = key === 'noIndex' ? 'noindex' : SEO_FRONT_MATTER[key];
+            if (value === undefined || key === 'robots' || key === 'focusKeyword') continue;
+            if (field && config.frontMatter?.[field]) values[config.frontMatter[field]] = value;
+            else unplaced.push(key);
+          }
+          next = setFrontMatter(text, values);
+        } else {
+          const { noIndex: _noIndex, focusKeyword: _focusKeyword, ...headValues } = seo;
+          const res = setHeadTags(text, headValues);
+          next = res.text;
+          unplaced.push(...res.missed);
+        }
+
+        const changed = await write(file, abs, text, next);
+        results.push({
+          change,
+          applied: changed,
+          files: changed ? [file] : [],
+          ...(unplaced.length ? { unplaced } : {}),
+          ...(!changed ? { error: unplaced.length ? `Nowhere to write ${unplaced.join(', ')} in ${file}` : 'Already up to date' } : {}),
+        });
+        continue;
+      }
+
+      if (change.kind === 'alt') {
+        let tail;
+        try {
+          tail = decodeURIComponent(new URL(change.imageUrl, 'https://placeholder.invalid').pathname);
+        } catch {
+          tail = String(change.imageUrl || '');
+        }
+        const fileName = tail.split('/').pop();
+        if (!fileName) {
+          results.push({ change, applied: false, files: [], error: 'Invalid image URL' });
+          continue;
+        }
+        // Prefer the page's own source file; fall back to every file that
+        // references the image (shared layouts/components).
+        let files = [];
+        if (change.pageUrl) {
+          for (const rel of candidateFiles(config, change.pageUrl)) {
+            if (await exists(await checkoutPath(workdir, rel))) { files = [rel]; break; }
+          }
+        }
+        const referencing = await grepFiles(integration, workdir, fileName);
+        files = files.length && referencing.includes(files[0]) ? files : referencing;
+
+        const changedFiles = [];
+        for (const rel of files) {
+          const { abs, text } = await read(rel);
+          if (text == null) continue;
+          // Match on the longest path suffix that the source actually uses.
+          const suffixes = tail.split('/').map((_, i, segs) => segs.slice(i).join('/')).filter(Boolean);
+          const needle = suffixes.find((s) => text.includes(s)) || fileName;
+          const res = setImageAlt(text, needle, change.alt, { markdown: isMarkdown(rel) });
+          if (res.count && await write(rel, abs, text, res.text)) changedFiles.push(rel);
+        }
+        results.push({
+          change,
+          applied: changedFiles.length > 0,
+          files: changedFiles,
+          ...(changedFiles.length ? {} : { error: `No <img> referencing ${fileName} found in the repository` }),
+        });
+        continue;
+      }
+
+      if (change.kind === 'redirect' || change.kind === 'redirect-delete') {
+        if (!config.redirects) {
+          results.push({ change, applied: false, files: [], error: 'No redirects file configured' });
+          continue;
+        }
+        const file = config.redirects.file;
+        const { abs, text } = await read(file);
+        const next = change.kind === 'redirect'
+          ? upsertRedirect(text || '', config.redirects.format, change)
+          : removeRedirect(text || '', config.redirects.format, change.from);
+        const changed = await write(file, abs, text, next);
+        results.push({ change, applied: changed, files: changed ? [file] : [], ...(changed ? {} : { error: 'Already up to date' }) });
+        continue;
+      }
+
+      results.push({ change, applied: false, files: [], error: `Unknown change kind: ${change.kind}` });
+    } catch (e) {
+      results.push({ change, applied: false, files: [], error: e.message });
+    }
+  }
+
+  return { results, touched };
+}
+
+async function diffsFor(workdir, touched) {
+  const files = [];
+  for (const [rel, before] of touched) {
+    const after = await readFile(await checkoutPath(workdir, rel), 'utf8');
+    files.push({ path: rel, isNew: before == null, ...unifiedDiff(rel, before, after) });
+  }
+  return files;
+}
+
+/**
+ * Stage `changes` and return the diff, without committing or pushing.
+ *
+ * @returns {Promise<{ baseBranch: string, files: object[], results: object[] }>}
+ */
+export async function previewChangeset(site, changes) {
+  const integration = await requireGitIntegration(site);
+  return withCheckout(integration, async (workdir) => {
+    const { results, touched } = await stageChanges(integration, workdir, changes);
+    return { baseBranch: integration.config.baseBranch, files: await diffsFor(workdir, touched), results };
+  });
+}
+
+function branchSlug(name) {
+  return String(name || 'seo-fix')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'seo-fix';
+}
+
+/**
+ * Stage `changes`, commit them and push them as a new branch.
+ *
+ * @param {object} site
+ * @param {object[]} changes
+ * @param {{ name?: string, message?: string }} [options]
+ * @returns {Promise<{ branch: string|null, commit: string|null, baseBranch: string, files: object[], results: object[] }>}
+ *   branch/commit are null when no change produced an edit.
+ */
+export async function openChangeBranch(site, changes, { name, message } = {}) {
+  const integration = await requireGitIntegration(site);
+  const { config } = integration;
+  return withCheckout(integration, async (workdir) => {
+    const { results, touched } = await stageChanges(integration, workdir, changes);
+    const files = await diffsFor(workdir, touched);
+    if (!touched.size) return { branch: null, commit: null, baseBranch: config.baseBranch, files, results };
+
+    const branch = `${config.branchPrefix}${branchSlug(name)}-${Date.now().toString(36)}`;
+    const applied = results.filter((r) => r.applied);
+    const summary = message || `SEO fixes: ${applied.length} change${applied.length === 1 ? '' : 's'}`;
+    const body = applied.map((r) => `- ${describeChange(r.change)}`).join('\n');
+    const pushed = await pushBranch(integration, workdir, { branch, message: `${summary}\n\n${body}` });
+    return { ...pushed, baseBranch: config.baseBranch, files, results };
+  });
+}
+
+function describeChange(change) {
+  if (change.kind === 'seo') return `${Object.keys(change.seo || {}).join(', ')} for ${urlPath(change.url)}`;
+  if (change.kind === 'alt') return `alt text for ${change.imageUrl}`;
+  if (change.kind === 'redirect') return `redirect ${change.from} → ${change.to} (${change.status || 301})`;
+  if (change.kind === 'redirect-delete') return `remove redirect ${change.from}`;
+  return change.kind;
+}
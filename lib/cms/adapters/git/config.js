@@ -0,0 +1,228 @@
+/**
+ * Git repository transport config
+ *
+ * A static site built from a Git repo (Astro, Hugo, Next SSG, plain HTML)
+ * connects through a SiteIntegration row of type GIT_REPO: an access token
+ * for HTTPS remotes in `encryptedToken` (AES-256-GCM, lib/site-keys.js) and
+ * everything else in `config`:
+ *
+ *   {
+ *     framework:    'astro' | 'hugo' | 'next' | 'html'   (picks the presets)
+ *     remoteUrl:    'https://git.example.com/team/site.git' or, when the
+ *                   server allows it, an absolute path to a local repository
+ *     baseBranch:   'main'            branches are cut from here, never pushed to
+ *     branchPrefix: 'ghostseo/'       every branch we push starts with this
+ *     authUser:     'ghostseo'        HTTPS basic-auth user sent with the token
+ *     author:       { name, email }   commit author
+ *     routes:       [{ urlPattern: '/blog/{slug}', files: ['src/content/blog/{slug}.md'] }]
+ *     frontMatter:  { title, description, canonical, noindex,
+ *                     ogTitle, ogDescription, ogImage }   key (dot path) per field
+ *     redirects:    { file: 'public/_redirects', format: 'netlify'|'vercel'|'nginx'|'apache' } | null
+ *   }
+ *
+ * Route patterns take `{slug}` (one path segment) or `{path}` (any depth,
+ * empty for the homepage); the first candidate file that exists wins.
+ * Local paths are only accepted under GIT_TRANSPORT_LOCAL_ROOT so a site
+ * owner can't point the server at arbitrary directories.
+ */
+
+import path from 'node:path';
+import prisma from '@/lib/prisma';
+import { decryptCredential } from '@/lib/site-keys';
+
+export const GIT_FRAMEWORKS = Object.freeze(['astro', 'hugo', 'next', 'html']);
+export const REDIRECT_FORMATS = Object.freeze(['netlify', 'vercel', 'nginx', 'apache']);
+
+export const FRONT_MATTER_FIELDS = Object.freeze([
+  'title',
+  'description',
+  'canonical',
+  'noindex',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+]);
+
+const KEY_PATH_RE = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)?$/;
+const FILE_PATTERN_RE = /^[\w{}@.\-/[\]]+$/;
+const BRANCH_RE = /^[A-Za-z0-9][\w.-]*(\/[\w.-]+)*$/;
+
+// Per-framework defaults, merged under whatever the site saved.
+const PRESETS = {
+  astro: {
+    routes: [
+      { urlPattern: '/blog/{slug}', files: ['src/content/blog/{slug}.md', 'src/content/blog/{slug}.mdx'] },
+      { urlPattern: '/{path}', files: ['src/pages/{path}.md', 'src/pages/{path}.mdx', 'src/pages/{path}.astro', 'src/pages/{path}/index.astro'] },
+    ],
+    frontMatter: { title: 'title', description: 'description' },
+    redirects: { file: 'public/_redirects', format: 'netlify' },
+  },
+  hugo: {
+    routes: [
+      { urlPattern: '/{path}', files: ['content/{path}.md', 'content/{path}/index.md', 'content/{path}/_index.md'] },
+    ],
+    frontMatter: { title: 'title', description: 'description' },
+    redirects: { file: 'static/_redirects', format: 'netlify' },
+  },
+  next: {
+    routes: [
+      { urlPattern: '/blog/{slug}', files: ['content/blog/{slug}.mdx', 'content/blog/{slug}.md', 'posts/{slug}.mdx', 'posts/{slug}.md'] },
+      { urlPattern: '/{path}', files: ['content/{path}.mdx', 'content/{path}.md'] },
+    ],
+    frontMatter: { title: 'title', description: 'description' },
+    redirects: { file: 'vercel.json', format: 'vercel' },
+  },
+  html: {
+    routes: [
+      { urlPattern: '/{path}', files: ['{path}.html', '{path}/index.html'] },
+    ],
+    frontMatter: {},
+    redirects: { file: '_redirects', format: 'netlify' },
+  },
+};
+
+export function presetFor(framework) {
+  return PRESETS[framework] || null;
+}
+
+/** Absolute local repo path allowed by GIT_TRANSPORT_LOCAL_ROOT, else null. */
+export function localRepoPath(remoteUrl) {
+  const root = process.env.GIT_TRANSPORT_LOCAL_ROOT;
+  if (!root || !path.isAbsolute(String(remoteUrl || ''))) return null;
+  const resolved = path.resolve(remoteUrl);
+  const base = path.resolve(root);
+  return resolved === base || resolved.startsWith(base + path.sep) ? resolved : null;
+}
+
+function normalizeRoutes(input) {
+  const routes = [];
+  for (const r of Array.isArray(input) ? input : []) {
+    const urlPattern = String(r?.urlPattern || '');
+    const vars = urlPattern.match(/\{(slug|path)\}/g) || [];
+    if (!urlPattern.startsWith('/') || vars.length > 1) return null;
+    const files = (Array.isArray(r.files) ? r.files : [])
+      .map((f) => String(f).trim().replace(/^\/+/, ''))
+      .filter(Boolean);
+    if (!files.length || files.some((f) => !FILE_PATTERN_RE.test(f) || f.split('/').includes('..'))) return null;
+    routes.push({ urlPattern, files });
+  }
+  return routes;
+}
+
+/**
+ * Validate + normalize a config submitted from settings. Unknown keys are
+ * dropped, framework presets fill the gaps.
+ *
+ * @param {object} input
+ * @returns {{ ok: true, config: object } | { ok: false, error: string }}
+ */
+export function normalizeGitConfig(input = {}) {
+  const framework = String(input.framework || 'html').toLowerCase();
+  if (!GIT_FRAMEWORKS.includes(framework)) {
+    return { ok: false, error: `framework must be one of ${GIT_FRAMEWORKS.join(', ')}` };
+  }
+  const preset = PRESETS[framework];
+
+  const remoteUrl = String(input.remoteUrl || '').trim();
+  if (!/^https:\/\/[^\s]+$/i.test(remoteUrl) && !localRepoPath(remoteUrl)) {
+    return {
+      ok: false,
+      error: process.env.GIT_TRANSPORT_LOCAL_ROOT
+        ? `remoteUrl must be an https:// URL or a path under ${process.env.GIT_TRANSPORT_LOCAL_ROOT}`
+        : 'remoteUrl must be an https:// URL',
+    };
+  }
+  if (/^https:\/\/[^/]*@/i.test(remoteUrl)) {
+    return { ok: false, error: 'Put the access token in the token field, not in remoteUrl' };
+  }
+
+  const baseBranch = String(input.baseBranch || 'main').trim();
+  if (!BRANCH_RE.test(baseBranch)) return { ok: false, error: 'Invalid baseBranch' };
+
+  const branchPrefix = String(input.branchPrefix || 'ghostseo/').trim();
+  if (!/^[A-Za-z0-9][\w.-]*\/$/.test(branchPrefix)) {
+    return { ok: false, error: 'branchPrefix must look like "ghostseo/"' };
+  }
+  if (baseBranch.startsWith(branchPrefix)) {
+    return { ok: false, error: 'baseBranch cannot live under branchPrefix' };
+  }
+
+  const routes = input.routes ? normalizeRoutes(input.routes) : preset.routes;
+  if (!routes || !routes.length) {
+    return { ok: false, error: 'routes must be [{ urlPattern: "/blog/{slug}", files: ["content/blog/{slug}.md"] }]' };
+  }
+
+  const frontMatter = {};
+  const rawFm = { ...preset.frontMatter, ...(input.frontMatter || {}) };
+  for (const key of FRONT_MATTER_FIELDS) {
+    const keyPath = rawFm[key];
+    if (keyPath == null || keyPath === '') continue;
+    if (typeof keyPath !== 'string' || !KEY_PATH_RE.test(keyPath)) {
+      return { ok: false, error: `Invalid front matter key for ${key}: ${keyPath}` };
+    }
+    frontMatter[key] = keyPath;
+  }
+
+  let redirects = preset.redirects;
+  if (input.redirects === null) redirects = null;
+  else if (input.redirects) {
+    const file = String(input.redirects.file || '').replace(/^\/+/, '');
+    const format = String(input.redirects.format || '').toLowerCase();
+    if (!file || !FILE_PATTERN_RE.test(file) || file.split('/').includes('..') || !REDIRECT_FORMATS.includes(format)) {
+      return { ok: false, error: `redirects needs a file path and a format (${REDIRECT_FORMATS.join(', ')})` };
+    }
+    redirects = { file, format };
+  }
+
+  const author = {
+    name: String(input.author?.name || 'GhostSEO').slice(0, 100),
+    email: String(input.author?.email || 'bot@ghostseo.ai').slice(0, 200),
+  };
+  if (!/^[^\s@<>]+@[^\s@<>]+$/.test(author.email) || /[<>\n]/.test(author.name)) {
+    return { ok: false, error: 'Invalid commit author' };
+  }
+
+  return {
+    ok: true,
+    config: {
+      framework,
+      remoteUrl,
+      baseBranch,
+      branchPrefix,
+      authUser: String(input.authUser || 'ghostseo').replace(/[^\w.@-]/g, '') || 'ghostseo',
+      author,
+      routes,
+      frontMatter,
+      redirects,
+    },
+  };
+}
+
+/**
+ * Load the site's GIT_REPO integration. Returns null when the site has
+ * none, or it has been revoked.
+ *
+ * @param {{ id: string }} site
+ * @returns {Promise<{ id: string, status: string, killSwitch: boolean, config: object, token: string|null }|null>}
+ */
+export async function loadGitIntegration(site) {
+  if (!site?.id) return null;
+  const row = await prisma.siteIntegration.findUnique({
+    where: { siteId_type: { siteId: site.id, type: 'GIT_REPO' } },
+    select: { id: true, status: true, killSwitch: true, config: true, encryptedToken: true },
+  });
+  if (!row || row.status === 'REVOKED' || !row.config?.remoteUrl) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    killSwitch: row.killSwitch,
+    config: row.config,
+    token: row.encryptedToken ? decryptCredential(row.encryptedToken) : null,
+  };
+}
+
+/** Config as shown in settings: never includes the token. */
+export function publicGitConfig(row) {
+  if (!row) return null;
+  return { ...row.config, hasToken: !!(row.encryptedToken || row.token) };
+}
@@ -0,0 +1,116 @@
+/**
+ * Minimal unified diff for the Git transport's fix preview.
+ *
+ * Our edits are a handful of lines in otherwise unchanged files, so the
+ * common prefix/suffix is trimmed first and only the changed middle goes
+ * through the LCS table - large files stay cheap.
+ */
+
+const CONTEXT = 3;
+const MAX_MIDDLE = 2000;
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_MIDDLE * MAX_MIDDLE) {
+    return [...a.map((line) => ['-', line]), ...b.map((line) => ['+', line])];
+  }
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { ops.push([' ', a[i]]); i += 1; j += 1; }
+    else if (table[i + 1][j] >= table[i][j + 1]) { ops.push(['-', a[i]]); i += 1; }
+    else { ops.push(['+', b[j]]); j += 1; }
+  }
+  while (i < n) { ops.push(['-', a[i]]); i += 1; }
+  while (j < m) { ops.push(['+', b[j]]); j += 1; }
+  return ops;
+}
+
+function toLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Unified diff between two versions of one file.
+ *
+ * @param {string} filePath
+ * @param {string|null} before  null for a new file
+ * @param {string} after
+ * @returns {{ diff: string, additions: number, deletions: number }}
+ */
+export function unifiedDiff(filePath, before, after) {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA -= 1; endB -= 1; }
+
+  const ops = [
+    ...a.slice(0, start).map((line) => [' ', line]),
+    ...lcsOps(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map((line) => [' ', line]),
+  ];
+
+  // Group changed ops into hunks with CONTEXT lines around them.
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+  ops.forEach(([op, line], idx) => {
+    if (op !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let k = Math.max(0, idx - CONTEXT); k < idx; k += 1) lead.push(ops[k]);
+        current = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: lead.map(([o, l]) => `${o}${l}`) };
+        hunks.push(current);
+      }
+      current.lines.push(`${op}${line}`);
+      trailing = 0;
+    } else if (current) {
+      if (trailing < CONTEXT) {
+        current.lines.push(` ${line}`);
+        trailing += 1;
+      } else {
+        // Close the hunk unless another change is within reach.
+        const next = ops.slice(idx, idx + CONTEXT + 1).some(([o]) => o !== ' ');
+        if (next) current.lines.push(` ${line}`);
+        else current = null;
+      }
+    }
+    if (op !== '+') oldLine += 1;
+    if (op !== '-') newLine += 1;
+  });
+
+  let additions = 0;
+  let deletions = 0;
+  const body = hunks.map((h) => {
+    const oldCount = h.lines.filter((l) => l[0] !== '+').length;
+    const newCount = h.lines.filter((l) => l[0] !== '-').length;
+    additions += h.lines.length - oldCount;
+    deletions += h.lines.length - newCount;
+    const oldStart = oldCount ? h.oldStart : h.oldStart - 1;
+    const newStart = newCount ? h.newStart : h.newStart - 1;
+    return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...h.lines].join('\n');
+  });
+
+  const header = [
+    before == null ? '--- /dev/null' : `--- a/${filePath}`,
+    `+++ b/${filePath}`,
+  ];
+  return { diff: body.length ? [...header, ...body].join('\n') : '', additions, deletions };
+}
@@ -0,0 +1,204 @@
+/**
+ * Source-file edits for the GIT_REPO transport.
+ *
+ * Pure string → string functions: each takes a file's text and returns the
+ * edited text (or the same string when nothing applies), touching only the
+ * lines it has to so the branch diff stays reviewable. No YAML/HTML
+ * re-serialization - a reformatted file would bury the one-line change.
+ *
+ *   - Front matter: YAML (`---`) or TOML (`+++`), top-level keys plus one
+ *     nested level (`seo.title` → `seo:` mapping / `[seo]` table)
+ *   - HTML heads: <title>, meta description/robots/og:*, link canonical
+ *   - Image alt text: <img> tags and Markdown `![alt](src)`
+ */
+
+const MARKDOWN_EXT = /\.(md|mdx|markdown|markdoc)$/i;
+
+export function isMarkdown(file) {
+  return MARKDOWN_EXT.test(file);
+}
+
+// ─── Front matter ─────────────────────────────────────────────────
+
+function splitFrontMatter(text) {
+  const m = text.match(/^(---|\+\+\+)[ \t]*\r?\n([\s\S]*?)\r?\n\1[ \t]*(\r?\n|$)/);
+  if (!m) return null;
+  return { fence: m[1], body: m[2], rest: text.slice(m[0].length), eol: m[3] || '\n' };
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function tomlScalar(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function setYamlKey(lines, keyPath, value) {
+  const [parent, child] = keyPath.includes('.') ? keyPath.split('.') : [null, keyPath];
+  const keyRe = (key, indent) => new RegExp(`^${indent}${key.replace(/[-]/g, '\\-')}:(\\s|$)`);
+
+  if (!parent) {
+    const i = lines.findIndex((l) => keyRe(child, '').test(l));
+    const line = `${child}: ${yamlScalar(value)}`;
+    if (i === -1) return [...lines, line];
+    // Drop a block scalar / folded continuation that belonged to the old value.
+    let end = i + 1;
+    while (end < lines.length && /^\s+\S/.test(lines[end])) end += 1;
+    return [...lines.slice(0, i), line, ...lines.slice(end)];
+  }
+
+  const p = lines.findIndex((l) => keyRe(parent, '').test(l));
+  if (p === -1) return [...lines, `${parent}:`, `  ${child}: ${yamlScalar(value)}`];
+  let end = p + 1;
+  while (end < lines.length && (/^\s+\S/.test(lines[end]) || lines[end].trim() === '')) end += 1;
+  const block = lines.slice(p + 1, end);
+  const indent = (block.find((l) => l.trim())?.match(/^(\s+)/) || [, '  '])[1];
+  const c = block.findIndex((l) => keyRe(child, indent).test(l));
+  const line = `${indent}${child}: ${yamlScalar(value)}`;
+  if (c === -1) return [...lines.slice(0, p + 1), line, ...lines.slice(p + 1)];
+  return [...lines.slice(0, p + 1 + c), line, ...lines.slice(p + 2 + c)];
+}
+
+function setTomlKey(lines, keyPath, value) {
+  const [table, key] = keyPath.includes('.') ? keyPath.split('.') : [null, keyPath];
+  const keyRe = new RegExp(`^\\s*${key.replace(/[-]/g, '\\-')}\\s*=`);
+  const line = `${key} = ${tomlScalar(value)}`;
+
+  const firstTable = lines.findIndex((l) => /^\s*\[/.test(l));
+  let start = 0;
+  let end = firstTable === -1 ? lines.length : firstTable;
+  if (table) {
+    const t = lines.findIndex((l) => l.trim() === `[${table}]`);
+    if (t === -1) return [...lines, '', `[${table}]`, line];
+    start = t + 1;
+    end = lines.findIndex((l, i) => i >= start && /^\s*\[/.test(l));
+    if (end === -1) end = lines.length;
+  }
+  const i = lines.findIndex((l, idx) => idx >= start && idx < end && keyRe.test(l));
+  if (i === -1) return [...lines.slice(0, end), line, ...lines.slice(end)];
+  return [...lines.slice(0, i), line, ...lines.slice(i + 1)];
+}
+
+/**
+ * Set front matter keys. Creates a YAML block when the file has none.
+ *
+ * @param {string} text
+ * @param {Record<string, string|boolean>} values  keyPath → value
+ */
+export function setFrontMatter(text, values) {
+  const entries = Object.entries(values).filter(([, v]) => v !== undefined && v !== null);
+  if (!entries.length) return text;
+  const fm = splitFrontMatter(text) || { fence: '---', body: '', rest: text, eol: '\n', created: true };
+  const setter = fm.fence === '+++' ? setTomlKey : setYamlKey;
+  let lines = fm.body ? fm.body.split(/\r?\n/) : [];
+  for (const [keyPath, value] of entries) lines = setter(lines, keyPath, value);
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const block = `${fm.fence}${eol}${lines.join(eol)}${eol}${fm.fence}${fm.created ? eol + eol : fm.eol}`;
+  return block + fm.rest;
+}
+
+// ─── HTML head ────────────────────────────────────────────────────
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function setAttr(tag, attr, value) {
+  const re = new RegExp(`(\\s${attr}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s>]+)`, 'i');
+  if (re.test(tag)) return tag.replace(re, `$1"${escapeAttr(value)}"`);
+  return tag.replace(/\s*(\/?)>$/, ` ${attr}="${escapeAttr(value)}"$1>`);
+}
+
+function insertInHead(html, tag) {
+  const m = html.match(/^([ \t]*)<\/head>/im);
+  if (!m) return null;
+  const indent = `${m[1]}  `;
+  return html.replace(/^([ \t]*)<\/head>/im, `${indent}${tag}\n$&`);
+}
+
+// Head tags by the updateSeoData key that sets them.
+const HEAD_TAGS = {
+  description: { re: /<meta\b[^>]*\bname\s*=\s*["']description["'][^>]*>/i, build: (v) => `<meta name="description" content="${escapeAttr(v)}">` },
+  canonical: { re: /<link\b[^>]*\brel\s*=\s*["']canonical["'][^>]*>/i, attr: 'href', build: (v) => `<link rel="canonical" href="${escapeAttr(v)}">` },
+  robots: { re: /<meta\b[^>]*\bname\s*=\s*["']robots["'][^>]*>/i, build: (v) => `<meta name="robots" content="${escapeAttr(v)}">` },
+  og_title: { re: /<meta\b[^>]*\bproperty\s*=\s*["']og:title["'][^>]*>/i, build: (v) => `<meta property="og:title" content="${escapeAttr(v)}">` },
+  og_description: { re: /<meta\b[^>]*\bproperty\s*=\s*["']og:description["'][^>]*>/i, build: (v) => `<meta property="og:description" content="${escapeAttr(v)}">` },
+  og_image: { re: /<meta\b[^>]*\bproperty\s*=\s*["']og:image["'][^>]*>/i, build: (v) => `<meta property="og:image" content="${escapeAttr(v)}">` },
+};
+
+/**
+ * Set head tags in an HTML(-ish) template. Returns the new text plus the
+ * keys it couldn't place (no existing tag and no literal </head>).
+ *
+ * @param {string} html
+ * @param {Record<string, string>} values  updateSeoData keys (title, description, canonical, robots, og_*)
+ * @returns {{ text: string, missed: string[] }}
+ */
+export function setHeadTags(html, values) {
+  let text = html;
+  const missed = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null) continue;
+    if (key === 'title') {
+      if (/<title\b[^>]*>[\s\S]*?<\/title>/i.test(text)) {
+        text = text.replace(/(<title\b[^>]*>)[\s\S]*?(<\/title>)/i, (_, open, close) => `${open}${escapeText(value)}${close}`);
+        continue;
+      }
+      const inserted = insertInHead(text, `<title>${escapeText(value)}</title>`);
+      if (inserted) text = inserted; else missed.push(key);
+      continue;
+    }
+    const spec = HEAD_TAGS[key];
+    if (!spec) { missed.push(key); continue; }
+    const existing = text.match(spec.re);
+    if (existing) {
+      text = text.replace(spec.re, setAttr(existing[0], spec.attr || 'content', value));
+      continue;
+    }
+    const inserted = insertInHead(text, spec.build(value));
+    if (inserted) text = inserted; else missed.push(key);
+  }
+  return { text, missed };
+}
+
+// ─── Image alt text ───────────────────────────────────────────────
+
+function srcMatches(src, needle) {
+  if (!src) return false;
+  try {
+    return decodeURIComponent(src.split(/[?#]/)[0]).endsWith(needle);
+  } catch {
+    return src.split(/[?#]/)[0].endsWith(needle);
+  }
+}
+
+/**
+ * Set the alt text on every image in `text` whose src ends with `srcTail`
+ * (an image path or filename). Markdown images are handled in Markdown files.
+ *
+ * @returns {{ text: string, count: number }}
+ */
+export function setImageAlt(text, srcTail, alt, { markdown = false } = {}) {
+  let count = 0;
+  let out = text.replace(/<img\b[^>]*>/gi, (tag) => {
+    const src = tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    if (!srcMatches(src?.[1] ?? src?.[2] ?? src?.[3], srcTail)) return tag;
+    count += 1;
+    return setAttr(tag, 'alt', alt);
+  });
+  if (markdown) {
+    out = out.replace(/!\[([^\]]*)\]\(\s*(<[^>]+>|[^\s)]+)([^)]*)\)/g, (whole, _old, src, title) => {
+      if (!srcMatches(src.replace(/^<|>$/g, ''), srcTail)) return whole;
+      count += 1;
+      return `![${String(alt).replace(/[[\]]/g, '')}](${src}${title})`;
+    });
+  }
+  return { text: out, count };
+}
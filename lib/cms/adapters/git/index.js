@@ -0,0 +1,236 @@
+/**
+ * Git Repository Adapter (static sites: Astro, Hugo, Next SSG, plain HTML)
+ *
+ * Writes land as a commit on a new `<branchPrefix>…` branch of the site's
+ * own repository (local or self-hosted remote, see ./config.js), never on
+ * the base branch. The owner reviews and merges it through their usual
+ * host, and the next deploy ships it - so `writeMode` is 'branch', not
+ * 'native'.
+ *
+ *   - SEO meta (title, description, canonical, robots, og:*) → front matter
+ *     in Markdown/MDX, head tags in HTML-ish templates (./edit.js)
+ *   - Image alt text → every <img>/Markdown image that references the file
+ *   - Redirects → the host's redirect file (_redirects, vercel.json, nginx,
+ *     .htaccess; ./redirects.js)
+ *
+ * Content reads come from SiteEntity (the sitemap crawler), exactly like the
+ * custom adapter. Anything without a file-level equivalent stays assisted.
+ *
+ * Invoked via the cms dispatcher (see lib/cms/index.js).
+ */
+
+import { readFile } from 'node:fs/promises';
+import prisma from '@/lib/prisma';
+import { GIT_REPO_CAPABILITIES } from '../../capabilities';
+import { loadGitIntegration } from './config';
+import { checkoutPath, remoteHead, withCheckout } from './repo';
+import { openChangeBranch, previewChangeset, requireGitIntegration } from './changeset';
+import { parseRedirects } from './redirects';
+
+export const capabilities = GIT_REPO_CAPABILITIES;
+
+/** Writes are pushed as a review branch; live after the owner merges + deploys. */
+export const writeMode = 'branch';
+
+export { previewChangeset, openChangeBranch, requireGitIntegration };
+
+function assisted(method, reason) {
+  const fn = () => {
+    throw Object.assign(
+      new Error(`[cms/git] ${method}() has no native write path on Git-connected sites. ${reason}`),
+      { code: 'NATIVE_WRITE_UNAVAILABLE', assisted: true },
+    );
+  };
+  fn.__notSupported = true;
+  return fn;
+}
+
+function looksLikeUrl(target) {
+  return typeof target === 'string' && (target.startsWith('/') || /^https?:\/\//i.test(target));
+}
+
+// URL for a fixer/agent target: a URL or path as-is, an entity id through
+// SiteEntity.
+async function targetUrl(site, target) {
+  if (looksLikeUrl(target)) return target;
+  const idStr = String(target ?? '');
+  if (!idStr) return null;
+  const entity = await prisma.siteEntity.findFirst({
+    where: { siteId: site.id, OR: [{ externalId: idStr }, { id: idStr }] },
+    select: { url: true },
+  });
+  return entity?.url || null;
+}
+
+function redirectStatus(data) {
+  const type = data.type ?? data.status ?? data.statusCode;
+  if (type === 'TEMPORARY' || String(type) === '302') return 302;
+  if (String(type) === '307' || String(type) === '308') return Number(type);
+  return 301;
+}
+
+function redirectPath(value, site) {
+  const raw = String(value || '');
+  try {
+    const u = new URL(raw, site.url);
+    // Keep external targets absolute; same-site targets as paths.
+    return u.origin === new URL(site.url).origin ? `${u.pathname}${u.search}` : u.href;
+  } catch {
+    return raw.startsWith('/') ? raw : `/${raw}`;
+  }
+}
+
+// One change per call → one branch per call. Batch callers (the audit fix
+// dispatcher) build a changeset and call openChangeBranch directly.
+async function commitOne(site, change, name) {
+  const res = await openChangeBranch(site, [change], { name });
+  const outcome = res.results[0];
+  if (!outcome?.applied) throw new Error(`[cms/git] ${outcome?.error || 'Nothing to change'}`);
+  return { branch: res.branch, commit: res.commit, baseBranch: res.baseBranch, files: outcome.files, mode: 'branch' };
+}
+
+// ─── Reads (SiteEntity-backed, same as the custom adapter) ─────────────
+export {
+  getSiteInfo,
+  getPostTypes,
+  getPosts,
+  getPost,
+  getPostBySlug,
+  getSeoData,
+  getAcfFields,
+  getMedia,
+  getMediaItem,
+  resolveMediaUrls,
+  getTaxonomies,
+  getTaxonomyTerms,
+  listTerms,
+  listComments,
+  getMenus,
+  getDetectedRedirectPlugins,
+  resolveUrl,
+  getSearchEngineVisibility,
+  getOptions,
+  getElementStructure,
+  syncAllEntities,
+} from '../custom';
+
+// ─── SEO → front matter / head tags ───────────────────────────────────
+/**
+ * @param {object} site
+ * @param {string} target - URL, path, or SiteEntity id/externalId
+ * @param {{ title?, description?, canonical?, noIndex?, robots?, og_title?, og_description?, og_image? }} seoData
+ */
+export async function updateSeoData(site, target, seoData = {}) {
+  const url = await targetUrl(site, target);
+  if (!url) throw new Error(`[cms/git] updateSeoData: could not resolve ${target} to a page URL`);
+  const seo = {};
+  for (const [key, value] of Object.entries(seoData)) {
+    // Chat/agent callers send '' for fields they don't touch.
+    if (value !== undefined && value !== null && value !== '') seo[key] = value;
+  }
+  if (!Object.keys(seo).length) throw new Error('[cms/git] updateSeoData: nothing to update');
+  return commitOne(site, { kind: 'seo', url, seo }, `seo-${new URL(url, site.url).pathname}`);
+}
+
+// ─── Media: alt text only ──────────────────────────────────────────────
+export async function updateMedia(site, mediaId, data = {}) {
+  if (!looksLikeUrl(mediaId) || !data.alt) {
+    throw Object.assign(
+      new Error('[cms/git] updateMedia only sets alt text, addressed by image URL'),
+      { code: 'NATIVE_WRITE_UNAVAILABLE', assisted: true },
+    );
+  }
+  return commitOne(site, { kind: 'alt', imageUrl: mediaId, alt: data.alt, pageUrl: data.pageUrl }, 'alt-text');
+}
+export const uploadMediaFromUrl = assisted('uploadMediaFromUrl', 'Add the image to the repository yourself.');
+export const uploadMediaFromBase64 = assisted('uploadMediaFromBase64', 'Add the image to the repository yourself.');
+export const uploadMediaFromBuffer = assisted('uploadMediaFromBuffer', 'Add the image to the repository yourself.');
+export const deleteMedia = assisted('deleteMedia', 'Remove the asset from the repository yourself.');
+
+// ─── Redirects → the host's redirect file ──────────────────────────────
+export async function getRedirects(site) {
+  const integration = await loadGitIntegration(site);
+  const redirects = integration?.config?.redirects;
+  if (!redirects || integration.status !== 'CONNECTED') return [];
+  return withCheckout(integration, async (workdir) => {
+    const file = await checkoutPath(workdir, redirects.file);
+    const text = await readFile(file, 'utf8').catch(() => '');
+    return parseRedirects(text, redirects.format).map((r) => ({
+      id: r.from,
+      source: r.from,
+      target: r.to,
+      type: r.status === 302 || r.status === 307 ? 'TEMPORARY' : 'PERMANENT',
+      status: r.status,
+    }));
+  });
+}
+
+/**
+ * @param {object} site
+ * @param {{ source?: string, from?: string, target?: string, to?: string, type?: string|number }} data
+ */
+export async function createRedirect(site, data = {}) {
+  const source = data.source ?? data.from;
+  const target = data.target ?? data.to;
+  if (!source || !target) throw new Error('[cms/git] createRedirect: source and target are required');
+  const from = redirectPath(source, site);
+  const to = redirectPath(target, site);
+  return commitOne(site, { kind: 'redirect', from, to, status: redirectStatus(data) }, `redirect-${from}`);
+}
+
+export async function updateRedirect(site, idOrData, maybeData) {
+  const data = maybeData ? { source: idOrData, ...maybeData } : idOrData;
+  return createRedirect(site, data);
+}
+
+export async function deleteRedirect(site, idOrSource) {
+  const from = redirectPath(idOrSource, site);
+  return commitOne(site, { kind: 'redirect-delete', from }, `remove-redirect-${from}`);
+}
+export const bulkSyncRedirects = assisted('bulkSyncRedirects', 'Create the redirects one by one, or edit the redirects file directly.');
+export const importRedirects = assisted('importRedirects', 'Git-connected sites have no redirect plugin to import from.');
+
+// ─── Everything with no file-level equivalent ──────────────────────────
+export const createPost = assisted('createPost', 'Add the page to the repository, or copy the generated HTML.');
+export const updatePost = assisted('updatePost', 'Edit the page in the repository, or apply the generated change manually.');
+export const deletePost = assisted('deletePost', 'Delete the page in the repository.');
+export const updateAcfFields = assisted('updateAcfFields', 'Static sites have no ACF layer.');
+export const createTerm = assisted('createTerm', 'Manage taxonomies in the repository.');
+export const updateTerm = assisted('updateTerm', 'Manage taxonomies in the repository.');
+export const deleteTerm = assisted('deleteTerm', 'Manage taxonomies in the repository.');
+export const updateComment = assisted('updateComment', 'Static sites have no native comment system.');
+export const replyComment = assisted('replyComment', 'Static sites have no native comment system.');
+export const deleteComment = assisted('deleteComment', 'Static sites have no native comment system.');
+export const addMenuItem = assisted('addMenuItem', 'Edit navigation in the repository.');
+export const updateMenuItem = assisted('updateMenuItem', 'Edit navigation in the repository.');
+export const deleteMenuItem = assisted('deleteMenuItem', 'Edit navigation in the repository.');
+export const setSearchEngineVisibility = assisted('setSearchEngineVisibility', 'Set robots/indexing in your framework config.');
+export const setFavicon = assisted('setFavicon', 'Add the favicon to the repository.');
+export const enableSecurityHeaders = assisted('enableSecurityHeaders', 'Apply security headers in your host config.');
+export const searchReplaceLinks = assisted('searchReplaceLinks', 'Search-and-replace links in the repository.');
+export const updateOptions = assisted('updateOptions', 'Static sites have no WordPress options table.');
+export const clearCache = assisted('clearCache', 'Merging the branch triggers your host\'s rebuild.');
+export const manipulateElement = assisted('manipulateElement', 'Live visual editing needs the GhostSEO SDK or edge-proxy editor-bridge.');
+export const restoreElementSnapshot = assisted('restoreElementSnapshot', 'Live visual editing needs the GhostSEO SDK or edge-proxy editor-bridge.');
+export const selfUpdatePlugin = assisted('selfUpdatePlugin', 'Git-connected sites have no GhostSEO plugin to update.');
+export const wpRestPassthrough = assisted('wpRestPassthrough', 'Git-connected sites have no WordPress REST API.');
+export const pushWidgetData = assisted('pushWidgetData', 'Git-connected sites have no plugin dashboard widget.');
+
+/**
+ * Verify the remote is reachable with the saved credentials and the base
+ * branch exists. Used by the settings route before flipping the
+ * integration to CONNECTED.
+ * @returns {Promise<{ ok: boolean, error?: string, sample?: object|null }>}
+ */
+export async function testConnection(site) {
+  try {
+    const integration = await loadGitIntegration(site);
+    if (!integration) return { ok: false, error: 'No Git repository is configured for this site' };
+    const head = await remoteHead(integration);
+    if (!head) return { ok: false, error: `Branch ${integration.config.baseBranch} not found on the remote` };
+    return { ok: true, sample: { baseBranch: integration.config.baseBranch, head } };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
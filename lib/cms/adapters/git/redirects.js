@@ -0,0 +1,120 @@
+/**
+ * Redirect-file edits for the GIT_REPO transport, one per host format:
+ *
+ *   netlify - `_redirects` lines: `/from  /to  301` (Netlify, Cloudflare Pages)
+ *   vercel  - `redirects` array in vercel.json
+ *   nginx   - `rewrite ^/from$ /to permanent;` lines for an included conf
+ *   apache  - `Redirect 301 /from /to` lines for .htaccess
+ *
+ * A rule whose source already exists is replaced in place rather than
+ * appended, so re-applying a fix never stacks duplicate rules.
+ */
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function upsertLine(text, matches, line) {
+  const lines = text ? text.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+  const i = lines.findIndex(matches);
+  if (i === -1) lines.push(line);
+  else lines[i] = line;
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {string} text     current file contents ('' for a new file)
+ * @param {'netlify'|'vercel'|'nginx'|'apache'} format
+ * @param {{ from: string, to: string, status?: number }} rule  paths (or absolute `to`)
+ * @returns {string}
+ */
+export function upsertRedirect(text, format, { from, to, status = 301 }) {
+  const permanent = status === 301 || status === 308;
+
+  if (format === 'vercel') {
+    let json = {};
+    if (text.trim()) {
+      try {
+        json = JSON.parse(text);
+      } catch {
+        throw new Error('vercel.json is not valid JSON');
+      }
+    }
+    const redirects = Array.isArray(json.redirects) ? [...json.redirects] : [];
+    const rule = { source: from, destination: to, permanent };
+    const i = redirects.findIndex((r) => r?.source === from);
+    if (i === -1) redirects.push(rule);
+    else redirects[i] = rule;
+    const indent = text.match(/^\{\r?\n([ \t]+)"/)?.[1] || '  ';
+    return `${JSON.stringify({ ...json, redirects }, null, indent)}\n`;
+  }
+
+  if (format === 'nginx') {
+    const re = new RegExp(`^\\s*rewrite\\s+\\^${escapeRegex(escapeRegex(from))}\\$\\s`);
+    return upsertLine(text, (l) => re.test(l), `rewrite ^${escapeRegex(from)}$ ${to} ${permanent ? 'permanent' : 'redirect'};`);
+  }
+
+  if (format === 'apache') {
+    const re = new RegExp(`^\\s*Redirect\\s+\\S+\\s+${escapeRegex(from)}\\s`);
+    return upsertLine(text, (l) => re.test(l), `Redirect ${status} ${from} ${to}`);
+  }
+
+  const re = new RegExp(`^\\s*${escapeRegex(from)}\\s`);
+  return upsertLine(text, (l) => re.test(l), `${from}  ${to}  ${status}`);
+}
+
+/**
+ * Remove the rule for `from`, if present.
+ * @returns {string}
+ */
+export function removeRedirect(text, format, from) {
+  if (!text.trim()) return text;
+  if (format === 'vercel') {
+    const json = JSON.parse(text);
+    if (!Array.isArray(json.redirects)) return text;
+    const indent = text.match(/^\{\r?\n([ \t]+)"/)?.[1] || '  ';
+    return `${JSON.stringify({ ...json, redirects: json.redirects.filter((r) => r?.source !== from) }, null, indent)}\n`;
+  }
+  const re = format === 'nginx'
+    ? new RegExp(`^\\s*rewrite\\s+\\^${escapeRegex(escapeRegex(from))}\\$\\s`)
+    : format === 'apache'
+      ? new RegExp(`^\\s*Redirect\\s+\\S+\\s+${escapeRegex(from)}\\s`)
+      : new RegExp(`^\\s*${escapeRegex(from)}\\s`);
+  const lines = text.replace(/\r?\n$/, '').split(/\r?\n/).filter((l) => !re.test(l));
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Parse the rules back out (for getRedirects).
+ * @returns {{ from: string, to: string, status: number }[]}
+ */
+export function parseRedirects(text, format) {
+  if (!text.trim()) return [];
+  if (format === 'vercel') {
+    try {
+      return (JSON.parse(text).redirects || []).map((r) => ({
+        from: r.source,
+        to: r.destination,
+        status: r.statusCode || (r.permanent === false ? 307 : 308),
+      }));
+    } catch {
+      return [];
+    }
+  }
+  const rules = [];
+  for (const line of text.split(/\r?\n/)) {
+    const l = line.trim();
+    if (!l || l.startsWith('#')) continue;
+    if (format === 'nginx') {
+      const m = l.match(/^rewrite\s+\^(\S+?)\$\s+(\S+)\s+(permanent|redirect);/);
+      if (m) rules.push({ from: m[1].replace(/\\(.)/g, '$1'), to: m[2], status: m[3] === 'permanent' ? 301 : 302 });
+    } else if (format === 'apache') {
+      const m = l.match(/^Redirect\s+(\d{3}|permanent|temp)\s+(\S+)\s+(\S+)/i);
+      if (m) rules.push({ from: m[2], to: m[3], status: /^\d+$/.test(m[1]) ? Number(m[1]) : m[1] === 'temp' ? 302 : 301 });
+    } else {
+      const [from, to, status] = l.split(/\s+/);
+      if (from && to) rules.push({ from, to, status: parseInt(status, 10) || 301 });
+    }
+  }
+  return rules;
+}
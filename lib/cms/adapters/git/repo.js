@@ -0,0 +1,171 @@
+/**
+ * Git CLI plumbing for the GIT_REPO transport.
+ *
+ * Every operation works on a throwaway shallow clone of the base branch in
+ * the OS temp dir and shells out to the `git` binary with argument arrays
+ * (never a shell string). Credentials travel as an HTTP Authorization
+ * header through GIT_CONFIG_* env vars, so the token never lands in a
+ * remote URL, the clone's .git/config or the process list.
+ *
+ * Pushes are branch-only: `pushBranch` refuses anything that isn't under the
+ * configured branchPrefix, and the refspec always names the branch
+ * explicitly, so the base branch can't be written to.
+ *
+ * Files inside a checkout are only ever addressed through `checkoutPath`:
+ * the repo's contents are untrusted, and a committed symlink would
+ * otherwise let a read leak server files into the diff preview or a write
+ * land outside the clone.
+ */
+
+import { execFile } from 'node:child_process';
+import { lstat, mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { localRepoPath } from './config';
+
+const GIT_TIMEOUT_MS = 60_000;
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+function gitEnv(integration) {
+  const { config, token } = integration;
+  const local = !!localRepoPath(config.remoteUrl);
+  const env = {
+    PATH: process.env.PATH,
+    HOME: os.tmpdir(),
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_ALLOW_PROTOCOL: local ? 'file' : 'https',
+    GIT_AUTHOR_NAME: config.author?.name || 'GhostSEO',
+    GIT_AUTHOR_EMAIL: config.author?.email || 'bot@ghostseo.ai',
+    GIT_COMMITTER_NAME: config.author?.name || 'GhostSEO',
+    GIT_COMMITTER_EMAIL: config.author?.email || 'bot@ghostseo.ai',
+  };
+  const settings = [['core.hooksPath', '/dev/null'], ['advice.detachedHead', 'false']];
+  if (token && !local) {
+    const basic = Buffer.from(`${config.authUser || 'ghostseo'}:${token}`).toString('base64');
+    settings.push(['http.extraHeader', `Authorization: Basic ${basic}`]);
+  }
+  env.GIT_CONFIG_COUNT = String(settings.length);
+  settings.forEach(([key, value], i) => {
+    env[`GIT_CONFIG_KEY_${i}`] = key;
+    env[`GIT_CONFIG_VALUE_${i}`] = value;
+  });
+  return env;
+}
+
+/** Remote as git sees it: an https URL, or the allowed local path. */
+function remoteOf(config) {
+  return localRepoPath(config.remoteUrl) || config.remoteUrl;
+}
+
+/**
+ * Run one git command. Rejects with the (token-free) stderr on failure.
+ * @returns {Promise<string>} stdout
+ */
+export function runGit(integration, args, { cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      env: gitEnv(integration),
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: MAX_OUTPUT,
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = String(stderr || error.message).trim().split('\n').pop();
+        const err = new Error(`git ${args[0]} failed: ${detail}`);
+        err.code = error.killed ? 'GIT_TIMEOUT' : 'GIT_FAILED';
+        reject(err);
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+/**
+ * Head commit of the base branch on the remote - the cheapest "can we reach
+ * it and authenticate" check.
+ * @returns {Promise<string|null>} sha, or null when the branch doesn't exist
+ */
+export async function remoteHead(integration) {
+  const { config } = integration;
+  const out = await runGit(integration, ['ls-remote', '--heads', remoteOf(config), config.baseBranch]);
+  const line = out.split('\n').find((l) => l.endsWith(`refs/heads/${config.baseBranch}`));
+  return line ? line.split(/\s+/)[0] : null;
+}
+
+/**
+ * Shallow-clone the base branch into a temp dir, run `fn(workdir)`, and
+ * always clean up.
+ */
+export async function withCheckout(integration, fn) {
+  const { config } = integration;
+  const workdir = await mkdtemp(path.join(os.tmpdir(), 'ghostseo-git-'));
+  try {
+    await runGit(integration, [
+      'clone', '--quiet', '--depth', '1', '--single-branch',
+      '--branch', config.baseBranch, '--', remoteOf(config), workdir,
+    ]);
+    return await fn(workdir);
+  } finally {
+    await rm(workdir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Absolute path of repo-relative `rel` inside `workdir`. Throws when the path
+ * leaves the checkout, or when it or any existing parent directory is a
+ * symlink. Missing trailing segments are fine (new files and directories).
+ */
+export async function checkoutPath(workdir, rel) {
+  const abs = path.resolve(workdir, String(rel));
+  if (!abs.startsWith(workdir + path.sep)) throw new Error(`Path escapes the repository: ${rel}`);
+  let current = workdir;
+  for (const segment of path.relative(workdir, abs).split(path.sep)) {
+    current = path.join(current, segment);
+    let info;
+    try {
+      info = await lstat(current);
+    } catch (err) {
+      if (err.code === 'ENOENT') break;
+      throw err;
+    }
+    if (info.isSymbolicLink()) {
+      throw new Error(`Refusing to follow a symlink in the repository: ${path.relative(workdir, current)}`);
+    }
+  }
+  return abs;
+}
+
+/**
+ * Commit everything staged in `workdir` onto a new branch and push that
+ * branch (and only that branch) to the remote.
+ *
+ * @returns {Promise<{ branch: string, commit: string }>}
+ */
+export async function pushBranch(integration, workdir, { branch, message }) {
+  const { config } = integration;
+  if (!branch.startsWith(config.branchPrefix) || branch === config.baseBranch) {
+    throw new Error(`Refusing to push ${branch}: GhostSEO only pushes ${config.branchPrefix}* branches`);
+  }
+  await runGit(integration, ['checkout', '--quiet', '-b', branch], { cwd: workdir });
+  await runGit(integration, ['add', '--all'], { cwd: workdir });
+  await runGit(integration, ['commit', '--quiet', '--no-verify', '-m', message], { cwd: workdir });
+  const commit = (await runGit(integration, ['rev-parse', 'HEAD'], { cwd: workdir })).trim();
+  await runGit(integration, ['push', '--quiet', 'origin', `HEAD:refs/heads/${branch}`], { cwd: workdir });
+  return { branch, commit };
+}
+
+/**
+ * Files in the checkout whose contents mention `needle` (fixed string).
+ * @returns {Promise<string[]>} repo-relative paths
+ */
+export async function grepFiles(integration, workdir, needle) {
+  try {
+    const out = await runGit(integration, ['grep', '-l', '-F', '-I', '-e', needle], { cwd: workdir });
+    return out.split('\n').filter(Boolean);
+  } catch {
+    // git grep exits 1 when nothing matches.
+    return [];
+  }
+}
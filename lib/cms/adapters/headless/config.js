@@ -0,0 +1,254 @@
+/**
+ * Headless CMS connection config
+ *
+ * A headless site's connection lives on its SiteIntegration row
+ * (type HEADLESS_CMS): the management-API token in `encryptedToken`
+ * (AES-256-GCM, lib/site-keys.js) and everything else in `config`:
+ *
+ *   {
+ *     provider:     'contentful' | 'sanity' | 'strapi' | 'rest',
+ *     baseUrl:      API origin (preset per provider; required for strapi/rest)
+ *     spaceId, environment, locale          - contentful
+ *     projectId, dataset, apiVersion        - sanity
+ *     contentTypes: { post: 'blogPost', page: 'landingPage' }  our type → CMS type
+ *     fields:       { title, slug, body, excerpt, featuredImage,
+ *                     seoTitle, seoDescription, canonical, noindex,
+ *                     ogTitle, ogDescription, ogImage, focusKeyword }
+ *     urlPattern:   '/blog/{slug}'  how a live URL maps back to an entry slug
+ *     redirects:    { contentType, fields: { source, target, type } } | null
+ *     rest:         { listPath, itemPath, updateMethod, itemsKey, totalKey,
+ *                     idField, slugParam, pageParam, perPageParam,
+ *                     authHeader, authScheme }       - generic REST only
+ *   }
+ *
+ * Field values are dot paths into the entry's fields (`seo.metaTitle`,
+ * `slug.current`), so nested SEO components/objects map without code.
+ * Only mapped fields are ever written; an unmapped field is the adapter's
+ * signal to degrade that write to the assisted path.
+ */
+
+import prisma from '@/lib/prisma';
+import { decryptCredential } from '@/lib/site-keys';
+import { validateWebhookUrl } from '@/lib/webhooks/endpoints';
+
+export const HEADLESS_PROVIDERS = Object.freeze(['contentful', 'sanity', 'strapi', 'rest']);
+
+export const MAPPABLE_FIELDS = Object.freeze([
+  'title',
+  'slug',
+  'body',
+  'excerpt',
+  'featuredImage',
+  'seoTitle',
+  'seoDescription',
+  'canonical',
+  'noindex',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+  'focusKeyword',
+]);
+
+const FIELD_PATH_RE = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*$/;
+
+// Per-provider defaults, merged under whatever the site saved.
+const PRESETS = {
+  contentful: {
+    baseUrl: 'https://api.contentful.com',
+    environment: 'master',
+    locale: 'en-US',
+    fields: { title: 'title', slug: 'slug', body: 'body' },
+  },
+  sanity: {
+    apiVersion: '2023-10-01',
+    dataset: 'production',
+    fields: { title: 'title', slug: 'slug.current', body: 'body' },
+  },
+  strapi: {
+    fields: { title: 'title', slug: 'slug', body: 'content', seoTitle: 'seo.metaTitle', seoDescription: 'seo.metaDescription' },
+  },
+  rest: {
+    fields: { title: 'title', slug: 'slug', body: 'body' },
+    rest: {
+      listPath: '/{type}',
+      itemPath: '/{type}/{id}',
+      updateMethod: 'PATCH',
+      itemsKey: 'items',
+      totalKey: 'total',
+      idField: 'id',
+      slugParam: 'slug',
+      pageParam: 'page',
+      perPageParam: 'per_page',
+      authHeader: 'Authorization',
+      authScheme: 'Bearer',
+    },
+  },
+};
+
+export function presetFor(provider) {
+  return PRESETS[provider] || null;
+}
+
+/**
+ * Validate + normalize a config submitted from settings. Unknown keys are
+ * dropped, field paths are checked, provider presets fill the gaps.
+ *
+ * @param {object} input
+ * @returns {{ ok: true, config: object } | { ok: false, error: string }}
+ */
+export function normalizeHeadlessConfig(input = {}) {
+  const provider = String(input.provider || '').toLowerCase();
+  if (!HEADLESS_PROVIDERS.includes(provider)) {
+    return { ok: false, error: `provider must be one of ${HEADLESS_PROVIDERS.join(', ')}` };
+  }
+  const preset = PRESETS[provider];
+
+  const baseUrl = String(input.baseUrl || preset.baseUrl || '').trim().replace(/\/+$/, '');
+  if (provider !== 'sanity' || baseUrl) {
+    // Same host rules as webhook endpoints: no localhost or private addresses
+    // in production. Outside it, a local Strapi on http://localhost is fine.
+    const checked = validateWebhookUrl(baseUrl);
+    if (checked.error === 'privateHost') return { ok: false, error: 'baseUrl must be a public host' };
+    if (checked.error || (!/^https:\/\//i.test(baseUrl) && !/^http:\/\/localhost(:\d+)?$/i.test(baseUrl))) {
+      return { ok: false, error: 'baseUrl must be an https:// URL' };
+    }
+  }
+  if (provider === 'contentful' && !input.spaceId) return { ok: false, error: 'spaceId is required for Contentful' };
+  if (provider === 'sanity' && !/^[a-z0-9-]+$/i.test(input.projectId || '')) {
+    return { ok: false, error: 'projectId is required for Sanity' };
+  }
+
+  const contentTypes = {};
+  for (const [ours, theirs] of Object.entries(input.contentTypes || {})) {
+    if (/^[\w-]+$/.test(ours) && typeof theirs === 'string' && /^[\w.-]+$/.test(theirs)) {
+      contentTypes[ours.toLowerCase()] = theirs;
+    }
+  }
+  if (!Object.keys(contentTypes).length) {
+    return { ok: false, error: 'Map at least one content type (e.g. { "post": "blogPost" })' };
+  }
+
+  const fields = {};
+  const rawFields = { ...preset.fields, ...(input.fields || {}) };
+  for (const key of MAPPABLE_FIELDS) {
+    const path = rawFields[key];
+    if (path == null || path === '') continue;
+    if (typeof path !== 'string' || !FIELD_PATH_RE.test(path)) {
+      return { ok: false, error: `Invalid field path for ${key}: ${path}` };
+    }
+    fields[key] = path;
+  }
+  if (!fields.slug) return { ok: false, error: 'A slug field mapping is required' };
+
+  let redirects = null;
+  const r = input.redirects;
+  if (r?.contentType) {
+    const rf = r.fields || {};
+    if (!rf.source || !rf.target || ![rf.source, rf.target, rf.type].filter(Boolean).every((p) => FIELD_PATH_RE.test(p))) {
+      return { ok: false, error: 'redirects needs contentType plus source and target field paths' };
+    }
+    redirects = { contentType: String(r.contentType), fields: { source: rf.source, target: rf.target, ...(rf.type ? { type: rf.type } : {}) } };
+  }
+
+  const urlPattern = String(input.urlPattern || '/{slug}');
+  if (!urlPattern.startsWith('/') || !urlPattern.includes('{slug}')) {
+    return { ok: false, error: 'urlPattern must start with / and contain {slug}' };
+  }
+
+  const config = { provider, baseUrl, contentTypes, fields, urlPattern, redirects };
+  if (provider === 'contentful') {
+    Object.assign(config, {
+      spaceId: String(input.spaceId),
+      environment: String(input.environment || preset.environment),
+      locale: String(input.locale || preset.locale),
+    });
+  }
+  if (provider === 'sanity') {
+    Object.assign(config, {
+      projectId: String(input.projectId).toLowerCase(),
+      dataset: String(input.dataset || preset.dataset),
+      apiVersion: String(input.apiVersion || preset.apiVersion),
+    });
+  }
+  if (provider === 'rest') {
+    config.rest = { ...preset.rest };
+    for (const key of Object.keys(preset.rest)) {
+      if (typeof input.rest?.[key] === 'string' && input.rest[key]) config.rest[key] = input.rest[key];
+    }
+    if (!['PATCH', 'PUT', 'POST'].includes(config.rest.updateMethod.toUpperCase())) {
+      return { ok: false, error: 'rest.updateMethod must be PATCH, PUT or POST' };
+    }
+  }
+  return { ok: true, config };
+}
+
+/** Read a dot path out of a plain object. */
+export function getPath(obj, path) {
+  if (!obj || !path) return undefined;
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/** Immutable dot-path set: clones each object on the way down. */
+export function setPath(obj, path, value) {
+  const [head, ...rest] = path.split('.');
+  const base = obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+  return { ...base, [head]: rest.length ? setPath(base[head], rest.join('.'), value) : value };
+}
+
+/**
+ * Extract the slug an URL maps to under the site's urlPattern.
+ * '/blog/{slug}' + 'https://x.com/blog/hello/' → 'hello'. Falls back to the
+ * last path segment when the pattern doesn't match.
+ */
+export function slugFromUrl(config, url) {
+  let path = String(url || '');
+  try {
+    path = new URL(path, 'https://placeholder.invalid').pathname;
+  } catch {
+    // keep raw
+  }
+  path = decodeURIComponent(path).replace(/\/+$/, '') || '/';
+  const escaped = (config?.urlPattern || '/{slug}')
+    .replace(/\/+$/, '')
+    .split('{slug}')
+    .map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const m = path.match(new RegExp(`^${escaped.join('([^/]+)')}$`));
+  if (m) return m[1];
+  return path.split('/').filter(Boolean).pop() || '';
+}
+
+/** Public URL for an entry slug under the site's urlPattern. */
+export function urlForSlug(site, config, slug) {
+  if (!slug) return null;
+  const base = String(site?.url || '').replace(/\/+$/, '');
+  return `${base}${(config?.urlPattern || '/{slug}').replace('{slug}', slug)}`;
+}
+
+/**
+ * Load the site's HEADLESS_CMS integration. Returns null when the site has
+ * none, or it has been revoked.
+ *
+ * @param {{ id: string }} site
+ * @returns {Promise<{ id: string, status: string, killSwitch: boolean, config: object, token: string|null }|null>}
+ */
+export async function loadHeadlessIntegration(site) {
+  if (!site?.id) return null;
+  const row = await prisma.siteIntegration.findUnique({
+    where: { siteId_type: { siteId: site.id, type: 'HEADLESS_CMS' } },
+    select: { id: true, status: true, killSwitch: true, config: true, encryptedToken: true },
+  });
+  if (!row || row.status === 'REVOKED' || !row.config?.provider) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    killSwitch: row.killSwitch,
+    config: row.config,
+    token: row.encryptedToken ? decryptCredential(row.encryptedToken) : null,
+  };
+}
+
+/** Config as shown in settings: never includes the token. */
+export function publicHeadlessConfig(row) {
+  if (!row) return null;
+  return { ...row.config, hasToken: !!(row.encryptedToken || row.token) };
+}
@@ -0,0 +1,543 @@
+/**
+ * Headless CMS Adapter (Contentful / Sanity / Strapi / generic REST)
+ *
+ * Writes straight into the site's content-management API, through the
+ * per-site connection + field mapping saved on its SiteIntegration row
+ * (type HEADLESS_CMS, see ./config.js). The provider differences live in
+ * ./providers.js; this module only speaks our WordPress-shaped surface.
+ *
+ *   - Entries are addressed by id, or by URL/path (resolved to a slug via the
+ *     mapping's urlPattern, then looked up in each mapped content type).
+ *   - A write only touches mapped fields. When none of the requested fields
+ *     are mapped (or the site isn't connected / is paused), the method throws
+ *     the tagged assisted error, so `applyChange` degrades to the manual path
+ *     exactly like the custom adapter does.
+ *   - Capability flags come from the mapping (headlessCapabilitiesFor), so
+ *     the dashboard and fixers know up front what will land natively.
+ *
+ * Invoked via the cms dispatcher (see lib/cms/index.js).
+ */
+
+import prisma from '@/lib/prisma';
+import { HEADLESS_CAPABILITIES, headlessCapabilitiesFor } from '../../capabilities';
+import { loadHeadlessIntegration, slugFromUrl, urlForSlug, getPath } from './config';
+import { createProviderClient } from './providers';
+
+export const capabilities = HEADLESS_CAPABILITIES;
+
+/** Writes land in the CMS immediately (publish rules permitting). */
+export const writeMode = 'native';
+
+function unavailable(message) {
+  return Object.assign(new Error(`[cms/headless] ${message}`), { code: 'NATIVE_WRITE_UNAVAILABLE', assisted: true });
+}
+
+function assisted(method, reason) {
+  const fn = () => {
+    throw unavailable(`${method}() has no native write path on headless sites. ${reason}`);
+  };
+  fn.__notSupported = true;
+  return fn;
+}
+
+/**
+ * Sync capability resolution for callers that loaded the site WITH its
+ * integrations (`include: { integrations: true }`); otherwise the
+ * conservative base flags. Prefer `loadCapabilities` when you can await.
+ */
+export function capabilitiesFor(site) {
+  const row = Array.isArray(site?.integrations)
+    ? site.integrations.find((i) => i.type === 'HEADLESS_CMS' && i.status !== 'REVOKED')
+    : null;
+  return headlessCapabilitiesFor(row?.config || null);
+}
+
+export async function loadCapabilities(site) {
+  const integration = await loadHeadlessIntegration(site).catch(() => null);
+  return headlessCapabilitiesFor(integration?.config || null);
+}
+
+async function connect(site, { write = false } = {}) {
+  const integration = await loadHeadlessIntegration(site);
+  if (!integration) throw unavailable('no headless CMS connection is configured for this site.');
+  if (write) {
+    if (integration.status !== 'CONNECTED') throw unavailable('the headless CMS connection has not been verified.');
+    if (integration.killSwitch) throw unavailable('GhostSEO writes are paused for this site (kill switch).');
+  }
+  return { config: integration.config, client: createProviderClient(integration) };
+}
+
+// Our post type → the CMS content type. Unknown/absent types fall back to
+// `post`, then to the first mapped type.
+function cmsTypeFor(config, postType) {
+  const types = config.contentTypes || {};
+  const key = String(postType || '').toLowerCase().replace(/s$/, '');
+  return types[key] || types[String(postType || '').toLowerCase()] || types.post || Object.values(types)[0];
+}
+
+function candidateTypes(config, postType) {
+  const first = postType ? cmsTypeFor(config, postType) : null;
+  return [...new Set([first, ...Object.values(config.contentTypes || {})].filter(Boolean))];
+}
+
+function typeKeyFor(config, cmsType) {
+  return Object.entries(config.contentTypes || {}).find(([, t]) => t === cmsType)?.[0] || cmsType;
+}
+
+function readField(client, config, raw, key) {
+  const path = config.fields?.[key];
+  return path ? getPath(client.fieldsOf(raw), path) : undefined;
+}
+
+// Image fields come back as URLs, asset objects or references; surface a URL
+// when there is one.
+function imageUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return value.url || value.asset?.url || value.data?.attributes?.url || value.fields?.file?.url || null;
+}
+
+function toPost(site, client, config, raw, cmsType) {
+  if (!raw) return null;
+  const read = (key) => readField(client, config, raw, key);
+  const slug = read('slug') || '';
+  const url = urlForSlug(site, config, slug);
+  const noindex = read('noindex');
+  const { date, modified } = client.datesOf(raw);
+  return {
+    id: client.idOf(raw),
+    type: typeKeyFor(config, cmsType),
+    title: read('title') || '',
+    slug,
+    url,
+    link: url,
+    permalink: url,
+    status: client.statusOf(raw),
+    excerpt: read('excerpt') || '',
+    content: typeof read('body') === 'string' ? read('body') : '',
+    featured_image: imageUrl(read('featuredImage')),
+    date,
+    modified,
+    seo: {
+      title: read('seoTitle') || '',
+      description: read('seoDescription') || '',
+      canonical: read('canonical') || '',
+      noIndex: noindex == null ? undefined : !!noindex,
+      og_title: read('ogTitle') || '',
+      og_description: read('ogDescription') || '',
+      og_image: imageUrl(read('ogImage')),
+      focusKeyword: read('focusKeyword') || '',
+    },
+    meta: {},
+    acf: null,
+  };
+}
+
+function looksLikePath(target) {
+  return typeof target === 'string' && (target.startsWith('/') || /^https?:\/\//i.test(target));
+}
+
+/**
+ * Find the raw entry behind an id, URL, path, or SiteEntity id.
+ * @returns {Promise<{ raw: object, cmsType: string }|null>}
+ */
+async function findEntry(site, client, config, target, postType = null) {
+  if (target == null || target === '') return null;
+  let ref = String(target);
+
+  if (!looksLikePath(ref)) {
+    // A SiteEntity id from the dashboard: prefer its CMS id, then its URL.
+    const or = [{ externalId: ref }];
+    if (/^[a-f0-9]{24}$/i.test(ref)) or.push({ id: ref });
+    const entity = await prisma.siteEntity.findFirst({
+      where: { siteId: site.id, OR: or },
+      select: { externalId: true, url: true },
+    });
+    if (entity?.externalId) ref = entity.externalId;
+    else if (entity?.url) ref = entity.url;
+  }
+
+  const types = candidateTypes(config, postType);
+  if (looksLikePath(ref)) {
+    const slug = slugFromUrl(config, ref);
+    if (!slug) return null;
+    for (const cmsType of types) {
+      const raw = await client.findBySlug(cmsType, config.fields.slug, slug);
+      if (raw) return { raw, cmsType };
+    }
+    return null;
+  }
+  for (const cmsType of types) {
+    const raw = await client.get(cmsType, ref);
+    if (raw) return { raw, cmsType };
+  }
+  return null;
+}
+
+/**
+ * Build a dot-path patch from our logical keys, keeping only mapped ones.
+ * @returns {{ patch: object, written: string[], unmapped: string[] }}
+ */
+function buildPatch(config, values) {
+  const patch = {};
+  const written = [];
+  const unmapped = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    const path = config.fields?.[key];
+    if (path) {
+      patch[path] = value;
+      written.push(key);
+    } else {
+      unmapped.push(key);
+    }
+  }
+  return { patch, written, unmapped };
+}
+
+// ─── Site info ─────────────────────────────────────────────────────────
+export async function getSiteInfo(site) {
+  const integration = await loadHeadlessIntegration(site).catch(() => null);
+  const url = site?.url || '';
+  return {
+    siteUrl: url,
+    homeUrl: url,
+    siteName: site?.name || '',
+    platform: 'headless',
+    provider: integration?.config?.provider || null,
+    activePlugins: [],
+    postTypes: Object.keys(integration?.config?.contentTypes || {}),
+    taxonomies: [],
+    hasYoast: false,
+    hasRankMath: false,
+    hasACF: false,
+  };
+}
+
+export async function getPostTypes(site) {
+  const integration = await loadHeadlessIntegration(site).catch(() => null);
+  return Object.entries(integration?.config?.contentTypes || {}).map(([slug, cmsType]) => ({
+    slug,
+    name: cmsType,
+    restBase: cmsType,
+    isPublic: true,
+  }));
+}
+
+// ─── Content ───────────────────────────────────────────────────────────
+export async function getPosts(site, postType = 'post', page = 1, perPage = 100) {
+  const { config, client } = await connect(site);
+  const cmsType = cmsTypeFor(config, postType);
+  if (!cmsType) return { items: [], total: 0, pages: 0 };
+  const { items, total } = await client.list(cmsType, { page, perPage });
+  return {
+    items: items.map((raw) => toPost(site, client, config, raw, cmsType)),
+    total,
+    pages: Math.ceil(total / perPage),
+  };
+}
+
+export async function getPost(site, postType, postId) {
+  const { config, client } = await connect(site);
+  const found = await findEntry(site, client, config, postId, postType);
+  return found ? toPost(site, client, config, found.raw, found.cmsType) : null;
+}
+
+export async function getPostBySlug(site, postType, slug) {
+  try {
+    const { config, client } = await connect(site);
+    for (const cmsType of candidateTypes(config, postType)) {
+      const raw = await client.findBySlug(cmsType, config.fields.slug, slug);
+      if (raw) return toPost(site, client, config, raw, cmsType);
+    }
+    return null;
+  } catch (error) {
+    console.error(`[cms/headless] getPostBySlug "${slug}" failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Create an entry. `data` is the WordPress-style payload
+ * ({ title, content, excerpt, slug, status }); unmapped keys are dropped.
+ */
+export async function createPost(site, postType, data = {}) {
+  const { config, client } = await connect(site, { write: true });
+  const cmsType = cmsTypeFor(config, postType);
+  if (!cmsType || !config.fields.title || !config.fields.body) {
+    throw unavailable('createPost needs a mapped content type plus title and body fields.');
+  }
+  const { patch, unmapped } = buildPatch(config, {
+    title: data.title,
+    slug: data.slug,
+    body: data.content,
+    excerpt: data.excerpt,
+  });
+  const raw = await client.create(cmsType, patch, { publish: data.status === 'publish' });
+  const post = toPost(site, client, config, raw, cmsType);
+  return { ...post, id: client.idOf(raw), unmapped };
+}
+
+/**
+ * Update an entry's content fields. Status changes (publish/trash) are not
+ * mapped - deleting content on a client's CMS stays a deliberate deletePost.
+ */
+export async function updatePost(site, postType, postId, data = {}) {
+  const { config, client } = await connect(site, { write: true });
+  const found = await findEntry(site, client, config, postId, postType);
+  if (!found) throw new Error(`[cms/headless] updatePost: entry not found for ${postId}`);
+
+  const { patch, written, unmapped } = buildPatch(config, {
+    title: data.title,
+    slug: data.slug,
+    body: data.content,
+    excerpt: data.excerpt,
+  });
+  if (data.status) unmapped.push('status');
+  if (!written.length) {
+    throw unavailable(`updatePost: none of [${unmapped.join(', ')}] are mapped for this site.`);
+  }
+  if (patch[config.fields.body] !== undefined) {
+    const current = readField(client, config, found.raw, 'body');
+    if (current != null && typeof current !== 'string') {
+      // Rich-text / portable-text bodies are structured documents; writing
+      // HTML into them would corrupt the entry.
+      throw unavailable('updatePost: the mapped body field is structured rich text, not HTML/Markdown.');
+    }
+  }
+
+  const raw = await client.update(found.cmsType, found.raw, patch);
+  return { ...toPost(site, client, config, raw || found.raw, found.cmsType), updated: written, unmapped };
+}
+
+export async function deletePost(site, postType, postId) {
+  const { config, client } = await connect(site, { write: true });
+  const found = await findEntry(site, client, config, postId, postType);
+  if (!found) throw new Error(`[cms/headless] deletePost: entry not found for ${postId}`);
+  await client.remove(found.cmsType, found.raw);
+  return { deleted: true, id: client.idOf(found.raw) };
+}
+
+// ─── SEO ───────────────────────────────────────────────────────────────
+export async function getSeoData(site, postId) {
+  const post = await getPost(site, null, postId);
+  return post?.seo || null;
+}
+
+// Accept every SEO payload shape callers send (fixers, agent, publish worker).
+function normalizeSeoInput(seoData = {}) {
+  const robots = typeof seoData.robots === 'string' ? seoData.robots.toLowerCase() : null;
+  let noindex;
+  if (typeof seoData.noIndex === 'boolean') noindex = seoData.noIndex;
+  else if (robots) noindex = robots.includes('noindex');
+  return {
+    seoTitle: seoData.title || undefined,
+    seoDescription: seoData.description || undefined,
+    canonical: seoData.canonical || undefined,
+    noindex,
+    ogTitle: seoData.og_title || seoData.ogTitle || seoData.og?.title || undefined,
+    ogDescription: seoData.og_description || seoData.ogDescription || seoData.og?.description || undefined,
+    ogImage: seoData.og_image || seoData.ogImage || seoData.og?.image || undefined,
+    focusKeyword: seoData.focusKeyword || undefined,
+  };
+}
+
+/**
+ * Write SEO fields into the entry behind `target` (id, URL or path).
+ * Throws the assisted error when none of the requested fields are mapped.
+ *
+ * @param {object} site
+ * @param {string} target
+ * @param {object} seoData - { title, description, canonical, noIndex|robots, og_title, og_description, og_image, focusKeyword, og: {...} }
+ */
+export async function updateSeoData(site, target, seoData = {}) {
+  const { config, client } = await connect(site, { write: true });
+  const { patch, written, unmapped } = buildPatch(config, normalizeSeoInput(seoData));
+  if (!written.length) {
+    throw unavailable(`updateSeoData: none of [${unmapped.join(', ')}] are mapped for this site - apply the generated meta tags manually.`);
+  }
+  const found = await findEntry(site, client, config, target);
+  if (!found) throw new Error(`[cms/headless] updateSeoData: entry not found for ${target}`);
+  const raw = await client.update(found.cmsType, found.raw, patch);
+  return {
+    id: client.idOf(raw || found.raw),
+    status: client.statusOf(raw || found.raw),
+    updated: written,
+    unmapped,
+    mode: 'native',
+  };
+}
+
+// ─── Custom fields ─────────────────────────────────────────────────────
+export async function getAcfFields(site, postId) {
+  const { config, client } = await connect(site);
+  const found = await findEntry(site, client, config, postId);
+  return { fields: found ? client.fieldsOf(found.raw) : {}, groups: {} };
+}
+export const updateAcfFields = assisted('updateAcfFields', 'Map the field in the headless connection settings instead.');
+
+// ─── Media (read; uploads stay in the CMS media library) ───────────────
+function toWpMedia(item) {
+  return {
+    id: item.id,
+    source_url: item.url,
+    alt_text: item.alt,
+    title: { rendered: item.title },
+    mime_type: item.mimeType,
+    media_details: {},
+  };
+}
+
+export async function getMedia(site, options = {}) {
+  const { page = 1, perPage = 20 } = options;
+  const { client } = await connect(site);
+  const { items, total } = await client.listMedia({ page, perPage });
+  return { items: items.map(toWpMedia), total, pages: Math.ceil(total / perPage) };
+}
+export async function getMediaItem() {
+  return null;
+}
+export async function resolveMediaUrls() {
+  return { results: {} };
+}
+export const uploadMediaFromUrl = assisted('uploadMediaFromUrl', 'Upload the image to your CMS media library.');
+export const uploadMediaFromBase64 = assisted('uploadMediaFromBase64', 'Upload the image to your CMS media library.');
+export const uploadMediaFromBuffer = assisted('uploadMediaFromBuffer', 'Upload the image to your CMS media library.');
+export const updateMedia = assisted('updateMedia', 'Edit the asset in your CMS media library.');
+export const deleteMedia = assisted('deleteMedia', 'Delete the asset in your CMS media library.');
+
+// ─── Redirects (when a redirect content type is mapped) ────────────────
+async function connectRedirects(site, opts) {
+  const conn = await connect(site, opts);
+  if (!conn.config.redirects?.contentType) {
+    throw unavailable('no redirect content type is mapped for this site - add the redirect via your host config.');
+  }
+  return conn;
+}
+
+function toRedirect(client, redirects, raw) {
+  const fields = client.fieldsOf(raw);
+  return {
+    id: client.idOf(raw),
+    source: getPath(fields, redirects.fields.source),
+    target: getPath(fields, redirects.fields.target),
+    type: redirects.fields.type ? Number(getPath(fields, redirects.fields.type)) || 301 : 301,
+  };
+}
+
+function redirectPatch(redirects, data) {
+  const patch = {};
+  if (data.source) patch[redirects.fields.source] = data.source;
+  if (data.target) patch[redirects.fields.target] = data.target;
+  if (data.type && redirects.fields.type) {
+    const code = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 }[data.type] || Number(data.type) || 301;
+    patch[redirects.fields.type] = code;
+  }
+  return patch;
+}
+
+export async function getRedirects(site) {
+  const { config, client } = await connectRedirects(site);
+  const { items } = await client.list(config.redirects.contentType, { page: 1, perPage: 500 });
+  return { redirects: items.map((raw) => toRedirect(client, config.redirects, raw)) };
+}
+
+export async function getDetectedRedirectPlugins() {
+  return { plugins: [] };
+}
+
+/** @param {{ source: string, target: string, type?: string|number }} data */
+export async function createRedirect(site, data = {}) {
+  const { config, client } = await connectRedirects(site, { write: true });
+  const { contentType } = config.redirects;
+  const existing = await client.findBySlug(contentType, config.redirects.fields.source, data.source);
+  const raw = existing
+    ? await client.update(contentType, existing, redirectPatch(config.redirects, data))
+    : await client.create(contentType, redirectPatch(config.redirects, data), { publish: true });
+  return { ...toRedirect(client, config.redirects, raw), persisted: true, mode: 'native' };
+}
+
+export async function updateRedirect(site, id, data = {}) {
+  const { config, client } = await connectRedirects(site, { write: true });
+  const raw = await client.get(config.redirects.contentType, id);
+  if (!raw) throw new Error('[cms/headless] updateRedirect: redirect not found');
+  const updated = await client.update(config.redirects.contentType, raw, redirectPatch(config.redirects, data));
+  return { ...toRedirect(client, config.redirects, updated || raw), persisted: true, mode: 'native' };
+}
+
+export async function deleteRedirect(site, id) {
+  const { config, client } = await connectRedirects(site, { write: true });
+  const raw = await client.get(config.redirects.contentType, id);
+  if (!raw) throw new Error('[cms/headless] deleteRedirect: redirect not found');
+  await client.remove(config.redirects.contentType, raw);
+  return { persisted: true, mode: 'native' };
+}
+export const bulkSyncRedirects = assisted('bulkSyncRedirects', 'Create the redirects one by one, or import them in your CMS.');
+export const importRedirects = assisted('importRedirects', 'Headless sites have no redirect plugin to import from.');
+
+// ─── URL resolution ────────────────────────────────────────────────────
+export async function resolveUrl(site, url) {
+  if (!url) return { found: false, postId: null };
+  const { config, client } = await connect(site);
+  const found = await findEntry(site, client, config, looksLikePath(url) ? url : `/${url}`);
+  if (!found) return { found: false, postId: null };
+  return {
+    found: true,
+    postId: client.idOf(found.raw),
+    postType: typeKeyFor(config, found.cmsType),
+    slug: readField(client, config, found.raw, 'slug') || null,
+  };
+}
+
+// ─── Everything with no headless-CMS equivalent ────────────────────────
+// Reads reuse the custom adapter's safe empty shapes.
+export {
+  getTaxonomies,
+  getTaxonomyTerms,
+  listTerms,
+  listComments,
+  getMenus,
+  getSearchEngineVisibility,
+  getOptions,
+  getElementStructure,
+  syncAllEntities,
+} from '../custom';
+
+export const createTerm = assisted('createTerm', 'Manage taxonomies in your CMS.');
+export const updateTerm = assisted('updateTerm', 'Manage taxonomies in your CMS.');
+export const deleteTerm = assisted('deleteTerm', 'Manage taxonomies in your CMS.');
+export const updateComment = assisted('updateComment', 'Headless sites have no native comment system.');
+export const replyComment = assisted('replyComment', 'Headless sites have no native comment system.');
+export const deleteComment = assisted('deleteComment', 'Headless sites have no native comment system.');
+export const addMenuItem = assisted('addMenuItem', 'Edit navigation in your CMS or codebase.');
+export const updateMenuItem = assisted('updateMenuItem', 'Edit navigation in your CMS or codebase.');
+export const deleteMenuItem = assisted('deleteMenuItem', 'Edit navigation in your CMS or codebase.');
+export const setSearchEngineVisibility = assisted('setSearchEngineVisibility', 'Set robots/indexing in your frontend framework.');
+export const setFavicon = assisted('setFavicon', 'Set the favicon in your frontend codebase.');
+export const enableSecurityHeaders = assisted('enableSecurityHeaders', 'Apply security headers at your host/CDN.');
+export const searchReplaceLinks = assisted('searchReplaceLinks', 'Search-and-replace links in your CMS.');
+export const updateOptions = assisted('updateOptions', 'Headless sites have no WordPress options table.');
+export const clearCache = assisted('clearCache', 'Trigger a rebuild / purge cache at your host.');
+export const manipulateElement = assisted('manipulateElement', 'Live visual editing needs the GhostSEO SDK or edge-proxy editor-bridge.');
+export const restoreElementSnapshot = assisted('restoreElementSnapshot', 'Live visual editing needs the GhostSEO SDK or edge-proxy editor-bridge.');
+export const selfUpdatePlugin = assisted('selfUpdatePlugin', 'Headless sites have no GhostSEO plugin to update.');
+export const wpRestPassthrough = assisted('wpRestPassthrough', 'Headless sites have no WordPress REST API.');
+export const pushWidgetData = assisted('pushWidgetData', 'Headless sites have no plugin dashboard widget.');
+
+/**
+ * Verify the saved credentials + mapping against the live API. Used by the
+ * settings route before flipping the integration to CONNECTED.
+ * @returns {Promise<{ ok: boolean, error?: string, sample?: object|null }>}
+ */
+export async function testConnection(site) {
+  try {
+    const { config, client } = await connect(site);
+    await client.ping();
+    const cmsType = cmsTypeFor(config, 'post');
+    const { items } = await client.list(cmsType, { page: 1, perPage: 1 });
+    const sample = items[0] ? toPost(site, client, config, items[0], cmsType) : null;
+    return { ok: true, sample };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * Headless CMS provider clients
+ *
+ * One small client per management API, all with the same surface so the
+ * adapter (./index.js) never branches on provider:
+ *
+ *   list(type, { page, perPage })        → { items: raw[], total }
+ *   findBySlug(type, slugPath, slug)     → raw | null
+ *   get(type, id)                        → raw | null
+ *   update(type, raw, patch)             → raw      patch = { 'seo.title': 'x' }
+ *   create(type, patch, { publish })     → raw
+ *   remove(type, raw)
+ *   listMedia({ page, perPage })         → { items: [{ id, url, title, alt, mimeType }], total }
+ *   fieldsOf(raw) / idOf(raw) / statusOf(raw) / datesOf(raw)
+ *   ping()                               → throws when the credentials are wrong
+ *
+ * `raw` is the provider's own entry object; the adapter only reads it through
+ * fieldsOf(), where dot paths from the field mapping are resolved.
+ *
+ * Every update touches ONLY the patched top-level fields, merging nested
+ * paths into the current value (Strapi components, Contentful JSON/object
+ * fields) so a title fix never clobbers the rest of an SEO component.
+ */
+
+import { assertPublicWebhookHost } from '@/lib/webhooks/endpoints';
+import { getPath, setPath } from './config';
+
+const TIMEOUT_MS = 30_000;
+
+// baseUrl is member-supplied, so every request re-checks where the host
+// resolves to and never follows a redirect. Errors carry the status only -
+// the body of whatever answered is not ours to echo back.
+async function request(url, { method = 'GET', headers = {}, body, allow404 = false } = {}) {
+  try {
+    await assertPublicWebhookHost(url);
+  } catch (err) {
+    if (err.code) throw err; // DNS failure
+    throw new Error(`[cms/headless] ${new URL(url).hostname} resolves to a private address`);
+  }
+  const res = await fetch(url, {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+    ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body) } : {}),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (allow404 && res.status === 404) return null;
+  if (!res.ok) {
+    throw new Error(`[cms/headless] ${method} ${new URL(url).pathname} → ${res.status}`);
+  }
+  if (res.status === 204) return null;
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Merge dot-path patches into a map of top-level field values, touching only
+// the fields a patch names. `current(head)` returns the field's present value.
+function mergePatch(patch, current) {
+  const out = {};
+  for (const [path, value] of Object.entries(patch)) {
+    const [head, ...rest] = path.split('.');
+    const base = head in out ? out[head] : current(head);
+    out[head] = rest.length ? setPath(base, rest.join('.'), value) : value;
+  }
+  return out;
+}
+
+// ─── Contentful (Content Management API) ───────────────────────────────
+function contentfulClient(config, token) {
+  const root = `${config.baseUrl}/spaces/${encodeURIComponent(config.spaceId)}/environments/${encodeURIComponent(config.environment)}`;
+  const locale = config.locale;
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    'Content-Type': 'application/vnd.contentful.management.v1+json',
+  };
+
+  const localized = (fields) => {
+    const out = {};
+    for (const [key, byLocale] of Object.entries(fields || {})) out[key] = byLocale?.[locale];
+    return out;
+  };
+
+  // Republish only an entry that was live with no pending draft edits -
+  // never push someone else's unpublished changes live along with ours.
+  const wasCleanlyPublished = (sys) => !!sys?.publishedVersion && sys.version === sys.publishedVersion + 1;
+
+  async function publish(entry) {
+    return request(`${root}/entries/${entry.sys.id}/published`, {
+      method: 'PUT',
+      headers: { ...headers, 'X-Contentful-Version': String(entry.sys.version) },
+    });
+  }
+
+  return {
+    async list(type, { page = 1, perPage = 100 } = {}) {
+      const qs = new URLSearchParams({ content_type: type, skip: String((page - 1) * perPage), limit: String(perPage), order: '-sys.updatedAt' });
+      const data = await request(`${root}/entries?${qs}`, { headers });
+      return { items: data?.items || [], total: data?.total || 0 };
+    },
+    async findBySlug(type, slugPath, slug) {
+      const qs = new URLSearchParams({ content_type: type, limit: '1', [`fields.${slugPath}`]: slug });
+      const data = await request(`${root}/entries?${qs}`, { headers });
+      return data?.items?.[0] || null;
+    },
+    async get(_type, id) {
+      return request(`${root}/entries/${encodeURIComponent(id)}`, { headers, allow404: true });
+    },
+    async update(_type, raw, patch) {
+      const merged = mergePatch(patch, (head) => raw.fields?.[head]?.[locale]);
+      const fields = { ...raw.fields };
+      for (const [head, value] of Object.entries(merged)) fields[head] = { ...fields[head], [locale]: value };
+      const updated = await request(`${root}/entries/${raw.sys.id}`, {
+        method: 'PUT',
+        headers: { ...headers, 'X-Contentful-Version': String(raw.sys.version) },
+        body: { fields },
+      });
+      return wasCleanlyPublished(raw.sys) ? publish(updated) : updated;
+    },
+    async create(type, patch, { publish: shouldPublish = false } = {}) {
+      const merged = mergePatch(patch, () => undefined);
+      const fields = {};
+      for (const [head, value] of Object.entries(merged)) fields[head] = { [locale]: value };
+      const created = await request(`${root}/entries`, {
+        method: 'POST',
+        headers: { ...headers, 'X-Contentful-Content-Type': type },
+        body: { fields },
+      });
+      return shouldPublish ? publish(created) : created;
+    },
+    async remove(_type, raw) {
+      if (raw.sys?.publishedVersion) {
+        await request(`${root}/entries/${raw.sys.id}/published`, { method: 'DELETE', headers });
+      }
+      await request(`${root}/entries/${raw.sys.id}`, { method: 'DELETE', headers });
+    },
+    async listMedia({ page = 1, perPage = 20 } = {}) {
+      const qs = new URLSearchParams({ skip: String((page - 1) * perPage), limit: String(perPage), order: '-sys.createdAt' });
+      const data = await request(`${root}/assets?${qs}`, { headers });
+      const items = (data?.items || []).map((a) => {
+        const file = a.fields?.file?.[locale] || {};
+        return {
+          id: a.sys.id,
+          url: file.url ? (file.url.startsWith('//') ? `https:${file.url}` : file.url) : null,
+          title: a.fields?.title?.[locale] || file.fileName || '',
+          alt: a.fields?.description?.[locale] || '',
+          mimeType: file.contentType || null,
+        };
+      });
+      return { items, total: data?.total || 0 };
+    },
+    fieldsOf: (raw) => localized(raw?.fields),
+    idOf: (raw) => raw?.sys?.id,
+    statusOf: (raw) => (raw?.sys?.archivedVersion ? 'archived' : raw?.sys?.publishedVersion ? 'publish' : 'draft'),
+    datesOf: (raw) => ({ date: raw?.sys?.firstPublishedAt || raw?.sys?.createdAt || null, modified: raw?.sys?.updatedAt || null }),
+    async ping() {
+      await request(`${root}/content_types?limit=1`, { headers });
+    },
+  };
+}
+
+// ─── Sanity (HTTP query + mutate API) ──────────────────────────────────
+function sanityClient(config, token) {
+  const host = config.baseUrl || `https://${config.projectId}.api.sanity.io`;
+  const base = `${host}/v${config.apiVersion}/data`;
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const PUBLISHED = '!(_id in path("drafts.**"))';
+
+  async function query(groq, params = {}) {
+    const qs = new URLSearchParams({ query: groq });
+    for (const [k, v] of Object.entries(params)) qs.set(`$${k}`, JSON.stringify(v));
+    const data = await request(`${base}/query/${encodeURIComponent(config.dataset)}?${qs}`, { headers });
+    return data?.result;
+  }
+
+  async function mutate(mutations) {
+    const data = await request(`${base}/mutate/${encodeURIComponent(config.dataset)}?returnDocuments=true`, {
+      method: 'POST',
+      headers,
+      body: { mutations },
+    });
+    return data?.results?.[0]?.document || null;
+  }
+
+  return {
+    async list(type, { page = 1, perPage = 100 } = {}) {
+      const from = (page - 1) * perPage;
+      const result = await query(
+        `{"items": *[_type == $type && ${PUBLISHED}] | order(_updatedAt desc) [$from...$to], "total": count(*[_type == $type && ${PUBLISHED}])}`,
+        { type, from, to: from + perPage },
+      );
+      return { items: result?.items || [], total: result?.total || 0 };
+    },
+    async findBySlug(type, slugPath, slug) {
+      // slugPath is validated against FIELD_PATH_RE in normalizeHeadlessConfig.
+      return (await query(`*[_type == $type && ${slugPath} == $slug && ${PUBLISHED}][0]`, { type, slug })) || null;
+    },
+    async get(_type, id) {
+      return (await query('*[_id == $id][0]', { id })) || null;
+    },
+    async update(_type, raw, patch) {
+      // Sanity patches take dot paths natively - no read-merge needed.
+      return mutate([{ patch: { id: raw._id, set: patch } }]);
+    },
+    async create(type, patch) {
+      const doc = Object.entries(patch).reduce((acc, [path, value]) => setPath(acc, path, value), { _type: type });
+      return mutate([{ create: doc }]);
+    },
+    async remove(_type, raw) {
+      await mutate([{ delete: { id: raw._id } }]);
+    },
+    async listMedia({ page = 1, perPage = 20 } = {}) {
+      const from = (page - 1) * perPage;
+      const result = await query(
+        '{"items": *[_type == "sanity.imageAsset"] | order(_createdAt desc) [$from...$to]{_id, url, originalFilename, title, altText, mimeType}, "total": count(*[_type == "sanity.imageAsset"])}',
+        { from, to: from + perPage },
+      );
+      const items = (result?.items || []).map((a) => ({
+        id: a._id,
+        url: a.url,
+        title: a.title || a.originalFilename || '',
+        alt: a.altText || '',
+        mimeType: a.mimeType || null,
+      }));
+      return { items, total: result?.total || 0 };
+    },
+    fieldsOf: (raw) => raw || {},
+    idOf: (raw) => raw?._id,
+    statusOf: (raw) => (String(raw?._id || '').startsWith('drafts.') ? 'draft' : 'publish'),
+    datesOf: (raw) => ({ date: raw?._createdAt || null, modified: raw?._updatedAt || null }),
+    async ping() {
+      await query('*[0...1]{_id}');
+    },
+  };
+}
+
+// ─── Strapi (v4 + v5 REST) ─────────────────────────────────────────────
+function strapiClient(config, token) {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const api = `${config.baseUrl}/api`;
+  // v4 wraps values in `attributes` and addresses entries by numeric id;
+  // v5 flattens and uses documentId.
+  const fieldsOf = (raw) => raw?.attributes || raw || {};
+  const idOf = (raw) => raw?.documentId || raw?.id;
+  const bracket = (path) => path.split('.').map((p) => `[${p}]`).join('');
+
+  return {
+    async list(type, { page = 1, perPage = 100 } = {}) {
+      const qs = new URLSearchParams({ 'pagination[page]': String(page), 'pagination[pageSize]': String(perPage), sort: 'updatedAt:desc', populate: '*' });
+      const data = await request(`${api}/${type}?${qs}`, { headers });
+      return { items: data?.data || [], total: data?.meta?.pagination?.total || 0 };
+    },
+    async findBySlug(type, slugPath, slug) {
+      const qs = new URLSearchParams({ [`filters${bracket(slugPath)}[$eq]`]: slug, 'pagination[pageSize]': '1', populate: '*' });
+      const data = await request(`${api}/${type}?${qs}`, { headers });
+      return data?.data?.[0] || null;
+    },
+    async get(type, id) {
+      const data = await request(`${api}/${type}/${encodeURIComponent(id)}?populate=*`, { headers, allow404: true });
+      return data?.data || null;
+    },
+    async update(type, raw, patch) {
+      const current = fieldsOf(raw);
+      const data = await request(`${api}/${type}/${encodeURIComponent(idOf(raw))}`, {
+        method: 'PUT',
+        headers,
+        body: { data: mergePatch(patch, (head) => current[head]) },
+      });
+      return data?.data || null;
+    },
+    async create(type, patch) {
+      const data = await request(`${api}/${type}`, { method: 'POST', headers, body: { data: mergePatch(patch, () => undefined) } });
+      return data?.data || null;
+    },
+    async remove(type, raw) {
+      await request(`${api}/${type}/${encodeURIComponent(idOf(raw))}`, { method: 'DELETE', headers });
+    },
+    async listMedia({ page = 1, perPage = 20 } = {}) {
+      const qs = new URLSearchParams({ 'pagination[page]': String(page), 'pagination[pageSize]': String(perPage), sort: 'createdAt:desc' });
+      const data = await request(`${api}/upload/files?${qs}`, { headers });
+      const files = Array.isArray(data) ? data : data?.results || [];
+      const items = files.map((f) => ({
+        id: f.documentId || f.id,
+        url: f.url?.startsWith('/') ? `${config.baseUrl}${f.url}` : f.url,
+        title: f.name || '',
+        alt: f.alternativeText || '',
+        mimeType: f.mime || null,
+      }));
+      return { items, total: data?.pagination?.total ?? items.length };
+    },
+    fieldsOf,
+    idOf,
+    statusOf: (raw) => (fieldsOf(raw).publishedAt ? 'publish' : 'draft'),
+    datesOf: (raw) => ({ date: fieldsOf(raw).publishedAt || fieldsOf(raw).createdAt || null, modified: fieldsOf(raw).updatedAt || null }),
+    async ping() {
+      const [type] = Object.values(config.contentTypes);
+      await request(`${api}/${type}?pagination[pageSize]=1`, { headers });
+    },
+  };
+}
+
+// ─── Generic REST (configurable paths) ─────────────────────────────────
+function restClient(config, token) {
+  const r = config.rest;
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers[r.authHeader] = r.authScheme ? `${r.authScheme} ${token}` : token;
+  const path = (tpl, vars) => tpl.replace(/\{(type|id)\}/g, (_, k) => encodeURIComponent(vars[k] ?? ''));
+  const itemsOf = (data) => (Array.isArray(data) ? data : getPath(data, r.itemsKey) || []);
+  const unwrap = (data) => (data && !Array.isArray(data) && data.data && typeof data.data === 'object' ? data.data : data);
+
+  return {
+    async list(type, { page = 1, perPage = 100 } = {}) {
+      const qs = new URLSearchParams({ [r.pageParam]: String(page), [r.perPageParam]: String(perPage) });
+      const data = await request(`${config.baseUrl}${path(r.listPath, { type })}?${qs}`, { headers });
+      const items = itemsOf(data);
+      return { items, total: Number(getPath(data, r.totalKey)) || items.length };
+    },
+    async findBySlug(type, slugPath, slug) {
+      // The slug field filters through the configured param; any other field
+      // (e.g. a redirect's source) is filtered by its own name.
+      const param = slugPath === config.fields.slug ? r.slugParam : slugPath;
+      const qs = new URLSearchParams({ [param]: slug, [r.perPageParam]: '1' });
+      const data = await request(`${config.baseUrl}${path(r.listPath, { type })}?${qs}`, { headers });
+      return itemsOf(data)[0] || null;
+    },
+    async get(type, id) {
+      return unwrap(await request(`${config.baseUrl}${path(r.itemPath, { type, id })}`, { headers, allow404: true }));
+    },
+    async update(type, raw, patch) {
+      const updated = await request(`${config.baseUrl}${path(r.itemPath, { type, id: raw[r.idField] })}`, {
+        method: r.updateMethod.toUpperCase(),
+        headers,
+        body: mergePatch(patch, (head) => raw[head]),
+      });
+      return unwrap(updated) || { ...raw, ...mergePatch(patch, (head) => raw[head]) };
+    },
+    async create(type, patch) {
+      return unwrap(await request(`${config.baseUrl}${path(r.listPath, { type })}`, {
+        method: 'POST',
+        headers,
+        body: mergePatch(patch, () => undefined),
+      }));
+    },
+    async remove(type, raw) {
+      await request(`${config.baseUrl}${path(r.itemPath, { type, id: raw[r.idField] })}`, { method: 'DELETE', headers });
+    },
+    async listMedia() {
+      return { items: [], total: 0 };
+    },
+    fieldsOf: (raw) => raw || {},
+    idOf: (raw) => (raw ? raw[r.idField] : undefined),
+    statusOf: (raw) => String(raw?.status || 'publish').toLowerCase(),
+    datesOf: (raw) => ({ date: raw?.publishedAt || raw?.createdAt || null, modified: raw?.updatedAt || null }),
+    async ping() {
+      const [type] = Object.values(config.contentTypes);
+      await request(`${config.baseUrl}${path(r.listPath, { type })}?${new URLSearchParams({ [r.perPageParam]: '1' })}`, { headers });
+    },
+  };
+}
+
+const CLIENTS = {
+  contentful: contentfulClient,
+  sanity: sanityClient,
+  strapi: strapiClient,
+  rest: restClient,
+};
+
+/**
+ * @param {{ config: object, token: string|null }} integration - from loadHeadlessIntegration
+ */
+export function createProviderClient(integration) {
+  const factory = CLIENTS[integration?.config?.provider];
+  if (!factory) throw new Error(`[cms/headless] unknown provider: ${integration?.config?.provider}`);
+  if (!integration.token && integration.config.provider !== 'rest') {
+    throw new Error('[cms/headless] no API token saved for this site');
+  }
+  return factory(integration.config, integration.token);
+}
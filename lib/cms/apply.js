@@ -53,7 +53,7 @@ export function canApplyNatively(site, changeType, { method } = {}) {
  * @param {{ manualKinds?: string[], method?: string }} [options]
  * @returns {Promise<{
  *   applied: boolean,
- *   mode: 'native'|'assisted'|'error',
+ *   mode: 'native'|'contract'|'branch'|'assisted'|'error',
  *   changeType: string,
  *   result?: any,
  *   error?: string,
@@ -75,7 +75,8 @@ export async function applyChange(site, changeType, args = [], options = {}) {
     const result = await cms[method || changeType](site, ...args);
     // 'contract' = persisted to the platform's Contract store and served to
     // the site's SDK/edge on its next cache refresh (minutes), vs 'native' =
-    // written into the CMS immediately. Both count as applied.
+    // written into the CMS immediately, vs 'branch' = committed to a review
+    // branch of the site's Git repo (live once merged). All count as applied.
     return { applied: true, mode: adapter.writeMode || 'native', changeType, result };
   } catch (err) {
     // An adapter that raised a tagged "assisted" error just means: no native
@@ -89,6 +89,69 @@ export const CONTRACT_CAPABILITIES = Object.freeze({
   seoBackend: 'contract',
 });
 
+/**
+ * Headless CMS site (Contentful / Sanity / Strapi / generic REST) before its
+ * field mapping is known: reads work, writes stay assisted. The real flags
+ * come from `headlessCapabilitiesFor(config)` once the mapping is loaded.
+ */
+export const HEADLESS_CAPABILITIES = Object.freeze({
+  ...CUSTOM_CAPABILITIES,
+  platform: 'headless',
+  seoFields: [],
+  customFieldsLabel: 'Fields',
+  customContentLabel: 'Content types',
+});
+
+/**
+ * Static site connected through its Git repository (GIT_REPO). SEO meta,
+ * image alt text and redirects are written as a commit on a review branch
+ * (front matter / head tags / the host's redirect file); they go live when
+ * the owner merges and the host rebuilds. Content writes stay assisted.
+ */
+export const GIT_REPO_CAPABILITIES = Object.freeze({
+  ...CUSTOM_CAPABILITIES,
+  redirectsBackend: 'git',
+  seoBackend: 'git',
+  supportsAltText: true,
+});
+
+// Mapped field → the updateSeoData key it lets us write natively.
+const HEADLESS_SEO_FIELDS = {
+  seoTitle: 'title',
+  seoDescription: 'description',
+  canonical: 'canonical',
+  noindex: 'noIndex',
+  ogTitle: 'og_title',
+  ogDescription: 'og_description',
+  ogImage: 'og_image',
+  focusKeyword: 'focusKeyword',
+};
+
+/**
+ * Capabilities for a headless site, derived from its saved field mapping
+ * (SiteIntegration HEADLESS_CMS `config`). A flag is only true when the
+ * mapping gives the adapter somewhere to write it, so agent fixes and the
+ * dashboard only offer native apply for what actually lands in the CMS.
+ *
+ * @param {{ contentTypes?: object, fields?: object, redirects?: object|null }|null} config
+ */
+export function headlessCapabilitiesFor(config) {
+  if (!config?.provider) return HEADLESS_CAPABILITIES;
+  const fields = config.fields || {};
+  const hasTypes = Object.keys(config.contentTypes || {}).length > 0;
+  const seoFields = hasTypes
+    ? Object.entries(HEADLESS_SEO_FIELDS).filter(([field]) => fields[field]).map(([, key]) => key)
+    : [];
+  return Object.freeze({
+    ...HEADLESS_CAPABILITIES,
+    supportsContentWrite: hasTypes && !!fields.body,
+    supportsCPT: Object.keys(config.contentTypes || {}).length > 1,
+    redirectsBackend: config.redirects?.contentType ? 'headless' : 'none',
+    seoBackend: seoFields.length ? 'headless' : 'manual',
+    seoFields,
+  });
+}
+
 /**
  * Resolve capabilities from a bare platform string (client-safe).
  *
@@ -8,7 +8,7 @@
  *     import { cms } from '@/lib/cms';
  *     const info = await cms.getSiteInfo(site);
  *
- * Add methods to the adapters (wordpress.js / shopify / custom) and register the
+ * Add methods to the adapters (wordpress.js / shopify / custom / headless / git) and register the
  * adapter in lib/cms/registry.js - the dispatcher picks methods up automatically
  * via Proxy. No forwarding table to maintain.
  */
@@ -16,6 +16,7 @@
 import {
   getRegistryEntry,
   capabilitiesForSite,
+  loadCapabilitiesForSite,
   resolveIntegrationType,
   INTEGRATION_TYPES,
 } from './registry';
@@ -23,6 +24,8 @@ import {
   WORDPRESS_CAPABILITIES,
   SHOPIFY_CAPABILITIES,
   CUSTOM_CAPABILITIES,
+  HEADLESS_CAPABILITIES,
+  GIT_REPO_CAPABILITIES,
   capabilitiesFor,
 } from './capabilities';
 
@@ -42,10 +45,17 @@ export function getCapabilities(site) {
   return capabilitiesForSite(site);
 }
 
+/** Async variant: loads per-site config (headless field mapping) first. */
+export function loadCapabilities(site) {
+  return loadCapabilitiesForSite(site);
+}
+
 export {
   WORDPRESS_CAPABILITIES,
   SHOPIFY_CAPABILITIES,
   CUSTOM_CAPABILITIES,
+  HEADLESS_CAPABILITIES,
+  GIT_REPO_CAPABILITIES,
   capabilitiesFor,
   resolveIntegrationType,
   INTEGRATION_TYPES,
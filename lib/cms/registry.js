@@ -21,11 +21,15 @@
 import * as wordpressAdapter from './adapters/wordpress';
 import * as shopifyAdapter from './adapters/shopify';
 import * as customAdapter from './adapters/custom';
+import * as headlessAdapter from './adapters/headless';
+import * as gitAdapter from './adapters/git';
 import {
   WORDPRESS_CAPABILITIES,
   SHOPIFY_CAPABILITIES,
   CUSTOM_CAPABILITIES,
   CONTRACT_CAPABILITIES,
+  HEADLESS_CAPABILITIES,
+  GIT_REPO_CAPABILITIES,
 } from './capabilities';
 
 export const INTEGRATION_TYPES = Object.freeze({
@@ -36,6 +40,8 @@ export const INTEGRATION_TYPES = Object.freeze({
   MCP: 'MCP',
   GITHUB_APP: 'GITHUB_APP',
   CUSTOM_API: 'CUSTOM_API',
+  HEADLESS_CMS: 'HEADLESS_CMS',
+  GIT_REPO: 'GIT_REPO',
   NONE: 'NONE',
 });
 
@@ -53,6 +59,8 @@ const REGISTRY = Object.freeze({
   MCP: { adapter: customAdapter, capabilities: CUSTOM_CAPABILITIES },
   GITHUB_APP: { adapter: customAdapter, capabilities: CUSTOM_CAPABILITIES },
   CUSTOM_API: { adapter: customAdapter, capabilities: CUSTOM_CAPABILITIES },
+  HEADLESS_CMS: { adapter: headlessAdapter, capabilities: HEADLESS_CAPABILITIES },
+  GIT_REPO: { adapter: gitAdapter, capabilities: GIT_REPO_CAPABILITIES },
   NONE: { adapter: customAdapter, capabilities: CUSTOM_CAPABILITIES },
 });
 
@@ -91,8 +99,24 @@ export function getRegistryEntry(site) {
  * `capabilitiesFor(platform)` in capabilities.js, this accounts for the
  * integration type + credentials (e.g. a WordPress row with a null platform
  * but a real plugin connection).
+ *
+ * Adapters whose flags depend on per-site config (headless: the field
+ * mapping) expose `capabilitiesFor(site)`; it can only see what the caller
+ * loaded onto the row, so use `loadCapabilitiesForSite` where you can await.
  * @param {object} site
  */
 export function capabilitiesForSite(site) {
-  return getRegistryEntry(site).capabilities;
+  const { adapter, capabilities } = getRegistryEntry(site);
+  return typeof adapter.capabilitiesFor === 'function' ? adapter.capabilitiesFor(site) : capabilities;
+}
+
+/**
+ * Like `capabilitiesForSite`, but lets config-driven adapters load their
+ * per-site config first.
+ * @param {object} site
+ */
+export async function loadCapabilitiesForSite(site) {
+  const { adapter } = getRegistryEntry(site);
+  if (typeof adapter.loadCapabilities === 'function') return adapter.loadCapabilities(site);
+  return capabilitiesForSite(site);
 }
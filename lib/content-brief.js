@@ -0,0 +1,394 @@
+/**
+ * Content Brief Generator
+ *
+ * Builds a writer's brief for a Content row from the pages that currently
+ * rank for its keyword, before any article is written:
+ *
+ *   1. Top-ranking URLs - the keyword's latest KeywordSerpSnapshot, or a live
+ *      DataForSEO SERP read (RANK_CHECK) when there is no recent one
+ *   2. Scrape the top competitors (lib/competitor-scraper.js), skipping the
+ *      site's own pages
+ *   3. Word count range from the competitors' lengths (interquartile range)
+ *   4. AI analysis of their headings + text (CONTENT_BRIEF): heading outline,
+ *      subtopics most competitors cover, questions to answer, schema type
+ *   5. Internal link targets - the site's published SiteEntity pages whose
+ *      titles match the keyword or a subtopic
+ *
+ * The brief is stored on Content.brief, is editable by the user (sanitizeBrief
+ * validates edits) and is passed to the article writer as structured input
+ * (formatBriefForPrompt, used by /api/worker/generate-article).
+ */
+
+import { z } from 'zod';
+import prisma from '@/lib/prisma';
+import { generateStructuredResponse } from '@/lib/ai/gemini';
+import { scrapeCompetitorPage, extractDomain } from '@/lib/competitor-scraper';
+import { checkKeywordSerp, isDataForSEOConfigured, resolveGeo } from '@/lib/dataforseo/serp';
+import { enforceCredits } from '@/lib/account-limits';
+import { trackAIUsage } from '@/lib/ai/credits-service';
+import { getOperationCreditCost } from '@/lib/ai/credits';
+
+const SNAPSHOT_MAX_AGE_DAYS = 30;
+const CANDIDATE_URLS = 8;
+const MAX_SOURCES = 5;
+const SCRAPE_CONCURRENCY = 3;
+const SOURCE_TEXT_CHARS = 2500;
+const MAX_INTERNAL_LINKS = 8;
+const LINK_MATCH_THRESHOLD = 0.5;
+
+// Limits applied to AI output and user edits alike
+const LIMITS = { outline: 40, subtopics: 25, questions: 15, internalLinks: 20, text: 200 };
+
+export const SCHEMA_TYPES = [
+  'Article', 'BlogPosting', 'NewsArticle', 'HowTo', 'FAQPage',
+  'Product', 'Review', 'Recipe', 'Event', 'LocalBusiness', 'Service',
+];
+
+const LANGUAGE_NAMES = { he: 'Hebrew', en: 'English', ar: 'Arabic', es: 'Spanish', fr: 'French', de: 'German', ru: 'Russian' };
+
+const BriefAnalysisSchema = z.object({
+  outline: z
+    .array(z.object({
+      level: z.number().int().min(2).max(3).describe('2 for a main section (H2), 3 for a sub-section (H3)'),
+      text: z.string().describe('Heading text'),
+    }))
+    .describe('Recommended heading outline for an article that beats the competitors, in order'),
+  subtopics: z
+    .array(z.object({
+      name: z.string().describe('Entity or subtopic'),
+      coverage: z.number().int().describe('How many of the analyzed competitor pages cover it'),
+    }))
+    .describe('Entities / subtopics covered by most competitors, most covered first'),
+  questions: z.array(z.string()).describe('Questions searchers ask that the article must answer'),
+  schemaType: z.enum(SCHEMA_TYPES).describe('The schema.org type that best fits the article'),
+});
+
+function tokens(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length > 1),
+  );
+}
+
+function hostOf(url) {
+  return extractDomain(url || '').toLowerCase();
+}
+
+function clip(value, max = LIMITS.text) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function round100(n) {
+  return Math.max(100, Math.round(n / 100) * 100);
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Recommended word count range from competitor lengths: the interquartile
+ * range, rounded to hundreds, with a floor so thin pages don't drag it down.
+ */
+export function wordCountRange(counts) {
+  const sorted = counts.filter((n) => n > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const median = Math.round(quantile(sorted, 0.5));
+  const min = round100(Math.max(300, quantile(sorted, 0.25)));
+  const max = Math.max(min + 200, round100(quantile(sorted, 0.75) * 1.1));
+  return { min, max, median };
+}
+
+/**
+ * Published site pages worth linking to from the article: titles that
+ * contain most of the keyword's or a subtopic's words. The matched phrase is
+ * suggested as anchor text.
+ */
+export function pickInternalLinks(entities, phrases, { exclude = [] } = {}) {
+  const excluded = new Set(exclude.filter(Boolean));
+  const phraseTokens = phrases
+    .map((p) => ({ phrase: p, tokens: tokens(p) }))
+    .filter((p) => p.tokens.size > 0);
+
+  const scored = [];
+  for (const e of entities) {
+    if (excluded.has(e.id) || excluded.has(e.url)) continue;
+    const title = tokens(e.title);
+    let best = null;
+    for (const p of phraseTokens) {
+      let hits = 0;
+      for (const t of p.tokens) if (title.has(t)) hits++;
+      const score = hits / p.tokens.size;
+      if (score >= LINK_MATCH_THRESHOLD && (!best || score > best.score)) best = { score, anchor: p.phrase };
+    }
+    if (best) scored.push({ entityId: e.id, title: e.title, url: e.url, anchor: best.anchor, score: best.score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_INTERNAL_LINKS)
+    .map(({ score, ...link }) => link);
+}
+
+/**
+ * Top organic URLs for the keyword: a recent snapshot when there is one,
+ * otherwise a live SERP read billed as one RANK_CHECK (and recorded as a
+ * snapshot when the content has a Keyword row).
+ */
+async function topRankingUrls({ keywordText, keywordId, site, userId }) {
+  if (keywordId) {
+    const since = new Date(Date.now() - SNAPSHOT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    const snapshot = await prisma.keywordSerpSnapshot.findFirst({
+      where: { keywordId, checkedAt: { gte: since }, topUrls: { isEmpty: false } },
+      orderBy: { checkedAt: 'desc' },
+      select: { topUrls: true },
+    });
+    if (snapshot) return { urls: snapshot.topUrls.map((u) => `https://${u}`), fetched: false };
+  }
+
+  if (!isDataForSEOConfigured()) {
+    throw new Error('No recent SERP data for this keyword and rank checks are not configured');
+  }
+  const cost = await getOperationCreditCost('RANK_CHECK');
+  const check = await enforceCredits(site.accountId, cost);
+  if (!check.allowed) {
+    const err = new Error(check.error || 'Insufficient Ai-GCoins');
+    err.code = check.code || 'INSUFFICIENT_CREDITS';
+    err.resourceKey = 'aiCredits';
+    throw err;
+  }
+
+  const geo = resolveGeo({
+    targetLocations: site.targetLocations,
+    contentLanguage: site.contentLanguage,
+    siteUrl: site.url,
+  });
+  const serp = await checkKeywordSerp({
+    keyword: keywordText,
+    siteUrl: site.url,
+    locationCode: geo.locationCode,
+    languageCode: geo.languageCode,
+  });
+
+  await trackAIUsage({
+    accountId: site.accountId,
+    userId,
+    siteId: site.id,
+    operation: 'RANK_CHECK',
+    description: `SERP read for content brief: ${keywordText}`,
+    metadata: { keyword: keywordText, context: 'content-brief' },
+  });
+
+  if (keywordId) {
+    await prisma.keywordSerpSnapshot.create({
+      data: {
+        keywordId,
+        siteId: site.id,
+        position: serp.position,
+        url: serp.url,
+        inLocalPack: serp.inLocalPack,
+        locationCode: geo.locationCode,
+        languageCode: geo.languageCode,
+        serpFeatures: serp.features,
+        ownFeatures: serp.ownFeatures,
+        topUrls: serp.topUrls,
+      },
+    }).catch((e) => console.error('[ContentBrief] snapshot write failed:', e.message));
+  }
+
+  return { urls: serp.topUrls.map((u) => `https://${u}`), fetched: true };
+}
+
+async function scrapeSources(urls) {
+  const queue = [...urls];
+  const pages = [];
+  const worker = async () => {
+    let url;
+    while ((url = queue.shift())) {
+      if (pages.length >= MAX_SOURCES) return;
+      const result = await scrapeCompetitorPage(url);
+      if (result.success && result.data.wordCount > 0 && pages.length < MAX_SOURCES) pages.push(result.data);
+    }
+  };
+  await Promise.all(Array.from({ length: SCRAPE_CONCURRENCY }, worker));
+  // Keep SERP order - workers finish out of order
+  return pages.sort((a, b) => urls.indexOf(a.url) - urls.indexOf(b.url));
+}
+
+/**
+ * Generate (or regenerate) the brief for one Content row and store it.
+ *
+ * Throws when no competitor page could be analyzed, and with
+ * err.code = 'INSUFFICIENT_CREDITS' when the account can't pay for the SERP
+ * read or the AI analysis.
+ *
+ * @param {Object} params
+ * @param {string} params.contentId
+ * @param {string} [params.userId]
+ * @returns {Promise<Object>} the stored brief
+ */
+export async function generateContentBrief({ contentId, userId = null }) {
+  const content = await prisma.content.findUnique({
+    where: { id: contentId },
+    select: {
+      id: true,
+      title: true,
+      type: true,
+      keywordId: true,
+      keyword: { select: { keyword: true } },
+      site: {
+        select: { id: true, url: true, accountId: true, contentLanguage: true, targetLocations: true },
+      },
+    },
+  });
+  if (!content) throw new Error('Content not found');
+
+  const site = content.site;
+  const keywordText = content.keyword?.keyword || content.title;
+  const ownHost = hostOf(site.url);
+
+  const { urls } = await topRankingUrls({ keywordText, keywordId: content.keywordId, site, userId });
+  const candidates = urls.filter((u) => hostOf(u) !== ownHost).slice(0, CANDIDATE_URLS);
+  const pages = await scrapeSources(candidates);
+  if (pages.length === 0) {
+    throw new Error('None of the top-ranking pages could be analyzed');
+  }
+
+  const language = LANGUAGE_NAMES[String(site.contentLanguage || '').slice(0, 2)] || 'the same language as the keyword';
+  const sourcesBlock = pages.map((p, i) => {
+    const headings = (p.headings || [])
+      .filter((h) => h.tag === 'h2' || h.tag === 'h3')
+      .slice(0, 40)
+      .map((h) => `${h.tag === 'h3' ? '  ' : ''}- ${clip(h.text, 120)}`)
+      .join('\n');
+    return `### Competitor ${i + 1}: ${p.title || p.url} (${p.wordCount} words)\nHeadings:\n${headings || '(none)'}\nText excerpt:\n${(p.mainContent || '').slice(0, SOURCE_TEXT_CHARS)}`;
+  }).join('\n\n');
+
+  const analysis = await generateStructuredResponse({
+    system: `You are an expert SEO content strategist preparing a content brief for a writer. You analyze the pages that currently rank in the Google top 10 for a keyword and describe what an article must cover to compete with and beat them.
+
+Rules:
+- The outline is for the new article, not a copy of any competitor: merge the competitors' strongest sections, fill their gaps, order sections logically. Use level 2 for main sections and level 3 for sub-sections.
+- Subtopics are entities and subtopics that MOST competitors cover (coverage = how many of the ${pages.length} pages cover it). Most covered first.
+- Questions are the concrete questions searchers have, phrased as questions.
+- ALL text (headings, subtopics, questions) MUST be written in ${language}.`,
+    prompt: `Keyword: "${keywordText}"
+Working title: "${content.title}"
+Planned content type: ${content.type}
+
+Top-ranking pages:
+
+${sourcesBlock}`,
+    schema: BriefAnalysisSchema,
+    temperature: 0.3,
+    operation: 'CONTENT_BRIEF',
+    metadata: { contentId: content.id, keyword: keywordText, sources: pages.length },
+    accountId: site.accountId,
+    userId,
+    siteId: site.id,
+  });
+
+  const entities = await prisma.siteEntity.findMany({
+    where: { siteId: site.id, status: 'PUBLISHED', url: { not: null } },
+    select: { id: true, title: true, url: true },
+  });
+  const internalLinks = pickInternalLinks(
+    entities,
+    [keywordText, ...analysis.subtopics.map((s) => s.name)],
+  );
+
+  const brief = sanitizeBrief({
+    keyword: keywordText,
+    sources: pages.map((p) => ({
+      url: p.url,
+      title: p.title,
+      wordCount: p.wordCount,
+      h2Count: p.h2Count,
+    })),
+    wordCount: wordCountRange(pages.map((p) => p.wordCount)),
+    outline: analysis.outline,
+    subtopics: analysis.subtopics,
+    questions: analysis.questions,
+    internalLinks,
+    schemaType: analysis.schemaType,
+  });
+  brief.generatedAt = new Date().toISOString();
+
+  await prisma.content.update({ where: { id: content.id }, data: { brief } });
+  return brief;
+}
+
+/**
+ * Normalize a brief (AI output or a user edit) to the stored shape, dropping
+ * unknown fields and empty entries and enforcing the list limits.
+ * Provenance fields (generatedAt, sources) pass through untouched.
+ */
+export function sanitizeBrief(input = {}) {
+  const list = (value, limit) => (Array.isArray(value) ? value.slice(0, limit) : []);
+
+  let wordCount = null;
+  const min = parseInt(input.wordCount?.min, 10);
+  const max = parseInt(input.wordCount?.max, 10);
+  if (min > 0 && max >= min) {
+    wordCount = { min, max };
+    if (input.wordCount.median > 0) wordCount.median = Math.round(input.wordCount.median);
+  }
+
+  return {
+    keyword: clip(input.keyword),
+    generatedAt: input.generatedAt || null,
+    sources: list(input.sources, MAX_SOURCES * 2),
+    wordCount,
+    outline: list(input.outline, LIMITS.outline)
+      .map((h) => ({ level: Number(h?.level) === 3 ? 3 : 2, text: clip(h?.text) }))
+      .filter((h) => h.text),
+    subtopics: list(input.subtopics, LIMITS.subtopics)
+      .map((s) => ({ name: clip(s?.name ?? s), coverage: Math.max(0, parseInt(s?.coverage, 10) || 0) }))
+      .filter((s) => s.name),
+    questions: list(input.questions, LIMITS.questions).map((q) => clip(q)).filter(Boolean),
+    internalLinks: list(input.internalLinks, LIMITS.internalLinks)
+      .map((l) => ({
+        entityId: l?.entityId || null,
+        title: clip(l?.title),
+        url: String(l?.url || '').trim(),
+        anchor: clip(l?.anchor),
+      }))
+      .filter((l) => /^https?:\/\//i.test(l.url)),
+    schemaType: SCHEMA_TYPES.includes(input.schemaType) ? input.schemaType : 'Article',
+  };
+}
+
+/**
+ * Render a stored brief as prompt instructions for the article writer.
+ * Returns '' when there is no brief.
+ */
+export function formatBriefForPrompt(brief) {
+  if (!brief) return '';
+  const lines = ['Content brief (follow it - it is based on the pages that currently rank for the keyword):'];
+
+  if (brief.outline?.length) {
+    lines.push('Heading outline (use these sections in this order, <h2> for level 2 and <h3> for level 3; you may refine the wording):');
+    for (const h of brief.outline) lines.push(`${h.level === 3 ? '    ' : '  '}- H${h.level}: ${h.text}`);
+  }
+  if (brief.subtopics?.length) {
+    lines.push(`Entities / subtopics to cover: ${brief.subtopics.map((s) => s.name).join('; ')}`);
+  }
+  if (brief.questions?.length) {
+    lines.push('Questions the article must answer:');
+    for (const q of brief.questions) lines.push(`  - ${q}`);
+  }
+  if (brief.internalLinks?.length) {
+    lines.push('Internal links - link to these site pages where relevant, with natural anchor text close to the suggestion (<a href="URL">anchor</a>):');
+    for (const l of brief.internalLinks) lines.push(`  - ${l.url} (anchor: "${l.anchor || l.title}")`);
+  }
+  if (brief.schemaType) {
+    lines.push(`Target schema.org type: ${brief.schemaType} - structure the article so it qualifies${brief.schemaType === 'FAQPage' ? ' (end with an FAQ section of question <h3>s and short answers)' : brief.schemaType === 'HowTo' ? ' (numbered steps under clear step headings)' : ''}.`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,363 @@
+/**
+ * Editorial review workflow for Content.
+ *
+ *   generate / edit ──► IN_REVIEW ──approve──► READY_TO_PUBLISH ──► PUBLISHED
+ *                           │
+ *                           └─request changes──► DRAFT (reviewStatus CHANGES_REQUESTED)
+ *
+ * Only campaigns with requiresReview route generated content through
+ * IN_REVIEW; everything else keeps the old generate → READY_TO_PUBLISH flow.
+ * Reviewers are AccountMember ids on Content.reviewerIds, assigned by owners
+ * and members with full content-planner access (canManageReviews), who also
+ * review items nobody is assigned to. Whoever created the item or last edited
+ * it never reviews it.
+ *
+ * Every generation, edit and restore writes a ContentRevision (a snapshot of
+ * the editable fields). An approval is tied to the revision it was given on -
+ * recording a newer revision withdraws it and sends the item back to review.
+ *
+ * Reviewer comments are anchored to a paragraph by index + text hash
+ * (splitParagraphs); anchorComments re-locates them after edits.
+ *
+ * Used by:
+ *   - /api/contents/[id]/review, /comments, /revisions
+ *   - /api/worker/generate-article, /api/content (PATCH)   (revisions)
+ *   - /api/contents/[id]/transition, /api/cron/publish-content,
+ *     /api/worker/publish-article                           (publish gate)
+ */
+
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { notifyUser } from '@/lib/notifications';
+import { canAccess } from '@/lib/permissions';
+
+export const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'CHANGES_REQUESTED'];
+export const REVISION_SOURCES = ['GENERATE', 'EDIT', 'RESTORE'];
+
+// Fields captured in a revision, in diff display order.
+export const REVISION_FIELDS = ['title', 'slug', 'metaTitle', 'metaDescription', 'excerpt', 'html'];
+
+const BLOCK_RE = /<(p|h[1-6]|li|blockquote|pre|figcaption|td|th)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+
+// ─── Paragraphs ──────────────────────────────────────────────────────
+
+function textOf(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function paragraphHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Split an HTML body into the paragraphs comments can anchor to: top-level
+ * text blocks (p, headings, list items, quotes, ...). Bodies without block
+ * tags fall back to blank-line separated chunks. Empty blocks are skipped,
+ * so indexes only count paragraphs a reviewer can see.
+ *
+ * @returns {{index:number, tag:string, text:string, hash:string}[]}
+ */
+export function splitParagraphs(html) {
+  const source = String(html || '');
+  const blocks = [];
+  for (const m of source.matchAll(BLOCK_RE)) {
+    blocks.push({ tag: m[1].toLowerCase(), text: textOf(m[2]) });
+  }
+  if (blocks.length === 0) {
+    for (const chunk of source.split(/\n\s*\n/)) {
+      blocks.push({ tag: 'p', text: textOf(chunk) });
+    }
+  }
+  return blocks
+    .filter((b) => b.text)
+    .map((b, index) => ({ index, tag: b.tag, text: b.text, hash: paragraphHash(b.text) }));
+}
+
+/**
+ * Re-locate comments against the current paragraphs. A comment keeps its
+ * index while the paragraph there still hashes the same; otherwise it moves
+ * to the nearest paragraph with the same hash. If the paragraph text is gone
+ * the comment is marked outdated and keeps its original index.
+ */
+export function anchorComments(comments, paragraphs) {
+  const byHash = new Map();
+  for (const p of paragraphs) {
+    if (!byHash.has(p.hash)) byHash.set(p.hash, []);
+    byHash.get(p.hash).push(p.index);
+  }
+  return comments.map((c) => {
+    if (c.paragraphIndex == null) return { ...c, currentIndex: null, outdated: false };
+    if (paragraphs[c.paragraphIndex]?.hash === c.paragraphHash) {
+      return { ...c, currentIndex: c.paragraphIndex, outdated: false };
+    }
+    const matches = byHash.get(c.paragraphHash) || [];
+    if (matches.length === 0) return { ...c, currentIndex: c.paragraphIndex, outdated: true };
+    const nearest = matches.reduce((a, b) =>
+      Math.abs(b - c.paragraphIndex) < Math.abs(a - c.paragraphIndex) ? b : a);
+    return { ...c, currentIndex: nearest, outdated: false };
+  });
+}
+
+// ─── Revisions ───────────────────────────────────────────────────────
+
+/**
+ * The editable fields of a Content row. The body lives in Content.content
+ * once the user edits it, otherwise in aiResult.html from generation.
+ */
+export function snapshotFields(content) {
+  return {
+    title: content.title || '',
+    html: content.content ?? content.aiResult?.html ?? null,
+    excerpt: content.excerpt ?? null,
+    slug: content.slug ?? null,
+    metaTitle: content.metaTitle ?? null,
+    metaDescription: content.metaDescription ?? null,
+  };
+}
+
+function sameSnapshot(a, b) {
+  return REVISION_FIELDS.every((f) => (a[f] ?? null) === (b[f] ?? null));
+}
+
+const CONTENT_REVIEW_SELECT = {
+  id: true,
+  status: true,
+  title: true,
+  content: true,
+  excerpt: true,
+  slug: true,
+  metaTitle: true,
+  metaDescription: true,
+  aiResult: true,
+  reviewStatus: true,
+  campaign: { select: { requiresReview: true } },
+};
+
+/**
+ * Snapshot the current state of a Content item as its next revision.
+ * Edits that don't change any revision field are not recorded (returns
+ * null). A new revision withdraws a previous approval; on a campaign that
+ * requires review, content waiting to publish goes back to IN_REVIEW.
+ *
+ * @param {string} contentId
+ * @param {Object} opts
+ * @param {'GENERATE'|'EDIT'|'RESTORE'} opts.source
+ * @param {string} [opts.createdBy]     - user id
+ * @param {string} [opts.restoredFrom]  - revision id (RESTORE)
+ */
+export async function recordRevision(contentId, { source, createdBy = null, restoredFrom = null }) {
+  const content = await prisma.content.findUnique({ where: { id: contentId }, select: CONTENT_REVIEW_SELECT });
+  if (!content) return null;
+
+  const fields = snapshotFields(content);
+  const latest = await prisma.contentRevision.findFirst({
+    where: { contentId },
+    orderBy: { number: 'desc' },
+  });
+  if (latest && source === 'EDIT' && sameSnapshot(latest, fields)) return null;
+
+  const revision = await prisma.contentRevision.create({
+    data: {
+      contentId,
+      number: (latest?.number || 0) + 1,
+      source,
+      restoredFrom,
+      createdBy,
+      ...fields,
+    },
+  });
+
+  if (source !== 'GENERATE' && content.reviewStatus === 'APPROVED') {
+    const backToReview = content.campaign?.requiresReview && content.status === 'READY_TO_PUBLISH';
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        reviewStatus: 'PENDING',
+        approvedRevisionId: null,
+        ...(backToReview && { status: 'IN_REVIEW' }),
+      },
+    });
+  }
+
+  return revision;
+}
+
+/**
+ * Diff two revisions (older → newer): changed scalar fields plus a
+ * paragraph-level diff of the body (LCS over paragraph text).
+ *
+ * @returns {{ fields: {field, before, after}[], paragraphs: {op:'equal'|'added'|'removed', text, tag}[], stats: {added, removed} }}
+ */
+export function diffRevisions(before, after) {
+  const fields = REVISION_FIELDS
+    .filter((f) => f !== 'html' && (before?.[f] ?? null) !== (after?.[f] ?? null))
+    .map((f) => ({ field: f, before: before?.[f] ?? null, after: after?.[f] ?? null }));
+
+  const a = splitParagraphs(before?.html);
+  const b = splitParagraphs(after?.html);
+
+  // LCS table on hashes, filled from the end so we can walk it forwards.
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i].hash === b[j].hash
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const paragraphs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].hash === b[j].hash) {
+      paragraphs.push({ op: 'equal', text: b[j].text, tag: b[j].tag });
+      i++; j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      paragraphs.push({ op: 'removed', text: a[i].text, tag: a[i].tag });
+      i++;
+    } else {
+      paragraphs.push({ op: 'added', text: b[j].text, tag: b[j].tag });
+      j++;
+    }
+  }
+
+  return {
+    fields,
+    paragraphs,
+    stats: {
+      added: paragraphs.filter((p) => p.op === 'added').length,
+      removed: paragraphs.filter((p) => p.op === 'removed').length,
+    },
+  };
+}
+
+/**
+ * Write a revision's fields back onto the Content item (and the generated
+ * body / aiResult the publish worker reads), then record a RESTORE revision.
+ */
+export async function restoreRevision(content, revision, userId) {
+  const aiResult = {
+    ...(content.aiResult || {}),
+    title: revision.title,
+    html: revision.html,
+    slug: revision.slug,
+    excerpt: revision.excerpt,
+    metaTitle: revision.metaTitle,
+    metaDescription: revision.metaDescription,
+  };
+
+  await prisma.content.update({
+    where: { id: content.id },
+    data: {
+      title: revision.title,
+      content: revision.html,
+      excerpt: revision.excerpt,
+      slug: revision.slug,
+      metaTitle: revision.metaTitle,
+      metaDescription: revision.metaDescription,
+      aiResult,
+    },
+  });
+  await prisma.contentBody.updateMany({
+    where: { contentId: content.id },
+    data: { generatedHtml: revision.html },
+  });
+
+  return recordRevision(content.id, { source: 'RESTORE', createdBy: userId, restoredFrom: revision.id });
+}
+
+// ─── Review gate ─────────────────────────────────────────────────────
+
+/**
+ * True when the item belongs to a review-required campaign and hasn't been
+ * approved. Expects `campaign: { requiresReview }` and `reviewStatus`.
+ */
+export function isBlockedByReview(content) {
+  return Boolean(content?.campaign?.requiresReview) && content.reviewStatus !== 'APPROVED';
+}
+
+// ─── Reviewers ───────────────────────────────────────────────────────
+
+/**
+ * Validate reviewer AccountMember ids against the site's account. Returns
+ * only ACTIVE members with a user, so pending invites can't be assigned.
+ */
+export async function resolveReviewers(accountId, memberIds) {
+  const ids = [...new Set((Array.isArray(memberIds) ? memberIds : []).filter((x) => typeof x === 'string'))];
+  if (ids.length === 0) return [];
+  return prisma.accountMember.findMany({
+    where: { id: { in: ids }, accountId, status: 'ACTIVE', userId: { not: null } },
+    select: { id: true, userId: true, user: { select: { firstName: true, lastName: true, email: true } } },
+  });
+}
+
+/**
+ * Whether the member may assign reviewers. Takes the planner's DELETE
+ * capability - the Admin role has it, Team Lead and Employee don't - so the
+ * people writing content can't pick who signs it off.
+ */
+export function canManageReviews(member) {
+  return canAccess(member, 'CONTENT_PLANNER', 'DELETE');
+}
+
+/**
+ * User ids of whoever created the item and whoever last edited it, from its
+ * revision history (worker-generated revisions have no author).
+ */
+export async function getContentAuthorIds(contentId) {
+  const [first, last] = await Promise.all([
+    prisma.contentRevision.findFirst({
+      where: { contentId, createdBy: { not: null } },
+      orderBy: { number: 'asc' },
+      select: { createdBy: true },
+    }),
+    prisma.contentRevision.findFirst({
+      where: { contentId, createdBy: { not: null } },
+      orderBy: { number: 'desc' },
+      select: { createdBy: true },
+    }),
+  ]);
+  return [...new Set([first?.createdBy, last?.createdBy].filter(Boolean))];
+}
+
+/**
+ * Whether the member may approve / request changes. Never its creator or last
+ * editor. Otherwise assigned reviewers only, or - while nobody is assigned -
+ * members who can manage reviews. SuperAdmins always can.
+ *
+ * @param {{ member: object, isSuperAdmin: boolean }} auth - from getCurrentAccountMember
+ */
+export async function canReview({ member, isSuperAdmin }, content) {
+  const authorIds = await getContentAuthorIds(content.id);
+  if (authorIds.includes(member.userId)) return false;
+  if (isSuperAdmin) return true;
+  const assigned = content.reviewerIds || [];
+  if (assigned.length === 0) return canManageReviews(member);
+  return assigned.includes(member.membership?.id);
+}
+
+/**
+ * In-app + push notification to each reviewer that an item awaits review.
+ */
+export async function notifyReviewers(content, reviewers, accountId) {
+  for (const r of reviewers) {
+    if (!r.userId) continue;
+    await notifyUser(r.userId, accountId, {
+      type: 'content_review_requested',
+      title: 'notifications.contentReviewRequested.title',
+      message: 'notifications.contentReviewRequested.message',
+      link: '/dashboard/strategy/content-planner',
+      data: { contentId: content.id, contentTitle: content.title },
+    });
+  }
+}
@@ -30,8 +30,9 @@ import { invalidateSiteMetadata } from '@/lib/cache/invalidate';
 const DEBOUNCE_MS = 5 * 60 * 1000;
 
 // Rank for Site.integrationType promotion — a stronger transport wins, a
-// weaker one never downgrades the site.
-const RANK = { EDGE_PROXY: 4, SDK: 3, MCP: 2, GITHUB_APP: 1 };
+// weaker one never downgrades the site. A connected headless CMS or Git repo
+// is an explicit choice made in settings, so contract hits never demote it.
+const RANK = { GIT_REPO: 5, HEADLESS_CMS: 5, EDGE_PROXY: 4, SDK: 3, MCP: 2, GITHUB_APP: 1 };
 
 // Site platforms with their own native transport — never promoted by contract
 // hits (the WP plugin / Shopify OAuth flows own their connection state).
@@ -92,8 +92,8 @@ export function enforceRateLimit(request, siteKey) {
  * plus a 5-minute margin; pass `ttlSeconds` explicitly only to shorten the
  * replay window on payloads whose caching is shorter still.
  */
-export function signedResponse(data, { ttlSeconds, sMaxAge = 600, swr = 3600 } = {}) {
-  const envelope = signPayload(data, { ttlSeconds: ttlSeconds ?? sMaxAge + swr + 300 });
+export async function signedResponse(data, { ttlSeconds, sMaxAge = 600, swr = 3600 } = {}) {
+  const envelope = await signPayload(data, { ttlSeconds: ttlSeconds ?? sMaxAge + swr + 300 });
   return NextResponse.json(envelope, {
     status: 200,
     headers: {
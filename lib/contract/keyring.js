@@ -0,0 +1,240 @@
+/**
+ * Contract signing keyring - rotation for the Ed25519 keys in signing.js.
+ *
+ * Keys live in ContractSigningKey with a state:
+ *
+ *   NEXT     published at /api/public/contract-key, never signs. Created with
+ *            validFrom = now + publish lead, so pinning consumers (SDK, edge
+ *            proxy) have fetched it before it can be promoted.
+ *   ACTIVE   the one key signPayload() uses.
+ *   RETIRED  verify-only; stays published until validUntil (retiredAt +
+ *            grace) so envelopes signed before the rotation still verify.
+ *
+ * Rotation is: createNextKey() → wait out the lead → promoteKey() (the old
+ * ACTIVE key retires with the grace window) → it drops off the published set
+ * by itself. retireKey() retires a NEXT key, or a RETIRED key early (e.g. a
+ * compromised key) - the ACTIVE key can only leave by promoting another.
+ *
+ * Until a key is ever promoted here, the CONTRACT_SIGNING_PRIVATE_KEY env key
+ * keeps signing (see signing.js), so existing deployments are unaffected.
+ *
+ * The keyring is cached per warm instance for CACHE_MS; mutations invalidate
+ * the local cache, other instances converge within CACHE_MS (the previous key
+ * remains published for far longer than that).
+ */
+
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { encryptCredential, decryptCredential } from '@/lib/site-keys';
+
+const CACHE_MS = 60_000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// /contract-key is CDN-cached for up to s-maxage 1h + swr 24h, so a NEXT key
+// must be published for longer than that before it may sign.
+function publishLeadMs() {
+  return Number(process.env.CONTRACT_KEY_PUBLISH_LEAD_HOURS || 48) * HOUR_MS;
+}
+
+// Longer than any envelope TTL + CDN window (signedResponse signs for
+// s-maxage + swr + 5min) plus SDK-side caching.
+function retireGraceMs() {
+  return Number(process.env.CONTRACT_KEY_RETIRE_GRACE_HOURS || 48) * HOUR_MS;
+}
+
+/** keyId = first 16 hex chars of sha256(SPKI public PEM). */
+export function deriveKeyId(publicKeyPem) {
+  return crypto.createHash('sha256').update(publicKeyPem).digest('hex').slice(0, 16);
+}
+
+// The model may not be on the Prisma client until it is regenerated - the env
+// key keeps working until then.
+function keyringEnabled() {
+  return typeof prisma.contractSigningKey?.findMany === 'function';
+}
+
+let cache = null; // { at, active, keys, firstActivatedAt }
+
+export function invalidateKeyring() {
+  cache = null;
+}
+
+const EMPTY = { active: null, keys: [], firstActivatedAt: null };
+
+/**
+ * @returns {Promise<{
+ *   active: { keyId: string, privateKey: crypto.KeyObject, publicKeyPem: string } | null,
+ *   keys: Array<{ keyId: string, publicKey: string, state: string, validFrom: Date|null, validUntil: Date|null }>,
+ *   firstActivatedAt: Date|null,
+ * }>}
+ */
+export async function loadKeyring() {
+  if (cache && Date.now() - cache.at < CACHE_MS) return cache;
+  if (!keyringEnabled()) return EMPTY;
+
+  try {
+    const now = new Date();
+    const rows = await prisma.contractSigningKey.findMany({ orderBy: { createdAt: 'desc' } });
+
+    const activeRow = rows.find((r) => r.state === 'ACTIVE') || null;
+    let active = null;
+    if (activeRow) {
+      active = {
+        keyId: activeRow.keyId,
+        privateKey: crypto.createPrivateKey(decryptCredential(activeRow.privateKeyEnc)),
+        publicKeyPem: activeRow.publicKeyPem,
+      };
+    }
+
+    const rank = { ACTIVE: 0, NEXT: 1, RETIRED: 2 };
+    const keys = rows
+      .filter((r) => r.state !== 'RETIRED' || (r.validUntil && r.validUntil > now))
+      .sort((a, b) => rank[a.state] - rank[b.state])
+      .map((r) => ({
+        keyId: r.keyId,
+        publicKey: r.publicKeyPem,
+        state: r.state.toLowerCase(),
+        validFrom: r.activatedAt || r.validFrom,
+        validUntil: r.validUntil || null,
+      }));
+
+    const activations = rows.map((r) => r.activatedAt).filter(Boolean).sort((a, b) => a - b);
+
+    cache = { at: Date.now(), active, keys, firstActivatedAt: activations[0] || null };
+    return cache;
+  } catch (err) {
+    // Never take signing down with the keyring: serve the last good ring, or
+    // let signing.js fall back to the env key.
+    console.error('[contract/keyring] load failed:', err.message);
+    return cache || EMPTY;
+  }
+}
+
+function toAdmin(row) {
+  return {
+    id: row.id,
+    keyId: row.keyId,
+    state: row.state,
+    publicKey: row.publicKeyPem,
+    validFrom: row.validFrom,
+    validUntil: row.validUntil,
+    activatedAt: row.activatedAt,
+    retiredAt: row.retiredAt,
+    createdBy: row.createdBy,
+    createdAt: row.createdAt,
+    promotable: row.state === 'NEXT' && row.validFrom <= new Date(),
+  };
+}
+
+/** Every stored key for the admin view (private halves never leave). */
+export async function listSigningKeys() {
+  const rows = await prisma.contractSigningKey.findMany({ orderBy: { createdAt: 'desc' } });
+  return rows.map(toAdmin);
+}
+
+/**
+ * Generate a fresh Ed25519 key in state NEXT. It is published immediately and
+ * becomes promotable once the publish lead has passed.
+ */
+export async function createNextKey({ createdBy = null } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+  const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' }).toString();
+
+  const row = await prisma.contractSigningKey.create({
+    data: {
+      keyId: deriveKeyId(publicKeyPem),
+      state: 'NEXT',
+      publicKeyPem,
+      privateKeyEnc: encryptCredential(privatePem),
+      validFrom: new Date(Date.now() + publishLeadMs()),
+      createdBy,
+    },
+  });
+  invalidateKeyring();
+  return toAdmin(row);
+}
+
+class PromoteConflictError extends Error {}
+
+/**
+ * Make a NEXT key the signing key. The current ACTIVE key (if any) retires
+ * with the grace window. Refuses before validFrom unless `force` - forcing
+ * means consumers that pinned the published set may not know the key yet.
+ *
+ * @returns {Promise<{ ok: true, key: object, retired: string|null } | { ok: false, status: number, error: string }>}
+ */
+export async function promoteKey(keyId, { force = false } = {}) {
+  const target = await prisma.contractSigningKey.findUnique({ where: { keyId } });
+  if (!target) return { ok: false, status: 404, error: 'Unknown key' };
+  if (target.state !== 'NEXT') return { ok: false, status: 409, error: `Only a NEXT key can be promoted (key is ${target.state})` };
+  if (!force && target.validFrom > new Date()) {
+    return { ok: false, status: 409, error: `Key is not promotable before ${target.validFrom.toISOString()} (publish lead)` };
+  }
+  // Decrypt up front: a key we cannot load must never become ACTIVE.
+  try {
+    crypto.createPrivateKey(decryptCredential(target.privateKeyEnc));
+  } catch (err) {
+    return { ok: false, status: 500, error: `Key material unreadable: ${err.message}` };
+  }
+
+  // Claim the NEXT key and demote the ACTIVE one in a single transaction; the
+  // conditional claim makes a concurrent promote (of this or another key) abort
+  // instead of leaving two ACTIVE keys behind.
+  const now = new Date();
+  let result;
+  try {
+    result = await prisma.$transaction(async (tx) => {
+      const current = await tx.contractSigningKey.findFirst({ where: { state: 'ACTIVE' } });
+      const claimed = await tx.contractSigningKey.updateMany({
+        where: { id: target.id, state: 'NEXT' },
+        data: { state: 'ACTIVE', activatedAt: now },
+      });
+      if (claimed.count !== 1) throw new PromoteConflictError();
+      if (current) {
+        const demoted = await tx.contractSigningKey.updateMany({
+          where: { id: current.id, state: 'ACTIVE' },
+          data: { state: 'RETIRED', retiredAt: now, validUntil: new Date(now.getTime() + retireGraceMs()) },
+        });
+        if (demoted.count !== 1) throw new PromoteConflictError();
+      }
+      const key = await tx.contractSigningKey.findUnique({ where: { id: target.id } });
+      return { key, retired: current?.keyId || null };
+    });
+  } catch (err) {
+    // P2034: Mongo aborted us on a write conflict with the concurrent promote.
+    if (!(err instanceof PromoteConflictError) && err?.code !== 'P2034') throw err;
+    return { ok: false, status: 409, error: 'Another promotion changed the keyring - reload and try again' };
+  }
+  invalidateKeyring();
+
+  return { ok: true, key: toAdmin(result.key), retired: result.retired };
+}
+
+/**
+ * Retire a NEXT key (withdraw it) or shorten a RETIRED key's grace.
+ * `immediate` unpublishes now - for a compromised key.
+ */
+export async function retireKey(keyId, { immediate = false } = {}) {
+  const key = await prisma.contractSigningKey.findUnique({ where: { keyId } });
+  if (!key) return { ok: false, status: 404, error: 'Unknown key' };
+  if (key.state === 'ACTIVE') {
+    return { ok: false, status: 409, error: 'The ACTIVE key cannot be retired - promote another key first' };
+  }
+
+  const now = new Date();
+  const validUntil = immediate || key.state === 'NEXT'
+    ? now
+    : new Date(Math.min(key.validUntil?.getTime() ?? Infinity, now.getTime() + retireGraceMs()));
+  const row = await prisma.contractSigningKey.update({
+    where: { id: key.id },
+    data: { state: 'RETIRED', retiredAt: key.retiredAt || now, validUntil },
+  });
+  invalidateKeyring();
+  return { ok: true, key: toAdmin(row) };
+}
+
+/** Grace applied to the env key once a keyring key first takes over. */
+export function envKeyGraceMs() {
+  return retireGraceMs();
+}
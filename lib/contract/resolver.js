@@ -10,13 +10,12 @@
  *        ▸ falls back to ▸
  *   sensible defaults (canonical = the page's own URL, robots = index,follow)
  *
- * Redirects come from the platform-managed Redirection table. Everything here
- * is public SEO - no secrets.
+ * Redirects come from the platform-managed Redirection table, compiled by
+ * lib/redirect-rules.js. Everything here is public SEO - no secrets.
  */
 
 import prisma from '@/lib/prisma';
-
-const REDIRECT_CODE = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
+import { compileRules, MAX_MATCH_PATH_LENGTH } from '@/lib/redirect-rules';
 
 /**
  * Normalize a request path: ensure a single leading slash, drop query/hash,
@@ -135,20 +134,47 @@ export async function resolveSeoForPath(site, path) {
 }
 
 /**
- * The platform-managed redirect table for a site, as ready-to-apply rules.
+ * The platform-managed redirect table for a site.
+ *
+ * `redirects` keeps the original { source, destination, statusCode } shape
+ * and only ever holds EXACT rules: deployed SDKs and edge proxies read it as
+ * literal paths (and hand it to Next.js `redirects()`), so a wildcard or
+ * regex source there would be applied as a path or break the build.
+ *
+ * `rules` is every active rule in evaluation order (first match wins). Each
+ * carries `pattern`, a JavaScript regex to run against the path with
+ * `new RegExp(pattern).exec()` (EXACT and WILDCARD patterns are anchored;
+ * REGEX patterns are the member's source as written and match anywhere
+ * unless they anchor themselves), and a `destination` that may use $1..$9
+ * captures; `preserveQuery` says whether to carry the query string over.
+ * Consumers that understand `rules` should ignore `redirects`, and run
+ * non-EXACT patterns only on paths up to `maxPathLength` characters, as the
+ * platform does.
  * @param {{ id: string }} site
+ * @returns {Promise<{ redirects: object[], rules: object[], maxPathLength: number }>}
  */
 export async function resolveRedirects(site) {
   const rows = await prisma.redirection.findMany({
     where: { siteId: site.id, isActive: true },
-    select: { sourceUrl: true, targetUrl: true, type: true },
+    select: { id: true, sourceUrl: true, targetUrl: true, type: true, matchType: true, priority: true, preserveQuery: true },
     orderBy: { updatedAt: 'desc' },
   });
-  return rows.map((r) => ({
-    source: r.sourceUrl,
-    destination: r.targetUrl,
-    statusCode: REDIRECT_CODE[r.type] || 301,
-  }));
+  const compiled = compileRules(rows);
+  return {
+    redirects: compiled
+      .filter((r) => r.matchType === 'EXACT')
+      .map((r) => ({ source: r.source, destination: r.destination, statusCode: r.statusCode })),
+    rules: compiled.map((r) => ({
+      source: r.source,
+      destination: r.destination,
+      statusCode: r.statusCode,
+      matchType: r.matchType,
+      pattern: r.pattern,
+      preserveQuery: r.preserveQuery,
+      priority: r.priority,
+    })),
+    maxPathLength: MAX_MATCH_PATH_LENGTH,
+  };
 }
 
 /**
@@ -158,13 +184,17 @@ export async function resolveRedirects(site) {
  * @param {{ id: string, url: string }} site
  */
 export async function buildManifest(site) {
-  const [latestAudit, redirectCount, overrideAgg] = await Promise.all([
+  const [latestAudit, redirectAgg, overrideAgg] = await Promise.all([
     prisma.siteAudit.findFirst({
       where: { siteId: site.id, status: 'COMPLETED' },
       orderBy: { completedAt: 'desc' },
       select: { id: true, completedAt: true },
     }),
-    prisma.redirection.count({ where: { siteId: site.id, isActive: true } }),
+    prisma.redirection.aggregate({
+      where: { siteId: site.id, isActive: true },
+      _count: { _all: true },
+      _max: { updatedAt: true },
+    }),
     overridesEnabled()
       ? prisma.siteSeoOverride.aggregate({
           where: { siteId: site.id },
@@ -174,11 +204,14 @@ export async function buildManifest(site) {
       : null,
   ]);
 
+  const redirectCount = redirectAgg?._count?._all || 0;
   const overrideCount = overrideAgg?._count?._all || 0;
   const parts = [
     latestAudit?.id || 'noaudit',
     latestAudit?.completedAt ? new Date(latestAudit.completedAt).getTime() : 0,
     `r${redirectCount}`,
+    // Rule edits (pattern, priority, target) don't change the count.
+    redirectAgg?._max?.updatedAt ? new Date(redirectAgg._max.updatedAt).getTime() : 0,
     `o${overrideCount}`,
     overrideAgg?._max?.updatedAt ? new Date(overrideAgg._max.updatedAt).getTime() : 0,
   ];
@@ -0,0 +1,547 @@
+/**
+ * Scheduled, staged SiteSeoOverride rollouts with automatic rollback.
+ *
+ * A plain upsertSeoOverride() goes live for the path on the next SDK/edge
+ * cache refresh. A rollout instead holds a *set* of override changes until
+ * `goLiveAt`, optionally writes only a `stagePercent` sample of the paths
+ * first, and lets GSC decide whether the rest follow:
+ *
+ *   SCHEDULED ──goLiveAt──▶ STAGED (sample live) ──pass──▶ LIVE (all live) ──pass──▶ COMPLETED
+ *                      └──▶ LIVE (no staging)          │                     │
+ *                                                   drop ▼                drop ▼
+ *                                                     ROLLED_BACK ◀──────────┘
+ *
+ * Measurement compares clicks/impressions per day for the changed paths in
+ * the stage window against the control window before go-live, adjusted by
+ * the same change on the site's untouched pages (so a seasonal dip that hits
+ * every page does not count against the rollout). Rolling back restores the
+ * exact override rows captured before each path was first written.
+ *
+ * The final decision is written to AgentFixOutcome, so rollouts show up in
+ * the same track record as the agent's cannibalization fixes
+ * (lib/agent-fix-outcomes.js).
+ */
+
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { normalizePath } from './resolver';
+import { upsertSeoOverride } from './overrides';
+import { fetchGSCPagesInRange, refreshAccessToken } from '@/lib/google-integration';
+import { emitWebhookEvent } from '@/lib/webhooks/delivery';
+
+const OVERRIDE_FIELDS = ['title', 'description', 'canonical', 'robots', 'ogImage', 'jsonLd'];
+const ACTIVE_STATUSES = ['SCHEDULED', 'STAGED', 'LIVE'];
+const MAX_PATHS = 500;
+
+// GSC data lags 2-3 days; never measure a window GSC hasn't filled yet.
+const GSC_LAG_DAYS = 3;
+// Below this many control-window impressions on the changed paths the
+// comparison is noise - the stage passes as 'inconclusive' instead.
+const MIN_CONTROL_IMPRESSIONS = 100;
+// Lease taken on measureAt while a rollout is being evaluated, so an
+// overlapping cron run skips it.
+const EVAL_LEASE_MS = 30 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function fmtDay(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Validate + normalize an override set. Returns { overrides } or { error }.
+ * Later entries for the same path win.
+ */
+export function normalizeRolloutOverrides(input) {
+  if (!Array.isArray(input) || input.length === 0) return { error: 'overrides must be a non-empty array' };
+
+  const byPath = new Map();
+  for (const raw of input) {
+    if (!raw?.path) return { error: 'every override needs a path' };
+    const entry = { path: normalizePath(raw.path) };
+    for (const key of OVERRIDE_FIELDS) {
+      if (raw[key] != null && raw[key] !== '') entry[key] = raw[key];
+    }
+    if (Object.keys(entry).length === 1) return { error: `override for ${entry.path} sets no fields` };
+    byPath.set(entry.path, entry);
+  }
+  if (byPath.size > MAX_PATHS) return { error: `a rollout can change at most ${MAX_PATHS} paths` };
+  return { overrides: [...byPath.values()] };
+}
+
+/**
+ * Deterministic stage sample: paths ordered by a seeded hash, first
+ * ceil(n * percent / 100) taken. Always leaves at least one path for the
+ * second stage when there is more than one path.
+ */
+export function selectStagePaths(paths, percent, seed) {
+  if (!percent || percent >= 100 || paths.length < 2) return [...paths];
+  const count = Math.min(paths.length - 1, Math.max(1, Math.ceil((paths.length * percent) / 100)));
+  const hash = (p) => crypto.createHash('sha1').update(`${seed}:${p}`).digest('hex');
+  return [...paths].sort((a, b) => hash(a).localeCompare(hash(b))).slice(0, count);
+}
+
+/**
+ * Create a SCHEDULED rollout. Refuses paths already owned by another active
+ * rollout on the site - their `previous` snapshots would overwrite each other.
+ */
+export async function scheduleRollout({
+  siteId,
+  accountId,
+  createdBy = null,
+  label = null,
+  overrides,
+  goLiveAt,
+  stagePercent = null,
+  controlWindowDays = 14,
+  measureAfterDays = 7,
+  dropThreshold = 0.2,
+}) {
+  const normalized = normalizeRolloutOverrides(overrides);
+  if (normalized.error) return { ok: false, error: normalized.error };
+
+  const when = goLiveAt ? new Date(goLiveAt) : new Date();
+  if (Number.isNaN(when.getTime())) return { ok: false, error: 'goLiveAt is not a valid date' };
+  if (stagePercent != null && (!Number.isInteger(stagePercent) || stagePercent < 1 || stagePercent > 100)) {
+    return { ok: false, error: 'stagePercent must be an integer between 1 and 100' };
+  }
+  if (!(dropThreshold > 0 && dropThreshold < 1)) return { ok: false, error: 'dropThreshold must be between 0 and 1' };
+  if (!Number.isInteger(controlWindowDays) || controlWindowDays < 7 || controlWindowDays > 90) {
+    return { ok: false, error: 'controlWindowDays must be an integer between 7 and 90' };
+  }
+  if (!Number.isInteger(measureAfterDays) || measureAfterDays < 3 || measureAfterDays > 60) {
+    return { ok: false, error: 'measureAfterDays must be an integer between 3 and 60' };
+  }
+
+  const paths = normalized.overrides.map((o) => o.path);
+  const active = await prisma.overrideRollout.findMany({
+    where: { siteId, status: { in: ACTIVE_STATUSES } },
+    select: { id: true, overrides: true },
+  });
+  const taken = new Set(active.flatMap((r) => (r.overrides || []).map((o) => o.path)));
+  const conflicts = paths.filter((p) => taken.has(p));
+  if (conflicts.length) {
+    return { ok: false, error: 'Some paths already belong to an active rollout', conflicts };
+  }
+
+  const rollout = await prisma.overrideRollout.create({
+    data: {
+      siteId,
+      accountId,
+      createdBy,
+      label,
+      overrides: normalized.overrides,
+      goLiveAt: when,
+      measureAt: when, // doubles as the go-live claim lease
+      stagePercent: stagePercent === 100 ? null : stagePercent,
+      controlWindowDays,
+      measureAfterDays,
+      dropThreshold,
+    },
+  });
+  return { ok: true, rollout };
+}
+
+// ─── Apply / revert ─────────────────────────────────────────────────
+
+function pickFields(row) {
+  if (!row) return null;
+  const out = {};
+  for (const key of OVERRIDE_FIELDS) out[key] = row[key] ?? null;
+  return out;
+}
+
+/**
+ * Snapshot the current override rows for `paths` (first write wins - a path
+ * already in `previous` keeps its original snapshot), then write the
+ * rollout's values. Returns the updated `previous` map.
+ */
+async function applyPaths(rollout, paths) {
+  const previous = { ...(rollout.previous || {}) };
+  const missing = paths.filter((p) => !(p in previous));
+  if (missing.length) {
+    const rows = await prisma.siteSeoOverride.findMany({ where: { siteId: rollout.siteId, path: { in: missing } } });
+    const byPath = new Map(rows.map((r) => [r.path, r]));
+    for (const p of missing) previous[p] = pickFields(byPath.get(p));
+    // Persist the snapshot before the first write, so a failure halfway
+    // through can still be reverted exactly.
+    await prisma.overrideRollout.update({ where: { id: rollout.id }, data: { previous } });
+  }
+
+  const byPath = new Map((rollout.overrides || []).map((o) => [o.path, o]));
+  for (const p of paths) {
+    const { path: _path, ...patch } = byPath.get(p) || {};
+    const res = await upsertSeoOverride(rollout.siteId, p, patch);
+    if (!res.persisted) throw new Error(`Failed to write override for ${p}: ${res.reason}`);
+  }
+  return previous;
+}
+
+/**
+ * Restore every applied path to its pre-rollout state: the captured row, or
+ * no row at all when the path had no override before.
+ */
+async function revertPaths(rollout) {
+  const previous = rollout.previous || {};
+  for (const p of rollout.appliedPaths || []) {
+    if (!(p in previous)) continue; // never captured => never written
+    const before = previous[p];
+    if (before) {
+      await prisma.siteSeoOverride.upsert({
+        where: { siteId_path: { siteId: rollout.siteId, path: p } },
+        update: before,
+        create: { siteId: rollout.siteId, path: p, ...before },
+      });
+    } else {
+      await prisma.siteSeoOverride.deleteMany({ where: { siteId: rollout.siteId, path: p } });
+    }
+  }
+}
+
+// ─── Measurement ────────────────────────────────────────────────────
+
+async function getValidAccessToken(googleIntegration) {
+  if (!googleIntegration) return null;
+  const { accessToken, refreshToken, tokenExpiresAt } = googleIntegration;
+  if (tokenExpiresAt && new Date(tokenExpiresAt) > new Date(Date.now() + 5 * 60 * 1000)) {
+    return accessToken;
+  }
+  if (!refreshToken) return null;
+  try {
+    const result = await refreshAccessToken(refreshToken);
+    await prisma.googleIntegration.update({
+      where: { id: googleIntegration.id },
+      data: { accessToken: result.access_token, tokenExpiresAt: new Date(Date.now() + (result.expires_in - 60) * 1000) },
+    });
+    return result.access_token;
+  } catch {
+    console.error('[OverrideRollouts] Token refresh failed for integration', googleIntegration.id);
+    return null;
+  }
+}
+
+// Sum a GSC page-row window into { changed, rest } buckets, per day.
+function bucket(rows, pathSet, days) {
+  const out = { changed: { clicks: 0, impressions: 0 }, rest: { clicks: 0, impressions: 0 } };
+  for (const row of rows) {
+    const target = pathSet.has(normalizePath(row.page)) ? out.changed : out.rest;
+    target.clicks += row.clicks;
+    target.impressions += row.impressions;
+  }
+  for (const b of [out.changed, out.rest]) {
+    b.clicksPerDay = Math.round((b.clicks / days) * 100) / 100;
+    b.impressionsPerDay = Math.round((b.impressions / days) * 100) / 100;
+  }
+  return out;
+}
+
+function relChange(post, control) {
+  return control > 0 ? (post - control) / control : null;
+}
+
+/**
+ * Compare the current stage window with the control window.
+ * @returns {Promise<{ available: boolean, reason?: string, control?, post?, delta? }>}
+ */
+async function measureStage(rollout) {
+  const site = await prisma.site.findUnique({
+    where: { id: rollout.siteId },
+    include: { googleIntegration: true },
+  });
+  const gi = site?.googleIntegration;
+  if (!gi?.gscConnected || !gi.gscSiteUrl) return { available: false, reason: 'no_gsc' };
+  const accessToken = await getValidAccessToken(gi);
+  if (!accessToken) return { available: false, reason: 'gsc_token' };
+
+  const controlRange = {
+    startDate: fmtDay(addDays(rollout.goLiveAt, -rollout.controlWindowDays)),
+    endDate: fmtDay(addDays(rollout.goLiveAt, -1)),
+  };
+  const postRange = {
+    startDate: fmtDay(rollout.stageStartedAt),
+    endDate: fmtDay(addDays(rollout.stageStartedAt, rollout.measureAfterDays - 1)),
+  };
+
+  const [controlRows, postRows] = await Promise.all([
+    fetchGSCPagesInRange(accessToken, gi.gscSiteUrl, controlRange),
+    fetchGSCPagesInRange(accessToken, gi.gscSiteUrl, postRange),
+  ]);
+
+  const pathSet = new Set(rollout.appliedPaths);
+  const control = { range: controlRange, ...bucket(controlRows, pathSet, rollout.controlWindowDays) };
+  const post = { range: postRange, ...bucket(postRows, pathSet, rollout.measureAfterDays) };
+
+  if (control.changed.impressions < MIN_CONTROL_IMPRESSIONS) {
+    return { available: false, reason: 'low_volume', control, post };
+  }
+
+  // Trend adjustment: subtract the untouched pages' change over the same
+  // windows so site-wide seasonality doesn't read as a rollout regression.
+  const siteClicks = relChange(post.rest.clicksPerDay, control.rest.clicksPerDay) ?? 0;
+  const siteImpressions = relChange(post.rest.impressionsPerDay, control.rest.impressionsPerDay) ?? 0;
+  const clicks = relChange(post.changed.clicksPerDay, control.changed.clicksPerDay);
+  const impressions = relChange(post.changed.impressionsPerDay, control.changed.impressionsPerDay);
+  const round = (v) => (v == null ? null : Math.round(v * 1000) / 1000);
+
+  return {
+    available: true,
+    control,
+    post,
+    delta: {
+      clicks: round(clicks),
+      impressions: round(impressions),
+      siteClicks: round(siteClicks),
+      siteImpressions: round(siteImpressions),
+      adjustedClicks: clicks == null ? null : round(clicks - siteClicks),
+      adjustedImpressions: round(impressions - siteImpressions),
+    },
+  };
+}
+
+function crossedThreshold(delta, threshold) {
+  if (!delta) return false;
+  return (delta.adjustedClicks != null && delta.adjustedClicks <= -threshold)
+    || (delta.adjustedImpressions != null && delta.adjustedImpressions <= -threshold);
+}
+
+// Same verdict vocabulary as lib/agent-fix-outcomes.js judge().
+function verdictFor(decision, measurement) {
+  if (decision === 'rolled_back') return 'regressed';
+  if (!measurement?.available) return 'inconclusive';
+  return (measurement.delta.adjustedClicks ?? 0) >= 0.15 ? 'improved' : 'no_change';
+}
+
+async function recordOutcome(rollout, decision, measurement) {
+  const baseline = measurement?.control
+    ? { ...measurement.control.changed, range: measurement.control.range, windowDays: rollout.controlWindowDays }
+    : { unavailable: true, reason: measurement?.reason || 'not_measured' };
+  const result = measurement?.post
+    ? { ...measurement.post.changed, range: measurement.post.range, windowDays: rollout.measureAfterDays, delta: measurement.delta || null }
+    : { unavailable: true, reason: measurement?.reason || 'not_measured' };
+
+  const site = await prisma.site.findUnique({ where: { id: rollout.siteId }, select: { url: true } });
+  const base = String(site?.url || '').replace(/\/+$/, '');
+  const origin = /^https?:\/\//i.test(base) ? base : `https://${base}`;
+
+  const outcome = await prisma.agentFixOutcome.create({
+    data: {
+      siteId: rollout.siteId,
+      accountId: rollout.accountId,
+      insightType: 'overrideRollout',
+      action: decision === 'rolled_back' ? 'SEO_OVERRIDE_ROLLBACK' : 'SEO_OVERRIDE',
+      affectedUrls: (rollout.appliedPaths || []).map((p) => `${origin}${p === '/' ? '' : p}`),
+      appliedAt: rollout.goLiveAt,
+      measureAt: new Date(),
+      baselineMetrics: baseline,
+      resultMetrics: result,
+      verdict: verdictFor(decision, measurement),
+      measuredAt: new Date(),
+    },
+  });
+  return outcome.id;
+}
+
+// ─── State transitions ──────────────────────────────────────────────
+
+async function goLive(rollout) {
+  // CAS claim: only one cron run may take a SCHEDULED rollout live.
+  const claim = await prisma.overrideRollout.updateMany({
+    where: { id: rollout.id, status: 'SCHEDULED', measureAt: rollout.measureAt },
+    data: { measureAt: new Date(Date.now() + EVAL_LEASE_MS) },
+  });
+  if (claim.count === 0) return 'skipped';
+
+  const all = (rollout.overrides || []).map((o) => o.path);
+  const staged = selectStagePaths(all, rollout.stagePercent, rollout.id);
+  const isStaged = staged.length < all.length;
+  const now = new Date();
+
+  try {
+    const previous = await applyPaths(rollout, staged);
+    await prisma.overrideRollout.update({
+      where: { id: rollout.id },
+      data: {
+        status: isStaged ? 'STAGED' : 'LIVE',
+        stagedPaths: staged,
+        appliedPaths: staged,
+        previous,
+        stageStartedAt: now,
+        measureAt: addDays(now, rollout.measureAfterDays + GSC_LAG_DAYS),
+      },
+    });
+    return isStaged ? 'staged' : 'live';
+  } catch (err) {
+    console.error(`[OverrideRollouts] go-live failed for ${rollout.id}:`, err.message);
+    // Undo whatever part of the stage landed before the failure.
+    const fresh = await prisma.overrideRollout.findUnique({ where: { id: rollout.id } });
+    await revertPaths({ ...fresh, appliedPaths: staged }).catch(() => {});
+    await prisma.overrideRollout.update({
+      where: { id: rollout.id },
+      data: { status: 'FAILED', decisionReason: err.message, measureAt: null, completedAt: new Date() },
+    });
+    return 'failed';
+  }
+}
+
+function emitRolledBack(rollout, reason, delta = null) {
+  return emitWebhookEvent(rollout.accountId, 'fix.rolled_back', {
+    source: 'override_rollout',
+    rolloutId: rollout.id,
+    label: rollout.label || null,
+    reason,
+    paths: rollout.appliedPaths,
+    delta,
+  }, { siteId: rollout.siteId });
+}
+
+async function evaluate(rollout) {
+  const claim = await prisma.overrideRollout.updateMany({
+    where: { id: rollout.id, status: rollout.status, measureAt: rollout.measureAt },
+    data: { measureAt: new Date(Date.now() + EVAL_LEASE_MS) },
+  });
+  if (claim.count === 0) return 'skipped';
+
+  let measurement;
+  try {
+    measurement = await measureStage(rollout);
+  } catch (err) {
+    // GSC outage: retry next run rather than deciding on no data.
+    console.error(`[OverrideRollouts] measurement failed for ${rollout.id}:`, err.message);
+    await prisma.overrideRollout.update({ where: { id: rollout.id }, data: { measureAt: addDays(new Date(), 1) } });
+    return 'deferred';
+  }
+
+  const stage = rollout.status === 'STAGED' ? 'staged' : 'full';
+  const dropped = measurement.available && crossedThreshold(measurement.delta, rollout.dropThreshold);
+  const decision = dropped ? 'rolled_back' : stage === 'staged' ? 'promoted' : 'completed';
+  const entry = {
+    stage,
+    decision,
+    reason: measurement.available ? null : measurement.reason,
+    control: measurement.control || null,
+    post: measurement.post || null,
+    delta: measurement.delta || null,
+    at: new Date().toISOString(),
+  };
+  const metrics = [...(Array.isArray(rollout.metrics) ? rollout.metrics : []), entry];
+
+  if (dropped) {
+    await revertPaths(rollout);
+    const outcomeId = await recordOutcome(rollout, decision, measurement).catch(() => null);
+    const d = measurement.delta;
+    await prisma.overrideRollout.update({
+      where: { id: rollout.id },
+      data: {
+        status: 'ROLLED_BACK',
+        decision,
+        decisionReason: `Traffic drop past ${Math.round(rollout.dropThreshold * 100)}% (clicks ${d.adjustedClicks}, impressions ${d.adjustedImpressions}, trend-adjusted)`,
+        metrics,
+        outcomeId,
+        measureAt: null,
+        completedAt: new Date(),
+      },
+    });
+    await emitRolledBack(rollout, 'traffic_drop', d);
+    return decision;
+  }
+
+  if (decision === 'promoted') {
+    const all = (rollout.overrides || []).map((o) => o.path);
+    const remaining = all.filter((p) => !rollout.appliedPaths.includes(p));
+    const previous = await applyPaths(rollout, remaining);
+    const now = new Date();
+    await prisma.overrideRollout.update({
+      where: { id: rollout.id },
+      data: {
+        status: 'LIVE',
+        decision,
+        previous,
+        appliedPaths: all,
+        metrics,
+        stageStartedAt: now,
+        measureAt: addDays(now, rollout.measureAfterDays + GSC_LAG_DAYS),
+      },
+    });
+    return decision;
+  }
+
+  const outcomeId = await recordOutcome(rollout, decision, measurement).catch(() => null);
+  await prisma.overrideRollout.update({
+    where: { id: rollout.id },
+    data: { status: 'COMPLETED', decision, metrics, outcomeId, measureAt: null, completedAt: new Date() },
+  });
+  return decision;
+}
+
+/**
+ * Cron entry point: take due SCHEDULED rollouts live, then evaluate STAGED /
+ * LIVE rollouts whose measurement window has matured.
+ */
+export async function advanceRollouts({ batchLimit = 50 } = {}) {
+  const now = new Date();
+  const counts = { staged: 0, live: 0, promoted: 0, completed: 0, rolled_back: 0, failed: 0, deferred: 0, skipped: 0 };
+
+  const dueGoLive = await prisma.overrideRollout.findMany({
+    where: { status: 'SCHEDULED', measureAt: { lte: now } },
+    orderBy: { goLiveAt: 'asc' },
+    take: batchLimit,
+  });
+  for (const rollout of dueGoLive) {
+    counts[await goLive(rollout)]++;
+  }
+
+  const dueEval = await prisma.overrideRollout.findMany({
+    where: { status: { in: ['STAGED', 'LIVE'] }, measureAt: { lte: now } },
+    orderBy: { measureAt: 'asc' },
+    take: batchLimit,
+  });
+  for (const rollout of dueEval) {
+    try {
+      counts[await evaluate(rollout)]++;
+    } catch (err) {
+      console.error(`[OverrideRollouts] evaluate failed for ${rollout.id}:`, err.message);
+      counts.failed++;
+    }
+  }
+
+  return { ...counts, dueGoLive: dueGoLive.length, dueEval: dueEval.length };
+}
+
+/**
+ * Cancel a rollout that has not gone live yet.
+ */
+export async function cancelRollout(rolloutId) {
+  const res = await prisma.overrideRollout.updateMany({
+    where: { id: rolloutId, status: 'SCHEDULED' },
+    data: { status: 'CANCELLED', decision: 'cancelled', measureAt: null, completedAt: new Date() },
+  });
+  return res.count > 0;
+}
+
+/**
+ * Manually roll back a rollout that is (or was) live.
+ */
+export async function rollbackRollout(rolloutId, reason = 'manual') {
+  const rollout = await prisma.overrideRollout.findUnique({ where: { id: rolloutId } });
+  if (!rollout || !['STAGED', 'LIVE', 'COMPLETED'].includes(rollout.status)) return false;
+
+  await revertPaths(rollout);
+  const outcomeId = await recordOutcome(rollout, 'rolled_back', null).catch(() => null);
+  await prisma.overrideRollout.update({
+    where: { id: rollout.id },
+    data: {
+      status: 'ROLLED_BACK',
+      decision: 'rolled_back',
+      decisionReason: reason,
+      outcomeId: outcomeId || rollout.outcomeId,
+      measureAt: null,
+      completedAt: new Date(),
+    },
+  });
+  await emitRolledBack(rollout, reason);
+  return true;
+}
@@ -17,13 +17,16 @@
  *   - Without it, a process-stable ephemeral key is generated so local dev
  *     works - but it is NOT valid across instances. A warning is logged.
  *
- * Rotation: the public key is published at /api/public/contract-key with a
- * `keyId` (hash of the public key). Every signed payload carries its `keyId`,
- * so the SDK can pin a set of keys and rotate by shipping a new key before the
- * server starts signing with it.
+ * Rotation: keys are managed in the keyring (lib/contract/keyring.js) with
+ * NEXT / ACTIVE / RETIRED states. Once a keyring key is ACTIVE it signs; until
+ * then the env key above does. /api/public/contract-key publishes every
+ * non-retired key (plus retired keys still inside their grace window) with
+ * validity windows. Every signed payload carries its `keyId`, so the SDK can
+ * pin the published set and sees a NEXT key before the server signs with it.
  */
 
 import crypto from 'crypto';
+import { loadKeyring, deriveKeyId, envKeyGraceMs } from './keyring';
 
 let cached = null;
 
@@ -53,7 +56,7 @@ function loadKey() {
 
   const publicKey = crypto.createPublicKey(privateKey);
   const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
-  const keyId = crypto.createHash('sha256').update(publicKeyPem).digest('hex').slice(0, 16);
+  const keyId = deriveKeyId(publicKeyPem);
 
   cached = { privateKey, publicKey, publicKeyPem, keyId, ephemeral };
   return cached;
@@ -89,7 +92,7 @@ function loadPreviousKeys() {
         .createPublicKey(privateKey)
         .export({ type: 'spki', format: 'pem' })
         .toString();
-      const keyId = crypto.createHash('sha256').update(publicKeyPem).digest('hex').slice(0, 16);
+      const keyId = deriveKeyId(publicKeyPem);
       keys.push({ keyId, publicKeyPem });
     } catch (err) {
       console.warn('[contract/signing] Skipping unparsable previous key:', err?.message);
@@ -99,19 +102,53 @@ function loadPreviousKeys() {
   return keys;
 }
 
+/**
+ * The key signPayload() uses: the keyring's ACTIVE key, else the env key.
+ * @returns {Promise<{ privateKey: crypto.KeyObject, keyId: string, publicKeyPem: string }>}
+ */
+async function getSigningKey() {
+  const ring = await loadKeyring();
+  return ring.active || loadKey();
+}
+
 /**
  * Public key info for the /api/public/contract-key endpoint and the SDK.
- * `keys` lists every currently-trusted verification key (current first, then
- * previous) so consumers can verify across a rotation window.
- * @returns {{ alg: string, keyId: string, publicKeyPem: string, ephemeral: boolean, keys: Array<{keyId: string, publicKey: string}> }}
+ * `keys` lists every currently-trusted verification key - the signing key
+ * first, then NEXT keys, then keys still inside their retirement grace - each
+ * with `state` and a `validFrom` / `validUntil` window (null = open-ended).
+ * The env key is listed as active until a keyring key takes over, then as
+ * retired for the grace window; CONTRACT_SIGNING_PREVIOUS_KEYS stay listed
+ * as retired with no end date.
+ * @returns {Promise<{ alg: string, keyId: string, publicKeyPem: string, ephemeral: boolean, keys: Array<{keyId: string, publicKey: string, state: string, validFrom: Date|null, validUntil: Date|null}> }>}
  */
-export function getPublicKeyInfo() {
-  const { keyId, publicKeyPem, ephemeral } = loadKey();
-  const keys = [
-    { keyId, publicKey: publicKeyPem },
-    ...loadPreviousKeys().map((k) => ({ keyId: k.keyId, publicKey: k.publicKeyPem })),
-  ];
-  return { alg: 'ed25519', keyId, publicKeyPem, ephemeral, keys };
+export async function getPublicKeyInfo() {
+  const env = loadKey();
+  const ring = await loadKeyring();
+  const signer = ring.active || env;
+
+  const keys = [...ring.keys];
+  if (!ring.active) {
+    keys.unshift({ keyId: env.keyId, publicKey: env.publicKeyPem, state: 'active', validFrom: null, validUntil: null });
+  } else if (ring.firstActivatedAt) {
+    const envUntil = new Date(new Date(ring.firstActivatedAt).getTime() + envKeyGraceMs());
+    if (envUntil > new Date()) {
+      keys.push({ keyId: env.keyId, publicKey: env.publicKeyPem, state: 'retired', validFrom: null, validUntil: envUntil });
+    }
+  }
+  for (const k of loadPreviousKeys()) {
+    keys.push({ keyId: k.keyId, publicKey: k.publicKeyPem, state: 'retired', validFrom: null, validUntil: null });
+  }
+
+  const seen = new Set();
+  const unique = keys.filter((k) => (seen.has(k.keyId) ? false : seen.add(k.keyId)));
+
+  return {
+    alg: 'ed25519',
+    keyId: signer.keyId,
+    publicKeyPem: signer.publicKeyPem,
+    ephemeral: !ring.active && env.ephemeral,
+    keys: unique,
+  };
 }
 
 /**
@@ -121,10 +158,10 @@ export function getPublicKeyInfo() {
  *
  * @param {any} data
  * @param {{ ttlSeconds?: number }} [opts]
- * @returns {{ data: any, keyId: string, alg: string, issuedAt: number, expiresAt: number, signature: string|null }}
+ * @returns {Promise<{ data: any, keyId: string, alg: string, issuedAt: number, expiresAt: number, signature: string|null }>}
  */
-export function signPayload(data, { ttlSeconds = 600 } = {}) {
-  const { privateKey, keyId } = loadKey();
+export async function signPayload(data, { ttlSeconds = 600 } = {}) {
+  const { privateKey, keyId } = await getSigningKey();
   const issuedAt = Math.floor(Date.now() / 1000);
   const expiresAt = issuedAt + ttlSeconds;
   const meta = { keyId, alg: 'ed25519', issuedAt, expiresAt };
@@ -137,18 +174,24 @@ export function signPayload(data, { ttlSeconds = 600 } = {}) {
 }
 
 /**
- * Verify a signed envelope against the current (or a supplied) public key.
- * Mirrors what the SDK does; also used by tests. Does NOT check expiry - the
- * caller decides how strict to be about `expiresAt`.
+ * Verify a signed envelope against a supplied public key, or - by default -
+ * the published key matching the envelope's keyId. Mirrors what the SDK
+ * does; also used by tests. Does NOT check expiry - the caller decides how
+ * strict to be about `expiresAt`.
  *
  * @param {{ data: any, keyId: string, alg: string, issuedAt: number, expiresAt: number, signature: string }} envelope
- * @param {string} [publicKeyPem] - defaults to the server's current public key
- * @returns {boolean}
+ * @param {string} [publicKeyPem] - defaults to the published key for envelope.keyId
+ * @returns {Promise<boolean>}
  */
-export function verifyPayload(envelope, publicKeyPem) {
+export async function verifyPayload(envelope, publicKeyPem) {
   try {
     if (!envelope || !envelope.signature || envelope.alg !== 'ed25519') return false;
-    const pubPem = publicKeyPem || loadKey().publicKeyPem;
+    let pubPem = publicKeyPem;
+    if (!pubPem) {
+      const { keys } = await getPublicKeyInfo();
+      pubPem = keys.find((k) => k.keyId === envelope.keyId)?.publicKey;
+      if (!pubPem) return false;
+    }
     const pub = crypto.createPublicKey(pubPem);
     const signingInput = canonicalJSON({
       data: envelope.data,
@@ -14,7 +14,9 @@
  *
  * One live request per keyword (the live endpoint takes a single task), so
  * callers are expected to cache results and cap batch sizes — see
- * /api/keywords/serp-position.
+ * /api/keywords/serp-position. Scheduled tracking (lib/rank-tracking.js)
+ * uses checkKeywordSerp, which reads SERP features and competitor ranks
+ * from the same response.
  */
 
 const BASE_URL = 'https://api.dataforseo.com';
@@ -227,26 +229,57 @@ function domainMatches(itemDomain, targetHost) {
   return host === targetHost || host.endsWith(`.${targetHost}`);
 }
 
+// How many organic URLs a snapshot keeps for SERP-overlap clustering.
+export const TOP_URLS = 10;
+
 /**
- * Check where `siteUrl`'s domain ranks in Google results for one keyword.
- *
- * Returns { position, url, inLocalPack, localPackPosition }:
- *  - position / url: the site's best organic result (rank_group = organic-only
- *    counting), or null when not in the top SERP_DEPTH organic results.
- *  - inLocalPack: true when the domain appears in the local (map) pack —
- *    local-intent keywords often surface a site there even when its organic
- *    rank is poor or absent.
- *  - localPackPosition: 1-based position inside the pack (usually 1-3), or
- *    null when not in the pack (or the API omitted the rank).
- *
- * Throws on API/network failure.
+ * Comparable form of a result URL: host without www, path without trailing
+ * slash, no scheme / query / hash. "https://www.x.com/a/?p=1" → "x.com/a".
+ * Used to compare SERPs with each other and with SiteEntity URLs.
  */
-export async function checkKeywordRank({ keyword, siteUrl, locationCode, languageCode }) {
-  const targetHost = normalizeHost(siteUrl);
-  if (!targetHost) {
-    throw new Error(`Cannot derive target host from site URL: ${siteUrl}`);
+export function serpUrlKey(url) {
+  if (!url) return null;
+  try {
+    const u = new URL(url);
+    let path = u.pathname;
+    // Non-Latin slugs arrive percent-encoded from some sources and raw from others
+    try { path = decodeURI(path); } catch { /* keep encoded */ }
+    path = path.replace(/\/+$/, '');
+    return `${u.hostname.replace(/^www\./i, '').toLowerCase()}${path}`;
+  } catch {
+    return null;
   }
+}
 
+// SERP features we record on each snapshot. DataForSEO item type → our key.
+export const SERP_FEATURES = {
+  featured_snippet: 'featured_snippet',
+  people_also_ask: 'people_also_ask',
+  ai_overview: 'ai_overview',
+  local_pack: 'local_pack',
+  video: 'video',
+  short_videos: 'video',
+};
+
+// Every domain a SERP item cites: its own domain, AI-overview references,
+// expanded PAA answers and carousel entries (video, short_videos).
+function itemDomains(item) {
+  const out = [];
+  const add = (d, url) => {
+    const host = d || normalizeHost(url);
+    if (host) out.push(host);
+  };
+  add(item.domain, item.url);
+  for (const ref of item.references || []) add(ref.domain, ref.url);
+  for (const sub of item.items || []) {
+    add(sub.domain, sub.url);
+    for (const el of sub.expanded_element || []) add(el.domain, el.url);
+    for (const ref of sub.references || []) add(ref.domain, ref.url);
+  }
+  return out;
+}
+
+async function fetchSerpItems({ keyword, locationCode, languageCode }) {
   const body = [{
     keyword,
     location_code: locationCode,
@@ -277,7 +310,7 @@ export async function checkKeywordRank({ keyword, siteUrl, locationCode, languag
     throw new Error(`DataForSEO error ${json.status_code}: ${json.status_message}`);
   }
   const task = Array.isArray(json.tasks) ? json.tasks[0] : null;
-  if (!task) return { position: null, url: null, inLocalPack: false, localPackPosition: null };
+  if (!task) return [];
   if (task.status_code !== 20000) {
     // 40200 Payment Required = account out of balance. The task didn't run, so
     // this isn't "site not found" — bubble it up distinctly.
@@ -285,37 +318,109 @@ export async function checkKeywordRank({ keyword, siteUrl, locationCode, languag
     throw new Error(`DataForSEO task error ${task.status_code}: ${task.status_message}`);
   }
   const result = Array.isArray(task.result) ? task.result[0] : null;
-  const items = Array.isArray(result?.items) ? result.items : [];
+  return Array.isArray(result?.items) ? result.items : [];
+}
 
+// rank_group is the position counting same-type items only (what a user
+// scrolling the page sees as "1st, 2nd…" organic result, or the slot inside
+// the map pack); rank_absolute also counts ads and SERP features, inflating
+// the number. Prefer rank_group; fall back for organic only — an absolute
+// rank would be meaningless as a within-pack position.
+function organicRank(item) {
+  if (!item) return null;
+  if (typeof item.rank_group === 'number') return item.rank_group;
+  return typeof item.rank_absolute === 'number' ? item.rank_absolute : null;
+}
+
+/**
+ * Read one SERP: where the target host ranks, which SERP features are on
+ * the page (and which of them cite the target), and the best organic
+ * position of each competitor host.
+ */
+function analyzeSerp(items, targetHost, competitorHosts = []) {
   // Items arrive in SERP order, so the first match per type is the best one.
   let organic = null;
   let localPack = null;
+  const features = new Set();
+  const ownFeatures = new Set();
+  const competitors = new Map();
+  const topUrls = [];
+
   for (const item of items) {
-    if (item.type === 'organic' && !organic && domainMatches(item.domain, targetHost)) {
-      organic = item;
+    const feature = SERP_FEATURES[item.type];
+    if (feature) {
+      features.add(feature);
+      if (itemDomains(item).some((d) => domainMatches(d, targetHost))) ownFeatures.add(feature);
+    }
+
+    if (item.type === 'organic') {
+      const key = serpUrlKey(item.url);
+      if (key && topUrls.length < TOP_URLS && !topUrls.includes(key)) topUrls.push(key);
+      if (!organic && domainMatches(item.domain, targetHost)) organic = item;
+      for (const host of competitorHosts) {
+        if (!competitors.has(host) && domainMatches(item.domain, host)) {
+          competitors.set(host, { domain: host, position: organicRank(item), url: item.url || null });
+        }
+      }
     } else if (item.type === 'local_pack' && !localPack && domainMatches(item.domain, targetHost)) {
       localPack = item;
     }
-    if (organic && localPack) break;
   }
 
-  // rank_group is the position counting same-type items only (what a user
-  // scrolling the page sees as "1st, 2nd…" organic result, or the slot inside
-  // the map pack); rank_absolute also counts ads and SERP features, inflating
-  // the number. Prefer rank_group; fall back for organic only — an absolute
-  // rank would be meaningless as a within-pack position.
-  const position = organic
-    ? (typeof organic.rank_group === 'number'
-        ? organic.rank_group
-        : (typeof organic.rank_absolute === 'number' ? organic.rank_absolute : null))
-    : null;
-
   return {
-    position,
+    position: organicRank(organic),
     url: organic?.url || null,
     inLocalPack: Boolean(localPack),
     localPackPosition: typeof localPack?.rank_group === 'number' ? localPack.rank_group : null,
+    features: [...features],
+    ownFeatures: [...ownFeatures],
+    topUrls,
+    // Competitors not in the top SERP_DEPTH are listed with position null.
+    competitors: competitorHosts.map((host) => competitors.get(host) || { domain: host, position: null, url: null }),
   };
 }
 
-export const __testables = { normalizeHost, domainMatches, getLocationCode, getLanguageCode, resolveGeo, toIso2, iso2FromTld };
+/**
+ * Check where `siteUrl`'s domain ranks in Google results for one keyword.
+ *
+ * Returns { position, url, inLocalPack, localPackPosition, topUrls }:
+ *  - position / url: the site's best organic result (rank_group = organic-only
+ *    counting), or null when not in the top SERP_DEPTH organic results.
+ *  - inLocalPack: true when the domain appears in the local (map) pack —
+ *    local-intent keywords often surface a site there even when its organic
+ *    rank is poor or absent.
+ *  - localPackPosition: 1-based position inside the pack (usually 1-3), or
+ *    null when not in the pack (or the API omitted the rank).
+ *  - topUrls: the first TOP_URLS organic result URLs (serpUrlKey form), kept
+ *    on the snapshot for SERP-overlap clustering (lib/keyword-clustering.js).
+ *
+ * Throws on API/network failure.
+ */
+export async function checkKeywordRank({ keyword, siteUrl, locationCode, languageCode }) {
+  const { position, url, inLocalPack, localPackPosition, topUrls } = await checkKeywordSerp({
+    keyword, siteUrl, locationCode, languageCode,
+  });
+  return { position, url, inLocalPack, localPackPosition, topUrls };
+}
+
+/**
+ * Full SERP read for scheduled rank tracking: everything checkKeywordRank
+ * returns, plus
+ *  - features: SERP_FEATURES present on the page
+ *  - ownFeatures: the subset that shows or cites the site
+ *  - competitors: [{ domain, position, url }] for each of `competitorUrls`
+ *    (best organic rank, null when outside the top SERP_DEPTH)
+ *
+ * Costs the same single live request as checkKeywordRank.
+ */
+export async function checkKeywordSerp({ keyword, siteUrl, locationCode, languageCode, competitorUrls = [] }) {
+  const targetHost = normalizeHost(siteUrl);
+  if (!targetHost) {
+    throw new Error(`Cannot derive target host from site URL: ${siteUrl}`);
+  }
+  const competitorHosts = [...new Set(competitorUrls.map(normalizeHost).filter((h) => h && h !== targetHost))];
+  const items = await fetchSerpItems({ keyword, locationCode, languageCode });
+  return analyzeSerp(items, targetHost, competitorHosts);
+}
+
+export const __testables = { normalizeHost, domainMatches, getLocationCode, getLanguageCode, resolveGeo, toIso2, iso2FromTld, analyzeSerp, itemDomains, serpUrlKey };
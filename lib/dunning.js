@@ -0,0 +1,366 @@
+/**
+ * Dunning policy — what happens after a renewal charge fails.
+ *
+ * Timeline, measured from Subscription.pastDueSince (first failed renewal):
+ *
+ *   day 0 ── retries at retryOffsetsDays ──┐
+ *   ├── grace (graceDays)   ── features stay on, status PAST_DUE
+ *   ├── read-only (readOnlyDays) ── account can view but not change anything
+ *   └── final action        ── downgrade to the free fallback plan (or cancel)
+ *
+ * Read-only is enforced in two places: getCurrentAccountMember refuses
+ * every mutating API request of the account (blocksWhileReadOnly lists what
+ * stays open - paying, and the user's own profile and support tickets), and
+ * the enforce* gates in lib/account-limits.js refuse new resources and AI
+ * credit spend wherever they run, including routes that authorize some other
+ * way and background workers.
+ *
+ * A successful retry at any point returns the subscription to ACTIVE and
+ * clears the dunning state. Each step names the billing email it sends
+ * (DUNNING_EMAILS key, or 'none').
+ *
+ * The platform-wide policy lives in the DunningPolicy collection (one doc,
+ * key='default'); defaults below apply until an admin saves one. When a
+ * subscription enters PAST_DUE it snapshots the policy into
+ * Subscription.dunningPolicy, so editing the policy never shifts a timeline
+ * already in progress.
+ *
+ * Used by:
+ *   - lib/billing-engine.js               (enter / exit dunning on charge)
+ *   - /api/cron/billing/retry-past-due    (retries, read-only notice, final action)
+ *   - lib/account-limits.js               (read-only gate)
+ *   - /api/admin/subscriptions, /api/admin/dunning-policy
+ */
+
+import prisma from '@/lib/prisma';
+import { sendEmail } from '@/lib/mailer';
+import { chargeRenewalFinalFailed, dunningReadOnlyNotice, dunningDowngradedNotice } from '@/lib/billing-emails';
+import { emitSubscriptionUpdated } from '@/lib/webhooks/delivery';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_KEY = 'default';
+const MAX_RETRIES = 10;
+const MAX_WINDOW_DAYS = 90;
+
+// Billing emails a dunning step can send. 'renewal_failed' goes out from
+// the billing engine (it needs the charge result); the other two from here.
+export const DUNNING_EMAILS = ['renewal_failed', 'read_only_notice', 'final_notice', 'none'];
+export const FINAL_ACTIONS = ['downgrade', 'cancel'];
+
+// API routes a read-only account can still write to: settling or changing
+// the subscription, and what belongs to the user rather than the account.
+const READ_ONLY_EXEMPT_ROUTES = [
+  '/api/payment',
+  '/api/payment-methods',
+  '/api/subscription',
+  '/api/account/subscription',
+  '/api/auth',
+  '/api/user',
+  '/api/user-preferences',
+  '/api/notifications',
+  '/api/push',
+  '/api/support',
+];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Matches the pre-policy hard-wired schedule: retries 1, 3 and 5 days apart.
+export const DEFAULT_DUNNING_POLICY = {
+  retryOffsetsDays: [1, 4, 9],
+  graceDays: 7,
+  readOnlyDays: 7,
+  // Index 0 = the initial failed charge, then one entry per retry.
+  attemptEmails: ['renewal_failed', 'renewal_failed', 'renewal_failed', 'renewal_failed'],
+  readOnlyEmail: 'read_only_notice',
+  finalEmail: 'final_notice',
+  finalAction: 'downgrade',
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_DUNNING_POLICY);
+
+function pickPolicy(source) {
+  return Object.fromEntries(POLICY_FIELDS.map((f) => [f, source[f]]));
+}
+
+/**
+ * Validate an admin update. Missing fields keep their current value.
+ *
+ * @param {object} input
+ * @param {object} [current=DEFAULT_DUNNING_POLICY]
+ * @returns {{ ok: true, data: object } | { ok: false, error: string }}
+ */
+export function normalizeDunningPolicy(input, current = DEFAULT_DUNNING_POLICY) {
+  if (!input || typeof input !== 'object') return { ok: false, error: 'Invalid body' };
+  const data = pickPolicy({ ...current, ...input });
+
+  if (!Array.isArray(data.retryOffsetsDays) || data.retryOffsetsDays.length > MAX_RETRIES) {
+    return { ok: false, error: `retryOffsetsDays must be an array of at most ${MAX_RETRIES} day offsets` };
+  }
+  const offsets = data.retryOffsetsDays.map(Number);
+  for (let i = 0; i < offsets.length; i++) {
+    if (!Number.isInteger(offsets[i]) || offsets[i] < 1) return { ok: false, error: 'retryOffsetsDays must be positive whole days' };
+    if (i > 0 && offsets[i] <= offsets[i - 1]) return { ok: false, error: 'retryOffsetsDays must be strictly increasing' };
+  }
+  data.retryOffsetsDays = offsets;
+
+  for (const field of ['graceDays', 'readOnlyDays']) {
+    const n = Number(data[field]);
+    if (!Number.isInteger(n) || n < 0) return { ok: false, error: `${field} must be a non-negative whole number of days` };
+    data[field] = n;
+  }
+  const windowDays = data.graceDays + data.readOnlyDays;
+  if (windowDays > MAX_WINDOW_DAYS) return { ok: false, error: `graceDays + readOnlyDays cannot exceed ${MAX_WINDOW_DAYS}` };
+  if (offsets.length && offsets[offsets.length - 1] > windowDays) {
+    return { ok: false, error: 'The last retry must fall within graceDays + readOnlyDays' };
+  }
+
+  // One email per attempt: pad with the last configured entry, trim extras.
+  const emails = Array.isArray(data.attemptEmails) ? data.attemptEmails : [];
+  const attempts = offsets.length + 1;
+  data.attemptEmails = Array.from({ length: attempts }, (_, i) => emails[i] ?? emails[emails.length - 1] ?? 'renewal_failed');
+  for (const field of ['attemptEmails', 'readOnlyEmail', 'finalEmail']) {
+    const values = field === 'attemptEmails' ? data[field] : [data[field]];
+    if (values.some((v) => !DUNNING_EMAILS.includes(v))) {
+      return { ok: false, error: `${field} must be one of: ${DUNNING_EMAILS.join(', ')}` };
+    }
+  }
+
+  if (!FINAL_ACTIONS.includes(data.finalAction)) {
+    return { ok: false, error: `finalAction must be one of: ${FINAL_ACTIONS.join(', ')}` };
+  }
+  return { ok: true, data };
+}
+
+/**
+ * The current platform policy (defaults when none was saved).
+ * @returns {Promise<object>}
+ */
+export async function loadDunningPolicy() {
+  const row = await prisma.dunningPolicy.findUnique({ where: { key: POLICY_KEY } });
+  return row ? pickPolicy(row) : { ...DEFAULT_DUNNING_POLICY };
+}
+
+/**
+ * Persist a validated policy (see normalizeDunningPolicy).
+ */
+export async function saveDunningPolicy(data, { updatedBy = null } = {}) {
+  const row = await prisma.dunningPolicy.upsert({
+    where: { key: POLICY_KEY },
+    create: { key: POLICY_KEY, ...data, updatedBy },
+    update: { ...data, updatedBy },
+  });
+  return pickPolicy(row);
+}
+
+/**
+ * The policy a past-due subscription runs under: its snapshot, else current.
+ */
+function policyFor(sub, fallbackPolicy) {
+  return sub.dunningPolicy ? { ...DEFAULT_DUNNING_POLICY, ...sub.dunningPolicy } : fallbackPolicy;
+}
+
+/**
+ * Where a subscription sits in its dunning timeline.
+ *
+ * @param {object} sub - Subscription (status, renewalRetryCount, pastDueSince,
+ *   dunningPolicy, dunningReadOnlyAt, lastRenewalAttemptAt, updatedAt)
+ * @param {object} [policy] - current platform policy, used when the sub has no snapshot
+ * @param {Date} [now]
+ * @returns {null | {
+ *   stage: 'grace'|'read_only'|'final',
+ *   readOnly: boolean, pastDueSince: Date, attempts: number, maxAttempts: number,
+ *   nextRetryAt: Date|null, graceEndsAt: Date, finalActionAt: Date, finalAction: string,
+ *   steps: Array<{ kind: 'retry'|'read_only'|'final', at: Date, email: string, attempt?: number, action?: string, done: boolean }>,
+ * }} null when the subscription isn't past due.
+ */
+export function getDunningTimeline(sub, policy = DEFAULT_DUNNING_POLICY, now = new Date()) {
+  if (!sub || sub.status !== 'PAST_DUE') return null;
+  const p = policyFor(sub, policy);
+
+  // Subs that went past due before pastDueSince existed: best available anchor.
+  const start = new Date(sub.pastDueSince || sub.lastRenewalAttemptAt || sub.updatedAt || now);
+  const at = (days) => new Date(start.getTime() + days * DAY_MS);
+  const attempts = Math.max(1, sub.renewalRetryCount || 0);
+  const maxAttempts = p.retryOffsetsDays.length + 1;
+
+  const graceEndsAt = at(p.graceDays);
+  const finalActionAt = at(p.graceDays + p.readOnlyDays);
+  const nextRetryAt = attempts < maxAttempts ? at(p.retryOffsetsDays[attempts - 1]) : null;
+
+  // The final action doesn't wait on retries that never ran (no card on
+  // file, deferred) — the last offset is validated to fall inside the window.
+  let stage = 'grace';
+  if (now >= finalActionAt) stage = 'final';
+  else if (now >= graceEndsAt) stage = 'read_only';
+
+  const steps = [
+    ...p.retryOffsetsDays.map((days, i) => ({
+      kind: 'retry', attempt: i + 2, at: at(days), email: p.attemptEmails[i + 1] || 'none', done: attempts >= i + 2,
+    })),
+    { kind: 'read_only', at: graceEndsAt, email: p.readOnlyEmail, done: !!sub.dunningReadOnlyAt },
+    { kind: 'final', at: finalActionAt, action: p.finalAction, email: p.finalEmail, done: false },
+  ].sort((a, b) => a.at - b.at);
+
+  return {
+    stage,
+    readOnly: stage !== 'grace',
+    pastDueSince: start,
+    attempts,
+    maxAttempts,
+    nextRetryAt,
+    graceEndsAt,
+    finalActionAt,
+    finalAction: p.finalAction,
+    steps,
+  };
+}
+
+/**
+ * Fields to write when a renewal fails. Snapshots the policy on the first
+ * failure of a dunning cycle; later failures keep the existing snapshot.
+ */
+export async function buildDunningEntryData(sub, now = new Date()) {
+  if (sub.status === 'PAST_DUE' && sub.pastDueSince) return {};
+  return {
+    pastDueSince: now,
+    dunningPolicy: await loadDunningPolicy(),
+    dunningReadOnlyAt: null,
+  };
+}
+
+// Fields that reset when a subscription leaves dunning (paid or finalized).
+export const DUNNING_EXIT_DATA = {
+  pastDueSince: null,
+  dunningPolicy: null,
+  dunningReadOnlyAt: null,
+};
+
+/**
+ * The policy a subscription's dunning runs under (snapshot, else current).
+ */
+export async function resolveDunningPolicy(sub) {
+  return sub.dunningPolicy ? policyFor(sub) : loadDunningPolicy();
+}
+
+/**
+ * The billing-email key for a failed attempt (1 = initial charge).
+ */
+export function attemptEmailFor(policy, attempt) {
+  return policy.attemptEmails[attempt - 1] || 'none';
+}
+
+/**
+ * Is the account in the read-only window? Used by getCurrentAccountMember
+ * for mutating requests and by the account-limits gates.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function isAccountReadOnly(accountId) {
+  if (!accountId) return false;
+  const sub = await prisma.subscription.findUnique({
+    where: { accountId },
+    select: {
+      status: true, renewalRetryCount: true, pastDueSince: true, dunningPolicy: true,
+      dunningReadOnlyAt: true, lastRenewalAttemptAt: true, updatedAt: true,
+    },
+  });
+  if (sub?.status !== 'PAST_DUE') return false;
+  const timeline = getDunningTimeline(sub, await loadDunningPolicy());
+  return !!timeline?.readOnly;
+}
+
+/**
+ * Whether read-only mode refuses an API request: any mutating method outside
+ * READ_ONLY_EXEMPT_ROUTES.
+ *
+ * @param {string} method
+ * @param {string} path - URL path, e.g. '/api/sites/123'
+ * @returns {boolean}
+ */
+export function blocksWhileReadOnly(method, path) {
+  if (!MUTATING_METHODS.includes(String(method).toUpperCase())) return false;
+  return !READ_ONLY_EXEMPT_ROUTES.some((route) => path === route || path.startsWith(`${route}/`));
+}
+
+// ─── Cron steps ─────────────────────────────────────────────────────
+
+function billingContact(sub) {
+  const account = sub.account;
+  const paymentMethod = account?.paymentMethods?.find((pm) => pm.isDefault) || account?.paymentMethods?.[0] || null;
+  return {
+    ownerEmail: account?.billingEmail || paymentMethod?.ownerEmail || '',
+    language: account?.defaultLanguage || 'HE',
+    paymentMethod,
+    baseUrl: process.env.NEXT_PUBLIC_APP_URL || process.env.NEXTAUTH_URL || '',
+  };
+}
+
+/**
+ * Enter read-only mode: stamp dunningReadOnlyAt (once) and send the
+ * configured email. Sub must include `plan` and `account.paymentMethods`.
+ */
+export async function markReadOnly(sub, timeline, now = new Date()) {
+  await prisma.subscription.update({
+    where: { id: sub.id },
+    data: { dunningReadOnlyAt: now },
+  });
+
+  const step = timeline.steps.find((s) => s.kind === 'read_only');
+  const { ownerEmail, language, paymentMethod, baseUrl } = billingContact(sub);
+  if (step?.email === 'read_only_notice' && ownerEmail) {
+    try {
+      const tpl = dunningReadOnlyNotice({
+        productName: sub.plan?.name || 'subscription',
+        reason: sub.renewalFailureMessage,
+        finalActionAt: timeline.finalActionAt,
+        finalAction: timeline.finalAction,
+        paymentMethod,
+        updateCardUrl: `${baseUrl}/dashboard/settings?tab=payment-methods`,
+        lang: language,
+      });
+      await sendEmail({ to: ownerEmail, ...tpl });
+    } catch (e) {
+      console.error('[Dunning] read-only email failed:', e);
+    }
+  }
+}
+
+/**
+ * Run the policy's final action. Downgrade falls back to cancel when no
+ * free fallback plan is configured. Sub must include `plan` and
+ * `account.paymentMethods`.
+ *
+ * @returns {Promise<'downgraded'|'canceled'>}
+ */
+export async function runFinalAction(sub, timeline, now = new Date()) {
+  let outcome = 'canceled';
+  if (timeline.finalAction === 'downgrade') {
+    // Lazy import — billing-engine imports this module.
+    const { downgradeToFreeFallback } = await import('@/lib/billing-engine');
+    const result = await downgradeToFreeFallback(prisma, sub, now);
+    if (result.ok) outcome = 'downgraded';
+    else console.warn(`[Dunning] no free fallback plan — canceling ${sub.id} instead`);
+  }
+  if (outcome === 'canceled') {
+    await prisma.subscription.update({
+      where: { id: sub.id },
+      data: { status: 'CANCELED', canceledAt: now, ...DUNNING_EXIT_DATA },
+    });
+    await emitSubscriptionUpdated(sub, { status: 'CANCELED' }, 'dunning_canceled');
+  }
+
+  const { ownerEmail, language, paymentMethod, baseUrl } = billingContact(sub);
+  const finalStep = timeline.steps.find((s) => s.kind === 'final');
+  if (finalStep?.email === 'final_notice' && ownerEmail) {
+    try {
+      const productName = sub.plan?.name || 'subscription';
+      const reactivateUrl = `${baseUrl}/dashboard/settings?tab=subscription`;
+      const tpl = outcome === 'downgraded'
+        ? dunningDowngradedNotice({ productName, reason: sub.renewalFailureMessage, paymentMethod, upgradeUrl: reactivateUrl, lang: language })
+        : chargeRenewalFinalFailed({ productName, reason: sub.renewalFailureMessage, paymentMethod, reactivateUrl, lang: language });
+      await sendEmail({ to: ownerEmail, ...tpl });
+    } catch (e) {
+      console.error('[Dunning] final email failed:', e);
+    }
+  }
+  return outcome;
+}
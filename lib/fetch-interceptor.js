@@ -14,6 +14,19 @@ export function registerAutoLogoutHandler(handler) {
   autoLogoutHandler = handler;
 }
 
+/**
+ * A 401 that refuses a write to a read-only (past due) account rather than
+ * the session - the user is still signed in.
+ */
+async function isReadOnlyRefusal(response) {
+  try {
+    const body = await response.clone().json();
+    return body?.error === "ACCOUNT_READ_ONLY";
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Enhanced fetch that intercepts 401 responses
  * Use this instead of native fetch for authenticated requests
@@ -28,7 +41,7 @@ export async function authenticatedFetch(url, options = {}) {
   // Only auto-logout on 401 (unauthenticated).
   // 403 (forbidden) means the user IS authenticated but lacks permission
   // (e.g. plan limit reached, billing permission) - do NOT log out.
-  if (response.status === 401 && autoLogoutHandler) {
+  if (response.status === 401 && autoLogoutHandler && !(await isReadOnlyRefusal(response))) {
     console.log("Triggering auto logout from interceptor (401)");
     // Clone the response so we can still return it
     const clonedResponse = response.clone();
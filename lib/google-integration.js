@@ -1057,6 +1057,58 @@ export async function fetchGSCPageMetrics(accessToken, siteUrl, pageUrl, days =
   };
 }
 
+/**
+ * Fetch GSC clicks/impressions per page for an explicit date range.
+ * Paginates through every page row (capped at maxRows) so callers can sum
+ * arbitrary page sets and the site total from one consistent query.
+ * @param {string} accessToken
+ * @param {string} siteUrl - GSC property URL
+ * @param {{startDate: string, endDate: string}} range - YYYY-MM-DD, inclusive
+ * @param {number} maxRows - Safety cap on total rows fetched
+ * @returns {Promise<Array<{page: string, clicks: number, impressions: number}>>}
+ */
+export async function fetchGSCPagesInRange(accessToken, siteUrl, range, maxRows = 100000) {
+  const rows = [];
+  const rowLimit = 25000;
+  let startRow = 0;
+
+  while (startRow < maxRows) {
+    const res = await fetch(
+      `https://www.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          startDate: range.startDate,
+          endDate: range.endDate,
+          dimensions: ['page'],
+          rowLimit,
+          startRow,
+        }),
+      }
+    );
+    if (!res.ok) {
+      console.error('[Google Integration] GSC pages-in-range failed:', res.status);
+      if (res.status === 401 || res.status === 403) {
+        throw new Error(`GSC pages-in-range auth error ${res.status}`);
+      }
+      break;
+    }
+    const data = await res.json();
+    const batch = data.rows || [];
+    for (const row of batch) {
+      rows.push({ page: row.keys[0], clicks: row.clicks || 0, impressions: row.impressions || 0 });
+    }
+    if (batch.length < rowLimit) break;
+    startRow += rowLimit;
+  }
+
+  return rows;
+}
+
 /**
  * Fetch GSC search analytics data (clicks, impressions, CTR, position)
  * @param {string} accessToken
@@ -2,8 +2,8 @@ import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
 import { SESSION_TTL_MS } from '@/lib/impersonation';
+import { getSessionUserId } from '@/lib/auth-session';
 
-export const SESSION_COOKIE = 'user_session';
 export const IMPERSONATION_COOKIE = 'impersonation_session';
 
 /**
@@ -25,12 +25,20 @@ export const FULL_SCOPE_DENYLIST = [
   // own access to extend a session.
   { prefix: '/api/support/impersonation-grants', methods: '*' },
 
-  // Auth-sensitive surfaces - password, email, 2FA, account deletion.
+  // Auth-sensitive surfaces - password, email, 2FA, SSO, account deletion.
   { prefix: '/api/auth/account/set-password', methods: '*' },
   { prefix: '/api/auth/account/create', methods: '*' },
+  { prefix: '/api/user/sessions', methods: '*' },
+  { prefix: '/api/user/two-factor', methods: '*' },
+  { prefix: '/api/account/security', methods: ['PUT'] },
+  { prefix: '/api/account/sso', methods: ['PUT', 'POST', 'DELETE'] },
   { prefix: '/api/account/delete', methods: '*' },
   { prefix: '/api/account/transfer', methods: '*' },
 
+  // Shortening the activity log's retention would purge the trail of what
+  // was done while impersonating.
+  { prefix: '/api/account/activity/retention', methods: '*' },
+
   // Logout would kill the user's real session as a side-effect; the admin
   // should end their impersonation explicitly via /api/admin/impersonation/end.
   { prefix: '/api/auth/logout', methods: '*' },
@@ -61,7 +69,7 @@ export async function getActiveImpersonation() {
   try {
     const cookieStore = await cookies();
     const token = cookieStore.get(IMPERSONATION_COOKIE)?.value;
-    const realUserId = cookieStore.get(SESSION_COOKIE)?.value;
+    const realUserId = await getSessionUserId();
 
     if (!token || !realUserId) return null;
 
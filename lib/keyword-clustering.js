@@ -0,0 +1,372 @@
+/**
+ * Keyword clustering by SERP overlap.
+ *
+ * Two keywords belong together when Google answers them with the same pages:
+ * if their top-10 organic results share at least `minShared` URLs, one page
+ * can rank for both, so they are one topic (and one piece of content).
+ * Unlike lib/ai/cluster-discovery.js this needs no AI - it reads the top-10
+ * URLs that every rank check stores on its KeywordSerpSnapshot.
+ *
+ * Pipeline (proposeKeywordClusters):
+ *   1. Load the keyword set (optionally by tag) and each keyword's latest
+ *      snapshot with top URLs, within maxAgeDays, in the dominant market
+ *   2. Group by overlap with a head term (groupBySerpOverlap)
+ *   3. Map each group to the site's best-matching SiteEntity - the page the
+ *      site already ranks with for the group, else a title match
+ *   4. Match each group to an existing CONFIRMED TopicCluster (ATTACH) or
+ *      propose a new one (NEW_CLUSTER)
+ *   5. Replace the site's PENDING KeywordClusterProposal rows
+ *
+ * Keywords without a usable snapshot are reported as missing - run a rank
+ * check (keywords table or a rank-tracking schedule) to collect them.
+ */
+
+import prisma from '@/lib/prisma';
+import { serpUrlKey, TOP_URLS } from '@/lib/dataforseo/serp';
+import { invalidateKeywords } from '@/lib/cache/invalidate.js';
+
+export const DEFAULT_MIN_SHARED = 3;
+export const DEFAULT_MAX_AGE_DAYS = 30;
+export const MAX_KEYWORDS = 1000;
+
+// Token overlap (Jaccard) between the head term and a page title for the
+// title fallback match. Below this the group is a content gap.
+const TITLE_MATCH_THRESHOLD = 0.6;
+
+function tokens(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length > 1),
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function byVolume(a, b) {
+  return (b.searchVolume || 0) - (a.searchVolume || 0)
+    || a.keyword.length - b.keyword.length
+    || a.keyword.localeCompare(b.keyword);
+}
+
+/**
+ * Group keywords whose top-10 URLs overlap with a head term.
+ *
+ * Pivot ("hard") clustering rather than connected components: keywords are
+ * taken highest search volume first; each one not yet grouped becomes a head
+ * and pulls in every ungrouped keyword sharing >= minShared URLs with it.
+ * Comparing against the head only keeps groups from chaining A~B~C into one
+ * topic when A and C have nothing in common.
+ *
+ * @param {Array<{ id: string, keyword: string, searchVolume?: number, topUrls: string[] }>} items
+ * @param {{ minShared?: number }} [opts]
+ * @returns {Array<{ head: object, members: object[], sharedUrls: string[], cohesion: number }>}
+ *   Groups of two or more; members start with the head. cohesion is the mean
+ *   share of the head's top URLs each other member has (0-1).
+ */
+export function groupBySerpOverlap(items, { minShared = DEFAULT_MIN_SHARED } = {}) {
+  const pool = items.filter((i) => (i.topUrls?.length || 0) >= minShared).sort(byVolume);
+  const taken = new Set();
+  const groups = [];
+
+  for (const head of pool) {
+    if (taken.has(head.id)) continue;
+    const headUrls = new Set(head.topUrls);
+    const members = [head];
+    let overlap = 0;
+
+    for (const other of pool) {
+      if (other === head || taken.has(other.id)) continue;
+      const shared = other.topUrls.filter((u) => headUrls.has(u)).length;
+      if (shared >= minShared) {
+        members.push(other);
+        overlap += shared / Math.min(TOP_URLS, headUrls.size, other.topUrls.length);
+      }
+    }
+    if (members.length < 2) continue;
+    for (const m of members) taken.add(m.id);
+
+    // URLs ranking for at least half of the group (two keywords minimum),
+    // most common first
+    const minCount = Math.max(2, Math.ceil(members.length / 2));
+    const counts = new Map();
+    for (const m of members) {
+      for (const u of new Set(m.topUrls)) counts.set(u, (counts.get(u) || 0) + 1);
+    }
+    const sharedUrls = [...counts]
+      .filter(([, c]) => c >= minCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_URLS)
+      .map(([u]) => u);
+
+    groups.push({
+      head,
+      members,
+      sharedUrls,
+      cohesion: Math.round((overlap / (members.length - 1)) * 100) / 100,
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * The site page that best matches a group: the URL the site itself ranks
+ * with for the group's keywords (weighted by volume), else the page whose
+ * title is closest to the head term.
+ *
+ * @returns {{ entityId: string, entityMatch: 'ranking'|'title' } | null}
+ */
+export function matchGroupEntity(group, entities) {
+  const byUrl = new Map();
+  for (const e of entities) {
+    const key = serpUrlKey(e.url);
+    if (key) byUrl.set(key, e);
+  }
+
+  const ranking = new Map();
+  for (const m of group.members) {
+    const key = serpUrlKey(m.ownUrl);
+    if (key && byUrl.has(key)) {
+      ranking.set(key, (ranking.get(key) || 0) + Math.max(m.searchVolume || 0, 1));
+    }
+  }
+  if (ranking.size > 0) {
+    const [bestKey] = [...ranking].sort((a, b) => b[1] - a[1])[0];
+    return { entityId: byUrl.get(bestKey).id, entityMatch: 'ranking' };
+  }
+
+  const headTokens = tokens(group.head.keyword);
+  let best = null;
+  for (const e of entities) {
+    const score = jaccard(headTokens, tokens(e.title));
+    if (score >= TITLE_MATCH_THRESHOLD && (!best || score > best.score)) best = { entity: e, score };
+  }
+  return best ? { entityId: best.entity.id, entityMatch: 'title' } : null;
+}
+
+/**
+ * The existing cluster a group belongs to, if any. Scored by members already
+ * linked to the cluster, the cluster's main keyword being in the group, and
+ * the group's page already being a cluster member.
+ */
+export function matchGroupCluster(group, clusters, entityId = null) {
+  const groupKeywords = new Set(group.members.map((m) => m.keyword.trim().toLowerCase()));
+  let best = null;
+  for (const c of clusters) {
+    let score = group.members.filter((m) => m.topicClusterId === c.id).length;
+    if (groupKeywords.has(String(c.mainKeyword || '').trim().toLowerCase())) score += 2;
+    if (entityId && (c.memberEntityIds || []).includes(entityId)) score += 2;
+    if (score > 0 && (!best || score > best.score)) best = { cluster: c, score };
+  }
+  return best?.cluster || null;
+}
+
+/**
+ * Cluster a site's keywords by SERP overlap and store the result as PENDING
+ * proposals (replacing the previous PENDING set). Groups whose head term was
+ * dismissed before are not proposed again.
+ *
+ * @param {Object} params
+ * @param {string} params.siteId
+ * @param {string[]} [params.tags] - limit to keywords carrying any of these
+ * @param {number} [params.minShared] - shared top-10 URLs to group (1-10)
+ * @param {number} [params.maxAgeDays] - ignore older snapshots
+ * @param {string} [params.userId]
+ * @returns {Promise<{ keywords: number, withSerp: number, missingSerp: number,
+ *   grouped: number, proposals: number }>}
+ */
+export async function proposeKeywordClusters({
+  siteId,
+  tags = [],
+  minShared = DEFAULT_MIN_SHARED,
+  maxAgeDays = DEFAULT_MAX_AGE_DAYS,
+  userId = null,
+}) {
+  const keywords = await prisma.keyword.findMany({
+    where: {
+      siteId,
+      status: { not: 'ARCHIVED' },
+      ...(tags.length ? { tags: { hasSome: tags } } : {}),
+    },
+    select: { id: true, keyword: true, searchVolume: true, topicClusterId: true },
+    orderBy: { searchVolume: 'desc' },
+    take: MAX_KEYWORDS,
+  });
+
+  const since = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+  const snapshots = keywords.length
+    ? await prisma.keywordSerpSnapshot.findMany({
+      where: {
+        siteId,
+        keywordId: { in: keywords.map((k) => k.id) },
+        checkedAt: { gte: since },
+        topUrls: { isEmpty: false },
+      },
+      select: { keywordId: true, topUrls: true, url: true, locationCode: true },
+      orderBy: { checkedAt: 'desc' },
+    })
+    : [];
+
+  const latest = new Map();
+  for (const s of snapshots) {
+    if (!latest.has(s.keywordId)) latest.set(s.keywordId, s);
+  }
+
+  // SERPs from different markets aren't comparable - keep the most common one.
+  const markets = new Map();
+  for (const s of latest.values()) markets.set(s.locationCode, (markets.get(s.locationCode) || 0) + 1);
+  const market = [...markets].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  const items = [];
+  for (const k of keywords) {
+    const s = latest.get(k.id);
+    if (s && s.locationCode === market) items.push({ ...k, topUrls: s.topUrls, ownUrl: s.url });
+  }
+
+  const groups = groupBySerpOverlap(items, { minShared });
+
+  const [clusters, entities, dismissed] = await Promise.all([
+    prisma.topicCluster.findMany({
+      where: { siteId, status: 'CONFIRMED' },
+      select: { id: true, mainKeyword: true, memberEntityIds: true },
+    }),
+    prisma.siteEntity.findMany({
+      where: { siteId, status: 'PUBLISHED', url: { not: null } },
+      select: { id: true, title: true, url: true },
+    }),
+    prisma.keywordClusterProposal.findMany({
+      where: { siteId, status: 'DISMISSED' },
+      select: { headKeywordId: true },
+    }),
+  ]);
+  const dismissedHeads = new Set(dismissed.map((d) => d.headKeywordId));
+
+  const rows = [];
+  for (const group of groups) {
+    if (dismissedHeads.has(group.head.id)) continue;
+    const entity = matchGroupEntity(group, entities);
+    const cluster = matchGroupCluster(group, clusters, entity?.entityId);
+    // Nothing to propose when every keyword is already in the matched cluster
+    if (cluster && group.members.every((m) => m.topicClusterId === cluster.id)) continue;
+
+    rows.push({
+      siteId,
+      kind: cluster ? 'ATTACH' : 'NEW_CLUSTER',
+      headKeywordId: group.head.id,
+      headKeyword: group.head.keyword,
+      keywordIds: group.members.map((m) => m.id),
+      sharedUrls: group.sharedUrls,
+      cohesion: group.cohesion,
+      searchVolume: group.members.reduce((sum, m) => sum + (m.searchVolume || 0), 0),
+      topicClusterId: cluster?.id || null,
+      entityId: entity?.entityId || null,
+      entityMatch: entity?.entityMatch || null,
+      createdBy: userId,
+    });
+  }
+
+  await prisma.keywordClusterProposal.deleteMany({ where: { siteId, status: 'PENDING' } });
+  if (rows.length) await prisma.keywordClusterProposal.createMany({ data: rows });
+
+  return {
+    keywords: keywords.length,
+    withSerp: items.length,
+    missingSerp: keywords.length - items.length,
+    grouped: groups.reduce((sum, g) => sum + g.members.length, 0),
+    proposals: rows.length,
+  };
+}
+
+/**
+ * Resolve proposal soft refs for the UI: member keywords, the target
+ * cluster's name and the matched page.
+ */
+export async function hydrateProposals(proposals) {
+  const keywordIds = [...new Set(proposals.flatMap((p) => p.keywordIds))];
+  const clusterIds = [...new Set(proposals.map((p) => p.topicClusterId).filter(Boolean))];
+  const entityIds = [...new Set(proposals.map((p) => p.entityId).filter(Boolean))];
+
+  const [keywords, clusters, entities] = await Promise.all([
+    keywordIds.length
+      ? prisma.keyword.findMany({
+        where: { id: { in: keywordIds } },
+        select: { id: true, keyword: true, searchVolume: true, serpPosition: true },
+      })
+      : [],
+    clusterIds.length
+      ? prisma.topicCluster.findMany({ where: { id: { in: clusterIds } }, select: { id: true, name: true } })
+      : [],
+    entityIds.length
+      ? prisma.siteEntity.findMany({ where: { id: { in: entityIds } }, select: { id: true, title: true, url: true } })
+      : [],
+  ]);
+  const kwById = new Map(keywords.map((k) => [k.id, k]));
+  const clusterById = new Map(clusters.map((c) => [c.id, c]));
+  const entityById = new Map(entities.map((e) => [e.id, e]));
+
+  return proposals.map((p) => ({
+    ...p,
+    keywords: p.keywordIds.map((id) => kwById.get(id)).filter(Boolean),
+    cluster: p.topicClusterId ? clusterById.get(p.topicClusterId) || null : null,
+    entity: p.entityId ? entityById.get(p.entityId) || null : null,
+  }));
+}
+
+/**
+ * Accept a PENDING proposal. NEW_CLUSTER creates a CONFIRMED TopicCluster
+ * (head term as main keyword, the matched page as first member); ATTACH adds
+ * the matched page to the existing cluster. Either way the group's keywords
+ * are linked to the cluster.
+ *
+ * @returns {Promise<object|null>} the cluster, or null when an ATTACH
+ *   target no longer exists
+ */
+export async function acceptKeywordClusterProposal(proposal, { userId = null, name = null } = {}) {
+  const linkKeywords = (clusterId) => prisma.keyword.updateMany({
+    where: { id: { in: proposal.keywordIds }, siteId: proposal.siteId },
+    data: { topicClusterId: clusterId },
+  });
+  const resolve = (clusterId) => prisma.keywordClusterProposal.update({
+    where: { id: proposal.id },
+    data: { status: 'ACCEPTED', topicClusterId: clusterId, resolvedBy: userId, resolvedAt: new Date() },
+  });
+
+  let cluster;
+  if (proposal.kind === 'NEW_CLUSTER') {
+    cluster = await prisma.topicCluster.create({
+      data: {
+        siteId: proposal.siteId,
+        name: (name || '').trim().slice(0, 120) || proposal.headKeyword,
+        mainKeyword: proposal.headKeyword,
+        memberEntityIds: proposal.entityId ? [proposal.entityId] : [],
+        status: 'CONFIRMED',
+        source: 'CREATED_FROM_KEYWORDS',
+        confidenceScore: proposal.cohesion,
+      },
+    });
+    await prisma.$transaction([linkKeywords(cluster.id), resolve(cluster.id)]);
+  } else {
+    cluster = await prisma.topicCluster.findFirst({
+      where: { id: proposal.topicClusterId, siteId: proposal.siteId },
+    });
+    if (!cluster) return null;
+    const ops = [linkKeywords(cluster.id), resolve(cluster.id)];
+    if (proposal.entityId && !cluster.memberEntityIds.includes(proposal.entityId)) {
+      ops.push(prisma.topicCluster.update({
+        where: { id: cluster.id },
+        data: { memberEntityIds: { push: proposal.entityId } },
+      }));
+    }
+    await prisma.$transaction(ops);
+  }
+
+  invalidateKeywords(proposal.siteId);
+  return cluster;
+}
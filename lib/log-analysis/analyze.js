@@ -0,0 +1,305 @@
+/**
+ * Crawl-budget analysis of an uploaded access log
+ *
+ * The audit only ever sees a site the way our own crawler does; the server
+ * log is the only record of how search engines actually spend their crawl.
+ * `analyzeAccessLog` reads a log twice:
+ *
+ *   pass 1  collect every (claimed bot, IP) pair → verify them (./bots.js)
+ *   pass 2  aggregate hits, now knowing which ones were real crawls
+ *
+ * and returns a report that only contains aggregates - raw lines and
+ * visitor IPs never leave this module (spoofed-crawler IPs are kept, they
+ * are the actionable part of that finding).
+ *
+ * Crawl frequency, waste and orphans are computed for verified Googlebot,
+ * which is what crawl budget means in practice; other engines get a
+ * per-bot summary with their status breakdown.
+ */
+
+import prisma from '@/lib/prisma';
+import { readLogLines, parseLogLine } from './parser';
+import { SEARCH_BOTS, VERIFICATION, identifyBot, verifyBotIps } from './bots';
+
+const PRIMARY_BOT = 'googlebot';
+
+const MAX_LINES = 5_000_000;
+const MAX_TRACKED_URLS = 50_000;
+const TOP_URLS = 100;
+const TOP_WASTE = 50;
+const TOP_ORPHANS = 100;
+const TOP_SPOOFED_IPS = 20;
+
+// Files that are crawled but are not pages - never orphans.
+const NON_PAGE_RE = /\.(css|js|mjs|json|xml|txt|map|png|jpe?g|gif|webp|avif|svg|ico|bmp|woff2?|ttf|eot|otf|pdf|mp4|webm|mp3|zip|gz)$/i;
+const NON_PAGE_PREFIXES = ['/wp-admin', '/wp-json', '/wp-content', '/wp-includes', '/_next/', '/cdn-cgi/', '/.well-known/'];
+
+function bareHost(host) {
+  return String(host || '').toLowerCase().replace(/:\d+$/, '').replace(/^www\./, '');
+}
+
+// Request target → path + query. Proxies sometimes log absolute URLs.
+function requestPath(target) {
+  if (/^https?:\/\//i.test(target)) {
+    try {
+      const u = new URL(target);
+      return `${u.pathname}${u.search}`;
+    } catch {
+      return null;
+    }
+  }
+  const hash = target.indexOf('#');
+  return hash === -1 ? target : target.slice(0, hash);
+}
+
+// Comparable form for orphan matching: no query, no trailing slash, decoded,
+// lowercased.
+function pathKey(pathOrUrl, origin) {
+  let pathname;
+  try {
+    pathname = new URL(pathOrUrl, origin).pathname;
+  } catch {
+    return null;
+  }
+  try {
+    pathname = decodeURI(pathname);
+  } catch {
+    // keep the raw form
+  }
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  return pathname.toLowerCase();
+}
+
+function statusClass(status) {
+  return `${String(status)[0]}xx`;
+}
+
+function increment(obj, key, by = 1) {
+  obj[key] = (obj[key] || 0) + by;
+}
+
+// URL paths the site itself declares: sitemap <loc>s + synced SiteEntity URLs.
+async function loadKnownPaths(siteId, origin) {
+  const [sitemaps, entities] = await Promise.all([
+    prisma.siteSitemap.findMany({
+      where: { siteId, isIndex: false },
+      select: { content: true },
+    }),
+    prisma.siteEntity.findMany({
+      where: { siteId, url: { not: null } },
+      select: { url: true },
+    }),
+  ]);
+
+  const known = new Set();
+  const locRe = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+  for (const { content } of sitemaps) {
+    if (!content) continue;
+    for (const m of content.matchAll(locRe)) {
+      const key = pathKey(m[1].replace(/&amp;/g, '&'), origin);
+      if (key) known.add(key);
+    }
+  }
+  for (const { url } of entities) {
+    const key = pathKey(url, origin);
+    if (key) known.add(key);
+  }
+  return known;
+}
+
+/**
+ * Analyze one uploaded access log for a site.
+ *
+ * @param {{ site: { id: string, url: string }, buffer: Buffer }} params
+ * @returns {Promise<{ report: object, stats: { lineCount, parsedCount, botHits,
+ *   verifiedBotHits, periodStart, periodEnd, format } }>}
+ */
+export async function analyzeAccessLog({ site, buffer }) {
+  const origin = new URL(site.url).origin;
+  const siteHost = bareHost(new URL(site.url).host);
+
+  // vhost_combined logs interleave every site on the server.
+  const forThisSite = (entry) => !entry.vhost || bareHost(entry.vhost) === siteHost;
+
+  // ─── Pass 1: volume, period, and which IPs claim to be which bot ───
+  let lineCount = 0;
+  let parsedCount = 0;
+  let otherHostLines = 0;
+  let truncated = false;
+  let periodStart = null;
+  let periodEnd = null;
+  const formats = {};
+  const ipsByBot = new Map();
+
+  for await (const line of readLogLines(buffer)) {
+    if (!line) continue;
+    if (++lineCount > MAX_LINES) {
+      truncated = true;
+      lineCount = MAX_LINES;
+      break;
+    }
+    const entry = parseLogLine(line);
+    if (!entry) continue;
+    if (!forThisSite(entry)) {
+      otherHostLines++;
+      continue;
+    }
+    parsedCount++;
+    increment(formats, entry.format);
+    if (!periodStart || entry.time < periodStart) periodStart = entry.time;
+    if (!periodEnd || entry.time > periodEnd) periodEnd = entry.time;
+
+    const bot = identifyBot(entry.userAgent);
+    if (!bot) continue;
+    if (!ipsByBot.has(bot.id)) ipsByBot.set(bot.id, new Map());
+    const ips = ipsByBot.get(bot.id);
+    ips.set(entry.ip, (ips.get(entry.ip) || 0) + 1);
+  }
+
+  const verification = await verifyBotIps(ipsByBot);
+
+  // ─── Pass 2: aggregate with verification known ───
+  const bots = new Map(SEARCH_BOTS.map((b) => [b.id, {
+    id: b.id, name: b.name, hits: 0, verified: 0, spoofed: 0, unverified: 0, ips: ipsByBot.get(b.id)?.size || 0, statuses: {},
+  }]));
+  const urls = new Map();
+  const crawl = { hits: 0, untrackedHits: 0, statuses: {}, statusClasses: {}, daily: {} };
+  const waste = { hits: 0, redirects: 0, clientErrors: 0, serverErrors: 0, parameterized: 0 };
+  const wasteByUrl = new Map();
+
+  let seen = 0;
+  for await (const line of readLogLines(buffer)) {
+    if (!line) continue;
+    if (++seen > MAX_LINES) break;
+    const entry = parseLogLine(line);
+    if (!entry || !forThisSite(entry)) continue;
+    const bot = identifyBot(entry.userAgent);
+    if (!bot) continue;
+
+    const summary = bots.get(bot.id);
+    const status = verification.get(`${bot.id}|${entry.ip}`) || VERIFICATION.UNVERIFIED;
+    summary.hits++;
+    summary[status]++;
+    if (status !== VERIFICATION.VERIFIED) continue;
+    increment(summary.statuses, entry.status);
+
+    if (bot.id !== PRIMARY_BOT) continue;
+    const path = requestPath(entry.path);
+    if (!path) continue;
+
+    crawl.hits++;
+    increment(crawl.statuses, entry.status);
+    increment(crawl.statusClasses, statusClass(entry.status));
+    increment(crawl.daily, entry.time.toISOString().slice(0, 10));
+
+    let record = urls.get(path);
+    if (!record) {
+      if (urls.size >= MAX_TRACKED_URLS) {
+        crawl.untrackedHits++;
+      } else {
+        record = { hits: 0, status: entry.status, lastCrawled: entry.time, statuses: {} };
+        urls.set(path, record);
+      }
+    }
+    if (record) {
+      record.hits++;
+      increment(record.statuses, entry.status);
+      if (entry.time >= record.lastCrawled) {
+        record.lastCrawled = entry.time;
+        record.status = entry.status;
+      }
+    }
+
+    // Each wasted hit lands in exactly one bucket; the status wins over
+    // the query string (a parameterized 404 is a 404).
+    let reason = null;
+    if (entry.status >= 300 && entry.status < 400 && entry.status !== 304) reason = 'redirects';
+    else if (entry.status >= 400 && entry.status < 500) reason = 'clientErrors';
+    else if (entry.status >= 500) reason = 'serverErrors';
+    else if (path.includes('?')) reason = 'parameterized';
+    if (reason) {
+      waste.hits++;
+      waste[reason]++;
+      const w = wasteByUrl.get(path) || { url: path, hits: 0, status: entry.status, reason };
+      w.hits++;
+      w.status = entry.status;
+      wasteByUrl.set(path, w);
+    }
+  }
+
+  // ─── Orphans: pages Googlebot fetches that the site never declares ───
+  const known = await loadKnownPaths(site.id, origin);
+  const orphans = [];
+  if (known.size > 0) {
+    for (const [path, record] of urls) {
+      if (path.includes('?') || record.status < 200 || record.status >= 300) continue;
+      const key = pathKey(path, origin);
+      if (!key || NON_PAGE_RE.test(key) || NON_PAGE_PREFIXES.some((p) => key.startsWith(p))) continue;
+      if (key === '/' || known.has(key)) continue;
+      orphans.push({ url: path, hits: record.hits, lastCrawled: record.lastCrawled });
+    }
+    orphans.sort((a, b) => b.hits - a.hits);
+  }
+
+  const spoofedIps = [];
+  for (const [botId, ips] of ipsByBot) {
+    for (const [ip, hits] of ips) {
+      if (verification.get(`${botId}|${ip}`) === VERIFICATION.SPOOFED) spoofedIps.push({ ip, bot: botId, hits });
+    }
+  }
+  spoofedIps.sort((a, b) => b.hits - a.hits);
+
+  const daily = Object.entries(crawl.daily)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, hits]) => ({ date, hits }));
+  const botList = [...bots.values()].filter((b) => b.hits > 0);
+  const botHits = botList.reduce((sum, b) => sum + b.hits, 0);
+  const verifiedBotHits = botList.reduce((sum, b) => sum + b.verified, 0);
+  const format = Object.entries(formats).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  const report = {
+    format,
+    truncated,
+    lines: lineCount,
+    parsed: parsedCount,
+    skipped: lineCount - parsedCount - otherHostLines,
+    otherHostLines,
+    period: { start: periodStart, end: periodEnd },
+    bots: botList,
+    crawl: {
+      bot: PRIMARY_BOT,
+      hits: crawl.hits,
+      distinctUrls: urls.size,
+      untrackedHits: crawl.untrackedHits,
+      avgPerDay: daily.length ? Math.round(crawl.hits / daily.length) : 0,
+      statuses: crawl.statuses,
+      statusClasses: crawl.statusClasses,
+      daily,
+      topUrls: [...urls.entries()]
+        .sort((a, b) => b[1].hits - a[1].hits)
+        .slice(0, TOP_URLS)
+        .map(([url, r]) => ({ url, hits: r.hits, status: r.status, statuses: r.statuses, lastCrawled: r.lastCrawled })),
+    },
+    waste: {
+      ...waste,
+      pct: crawl.hits ? Math.round((waste.hits / crawl.hits) * 1000) / 10 : 0,
+      topUrls: [...wasteByUrl.values()].sort((a, b) => b.hits - a.hits).slice(0, TOP_WASTE),
+    },
+    orphans: {
+      checked: known.size > 0,
+      knownUrls: known.size,
+      count: orphans.length,
+      urls: orphans.slice(0, TOP_ORPHANS),
+    },
+    spoofed: {
+      hits: botList.reduce((sum, b) => sum + b.spoofed, 0),
+      ips: spoofedIps.length,
+      topIps: spoofedIps.slice(0, TOP_SPOOFED_IPS),
+    },
+  };
+
+  return {
+    report,
+    stats: { lineCount, parsedCount, botHits, verifiedBotHits, periodStart, periodEnd, format },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Search-engine crawler identification + verification
+ *
+ * A user-agent string proves nothing - scrapers routinely claim to be
+ * Googlebot. A hit only counts as a real crawl when the client IP passes
+ * the check each engine documents:
+ *
+ *   1. reverse DNS (PTR) of the IP ends in one of the engine's domains
+ *   2. forward DNS of that hostname resolves back to the same IP
+ *
+ * Results are cached per IP for the life of one analysis, and the number of
+ * distinct IPs looked up is capped so a log full of spoofed agents cannot
+ * turn an upload into thousands of DNS queries. IPs over the cap stay
+ * 'unverified' - they are reported, but never counted as verified crawl.
+ */
+
+import { promises as dns } from 'node:dns';
+
+/**
+ * Crawlers we recognize. `hostSuffixes` is the reverse-DNS allowlist from
+ * each engine's own verification docs.
+ */
+export const SEARCH_BOTS = [
+  {
+    id: 'googlebot',
+    name: 'Googlebot',
+    // Googlebot Smartphone/Desktop, Googlebot-Image/-News/-Video, plus the
+    // special-case crawlers that honor robots.txt for Search.
+    ua: /Googlebot|Google-InspectionTool|GoogleOther|Storebot-Google|AdsBot-Google/i,
+    // Not .googleusercontent.com: any Google Cloud VM reverse-resolves there.
+    hostSuffixes: ['.googlebot.com', '.google.com'],
+  },
+  {
+    id: 'bingbot',
+    name: 'Bingbot',
+    ua: /bingbot|msnbot|BingPreview|AdIdxBot/i,
+    hostSuffixes: ['.search.msn.com'],
+  },
+  {
+    id: 'applebot',
+    name: 'Applebot',
+    ua: /Applebot/i,
+    hostSuffixes: ['.applebot.apple.com'],
+  },
+  {
+    id: 'yandexbot',
+    name: 'YandexBot',
+    ua: /YandexBot|YandexImages|YandexMobileBot/i,
+    hostSuffixes: ['.yandex.ru', '.yandex.net', '.yandex.com'],
+  },
+  {
+    id: 'baiduspider',
+    name: 'Baiduspider',
+    ua: /Baiduspider/i,
+    hostSuffixes: ['.baidu.com', '.baidu.jp'],
+  },
+  {
+    id: 'duckduckbot',
+    name: 'DuckDuckBot',
+    ua: /DuckDuckBot/i,
+    hostSuffixes: ['.duckduckgo.com'],
+  },
+];
+
+export const VERIFICATION = {
+  VERIFIED: 'verified',
+  SPOOFED: 'spoofed',
+  UNVERIFIED: 'unverified',
+};
+
+const MAX_LOOKUPS = 400;
+const LOOKUP_TIMEOUT_MS = 3000;
+const LOOKUP_CONCURRENCY = 8;
+
+/** The crawler a user-agent claims to be, or null for anything else. */
+export function identifyBot(userAgent) {
+  if (!userAgent) return null;
+  return SEARCH_BOTS.find((bot) => bot.ua.test(userAgent)) || null;
+}
+
+function withTimeout(promise) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('DNS timeout')), LOOKUP_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reverse + forward-confirm one IP against a bot's allowlist.
+ * @returns {Promise<{ status: string, hostname: string|null }>}
+ */
+export async function verifyBotIp(ip, bot) {
+  let hostnames;
+  try {
+    hostnames = await withTimeout(dns.reverse(ip));
+  } catch (err) {
+    // NXDOMAIN means no PTR at all - a real crawler always has one.
+    if (err.code === 'ENOTFOUND') return { status: VERIFICATION.SPOOFED, hostname: null };
+    return { status: VERIFICATION.UNVERIFIED, hostname: null };
+  }
+
+  const hostname = hostnames.find((h) => bot.hostSuffixes.some((s) => h.toLowerCase().endsWith(s)));
+  if (!hostname) return { status: VERIFICATION.SPOOFED, hostname: hostnames[0] || null };
+
+  try {
+    const addresses = await withTimeout(dns.lookup(hostname, { all: true }));
+    const confirmed = addresses.some((a) => a.address === ip);
+    return { status: confirmed ? VERIFICATION.VERIFIED : VERIFICATION.SPOOFED, hostname };
+  } catch {
+    return { status: VERIFICATION.UNVERIFIED, hostname };
+  }
+}
+
+/**
+ * Verify every distinct (bot, ip) pair seen in a log.
+ *
+ * @param {Map<string, Map<string, number>>} ipsByBot - bot id → ip → hit count
+ * @returns {Promise<Map<string, string>>} `${botId}|${ip}` → verification status
+ */
+export async function verifyBotIps(ipsByBot) {
+  // Busiest IPs first so the lookup budget covers the bulk of the hits.
+  const pairs = [];
+  for (const [botId, ips] of ipsByBot) {
+    const bot = SEARCH_BOTS.find((b) => b.id === botId);
+    if (!bot) continue;
+    for (const [ip, hits] of ips) pairs.push({ bot, ip, hits });
+  }
+  pairs.sort((a, b) => b.hits - a.hits);
+
+  const results = new Map();
+  const queue = pairs.slice(0, MAX_LOOKUPS);
+  for (const { bot, ip } of pairs.slice(MAX_LOOKUPS)) {
+    results.set(`${bot.id}|${ip}`, VERIFICATION.UNVERIFIED);
+  }
+
+  const workers = Array.from({ length: Math.min(LOOKUP_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length) {
+      const { bot, ip } = queue.shift();
+      const { status } = await verifyBotIp(ip, bot);
+      results.set(`${bot.id}|${ip}`, status);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
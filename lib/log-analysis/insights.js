@@ -0,0 +1,198 @@
+/**
+ * AgentInsights from an access-log analysis (./analyze.js).
+ *
+ * Four insight types, all `AgentInsightCategory.TECHNICAL`:
+ *
+ *   crawlBudgetWaste   — a large share of Googlebot hits go to redirects, 4xx or parameter URLs
+ *   crawlServerErrors  — Googlebot is getting 5xx responses
+ *   crawlOrphanUrls    — Googlebot crawls pages that no sitemap or synced entity declares
+ *   spoofedCrawlers    — clients claiming to be search bots fail DNS verification
+ *
+ * These are owned by the upload flow, not the daily agent cron: the cron has
+ * no log to re-check them against, so it leaves `source: 'access-log'` rows
+ * alone (see lib/agent-analysis.js) and each new upload is the one that
+ * refreshes or resolves them.
+ */
+
+import prisma from '@/lib/prisma';
+import { buildDedupKey, getActiveRejectedKeys } from '@/lib/agent-rejections';
+
+// ─── Tunables ──────────────────────────────────────────────────────────────
+const WASTE_MIN_HITS = 50;
+const WASTE_MIN_PCT = 10;
+const WASTE_HIGH_PCT = 30;
+const SERVER_ERROR_MIN_HITS = 10;
+const ORPHAN_HIGH_COUNT = 25;
+const SPOOFED_MIN_HITS = 100;
+const PAGES_PER_INSIGHT = 25;
+
+export const ACCESS_LOG_INSIGHT_SOURCE = 'access-log';
+
+function absolute(siteUrl, path) {
+  try {
+    return new URL(path, siteUrl).href;
+  } catch {
+    return path;
+  }
+}
+
+function insight(type, fields) {
+  return {
+    category: 'TECHNICAL',
+    titleKey: `agent.insights.${type}.title`,
+    descriptionKey: `agent.insights.${type}.description`,
+    actionType: null,
+    actionPayload: null,
+    ...fields,
+  };
+}
+
+// ─── Detectors ─────────────────────────────────────────────────────────────
+
+function detectWaste(report, siteUrl) {
+  const { waste } = report;
+  if (waste.hits < WASTE_MIN_HITS || waste.pct < WASTE_MIN_PCT) return [];
+  return [insight('crawlBudgetWaste', {
+    type: 'SUGGESTION',
+    priority: waste.pct >= WASTE_HIGH_PCT ? 'HIGH' : 'MEDIUM',
+    data: {
+      count: waste.hits,
+      pct: waste.pct,
+      totalHits: report.crawl.hits,
+      redirects: waste.redirects,
+      clientErrors: waste.clientErrors,
+      serverErrors: waste.serverErrors,
+      parameterized: waste.parameterized,
+      pages: waste.topUrls.slice(0, PAGES_PER_INSIGHT).map((w) => ({
+        url: absolute(siteUrl, w.url), hits: w.hits, status: w.status, reason: w.reason,
+      })),
+    },
+  })];
+}
+
+function detectServerErrors(report, siteUrl) {
+  const { waste } = report;
+  if (waste.serverErrors < SERVER_ERROR_MIN_HITS) return [];
+  return [insight('crawlServerErrors', {
+    type: 'ALERT',
+    priority: 'HIGH',
+    data: {
+      count: waste.serverErrors,
+      pages: waste.topUrls
+        .filter((w) => w.reason === 'serverErrors')
+        .slice(0, PAGES_PER_INSIGHT)
+        .map((w) => ({ url: absolute(siteUrl, w.url), hits: w.hits, status: w.status })),
+    },
+  })];
+}
+
+function detectOrphans(report, siteUrl) {
+  const { orphans } = report;
+  if (!orphans.checked || orphans.count === 0) return [];
+  return [insight('crawlOrphanUrls', {
+    type: 'DISCOVERY',
+    priority: orphans.count >= ORPHAN_HIGH_COUNT ? 'HIGH' : 'MEDIUM',
+    data: {
+      count: orphans.count,
+      pages: orphans.urls.slice(0, PAGES_PER_INSIGHT).map((o) => ({
+        url: absolute(siteUrl, o.url), hits: o.hits, lastCrawled: o.lastCrawled,
+      })),
+    },
+  })];
+}
+
+function detectSpoofed(report) {
+  const { spoofed } = report;
+  if (spoofed.hits < SPOOFED_MIN_HITS) return [];
+  return [insight('spoofedCrawlers', {
+    type: 'DISCOVERY',
+    priority: 'LOW',
+    data: {
+      count: spoofed.hits,
+      ipCount: spoofed.ips,
+      ips: spoofed.topIps,
+    },
+  })];
+}
+
+// ─── Orchestrator ──────────────────────────────────────────────────────────
+
+/**
+ * Turn a finished analysis into insights. Open insights of the same type are
+ * refreshed in place; open ones this log no longer supports are resolved.
+ *
+ * @param {object} params
+ * @param {{ id: string, accountId: string, url: string }} params.site
+ * @param {string} params.uploadId - AccessLogUpload the report belongs to
+ * @param {object} params.report - analyzeAccessLog().report
+ * @returns {Promise<{ created: number, updated: number, resolved: number, suppressed: number }>}
+ */
+export async function runAccessLogInsights({ site, uploadId, report }) {
+  const context = { uploadId, periodStart: report.period.start, periodEnd: report.period.end };
+  const found = [
+    ...detectWaste(report, site.url),
+    ...detectServerErrors(report, site.url),
+    ...detectOrphans(report, site.url),
+    ...detectSpoofed(report),
+  ].map((ins) => ({ ...ins, data: { ...ins.data, ...context } }));
+
+  const rejected = await getActiveRejectedKeys(site.id);
+  const current = found.filter((ins) => !rejected.has(buildDedupKey(ins.titleKey, ins.data)));
+
+  const open = await prisma.agentInsight.findMany({
+    where: {
+      siteId: site.id,
+      source: ACCESS_LOG_INSIGHT_SOURCE,
+      status: { in: ['PENDING', 'APPROVED', 'EXECUTED', 'FAILED'] },
+    },
+    select: { id: true, titleKey: true },
+  });
+  const openByKey = new Map(open.map((e) => [e.titleKey, e]));
+
+  let updated = 0;
+  const fresh = [];
+  for (const ins of current) {
+    const existing = openByKey.get(ins.titleKey);
+    if (!existing) {
+      fresh.push(ins);
+      continue;
+    }
+    openByKey.delete(ins.titleKey);
+    await prisma.agentInsight.update({
+      where: { id: existing.id },
+      data: { data: ins.data, priority: ins.priority },
+    });
+    updated++;
+  }
+
+  const stale = [...openByKey.values()].map((e) => e.id);
+  if (stale.length > 0) {
+    await prisma.agentInsight.updateMany({
+      where: { id: { in: stale } },
+      data: { status: 'RESOLVED', resolvedAt: new Date() },
+    });
+  }
+
+  if (fresh.length > 0) {
+    const batchId = `access-log-${site.id}-${Date.now()}`;
+    await prisma.agentInsight.createMany({
+      data: fresh.map((ins) => ({
+        siteId: site.id,
+        accountId: site.accountId,
+        category: ins.category,
+        type: ins.type,
+        priority: ins.priority,
+        titleKey: ins.titleKey,
+        descriptionKey: ins.descriptionKey,
+        data: ins.data,
+        actionType: ins.actionType,
+        actionPayload: ins.actionPayload,
+        status: 'PENDING',
+        source: ACCESS_LOG_INSIGHT_SOURCE,
+        batchId,
+      })),
+    });
+  }
+
+  return { created: fresh.length, updated, resolved: stale.length, suppressed: found.length - current.length };
+}
@@ -0,0 +1,131 @@
+/**
+ * Access-log parsing (Apache / Nginx)
+ *
+ * Understands the formats both servers ship by default:
+ *
+ *   common          127.0.0.1 - - [10/Oct/2026:13:55:36 +0000] "GET /a HTTP/1.1" 200 2326
+ *   combined        common + "referer" "user-agent"
+ *   vhost_combined  example.com:443 + combined (Apache's other_vhost_access.log)
+ *
+ * Nginx's default `log_format combined` is the same line as Apache's. Lines
+ * that match none of them are counted as skipped, never fatal - real logs
+ * are full of junk (TLS probes, truncated writes, custom fields appended).
+ *
+ * Uploads are read from a Buffer; gzip is detected from the magic bytes, not
+ * the file name, and decompressed as a stream so a large .gz never has to be
+ * inflated in memory as one string.
+ */
+
+import { Readable } from 'node:stream';
+import { createGunzip } from 'node:zlib';
+import { StringDecoder } from 'node:string_decoder';
+
+export const LOG_FORMATS = ['combined', 'vhost_combined', 'common'];
+
+// host ident authuser [time] "request" status bytes ["referer" "ua"]
+const LINE_RE = /^(?:(\S+):\d+\s+)?(\S+)\s+\S+\s+\S+\s+\[([^\]]+)\]\s+"((?:[^"\\]|\\.)*)"\s+(\d{3})\s+(\S+)(?:\s+"((?:[^"\\]|\\.)*)"\s+"((?:[^"\\]|\\.)*)")?/;
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/** Whether the buffer starts with the gzip magic bytes (1f 8b). */
+export function isGzip(buffer) {
+  return buffer?.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// "10/Oct/2026:13:55:36 +0000" → Date (null when malformed).
+function parseLogTime(value) {
+  const m = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})\s*([+-])(\d{2})(\d{2})$/.exec(value);
+  if (!m || MONTHS[m[2]] === undefined) return null;
+  const utc = Date.UTC(+m[3], MONTHS[m[2]], +m[1], +m[4], +m[5], +m[6]);
+  const offsetMin = (+m[8] * 60 + +m[9]) * (m[7] === '-' ? -1 : 1);
+  return new Date(utc - offsetMin * 60000);
+}
+
+/**
+ * Parse one log line.
+ * @returns {{ vhost: string|null, ip: string, time: Date, method: string, path: string,
+ *   status: number, bytes: number, referer: string|null, userAgent: string|null,
+ *   format: string }|null}
+ */
+export function parseLogLine(line) {
+  const m = LINE_RE.exec(line);
+  if (!m) return null;
+  const time = parseLogTime(m[3]);
+  if (!time) return null;
+
+  // "GET /path?x=1 HTTP/1.1" - malformed requests ("-", raw TLS bytes) have
+  // no usable path.
+  const [method, target] = m[4].split(' ');
+  if (!target || !/^[A-Z]+$/.test(method)) return null;
+
+  const hasAgent = m[8] !== undefined;
+  return {
+    vhost: m[1] || null,
+    ip: m[2],
+    time,
+    method,
+    path: target,
+    status: Number(m[5]),
+    bytes: m[6] === '-' ? 0 : Number(m[6]) || 0,
+    referer: hasAgent && m[7] !== '-' ? m[7] : null,
+    userAgent: hasAgent && m[8] !== '-' ? m[8] : null,
+    format: m[1] ? 'vhost_combined' : hasAgent ? 'combined' : 'common',
+  };
+}
+
+// Real access-log lines are a few hundred bytes; anything far beyond that is
+// not a log, and a small .gz can inflate to gigabytes without a newline.
+export const MAX_LINE_BYTES = 64 * 1024;
+// Comfortably above MAX_LINES (analyze.js) worth of ordinary lines.
+export const MAX_INFLATED_BYTES = 4 * 1024 * 1024 * 1024;
+
+/** Thrown by readLogLines when the upload cannot be a sane access log. */
+export class LogReadError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Iterate the raw lines of an uploaded log (plain text or gzip). A corrupt
+ * or truncated gzip stream throws once the readable part has been yielded.
+ * Throws LogReadError (LINE_TOO_LONG / TOO_LARGE) instead of buffering a
+ * line longer than MAX_LINE_BYTES or inflating past MAX_INFLATED_BYTES.
+ * @param {Buffer} buffer
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readLogLines(buffer) {
+  let input = Readable.from(buffer);
+  if (isGzip(buffer)) input = input.pipe(createGunzip());
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let total = 0;
+  try {
+    for await (const chunk of input) {
+      total += chunk.length;
+      if (total > MAX_INFLATED_BYTES) {
+        throw new LogReadError('TOO_LARGE', `Log inflates to more than ${MAX_INFLATED_BYTES / 1024 ** 3}GB`);
+      }
+      const lines = (pending + decoder.write(chunk)).split('\n');
+      pending = lines.pop();
+      for (const line of lines) yield stripCr(checkLength(line));
+      checkLength(pending);
+    }
+  } finally {
+    input.destroy();
+  }
+  pending += decoder.end();
+  if (pending) yield stripCr(checkLength(pending));
+}
+
+function checkLength(line) {
+  if (Buffer.byteLength(line) > MAX_LINE_BYTES) {
+    throw new LogReadError('LINE_TOO_LONG', `Log contains a line longer than ${MAX_LINE_BYTES / 1024}KB`);
+  }
+  return line;
+}
+
+function stripCr(line) {
+  return line.endsWith('\r') ? line.slice(0, -1) : line;
+}
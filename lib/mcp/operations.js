@@ -0,0 +1,148 @@
+/**
+ * MCP operations shared by the REST surface (/api/mcp/sites/*) and the
+ * JSON-RPC server (/api/mcp, lib/mcp/server.js).
+ *
+ * Both transports authenticate through lib/mcp/auth.js and then call into
+ * these helpers, so an issue list or fix returned over REST is byte-identical
+ * to the one an MCP client gets from tools/call.
+ */
+import prisma from '@/lib/prisma';
+import { getAllIssues } from '@/lib/audit/issues-helper';
+import { getFixer } from '@/lib/audit/fix-registry';
+import { getHandler } from '@/lib/audit/fixers';
+import { getCapabilities } from '@/lib/cms';
+
+/**
+ * Sites the token can access (site-bound tokens see exactly one), with the
+ * capability subset an agent needs to decide between overrides and redirects.
+ */
+export async function listMcpSites(ctx) {
+  const where = ctx.siteId ? { id: ctx.siteId } : { accountId: ctx.accountId };
+  const sites = await prisma.site.findMany({
+    where,
+    select: { siteKey: true, name: true, url: true, platform: true, integrationType: true },
+  });
+
+  return sites
+    .filter((s) => s.siteKey)
+    .map((s) => {
+      const caps = getCapabilities(s);
+      return {
+        siteKey: s.siteKey,
+        name: s.name,
+        url: s.url,
+        platform: s.platform,
+        integrationType: s.integrationType,
+        capabilities: { platform: caps.platform, redirectsBackend: caps.redirectsBackend, seoBackend: caps.seoBackend },
+      };
+    });
+}
+
+/**
+ * The latest completed audit for a site (null when none has completed yet).
+ */
+export async function getLatestAudit(site, select = { id: true }) {
+  return prisma.siteAudit.findFirst({
+    where: { siteId: site.id, status: 'COMPLETED' },
+    orderBy: { completedAt: 'desc' },
+    select,
+  });
+}
+
+/**
+ * Issues from the latest completed audit, joined with fixer metadata.
+ * @param {{ id: string }} site
+ * @param {{ severity?: string|null }} [opts]
+ * @returns {Promise<{ auditId: string|null, issues: object[] }>}
+ */
+export async function listSiteIssues(site, { severity = null } = {}) {
+  const audit = await getLatestAudit(site);
+  const raw = audit ? await getAllIssues(audit.id) : [];
+  const issues = raw
+    .filter((i) => !severity || i.severity === severity)
+    .map((i) => {
+      const fixer = getFixer(i.message) || null;
+      return {
+        key: i.message,
+        message: i.message,
+        severity: i.severity || 'info',
+        url: i.url || null,
+        suggestion: i.suggestion || null,
+        fixable: !!fixer,
+        fixKind: fixer?.kind || null,
+        handler: fixer?.handler || null,
+        manualKinds: fixer?.manualKinds || null,
+        credits: fixer?.credits ?? null,
+      };
+    });
+  return { auditId: audit?.id || null, issues };
+}
+
+/**
+ * Copy-ready ManualOutput[] for one issue on one page (forced non-native).
+ * Prefers the preview the audit already cached for this issue type.
+ *
+ * @returns {Promise<{ ok:true, issueType, path, fixKind, credits, manualOutputs } | { ok:false, status:number, error:string }>}
+ */
+export async function buildSiteFix(site, issueType, path = '/') {
+  if (!issueType) return { ok: false, status: 400, error: 'issueType is required' };
+
+  const fixer = getFixer(issueType);
+  if (!fixer) return { ok: false, status: 404, error: `No fixer registered for ${issueType}` };
+  const handler = getHandler(fixer.handler);
+  if (!handler?.preview) return { ok: false, status: 500, error: `Handler unavailable: ${fixer.handler}` };
+
+  const audit = await getLatestAudit(site, { id: true, fixPreviews: true });
+  const base = { ok: true, issueType, path, fixKind: fixer.kind, credits: fixer.credits ?? null };
+
+  // Prefer a cached preview if the audit already produced one.
+  const cached = audit?.fixPreviews?.[issueType];
+  if (cached?.manualOutputs) return { ...base, manualOutputs: cached.manualOutputs };
+
+  try {
+    const siteBase = /^https?:\/\//i.test(site.url) ? site.url : `https://${site.url}`;
+    const absoluteUrl = new URL(path, siteBase).toString();
+    // wpAuto:false forces the assisted/manualOutputs branch (this site has no
+    // native write transport from the MCP token's perspective).
+    const preview = await handler.preview({ site, payload: { auditId: audit?.id, url: absoluteUrl, urls: [absoluteUrl], issueType }, wpAuto: false });
+    return { ...base, manualOutputs: preview?.manualOutputs || [] };
+  } catch (e) {
+    return { ok: false, status: 502, error: `Fix generation failed: ${e.message}` };
+  }
+}
+
+/**
+ * Compact summary of the latest completed audit - what the MCP "audit"
+ * resource serves. Page-level data stays behind the issues tool.
+ */
+export async function getAuditSummary(site) {
+  const audit = await getLatestAudit(site, {
+    id: true,
+    score: true,
+    deviceType: true,
+    categoryScores: true,
+    pagesScanned: true,
+    pagesFound: true,
+    summary: true,
+    siteWideIndicators: true,
+    completedAt: true,
+  });
+  if (!audit) return null;
+
+  const { issues } = await listSiteIssues(site);
+  const severityCounts = {};
+  for (const i of issues) severityCounts[i.severity] = (severityCounts[i.severity] || 0) + 1;
+
+  return {
+    auditId: audit.id,
+    completedAt: audit.completedAt,
+    score: audit.score,
+    deviceType: audit.deviceType,
+    categoryScores: audit.categoryScores || null,
+    pagesScanned: audit.pagesScanned,
+    pagesFound: audit.pagesFound,
+    siteWideIndicators: audit.siteWideIndicators || null,
+    severityCounts,
+    summary: audit.summary || null,
+  };
+}
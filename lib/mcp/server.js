@@ -0,0 +1,166 @@
+/**
+ * Model Context Protocol server (JSON-RPC 2.0) behind POST /api/mcp.
+ *
+ * Implements the request/response half of the streamable HTTP transport:
+ * every request is answered with a single application/json body, and the
+ * server never opens an SSE stream (it has nothing to push). The server is
+ * stateless - the bearer token is re-authenticated on every POST, so an
+ * Mcp-Session-Id is issued at initialize for clients that expect one but is
+ * not required afterwards.
+ *
+ * Supported methods: initialize, ping, tools/list, tools/call,
+ * resources/list, resources/read (+ the notifications/* a client may send,
+ * which are acknowledged and ignored).
+ */
+import { listToolsForToken, getTool, listResourcesForToken, readResource, McpToolError } from '@/lib/mcp/tools';
+import { hasScope } from '@/lib/mcp/auth';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+const SERVER_INFO = { name: 'ghostseo', title: 'GhostSEO', version: '1.0.0' };
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+export function rpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message, ...(data !== undefined ? { data } : {}) } };
+}
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function toolResult(data) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(data) }],
+    structuredContent: data,
+    isError: false,
+  };
+}
+
+function toolErrorResult(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+const METHODS = {
+  async initialize(ctx, params) {
+    const requested = params?.protocolVersion;
+    return {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false },
+      },
+      serverInfo: SERVER_INFO,
+      instructions:
+        'GhostSEO exposes the latest site audit, ready-made fixes and proposal writes (SEO overrides, redirects). ' +
+        'Writes are served to the site through the Contract API; nothing is pushed to a CMS directly.',
+    };
+  },
+
+  async ping() {
+    return {};
+  },
+
+  async 'tools/list'(ctx) {
+    return {
+      tools: listToolsForToken(ctx).map(({ name, description, inputSchema, annotations }) => ({
+        name,
+        description,
+        inputSchema,
+        ...(annotations ? { annotations } : {}),
+      })),
+    };
+  },
+
+  async 'tools/call'(ctx, params) {
+    const tool = getTool(params?.name);
+    if (!tool) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+    if (tool.scope && !hasScope(ctx, tool.scope)) {
+      return toolErrorResult(`missing scope ${tool.scope}`);
+    }
+    const args = params?.arguments && typeof params.arguments === 'object' ? params.arguments : {};
+    try {
+      return toolResult(await tool.handler(ctx, args));
+    } catch (e) {
+      if (e instanceof McpToolError) return toolErrorResult(e.message);
+      console.error(`[mcp] tool ${tool.name} failed:`, e);
+      return toolErrorResult(`${tool.name} failed: ${e.message}`);
+    }
+  },
+
+  async 'resources/list'(ctx) {
+    return { resources: await listResourcesForToken(ctx) };
+  },
+
+  async 'resources/templates/list'() {
+    return { resourceTemplates: [] };
+  },
+
+  async 'resources/read'(ctx, params) {
+    if (!params?.uri) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'uri is required');
+    try {
+      return { contents: [await readResource(ctx, params.uri)] };
+    } catch (e) {
+      if (e instanceof McpToolError) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, e.message);
+      throw e;
+    }
+  },
+};
+
+/**
+ * Handle one JSON-RPC message. Returns the response object, or null for a
+ * notification (a message without an id never gets a response).
+ *
+ * @param {{ accountId: string, siteId: string|null, scopes: string[] }} ctx - authenticated MCP token context
+ * @param {any} msg
+ */
+export async function handleRpcMessage(ctx, msg) {
+  if (!msg || typeof msg !== 'object' || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+    return rpcError(msg?.id, RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC request');
+  }
+  const isNotification = msg.id === undefined;
+  if (isNotification) return null;
+
+  // Own keys only - 'constructor' or 'toString' must not resolve to a method.
+  const method = Object.hasOwn(METHODS, msg.method) ? METHODS[msg.method] : null;
+  if (!method) return rpcError(msg.id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+
+  try {
+    return rpcResult(msg.id, await method(ctx, msg.params || {}));
+  } catch (e) {
+    if (e instanceof RpcError) return rpcError(msg.id, e.code, e.message);
+    console.error(`[mcp] ${msg.method} failed:`, e);
+    return rpcError(msg.id, RPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+  }
+}
+
+/**
+ * Handle a POST body: a single message or a batch array. Returns null when
+ * every message was a notification (the route answers 202 with no body).
+ */
+export async function handleRpcBody(ctx, body) {
+  if (Array.isArray(body)) {
+    if (body.length === 0) return rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Empty batch');
+    const out = [];
+    for (const msg of body) {
+      const res = await handleRpcMessage(ctx, msg);
+      if (res) out.push(res);
+    }
+    return out.length ? out : null;
+  }
+  return handleRpcMessage(ctx, body);
+}
@@ -0,0 +1,202 @@
+/**
+ * MCP tool + resource catalogue for the JSON-RPC server (lib/mcp/server.js).
+ *
+ * Each tool declares the token scope it needs; tools/list only advertises the
+ * tools the calling token can actually invoke, and tools/call re-checks the
+ * scope (a client may call a tool it never listed). Handlers reuse the same
+ * operations as the REST surface - see lib/mcp/operations.js.
+ */
+import prisma from '@/lib/prisma';
+import { SCOPES, hasScope, resolveMcpSite } from '@/lib/mcp/auth';
+import { listMcpSites, listSiteIssues, buildSiteFix, getAuditSummary } from '@/lib/mcp/operations';
+import { upsertSeoOverride, upsertRedirectOverride } from '@/lib/contract/overrides';
+import { buildManifest } from '@/lib/contract/resolver';
+
+export const RESOURCE_SCHEME = 'ghostseo';
+
+/** Tool-level failure - surfaced to the client as an isError tool result. */
+export class McpToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'McpToolError';
+  }
+}
+
+const SITE_KEY_PROP = {
+  type: 'string',
+  description: 'Public site key (gp_site_...). Optional when the token is bound to a single site.',
+};
+
+// Site-bound tokens may omit siteKey; account-wide tokens must name the site.
+async function resolveToolSite(ctx, siteKey) {
+  let key = siteKey;
+  if (!key && ctx.siteId) {
+    const site = await prisma.site.findUnique({ where: { id: ctx.siteId }, select: { siteKey: true } });
+    key = site?.siteKey;
+  }
+  if (!key) throw new McpToolError('siteKey is required for account-wide tokens');
+  const r = await resolveMcpSite(ctx, key);
+  if (!r.ok) throw new McpToolError(r.error);
+  return r.site;
+}
+
+export const TOOLS = [
+  {
+    name: 'list_sites',
+    description: 'List the sites this token can access, with their platform and where SEO changes and redirects are written.',
+    scope: null,
+    inputSchema: { type: 'object', properties: {} },
+    annotations: { readOnlyHint: true },
+    async handler(ctx) {
+      return { sites: await listMcpSites(ctx) };
+    },
+  },
+  {
+    name: 'list_issues',
+    description: 'List SEO issues from the latest completed site audit, with whether each one has a ready-made fix.',
+    scope: SCOPES.ISSUES_READ,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteKey: SITE_KEY_PROP,
+        severity: { type: 'string', enum: ['error', 'warning', 'info', 'passed'], description: 'Only return issues of this severity.' },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    async handler(ctx, args) {
+      const site = await resolveToolSite(ctx, args.siteKey);
+      const { auditId, issues } = await listSiteIssues(site, { severity: args.severity || null });
+      const manifest = await buildManifest(site);
+      return { siteId: site.id, auditId, manifestVersion: manifest.version, issues };
+    },
+  },
+  {
+    name: 'get_fix',
+    description: 'Get copy-ready fix outputs (snippets, meta values, redirects) for one issue type on one page.',
+    scope: SCOPES.FIX_READ,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteKey: SITE_KEY_PROP,
+        issueType: { type: 'string', description: 'Issue key as returned by list_issues (e.g. audit.issues.missingTitle).' },
+        path: { type: 'string', description: 'Page path, e.g. /pricing. Defaults to /.' },
+      },
+      required: ['issueType'],
+    },
+    annotations: { readOnlyHint: true },
+    async handler(ctx, args) {
+      const site = await resolveToolSite(ctx, args.siteKey);
+      const fix = await buildSiteFix(site, args.issueType, args.path || '/');
+      if (!fix.ok) throw new McpToolError(fix.error);
+      const { issueType, path, fixKind, credits, manualOutputs } = fix;
+      return { issueType, path, fixKind, credits, manualOutputs };
+    },
+  },
+  {
+    name: 'propose_seo_override',
+    description: 'Save the desired title/description/canonical/robots/OG image/JSON-LD for a path. The Contract API serves it to the site SDK or edge proxy; nothing is pushed to the CMS.',
+    scope: SCOPES.OVERRIDE_WRITE,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteKey: SITE_KEY_PROP,
+        path: { type: 'string', description: 'Page path, e.g. /pricing.' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        canonical: { type: 'string' },
+        robots: { type: 'string', description: 'e.g. index,follow' },
+        ogImage: { type: 'string' },
+        jsonLd: { type: 'array', items: { type: 'object' }, description: 'schema.org objects' },
+      },
+      required: ['path'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    async handler(ctx, args) {
+      if (!args.path) throw new McpToolError('path is required');
+      const site = await resolveToolSite(ctx, args.siteKey);
+      const { path, title, description, canonical, robots, ogImage, jsonLd } = args;
+      const res = await upsertSeoOverride(site.id, path, { title, description, canonical, robots, ogImage, jsonLd });
+      const manifest = await buildManifest(site);
+      return { ...res, manifestVersion: manifest.version };
+    },
+  },
+  {
+    name: 'propose_redirect',
+    description: 'Save a redirect from one path to another path or URL. The Contract API serves it to the site SDK or edge proxy.',
+    scope: SCOPES.REDIRECT_WRITE,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteKey: SITE_KEY_PROP,
+        from: { type: 'string', description: 'Source path, e.g. /old-page.' },
+        to: { type: 'string', description: 'Destination path or absolute URL.' },
+        type: { type: 'string', enum: ['301', '302'], description: 'Defaults to 301.' },
+      },
+      required: ['from', 'to'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    async handler(ctx, args) {
+      if (!args.from || !args.to) throw new McpToolError('from and to are required');
+      const site = await resolveToolSite(ctx, args.siteKey);
+      const res = await upsertRedirectOverride(site.id, args.from, args.to, args.type);
+      const manifest = await buildManifest(site);
+      return { ...res, manifestVersion: manifest.version };
+    },
+  },
+];
+
+export function listToolsForToken(ctx) {
+  return TOOLS.filter((t) => !t.scope || hasScope(ctx, t.scope));
+}
+
+export function getTool(name) {
+  return TOOLS.find((t) => t.name === name) || null;
+}
+
+// ── Resources ────────────────────────────────────────────────────────────
+// ghostseo://sites/{siteKey}/audit         latest audit summary
+// ghostseo://sites/{siteKey}/audit/issues  latest audit issue list
+// Both require issues:read.
+
+const RESOURCE_URI = new RegExp(`^${RESOURCE_SCHEME}://sites/([^/]+)/audit(/issues)?$`);
+
+export async function listResourcesForToken(ctx) {
+  if (!hasScope(ctx, SCOPES.ISSUES_READ)) return [];
+  const sites = await listMcpSites(ctx);
+  return sites.flatMap((s) => [
+    {
+      uri: `${RESOURCE_SCHEME}://sites/${s.siteKey}/audit`,
+      name: `${s.name || s.url} - latest audit`,
+      description: 'Score, category scores and severity counts from the latest completed audit.',
+      mimeType: 'application/json',
+    },
+    {
+      uri: `${RESOURCE_SCHEME}://sites/${s.siteKey}/audit/issues`,
+      name: `${s.name || s.url} - audit issues`,
+      description: 'Every issue from the latest completed audit, with fixer metadata.',
+      mimeType: 'application/json',
+    },
+  ]);
+}
+
+/**
+ * @returns {Promise<{ uri: string, mimeType: string, text: string }>}
+ */
+export async function readResource(ctx, uri) {
+  const m = String(uri || '').match(RESOURCE_URI);
+  if (!m) throw new McpToolError(`Unknown resource: ${uri}`);
+  if (!hasScope(ctx, SCOPES.ISSUES_READ)) throw new McpToolError('missing scope issues:read');
+
+  let siteRef;
+  try {
+    siteRef = decodeURIComponent(m[1]);
+  } catch {
+    throw new McpToolError(`Malformed resource URI: ${uri}`);
+  }
+  const site = await resolveToolSite(ctx, siteRef);
+  const data = m[2]
+    ? await listSiteIssues(site)
+    : (await getAuditSummary(site)) || { auditId: null, message: 'No completed audit yet' };
+
+  return { uri, mimeType: 'application/json', text: JSON.stringify(data) };
+}
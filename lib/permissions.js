@@ -63,6 +63,9 @@ export const SETTINGS_TAB_TO_MODULE = {
   'permissions': 'SETTINGS_ROLES', // Permissions tab uses same permissions as roles
   'subscription': 'SETTINGS_SUBSCRIPTION',
   'account': 'ACCOUNT',
+  'webhooks': 'SETTINGS_INTEGRATIONS', // Account-level outbound webhooks
+  'sso': 'MEMBERS', // Single sign-on and SCIM provisioning (owner edits)
+  // 'activity' (account activity log) is owner-only and deliberately unmapped
   'white-label-reporting': 'REPORTS', // White-label PDF reports settings
   'client-reporting': 'REPORTS', // Per-site client reporting settings
 };
@@ -0,0 +1,141 @@
+/**
+ * Durable Job Queue - dispatcher
+ *
+ * Claims due jobs (priority first, then oldest runAt) within each type's
+ * per-site and global concurrency limits and hands each to
+ * /api/worker/run-job in its own serverless invocation.
+ *
+ * Delivery is deliberately short-waited: the dispatcher only needs the
+ * request to land. Whether the worker then finishes is tracked by its lease -
+ * a dispatch that never arrives, or a worker that dies mid-job, is recovered
+ * by the process-queue cron (runner.js recoverExpiredLeases) instead of
+ * being lost.
+ */
+
+import { after } from 'next/server';
+import prisma from '@/lib/prisma';
+import { signWorkerPayload } from '@/lib/worker-auth';
+import { JOB_TYPES } from './job-types.js';
+import { claimJob } from './queue.js';
+
+const DEFAULT_DISPATCH_LIMIT = 50;
+const DISPATCH_TIMEOUT_MS = 10 * 1000;
+
+function workerBaseUrl() {
+  return process.env.NEXT_PUBLIC_APP_URL
+    || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3001');
+}
+
+/**
+ * RUNNING counts per type and per type+site.
+ */
+async function getRunningCounts(types) {
+  const grouped = await prisma.queueJob.groupBy({
+    by: ['type', 'siteId'],
+    where: { status: 'RUNNING', type: { in: types } },
+    _count: { _all: true },
+  });
+
+  const byType = new Map();
+  const bySite = new Map();
+  for (const g of grouped) {
+    byType.set(g.type, (byType.get(g.type) || 0) + g._count._all);
+    if (g.siteId) bySite.set(`${g.type}:${g.siteId}`, g._count._all);
+  }
+  return { byType, bySite };
+}
+
+/**
+ * Send one claimed job to the worker route. Timeouts count as delivered -
+ * the worker keeps running after we stop waiting; its lease tells us if it
+ * doesn't finish.
+ */
+function deliver(job, leaseToken) {
+  const { token, timestamp } = signWorkerPayload(job.id);
+
+  return fetch(`${workerBaseUrl()}/api/worker/run-job`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-worker-token': token,
+      'x-worker-timestamp': String(timestamp),
+      'x-worker-content-id': job.id,
+    },
+    body: JSON.stringify({ jobId: job.id, leaseToken }),
+    signal: AbortSignal.timeout(DISPATCH_TIMEOUT_MS),
+  })
+    .then((res) => {
+      if (!res.ok) console.error(`[Queue] Worker rejected ${job.type} ${job.id}: HTTP ${res.status}`);
+      return { jobId: job.id, type: job.type, delivered: res.ok, status: res.status };
+    })
+    .catch((err) => {
+      const timedOut = err?.name === 'TimeoutError' || err?.name === 'AbortError';
+      if (!timedOut) console.error(`[Queue] Dispatch failed for ${job.type} ${job.id}:`, err.message);
+      return { jobId: job.id, type: job.type, delivered: timedOut, error: timedOut ? undefined : err.message };
+    });
+}
+
+/**
+ * Claim and dispatch due jobs.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Restrict to these job types (default: all)
+ * @param {number} [options.limit=50] - Max jobs dispatched this call
+ * @returns {Promise<{ dispatched: number, results: Array }>}
+ */
+export async function dispatchDueJobs({ types, limit = DEFAULT_DISPATCH_LIMIT } = {}) {
+  const typeKeys = (types?.length ? types : Object.keys(JOB_TYPES)).filter(t => JOB_TYPES[t]);
+  if (typeKeys.length === 0) return { dispatched: 0, results: [] };
+
+  const candidates = await prisma.queueJob.findMany({
+    where: { status: 'PENDING', runAt: { lte: new Date() }, type: { in: typeKeys } },
+    orderBy: [{ priority: 'desc' }, { runAt: 'asc' }],
+    take: limit * 4, // over-fetch: some will be skipped by concurrency limits
+    select: { id: true, type: true, siteId: true },
+  });
+  if (candidates.length === 0) return { dispatched: 0, results: [] };
+
+  const { byType, bySite } = await getRunningCounts(typeKeys);
+  const claimed = [];
+
+  for (const job of candidates) {
+    if (claimed.length >= limit) break;
+    const config = JOB_TYPES[job.type];
+
+    if ((byType.get(job.type) || 0) >= config.maxConcurrent) continue;
+    const siteKey = job.siteId ? `${job.type}:${job.siteId}` : null;
+    if (siteKey && (bySite.get(siteKey) || 0) >= config.perSiteConcurrency) continue;
+
+    const leaseToken = await claimJob(job.id);
+    if (!leaseToken) continue; // another dispatcher got it
+
+    byType.set(job.type, (byType.get(job.type) || 0) + 1);
+    if (siteKey) bySite.set(siteKey, (bySite.get(siteKey) || 0) + 1);
+    claimed.push({ job, leaseToken });
+  }
+
+  // Await every delivery - serverless runtimes drop unawaited fetches.
+  const results = await Promise.all(claimed.map(({ job, leaseToken }) => deliver(job, leaseToken)));
+  return { dispatched: claimed.length, results };
+}
+
+/**
+ * Dispatch right after enqueueing so the job doesn't wait for the next cron
+ * tick. Runs via Next.js `after()` so the caller's response isn't held while
+ * deliveries are awaited; falls back to firing directly outside a request
+ * scope. Losing a kick is harmless - the process-queue cron picks the job up.
+ *
+ * @param {string[]} [types] - Only dispatch these types
+ */
+export function kickQueue(types) {
+  const task = () =>
+    dispatchDueJobs({ types, limit: 10 }).catch((err) => {
+      console.error('[Queue] kick failed:', err.message);
+    });
+
+  try {
+    after(task);
+  } catch {
+    task();
+  }
+}
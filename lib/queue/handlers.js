@@ -0,0 +1,148 @@
+/**
+ * Durable Job Queue - handlers
+ *
+ * One entry per JOB_TYPES key:
+ *
+ *   run(payload, ctx)  - do the work. Return a small JSON summary (stored on
+ *                        the job). Throw to retry with backoff; throw
+ *                        permanentJobError() when retrying can't help.
+ *                        ctx: { job, attempt, heartbeat(), enqueue(type, payload, options) }
+ *                        - enqueue() is deferred until this job completes.
+ *   onDead(job, error) - optional; reconcile the domain record once the job
+ *                        has given up (e.g. a Content left in PROCESSING by
+ *                        workers that kept dying).
+ *
+ * Handlers must be safe to re-run: a lease can lapse while the original
+ * worker is still alive, so the same payload may execute twice.
+ */
+
+import prisma from '@/lib/prisma';
+import { runGenerateArticle } from '@/lib/workers/generate-article';
+import { runPublishArticle } from '@/lib/workers/publish-article';
+import { processChunk, runFinalization } from '@/lib/audit/site-auditor';
+import { auditStageJob } from '@/lib/audit/internal-trigger';
+import { processScrapeItem } from '@/lib/sitemap-delta-sync';
+import { processDifferentiationJob } from '@/lib/actions/content-differentiation';
+import { deliverWebhook, markDeliveryFailed } from '@/lib/webhooks/delivery';
+import { executeAutomationRun, markRunFailed } from '@/lib/automations/runner';
+import { permanentJobError } from './queue.js';
+
+// Worker results with a `code` are infrastructure failures (row missing,
+// DB read error); domain failures are already recorded on the Content.
+function throwOnWorkerError(result) {
+  if (result.code === 'NOT_FOUND') throw permanentJobError(result.error);
+  if (result.code) throw new Error(result.error);
+  return { status: result.status || null, skipped: !!result.skipped, reason: result.reason };
+}
+
+export const JOB_HANDLERS = {
+  GENERATE_ARTICLE: {
+    async run({ contentId }) {
+      if (!contentId) throw permanentJobError('Missing contentId');
+      return throwOnWorkerError(await runGenerateArticle(contentId));
+    },
+    // Every attempt's worker died before recording an outcome
+    async onDead(job, error) {
+      await prisma.content.updateMany({
+        where: { id: job.payload?.contentId, status: 'PROCESSING' },
+        data: { status: 'FAILED', errorMessage: `AI generation did not complete: ${error?.message || 'worker lost'}`.slice(0, 300) },
+      });
+    },
+  },
+
+  PUBLISH_ARTICLE: {
+    async run({ contentId }) {
+      if (!contentId) throw permanentJobError('Missing contentId');
+      return throwOnWorkerError(await runPublishArticle(contentId));
+    },
+  },
+
+  AUDIT_CHUNK: {
+    async run({ auditId }, ctx) {
+      if (!auditId) throw permanentJobError('Missing auditId');
+      const result = await processChunk(auditId);
+
+      if (result.ok) {
+        const next = auditStageJob({ id: auditId, siteId: ctx.job.siteId }, result.hasMore ? 'continue' : 'finalize');
+        ctx.enqueue(next.type, next.payload, next.options);
+        return { processed: result.processed, hasMore: result.hasMore };
+      }
+
+      if (result.reason === 'audit-not-found' || result.reason === 'site-not-found') {
+        return { skipped: true, reason: result.reason };
+      }
+      if (result.reason === 'lease-held-or-bad-state') {
+        // Either another chunk holds the audit's lease (retry once it's
+        // done), or the audit left the scanning phase (nothing to do).
+        const audit = await prisma.siteAudit.findUnique({
+          where: { id: auditId },
+          select: { status: true, phase: true },
+        });
+        if (audit?.status !== 'RUNNING' || audit?.phase !== 'scanning') {
+          return { skipped: true, reason: result.reason };
+        }
+      }
+      throw new Error(`Audit chunk failed: ${result.reason}`);
+    },
+  },
+
+  AUDIT_FINALIZE: {
+    async run({ auditId }) {
+      if (!auditId) throw permanentJobError('Missing auditId');
+      const result = await runFinalization(auditId);
+      if (result.ok) return { score: result.score, pages: result.pages };
+      if (result.reason === 'audit-not-found' || result.reason === 'site-not-found') {
+        throw permanentJobError(result.reason);
+      }
+      // Audit stays in phase='finalizing'; the retry (or the watchdog) picks it up
+      throw new Error(`Audit finalization failed: ${result.reason}`);
+    },
+  },
+
+  SCRAPE_PAGE: {
+    async run({ scrapeQueueId }) {
+      if (!scrapeQueueId) throw permanentJobError('Missing scrapeQueueId');
+      return processScrapeItem(scrapeQueueId);
+    },
+    async onDead(job, error) {
+      await prisma.scrapeQueue.updateMany({
+        where: { id: job.payload?.scrapeQueueId, status: { in: ['PENDING', 'PROCESSING'] } },
+        data: { status: 'FAILED', error: error?.message || 'Worker lost' },
+      });
+    },
+  },
+
+  CONTENT_DIFFERENTIATION: {
+    async run({ backgroundJobId }) {
+      if (!backgroundJobId) throw permanentJobError('Missing backgroundJobId');
+      // Records its own outcome (COMPLETED / FAILED) on the BackgroundJob
+      await processDifferentiationJob(backgroundJobId);
+      return { backgroundJobId };
+    },
+    async onDead(job, error) {
+      await prisma.backgroundJob.updateMany({
+        where: { id: job.payload?.backgroundJobId, status: 'PROCESSING' },
+        data: { status: 'FAILED', error: error?.message || 'Worker lost' },
+      });
+    },
+  },
+
+  WEBHOOK_DELIVERY: {
+    async run({ deliveryId }, ctx) {
+      if (!deliveryId) throw permanentJobError('Missing deliveryId');
+      return deliverWebhook(deliveryId, { finalAttempt: ctx.attempt >= ctx.job.maxAttempts });
+    },
+    async onDead(job, error) {
+      await markDeliveryFailed(job.payload?.deliveryId, error?.message);
+    },
+  },
+  AUTOMATION_RUN: {
+    async run({ runId }, ctx) {
+      if (!runId) throw permanentJobError('Missing runId');
+      return executeAutomationRun(runId, { heartbeat: ctx.heartbeat });
+    },
+    async onDead(job, error) {
+      await markRunFailed(job.payload?.runId, error?.message);
+    },
+  },
+};
@@ -0,0 +1,99 @@
+/**
+ * Queue job types - scheduling policy only.
+ *
+ * Handlers live in handlers.js (they pull in heavy domain modules); this file
+ * stays import-free so enqueuers and the dispatcher can read policy without
+ * loading every handler.
+ *
+ *   maxAttempts         - attempts before the job goes DEAD
+ *   leaseMs             - how long a claim lasts without a heartbeat; must
+ *                         cover the longest gap between heartbeats, and the
+ *                         worker route's maxDuration must cover one attempt
+ *   backoffMs           - first retry delay; doubles per attempt (capped)
+ *   perSiteConcurrency  - RUNNING jobs of this type allowed per siteId
+ *   maxConcurrent       - RUNNING jobs of this type allowed overall
+ */
+
+export const JOB_PRIORITY = Object.freeze({
+  LOW: -10,
+  NORMAL: 0,
+  HIGH: 10,
+});
+
+export const JOB_TYPES = Object.freeze({
+  // Content pipeline (cron/process-content → lib/workers/generate-article)
+  GENERATE_ARTICLE: {
+    maxAttempts: 3,
+    leaseMs: 5 * 60 * 1000,
+    backoffMs: 60 * 1000,
+    perSiteConcurrency: 3,
+    maxConcurrent: 50,
+  },
+  // cron/publish-content → lib/workers/publish-article. One at a time per
+  // site so client WordPress installs aren't hit concurrently.
+  PUBLISH_ARTICLE: {
+    maxAttempts: 3,
+    leaseMs: 2 * 60 * 1000,
+    backoffMs: 2 * 60 * 1000,
+    perSiteConcurrency: 1,
+    maxConcurrent: 50,
+  },
+  // Chunked audit pipeline (lib/audit/site-auditor processChunk / runFinalization).
+  // Desktop + mobile audits of a site run side by side, hence 2.
+  AUDIT_CHUNK: {
+    maxAttempts: 5,
+    leaseMs: 6 * 60 * 1000,
+    backoffMs: 30 * 1000,
+    perSiteConcurrency: 2,
+    maxConcurrent: 20,
+  },
+  AUDIT_FINALIZE: {
+    maxAttempts: 3,
+    leaseMs: 6 * 60 * 1000,
+    backoffMs: 60 * 1000,
+    perSiteConcurrency: 2,
+    maxConcurrent: 20,
+  },
+  // One ScrapeQueue row (lib/sitemap-delta-sync)
+  SCRAPE_PAGE: {
+    maxAttempts: 3,
+    leaseMs: 60 * 1000,
+    backoffMs: 5 * 60 * 1000,
+    perSiteConcurrency: 2,
+    maxConcurrent: 20,
+  },
+  // Cannibalization fix strategy (lib/actions/content-differentiation)
+  CONTENT_DIFFERENTIATION: {
+    maxAttempts: 2,
+    leaseMs: 5 * 60 * 1000,
+    backoffMs: 60 * 1000,
+    perSiteConcurrency: 1,
+    maxConcurrent: 10,
+  },
+  // One outbound webhook POST (lib/webhooks/delivery). ~1h of retries in
+  // total before the delivery is marked FAILED.
+  WEBHOOK_DELIVERY: {
+    maxAttempts: 8,
+    leaseMs: 60 * 1000,
+    backoffMs: 30 * 1000,
+    perSiteConcurrency: 5,
+    maxConcurrent: 50,
+  },
+  // One AutomationRun (lib/automations/runner). Actions aren't idempotent,
+  // so the runner resumes after the last recorded action rather than
+  // retrying the whole run; one run per site at a time so two automations
+  // don't fix the same insights side by side.
+  AUTOMATION_RUN: {
+    maxAttempts: 2,
+    leaseMs: 10 * 60 * 1000,
+    backoffMs: 60 * 1000,
+    perSiteConcurrency: 1,
+    maxConcurrent: 20,
+  },
+});
+
+export const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+export function getJobType(type) {
+  return JOB_TYPES[type] || null;
+}
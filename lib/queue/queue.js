@@ -0,0 +1,342 @@
+/**
+ * Durable Job Queue - storage layer
+ *
+ * MongoDB-backed (QueueJob) replacement for fire-and-forget fetches to
+ * worker routes. Lifecycle:
+ *
+ *   enqueueJob()  → PENDING (runAt = now or later)
+ *   claimJob()    → RUNNING with a short delivery lease (dispatcher.js)
+ *   startJob()    → attempt counted, lease extended to the type's leaseMs
+ *   heartbeatJob()→ lease extended while the handler runs (runner.js)
+ *   completeJob() → COMPLETED
+ *   failJob()     → PENDING with exponential backoff, or DEAD when attempts
+ *                   are exhausted / the error is permanent
+ *
+ * A RUNNING job whose lease lapses (worker killed, dispatch never arrived) is
+ * put back by recoverExpiredLeases() in runner.js. Every transition is a
+ * conditional updateMany guarded by status + leaseToken, so a worker that
+ * lost its lease can never overwrite the state of the attempt that replaced it.
+ */
+
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { JOB_TYPES, JOB_PRIORITY, MAX_BACKOFF_MS, getJobType } from './job-types.js';
+
+export const ACTIVE_STATUSES = ['PENDING', 'RUNNING'];
+
+// Claimed but not started: if the dispatch request never reaches a worker,
+// the job is recovered after this long instead of the type's full lease.
+export const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+const ERROR_LOG_SIZE = 5;
+
+/**
+ * Error a handler throws when retrying can't help (record deleted, bad
+ * payload). The job goes straight to DEAD.
+ * @param {string} message
+ * @returns {Error}
+ */
+export function permanentJobError(message) {
+  const err = new Error(message);
+  err.code = 'JOB_PERMANENT';
+  return err;
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * With `dedupeKey`, an existing PENDING/RUNNING job with the same key is
+ * returned instead of creating a second one (best-effort - two enqueuers
+ * racing on the same key within milliseconds can both insert).
+ *
+ * @param {string} type - JOB_TYPES key
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {string} [options.accountId]
+ * @param {string} [options.siteId] - Enables the type's per-site concurrency limit
+ * @param {number} [options.priority=JOB_PRIORITY.NORMAL]
+ * @param {Date} [options.runAt] - Delay the first attempt
+ * @param {string} [options.dedupeKey]
+ * @param {number} [options.maxAttempts] - Overrides the type default
+ * @returns {Promise<Object>} The QueueJob row
+ */
+export async function enqueueJob(type, payload = {}, options = {}) {
+  const config = getJobType(type);
+  if (!config) throw new Error(`Unknown queue job type: ${type}`);
+
+  const {
+    accountId = null,
+    siteId = null,
+    priority = JOB_PRIORITY.NORMAL,
+    runAt = new Date(),
+    dedupeKey = null,
+    maxAttempts = config.maxAttempts,
+  } = options;
+
+  if (dedupeKey) {
+    const existing = await prisma.queueJob.findFirst({
+      where: { dedupeKey, status: { in: ACTIVE_STATUSES } },
+    });
+    if (existing) return existing;
+  }
+
+  return prisma.queueJob.create({
+    data: { type, payload, accountId, siteId, priority, runAt, dedupeKey, maxAttempts },
+  });
+}
+
+/**
+ * Atomically claim a PENDING job for dispatch.
+ * @param {string} jobId
+ * @returns {Promise<string|null>} Lease token, or null if someone else got it
+ */
+export async function claimJob(jobId) {
+  const now = new Date();
+  const leaseToken = crypto.randomBytes(16).toString('hex');
+  const claimed = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: 'PENDING', runAt: { lte: now } },
+    data: {
+      status: 'RUNNING',
+      leaseToken,
+      leaseUntil: new Date(now.getTime() + DELIVERY_LEASE_MS),
+      heartbeatAt: null,
+    },
+  });
+  return claimed.count === 1 ? leaseToken : null;
+}
+
+/**
+ * Called by the worker when it actually begins executing: counts the attempt
+ * and extends the lease to the type's leaseMs.
+ * @returns {Promise<Object|null>} The job, or null if the lease is no longer ours
+ */
+export async function startJob(jobId, leaseToken) {
+  const job = await prisma.queueJob.findUnique({ where: { id: jobId } });
+  if (!job || job.status !== 'RUNNING' || job.leaseToken !== leaseToken) return null;
+
+  const now = new Date();
+  const leaseMs = getJobType(job.type)?.leaseMs || DELIVERY_LEASE_MS;
+  const started = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: 'RUNNING', leaseToken },
+    data: {
+      attempts: { increment: 1 },
+      startedAt: now,
+      heartbeatAt: now,
+      leaseUntil: new Date(now.getTime() + leaseMs),
+    },
+  });
+  if (started.count !== 1) return null;
+  return { ...job, attempts: job.attempts + 1, startedAt: now };
+}
+
+/**
+ * Extend a running job's lease.
+ * @returns {Promise<boolean>} false when the lease was lost (recovered / cancelled)
+ */
+export async function heartbeatJob(jobId, leaseToken, leaseMs) {
+  const now = new Date();
+  const res = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: 'RUNNING', leaseToken },
+    data: { heartbeatAt: now, leaseUntil: new Date(now.getTime() + leaseMs) },
+  });
+  return res.count === 1;
+}
+
+/**
+ * @returns {Promise<boolean>} false when the lease was lost before completion
+ */
+export async function completeJob(jobId, leaseToken, result = null) {
+  const res = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: 'RUNNING', leaseToken },
+    data: {
+      status: 'COMPLETED',
+      result: result ?? undefined,
+      completedAt: new Date(),
+      leaseToken: null,
+      leaseUntil: null,
+    },
+  });
+  return res.count === 1;
+}
+
+/**
+ * Exponential backoff with ±10% jitter so a burst of failures doesn't retry
+ * in lockstep.
+ * @param {string} type
+ * @param {number} attempt - Attempts made so far (≥1)
+ */
+export function computeBackoffMs(type, attempt) {
+  const base = getJobType(type)?.backoffMs || 60 * 1000;
+  const delay = Math.min(base * 2 ** Math.max(0, attempt - 1), MAX_BACKOFF_MS);
+  const jitter = delay * 0.1 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+function appendErrorLog(job, attempt, message) {
+  const log = Array.isArray(job.errorLog) ? job.errorLog : [];
+  return [...log, { at: new Date().toISOString(), attempt, message }].slice(-ERROR_LOG_SIZE);
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or park the job as DEAD.
+ *
+ * @param {Object} job - Row as returned by startJob() (attempts already counted)
+ * @param {string|null} leaseToken - Guard; null when recovering an expired lease
+ * @param {Error|string} error
+ * @returns {Promise<{ status: 'PENDING'|'DEAD', runAt?: Date } | null>} null if the guard didn't match
+ */
+export async function failJob(job, leaseToken, error) {
+  const message = (error?.message || String(error) || 'Unknown error').slice(0, 1000);
+  const permanent = error?.code === 'JOB_PERMANENT';
+  const dead = permanent || job.attempts >= job.maxAttempts;
+  const now = new Date();
+
+  const data = dead
+    ? { status: 'DEAD', deadAt: now }
+    : { status: 'PENDING', runAt: new Date(now.getTime() + computeBackoffMs(job.type, job.attempts)) };
+
+  const res = await prisma.queueJob.updateMany({
+    where: { id: job.id, status: 'RUNNING', leaseToken: leaseToken ?? job.leaseToken },
+    data: {
+      ...data,
+      lastError: message,
+      errorLog: appendErrorLog(job, job.attempts, message),
+      leaseToken: null,
+      leaseUntil: null,
+    },
+  });
+  if (res.count !== 1) return null;
+  return dead ? { status: 'DEAD' } : { status: 'PENDING', runAt: data.runAt };
+}
+
+/**
+ * Put a claimed job back without counting an attempt (lease expired before
+ * the worker started - the dispatch request was lost).
+ */
+export async function releaseJob(job) {
+  const res = await prisma.queueJob.updateMany({
+    where: { id: job.id, status: 'RUNNING', leaseToken: job.leaseToken },
+    data: { status: 'PENDING', runAt: new Date(), leaseToken: null, leaseUntil: null },
+  });
+  return res.count === 1;
+}
+
+// ==========================================
+// Admin (app/api/admin/queue)
+// ==========================================
+
+/**
+ * Queue depth and health per job type.
+ * @returns {Promise<{ types: Array, totals: Object }>}
+ */
+export async function getQueueStats() {
+  const now = new Date();
+  const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const [grouped, overdue, deadRecent, oldestPending] = await Promise.all([
+    prisma.queueJob.groupBy({
+      by: ['type', 'status'],
+      where: { status: { in: ['PENDING', 'RUNNING', 'DEAD'] } },
+      _count: { _all: true },
+    }),
+    prisma.queueJob.groupBy({
+      by: ['type'],
+      where: { status: 'PENDING', runAt: { lte: now } },
+      _count: { _all: true },
+    }),
+    prisma.queueJob.groupBy({
+      by: ['type'],
+      where: { status: 'DEAD', deadAt: { gte: since } },
+      _count: { _all: true },
+    }),
+    prisma.queueJob.groupBy({
+      by: ['type'],
+      where: { status: 'PENDING', runAt: { lte: now } },
+      _min: { runAt: true },
+    }),
+  ]);
+
+  const types = Object.keys(JOB_TYPES).map((type) => {
+    const count = (status) => grouped.find(g => g.type === type && g.status === status)?._count._all || 0;
+    const oldest = oldestPending.find(g => g.type === type)?._min.runAt || null;
+    return {
+      type,
+      pending: count('PENDING'),
+      due: overdue.find(g => g.type === type)?._count._all || 0,
+      running: count('RUNNING'),
+      dead: count('DEAD'),
+      dead24h: deadRecent.find(g => g.type === type)?._count._all || 0,
+      oldestDueAgeMs: oldest ? now.getTime() - new Date(oldest).getTime() : null,
+    };
+  });
+
+  const totals = types.reduce((acc, t) => ({
+    pending: acc.pending + t.pending,
+    due: acc.due + t.due,
+    running: acc.running + t.running,
+    dead: acc.dead + t.dead,
+    dead24h: acc.dead24h + t.dead24h,
+  }), { pending: 0, due: 0, running: 0, dead: 0, dead24h: 0 });
+
+  return { types, totals };
+}
+
+/**
+ * Paginated job list for the admin view.
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.type]
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=25]
+ */
+export async function listJobs({ status, type, page = 1, limit = 25 } = {}) {
+  const where = {
+    ...(status ? { status } : {}),
+    ...(type ? { type } : {}),
+  };
+  const take = Math.min(Math.max(Number(limit) || 25, 1), 100);
+  const skip = (Math.max(Number(page) || 1, 1) - 1) * take;
+
+  const [jobs, total] = await Promise.all([
+    prisma.queueJob.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' },
+      skip,
+      take,
+      select: {
+        id: true, type: true, status: true, priority: true, accountId: true, siteId: true,
+        payload: true, attempts: true, maxAttempts: true, runAt: true, leaseUntil: true,
+        heartbeatAt: true, lastError: true, errorLog: true, startedAt: true,
+        completedAt: true, deadAt: true, createdAt: true, updatedAt: true,
+      },
+    }),
+    prisma.queueJob.count({ where }),
+  ]);
+
+  return { jobs, total, page: skip / take + 1, limit: take };
+}
+
+/**
+ * Re-queue a DEAD or CANCELLED job with a fresh attempt budget.
+ * @returns {Promise<boolean>}
+ */
+export async function retryJob(jobId) {
+  const res = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: { in: ['DEAD', 'CANCELLED'] } },
+    data: { status: 'PENDING', attempts: 0, runAt: new Date(), deadAt: null },
+  });
+  return res.count === 1;
+}
+
+/**
+ * Cancel a job that hasn't started. RUNNING jobs can't be interrupted - their
+ * worker finishes the current attempt.
+ * @returns {Promise<boolean>}
+ */
+export async function cancelJob(jobId) {
+  const res = await prisma.queueJob.updateMany({
+    where: { id: jobId, status: 'PENDING' },
+    data: { status: 'CANCELLED' },
+  });
+  return res.count === 1;
+}
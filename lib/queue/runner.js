@@ -0,0 +1,133 @@
+/**
+ * Durable Job Queue - runner
+ *
+ * Executes one claimed job inside /api/worker/run-job: starts the attempt,
+ * keeps the lease alive with heartbeats while the handler runs, then records
+ * the outcome. Also recovers RUNNING jobs whose lease lapsed (called by the
+ * process-queue cron before each dispatch).
+ */
+
+import prisma from '@/lib/prisma';
+import { getJobType } from './job-types.js';
+import { JOB_HANDLERS } from './handlers.js';
+import {
+  enqueueJob,
+  startJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  releaseJob,
+  permanentJobError,
+} from './queue.js';
+import { kickQueue } from './dispatcher.js';
+
+const MIN_HEARTBEAT_MS = 5 * 1000;
+const RECOVERY_BATCH = 100;
+
+async function runOnDead(handler, job, error) {
+  if (!handler?.onDead) return;
+  try {
+    await handler.onDead(job, error);
+  } catch (err) {
+    console.error(`[Queue] onDead failed for ${job.type} ${job.id}:`, err.message);
+  }
+}
+
+/**
+ * Run a job the dispatcher claimed for us.
+ *
+ * @param {string} jobId
+ * @param {string} leaseToken - From claimJob()
+ * @returns {Promise<{ ok: boolean, status?: string, result?: Object, error?: string, reason?: string }>}
+ */
+export async function runJob(jobId, leaseToken) {
+  const job = await startJob(jobId, leaseToken);
+  if (!job) return { ok: false, reason: 'lease-lost' };
+
+  const config = getJobType(job.type);
+  const handler = JOB_HANDLERS[job.type];
+  const followUps = [];
+  let leaseLost = false;
+
+  const heartbeat = async () => {
+    const held = await heartbeatJob(job.id, leaseToken, config.leaseMs).catch(() => true);
+    if (!held) leaseLost = true;
+    return held;
+  };
+  const timer = setInterval(heartbeat, Math.max(MIN_HEARTBEAT_MS, Math.floor(config.leaseMs / 3)));
+
+  const ctx = {
+    job,
+    attempt: job.attempts,
+    heartbeat,
+    // Deferred so a follow-up sharing this job's dedupeKey isn't collapsed
+    // into the job that's still RUNNING.
+    enqueue: (type, payload, options) => { followUps.push({ type, payload, options }); },
+    get leaseLost() { return leaseLost; },
+  };
+
+  try {
+    if (!handler) throw permanentJobError(`No handler for job type ${job.type}`);
+    const result = await handler.run(job.payload || {}, ctx);
+    clearInterval(timer);
+
+    const completed = await completeJob(job.id, leaseToken, result ?? null);
+    if (!completed) {
+      // Lease was recovered while we ran - the retry owns the job now and
+      // will enqueue its own follow-ups.
+      console.warn(`[Queue] ${job.type} ${job.id} finished after losing its lease`);
+      return { ok: false, reason: 'lease-lost', result };
+    }
+
+    for (const next of followUps) {
+      await enqueueJob(next.type, next.payload, next.options);
+    }
+    if (followUps.length > 0) kickQueue([...new Set(followUps.map(f => f.type))]);
+
+    return { ok: true, status: 'COMPLETED', result };
+  } catch (error) {
+    clearInterval(timer);
+    console.error(`[Queue] ${job.type} ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+
+    const outcome = await failJob(job, leaseToken, error);
+    if (outcome?.status === 'DEAD') await runOnDead(handler, job, error);
+
+    return { ok: false, status: outcome?.status || null, error: error.message };
+  }
+}
+
+/**
+ * Put back RUNNING jobs whose lease expired. Jobs that never started (the
+ * dispatch didn't arrive) are released without using an attempt; jobs whose
+ * worker died mid-run count it as a failed attempt.
+ *
+ * @returns {Promise<{ released: number, retried: number, dead: number }>}
+ */
+export async function recoverExpiredLeases() {
+  const expired = await prisma.queueJob.findMany({
+    where: { status: 'RUNNING', leaseUntil: { lt: new Date() } },
+    take: RECOVERY_BATCH,
+  });
+
+  let released = 0, retried = 0, dead = 0;
+
+  for (const job of expired) {
+    if (!job.heartbeatAt) {
+      if (await releaseJob(job)) released++;
+      continue;
+    }
+
+    const error = new Error('Lease expired - worker stopped responding');
+    const outcome = await failJob(job, null, error);
+    if (outcome?.status === 'PENDING') retried++;
+    if (outcome?.status === 'DEAD') {
+      dead++;
+      await runOnDead(JOB_HANDLERS[job.type], job, error);
+    }
+  }
+
+  if (expired.length > 0) {
+    console.warn(`[Queue] Recovered ${expired.length} expired leases (released=${released}, retried=${retried}, dead=${dead})`);
+  }
+  return { released, retried, dead };
+}
@@ -0,0 +1,334 @@
+/**
+ * Scheduled rank tracking + competitor share of voice.
+ *
+ * A RankTrackingSchedule checks a keyword set (keywords carrying any of the
+ * schedule's tags, or all of the site's keywords) against one Google market
+ * on a DAILY or WEEKLY cadence. Each run:
+ *   1. pre-flights Ai-GCoins for the whole set (RANK_CHECK per keyword) and
+ *      trims the run to what the account can afford, highest volume first
+ *   2. reads every SERP via DataForSEO (lib/dataforseo/serp.js →
+ *      checkKeywordSerp): own rank, SERP features, tracked competitors' ranks
+ *   3. writes one KeywordSerpSnapshot per keyword and refreshes the Keyword's
+ *      cached serp* fields
+ *   4. debits credits for the keywords actually checked (failed checks are
+ *      free) through the credits service
+ *   5. dispatches KEYWORD_DROPPED automations for keywords that lost ground
+ *      since their previous check
+ *
+ * shareOfVoice turns a schedule's snapshots into a per-tag time series: for
+ * each run day, the share of the keyword set's estimated clicks that the site
+ * and each competitor capture (Σ volume × CTR(position) / Σ volume).
+ *
+ * Used by:
+ *   - /api/cron/rank-tracking (due schedules)
+ *   - /api/keywords/rank-schedules (+ /[id], /[id]/run)
+ *   - /api/keywords/share-of-voice
+ */
+
+import prisma from '@/lib/prisma';
+import { checkKeywordSerp, isDataForSEOConfigured } from '@/lib/dataforseo/serp';
+import { enforceCredits } from '@/lib/account-limits';
+import { trackAIUsage } from '@/lib/ai/credits-service';
+import { getOperationCreditCost } from '@/lib/ai/credits';
+import { invalidateKeywords } from '@/lib/cache/invalidate.js';
+import { dispatchAutomationEvent } from '@/lib/automations/dispatch';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY'];
+const FREQUENCY_DAYS = { DAILY: 1, WEEKLY: 7 };
+
+// Hard cap per run - every keyword is one paid live SERP request.
+export const MAX_KEYWORDS_PER_RUN = 500;
+export const MAX_SCHEDULES_PER_SITE = 10;
+const CONCURRENCY = 5;
+
+// Estimated organic CTR by position (desktop, blended industry curves).
+// Positions past 20 are treated as zero clicks.
+const CTR_BY_POSITION = [
+  0.28, 0.15, 0.11, 0.08, 0.07, 0.05, 0.04, 0.03, 0.03, 0.025,
+  0.012, 0.011, 0.01, 0.009, 0.008, 0.007, 0.006, 0.005, 0.005, 0.004,
+];
+
+export const OWN_SITE = 'own';
+export const ALL_TAGS = '*';
+const UNTAGGED = '(untagged)';
+// A keyword that fell out of the checked top 100 counts as position 101
+// when measuring how far it dropped.
+const UNRANKED_POSITION = 101;
+
+export function expectedCtr(position) {
+  if (!position || position < 1) return 0;
+  return CTR_BY_POSITION[position - 1] || 0;
+}
+
+/**
+ * When a schedule runs next after `from`.
+ */
+export function nextRunAfter(frequency, from = new Date()) {
+  const days = FREQUENCY_DAYS[frequency] || FREQUENCY_DAYS.WEEKLY;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * The keyword rows a schedule covers, highest search volume first.
+ */
+export async function scheduleKeywords(schedule) {
+  return prisma.keyword.findMany({
+    where: {
+      siteId: schedule.siteId,
+      status: { not: 'ARCHIVED' },
+      ...(schedule.tags?.length ? { tags: { hasSome: schedule.tags } } : {}),
+    },
+    select: { id: true, keyword: true, tags: true, searchVolume: true, serpPosition: true },
+    orderBy: { searchVolume: 'desc' },
+  });
+}
+
+/**
+ * Run one schedule now. Never throws for per-keyword failures; the outcome
+ * is stored on the schedule (lastRunStatus / lastRunStats / lastRunError)
+ * and returned.
+ *
+ * lastRunStatus:
+ *   OK          every keyword in the set was checked
+ *   PARTIAL     some keywords failed or were cut for credits / the run cap
+ *   NO_CREDITS  the account couldn't afford a single check (or is read-only)
+ *   FAILED      nothing could be checked (provider down, out of balance...)
+ *
+ * @param {object} schedule - RankTrackingSchedule row
+ * @param {{ userId?: string }} [opts] - who triggered a manual run
+ */
+export async function runRankSchedule(schedule, { userId = null } = {}) {
+  const startedAt = new Date();
+  const stats = { keywords: 0, checked: 0, failed: 0, skipped: 0, creditsUsed: 0 };
+
+  const finish = async (status, error = null) => {
+    await prisma.rankTrackingSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        lastRunAt: startedAt,
+        lastRunStatus: status,
+        lastRunError: error ? String(error).slice(0, 500) : null,
+        lastRunStats: stats,
+        nextRunAt: nextRunAfter(schedule.frequency, startedAt),
+      },
+    });
+    return { status, error, ...stats };
+  };
+
+  const site = await prisma.site.findUnique({
+    where: { id: schedule.siteId },
+    select: {
+      id: true,
+      url: true,
+      isActive: true,
+      accountId: true,
+      account: { select: { isActive: true, archivedAt: true } },
+    },
+  });
+  if (!site || !site.isActive || !site.account?.isActive || site.account?.archivedAt) {
+    return finish('FAILED', 'Site or account is inactive');
+  }
+  if (!isDataForSEOConfigured()) {
+    return finish('FAILED', 'Rank checks are not configured (DataForSEO credentials missing)');
+  }
+
+  const keywords = await scheduleKeywords(schedule);
+  stats.keywords = keywords.length;
+  if (keywords.length === 0) return finish('OK');
+
+  // Credits: check the whole set up front, then trim to what's affordable.
+  const costPerKeyword = await getOperationCreditCost('RANK_CHECK');
+  let batch = keywords.slice(0, MAX_KEYWORDS_PER_RUN);
+  const check = await enforceCredits(site.accountId, costPerKeyword * batch.length);
+  if (!check.allowed) {
+    const remaining = check.code === 'ACCOUNT_READ_ONLY' ? 0 : (check.usage?.remaining ?? 0);
+    const affordable = costPerKeyword > 0 ? Math.floor(remaining / costPerKeyword) : batch.length;
+    batch = batch.slice(0, Math.max(0, affordable));
+  }
+  stats.skipped = keywords.length - batch.length;
+  if (batch.length === 0) {
+    return finish('NO_CREDITS', check.error || 'Insufficient Ai-GCoins');
+  }
+
+  const competitors = await prisma.competitor.findMany({
+    where: { siteId: site.id, isActive: true },
+    select: { id: true, domain: true, url: true },
+  });
+  const competitorByDomain = new Map(
+    competitors.map((c) => [String(c.domain || '').replace(/^www\./i, '').toLowerCase(), c]),
+  );
+
+  const queue = [...batch];
+  const drops = [];
+  let billingError = null;
+  let lastError = null;
+
+  const worker = async () => {
+    let kw;
+    while ((kw = queue.shift())) {
+      // Once the provider account is out of balance every call fails the same way.
+      if (billingError) return;
+      try {
+        const serp = await checkKeywordSerp({
+          keyword: kw.keyword,
+          siteUrl: site.url,
+          locationCode: schedule.locationCode,
+          languageCode: schedule.languageCode,
+          competitorUrls: competitors.map((c) => c.domain || c.url),
+        });
+        const checkedAt = new Date();
+        await prisma.keyword.update({
+          where: { id: kw.id },
+          data: {
+            serpPosition: serp.position,
+            serpUrl: serp.url,
+            serpCheckedAt: checkedAt,
+            serpInLocalPack: serp.inLocalPack,
+          },
+        });
+        await prisma.keywordSerpSnapshot.create({
+          data: {
+            keywordId: kw.id,
+            siteId: site.id,
+            scheduleId: schedule.id,
+            position: serp.position,
+            url: serp.url,
+            inLocalPack: serp.inLocalPack,
+            locationCode: schedule.locationCode,
+            languageCode: schedule.languageCode,
+            searchVolume: kw.searchVolume ?? null,
+            tags: kw.tags || [],
+            serpFeatures: serp.features,
+            ownFeatures: serp.ownFeatures,
+            topUrls: serp.topUrls,
+            competitorPositions: serp.competitors.map((c) => ({
+              competitorId: competitorByDomain.get(c.domain)?.id || null,
+              domain: c.domain,
+              position: c.position,
+              url: c.url,
+            })),
+            checkedAt,
+          },
+        });
+        stats.checked++;
+
+        if (kw.serpPosition != null && (serp.position ?? UNRANKED_POSITION) > kw.serpPosition) {
+          drops.push({
+            keywordId: kw.id,
+            keyword: kw.keyword,
+            previousPosition: kw.serpPosition,
+            position: serp.position ?? null,
+            drop: (serp.position ?? UNRANKED_POSITION) - kw.serpPosition,
+            searchVolume: kw.searchVolume ?? null,
+            url: serp.url || null,
+          });
+        }
+      } catch (err) {
+        if (err?.isBilling) {
+          billingError = err;
+          return;
+        }
+        console.error(`[RankTracking] check failed for "${kw.keyword}":`, err.message);
+        lastError = err.message;
+        stats.failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  // Keywords never started because of a provider billing error count as skipped.
+  stats.skipped += queue.length;
+
+  if (stats.checked > 0) {
+    const debit = await trackAIUsage({
+      accountId: site.accountId,
+      userId,
+      siteId: site.id,
+      operation: 'RANK_CHECK',
+      creditsMultiplier: stats.checked,
+      description: `Rank check: ${schedule.name} (${stats.checked} keywords)`,
+      metadata: { scheduleId: schedule.id, keywords: stats.checked },
+    });
+    if (debit.success) stats.creditsUsed = debit.creditsUsed;
+    invalidateKeywords(site.id);
+  }
+
+  if (drops.length > 0) {
+    await dispatchAutomationEvent(site.id, 'KEYWORD_DROPPED', drops.sort((a, b) => b.drop - a.drop));
+  }
+
+  if (stats.checked === 0) {
+    return finish('FAILED', billingError?.message || lastError || 'No keyword could be checked');
+  }
+  const complete = stats.failed === 0 && stats.skipped === 0;
+  return finish(complete ? 'OK' : 'PARTIAL', billingError?.message || lastError);
+}
+
+/**
+ * Share-of-voice time series from a schedule's snapshots.
+ *
+ * Each keyword is weighted by its search volume (unknown volume counts as 1)
+ * and credited with expectedCtr(position) of it for the site and for every
+ * tracked competitor. Per tag and per run day, a domain's share is
+ * Σ weight × CTR / Σ weight - the fraction of the keyword set's clicks it is
+ * estimated to win. ALL_TAGS aggregates the whole set; keywords without tags
+ * are grouped under "(untagged)". When a keyword was checked more than once
+ * on a day, the latest snapshot counts.
+ *
+ * @param {Array} snapshots - KeywordSerpSnapshot rows (one schedule)
+ * @returns {{ tags: string[], domains: string[],
+ *             series: Record<string, { date: string, keywords: number, shares: Record<string, number> }[]> }}
+ */
+export function shareOfVoice(snapshots) {
+  // day → keywordId → latest snapshot
+  const byDay = new Map();
+  for (const s of snapshots) {
+    const day = new Date(s.checkedAt).toISOString().slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, new Map());
+    const seen = byDay.get(day);
+    const prev = seen.get(s.keywordId);
+    if (!prev || new Date(prev.checkedAt) < new Date(s.checkedAt)) seen.set(s.keywordId, s);
+  }
+
+  const domains = new Set();
+  const tags = new Set([ALL_TAGS]);
+  const series = {};
+
+  for (const day of [...byDay.keys()].sort()) {
+    const buckets = new Map(); // tag → { weight, keywords, clicks: Map(domain → weighted ctr) }
+    for (const s of byDay.get(day).values()) {
+      const weight = s.searchVolume > 0 ? s.searchVolume : 1;
+      const credits = [[OWN_SITE, expectedCtr(s.position)]];
+      for (const c of Array.isArray(s.competitorPositions) ? s.competitorPositions : []) {
+        domains.add(c.domain);
+        credits.push([c.domain, expectedCtr(c.position)]);
+      }
+
+      const keywordTags = s.tags?.length ? s.tags : [UNTAGGED];
+      for (const tag of [ALL_TAGS, ...keywordTags]) {
+        tags.add(tag);
+        if (!buckets.has(tag)) buckets.set(tag, { weight: 0, keywords: 0, clicks: new Map() });
+        const b = buckets.get(tag);
+        b.weight += weight;
+        b.keywords++;
+        for (const [domain, ctr] of credits) {
+          b.clicks.set(domain, (b.clicks.get(domain) || 0) + weight * ctr);
+        }
+      }
+    }
+
+    for (const [tag, b] of buckets) {
+      const shares = {};
+      for (const [domain, clicks] of b.clicks) {
+        shares[domain] = Math.round((clicks / b.weight) * 10000) / 100; // percent, 2 decimals
+      }
+      (series[tag] ||= []).push({ date: day, keywords: b.keywords, shares });
+    }
+  }
+
+  return {
+    tags: [...tags],
+    domains: [OWN_SITE, ...[...domains].sort()],
+    series,
+  };
+}
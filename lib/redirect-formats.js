@@ -0,0 +1,729 @@
+/**
+ * Redirect import / export formats.
+ *
+ * Parses the redirect exports of the common WordPress redirect plugins and
+ * server configs into Redirection rule rows, and writes the platform's rules
+ * back out in the same formats:
+ *
+ *   redirection-csv   Redirection plugin CSV export (source,target,regex,code,...)
+ *   redirection-json  Redirection plugin JSON export ({ redirects: [...] })
+ *   yoast-csv         Yoast SEO Premium CSV export (Origin,Target,Type,Format)
+ *   rankmath-csv      Rank Math CSV export (source,matching,destination,type,status)
+ *   htaccess          Apache `Redirect`, `RedirectMatch` and `RewriteRule ... [R=301]`
+ *   nginx             `return 301` inside `location` blocks, and `rewrite ... permanent`
+ *
+ * Parsed rows have the Redirection shape used by lib/redirect-rules.js:
+ *   { sourceUrl, targetUrl, type, matchType, preserveQuery, isActive }
+ * Lines that can't be understood are reported in `errors` with their line
+ * number instead of failing the whole file.
+ *
+ * planImport classifies parsed rules against the site's existing rules for
+ * the dry-run report of /api/sites/[id]/redirections/import.
+ */
+
+import {
+  normalizeSource, rulePattern, validateRule, compileRules, traceRule, REDIRECT_CODE,
+} from '@/lib/redirect-rules';
+
+export const REDIRECT_FORMATS = [
+  'redirection-csv',
+  'redirection-json',
+  'yoast-csv',
+  'rankmath-csv',
+  'htaccess',
+  'nginx',
+];
+
+const FORMAT_FILES = {
+  'redirection-csv': { ext: 'csv', mime: 'text/csv' },
+  'redirection-json': { ext: 'json', mime: 'application/json' },
+  'yoast-csv': { ext: 'csv', mime: 'text/csv' },
+  'rankmath-csv': { ext: 'csv', mime: 'text/csv' },
+  htaccess: { ext: 'htaccess', mime: 'text/plain' },
+  nginx: { ext: 'conf', mime: 'text/plain' },
+};
+
+const CODE_TYPE = { 301: 'PERMANENT', 302: 'TEMPORARY', 307: 'FOUND', 308: 'PERMANENT' };
+
+function typeFromCode(code) {
+  const n = parseInt(String(code ?? '').replace(/\D/g, ''), 10);
+  return CODE_TYPE[n] || (/perm/i.test(String(code)) ? 'PERMANENT' : /temp|found/i.test(String(code)) ? 'TEMPORARY' : 'PERMANENT');
+}
+
+function codeOf(rule) {
+  return REDIRECT_CODE[rule.type] || 301;
+}
+
+function isTruthy(v) {
+  return v === true || v === 1 || /^(1|true|yes|regex)$/i.test(String(v ?? '').trim());
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  return rows;
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Map CSV rows to objects keyed by lower-cased header. Files without a
+// recognizable header are read positionally as source,target[,code].
+function csvRecords(text, knownHeaders) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const head = rows[0].map((h) => h.trim().toLowerCase());
+  const hasHeader = head.some((h) => knownHeaders.includes(h));
+  const keys = hasHeader ? head : ['source', 'target', 'code'];
+  return rows.slice(hasHeader ? 1 : 0).map((r, i) => ({
+    line: i + (hasHeader ? 2 : 1),
+    rec: Object.fromEntries(keys.map((k, j) => [k, (r[j] ?? '').trim()])),
+  }));
+}
+
+// Rank Math / Yoast "matching" modes as our match types.
+function fromMatching(source, matching) {
+  switch (String(matching || 'exact').toLowerCase()) {
+    case 'regex': return { sourceUrl: source, matchType: 'REGEX' };
+    case 'start': return { sourceUrl: `${source.replace(/\*$/, '')}*`, matchType: 'WILDCARD' };
+    case 'end': return { sourceUrl: `*${source}`, matchType: 'WILDCARD' };
+    case 'contains': return { sourceUrl: `*${source}*`, matchType: 'WILDCARD' };
+    default: return { sourceUrl: source, matchType: 'EXACT' };
+  }
+}
+
+function parseRedirectionCsv(text) {
+  return csvRecords(text, ['source', 'target', 'regex', 'code']).map(({ line, rec }) => ({
+    line,
+    rule: {
+      sourceUrl: rec.source || rec.url || '',
+      targetUrl: rec.target || rec.action_data || '',
+      type: typeFromCode(rec.code || rec.action_code || 301),
+      matchType: isTruthy(rec.regex) ? 'REGEX' : 'EXACT',
+      isActive: !/^(disabled|0|false)$/i.test(rec.status || ''),
+    },
+  }));
+}
+
+function parseYoastCsv(text) {
+  return csvRecords(text, ['origin', 'target', 'type', 'format']).map(({ line, rec }) => ({
+    line,
+    rule: {
+      sourceUrl: rec.origin || rec.source || '',
+      targetUrl: rec.target || '',
+      type: typeFromCode(rec.type || rec.code || 301),
+      matchType: /regex/i.test(rec.format || '') ? 'REGEX' : 'EXACT',
+    },
+  }));
+}
+
+function parseRankMathCsv(text) {
+  return csvRecords(text, ['source', 'matching', 'destination', 'type']).map(({ line, rec }) => ({
+    line,
+    rule: {
+      ...fromMatching(rec.source || '', rec.matching),
+      targetUrl: rec.destination || rec.target || '',
+      type: typeFromCode(rec.type || 301),
+      isActive: !/^(inactive|disabled|trashed)$/i.test(rec.status || ''),
+    },
+  }));
+}
+
+// ─── JSON ────────────────────────────────────────────────────────────
+
+function parseJsonExport(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.redirects || data.redirections || [];
+  return list.map((r, i) => {
+    // Redirection plugin: { url, action_data: { url }, action_code, regex, enabled }
+    const target = typeof r.action_data === 'object' ? r.action_data?.url : r.action_data;
+    const sources = Array.isArray(r.sources) ? r.sources : null; // Rank Math: sources[{pattern, comparison}]
+    const first = sources?.[0];
+    const base = first
+      ? fromMatching(first.pattern || '', first.comparison)
+      : {
+        sourceUrl: r.url || r.source || r.sourceUrl || r.origin || '',
+        matchType: isTruthy(r.regex) ? 'REGEX' : (r.matchType || 'EXACT'),
+      };
+    return {
+      line: i + 1,
+      rule: {
+        ...base,
+        targetUrl: target || r.url_to || r.target || r.targetUrl || r.destination || '',
+        type: typeFromCode(r.action_code || r.code || r.header_code || r.type || 301),
+        isActive: r.enabled !== false && r.status !== 'inactive' && r.isActive !== false,
+        preserveQuery: r.preserveQuery === true,
+      },
+    };
+  });
+}
+
+// ─── Apache ──────────────────────────────────────────────────────────
+
+// Apache (.htaccess), Yoast and Rank Math regexes match the path without its
+// leading slash; make them match our slash-prefixed paths.
+function slashPattern(p) {
+  if (p.startsWith('^/')) return p;
+  if (p.startsWith('^')) return `^/${p.slice(1).replace(/^\/\?/, '')}`;
+  return p.startsWith('/') ? p : `/${p}`;
+}
+
+function parseHtaccess(text) {
+  const out = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNo = i + 1;
+    if (!line || line.startsWith('#') || /^(RewriteEngine|RewriteBase|RewriteCond|Options|<|Order|Allow|Deny)/i.test(line)) return;
+
+    let m = line.match(/^Redirect\s+(\S+)\s+(\S+)(?:\s+(\S+))?$/i);
+    if (m) {
+      // `Redirect /old /new` (302 by default) or `Redirect 301|permanent /old /new`
+      const [code, src, dst] = m[3] ? [m[1], m[2], m[3]] : ['302', m[1], m[2]];
+      out.push({ line: lineNo, rule: { sourceUrl: src, targetUrl: dst, type: typeFromCode(code), matchType: 'EXACT', preserveQuery: true } });
+      return;
+    }
+    m = line.match(/^RedirectMatch\s+(\S+)\s+(\S+)(?:\s+(\S+))?$/i);
+    if (m) {
+      const [code, src, dst] = m[3] ? [m[1], m[2], m[3]] : ['302', m[1], m[2]];
+      out.push({ line: lineNo, rule: { sourceUrl: src, targetUrl: dst, type: typeFromCode(code), matchType: 'REGEX', preserveQuery: true } });
+      return;
+    }
+    m = line.match(/^RewriteRule\s+(\S+)\s+(\S+)\s*\[([^\]]*)\]/i);
+    if (m) {
+      const flags = m[3].split(',').map((f) => f.trim().toUpperCase());
+      const r = flags.find((f) => f === 'R' || f.startsWith('R='));
+      if (!r) {
+        out.push({ line: lineNo, error: 'RewriteRule without [R] flag is an internal rewrite, not a redirect' });
+        return;
+      }
+      const code = r.includes('=') ? r.split('=')[1] : '302';
+      const target = m[2];
+      out.push({
+        line: lineNo,
+        rule: {
+          sourceUrl: m[1],
+          targetUrl: target.replace(/\?$/, ''),
+          type: typeFromCode(code),
+          matchType: 'REGEX',
+          // Apache keeps the query unless the target has its own, or QSD / trailing "?"
+          preserveQuery: !flags.includes('QSD') && !target.endsWith('?') && (!target.includes('?') || flags.includes('QSA')),
+        },
+      });
+      return;
+    }
+    out.push({ line: lineNo, error: `Unrecognized line: ${line.slice(0, 120)}` });
+  });
+  return out;
+}
+
+// ─── nginx ───────────────────────────────────────────────────────────
+
+function unquote(s) {
+  return s.replace(/^["']|["']$/g, '');
+}
+
+// Strip nginx query-carrying suffixes from a return target. `$request_uri`
+// (original path + query) becomes `requestPath`, which the caller expresses
+// with the rule's own source or capture.
+function nginxTarget(raw, requestPath) {
+  const t = unquote(raw);
+  const preserveQuery = /\$is_args\$args|\$request_uri|\?\$args|\$query_string/.test(t);
+  return {
+    targetUrl: t.replace(/\$is_args\$args|\?\$args|\?\$query_string/g, '').replace(/\$request_uri/g, requestPath),
+    preserveQuery,
+  };
+}
+
+function nginxEntry(line, ...args) {
+  try {
+    return { line, rule: locationRule(...args) };
+  } catch (err) {
+    return { line, error: err.message };
+  }
+}
+
+function parseNginx(text) {
+  const out = [];
+  const lines = String(text || '').split(/\r?\n/);
+  let location = null; // { modifier, path, line }
+
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const lineNo = i + 1;
+    if (!line) return;
+
+    // Single-line `location = /old { return 301 /new; }`
+    let m = line.match(/^location\s+(=|~\*?|\^~)?\s*(\S+)\s*\{\s*return\s+(\d{3})\s+(\S+?);?\s*\}$/);
+    if (m) {
+      out.push(nginxEntry(lineNo, m[1], m[2], m[3], m[4]));
+      return;
+    }
+    m = line.match(/^location\s+(=|~\*?|\^~)?\s*(\S+)\s*\{$/);
+    if (m) {
+      location = { modifier: m[1], path: m[2], line: lineNo };
+      return;
+    }
+    m = line.match(/^return\s+(\d{3})\s+(\S+?);$/);
+    if (m) {
+      if (!location) {
+        out.push({ line: lineNo, error: '`return` outside a location block - no source path' });
+        return;
+      }
+      out.push(nginxEntry(lineNo, location.modifier, location.path, m[1], m[2]));
+      return;
+    }
+    m = line.match(/^rewrite\s+(\S+)\s+(\S+)\s+(permanent|redirect);$/);
+    if (m) {
+      const target = unquote(m[2]);
+      out.push({
+        line: lineNo,
+        rule: {
+          sourceUrl: unquote(m[1]),
+          targetUrl: target.replace(/\?$/, ''),
+          type: m[3] === 'permanent' ? 'PERMANENT' : 'TEMPORARY',
+          matchType: 'REGEX',
+          // nginx appends the original args unless the replacement ends with "?"
+          preserveQuery: !target.endsWith('?'),
+        },
+      });
+      return;
+    }
+    if (line === '}') {
+      location = null;
+      return;
+    }
+    if (/^(server|listen|server_name|root|index|include|if|set|try_files)\b/.test(line)) return;
+    out.push({ line: lineNo, error: `Unrecognized line: ${line.slice(0, 120)}` });
+  });
+  return out;
+}
+
+function locationRule(modifier, path, code, rawTarget) {
+  const src = unquote(path);
+  const type = typeFromCode(code);
+  if (modifier === '~' || modifier === '~*') {
+    if (rawTarget.includes('$request_uri')) {
+      throw new Error('$request_uri in a regex location is not supported - use a capture group');
+    }
+    return { sourceUrl: src, ...nginxTarget(rawTarget, ''), type, matchType: 'REGEX' };
+  }
+  if (modifier === '=') {
+    return { sourceUrl: src, ...nginxTarget(rawTarget, src), type, matchType: 'EXACT' };
+  }
+  // Prefix location: matches the path and everything below it
+  const prefix = src.replace(/\*$/, '');
+  return { sourceUrl: `${prefix}*`, ...nginxTarget(rawTarget, `${prefix}$1`), type, matchType: 'WILDCARD' };
+}
+
+// ─── Detection + entry point ─────────────────────────────────────────
+
+/**
+ * Guess the format of an uploaded export from its content.
+ */
+export function detectFormat(text) {
+  const s = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (s.startsWith('{') || s.startsWith('[')) return 'redirection-json';
+  if (/^\s*(Redirect|RedirectMatch|RewriteRule|RewriteEngine)\s/im.test(s)) return 'htaccess';
+  if (/^\s*(location\s|rewrite\s|return\s+\d{3}|server\s*\{)/im.test(s)) return 'nginx';
+  const head = (s.split(/\r?\n/)[0] || '').toLowerCase();
+  if (head.includes('origin')) return 'yoast-csv';
+  if (head.includes('matching') || head.includes('destination')) return 'rankmath-csv';
+  return 'redirection-csv';
+}
+
+// `^/?old-page$` written as a regex is really an exact path (our own
+// .htaccess export writes exact rules that way); store it as EXACT.
+function literalPath(pattern) {
+  const m = pattern.match(/^\^\/\??((?:[^\\.*+?()[\]{}|^$]|\\[./-])*)\$$/);
+  return m ? `/${m[1].replace(/\\(.)/g, '$1')}` : null;
+}
+
+/**
+ * Parse an export into rule rows.
+ *
+ * @param {string} text
+ * @param {string} [format] - one of REDIRECT_FORMATS; detected when omitted
+ * @returns {{ format: string, rules: {line:number, rule:object}[], errors: {line:number, message:string}[] }}
+ */
+export function parseRedirectExport(text, format) {
+  const fmt = format && REDIRECT_FORMATS.includes(format) ? format : detectFormat(text);
+  let entries;
+  try {
+    entries = {
+      'redirection-csv': parseRedirectionCsv,
+      'redirection-json': parseJsonExport,
+      'yoast-csv': parseYoastCsv,
+      'rankmath-csv': parseRankMathCsv,
+      htaccess: parseHtaccess,
+      nginx: parseNginx,
+    }[fmt](text);
+  } catch (err) {
+    return { format: fmt, rules: [], errors: [{ line: 0, message: `Could not parse file: ${err.message}` }] };
+  }
+
+  const rules = [];
+  const errors = [];
+  for (const e of entries) {
+    if (e.error) {
+      errors.push({ line: e.line, message: e.error });
+      continue;
+    }
+    let matchType = e.rule.matchType || 'EXACT';
+    let sourceUrl = e.rule.sourceUrl || '';
+    if (matchType === 'REGEX') {
+      sourceUrl = slashPattern(sourceUrl);
+      const literal = !/\$\d/.test(e.rule.targetUrl || '') && literalPath(sourceUrl);
+      if (literal) {
+        sourceUrl = literal;
+        matchType = 'EXACT';
+      }
+    }
+    let targetUrl = String(e.rule.targetUrl || '').trim();
+    if (targetUrl && !/^(https?:)?\/\//i.test(targetUrl) && !targetUrl.startsWith('/') && !targetUrl.startsWith('$')) {
+      targetUrl = `/${targetUrl}`;
+    }
+    const rule = {
+      sourceUrl: normalizeSource(sourceUrl, matchType),
+      targetUrl,
+      type: e.rule.type || 'PERMANENT',
+      matchType,
+      preserveQuery: !!e.rule.preserveQuery,
+      isActive: e.rule.isActive !== false,
+    };
+    const invalid = validateRule(rule);
+    if (invalid) {
+      errors.push({ line: e.line, message: invalid });
+      continue;
+    }
+    rules.push({ line: e.line, rule });
+  }
+  return { format: fmt, rules, errors };
+}
+
+// ─── Import plan ─────────────────────────────────────────────────────
+
+export const IMPORT_STATUSES = ['new', 'duplicate', 'conflicting', 'chain', 'loop'];
+
+function sameRule(a, b) {
+  return a.targetUrl === b.targetUrl
+    && a.type === b.type
+    && (a.matchType || 'EXACT') === (b.matchType || 'EXACT')
+    && !!a.preserveQuery === !!b.preserveQuery;
+}
+
+/**
+ * Classify parsed rules against the site's existing rules:
+ *
+ *   new          source not on the site yet
+ *   duplicate    same source and same target/type - nothing to do
+ *   conflicting  same source, different target/type (applied only with
+ *                onConflict = 'overwrite')
+ *   chain        would be saved, but its destination is redirected again
+ *   loop         would create a redirect loop - never applied
+ *
+ * Loops and chains are checked on the rule set as it would be after the
+ * import, so rules in the same file that chain into each other are caught.
+ * Repeated sources within the file keep the first occurrence.
+ *
+ * @param {Array} existing - the site's Redirection rows
+ * @param {{line, rule}[]} parsed - parseRedirectExport().rules
+ * @param {{ onConflict?: 'skip'|'overwrite', siteUrl?: string }} [opts]
+ * @returns {{ items: {line, status, rule, existingId?, path?: string[]}[],
+ *             summary: Record<string, number> }}
+ */
+export function planImport(existing, parsed, { onConflict = 'skip', siteUrl } = {}) {
+  const bySource = new Map(existing.map((r) => [r.sourceUrl, r]));
+  const seen = new Map();
+  const items = [];
+
+  for (const { line, rule } of parsed) {
+    const earlier = seen.get(rule.sourceUrl);
+    if (earlier) {
+      items.push({
+        line,
+        status: sameRule(earlier.rule, rule) ? 'duplicate' : 'conflicting',
+        rule,
+        duplicateOfLine: earlier.line,
+        skipped: true,
+      });
+      continue;
+    }
+    seen.set(rule.sourceUrl, { line, rule });
+
+    const current = bySource.get(rule.sourceUrl);
+    if (!current) {
+      items.push({ line, status: 'new', rule });
+    } else if (sameRule(current, rule)) {
+      items.push({ line, status: 'duplicate', rule, existingId: current.id, skipped: true });
+    } else {
+      items.push({ line, status: 'conflicting', rule, existingId: current.id, skipped: onConflict !== 'overwrite' });
+    }
+  }
+
+  // Check the rule set as it would be after applying - imported rules replace
+  // the existing row with the same source when overwriting. Rules dropped as
+  // loops can make others safe again, so they are dropped one at a time; the
+  // rule set is compiled and traced once, and a drop only re-traces the rules
+  // whose trace went through the dropped rule.
+  const keyOf = (i) => `import:${i.line}`;
+  const pending = items.filter((i) => !i.skipped);
+  const pendingKeys = new Set(pending.map(keyOf));
+  const position = new Map(pending.map((i, n) => [keyOf(i), n]));
+  const compiled = compileRules([
+    ...existing,
+    ...pending.map((i) => ({ ...i.rule, id: keyOf(i) })),
+  ].filter((r) => r.isActive !== false));
+  const byId = new Map(compiled.map((r) => [r.id, r]));
+  const excluded = new Set(pending.map((i) => i.existingId).filter(Boolean));
+  const opts = { siteUrl, excluded };
+
+  const isLoop = (trace) => trace.loop || trace.truncated;
+  const traces = new Map(); // start rule id → trace
+  const through = new Map(); // rule id → start rule ids whose trace passes it
+  const loopsThrough = new Map(); // rule id → how many of those traces loop
+  let loopingCount = 0; // pending rules with a loop through them
+  let scanFrom = 0; // no pending rule before this one is in a loop
+  const count = (trace, delta) => {
+    if (!isLoop(trace)) return;
+    for (const id of trace.ruleIds) {
+      const before = loopsThrough.get(id) || 0;
+      loopsThrough.set(id, before + delta);
+      if (!pendingKeys.has(id) || (before === 0) === (before + delta === 0)) continue;
+      loopingCount += delta;
+      if (delta > 0) scanFrom = Math.min(scanFrom, position.get(id));
+    }
+  };
+  const retrace = (rule) => {
+    const previous = traces.get(rule.id);
+    if (previous) {
+      count(previous, -1);
+      for (const id of previous.ruleIds) through.get(id)?.delete(rule.id);
+      traces.delete(rule.id);
+    }
+    if (excluded.has(rule.id)) return;
+    const trace = traceRule(compiled, rule, opts);
+    if (!trace) return;
+    traces.set(rule.id, trace);
+    count(trace, 1);
+    for (const id of trace.ruleIds) {
+      if (!through.has(id)) through.set(id, new Set());
+      through.get(id).add(rule.id);
+    }
+  };
+  compiled.forEach(retrace);
+
+  const pathOf = (trace) => [trace.start, ...trace.hops.map((h) => h.destination)];
+  const involving = (id, match) => {
+    for (const startId of through.get(id) || []) {
+      const trace = traces.get(startId);
+      if (match(trace)) return trace;
+    }
+    return null;
+  };
+  const loopOf = (item) => involving(keyOf(item), isLoop);
+
+  while (loopingCount > 0 && loopingCount < pendingKeys.size) {
+    // Drop the rule that closes the loop (the one the loop starts from) first
+    let first = null;
+    for (let n = scanFrom; n < pending.length; n++) {
+      const item = pending[n];
+      if (item.skipped || !(loopsThrough.get(keyOf(item)) > 0)) continue;
+      if (!first) scanFrom = n;
+      if (isLoop(traces.get(keyOf(item)) || {})) {
+        first = item;
+        break;
+      }
+      first ||= item;
+    }
+    const key = keyOf(first);
+    first.status = 'loop';
+    first.path = pathOf(loopOf(first));
+    first.skipped = true;
+    pendingKeys.delete(key);
+    loopingCount--;
+
+    // Its rule leaves the set and the existing row it would have replaced
+    // comes back; everything that went through it is traced again.
+    const stale = new Set([...(through.get(key) || []), key]);
+    excluded.add(key);
+    if (first.existingId) {
+      excluded.delete(first.existingId);
+      stale.add(first.existingId);
+    }
+    for (const id of stale) if (byId.has(id)) retrace(byId.get(id));
+  }
+
+  // Nothing left to drop: either no loops remain, or every remaining rule
+  // is part of one.
+  for (const item of pending) {
+    if (item.skipped) continue;
+    const loop = loopOf(item);
+    if (loop) {
+      item.status = 'loop';
+      item.path = pathOf(loop);
+      item.skipped = true;
+    }
+  }
+  for (const item of pending) {
+    const chain = !item.skipped && involving(keyOf(item), (t) => !isLoop(t) && t.hops.length > 1);
+    if (!chain) continue;
+    if (item.status === 'new') item.status = 'chain';
+    item.path = pathOf(chain);
+  }
+
+  const summary = Object.fromEntries(IMPORT_STATUSES.map((st) => [st, 0]));
+  for (const item of items) summary[item.status]++;
+  summary.toApply = items.filter((i) => !i.skipped).length;
+
+  return { items, summary };
+}
+
+// ─── Export ──────────────────────────────────────────────────────────
+
+// Regex for a non-exact rule (wildcards compiled), for formats that only
+// know exact + regex.
+function regexSource(rule) {
+  return rule.matchType === 'REGEX' ? rule.sourceUrl : rulePattern(rule).replace(/\\\//g, '/');
+}
+
+// Anchored regex in .htaccess form (no leading slash requirement).
+function htaccessPattern(rule) {
+  const src = rule.matchType === 'EXACT' ? rulePattern(rule).replace(/\\\//g, '/') : regexSource(rule);
+  return src.startsWith('^/') ? `^/?${src.slice(2)}` : src;
+}
+
+/**
+ * Serialize rules into one of REDIRECT_FORMATS.
+ *
+ * @param {Array} rules - Redirection rows
+ * @param {string} format
+ * @returns {{ body: string, ext: string, mime: string }}
+ */
+export function serializeRedirects(rules, format) {
+  const { ext, mime } = FORMAT_FILES[format];
+  let body;
+
+  switch (format) {
+    case 'redirection-csv':
+      body = toCsv(['source', 'target', 'regex', 'code', 'type', 'hits', 'title', 'status'], rules.map((r) => [
+        r.matchType === 'EXACT' ? r.sourceUrl : regexSource(r),
+        r.targetUrl,
+        r.matchType === 'EXACT' ? 0 : 1,
+        codeOf(r),
+        'url',
+        r.hitCount || 0,
+        '',
+        r.isActive === false ? 'disabled' : 'enabled',
+      ]));
+      break;
+
+    case 'redirection-json':
+      body = JSON.stringify({
+        plugin: { version: '5.0', date: new Date().toUTCString() },
+        redirects: rules.map((r, i) => ({
+          id: i + 1,
+          url: r.matchType === 'EXACT' ? r.sourceUrl : regexSource(r),
+          match_url: r.matchType === 'EXACT' ? r.sourceUrl : 'regex',
+          match_data: { source: { flag_query: r.preserveQuery ? 'pass' : 'ignore', flag_case: false, flag_trailing: true, flag_regex: r.matchType !== 'EXACT' } },
+          action_code: codeOf(r),
+          action_type: 'url',
+          action_data: { url: r.targetUrl },
+          match_type: 'url',
+          title: '',
+          hits: r.hitCount || 0,
+          regex: r.matchType !== 'EXACT',
+          group_id: 1,
+          position: i,
+          enabled: r.isActive !== false,
+        })),
+      }, null, 2) + '\n';
+      break;
+
+    case 'yoast-csv':
+      body = toCsv(['Origin', 'Target', 'Type', 'Format'], rules.map((r) => [
+        r.matchType === 'EXACT' ? r.sourceUrl : regexSource(r),
+        r.targetUrl,
+        codeOf(r),
+        r.matchType === 'EXACT' ? 'plain' : 'regex',
+      ]));
+      break;
+
+    case 'rankmath-csv':
+      body = toCsv(['source', 'matching', 'destination', 'type', 'status'], rules.map((r) => [
+        r.matchType === 'EXACT' ? r.sourceUrl : regexSource(r),
+        r.matchType === 'EXACT' ? 'exact' : 'regex',
+        r.targetUrl,
+        codeOf(r),
+        r.isActive === false ? 'inactive' : 'active',
+      ]));
+      break;
+
+    case 'htaccess':
+      body = [
+        '# Redirects exported from GhostSEO',
+        '<IfModule mod_rewrite.c>',
+        'RewriteEngine On',
+        ...rules.filter((r) => r.isActive !== false).map((r) => {
+          const flags = [`R=${codeOf(r)}`, 'L', ...(r.preserveQuery ? [] : ['QSD'])];
+          return `RewriteRule ${htaccessPattern(r)} ${r.targetUrl} [${flags.join(',')}]`;
+        }),
+        '</IfModule>',
+        '',
+      ].join('\n');
+      break;
+
+    case 'nginx':
+      body = [
+        '# Redirects exported from GhostSEO - include inside your server { } block',
+        ...rules.filter((r) => r.isActive !== false).map((r) => {
+          const target = `${r.targetUrl}${r.preserveQuery ? '$is_args$args' : ''}`;
+          return r.matchType === 'EXACT'
+            ? `location = ${r.sourceUrl} { return ${codeOf(r)} ${target}; }`
+            : `location ~ "${regexSource(r)}" { return ${codeOf(r)} ${target}; }`;
+        }),
+        '',
+      ].join('\n');
+      break;
+
+    default:
+      throw new Error(`Unknown redirect format: ${format}`);
+  }
+
+  return { body, ext, mime };
+}
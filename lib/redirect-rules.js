@@ -0,0 +1,406 @@
+/**
+ * Redirect rule engine — exact, wildcard and regex redirects.
+ *
+ * A Redirection row is one rule:
+ *   EXACT     sourceUrl is a path                 /old-page        → /new-page
+ *   WILDCARD  `*` matches any run of characters   /blog/*          → /articles/$1
+ *   REGEX     sourceUrl is a JS regular expression ^/p/(\d+)$       → /posts/$1
+ *
+ * REGEX sources are used as written, the way Apache's RedirectMatch, nginx's
+ * rewrite and the Redirection plugin treat them (and what the importers bring
+ * in): without ^…$ a pattern matches anywhere in the path. compileRules'
+ * `pattern` is what the tester, the loop analysis and Contract consumers all
+ * run, so they agree on what a rule matches.
+ *
+ * `$1`…`$9` in the target are replaced with the captures (`*` segments in
+ * order for WILDCARD). Matching runs on the path only; preserveQuery appends
+ * the request's query string to the destination, otherwise it is dropped.
+ *
+ * Patterns run on native RegExp, so their cost is bounded up front: WILDCARD
+ * sources take at most two `*`, REGEX sources must pass lib/safe-regex.js,
+ * and a path longer than MAX_MATCH_PATH_LENGTH only matches EXACT rules.
+ *
+ * Rules are evaluated in order: lower `priority` first, then EXACT before
+ * WILDCARD before REGEX, then the longer source first. The first match wins.
+ *
+ * analyzeRuleSet follows every rule's destination through the whole rule set
+ * to find loops (a destination that redirects back to a URL already visited)
+ * and chains (a destination that is itself redirected). The redirections API
+ * refuses loops and reports chains before saving.
+ *
+ * Used by:
+ *   - /api/sites/[id]/redirections (+ /[redirectionId], /test)
+ *   - lib/contract/resolver.js → /api/public/sites/{siteKey}/redirects
+ */
+
+import { isSafeRegex } from '@/lib/safe-regex';
+
+export const MATCH_TYPES = ['EXACT', 'WILDCARD', 'REGEX'];
+export const REDIRECT_CODE = { PERMANENT: 301, TEMPORARY: 302, FOUND: 307 };
+
+const MATCH_ORDER = { EXACT: 0, WILDCARD: 1, REGEX: 2 };
+const MAX_PATTERN_LENGTH = 500;
+const MAX_HOPS = 10;
+// Each * is a (.*): with two of them matching is already quadratic in the
+// path length, so that is the most we allow, on paths of bounded length.
+const MAX_WILDCARDS = 2;
+// Longer paths are only looked up among EXACT rules - no pattern runs on them.
+export const MAX_MATCH_PATH_LENGTH = 1024;
+
+function escapeRegex(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function splitQuery(url) {
+  const noHash = String(url || '').split('#')[0];
+  const i = noHash.indexOf('?');
+  return i === -1 ? [noHash, ''] : [noHash.slice(0, i), noHash.slice(i + 1)];
+}
+
+/**
+ * Path used for matching: pathname only, leading slash, no trailing slash
+ * (except "/"). Full URLs are reduced to their path.
+ */
+export function matchPath(input) {
+  let p = String(input || '/').trim();
+  try {
+    if (/^https?:\/\//i.test(p)) p = new URL(p).pathname;
+  } catch { /* raw path */ }
+  p = splitQuery(p)[0];
+  try { p = decodeURIComponent(p); } catch { /* keep encoded */ }
+  if (!p.startsWith('/')) p = `/${p}`;
+  if (p.length > 1) p = p.replace(/\/+$/, '');
+  return p || '/';
+}
+
+/**
+ * Normalize a rule's source for storage. EXACT and WILDCARD sources are
+ * paths; REGEX sources are kept verbatim.
+ */
+export function normalizeSource(source, matchType = 'EXACT') {
+  if (matchType === 'REGEX') return String(source || '').trim();
+  return matchPath(source);
+}
+
+/**
+ * Validate a rule before saving. Returns an error message, or null.
+ */
+export function validateRule({ sourceUrl, targetUrl, matchType = 'EXACT' }) {
+  if (!MATCH_TYPES.includes(matchType)) return `matchType must be one of ${MATCH_TYPES.join(', ')}`;
+  if (!sourceUrl || !targetUrl) return 'sourceUrl and targetUrl are required';
+  if (String(sourceUrl).length > MAX_PATTERN_LENGTH) return `sourceUrl is limited to ${MAX_PATTERN_LENGTH} characters`;
+
+  let groups = 0;
+  if (matchType === 'WILDCARD') {
+    if (!sourceUrl.includes('*')) return 'Wildcard rules need at least one * in sourceUrl';
+    groups = (sourceUrl.match(/\*/g) || []).length;
+    if (groups > MAX_WILDCARDS) return `Wildcard rules are limited to ${MAX_WILDCARDS} *`;
+  } else if (matchType === 'REGEX') {
+    try {
+      groups = new RegExp(`(?:${sourceUrl})|`).exec('').length - 1;
+    } catch (err) {
+      return `Invalid regular expression: ${err.message}`;
+    }
+    if (!isSafeRegex(sourceUrl)) {
+      return 'Regular expression is too expensive to match: avoid repeating a group that repeats or has alternatives, e.g. (a+)+ or (a|ab)*, and back-to-back repeats that can match the same characters, e.g. (.*)-(.*) - use [^-]* for the first';
+    }
+  }
+
+  const refs = [...String(targetUrl).matchAll(/\$(\d)/g)].map((m) => Number(m[1]));
+  const missing = refs.find((n) => n > groups);
+  if (missing) return `targetUrl uses $${missing} but sourceUrl only captures ${groups} group(s)`;
+  return null;
+}
+
+/**
+ * Regex source for a rule, in JavaScript syntax. EXACT and WILDCARD are
+ * anchored to the whole path; REGEX is used as written, so it is only
+ * anchored when the source anchors itself.
+ */
+export function rulePattern(rule) {
+  if (rule.matchType === 'REGEX') return rule.sourceUrl;
+  if (rule.matchType === 'WILDCARD') {
+    return `^${rule.sourceUrl.split('*').map(escapeRegex).join('(.*)')}$`;
+  }
+  return `^${escapeRegex(rule.sourceUrl)}$`;
+}
+
+/**
+ * Compile Redirection rows into ordered, ready-to-match rules. Rows whose
+ * pattern no longer compiles, or fails the backtracking guard or wildcard
+ * limit (rules saved before either existed), are skipped.
+ *
+ * @param {Array<{id, sourceUrl, targetUrl, type, matchType?, priority?, preserveQuery?, createdAt?}>} rows
+ */
+export function compileRules(rows) {
+  const compiled = [];
+  for (const r of rows) {
+    const matchType = r.matchType || 'EXACT';
+    const rule = { ...r, matchType };
+    if (matchType === 'REGEX' && !isSafeRegex(r.sourceUrl)) continue;
+    if (matchType === 'WILDCARD' && r.sourceUrl.split('*').length - 1 > MAX_WILDCARDS) continue;
+    let regex;
+    try {
+      regex = new RegExp(rulePattern(rule));
+    } catch {
+      continue;
+    }
+    compiled.push({
+      id: r.id,
+      matchType,
+      source: r.sourceUrl,
+      destination: r.targetUrl,
+      pattern: regex.source,
+      statusCode: REDIRECT_CODE[r.type] || 301,
+      preserveQuery: !!r.preserveQuery,
+      priority: r.priority ?? 0,
+      regex,
+    });
+  }
+  return compiled.sort((a, b) =>
+    a.priority - b.priority
+    || MATCH_ORDER[a.matchType] - MATCH_ORDER[b.matchType]
+    || b.source.length - a.source.length);
+}
+
+function substitute(target, match) {
+  return target.replace(/\$(\d)/g, (_, n) => match[Number(n)] ?? '');
+}
+
+// matchRules lookup for a compiled rule set, built once per array: EXACT
+// sources go in a Map (every rule per source, in order, so excluded ones can
+// be stepped over), the other rules are scanned in evaluation order.
+const indexes = new WeakMap();
+
+function ruleIndex(compiled) {
+  let index = indexes.get(compiled);
+  if (!index) {
+    index = { exact: new Map(), patterns: [] };
+    compiled.forEach((rule, order) => {
+      if (rule.matchType !== 'EXACT') index.patterns.push({ rule, order });
+      else if (!index.exact.has(rule.source)) index.exact.set(rule.source, [{ rule, order }]);
+      else index.exact.get(rule.source).push({ rule, order });
+    });
+    indexes.set(compiled, index);
+  }
+  return index;
+}
+
+/**
+ * First rule matching a URL (path + optional query). A path longer than
+ * MAX_MATCH_PATH_LENGTH can only match an EXACT rule.
+ *
+ * @param {object[]} compiled - compileRules() output
+ * @param {string} url
+ * @param {Set<string>} [excluded] - rule ids to treat as absent
+ * @returns {{ rule: object, destination: string, statusCode: number } | null}
+ */
+export function matchRules(compiled, url, excluded) {
+  const [, query] = splitQuery(url);
+  const path = matchPath(url);
+  const { exact, patterns } = ruleIndex(compiled);
+  const exactHit = exact.get(path)?.find((c) => !excluded?.has(c.rule.id));
+
+  let rule = exactHit?.rule;
+  let m = [path];
+  const candidates = path.length > MAX_MATCH_PATH_LENGTH ? [] : patterns;
+  for (const candidate of candidates) {
+    // An EXACT rule earlier in the order wins over every pattern after it.
+    if (exactHit && candidate.order > exactHit.order) break;
+    if (excluded?.has(candidate.rule.id)) continue;
+    const found = candidate.rule.regex.exec(path);
+    if (found) {
+      rule = candidate.rule;
+      m = found;
+      break;
+    }
+  }
+  if (!rule) return null;
+
+  let destination = substitute(rule.destination, m);
+  if (rule.preserveQuery && query) {
+    destination += (destination.includes('?') ? '&' : '?') + query;
+  }
+  return { rule, destination, statusCode: rule.statusCode };
+}
+
+// Same-site path for a destination, or null when it leaves the site.
+function internalPath(destination, siteHost) {
+  if (/^https?:\/\//i.test(destination)) {
+    try {
+      const u = new URL(destination);
+      if (!siteHost || u.host.replace(/^www\./, '') !== siteHost) return null;
+      return `${u.pathname}${u.search}`;
+    } catch {
+      return null;
+    }
+  }
+  return destination;
+}
+
+function siteHostOf(siteUrl) {
+  if (!siteUrl) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`).host.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Follow a URL through the rule set. `excluded` is passed on to matchRules.
+ *
+ * @param {{ siteUrl?: string, excluded?: Set<string> }} [opts]
+ * @returns {{ hops: {url, ruleId, destination, statusCode}[], final: string, loop: boolean, truncated: boolean }}
+ */
+export function traceUrl(compiled, url, { siteUrl, excluded } = {}) {
+  const siteHost = siteHostOf(siteUrl);
+  const hops = [];
+  const seen = new Set([matchPath(url)]);
+  let current = url;
+  let loop = false;
+
+  while (hops.length < MAX_HOPS) {
+    const hit = matchRules(compiled, current, excluded);
+    if (!hit) break;
+    hops.push({ url: current, ruleId: hit.rule.id, destination: hit.destination, statusCode: hit.statusCode });
+    const next = internalPath(hit.destination, siteHost);
+    if (next == null) {
+      current = hit.destination;
+      break;
+    }
+    const key = matchPath(next);
+    if (seen.has(key)) {
+      loop = true;
+      current = hit.destination;
+      break;
+    }
+    seen.add(key);
+    current = next;
+  }
+
+  return { hops, final: current, loop, truncated: hops.length >= MAX_HOPS };
+}
+
+// A concrete path a rule matches, used as the starting point for analysis.
+// Regex rules get a best-effort sample (common capture groups filled in);
+// rules we can't sample are skipped.
+function sampleSource(rule) {
+  if (rule.matchType === 'EXACT') return rule.source;
+  if (rule.matchType === 'WILDCARD') return rule.source.replace(/\*/g, 'sample');
+  const sample = rule.source
+    .replace(/^\^/, '')
+    .replace(/\$$/, '')
+    .replace(/\((?:\?:)?(?:\.\*|\.\+|\[\^\/\]\+|\[\^\/\]\*|\\d\+|\\d\*|\[0-9\]\+|\\w\+|\[a-z0-9-\]\+)\)/gi, '1')
+    .replace(/\\\//g, '/')
+    .replace(/\\\./g, '.')
+    .replace(/\/\?$/, '');
+  return rule.regex.test(matchPath(sample)) ? sample : null;
+}
+
+/**
+ * Trace a compiled rule from a sample URL it matches. `ruleIds` lists every
+ * rule the trace passes through (including the one the final URL would hit
+ * again on a loop). Options as for traceUrl.
+ *
+ * @returns {{ start: string, hops: object[], final: string, loop: boolean, truncated: boolean, ruleIds: string[] } | null}
+ *   null when the rule can't be sampled or a higher-priority rule shadows it
+ */
+export function traceRule(compiled, rule, opts = {}) {
+  const start = sampleSource(rule);
+  if (start == null) return null;
+  const first = matchRules(compiled, start, opts.excluded);
+  if (!first || first.rule.id !== rule.id) return null;
+  const trace = traceUrl(compiled, start, opts);
+  const ruleIds = trace.hops.map((h) => h.ruleId);
+  const last = matchRules(compiled, trace.final, opts.excluded)?.rule.id;
+  if (last && !ruleIds.includes(last)) ruleIds.push(last);
+  return { start, ...trace, ruleIds };
+}
+
+function analyzeRules(compiled, rules, opts) {
+  const loops = [];
+  const chains = [];
+  const traces = new Map();
+
+  for (const rule of rules) {
+    const trace = traceRule(compiled, rule, opts);
+    if (!trace) continue;
+    traces.set(rule.id, trace);
+    const path = [trace.start, ...trace.hops.map((h) => h.destination)];
+    if (trace.loop || trace.truncated) {
+      loops.push({ ruleId: rule.id, path });
+    } else if (trace.hops.length > 1) {
+      chains.push({ ruleId: rule.id, path });
+    }
+  }
+
+  return { loops, chains, traces };
+}
+
+/**
+ * Find loops and chains across a rule set.
+ *
+ * @param {Array} rows - Redirection rows (active ones are analyzed)
+ * @param {{ siteUrl?: string }} [opts]
+ * @returns {{ loops: {ruleId, path: string[]}[], chains: {ruleId, path: string[]}[] }}
+ */
+export function analyzeRuleSet(rows, opts = {}) {
+  const compiled = compileRules(rows.filter((r) => r.isActive !== false));
+  const { loops, chains } = analyzeRules(compiled, compiled, opts);
+  return { loops, chains };
+}
+
+// Rules whose trace can pass through `ruleId`: the rule itself plus every
+// rule that redirects into it, transitively. Where a WILDCARD/REGEX rule
+// sends a URL depends on the URL, so those are assumed to reach it too.
+function rulesReaching(compiled, ruleId, opts) {
+  const siteHost = siteHostOf(opts.siteUrl);
+  const into = new Map();
+  for (const rule of compiled) {
+    const start = sampleSource(rule);
+    const first = start == null ? null : matchRules(compiled, start);
+    if (!first || first.rule.id !== rule.id) continue;
+    const next = internalPath(first.destination, siteHost);
+    const target = next == null ? null : matchRules(compiled, next);
+    if (!target) continue;
+    if (!into.has(target.rule.id)) into.set(target.rule.id, []);
+    into.get(target.rule.id).push(rule.id);
+  }
+
+  const reached = new Set([ruleId]);
+  for (const rule of compiled) if (rule.matchType !== 'EXACT') reached.add(rule.id);
+  const queue = [...reached];
+  while (queue.length) {
+    for (const from of into.get(queue.pop()) || []) {
+      if (reached.has(from)) continue;
+      reached.add(from);
+      queue.push(from);
+    }
+  }
+  return compiled.filter((rule) => reached.has(rule.id));
+}
+
+/**
+ * Check a rule set that includes a new/changed rule. Loops are blocking;
+ * chains are returned as warnings. Only problems that involve the changed
+ * rule are reported, so existing problems don't block unrelated edits, and
+ * only rules that can redirect into the changed rule are traced.
+ *
+ * @returns {{ error: string|null, loops: Array, chains: Array }}
+ */
+export function checkRuleChange(rows, changedId, opts = {}) {
+  const compiled = compileRules(rows.filter((r) => r.isActive !== false));
+  if (!compiled.some((rule) => rule.id === changedId)) return { error: null, loops: [], chains: [] };
+
+  const { loops, chains, traces } = analyzeRules(compiled, rulesReaching(compiled, changedId, opts), opts);
+  const involves = (item) => traces.get(item.ruleId).ruleIds.includes(changedId);
+
+  const ownLoops = loops.filter(involves);
+  const ownChains = chains.filter(involves);
+  return {
+    error: ownLoops.length > 0 ? 'This redirect would create a redirect loop' : null,
+    loops: ownLoops,
+    chains: ownChains,
+  };
+}
@@ -0,0 +1,155 @@
+// Backtracking guard for member-supplied regular expressions (redirect rules,
+// custom audit rules). JavaScript's engine has no step limit, so a pattern
+// like ^(a+)+$ can pin the process on one crafted input. We refuse the shapes
+// behind almost every catastrophic case:
+//   - a repeated group that itself contains a repeat (nested quantifiers) or
+//     has alternatives, e.g. (a+)+ or (a|ab)*, which go exponential;
+//   - two unbounded repeats in a row whose characters overlap, with nothing
+//     between them that the first can't also match, e.g. .*a.*a.*b - each
+//     extra one multiplies the work by the input length.
+// A linear engine (RE2) would remove the need for this, but we match with
+// native RegExp everywhere, including at the edge.
+
+const REPEAT_BRACES = /^\{(\d+)(,(\d*))?\}/;
+const GROUP_PREFIX = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/;
+
+// Characters an atom is tested against to tell which atoms overlap: all of
+// ASCII plus a few from outside it, so negated classes and `.` register as
+// overlapping with letters from any script.
+const SAMPLE = [...Array.from({ length: 128 }, (_, i) => String.fromCharCode(i)), 'é', 'ß', 'ж', '中', ' '];
+const ANY = (1n << BigInt(SAMPLE.length)) - 1n;
+
+// Which SAMPLE characters a one-character atom (`a`, `.`, `\d`, `[^/]`, ...)
+// matches, as a bit set. Anything we can't evaluate counts as matching all.
+function charSet(atom, flags, cache) {
+  const key = `${flags}/${atom}`;
+  if (!cache.has(key)) {
+    let set = 0n;
+    try {
+      const re = new RegExp(`^(?:${atom})$`, flags);
+      SAMPLE.forEach((c, i) => {
+        if (re.test(c)) set |= 1n << BigInt(i);
+      });
+    } catch {
+      set = ANY;
+    }
+    cache.set(key, set);
+  }
+  return cache.get(key);
+}
+
+// The quantifier at source[i]: its length (0 when there is none), whether it
+// can repeat its atom more than once, whether it has no upper bound and
+// whether it can match zero times.
+function quantifierAt(source, i) {
+  const c = source[i];
+  const q = { length: 0, repeats: false, unbounded: false, optional: false };
+  if (c === '*' || c === '+') {
+    Object.assign(q, { length: 1, repeats: true, unbounded: true, optional: c === '*' });
+  } else if (c === '?') {
+    Object.assign(q, { length: 1, optional: true });
+  } else if (c === '{') {
+    const m = REPEAT_BRACES.exec(source.slice(i));
+    if (m) {
+      const unbounded = !!m[2] && m[3] === '';
+      q.length = m[0].length;
+      q.unbounded = unbounded;
+      q.repeats = m[2] ? unbounded || Number(m[3]) > 1 : Number(m[1]) > 1;
+      q.optional = Number(m[1]) === 0;
+    }
+  }
+  if (q.length && source[i + q.length] === '?') q.length++; // lazy
+  return q;
+}
+
+// Length of the escape at source[i] (the backslash included).
+function escapeLength(source, i) {
+  const c = source[i + 1];
+  const rest = source.slice(i + 2);
+  if (c === 'u') return 2 + (/^\{[0-9a-fA-F]+\}/.exec(rest) || /^[0-9a-fA-F]{4}/.exec(rest) || [''])[0].length;
+  if (c === 'x') return 2 + (/^[0-9a-fA-F]{2}/.exec(rest) || [''])[0].length;
+  if (c === 'c') return 2 + (/^[A-Za-z]/.test(rest) ? 1 : 0);
+  if (c === 'p' || c === 'P') return 2 + (/^\{[^}]*\}/.exec(rest) || [''])[0].length;
+  if (c === 'k') return 2 + (/^<[^>]*>/.exec(rest) || [''])[0].length;
+  if (c >= '1' && c <= '9') return 1 + /^\d+/.exec(source.slice(i + 1))[0].length;
+  return 2;
+}
+
+function frame(open) {
+  return { inherited: open, open: [...open], set: 0n, inner: [], repeats: false, alternates: false };
+}
+
+/**
+ * Whether `source` is free of catastrophic backtracking shapes (see the
+ * header). Call it on sources that already compile; it does not validate
+ * syntax.
+ *
+ * @param {string} source
+ * @param {string} [flags] - the flags the pattern runs with ('i', 's', 'u' change what overlaps)
+ * @returns {boolean}
+ */
+export function isSafeRegex(source, flags = '') {
+  const setFlags = flags.replace(/[^isu]/g, '');
+  const cache = new Map();
+  const stack = [frame([])];
+
+  // Apply one atom (a character, class, escape or whole group) and the
+  // quantifier after it to the innermost group. Returns false when unsafe.
+  const place = (atom, q) => {
+    const top = stack[stack.length - 1];
+    if (q.repeats && (atom.repeats || atom.alternates)) return false;
+    if (q.unbounded && top.open.some((set) => set & atom.set)) return false;
+
+    // A required atom the pending repeats can't match ends their run.
+    if (!q.optional) top.open = top.open.filter((set) => set & atom.set);
+    top.open.push(...atom.inner);
+    top.inner.push(...atom.inner);
+    if (q.unbounded) {
+      top.open.push(atom.set);
+      top.inner.push(atom.set);
+    }
+    top.set |= atom.set;
+    top.repeats ||= atom.repeats || q.repeats;
+    top.alternates ||= atom.alternates;
+    return true;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    let atom;
+    if (c === '\\') {
+      const length = escapeLength(source, i);
+      const escape = source.slice(i, i + length);
+      i += length - 1;
+      if (escape === '\\b' || escape === '\\B') continue;
+      // A backreference can repeat anything the group matched.
+      const backreference = /^\\(?:[1-9]|k)/.test(escape);
+      atom = { set: backreference ? ANY : charSet(escape, setFlags, cache), inner: [] };
+    } else if (c === '[') {
+      const start = i;
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+      atom = { set: charSet(source.slice(start, i + 1), setFlags, cache), inner: [] };
+    } else if (c === '(') {
+      const prefix = GROUP_PREFIX.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+      stack.push(frame(stack[stack.length - 1].open));
+      continue;
+    } else if (c === ')' && stack.length > 1) {
+      atom = stack.pop();
+    } else if (c === '|') {
+      const top = stack[stack.length - 1];
+      top.alternates = true;
+      top.open = [...top.inherited];
+      continue;
+    } else if (c === '^' || c === '$') {
+      continue;
+    } else {
+      atom = { set: charSet(c === '.' ? '.' : c.replace(/[.*+?^${}()|[\]\\/]/, '\\$&'), setFlags, cache), inner: [] };
+    }
+
+    const q = quantifierAt(source, i + 1);
+    if (!place(atom, q)) return false;
+    i += q.length;
+  }
+  return true;
+}
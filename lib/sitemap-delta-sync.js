@@ -8,8 +8,11 @@
 
 import prisma from '@/lib/prisma';
 import { BOT_FETCH_HEADERS } from '@/lib/bot-identity';
+import { enqueueJob } from '@/lib/queue/queue';
+import { JOB_PRIORITY } from '@/lib/queue/job-types';
 
 const FETCH_TIMEOUT = 30000; // 30s per sitemap fetch
+const MAX_SCRAPE_ATTEMPTS = 3;
 const MAX_CHILD_SITEMAPS = 50; // Safety limit for recursive index parsing
 
 // ─── Recursive Sitemap Parser ───────────────────────────────────────
@@ -253,7 +256,8 @@ export async function enqueueForScraping(siteId, newUrls, updatedUrls, entityTyp
   if (toCreate.length > 0) {
     // Prisma MongoDB doesn't support createMany; use a loop
     for (const item of toCreate) {
-      await prisma.scrapeQueue.create({ data: item });
+      const row = await prisma.scrapeQueue.create({ data: item });
+      await enqueueScrapeJob(row);
     }
   }
 
@@ -263,65 +267,92 @@ export async function enqueueForScraping(siteId, newUrls, updatedUrls, entityTyp
   };
 }
 
-// ─── Queue Processing (called by worker cron) ──────────────────────
+// ─── Queue Processing (SCRAPE_PAGE queue jobs) ──────────────────────
 
 /**
- * Process a batch of PENDING scrape queue items.
- * Fetches each page, extracts metadata, and creates/updates entities.
- * 
- * @param {number} batchSize - Max items to process (default 20)
- * @returns {Promise<{ processed: number, failed: number }>}
+ * Queue the SCRAPE_PAGE job that processes one ScrapeQueue row.
+ * @param {{ id: string, siteId: string }} item
+ */
+export function enqueueScrapeJob(item) {
+  return enqueueJob('SCRAPE_PAGE', { scrapeQueueId: item.id }, {
+    siteId: item.siteId,
+    priority: JOB_PRIORITY.LOW,
+    dedupeKey: `SCRAPE_PAGE:${item.id}`,
+    maxAttempts: MAX_SCRAPE_ATTEMPTS,
+  });
+}
+
+/**
+ * Queue jobs for PENDING rows that have none - rows created before the
+ * queue existed, or whose enqueue failed. Called by the process-scrape-queue cron.
+ *
+ * @param {number} batchSize - Max rows to sweep (default 100)
+ * @returns {Promise<{ queued: number }>}
  */
-export async function processScrapeQueue(batchSize = 20) {
-  // Fetch oldest PENDING items (max 3 attempts)
+export async function sweepScrapeQueue(batchSize = 100) {
   const items = await prisma.scrapeQueue.findMany({
     where: {
       status: 'PENDING',
-      attempts: { lt: 3 },
+      attempts: { lt: MAX_SCRAPE_ATTEMPTS },
     },
     orderBy: { createdAt: 'asc' },
     take: batchSize,
+    select: { id: true, siteId: true },
+  });
+
+  // enqueueJob dedupes on the row id, so rows that already have an active job are no-ops
+  for (const item of items) {
+    await enqueueScrapeJob(item);
+  }
+  return { queued: items.length };
+}
+
+/**
+ * Fetch one queued page and create/update its entity.
+ * Throws on failure so the queue retries it; the row itself is marked
+ * FAILED once MAX_SCRAPE_ATTEMPTS is reached.
+ *
+ * @param {string} scrapeQueueId
+ * @returns {Promise<{ ok: boolean, skipped?: boolean, url?: string }>}
+ */
+export async function processScrapeItem(scrapeQueueId) {
+  const item = await prisma.scrapeQueue.findUnique({
+    where: { id: scrapeQueueId },
     include: { site: { select: { id: true, url: true } } },
   });
+  // PROCESSING is allowed: a previous attempt's worker died mid-fetch
+  if (!item || !['PENDING', 'PROCESSING'].includes(item.status)) {
+    return { ok: true, skipped: true };
+  }
+
+  await prisma.scrapeQueue.update({
+    where: { id: item.id },
+    data: { status: 'PROCESSING', attempts: { increment: 1 } },
+  });
 
-  if (items.length === 0) return { processed: 0, failed: 0 };
+  try {
+    const metadata = await extractPageMetadata(item.url);
 
-  let processed = 0;
-  let failed = 0;
+    if (item.action === 'NEW') {
+      await createEntityFromScrape(item, metadata);
+    } else {
+      await updateEntityFromScrape(item, metadata);
+    }
 
-  for (const item of items) {
-    // Mark as processing
     await prisma.scrapeQueue.update({
       where: { id: item.id },
-      data: { status: 'PROCESSING', attempts: { increment: 1 } },
+      data: { status: 'COMPLETED', processedAt: new Date() },
     });
-
-    try {
-      const metadata = await extractPageMetadata(item.url);
-
-      if (item.action === 'NEW') {
-        await createEntityFromScrape(item, metadata);
-      } else {
-        await updateEntityFromScrape(item, metadata);
-      }
-
-      await prisma.scrapeQueue.update({
-        where: { id: item.id },
-        data: { status: 'COMPLETED', processedAt: new Date() },
-      });
-      processed++;
-    } catch (e) {
-      console.error(`[ScrapeQueue] Failed to process ${item.url}:`, e.message);
-      const newStatus = item.attempts + 1 >= 3 ? 'FAILED' : 'PENDING';
-      await prisma.scrapeQueue.update({
-        where: { id: item.id },
-        data: { status: newStatus, error: e.message },
-      });
-      failed++;
-    }
+    return { ok: true, url: item.url };
+  } catch (e) {
+    console.error(`[ScrapeQueue] Failed to process ${item.url}:`, e.message);
+    const newStatus = item.attempts + 1 >= MAX_SCRAPE_ATTEMPTS ? 'FAILED' : 'PENDING';
+    await prisma.scrapeQueue.update({
+      where: { id: item.id },
+      data: { status: newStatus, error: e.message },
+    });
+    throw e;
   }
-
-  return { processed, failed };
 }
 
 // ─── Page Metadata Extraction (lightweight version) ─────────────────
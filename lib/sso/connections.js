@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { promises as dns } from 'node:dns';
+import prisma from '@/lib/prisma';
+
+/**
+ * Per-account SSO connections (SsoConnection) and the URLs an IdP admin
+ * needs to configure them.
+ *
+ * Routing is by email domain: someone signing in as jane@agency.com goes to
+ * the IdP of the account whose enabled connection lists agency.com.
+ *
+ * Listing a domain is not enough: it only routes sign-ins, and gates JIT and
+ * SCIM provisioning, once the account proves it controls the domain's DNS by
+ * publishing a TXT record (see domainVerificationRecord). Until then anyone
+ * could claim a competitor's domain and capture its users.
+ */
+
+// Shared mailbox providers - nobody gets to route every gmail.com user
+// through their IdP.
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+]);
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](-*[a-z0-9])*)(\.[a-z0-9](-*[a-z0-9])*)+$/;
+
+const VERIFICATION_HOST_PREFIX = '_ghostseo-sso';
+const VERIFICATION_VALUE_PREFIX = 'ghostseo-sso-verification=';
+const TXT_LOOKUP_TIMEOUT_MS = 5000;
+
+function getBaseUrl() {
+  return process.env.BASE_URL || process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3001';
+}
+
+/**
+ * Where the IdP sends users back, and what the SP calls itself.
+ */
+export function getSsoUrls() {
+  const baseUrl = getBaseUrl();
+  return {
+    oidcRedirectUri: `${baseUrl}/api/auth/sso/oidc/callback`,
+    samlAcsUrl: `${baseUrl}/api/auth/sso/saml/acs`,
+    samlEntityId: `${baseUrl}/api/auth/sso/saml/metadata`,
+    scimBaseUrl: `${baseUrl}/api/scim/v2`,
+  };
+}
+
+export function emailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : email.slice(at + 1).trim().toLowerCase();
+}
+
+/**
+ * Normalize a list of domains from the settings form.
+ *
+ * @returns {{ domains: string[], invalid: string[] }}
+ */
+export function normalizeDomains(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  const domains = [];
+  const invalid = [];
+  for (const raw of list) {
+    const domain = String(raw).trim().toLowerCase().replace(/^@/, '');
+    if (!domain) continue;
+    if (!DOMAIN_PATTERN.test(domain) || PUBLIC_EMAIL_DOMAINS.has(domain)) {
+      invalid.push(domain);
+    } else if (!domains.includes(domain)) {
+      domains.push(domain);
+    }
+  }
+  return { domains, invalid };
+}
+
+export function generateDomainVerificationToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * The TXT record that proves `domain` belongs to the connection's account.
+ *
+ * @returns {{ name: string, value: string }|null} null until a token exists
+ */
+export function domainVerificationRecord(connection, domain) {
+  if (!connection.domainVerificationToken) return null;
+  return {
+    name: `${VERIFICATION_HOST_PREFIX}.${domain}`,
+    value: `${VERIFICATION_VALUE_PREFIX}${connection.domainVerificationToken}`,
+  };
+}
+
+/**
+ * Look up the verification TXT record of `domain`.
+ *
+ * @returns {Promise<boolean>} true when the expected value is published
+ */
+export async function checkDomainVerification(connection, domain) {
+  const record = domainVerificationRecord(connection, domain);
+  if (!record) return false;
+
+  let timer;
+  try {
+    const records = await Promise.race([
+      dns.resolveTxt(record.name),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('DNS timeout')), TXT_LOOKUP_TIMEOUT_MS);
+      }),
+    ]);
+    // A long TXT value can arrive split into chunks.
+    return records.some(chunks => chunks.join('').trim() === record.value);
+  } catch {
+    // ENOTFOUND / ENODATA just mean the record isn't published (yet).
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Which of a connection's domains route sign-ins: listed and verified.
+ */
+export function activeDomains(connection) {
+  const verified = new Set(connection.verifiedDomains || []);
+  return (connection.domains || []).filter(d => verified.has(d));
+}
+
+/**
+ * The enabled connection an email address signs in through, or null. Only a
+ * verified domain routes.
+ */
+export async function getSsoConnectionForEmail(email) {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+
+  return prisma.ssoConnection.findFirst({
+    where: { enabled: true, verifiedDomains: { has: domain } },
+    include: { account: { select: { id: true, isActive: true, archivedAt: true } } },
+  });
+}
+
+/**
+ * Domains of `domains` another account has already verified. Merely listing
+ * a domain claims nothing, so an unverified squatter can't block the real
+ * owner.
+ */
+export async function findClaimedDomains(accountId, domains) {
+  if (domains.length === 0) return [];
+  const others = await prisma.ssoConnection.findMany({
+    where: { accountId: { not: accountId }, verifiedDomains: { hasSome: domains } },
+    select: { verifiedDomains: true },
+  });
+  const claimed = new Set(others.flatMap(c => c.verifiedDomains));
+  return domains.filter(d => claimed.has(d));
+}
+
+/**
+ * Whether a connection has what its protocol needs to start a sign-in.
+ */
+export function isConnectionConfigured(connection) {
+  if (connection.protocol === 'SAML') {
+    return !!(connection.samlEntryPoint && connection.samlCertificate);
+  }
+  return !!(connection.oidcIssuer && connection.oidcClientId && connection.oidcClientSecretEnc);
+}
+
+/**
+ * roleMappings as stored: [{ group, roleId }], tolerating bad JSON.
+ */
+export function getRoleMappings(connection) {
+  const mappings = Array.isArray(connection.roleMappings) ? connection.roleMappings : [];
+  return mappings.filter(m => m && typeof m.group === 'string' && typeof m.roleId === 'string');
+}
+
+/**
+ * Public shape for the settings page - never the client secret or SCIM hash.
+ */
+export function serializeConnection(connection) {
+  return {
+    id: connection.id,
+    protocol: connection.protocol,
+    enabled: connection.enabled,
+    domains: connection.domains,
+    verifiedDomains: activeDomains(connection),
+    domainVerification: connection.domains
+      .filter(d => !(connection.verifiedDomains || []).includes(d))
+      .map(domain => ({ domain, ...domainVerificationRecord(connection, domain) })),
+    jitProvisioning: connection.jitProvisioning,
+    defaultRoleId: connection.defaultRoleId,
+    groupsAttribute: connection.groupsAttribute,
+    roleMappings: getRoleMappings(connection),
+    oidcIssuer: connection.oidcIssuer,
+    oidcClientId: connection.oidcClientId,
+    hasOidcClientSecret: !!connection.oidcClientSecretEnc,
+    samlEntryPoint: connection.samlEntryPoint,
+    samlIdpEntityId: connection.samlIdpEntityId,
+    samlCertificate: connection.samlCertificate,
+    scimToken: connection.scimTokenHash
+      ? {
+          prefix: connection.scimTokenPrefix,
+          createdAt: connection.scimTokenCreatedAt,
+          lastUsedAt: connection.scimLastUsedAt,
+        }
+      : null,
+    updatedAt: connection.updatedAt,
+  };
+}
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { hashSessionToken } from '@/lib/auth-session';
+import { signInWithTwoFactor } from '@/lib/two-factor/challenge';
+import { buildOidcLoginUrl, createOidcSecrets } from './oidc.js';
+import { buildSamlLoginUrl } from './saml.js';
+import { provisionSsoLogin } from './provisioning.js';
+
+/**
+ * The round trip to the IdP.
+ *
+ *   GET /api/auth/sso?email=...      startSsoLogin() -> redirect to the IdP
+ *   IdP -> /api/auth/sso/oidc/callback or POST /api/auth/sso/saml/acs
+ *          takeLoginRequest() -> handle*() -> completeSsoLogin()
+ *
+ * The OIDC `state` / SAML RelayState is a random token whose hash keys an
+ * SsoLoginRequest row; taking the row deletes it, so each IdP response is
+ * accepted once.
+ */
+
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Create a login request and return the IdP URL to redirect to.
+ *
+ * @param {Object} connection - SsoConnection
+ * @returns {Promise<string>}
+ */
+export async function startSsoLogin(connection) {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const secrets = connection.protocol === 'OIDC' ? createOidcSecrets() : {};
+
+  await prisma.ssoLoginRequest.create({
+    data: {
+      connectionId: connection.id,
+      stateHash: hashSessionToken(state),
+      nonce: secrets.nonce || null,
+      codeVerifier: secrets.codeVerifier || null,
+      expires: new Date(Date.now() + LOGIN_REQUEST_TTL_MS),
+    },
+  });
+
+  return connection.protocol === 'SAML'
+    ? buildSamlLoginUrl(connection, { state })
+    : buildOidcLoginUrl(connection, { state, ...secrets });
+}
+
+/**
+ * Take (and forget) the login request behind a state token, with its
+ * connection.
+ *
+ * @returns {Promise<{ request: Object, connection: Object }|null>} null when unknown, used or expired
+ */
+export async function takeLoginRequest(state) {
+  if (!state) return null;
+
+  const request = await prisma.ssoLoginRequest.findUnique({
+    where: { stateHash: hashSessionToken(state) },
+  });
+  if (!request) return null;
+
+  // deleteMany so a response delivered twice in parallel is accepted once.
+  const { count } = await prisma.ssoLoginRequest.deleteMany({ where: { id: request.id } });
+  if (count === 0 || request.expires.getTime() <= Date.now()) return null;
+
+  const connection = await prisma.ssoConnection.findUnique({ where: { id: request.connectionId } });
+  if (!connection?.enabled) return null;
+
+  return { request: { ...request, state }, connection };
+}
+
+/**
+ * Provision the user and sign them in (or hand over to the 2FA step).
+ *
+ * @param {Object} connection - SsoConnection
+ * @param {Object} profile - from handleOidcCallback / handleSamlResponse
+ * @param {import('next/server').NextResponse} response - the redirect, to carry the cookies
+ * @returns {Promise<string>} where to send the browser
+ * @throws {import('./provisioning.js').SsoError}
+ */
+export async function completeSsoLogin(connection, profile, response) {
+  const { user, member } = await provisionSsoLogin(connection, profile);
+
+  const twoFactor = await signInWithTwoFactor(user.id, {
+    redirectTo: '/dashboard',
+    registrationComplete: true,
+    accountId: member.accountId,
+  }, { response });
+
+  return twoFactor ? `/auth/login?twoFactor=${twoFactor}` : '/dashboard';
+}
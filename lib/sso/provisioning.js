@@ -0,0 +1,231 @@
+import prisma from '@/lib/prisma';
+import { recordActivity } from '@/lib/activity-log/log';
+import { activeDomains, emailDomain, getRoleMappings } from './connections.js';
+
+/**
+ * Users and AccountMembers created or updated on behalf of an account's IdP:
+ * just-in-time at SSO sign-in, and over SCIM (lib/sso/scim.js).
+ *
+ * An IdP is trusted for its own account only. It may create users in the
+ * connection's verified domains and adopt existing users who belong to no
+ * other account; a user who is also in some other account keeps their own
+ * login, since an IdP asserting their email must not open those accounts too.
+ */
+
+/**
+ * Custom error type so the sign-in routes can map `code` to a login-page
+ * message and the SCIM routes to a status.
+ */
+export class SsoError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code; // 'no_email' | 'domain_mismatch' | 'email_in_use' | 'deactivated' | 'suspended' | 'no_access' | 'no_role' | 'exists' | 'owner'
+  }
+}
+
+/**
+ * Whether the account's IdP may act for an existing user.
+ */
+export async function canAdoptUser(user, accountId) {
+  if (user.isSuperAdmin) return false;
+  const elsewhere = await prisma.accountMember.count({
+    where: { userId: user.id, accountId: { not: accountId }, status: { not: 'REMOVED' } },
+  });
+  return elsewhere === 0;
+}
+
+/**
+ * Role for a provisioned member: the first roleMappings entry whose group the
+ * user is in, else the connection's default role. Never Owner.
+ *
+ * @returns {Promise<{ roleId: string, fromGroup: boolean }|null>}
+ */
+export async function resolveMemberRole(connection, groups = []) {
+  const userGroups = new Set(groups.map(g => g.toLowerCase()));
+  const mapped = getRoleMappings(connection).find(m => userGroups.has(m.group.toLowerCase()));
+
+  const candidates = [
+    mapped && { roleId: mapped.roleId, fromGroup: true },
+    connection.defaultRoleId && { roleId: connection.defaultRoleId, fromGroup: false },
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const role = await prisma.role.findFirst({
+      where: { id: candidate.roleId, accountId: connection.accountId },
+      select: { name: true },
+    });
+    if (role && role.name !== 'Owner') return candidate;
+  }
+  return null;
+}
+
+function findAccountMember(accountId, email, userId) {
+  return prisma.accountMember.findFirst({
+    where: {
+      accountId,
+      OR: [{ inviteEmail: email }, ...(userId ? [{ userId }] : [])],
+    },
+  });
+}
+
+function createProvisionedUser({ email, firstName, lastName }) {
+  return prisma.user.create({
+    data: {
+      email,
+      firstName: firstName || null,
+      lastName: lastName || null,
+      isActive: true,
+      // The account's IdP vouches for the address, and there is no
+      // registration flow to send an SSO user through.
+      emailVerified: new Date(),
+      registrationStep: 'COMPLETED',
+    },
+  });
+}
+
+/**
+ * Resolve an SSO sign-in to a user with an active membership in the
+ * connection's account, creating either when jitProvisioning allows.
+ *
+ * @param {Object} connection - SsoConnection
+ * @param {{ subject, email, firstName, lastName, groups }} profile - from lib/sso/oidc.js or saml.js
+ * @returns {Promise<{ user: Object, member: Object }>}
+ * @throws {SsoError}
+ */
+export async function provisionSsoLogin(connection, profile) {
+  const { accountId } = connection;
+  const email = String(profile.email || '').trim().toLowerCase();
+  if (!profile.subject || !email) {
+    throw new SsoError('The identity provider did not send an email address', 'no_email');
+  }
+
+  const identity = await prisma.ssoIdentity.findUnique({
+    where: { connectionId_subject: { connectionId: connection.id, subject: profile.subject } },
+    include: { user: true },
+  });
+
+  let user = identity?.user || null;
+  if (!user) {
+    if (!activeDomains(connection).includes(emailDomain(email))) {
+      throw new SsoError('Email domain is not a verified domain of this SSO connection', 'domain_mismatch');
+    }
+    user = await prisma.user.findUnique({ where: { email } });
+    if (user && !(await canAdoptUser(user, accountId))) {
+      throw new SsoError('This email already has a login used by other accounts', 'email_in_use');
+    }
+  }
+
+  if (user && !user.isActive) {
+    throw new SsoError('User account is inactive', 'deactivated');
+  }
+
+  const role = await resolveMemberRole(connection, profile.groups);
+  let member = await findAccountMember(accountId, email, user?.id);
+
+  if (member?.status === 'SUSPENDED' || member?.status === 'REMOVED') {
+    throw new SsoError('Membership is suspended', 'suspended');
+  }
+  if (!member && !connection.jitProvisioning) {
+    throw new SsoError('Not a member of this account', 'no_access');
+  }
+  if (!member && !role) {
+    throw new SsoError('No role is configured for new members', 'no_role');
+  }
+
+  if (!user) {
+    user = await createProvisionedUser({ email, firstName: profile.firstName, lastName: profile.lastName });
+  }
+
+  if (!member) {
+    member = await prisma.accountMember.create({
+      data: { accountId, userId: user.id, roleId: role.roleId, status: 'ACTIVE' },
+    });
+    await recordActivity({
+      accountId,
+      userId: user.id,
+      action: 'member.provisioned',
+      target: { type: 'member', id: member.id, label: email },
+      after: { via: connection.protocol, status: 'ACTIVE' },
+    });
+  } else if (member.status === 'PENDING' || (role?.fromGroup && !member.isOwner && member.roleId !== role.roleId)) {
+    // Accept a pending invite; keep group-mapped roles in sync with the IdP.
+    member = await prisma.accountMember.update({
+      where: { id: member.id },
+      data: {
+        userId: user.id,
+        ...(member.status === 'PENDING' ? { status: 'ACTIVE', joinedAt: new Date() } : {}),
+        ...(role?.fromGroup && !member.isOwner ? { roleId: role.roleId } : {}),
+      },
+    });
+  }
+
+  await prisma.ssoIdentity.upsert({
+    where: { connectionId_subject: { connectionId: connection.id, subject: profile.subject } },
+    create: { connectionId: connection.id, userId: user.id, subject: profile.subject, email, lastLoginAt: new Date() },
+    update: { email, lastLoginAt: new Date() },
+  });
+
+  user = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      lastLoginAt: new Date(),
+      lastSelectedAccountId: accountId,
+      registrationStep: 'COMPLETED',
+    },
+  });
+
+  return { user, member };
+}
+
+/**
+ * Create (or re-activate) a member for a SCIM POST /Users.
+ *
+ * @param {Object} connection - SsoConnection
+ * @param {{ email, firstName, lastName, externalId, active }} data
+ * @returns {Promise<Object>} the AccountMember
+ * @throws {SsoError}
+ */
+export async function provisionScimMember(connection, { email, firstName, lastName, externalId, active = true }) {
+  const { accountId } = connection;
+  email = String(email || '').trim().toLowerCase();
+  if (!email) {
+    throw new SsoError('userName must be an email address', 'no_email');
+  }
+  const domains = activeDomains(connection);
+  if (!domains.includes(emailDomain(email))) {
+    throw new SsoError(`Only users in ${domains.join(', ') || 'the connection\'s verified domains'} can be provisioned`, 'domain_mismatch');
+  }
+
+  let user = await prisma.user.findUnique({ where: { email } });
+  const member = await findAccountMember(accountId, email, user?.id);
+
+  if (member && (member.status === 'ACTIVE' || member.status === 'SUSPENDED')) {
+    throw new SsoError('User already exists in this account', 'exists');
+  }
+  if (user && !(await canAdoptUser(user, accountId))) {
+    throw new SsoError('This email belongs to a user of other accounts; invite them from Settings → Users', 'email_in_use');
+  }
+
+  const role = await resolveMemberRole(connection);
+  if (!role) {
+    throw new SsoError('Set a default role for provisioned members first', 'no_role');
+  }
+
+  if (!user) {
+    user = await createProvisionedUser({ email, firstName, lastName });
+  }
+
+  const data = {
+    userId: user.id,
+    roleId: role.roleId,
+    status: active ? 'ACTIVE' : 'SUSPENDED',
+    scimExternalId: externalId || null,
+    joinedAt: new Date(),
+  };
+
+  // A pending invite or removed member is taken over rather than duplicated.
+  return member
+    ? prisma.accountMember.update({ where: { id: member.id }, data })
+    : prisma.accountMember.create({ data: { accountId, ...data } });
+}
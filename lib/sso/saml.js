@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { SAML, ValidateInResponseTo } from '@node-saml/node-saml';
+import { getSsoUrls } from './connections.js';
+
+/**
+ * SAML 2.0 web SSO: SP-initiated, AuthnRequest over HTTP-Redirect, response
+ * POSTed to the ACS. Assertions must be signed by the IdP certificate.
+ *
+ * InResponseTo is not tracked by node-saml (its cache is per process); the
+ * RelayState is our one-time SsoLoginRequest token instead, so unsolicited
+ * (IdP-initiated) and replayed responses are refused.
+ */
+
+const EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  'urn:oid:0.9.2342.19200300.100.1.3',
+];
+const FIRST_NAME_ATTRIBUTES = [
+  'firstName',
+  'givenName',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+  'urn:oid:2.5.4.42',
+];
+const LAST_NAME_ATTRIBUTES = [
+  'lastName',
+  'sn',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+  'urn:oid:2.5.4.4',
+];
+
+function createSaml(connection) {
+  const { samlAcsUrl, samlEntityId } = getSsoUrls();
+  return new SAML({
+    entryPoint: connection.samlEntryPoint,
+    idpIssuer: connection.samlIdpEntityId || undefined,
+    idpCert: connection.samlCertificate,
+    issuer: samlEntityId,
+    audience: samlEntityId,
+    callbackUrl: samlAcsUrl,
+    identifierFormat: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    validateInResponseTo: ValidateInResponseTo.never,
+    acceptedClockSkewMs: 60 * 1000,
+  });
+}
+
+function firstAttribute(profile, names) {
+  for (const name of names) {
+    const value = profile[name] ?? profile.attributes?.[name];
+    if (Array.isArray(value) ? value.length : value) {
+      return String(Array.isArray(value) ? value[0] : value);
+    }
+  }
+  return '';
+}
+
+/**
+ * The IdP sign-in URL, with the login request token as RelayState.
+ */
+export async function buildSamlLoginUrl(connection, { state }) {
+  return createSaml(connection).getAuthorizeUrlAsync(state, undefined, {});
+}
+
+/**
+ * Validate a POSTed SAMLResponse and read the assertion.
+ *
+ * @returns {Promise<{ subject, email, firstName, lastName, groups }>} the SSO profile
+ */
+export async function handleSamlResponse(connection, { SAMLResponse, RelayState }) {
+  const { profile } = await createSaml(connection).validatePostResponseAsync({ SAMLResponse, RelayState });
+  if (!profile?.nameID) {
+    throw new Error('SAML assertion has no NameID');
+  }
+
+  const nameIdIsEmail = profile.nameIDFormat?.endsWith(':emailAddress') || profile.nameID.includes('@');
+  const groups = profile[connection.groupsAttribute] ?? profile.attributes?.[connection.groupsAttribute];
+
+  return {
+    subject: profile.nameID,
+    email: firstAttribute(profile, EMAIL_ATTRIBUTES) || (nameIdIsEmail ? profile.nameID : ''),
+    firstName: firstAttribute(profile, FIRST_NAME_ATTRIBUTES),
+    lastName: firstAttribute(profile, LAST_NAME_ATTRIBUTES),
+    groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : [],
+  };
+}
+
+/**
+ * An IdP certificate as PEM - pasted with or without the BEGIN/END lines.
+ *
+ * @returns {string|null} null when it doesn't parse as X.509
+ */
+export function normalizeCertificate(input) {
+  const body = String(input || '')
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+  if (!body) return null;
+
+  const pem = `-----BEGIN CERTIFICATE-----\n${body.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+  try {
+    new crypto.X509Certificate(pem);
+    return pem;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SP metadata XML for IdPs that import it.
+ */
+export function buildSpMetadata() {
+  const { samlAcsUrl, samlEntityId } = getSsoUrls();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${samlEntityId}">
+  <md:SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" AuthnRequestsSigned="false" WantAssertionsSigned="true">
+    <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</md:NameIDFormat>
+    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${samlAcsUrl}" index="1"/>
+  </md:SPSSODescriptor>
+</md:EntityDescriptor>
+`;
+}
@@ -0,0 +1,375 @@
+/**
+ * SCIM 2.0 (RFC 7643/7644) provisioning for /api/scim/v2.
+ *
+ * The account's IdP holds a bearer token (gpscim_..., stored hashed on the
+ * SsoConnection). Users are the account's members - the resource id is the
+ * AccountMember id - and Groups are the account's Roles (Owner excluded):
+ * adding a user to a group assigns that role.
+ *
+ * Deprovisioning (active=false, or DELETE) suspends the member through
+ * lib/account-members.js, the same path as Settings → Users → Suspend.
+ */
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { suspendMember, activateMember } from '@/lib/account-members';
+import { memberTarget, recordActivity } from '@/lib/activity-log/log';
+import { getSsoUrls } from './connections.js';
+import { SsoError, canAdoptUser } from './provisioning.js';
+
+export const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+};
+
+const TOKEN_PREFIX = 'gpscim_';
+const MAX_PAGE_SIZE = 200;
+
+// Members SCIM sees as users: invites without a user don't exist yet,
+// removed members no longer do.
+export const SCIM_MEMBER_WHERE = { userId: { not: null }, status: { in: ['ACTIVE', 'SUSPENDED'] } };
+
+export const SCIM_MEMBER_INCLUDE = {
+  user: { select: { id: true, email: true, firstName: true, lastName: true } },
+  role: { select: { id: true, name: true } },
+};
+
+// SsoError code -> HTTP status and SCIM error type.
+const SSO_ERROR_STATUS = {
+  exists: [409, 'uniqueness'],
+  email_in_use: [409, 'uniqueness'],
+  domain_mismatch: [400, 'invalidValue'],
+  no_email: [400, 'invalidValue'],
+  no_role: [400, 'invalidValue'],
+  owner: [400, 'mutability'],
+};
+
+export function hashScimToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A new SCIM bearer token. Only the hash is stored.
+ *
+ * @returns {{ token: string, hash: string, prefix: string }}
+ */
+export function generateScimToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { token, hash: hashScimToken(token), prefix: `${token.slice(0, 12)}…` };
+}
+
+/**
+ * @returns {Promise<{ ok: true, connection: Object } | { ok: false, status: number, error: string }>}
+ */
+export async function authenticateScim(request) {
+  const auth = request.headers.get('authorization') || '';
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (!m) return { ok: false, status: 401, error: 'Missing bearer token' };
+  const token = m[1].trim();
+  if (!token.startsWith(TOKEN_PREFIX)) return { ok: false, status: 401, error: 'Invalid token' };
+
+  const connection = await prisma.ssoConnection.findFirst({
+    where: { scimTokenHash: hashScimToken(token) },
+    include: { account: { select: { archivedAt: true } } },
+  });
+  if (!connection) return { ok: false, status: 401, error: 'Invalid token' };
+  if (connection.account.archivedAt) return { ok: false, status: 403, error: 'Account is archived' };
+
+  // Best-effort last-used stamp (non-blocking).
+  prisma.ssoConnection.update({ where: { id: connection.id }, data: { scimLastUsedAt: new Date() } }).catch(() => {});
+
+  return { ok: true, connection };
+}
+
+export function scimJson(body, status = 200) {
+  return NextResponse.json(body, {
+    status,
+    headers: { 'Content-Type': 'application/scim+json' },
+  });
+}
+
+export function scimError(status, detail, scimType) {
+  return scimJson({
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail,
+  }, status);
+}
+
+/**
+ * SCIM error response for a thrown error; rethrows anything unexpected.
+ */
+export function scimErrorFrom(error) {
+  if (!(error instanceof SsoError)) throw error;
+  const [status, scimType] = SSO_ERROR_STATUS[error.code] || [400, undefined];
+  return scimError(status, error.message, scimType);
+}
+
+/**
+ * `attribute eq "value"` - the only filter IdPs send for lookups.
+ *
+ * @returns {{ attribute: string, value: string }|null} null for no/unsupported filter
+ */
+export function parseFilter(filter) {
+  const m = String(filter || '').match(/^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i);
+  return m ? { attribute: m[1], value: m[2].replace(/\\(.)/g, '$1') } : null;
+}
+
+/**
+ * startIndex (1-based) and count from the query string.
+ */
+export function parsePagination(searchParams) {
+  const startIndex = Math.max(1, parseInt(searchParams.get('startIndex'), 10) || 1);
+  const rawCount = parseInt(searchParams.get('count'), 10);
+  const count = Number.isNaN(rawCount) ? 100 : Math.min(Math.max(rawCount, 0), MAX_PAGE_SIZE);
+  return { startIndex, count };
+}
+
+export function listResponse(resources, totalResults, startIndex) {
+  return scimJson({
+    schemas: [SCIM_SCHEMAS.LIST],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  });
+}
+
+// Azure AD sends booleans as "True"/"False" strings.
+function parseBoolean(value) {
+  if (typeof value === 'string') return value.toLowerCase() === 'true';
+  return Boolean(value);
+}
+
+/**
+ * SCIM User resource for an AccountMember (with user and role included).
+ */
+export function toScimUser(member) {
+  const { user } = member;
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: member.id,
+    ...(member.scimExternalId ? { externalId: member.scimExternalId } : {}),
+    userName: user.email,
+    name: {
+      givenName: user.firstName || '',
+      familyName: user.lastName || '',
+    },
+    displayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: member.status === 'ACTIVE',
+    groups: member.role && member.role.name !== 'Owner'
+      ? [{ value: member.role.id, display: member.role.name }]
+      : [],
+    meta: {
+      resourceType: 'User',
+      created: member.joinedAt,
+      location: `${getSsoUrls().scimBaseUrl}/Users/${member.id}`,
+    },
+  };
+}
+
+/**
+ * SCIM Group resource for a Role and its members.
+ */
+export function toScimGroup(role, members) {
+  return {
+    schemas: [SCIM_SCHEMAS.GROUP],
+    id: role.id,
+    displayName: role.name,
+    members: members.map(m => ({ value: m.id, display: m.user?.email })),
+    meta: {
+      resourceType: 'Group',
+      created: role.createdAt,
+      lastModified: role.updatedAt,
+      location: `${getSsoUrls().scimBaseUrl}/Groups/${role.id}`,
+    },
+  };
+}
+
+/**
+ * The fields GhostSEO keeps from a SCIM User body (POST / PUT).
+ */
+export function readScimUser(body) {
+  const primaryEmail = Array.isArray(body?.emails)
+    ? (body.emails.find(e => e.primary) || body.emails[0])?.value
+    : null;
+  return {
+    email: body?.userName || primaryEmail || '',
+    firstName: body?.name?.givenName,
+    lastName: body?.name?.familyName,
+    externalId: body?.externalId,
+    active: body?.active === undefined ? true : parseBoolean(body.active),
+  };
+}
+
+/**
+ * User changes from a SCIM PatchOp body. userName / emails are not
+ * patchable: the email is the member's GhostSEO login.
+ */
+export function readScimUserPatch(body) {
+  const changes = {};
+  const apply = (path, value) => {
+    switch (path) {
+      case 'active': changes.active = parseBoolean(value); break;
+      case 'externalId': changes.externalId = value; break;
+      case 'name.givenName': changes.firstName = value; break;
+      case 'name.familyName': changes.lastName = value; break;
+      case 'name':
+        if (value?.givenName !== undefined) changes.firstName = value.givenName;
+        if (value?.familyName !== undefined) changes.lastName = value.familyName;
+        break;
+      default: break;
+    }
+  };
+
+  for (const operation of body?.Operations || []) {
+    const op = String(operation.op || '').toLowerCase();
+    if (op !== 'replace' && op !== 'add') continue;
+    if (operation.path) {
+      apply(operation.path, operation.value);
+    } else if (operation.value && typeof operation.value === 'object') {
+      for (const [path, value] of Object.entries(operation.value)) apply(path, value);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Log a SCIM suspend / reactivate of a member (loaded with its user).
+ */
+export function recordScimStatusChange(member, status) {
+  return recordActivity({
+    accountId: member.accountId,
+    actorType: 'SCIM',
+    action: status === 'SUSPENDED' ? 'member.suspended' : 'member.activated',
+    target: memberTarget(member),
+    before: { status: member.status },
+    after: { status },
+  });
+}
+
+/**
+ * Apply SCIM user changes to a member: active toggles suspension, names go to
+ * the user (only when this account's IdP owns them - see canAdoptUser).
+ *
+ * @returns {Promise<Object>} the member, reloaded with user and role
+ * @throws {SsoError}
+ */
+export async function applyScimUserChanges(connection, member, changes) {
+  if (changes.active === false && member.status === 'ACTIVE') {
+    const result = await suspendMember(member);
+    if (!result.success) throw new SsoError(result.error, 'owner');
+    await recordScimStatusChange(member, 'SUSPENDED');
+  } else if (changes.active === true && member.status === 'SUSPENDED') {
+    await activateMember(member);
+    await recordScimStatusChange(member, 'ACTIVE');
+  }
+
+  if (changes.externalId !== undefined) {
+    await prisma.accountMember.update({
+      where: { id: member.id },
+      data: { scimExternalId: changes.externalId || null },
+    });
+  }
+
+  const nameChanges = {};
+  if (typeof changes.firstName === 'string') nameChanges.firstName = changes.firstName;
+  if (typeof changes.lastName === 'string') nameChanges.lastName = changes.lastName;
+  if (Object.keys(nameChanges).length > 0) {
+    const user = await prisma.user.findUnique({ where: { id: member.userId }, select: { id: true, isSuperAdmin: true } });
+    if (user && await canAdoptUser(user, connection.accountId)) {
+      await prisma.user.update({ where: { id: user.id }, data: nameChanges });
+    }
+  }
+
+  return prisma.accountMember.findUnique({ where: { id: member.id }, include: SCIM_MEMBER_INCLUDE });
+}
+
+/**
+ * The SCIM-visible member `id` of the connection's account, or null.
+ */
+export function findScimMember(connection, id) {
+  if (!/^[a-f0-9]{24}$/i.test(String(id))) return null;
+  return prisma.accountMember.findFirst({
+    where: { id, accountId: connection.accountId, ...SCIM_MEMBER_WHERE },
+    include: SCIM_MEMBER_INCLUDE,
+  });
+}
+
+/**
+ * The Role behind a SCIM group `id`, or null. Owner is not a group.
+ */
+export function findScimGroup(connection, id) {
+  if (!/^[a-f0-9]{24}$/i.test(String(id))) return null;
+  return prisma.role.findFirst({
+    where: { id, accountId: connection.accountId, name: { not: 'Owner' } },
+  });
+}
+
+function memberIds(value) {
+  return (Array.isArray(value) ? value : [value])
+    .map(v => String(v?.value ?? ''))
+    .filter(id => /^[a-f0-9]{24}$/i.test(id));
+}
+
+/**
+ * Apply a SCIM PatchOp on a group's members. Adding a member assigns the
+ * role; removing one falls back to the connection's default role (a member
+ * always has a role, so without a usable default they keep it). The
+ * displayName is not patchable - roles are renamed in GhostSEO.
+ */
+export async function patchGroupMembers(connection, role, body) {
+  const add = new Set();
+  const remove = new Set();
+  let replaceAll = false;
+
+  for (const operation of body?.Operations || []) {
+    const op = String(operation.op || '').toLowerCase();
+    const path = String(operation.path || '');
+    const value = path ? operation.value : operation.value?.members;
+    if (!path && value === undefined) continue;
+
+    const filtered = path.match(/^members\[value eq "([^"]+)"\]$/i);
+    if (filtered && op === 'remove') {
+      remove.add(filtered[1]);
+    } else if (path && path.toLowerCase() !== 'members') {
+      continue;
+    } else if (op === 'add') {
+      memberIds(value).forEach(id => add.add(id));
+    } else if (op === 'remove') {
+      if (value === undefined) replaceAll = true;
+      else memberIds(value).forEach(id => remove.add(id));
+    } else if (op === 'replace') {
+      replaceAll = true;
+      memberIds(value).forEach(id => add.add(id));
+    }
+  }
+
+  const memberWhere = { accountId: connection.accountId, isOwner: false, ...SCIM_MEMBER_WHERE };
+
+  if (add.size > 0) {
+    await prisma.accountMember.updateMany({
+      where: { ...memberWhere, id: { in: [...add] } },
+      data: { roleId: role.id },
+    });
+  }
+
+  const fallbackRoleId = connection.defaultRoleId !== role.id ? connection.defaultRoleId : null;
+  const fallbackRole = fallbackRoleId && await findScimGroup(connection, fallbackRoleId);
+  if (fallbackRole && (remove.size > 0 || replaceAll)) {
+    await prisma.accountMember.updateMany({
+      where: {
+        ...memberWhere,
+        roleId: role.id,
+        id: replaceAll ? { notIn: [...add] } : { in: [...remove] },
+      },
+      data: { roleId: fallbackRole.id },
+    });
+  }
+}
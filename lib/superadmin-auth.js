@@ -1,11 +1,9 @@
-import { cookies } from 'next/headers';
 import prisma from '@/lib/prisma';
-
-const SESSION_COOKIE = 'user_session';
+import { getSessionUserId } from '@/lib/auth-session';
 
 /**
  * Verify the requesting user is a SuperAdmin.
- * Reads the user_session cookie, looks up the user, and returns
+ * Resolves the session user, looks up the user, and returns
  * a minimal user object iff isSuperAdmin === true.
  *
  * Returns null when unauthenticated, user not found, inactive,
@@ -18,8 +16,7 @@ const SESSION_COOKIE = 'user_session';
  */
 export async function verifySuperAdmin() {
   try {
-    const cookieStore = await cookies();
-    const userId = cookieStore.get(SESSION_COOKIE)?.value;
+    const userId = await getSessionUserId();
 
     if (!userId) return null;
 
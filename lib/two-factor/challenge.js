@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import { cookies } from 'next/headers';
+import prisma from '@/lib/prisma';
+import {
+  SESSION_COOKIE,
+  getSession,
+  getSessionUserId,
+  hashSessionToken,
+  rotateSession,
+} from '@/lib/auth-session';
+import { getSignInRequirement } from './policy.js';
+
+/**
+ * The step between "password (or Google) accepted" and "session started".
+ *
+ * When a user has 2FA, or an account they belong to requires it, the login
+ * routes don't start a session. They create a TwoFactorChallenge instead and
+ * hand the browser its token in the two_factor_challenge cookie:
+ *
+ *   VERIFY - answer with a TOTP code, a passkey or a recovery code
+ *   SETUP  - enroll a TOTP app or passkey first (required by policy)
+ *
+ * Passing the challenge calls finishSignIn() with what the login route would
+ * have done itself (reg_done / current_account cookies, redirect target).
+ *
+ * The same table holds PASSKEY_REGISTRATION rows: the WebAuthn challenge of a
+ * signed-in user adding a passkey from the settings page.
+ */
+
+export const TWO_FACTOR_COOKIE = 'two_factor_challenge';
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const REGISTRATION_TTL_MS = 5 * 60 * 1000;
+const REG_DONE_COOKIE = 'reg_done';
+const ACCOUNT_COOKIE = 'current_account';
+const LONG_COOKIE_MAX_AGE = 60 * 60 * 24 * 30; // 30 days
+
+const SIGN_IN_TYPES = { verify: 'VERIFY', setup: 'SETUP' };
+
+function cookieTarget(response) {
+  return response ? Promise.resolve(response.cookies) : cookies();
+}
+
+function cookieOptions(extra) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    ...extra,
+  };
+}
+
+/**
+ * Start a session and set the cookies that go with a completed sign-in.
+ *
+ * @param {string} userId
+ * @param {Object} [signIn]
+ * @param {boolean} [signIn.registrationComplete] - set (true) or clear (false) reg_done; left alone when undefined
+ * @param {string} [signIn.accountId] - select this account
+ * @param {import('next/server').NextResponse} [signIn.response] - set cookies on this response
+ */
+export async function finishSignIn(userId, { registrationComplete, accountId, response } = {}) {
+  await rotateSession(userId, { response });
+  const target = await cookieTarget(response);
+
+  if (registrationComplete === true) {
+    target.set(REG_DONE_COOKIE, '1', cookieOptions({ maxAge: LONG_COOKIE_MAX_AGE }));
+  } else if (registrationComplete === false) {
+    // Ensure stale reg_done cookies don't let a draft user through.
+    target.delete(REG_DONE_COOKIE);
+  }
+
+  if (accountId) {
+    target.set(ACCOUNT_COOKIE, accountId, cookieOptions({ maxAge: LONG_COOKIE_MAX_AGE }));
+  }
+}
+
+/**
+ * Sign a user in - or, when 2FA stands in the way, park the sign-in behind a
+ * challenge and return what the browser has to do next.
+ *
+ * @param {string} userId
+ * @param {Object} signIn - { redirectTo, registrationComplete, accountId }
+ * @param {Object} [options]
+ * @param {import('next/server').NextResponse} [options.response]
+ * @returns {Promise<'verify'|'setup'|null>} null when the session was started
+ */
+export async function signInWithTwoFactor(userId, signIn, { response } = {}) {
+  const requirement = await getSignInRequirement(userId);
+  if (!requirement) {
+    await finishSignIn(userId, { ...signIn, response });
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expires = new Date(Date.now() + CHALLENGE_TTL_MS);
+
+  // One pending sign-in per user - a fresh password check replaces the old one.
+  await prisma.twoFactorChallenge.deleteMany({
+    where: { userId, type: { in: Object.values(SIGN_IN_TYPES) } },
+  });
+  await prisma.twoFactorChallenge.create({
+    data: {
+      tokenHash: hashSessionToken(token),
+      userId,
+      type: SIGN_IN_TYPES[requirement],
+      signIn: {
+        redirectTo: signIn.redirectTo || '/dashboard',
+        registrationComplete: signIn.registrationComplete ?? null,
+        accountId: signIn.accountId || null,
+      },
+      expires,
+    },
+  });
+
+  // Whatever session the browser carried ends here, like rotateSession would.
+  const current = await getSession();
+  if (current) {
+    await prisma.session.deleteMany({ where: { id: current.id } });
+  }
+
+  const target = await cookieTarget(response);
+  target.delete(SESSION_COOKIE);
+  target.set(TWO_FACTOR_COOKIE, token, cookieOptions({ expires }));
+  return requirement;
+}
+
+/**
+ * The pending sign-in challenge of this browser, or null.
+ */
+export async function getSignInChallenge() {
+  const cookieStore = await cookies();
+  const token = cookieStore.get(TWO_FACTOR_COOKIE)?.value;
+  if (!token) return null;
+
+  const challenge = await prisma.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashSessionToken(token) },
+  });
+  if (!challenge || !Object.values(SIGN_IN_TYPES).includes(challenge.type)) return null;
+
+  if (challenge.expires.getTime() <= Date.now()) {
+    await prisma.twoFactorChallenge.deleteMany({ where: { id: challenge.id } });
+    return null;
+  }
+  return challenge;
+}
+
+/**
+ * Count a wrong answer. The challenge is dropped once it runs out of
+ * attempts, sending the user back to the password step.
+ *
+ * @returns {Promise<number>} attempts left
+ */
+export async function recordFailedAttempt(challenge) {
+  const attempts = challenge.attempts + 1;
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await prisma.twoFactorChallenge.deleteMany({ where: { id: challenge.id } });
+    const cookieStore = await cookies();
+    cookieStore.delete(TWO_FACTOR_COOKIE);
+    return 0;
+  }
+  await prisma.twoFactorChallenge.update({
+    where: { id: challenge.id },
+    data: { attempts },
+  });
+  return MAX_CHALLENGE_ATTEMPTS - attempts;
+}
+
+/**
+ * Resolve a passed challenge into a session.
+ *
+ * @returns {Promise<{ user: Object, redirectTo: string, isRegistrationComplete: boolean }|null>}
+ *   the same shape /api/auth/login answers with; null when already used
+ */
+export async function completeSignInChallenge(challenge) {
+  // deleteMany so a challenge answered twice in parallel signs in only once.
+  const { count } = await prisma.twoFactorChallenge.deleteMany({ where: { id: challenge.id } });
+  if (count === 0) return null;
+
+  const cookieStore = await cookies();
+  cookieStore.delete(TWO_FACTOR_COOKIE);
+
+  const signIn = challenge.signIn || {};
+  await finishSignIn(challenge.userId, {
+    registrationComplete: signIn.registrationComplete ?? undefined,
+    accountId: signIn.accountId || undefined,
+  });
+
+  const user = await prisma.user.update({
+    where: { id: challenge.userId },
+    data: { lastLoginAt: new Date() },
+    select: { id: true, email: true, firstName: true, lastName: true, isSuperAdmin: true, registrationStep: true },
+  });
+
+  return {
+    user,
+    redirectTo: signIn.redirectTo || '/dashboard',
+    isRegistrationComplete: user.registrationStep === 'COMPLETED' || user.isSuperAdmin,
+  };
+}
+
+/**
+ * Who is enrolling a second factor: the signed-in user, or a user stopped at
+ * a SETUP challenge because an account requires 2FA.
+ *
+ * @returns {Promise<{ userId: string, challenge: Object|null }|null>}
+ */
+export async function getEnrollingUser() {
+  const userId = await getSessionUserId();
+  if (userId) return { userId, challenge: null };
+
+  const challenge = await getSignInChallenge();
+  if (challenge?.type === 'SETUP') return { userId: challenge.userId, challenge };
+  return null;
+}
+
+/**
+ * Remember the WebAuthn challenge of a passkey registration in progress.
+ *
+ * @param {{ userId: string, challenge: Object|null }} enrolling - from getEnrollingUser()
+ * @param {string} webauthnChallenge
+ */
+export async function saveRegistrationChallenge(enrolling, webauthnChallenge) {
+  if (enrolling.challenge) {
+    await prisma.twoFactorChallenge.update({
+      where: { id: enrolling.challenge.id },
+      data: { webauthnChallenge },
+    });
+    return;
+  }
+
+  await prisma.twoFactorChallenge.deleteMany({
+    where: { userId: enrolling.userId, type: 'PASSKEY_REGISTRATION' },
+  });
+  await prisma.twoFactorChallenge.create({
+    data: {
+      tokenHash: hashSessionToken(crypto.randomBytes(32).toString('base64url')),
+      userId: enrolling.userId,
+      type: 'PASSKEY_REGISTRATION',
+      webauthnChallenge,
+      expires: new Date(Date.now() + REGISTRATION_TTL_MS),
+    },
+  });
+}
+
+/**
+ * Take (and forget) the WebAuthn challenge saved by saveRegistrationChallenge.
+ *
+ * @returns {Promise<string|null>}
+ */
+export async function takeRegistrationChallenge(enrolling) {
+  if (enrolling.challenge) {
+    const expected = enrolling.challenge.webauthnChallenge;
+    if (expected) {
+      await prisma.twoFactorChallenge.update({
+        where: { id: enrolling.challenge.id },
+        data: { webauthnChallenge: null },
+      });
+    }
+    return expected || null;
+  }
+
+  const row = await prisma.twoFactorChallenge.findFirst({
+    where: { userId: enrolling.userId, type: 'PASSKEY_REGISTRATION' },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!row) return null;
+  await prisma.twoFactorChallenge.deleteMany({ where: { id: row.id } });
+  return row.expires.getTime() > Date.now() ? row.webauthnChallenge : null;
+}
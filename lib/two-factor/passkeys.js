@@ -0,0 +1,165 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import prisma from '@/lib/prisma';
+import { TOTP_ISSUER } from './totp.js';
+
+/**
+ * WebAuthn passkeys as a second factor, via @simplewebauthn/server.
+ *
+ * The relying party is the dashboard's own origin (BASE_URL, like the Google
+ * OAuth redirect). Challenges are kept server-side on a TwoFactorChallenge
+ * row by the callers and passed back in for verification.
+ */
+
+export const MAX_PASSKEYS_PER_USER = 10;
+
+function getRelyingParty() {
+  const origin = new URL(process.env.BASE_URL || process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3001').origin;
+  return { origin, rpID: new URL(origin).hostname, rpName: TOTP_ISSUER };
+}
+
+/**
+ * Registration options for a user adding a passkey. Their existing passkeys
+ * are excluded so the same authenticator isn't registered twice.
+ *
+ * @param {{ id: string, email: string, firstName?: string, lastName?: string }} user
+ */
+export async function buildRegistrationOptions(user) {
+  const { rpID, rpName } = getRelyingParty();
+  const existing = await prisma.passkey.findMany({
+    where: { userId: user.id },
+    select: { credentialId: true, transports: true },
+  });
+
+  return generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userID: Buffer.from(user.id),
+    userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+    attestationType: 'none',
+    excludeCredentials: existing.map(p => ({ id: p.credentialId, transports: p.transports })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred',
+    },
+  });
+}
+
+/**
+ * Verify a registration response and store the passkey.
+ *
+ * @param {string} userId
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @param {string} expectedChallenge
+ * @param {string} [name] - user-facing label
+ * @returns {Promise<Object|null>} the created passkey, or null when verification failed
+ */
+export async function registerPasskey(userId, response, expectedChallenge, name) {
+  const { origin, rpID } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+    });
+  } catch (error) {
+    console.warn('[Passkeys] registration rejected:', error.message);
+    return null;
+  }
+  if (!verification.verified || !verification.registrationInfo) return null;
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return prisma.passkey.create({
+    data: {
+      userId,
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: String(name || '').trim().slice(0, 50) || null,
+    },
+  });
+}
+
+/**
+ * Authentication options limited to the user's own passkeys.
+ *
+ * @param {string} userId
+ */
+export async function buildAuthenticationOptions(userId) {
+  const { rpID } = getRelyingParty();
+  const passkeys = await prisma.passkey.findMany({
+    where: { userId },
+    select: { credentialId: true, transports: true },
+  });
+
+  return generateAuthenticationOptions({
+    rpID,
+    allowCredentials: passkeys.map(p => ({ id: p.credentialId, transports: p.transports })),
+    userVerification: 'preferred',
+  });
+}
+
+/**
+ * Verify an authentication response against one of the user's passkeys and
+ * advance its signature counter.
+ *
+ * @param {string} userId
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string} expectedChallenge
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPasskey(userId, response, expectedChallenge) {
+  if (!response?.id) return false;
+  const passkey = await prisma.passkey.findFirst({
+    where: { userId, credentialId: response.id },
+  });
+  if (!passkey) return false;
+
+  const { origin, rpID } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: new Uint8Array(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports,
+      },
+    });
+  } catch (error) {
+    console.warn('[Passkeys] authentication rejected:', error.message);
+    return false;
+  }
+  if (!verification.verified) return false;
+
+  await prisma.passkey.update({
+    where: { id: passkey.id },
+    data: { counter: verification.authenticationInfo.newCounter, lastUsedAt: new Date() },
+  });
+  return true;
+}
+
+export function serializePasskey(passkey) {
+  return {
+    id: passkey.id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt,
+  };
+}
@@ -0,0 +1,66 @@
+import prisma from '@/lib/prisma';
+
+/**
+ * Which second factors a user has, and whether they must have one.
+ *
+ * A user "has 2FA" once an authenticator app is confirmed or a passkey is
+ * registered; recovery codes alone don't count. An account owner can set
+ * Account.requireTwoFactor, which then applies to every active member.
+ */
+
+/**
+ * @param {string} userId
+ * @returns {Promise<{ totp: boolean, passkeys: number, recoveryCodes: number, enabled: boolean, methods: string[] }>}
+ */
+export async function getTwoFactorState(userId) {
+  const [user, passkeys] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { totpEnabledAt: true, recoveryCodes: true },
+    }),
+    prisma.passkey.count({ where: { userId } }),
+  ]);
+
+  const totp = !!user?.totpEnabledAt;
+  const recoveryCodes = user?.recoveryCodes?.length || 0;
+  const methods = [
+    ...(totp ? ['totp'] : []),
+    ...(passkeys > 0 ? ['passkey'] : []),
+    ...(recoveryCodes > 0 ? ['recovery'] : []),
+  ];
+
+  return { totp, passkeys, recoveryCodes, enabled: totp || passkeys > 0, methods };
+}
+
+/**
+ * Whether any account the user is an active member of requires 2FA.
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function isTwoFactorRequired(userId) {
+  const count = await prisma.accountMember.count({
+    where: {
+      userId,
+      status: 'ACTIVE',
+      account: { requireTwoFactor: true },
+    },
+  });
+  return count > 0;
+}
+
+/**
+ * What stands between a password (or Google) check and a session:
+ *   'verify' - the user has 2FA and must use it
+ *   'setup'  - an account requires 2FA and the user has none yet
+ *   null     - nothing, sign in directly
+ *
+ * @param {string} userId
+ * @returns {Promise<'verify'|'setup'|null>}
+ */
+export async function getSignInRequirement(userId) {
+  const state = await getTwoFactorState(userId);
+  if (state.enabled) return 'verify';
+  if (await isTwoFactorRequired(userId)) return 'setup';
+  return null;
+}
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+
+/**
+ * One-time recovery codes - the way back in when the authenticator app or
+ * passkey is lost. Shown once in plain text; User.recoveryCodes keeps only
+ * their sha256 hashes, and a used code is removed from the list.
+ */
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// No 0/O/1/I/L - codes get copied off paper.
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+function normalize(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalize(code)).digest('hex');
+}
+
+function randomCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += ALPHABET[byte % ALPHABET.length];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set.
+ *
+ * @param {string} userId
+ * @returns {Promise<string[]>} the plain codes - the only time they exist
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, randomCode);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { recoveryCodes: codes.map(hashRecoveryCode) },
+  });
+  return codes;
+}
+
+/**
+ * Use up a recovery code.
+ *
+ * @param {{ id: string, recoveryCodes: string[] }} user
+ * @param {string} code
+ * @returns {Promise<boolean>} whether the code was valid (and is now spent)
+ */
+export async function consumeRecoveryCode(user, code) {
+  if (normalize(code).length !== CODE_LENGTH) return false;
+  const hash = hashRecoveryCode(code);
+  if (!user.recoveryCodes?.includes(hash)) return false;
+
+  // Conditional on the hash still being there, so two requests racing with
+  // the same code can't both get in.
+  const result = await prisma.user.updateMany({
+    where: { id: user.id, recoveryCodes: { has: hash } },
+    data: { recoveryCodes: user.recoveryCodes.filter(h => h !== hash) },
+  });
+  return result.count === 1;
+}
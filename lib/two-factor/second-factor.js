@@ -0,0 +1,58 @@
+import prisma from '@/lib/prisma';
+import { decryptCredential } from '@/lib/site-keys';
+import { verifyTotpCode } from './totp.js';
+import { consumeRecoveryCode } from './recovery-codes.js';
+
+// Fields verifySecondFactor needs - select these when loading the user.
+export const SECOND_FACTOR_USER_SELECT = {
+  id: true,
+  totpSecret: true,
+  totpEnabledAt: true,
+  totpLastStep: true,
+  recoveryCodes: true,
+};
+
+/**
+ * Check a user's authenticator-app code. A code is accepted once: the
+ * matched time step is stored and older steps are refused from then on.
+ *
+ * @param {Object} user - with SECOND_FACTOR_USER_SELECT fields
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {boolean} [options.pending] - check the not-yet-confirmed secret (enrollment)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyUserTotp(user, code, { pending = false } = {}) {
+  if (!user.totpSecret || (!pending && !user.totpEnabledAt)) return false;
+
+  let secret;
+  try {
+    secret = decryptCredential(user.totpSecret);
+  } catch (error) {
+    console.error('[2FA] could not decrypt TOTP secret:', error.message);
+    return false;
+  }
+
+  const step = verifyTotpCode(secret, code, { afterStep: user.totpLastStep ?? null });
+  if (step === null) return false;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpLastStep: step },
+  });
+  return true;
+}
+
+/**
+ * Check a typed second factor - an authenticator code or a recovery code.
+ * Passkeys go through verifyPasskey() in passkeys.js instead.
+ *
+ * @param {Object} user - with SECOND_FACTOR_USER_SELECT fields
+ * @param {{ method: 'totp'|'recovery', code: string }} answer
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(user, { method, code }) {
+  if (method === 'recovery') return consumeRecoveryCode(user, code);
+  if (method === 'totp') return verifyUserTotp(user, code);
+  return false;
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) for authenticator apps.
+ *
+ * Uses the defaults every authenticator app understands: SHA-1, 6 digits,
+ * 30-second steps. Secrets are 20 random bytes, exchanged as base32.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step too - phone clocks drift.
+const DRIFT_STEPS = 1;
+
+export const TOTP_ISSUER = 'GhostSEO';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} a new base32 secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function currentTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code an authenticator app shows for a secret at a given time.
+ *
+ * @param {string} secret - base32
+ * @param {number} [now] - ms timestamp
+ */
+export function generateTotpCode(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), currentTotpStep(now));
+}
+
+/**
+ * Check a code against the steps around now.
+ *
+ * Returns the matching time step so the caller can persist it and refuse the
+ * same code (or an older one) a second time.
+ *
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.afterStep] - only accept steps newer than this (last used step)
+ * @param {number} [options.now] - ms timestamp
+ * @returns {number|null} the matched step, or null
+ */
+export function verifyTotpCode(secret, code, { afterStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentTotpStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (afterStep !== null && candidate <= afterStep) continue;
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for QR enrollment.
+ *
+ * @param {string} secret - base32
+ * @param {string} accountName - shown in the app under the issuer (the user's email)
+ */
+export function buildTotpUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
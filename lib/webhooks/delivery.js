@@ -0,0 +1,266 @@
+/**
+ * Outbound webhooks - fan-out and delivery.
+ *
+ *   emitWebhookEvent()  - called from domain code when something happens.
+ *                         Records one WebhookDelivery per subscribed endpoint
+ *                         and queues a WEBHOOK_DELIVERY job for each.
+ *   deliverWebhook()    - one signed POST attempt (WEBHOOK_DELIVERY handler).
+ *                         Throws on failure so the queue retries with backoff;
+ *                         the handler's onDead marks the delivery FAILED.
+ *
+ * Receivers verify `X-GhostSEO-Signature: sha256=<hex>`, an HMAC-SHA256 of
+ * `${X-GhostSEO-Timestamp}.${rawBody}` keyed with the endpoint secret - the
+ * same scheme the WordPress plugin uses (createSignature in lib/site-keys).
+ */
+
+import crypto from 'crypto';
+import prisma from '@/lib/prisma';
+import { createSignature, decryptCredential } from '@/lib/site-keys';
+import { GHOSTSEO_BOT_UA } from '@/lib/bot-identity';
+import { enqueueJob } from '@/lib/queue/queue';
+import { kickQueue } from '@/lib/queue/dispatcher';
+import { WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT, WEBHOOK_AUTOMATION_EVENT } from './events.js';
+import { assertPublicWebhookHost } from './endpoints.js';
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 2048;
+
+function buildEnvelope(event, accountId, siteId, data) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: event,
+    createdAt: new Date().toISOString(),
+    accountId,
+    siteId: siteId || null,
+    data: data || {},
+  };
+}
+
+async function queueDeliveries(deliveries) {
+  for (const delivery of deliveries) {
+    await enqueueJob('WEBHOOK_DELIVERY', { deliveryId: delivery.id }, {
+      accountId: delivery.accountId,
+      dedupeKey: `WEBHOOK_DELIVERY:${delivery.id}`,
+    });
+  }
+  if (deliveries.length > 0) kickQueue(['WEBHOOK_DELIVERY']);
+}
+
+/**
+ * Fan an event out to the account's subscribed endpoints. Never throws -
+ * a webhook problem must not fail the audit / publish / billing flow that
+ * emitted it.
+ *
+ * @param {string} accountId
+ * @param {string} event - WEBHOOK_EVENTS key
+ * @param {Object} data - Event-specific payload (JSON-serialisable)
+ * @param {Object} [options]
+ * @param {string} [options.siteId] - Required for site-scoped events
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function emitWebhookEvent(accountId, event, data, { siteId = null } = {}) {
+  try {
+    if (!accountId || !WEBHOOK_EVENTS[event]) return 0;
+
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { accountId, isActive: true, events: { has: event } },
+      select: { id: true, siteIds: true },
+    });
+    const targets = endpoints.filter(ep =>
+      !WEBHOOK_EVENTS[event].siteScoped || ep.siteIds.length === 0 || (siteId && ep.siteIds.includes(siteId)),
+    );
+    if (targets.length === 0) return 0;
+
+    const payload = buildEnvelope(event, accountId, siteId, data);
+    const deliveries = [];
+    for (const endpoint of targets) {
+      deliveries.push(await prisma.webhookDelivery.create({
+        data: { endpointId: endpoint.id, accountId, siteId, event, payload },
+      }));
+    }
+    await queueDeliveries(deliveries);
+    return deliveries.length;
+  } catch (error) {
+    console.error(`[Webhooks] Failed to emit ${event} for account ${accountId}:`, error.message);
+    return 0;
+  }
+}
+
+async function recordAttempt(delivery, endpointId, data) {
+  await prisma.webhookDelivery.update({ where: { id: delivery.id }, data });
+  if (data.status && data.status !== 'PENDING') {
+    await prisma.webhookEndpoint.updateMany({
+      where: { id: endpointId },
+      data: { lastDeliveryAt: new Date(), lastDeliveryStatus: data.status },
+    });
+  }
+}
+
+/**
+ * Make one delivery attempt.
+ *
+ * @param {string} deliveryId
+ * @param {Object} [options]
+ * @param {boolean} [options.finalAttempt] - Mark FAILED instead of leaving PENDING on error
+ * @returns {Promise<{ status: string, responseStatus?: number, skipped?: boolean }>}
+ * @throws When the attempt failed and should be retried
+ */
+export async function deliverWebhook(deliveryId, { finalAttempt = false } = {}) {
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  if (!delivery) return { status: 'MISSING', skipped: true };
+  if (delivery.status !== 'PENDING') return { status: delivery.status, skipped: true };
+
+  const endpoint = await prisma.webhookEndpoint.findUnique({ where: { id: delivery.endpointId } });
+  if (!endpoint || !endpoint.isActive) {
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'FAILED', error: endpoint ? 'Endpoint disabled' : 'Endpoint deleted' },
+    });
+    return { status: 'FAILED', skipped: true };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+  try {
+    await assertPublicWebhookHost(endpoint.url);
+    const secret = decryptCredential(endpoint.secret);
+    const res = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': GHOSTSEO_BOT_UA,
+        'X-GhostSEO-Event': delivery.event,
+        'X-GhostSEO-Delivery': delivery.id,
+        'X-GhostSEO-Timestamp': String(timestamp),
+        'X-GhostSEO-Signature': `sha256=${createSignature(body, timestamp, secret)}`,
+      },
+      body,
+      signal: controller.signal,
+      // A redirect could point anywhere - treat it as a failed delivery
+      redirect: 'manual',
+    });
+    responseStatus = res.status;
+    responseBody = (await res.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT) || null;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const succeeded = !error;
+  const status = succeeded ? 'SUCCEEDED' : (finalAttempt ? 'FAILED' : 'PENDING');
+  await recordAttempt(delivery, endpoint.id, {
+    status,
+    attempts,
+    responseStatus,
+    responseBody,
+    durationMs: Date.now() - startedAt,
+    error,
+    lastAttemptAt: new Date(),
+    ...(succeeded && { deliveredAt: new Date() }),
+  });
+
+  if (!succeeded) throw new Error(`Webhook delivery failed: ${error}`);
+  return { status, responseStatus };
+}
+
+/**
+ * Give up on a delivery the queue stopped retrying (WEBHOOK_DELIVERY onDead).
+ * @param {string} deliveryId
+ * @param {string} [reason]
+ */
+export async function markDeliveryFailed(deliveryId, reason) {
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  if (!delivery || delivery.status !== 'PENDING') return;
+  await recordAttempt(delivery, delivery.endpointId, {
+    status: 'FAILED',
+    error: delivery.error || reason || 'Delivery failed',
+  });
+}
+
+/**
+ * Send a recorded payload again as a new delivery (same event id, so the
+ * receiver can dedupe).
+ * @param {Object} delivery - WebhookDelivery row
+ * @returns {Promise<Object>} The new WebhookDelivery
+ */
+export async function redeliverWebhook(delivery) {
+  const copy = await prisma.webhookDelivery.create({
+    data: {
+      endpointId: delivery.endpointId,
+      accountId: delivery.accountId,
+      siteId: delivery.siteId,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery.id,
+    },
+  });
+  await queueDeliveries([copy]);
+  return copy;
+}
+
+/**
+ * Queue a `webhook.test` ping to one endpoint, regardless of its event
+ * subscriptions.
+ * @param {Object} endpoint - WebhookEndpoint row
+ * @returns {Promise<Object>} The WebhookDelivery
+ */
+export async function sendTestEvent(endpoint) {
+  const payload = buildEnvelope(WEBHOOK_TEST_EVENT, endpoint.accountId, null, {
+    message: 'Test event from GhostSEO',
+    endpointId: endpoint.id,
+  });
+  const delivery = await prisma.webhookDelivery.create({
+    data: { endpointId: endpoint.id, accountId: endpoint.accountId, event: WEBHOOK_TEST_EVENT, payload },
+  });
+  await queueDeliveries([delivery]);
+  return delivery;
+}
+
+/**
+ * Queue an `automation.action` delivery to the endpoint an automation's
+ * "Call webhook" action points at, regardless of its event subscriptions.
+ * @param {Object} endpoint - WebhookEndpoint row
+ * @param {string} siteId
+ * @param {Object} data - { automationId, automationName, runId, trigger, event }
+ * @returns {Promise<Object>} The WebhookDelivery
+ */
+export async function sendAutomationEvent(endpoint, siteId, data) {
+  const payload = buildEnvelope(WEBHOOK_AUTOMATION_EVENT, endpoint.accountId, siteId, data);
+  const delivery = await prisma.webhookDelivery.create({
+    data: { endpointId: endpoint.id, accountId: endpoint.accountId, siteId, event: WEBHOOK_AUTOMATION_EVENT, payload },
+  });
+  await queueDeliveries([delivery]);
+  return delivery;
+}
+
+/**
+ * Emit subscription.updated for a status / plan / cancellation change.
+ *
+ * @param {Object} previous - Subscription row before the change (id, accountId, status, planId, ...)
+ * @param {Object} changes - The fields that were written
+ * @param {string} reason - e.g. 'renewal_failed', 'plan_upgrade', 'admin_cancel'
+ */
+export function emitSubscriptionUpdated(previous, changes, reason) {
+  const next = { ...previous, ...changes };
+  return emitWebhookEvent(previous.accountId, 'subscription.updated', {
+    subscriptionId: previous.id,
+    reason,
+    previousStatus: previous.status,
+    status: next.status,
+    previousPlanId: previous.planId,
+    planId: next.planId,
+    cancelAtPeriodEnd: !!next.cancelAtPeriodEnd,
+    currentPeriodEnd: next.currentPeriodEnd || null,
+  });
+}
@@ -0,0 +1,159 @@
+/**
+ * Outbound webhooks - endpoint management helpers shared by the
+ * /api/settings/webhooks routes: input validation, secret generation and the
+ * client-facing shape of an endpoint (never includes the secret).
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { encryptCredential } from '@/lib/site-keys';
+import { isWebhookEvent } from './events.js';
+
+export const MAX_ENDPOINTS_PER_ACCOUNT = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_URL_LENGTH = 2000;
+
+const BLOCKED_HOST_SUFFIXES = ['.local', '.internal', '.localhost'];
+
+/**
+ * True for loopback, private, link-local, CGNAT and unspecified addresses -
+ * anything a webhook must never be pointed at from our servers.
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(ip)) {
+    const lower = ip.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1'
+      || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+  }
+  return false;
+}
+
+/**
+ * Validate an endpoint URL. HTTPS only in production (plain http is allowed
+ * elsewhere for local receivers), and no hosts that obviously point inward.
+ *
+ * @param {string} value
+ * @returns {{ url?: string, error?: string }} error is an i18n key suffix
+ */
+export function validateWebhookUrl(value) {
+  if (!value || typeof value !== 'string' || value.length > MAX_URL_LENGTH) return { error: 'invalidUrl' };
+
+  let parsed;
+  try { parsed = new URL(value.trim()); } catch { return { error: 'invalidUrl' }; }
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && !isProduction)) {
+    return { error: 'httpsRequired' };
+  }
+  if (parsed.username || parsed.password) return { error: 'invalidUrl' };
+
+  if (isProduction) {
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || BLOCKED_HOST_SUFFIXES.some(s => host.endsWith(s)) || isPrivateAddress(host)) {
+      return { error: 'privateHost' };
+    }
+  }
+
+  return { url: parsed.toString() };
+}
+
+/**
+ * Resolve the endpoint host right before sending so a public hostname that
+ * later points at an internal address is still refused. No-op outside
+ * production.
+ * @param {string} url
+ */
+export async function assertPublicWebhookHost(url) {
+  if (process.env.NODE_ENV !== 'production') return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Webhook host ${host} resolves to a private address`);
+  }
+}
+
+/**
+ * @param {unknown} events
+ * @returns {string[]|null} Deduped event keys, or null if any is unknown
+ */
+export function normalizeEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) return null;
+  const unique = [...new Set(events)];
+  return unique.every(isWebhookEvent) ? unique : null;
+}
+
+/**
+ * Keep only site ids that belong to the account. Empty = all sites.
+ * @param {unknown} siteIds
+ * @param {string[]} accountSiteIds
+ * @returns {string[]|null} null if any id isn't one of the account's sites
+ */
+export function normalizeSiteIds(siteIds, accountSiteIds) {
+  if (siteIds == null) return [];
+  if (!Array.isArray(siteIds)) return null;
+  const unique = [...new Set(siteIds)];
+  return unique.every(id => accountSiteIds.includes(id)) ? unique : null;
+}
+
+export function normalizeDescription(description) {
+  if (description == null) return null;
+  return String(description).trim().slice(0, MAX_DESCRIPTION_LENGTH) || null;
+}
+
+/**
+ * New signing secret. The plain value is returned to the user exactly once
+ * (on create / rotate); only the encrypted form is stored.
+ * @returns {{ secret: string, encrypted: string }}
+ */
+export function generateWebhookSecret() {
+  const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  return { secret, encrypted: encryptCredential(secret) };
+}
+
+export function serializeEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    siteIds: endpoint.siteIds,
+    isActive: endpoint.isActive,
+    lastDeliveryAt: endpoint.lastDeliveryAt,
+    lastDeliveryStatus: endpoint.lastDeliveryStatus,
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt,
+  };
+}
+
+export function serializeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    siteId: delivery.siteId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    responseBody: delivery.responseBody,
+    durationMs: delivery.durationMs,
+    error: delivery.error,
+    redeliveryOf: delivery.redeliveryOf,
+    payload: delivery.payload,
+    lastAttemptAt: delivery.lastAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+  };
+}
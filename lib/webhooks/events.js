@@ -0,0 +1,38 @@
+/**
+ * Outbound webhook event catalog.
+ *
+ * Import-free so the settings UI can render the event picker from the same
+ * list the emitters and the API validate against.
+ *
+ *   siteScoped - the event carries a siteId and honours an endpoint's site
+ *                filter; account-level events go to every subscribed endpoint
+ */
+
+export const WEBHOOK_EVENTS = Object.freeze({
+  'audit.completed': { siteScoped: true },
+  'audit.score_dropped': { siteScoped: true },
+  'insight.high_priority': { siteScoped: true },
+  'content.published': { siteScoped: true },
+  'content.failed': { siteScoped: true },
+  'fix.applied': { siteScoped: true },
+  'fix.rolled_back': { siteScoped: true },
+  'backlink.lost': { siteScoped: true },
+  'subscription.updated': { siteScoped: false },
+});
+
+export const WEBHOOK_EVENT_KEYS = Object.keys(WEBHOOK_EVENTS);
+
+// Sent by the "Send test" button only; not subscribable.
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+// Sent by an automation's "Call webhook" action (lib/automations) to the
+// endpoint it names; not subscribable either.
+export const WEBHOOK_AUTOMATION_EVENT = 'automation.action';
+
+// audit.score_dropped fires when a completed audit scores at least this many
+// points below the previous completed audit of the same site and device.
+export const SCORE_DROP_THRESHOLD = 5;
+
+export function isWebhookEvent(event) {
+  return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event);
+}
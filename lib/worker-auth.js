@@ -12,7 +12,8 @@ function getWorkerSecret() {
  * Generate a time-limited HMAC token for authenticating internal
  * worker requests. The token is valid for 5 minutes.
  *
- * @param {string} contentId - The content ID being processed
+ * @param {string} contentId - The content ID being processed (or the queue
+ *   job ID for /api/worker/run-job)
  * @returns {{ token: string, timestamp: number }}
  */
 export function signWorkerPayload(contentId) {
@@ -4,6 +4,12 @@ const LOCALE_COOKIE = "ghostseo-locale";
 const SESSION_COOKIE = "user_session";
 const REG_DONE_COOKIE = "reg_done";
 
+// Route handlers can't see the HTTP method through next/headers, so API
+// requests get it (and the path) stamped here for getCurrentAccountMember's
+// read-only check. Set unconditionally, so a client can't supply its own.
+const REQUEST_METHOD_HEADER = "x-ghostseo-method";
+const REQUEST_PATH_HEADER = "x-ghostseo-path";
+
 /**
  * Get default locale based on domain
  * app.ghostseo.ai → Hebrew (he)
@@ -27,6 +33,15 @@ function isDraftAllowedPath(pathname) {
 export function middleware(request) {
   const { pathname } = request.nextUrl;
 
+  if (pathname.startsWith("/api/")) {
+    const requestHeaders = new Headers(request.headers);
+    requestHeaders.set(REQUEST_METHOD_HEADER, request.method);
+    requestHeaders.set(REQUEST_PATH_HEADER, pathname);
+    return NextResponse.next({ request: { headers: requestHeaders } });
+  }
+
+  // Presence only: the edge runtime has no database, so the token itself is
+  // verified by the routes (lib/auth-session.js).
   const sessionCookie = request.cookies.get(SESSION_COOKIE);
   const regDoneCookie = request.cookies.get(REG_DONE_COOKIE);
 
@@ -61,5 +76,7 @@ export const config = {
   matcher: [
     // Only match paths that need middleware processing
     "/((?!_next|api|static|.*\\..*).*)",
+    // API requests, only to stamp the method for the read-only check
+    "/api/:path*",
   ],
 };
@@ -14,6 +14,7 @@ const tests = [
   { id: '03', name: 'End-to-End Tracking', file: 'tests/test-03-e2e-tracking.mjs', runner: 'npx tsx' },
   { id: '04', name: 'Code Audit (All Routes)', file: 'tests/test-04-code-audit.mjs', runner: 'npx tsx' },
   { id: '05', name: 'Analytics Cost Calculation', file: 'tests/test-05-analytics-cost.mjs', runner: 'npx tsx' },
+  { id: '06', name: 'AI Record / Replay Fixtures', file: 'tests/test-06-ai-fixtures.mjs', runner: 'node' },
 ];
 
 const results = [];
@@ -0,0 +1,102 @@
+/**
+ * Test 06: AI record / replay fixtures
+ * Exercises lib/ai/fixtures.js against a temp directory - no credentials or
+ * network needed. Checks record, replay, strict misses and key stability.
+ *
+ * Run: node tests/test-06-ai-fixtures.mjs
+ */
+
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+async function main() {
+  console.log('=== TEST 06: AI Record / Replay Fixtures ===\n');
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'ai-fixtures-'));
+  process.env.AI_FIXTURES_DIR = dir;
+
+  const { withFixture, fixtureKey } = await import('../lib/ai/fixtures.js');
+
+  const tests = [];
+  const check = (name, ok, value) => tests.push({ name, status: ok ? 'PASS' : 'FAIL', value });
+
+  const request = { system: 'You are terse.', prompt: 'Say hello', temperature: 0.7 };
+  let liveCalls = 0;
+  const live = async () => {
+    liveCalls++;
+    return { text: `hello #${liveCalls}`, usage: { inputTokens: 5, outputTokens: 2, totalTokens: 7 }, modelId: 'test-model' };
+  };
+
+  try {
+    // Key stability
+    check(
+      'key ignores property order',
+      fixtureKey('text', request) === fixtureKey('text', { temperature: 0.7, prompt: 'Say hello', system: 'You are terse.' }),
+      fixtureKey('text', request)
+    );
+    check('key depends on kind', fixtureKey('text', request) !== fixtureKey('structured', request), 'text != structured');
+    check('key depends on prompt', fixtureKey('text', request) !== fixtureKey('text', { ...request, prompt: 'Say bye' }), 'prompt changes key');
+
+    // Off: pass-through, nothing written
+    process.env.AI_FIXTURES = 'off';
+    await withFixture('text', request, { operation: 'GENERIC' }, live);
+    check('off mode writes nothing', (await readdir(dir)).length === 0, `${(await readdir(dir)).length} entries`);
+
+    // Strict: unknown prompt fails
+    process.env.AI_FIXTURES = 'strict';
+    let strictError = null;
+    try {
+      await withFixture('text', request, { operation: 'GENERIC' }, live);
+    } catch (err) {
+      strictError = err;
+    }
+    check('strict miss throws AI_FIXTURE_MISSING', strictError?.code === 'AI_FIXTURE_MISSING', strictError?.code);
+
+    // Record: live call, fixture written
+    process.env.AI_FIXTURES = 'record';
+    const recorded = await withFixture('text', request, { operation: 'GENERIC' }, live);
+    const files = await readdir(path.join(dir, 'text'));
+    check('record writes one fixture', files.length === 1, files.join(', '));
+
+    // Replay + strict: served from disk, no live call
+    const callsBefore = liveCalls;
+    process.env.AI_FIXTURES = 'replay';
+    const replayed = await withFixture('text', request, { operation: 'GENERIC' }, live);
+    process.env.AI_FIXTURES = 'strict';
+    const strictHit = await withFixture('text', { ...request }, { operation: 'GENERIC' }, live);
+    check('replay returns recorded result', replayed.text === recorded.text, replayed.text);
+    check('strict hit returns recorded result', strictHit.text === recorded.text, strictHit.text);
+    check('replay makes no live call', liveCalls === callsBefore, `${liveCalls - callsBefore} live calls`);
+    check('replay keeps usage for billing', replayed.usage?.totalTokens === 7, replayed.usage?.totalTokens);
+
+    // Replay miss: falls through to live and records
+    process.env.AI_FIXTURES = 'replay';
+    await withFixture('text', { ...request, prompt: 'Say bye' }, { operation: 'GENERIC' }, live);
+    check('replay miss records new fixture', (await readdir(path.join(dir, 'text'))).length === 2, 'two fixtures');
+
+    // Production always bypasses fixtures
+    process.env.NODE_ENV = 'production';
+    process.env.AI_FIXTURES = 'strict';
+    const prod = await withFixture('text', { prompt: 'unrecorded' }, { operation: 'GENERIC' }, live);
+    check('production ignores AI_FIXTURES', prod.text.startsWith('hello'), prod.text);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n--- TEST RESULTS ---\n');
+  let pass = 0, fail = 0;
+  for (const t of tests) {
+    const icon = t.status === 'PASS' ? '✅' : '❌';
+    console.log(`${icon} [${t.status}] ${t.name}: ${t.value}`);
+    if (t.status === 'PASS') pass++; else fail++;
+  }
+  console.log(`\nTotal: ${pass} PASS, ${fail} FAIL`);
+  process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch(e => {
+  console.error('SCRIPT ERROR:', e.message);
+  console.error(e.stack);
+  process.exit(1);
+});